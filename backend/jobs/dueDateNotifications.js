@@ -4,20 +4,24 @@ const Workspace = require('../models/Workspace');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
 const { sendEmail } = require('../utils/brevoEmailService');
+const { formatUserDate, formatUserMoney, calendarDaysUntil, localHour } = require('../utils/userLocale');
 const webpush = require('web-push');
 
+// Reminders go out at these hours of the recipient's own day
+const REMINDER_HOURS = [9, 18];
+
 class DueDateNotificationJob {
   /**
-   * Check and send notifications for upcoming and overdue deadlines
-   * Should be run daily via cron job
+   * Check and send notifications for upcoming and overdue deadlines.
+   * Runs hourly; with `reminderHoursOnly` each recipient is only handled when
+   * it is one of the REMINDER_HOURS in their timezone. "Due tomorrow" and
+   * "overdue" are worked out on the recipient's calendar.
    */
-  static async checkAndNotify() {
+  static async checkAndNotify({ reminderHoursOnly = false } = {}) {
     console.log('🔔 Starting due date notification check...');
     
     try {
       const now = new Date();
-      const threeDaysFromNow = new Date(now.getTime() + (3 * 24 * 60 * 60 * 1000));
-      const oneDayFromNow = new Date(now.getTime() + (24 * 60 * 60 * 1000));
       
       // Find milestones that need notifications
       const milestones = await Milestone.find({
@@ -37,10 +41,10 @@ class DueDateNotificationJob {
         if (!milestone.workspace) continue;
 
         // Check deliverable due date (for freelancer)
-        await this.checkDeliverableDueDate(milestone, now, oneDayFromNow, threeDaysFromNow);
+        await this.checkDeliverableDueDate(milestone, now, reminderHoursOnly);
         
         // Check payment due date (for client)
-        await this.checkPaymentDueDate(milestone, now, oneDayFromNow, threeDaysFromNow);
+        await this.checkPaymentDueDate(milestone, now, reminderHoursOnly);
         
         notificationsSent++;
       }
@@ -54,20 +58,31 @@ class DueDateNotificationJob {
     }
   }
 
+  /**
+   * Whether it is a reminder hour for the user (always true outside reminderHoursOnly runs)
+   */
+  static isReminderHour(user, now, reminderHoursOnly) {
+    return !reminderHoursOnly || REMINDER_HOURS.includes(localHour(user, now));
+  }
+
   /**
    * Check deliverable due dates and notify freelancers
    */
-  static async checkDeliverableDueDate(milestone, now, oneDayFromNow, threeDaysFromNow) {
+  static async checkDeliverableDueDate(milestone, now, reminderHoursOnly = false) {
     const dueDate = new Date(milestone.dueDate);
     const freelancer = milestone.workspace.freelancer;
     const client = milestone.workspace.client;
     const project = milestone.workspace.project;
 
     if (!freelancer || !project) return;
+    if (!this.isReminderHour(freelancer, now, reminderHoursOnly)) return;
+
+    // Days left on the freelancer's calendar (0 = due today)
+    const daysUntilDue = calendarDaysUntil(dueDate, freelancer, now);
 
     // Check if milestone is overdue (including approved milestones with no deliverable)
     if (dueDate < now && (milestone.status === 'in-progress' || milestone.status === 'approved')) {
-      const daysOverdue = Math.floor((now - dueDate) / (1000 * 60 * 60 * 24));
+      const daysOverdue = -daysUntilDue;
       
       // Send daily overdue notifications for critical stages
       if (daysOverdue >= 1 && (!milestone.lastOverdueNotificationSent || 
@@ -79,15 +94,15 @@ class DueDateNotificationJob {
         await milestone.save();
       }
     }
-    // Check if due tomorrow
-    else if (dueDate < oneDayFromNow && dueDate > now && !milestone.deliverableReminderSent) {
-      await this.sendDeliverable1DayReminder(milestone, freelancer, client, project);
+    // Check if due today or tomorrow
+    else if (dueDate > now && daysUntilDue <= 1 && !milestone.deliverableReminderSent) {
+      await this.sendDeliverable1DayReminder(milestone, freelancer, client, project, daysUntilDue);
       milestone.deliverableReminderSent = true;
       await milestone.save();
     }
-    // Check if due in 3 days
-    else if (dueDate < threeDaysFromNow && dueDate > oneDayFromNow && !milestone.deliverableReminderSent) {
-      await this.sendDeliverable3DayReminder(milestone, freelancer, client, project);
+    // Check if due within 3 days
+    else if (daysUntilDue > 1 && daysUntilDue <= 3 && !milestone.deliverableReminderSent) {
+      await this.sendDeliverable3DayReminder(milestone, freelancer, client, project, daysUntilDue);
       milestone.deliverableReminderSent = true;
       await milestone.save();
     }
@@ -116,7 +131,7 @@ class DueDateNotificationJob {
   /**
    * Check payment due dates and notify clients
    */
-  static async checkPaymentDueDate(milestone, now, oneDayFromNow, threeDaysFromNow) {
+  static async checkPaymentDueDate(milestone, now, reminderHoursOnly = false) {
     const paymentDueDate = new Date(milestone.paymentDueDate);
     const client = milestone.workspace.client;
     const freelancer = milestone.workspace.freelancer;
@@ -126,22 +141,26 @@ class DueDateNotificationJob {
 
     // Only check for approved milestones that haven't been paid
     if (milestone.status !== 'approved' || milestone.paymentStatus === 'completed') return;
+    if (!this.isReminderHour(client, now, reminderHoursOnly)) return;
+
+    // Days left on the client's calendar; the payment is overdue once its due day has passed
+    const daysUntilDue = calendarDaysUntil(paymentDueDate, client, now);
 
     // Check if payment is overdue
-    if (paymentDueDate < now && !milestone.paymentOverdueNotificationSent) {
+    if (daysUntilDue < 0 && !milestone.paymentOverdueNotificationSent) {
       await this.sendPaymentOverdueNotification(milestone, client, freelancer, project);
       milestone.paymentOverdueNotificationSent = true;
       await milestone.save();
     }
-    // Check if payment due tomorrow
-    else if (paymentDueDate < oneDayFromNow && paymentDueDate > now && !milestone.paymentReminderSent) {
-      await this.sendPayment1DayReminder(milestone, client, freelancer, project);
+    // Check if payment due today or tomorrow
+    else if (daysUntilDue >= 0 && daysUntilDue <= 1 && !milestone.paymentReminderSent) {
+      await this.sendPayment1DayReminder(milestone, client, freelancer, project, daysUntilDue);
       milestone.paymentReminderSent = true;
       await milestone.save();
     }
-    // Check if payment due in 3 days
-    else if (paymentDueDate < threeDaysFromNow && paymentDueDate > oneDayFromNow && !milestone.paymentReminderSent) {
-      await this.sendPayment3DayReminder(milestone, client, freelancer, project);
+    // Check if payment due within 3 days
+    else if (daysUntilDue > 1 && daysUntilDue <= 3 && !milestone.paymentReminderSent) {
+      await this.sendPayment3DayReminder(milestone, client, freelancer, project, daysUntilDue);
       milestone.paymentReminderSent = true;
       await milestone.save();
     }
@@ -150,9 +169,9 @@ class DueDateNotificationJob {
   /**
    * Send 3-day deliverable reminder to freelancer
    */
-  static async sendDeliverable3DayReminder(milestone, freelancer, client, project) {
-    const title = `📅 Reminder: Deliverable Due in 3 Days`;
-    const message = `Your deliverable for "${milestone.title}" is due in 3 days (${new Date(milestone.dueDate).toLocaleDateString()}).`;
+  static async sendDeliverable3DayReminder(milestone, freelancer, client, project, daysRemaining = 3) {
+    const title = `📅 Reminder: Deliverable Due in ${daysRemaining} Days`;
+    const message = `Your deliverable for "${milestone.title}" is due in ${daysRemaining} days (${formatUserDate(milestone.dueDate, freelancer)}).`;
     
     console.log(`📧 Sending 3-day deliverable reminder to ${freelancer.email}`);
     
@@ -166,7 +185,7 @@ class DueDateNotificationJob {
         workspaceId: milestone.workspace._id,
         milestoneId: milestone._id,
         projectId: project._id,
-        extraData: { daysRemaining: 3 }
+        extraData: { daysRemaining }
       }
     );
     
@@ -193,7 +212,7 @@ class DueDateNotificationJob {
           type: 'deliverable_reminder',
           milestoneId: milestone._id.toString(),
           workspaceId: milestone.workspace._id.toString(),
-          daysRemaining: 3
+          daysRemaining
         }
       );
     }
@@ -202,9 +221,10 @@ class DueDateNotificationJob {
   /**
    * Send 1-day deliverable reminder to freelancer
    */
-  static async sendDeliverable1DayReminder(milestone, freelancer, client, project) {
-    const title = `⚠️ Urgent: Deliverable Due Tomorrow`;
-    const message = `Your deliverable for "${milestone.title}" is due tomorrow! Please submit your work soon.`;
+  static async sendDeliverable1DayReminder(milestone, freelancer, client, project, daysRemaining = 1) {
+    const when = daysRemaining === 0 ? 'Today' : 'Tomorrow';
+    const title = `⚠️ Urgent: Deliverable Due ${when}`;
+    const message = `Your deliverable for "${milestone.title}" is due ${when.toLowerCase()} (${formatUserDate(milestone.dueDate, freelancer)})! Please submit your work soon.`;
     
     console.log(`📧 Sending 1-day deliverable reminder to ${freelancer.email}`);
     
@@ -218,7 +238,7 @@ class DueDateNotificationJob {
         workspaceId: milestone.workspace._id,
         milestoneId: milestone._id,
         projectId: project._id,
-        extraData: { daysRemaining: 1 }
+        extraData: { daysRemaining }
       }
     );
     
@@ -245,7 +265,7 @@ class DueDateNotificationJob {
           type: 'deliverable_reminder',
           milestoneId: milestone._id.toString(),
           workspaceId: milestone.workspace._id.toString(),
-          daysRemaining: 1,
+          daysRemaining,
           urgent: true
         }
       );
@@ -362,9 +382,9 @@ class DueDateNotificationJob {
   /**
    * Send 3-day payment reminder to client
    */
-  static async sendPayment3DayReminder(milestone, client, freelancer, project) {
-    const title = `💳 Reminder: Payment Due in 3 Days`;
-    const message = `Payment for milestone "${milestone.title}" is due in 3 days (${new Date(milestone.paymentDueDate).toLocaleDateString()}). Amount: ₹${milestone.amount}`;
+  static async sendPayment3DayReminder(milestone, client, freelancer, project, daysRemaining = 3) {
+    const title = `💳 Reminder: Payment Due in ${daysRemaining} Days`;
+    const message = `Payment for milestone "${milestone.title}" is due in ${daysRemaining} days (${formatUserDate(milestone.paymentDueDate, client)}). Amount: ${formatUserMoney(milestone.amount, milestone.currency, client)}`;
     
     console.log(`📧 Sending 3-day payment reminder to ${client.email}`);
     
@@ -378,7 +398,7 @@ class DueDateNotificationJob {
         workspaceId: milestone.workspace._id,
         milestoneId: milestone._id,
         projectId: project._id,
-        extraData: { amount: milestone.amount, daysRemaining: 3 }
+        extraData: { amount: milestone.amount, daysRemaining }
       }
     );
     
@@ -406,7 +426,7 @@ class DueDateNotificationJob {
           milestoneId: milestone._id.toString(),
           workspaceId: milestone.workspace._id.toString(),
           amount: milestone.amount,
-          daysRemaining: 3
+          daysRemaining
         }
       );
     }
@@ -415,9 +435,10 @@ class DueDateNotificationJob {
   /**
    * Send 1-day payment reminder to client
    */
-  static async sendPayment1DayReminder(milestone, client, freelancer, project) {
-    const title = `⚠️ Urgent: Payment Due Tomorrow`;
-    const message = `Payment for milestone "${milestone.title}" is due tomorrow! Amount: ₹${milestone.amount}. Please process the payment soon.`;
+  static async sendPayment1DayReminder(milestone, client, freelancer, project, daysRemaining = 1) {
+    const when = daysRemaining === 0 ? 'Today' : 'Tomorrow';
+    const title = `⚠️ Urgent: Payment Due ${when}`;
+    const message = `Payment for milestone "${milestone.title}" is due ${when.toLowerCase()} (${formatUserDate(milestone.paymentDueDate, client)})! Amount: ${formatUserMoney(milestone.amount, milestone.currency, client)}. Please process the payment soon.`;
     
     console.log(`📧 Sending 1-day payment reminder to ${client.email}`);
     
@@ -431,7 +452,7 @@ class DueDateNotificationJob {
         workspaceId: milestone.workspace._id,
         milestoneId: milestone._id,
         projectId: project._id,
-        extraData: { amount: milestone.amount, daysRemaining: 1 }
+        extraData: { amount: milestone.amount, daysRemaining }
       }
     );
     
@@ -459,7 +480,7 @@ class DueDateNotificationJob {
           milestoneId: milestone._id.toString(),
           workspaceId: milestone.workspace._id.toString(),
           amount: milestone.amount,
-          daysRemaining: 1,
+          daysRemaining,
           urgent: true
         }
       );
@@ -471,7 +492,7 @@ class DueDateNotificationJob {
    */
   static async sendPaymentOverdueNotification(milestone, client, freelancer, project) {
     const title = `🚨 Overdue: Payment Past Due Date`;
-    const message = `Payment for milestone "${milestone.title}" is now overdue! Amount: ₹${milestone.amount}. Please process payment immediately.`;
+    const message = `Payment for milestone "${milestone.title}" is now overdue! Amount: ${formatUserMoney(milestone.amount, milestone.currency, client)}. Please process payment immediately.`;
     
     console.log(`📧 Sending overdue payment notification to ${client.email}`);
     
@@ -597,14 +618,12 @@ class DueDateNotificationJob {
                   ${isDeliverable ? 'Due Date:' : 'Payment Due:'}
                 </td>
                 <td style="padding: 8px 0; color: #111827;">
-                  ${new Date(isDeliverable ? milestone.dueDate : milestone.paymentDueDate).toLocaleDateString('en-IN', { 
-                    year: 'numeric', month: 'long', day: 'numeric' 
-                  })}
+                  ${formatUserDate(isDeliverable ? milestone.dueDate : milestone.paymentDueDate, user)}
                 </td>
               </tr>
               <tr>
                 <td style="padding: 8px 0; color: #6b7280; font-weight: 500;">Amount:</td>
-                <td style="padding: 8px 0; color: #111827; font-weight: 600;">₹${milestone.amount.toLocaleString('en-IN')}</td>
+                <td style="padding: 8px 0; color: #111827; font-weight: 600;">${formatUserMoney(milestone.amount, milestone.currency, user)}</td>
               </tr>
               <tr>
                 <td style="padding: 8px 0; color: #6b7280; font-weight: 500;">Status:</td>
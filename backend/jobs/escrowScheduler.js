@@ -1,5 +1,7 @@
 const cron = require('node-cron');
 const EscrowService = require('../services/escrowService');
+const DisputeService = require('../services/disputeService');
+const WalletService = require('../services/walletService');
 
 class EscrowScheduler {
   static start() {
@@ -18,6 +20,45 @@ class EscrowScheduler {
       }
     });
 
+    // Run every 30 minutes to confirm refunds the webhook may have missed
+    cron.schedule('*/30 * * * *', async () => {
+      try {
+        const updatedCount = await EscrowService.syncPendingRefunds();
+
+        if (updatedCount > 0) {
+          console.log(`💸 Updated refund status for ${updatedCount} escrows`);
+        }
+      } catch (error) {
+        console.error('❌ Error in refund sync scheduler:', error);
+      }
+    });
+
+    // Run hourly to flag dispute info requests that went past their deadline
+    cron.schedule('15 * * * *', async () => {
+      try {
+        const overdueCount = await DisputeService.flagOverdueRequests();
+
+        if (overdueCount > 0) {
+          console.log(`⏰ Flagged ${overdueCount} overdue dispute responses`);
+        }
+      } catch (error) {
+        console.error('❌ Error in dispute deadline scheduler:', error);
+      }
+    });
+
+    // Run every 15 minutes to settle payouts the provider accepted but hadn't finished
+    cron.schedule('*/15 * * * *', async () => {
+      try {
+        const settledCount = await WalletService.syncProcessingPayouts();
+
+        if (settledCount > 0) {
+          console.log(`💸 Settled ${settledCount} withdrawal payouts`);
+        }
+      } catch (error) {
+        console.error('❌ Error in payout sync scheduler:', error);
+      }
+    });
+
     // Run daily at midnight to send notifications
     cron.schedule('0 0 * * *', async () => {
       try {
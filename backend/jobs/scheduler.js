@@ -1,42 +1,59 @@
 // backend/jobs/scheduler.js
 const cron = require('node-cron');
 const DueDateNotificationJob = require('./dueDateNotifications');
+const Review = require('../models/Review');
+const NegotiationService = require('../services/negotiationService');
 
 class JobScheduler {
   static init() {
     console.log('📅 Initializing job scheduler...');
 
-    // Run due date notifications check every day at 9:00 AM
-    cron.schedule('0 9 * * *', async () => {
-      console.log('⏰ Running scheduled due date notification check at 9:00 AM');
-      await DueDateNotificationJob.checkAndNotify();
+    // Due date reminders run every hour and reach each user at 9:00 AM and
+    // 6:00 PM in their own timezone (User.preferences.timezone).
+    // For testing: in development every run reminds everyone, whatever their local time
+    const reminderHoursOnly = process.env.NODE_ENV === 'production';
+    cron.schedule('0 * * * *', async () => {
+      console.log('⏰ Running scheduled due date notification check');
+      await DueDateNotificationJob.checkAndNotify({ reminderHoursOnly });
     }, {
-      timezone: "Asia/Kolkata"
+      timezone: 'UTC'
     });
 
-    // Run additional check at 6:00 PM for urgent reminders
-    cron.schedule('0 18 * * *', async () => {
-      console.log('⏰ Running scheduled due date notification check at 6:00 PM');
-      await DueDateNotificationJob.checkAndNotify();
+    // Reveal reviews whose double-blind window has expired
+    cron.schedule('30 * * * *', async () => {
+      try {
+        const published = await Review.publishExpiredReviews();
+        if (published > 0) {
+          console.log(`⭐ Published ${published} reviews after their reveal window expired`);
+        }
+      } catch (error) {
+        console.error('❌ Error publishing expired reviews:', error);
+      }
     }, {
-      timezone: "Asia/Kolkata"
+      timezone: 'UTC'
     });
 
-    // For testing: Run every hour during development
-    if (process.env.NODE_ENV !== 'production') {
-      cron.schedule('0 * * * *', async () => {
-        console.log('⏰ [DEV] Running hourly due date notification check');
-        await DueDateNotificationJob.checkAndNotify();
-      }, {
-        timezone: "Asia/Kolkata"
-      });
-    }
+    // Close chat offers nobody answered before they expired
+    cron.schedule('*/10 * * * *', async () => {
+      try {
+        const expired = await NegotiationService.expireOffers();
+        if (expired > 0) {
+          console.log(`⌛ Expired ${expired} unanswered offers`);
+        }
+      } catch (error) {
+        console.error('❌ Error expiring offers:', error);
+      }
+    }, {
+      timezone: 'UTC'
+    });
 
     console.log('✅ Job scheduler initialized successfully');
     console.log('📅 Scheduled jobs:');
-    console.log('   - Due date notifications: Daily at 9:00 AM and 6:00 PM IST');
+    console.log("   - Due date notifications: 9:00 AM and 6:00 PM in each user's timezone");
+    console.log('   - Review reveal: Hourly at :30');
+    console.log('   - Offer expiry: Every 10 minutes');
     if (process.env.NODE_ENV !== 'production') {
-      console.log('   - [DEV] Hourly checks enabled');
+      console.log('   - [DEV] Due date reminders sent on every hourly check');
     }
   }
 
@@ -0,0 +1,243 @@
+// backend/locales/en.js
+// English messages for validation errors and emails. Every key here must also
+// exist in the other catalogs; missing ones fall back to English.
+// {{name}} is replaced with a value; an object of plural forms (one, other)
+// is picked by the `count` value.
+
+module.exports = {
+  validation: {
+    failed: 'Validation failed',
+    passed: 'All validation passed',
+    errorsFound: {
+      one: '{{count}} validation error found',
+      other: '{{count}} validation errors found'
+    },
+    fullName: {
+      required: 'Full name is required',
+      tooShort: 'Full name must be at least 2 characters long',
+      tooLong: 'Full name cannot exceed 100 characters',
+      firstAndLast: 'Please enter your full name (first and last name)',
+      invalidFormat: 'Invalid name format',
+      capitalized: 'Each part of your name must start with an uppercase letter (e.g., "John Smith")',
+      invalidCharacters: 'Name can only contain letters, hyphens, and apostrophes',
+      valid: 'Valid full name'
+    },
+    email: {
+      required: 'Email is required',
+      invalid: 'Please enter a valid email address',
+      tooLong: 'Email address is too long',
+      valid: 'Valid email'
+    },
+    password: {
+      required: 'Password is required',
+      tooShort: 'Password must be at least 8 characters long',
+      tooLong: 'Password cannot exceed 128 characters',
+      uppercase: 'Password must contain at least one uppercase letter',
+      lowercase: 'Password must contain at least one lowercase letter',
+      number: 'Password must contain at least one number',
+      valid: 'Strong password'
+    },
+    role: {
+      required: 'Role is required',
+      invalid: 'Invalid role. Must be either "client" or "freelancer"',
+      valid: 'Valid role'
+    },
+    bio: {
+      required: 'Bio is required',
+      tooShort: 'Bio must be at least 50 characters long',
+      tooLong: 'Bio cannot exceed 2000 characters',
+      valid: 'Valid bio'
+    }
+  },
+
+  email: {
+    common: {
+      greeting: 'Hi {{name}},',
+      copyLink: "If you can't click the button above, copy and paste this link into your browser:",
+      needHelp: 'Need help? Contact our support team at support@websphere.com',
+      regards: 'Best regards,',
+      team: 'The WebSphere Team',
+      securityTeam: 'The WebSphere Security Team',
+      administrationTeam: 'The WebSphere Administration Team',
+      copyright: '© 2024 WebSphere. All rights reserved.',
+      automated: 'This email was sent from an automated system. Please do not reply to this email.',
+      roles: {
+        client: 'client',
+        freelancer: 'freelancer'
+      }
+    },
+
+    verification: {
+      subject: {
+        client: 'Verify Your WebSphere Client Account',
+        freelancer: 'Verify Your WebSphere Freelancer Account'
+      },
+      title: 'Verify Your WebSphere Account',
+      heading: 'Welcome to WebSphere!',
+      intro: 'Thank you for joining our {{role}} community! To complete your registration and start using WebSphere, please verify your email address.',
+      introText: 'Thank you for joining our {{role}} community! To complete your registration and start using WebSphere, please verify your email address by visiting:',
+      button: 'Verify Email Address',
+      nextSteps: "What's next after verification?",
+      steps: {
+        freelancer: [
+          'Complete your freelancer profile with skills and experience',
+          'Upload a professional profile picture',
+          'Set your hourly rate and availability',
+          'Start browsing and bidding on projects'
+        ],
+        client: [
+          'Complete your client profile',
+          'Post your first project',
+          'Browse and hire talented freelancers',
+          'Manage your projects efficiently'
+        ]
+      },
+      securityLabel: 'Security Note:',
+      security: "This verification link will expire in 24 hours. If you didn't create this account, please ignore this email."
+    },
+
+    welcome: {
+      subject: 'Welcome to WebSphere - Your Account is Verified!',
+      title: 'Welcome to WebSphere!',
+      heading: 'Welcome to WebSphere!',
+      intro: 'Congratulations! Your WebSphere {{role}} account is now active and ready to use.',
+      button: {
+        freelancer: 'Complete Your Profile',
+        client: 'Go to Dashboard'
+      },
+      dashboardText: 'Visit your dashboard: {{url}}',
+      statusHeading: 'Your Account Status:',
+      emailVerified: 'Email verified',
+      accountActivated: 'Account activated',
+      nextSteps: {
+        freelancer: [
+          'Next: Complete your professional bio',
+          'Next: Add your skills and expertise',
+          'Next: Set your hourly rate',
+          'Next: Upload a profile picture'
+        ],
+        client: [
+          'Next: Complete your profile',
+          'Next: Post your first project'
+        ]
+      },
+      readyHeading: {
+        freelancer: 'Ready to start freelancing?',
+        client: 'Ready to hire talent?'
+      },
+      ready: {
+        freelancer: 'Complete your profile to start receiving project invitations and build your reputation on WebSphere.',
+        client: 'Post your first project and connect with skilled freelancers who can help bring your ideas to life.'
+      },
+      help: 'Need help getting started? Check out our {{link}} or contact our support team.',
+      helpText: 'Need help getting started? Visit our help center or contact our support team.',
+      helpCenter: 'help center',
+      community: 'Welcome to the WebSphere community!'
+    },
+
+    passwordReset: {
+      subject: 'Reset Your WebSphere Password',
+      title: 'Reset Your WebSphere Password',
+      heading: 'Reset Your Password',
+      intro: 'We received a request to reset your WebSphere account password. If you made this request, click the button below to reset your password:',
+      introText: 'We received a request to reset your WebSphere account password. If you made this request, visit the following link to reset your password:',
+      button: 'Reset Password',
+      securityHeading: 'Important Security Information:',
+      security: [
+        'This reset link will expire in 1 hour',
+        'The link can only be used once',
+        'Your account remains secure until you create a new password'
+      ],
+      notYouLabel: "Didn't request this?",
+      notYou: "If you didn't request a password reset, please ignore this email. Your password will remain unchanged, and your account is still secure.",
+      adviceHeading: 'For security reasons, we recommend:',
+      advice: [
+        'Using a strong, unique password',
+        'Not sharing your password with anyone',
+        'Logging out of shared devices'
+      ]
+    },
+
+    deactivation: {
+      subject: 'WebSphere Freelancer Account Deactivated',
+      title: 'Freelancer Account Deactivated - WebSphere',
+      heading: 'Freelancer Account Deactivated',
+      intro: "We're writing to inform you that your WebSphere freelancer account has been deactivated by our administration team.",
+      status: 'Account Status: Deactivated',
+      dateLabel: 'Date:',
+      reasonLabel: 'Reason:',
+      defaultReason: 'Administrative decision',
+      reviewHeading: 'Performance Review',
+      currentRating: 'Current Rating:',
+      ratingValue: {
+        one: '{{rating}}/5.0 stars ({{count}} review)',
+        other: '{{rating}}/5.0 stars ({{count}} reviews)'
+      },
+      completedProjects: 'Completed Projects:',
+      minimumRequired: 'Minimum Required:',
+      minimumValue: '2.5/5.0 stars to maintain account',
+      meaningHeading: 'What this means:',
+      meaning: [
+        'You can no longer log into your WebSphere account',
+        'Your profile is no longer visible to clients',
+        'You cannot bid on new projects or receive project invitations',
+        'Any ongoing projects may be affected'
+      ],
+      standardsHeading: 'About our Quality Standards:',
+      standards: 'WebSphere maintains high-quality standards to ensure the best experience for our clients. Freelancers are expected to maintain a minimum rating of 2.5 stars across their completed projects. This helps us provide reliable and professional services to our client base.',
+      mistakeHeading: 'If you believe this is a mistake:',
+      mistake: 'Please contact our support team at {{email}} with your account details and any relevant information.',
+      mistakeRating: 'Include details about your recent projects and client feedback if you believe your rating should be higher.',
+      apology: 'We appreciate your understanding and apologize for any inconvenience this may cause.',
+      automatedText: 'This is an automated message from WebSphere.',
+      questionsText: 'If you have questions, contact us at support@websphere.com'
+    },
+
+    newDevice: {
+      subject: 'New sign-in to your WebSphere account',
+      title: 'New Sign-In to Your WebSphere Account',
+      heading: 'New Sign-In to Your Account',
+      intro: "Your WebSphere account was just signed in to from a device we haven't seen before.",
+      device: 'Device:',
+      ip: 'IP address:',
+      unknownIp: 'Unknown',
+      time: 'Time:',
+      ifYou: "If this was you, there's nothing to do.",
+      notYouLabel: "Wasn't you?",
+      notYou: 'Sign in, open {{menu}} from your account menu and sign out the device, then change your password and turn on two-factor authentication.',
+      menu: 'Sessions & Login Activity'
+    },
+
+    escrow: {
+      paymentReceived: {
+        subject: 'Invoice {{number}} - Payment received for "{{milestone}}"',
+        title: 'Payment Received',
+        intro: 'We have received your payment of {{amount}} for milestone "{{milestone}}". The milestone amount is held in escrow until the work is approved.',
+        attached: 'Your invoice {{number}} is attached for your records.'
+      },
+      paymentReleased: {
+        subject: 'Receipt {{number}} - Payment released for "{{milestone}}"',
+        title: 'Payment Released',
+        intro: 'The escrow for milestone "{{milestone}}" has been released to {{freelancer}}.',
+        attached: 'Your receipt {{number}} is attached for your records.'
+      },
+      refundProcessed: {
+        subject: 'Refund processed for "{{milestone}}"',
+        title: 'Refund Processed',
+        intro: '{{amount}} for milestone "{{milestone}}" has been refunded to your original payment method.'
+      },
+      disputeResolved: {
+        subject: 'Dispute resolved for "{{milestone}}"',
+        title: 'Dispute Resolved',
+        intro: 'The payment dispute for milestone "{{milestone}}" has been resolved.',
+        freelancerShare: 'To the freelancer ({{percentage}}%):',
+        clientRefund: 'Refunded to the client:',
+        notes: 'Notes from the admin:',
+        refundPending: 'The refund is on its way. We will email again once the payment gateway confirms it.'
+      },
+      milestoneAmount: 'Milestone amount:',
+      platformFee: 'Platform fee (incl. GST):',
+      total: 'Total:'
+    }
+  }
+};
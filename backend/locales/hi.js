@@ -0,0 +1,240 @@
+// backend/locales/hi.js
+// Hindi messages for validation errors and emails (same keys as en.js)
+
+module.exports = {
+  validation: {
+    failed: 'सत्यापन विफल रहा',
+    passed: 'सभी जानकारी सही है',
+    errorsFound: {
+      one: '{{count}} त्रुटि मिली',
+      other: '{{count}} त्रुटियाँ मिलीं'
+    },
+    fullName: {
+      required: 'पूरा नाम आवश्यक है',
+      tooShort: 'पूरा नाम कम से कम 2 अक्षरों का होना चाहिए',
+      tooLong: 'पूरा नाम 100 अक्षरों से अधिक नहीं हो सकता',
+      firstAndLast: 'कृपया अपना पूरा नाम (पहला और अंतिम नाम) दर्ज करें',
+      invalidFormat: 'नाम का प्रारूप अमान्य है',
+      capitalized: 'नाम का हर भाग बड़े अक्षर से शुरू होना चाहिए (जैसे "John Smith")',
+      invalidCharacters: 'नाम में केवल अक्षर, हाइफ़न और एपॉस्ट्रॉफ़ी हो सकते हैं',
+      valid: 'पूरा नाम सही है'
+    },
+    email: {
+      required: 'ईमेल आवश्यक है',
+      invalid: 'कृपया एक मान्य ईमेल पता दर्ज करें',
+      tooLong: 'ईमेल पता बहुत लंबा है',
+      valid: 'ईमेल सही है'
+    },
+    password: {
+      required: 'पासवर्ड आवश्यक है',
+      tooShort: 'पासवर्ड कम से कम 8 अक्षरों का होना चाहिए',
+      tooLong: 'पासवर्ड 128 अक्षरों से अधिक नहीं हो सकता',
+      uppercase: 'पासवर्ड में कम से कम एक बड़ा अक्षर होना चाहिए',
+      lowercase: 'पासवर्ड में कम से कम एक छोटा अक्षर होना चाहिए',
+      number: 'पासवर्ड में कम से कम एक अंक होना चाहिए',
+      valid: 'मज़बूत पासवर्ड'
+    },
+    role: {
+      required: 'भूमिका आवश्यक है',
+      invalid: 'अमान्य भूमिका। भूमिका "client" या "freelancer" होनी चाहिए',
+      valid: 'भूमिका सही है'
+    },
+    bio: {
+      required: 'परिचय आवश्यक है',
+      tooShort: 'परिचय कम से कम 50 अक्षरों का होना चाहिए',
+      tooLong: 'परिचय 2000 अक्षरों से अधिक नहीं हो सकता',
+      valid: 'परिचय सही है'
+    }
+  },
+
+  email: {
+    common: {
+      greeting: 'नमस्ते {{name}},',
+      copyLink: 'अगर ऊपर का बटन काम न करे, तो यह लिंक कॉपी करके अपने ब्राउज़र में खोलें:',
+      needHelp: 'मदद चाहिए? हमारी सहायता टीम से support@websphere.com पर संपर्क करें',
+      regards: 'शुभकामनाओं सहित,',
+      team: 'WebSphere टीम',
+      securityTeam: 'WebSphere सुरक्षा टीम',
+      administrationTeam: 'WebSphere प्रशासन टीम',
+      copyright: '© 2024 WebSphere. सर्वाधिकार सुरक्षित।',
+      automated: 'यह ईमेल एक स्वचालित सिस्टम से भेजा गया है। कृपया इसका उत्तर न दें।',
+      roles: {
+        client: 'क्लाइंट',
+        freelancer: 'फ़्रीलांसर'
+      }
+    },
+
+    verification: {
+      subject: {
+        client: 'अपने WebSphere क्लाइंट खाते की पुष्टि करें',
+        freelancer: 'अपने WebSphere फ़्रीलांसर खाते की पुष्टि करें'
+      },
+      title: 'अपने WebSphere खाते की पुष्टि करें',
+      heading: 'WebSphere में आपका स्वागत है!',
+      intro: 'हमारे {{role}} समुदाय से जुड़ने के लिए धन्यवाद! पंजीकरण पूरा करने और WebSphere का उपयोग शुरू करने के लिए कृपया अपने ईमेल पते की पुष्टि करें।',
+      introText: 'हमारे {{role}} समुदाय से जुड़ने के लिए धन्यवाद! पंजीकरण पूरा करने और WebSphere का उपयोग शुरू करने के लिए कृपया यह लिंक खोलकर अपने ईमेल पते की पुष्टि करें:',
+      button: 'ईमेल पते की पुष्टि करें',
+      nextSteps: 'पुष्टि के बाद आगे क्या?',
+      steps: {
+        freelancer: [
+          'अपनी कौशल और अनुभव के साथ फ़्रीलांसर प्रोफ़ाइल पूरी करें',
+          'एक पेशेवर प्रोफ़ाइल फ़ोटो अपलोड करें',
+          'अपनी प्रति घंटा दर और उपलब्धता तय करें',
+          'प्रोजेक्ट देखना और उन पर बोली लगाना शुरू करें'
+        ],
+        client: [
+          'अपनी क्लाइंट प्रोफ़ाइल पूरी करें',
+          'अपना पहला प्रोजेक्ट पोस्ट करें',
+          'प्रतिभाशाली फ़्रीलांसर खोजें और नियुक्त करें',
+          'अपने प्रोजेक्ट आसानी से संभालें'
+        ]
+      },
+      securityLabel: 'सुरक्षा सूचना:',
+      security: 'यह पुष्टि लिंक 24 घंटे में समाप्त हो जाएगा। अगर आपने यह खाता नहीं बनाया है, तो इस ईमेल को अनदेखा करें।'
+    },
+
+    welcome: {
+      subject: 'WebSphere में आपका स्वागत है - आपका खाता सत्यापित हो गया है!',
+      title: 'WebSphere में आपका स्वागत है!',
+      heading: 'WebSphere में आपका स्वागत है!',
+      intro: 'बधाई हो! आपका WebSphere {{role}} खाता अब सक्रिय है और उपयोग के लिए तैयार है।',
+      button: {
+        freelancer: 'अपनी प्रोफ़ाइल पूरी करें',
+        client: 'डैशबोर्ड पर जाएँ'
+      },
+      dashboardText: 'अपना डैशबोर्ड देखें: {{url}}',
+      statusHeading: 'आपके खाते की स्थिति:',
+      emailVerified: 'ईमेल सत्यापित',
+      accountActivated: 'खाता सक्रिय',
+      nextSteps: {
+        freelancer: [
+          'अगला कदम: अपना पेशेवर परिचय पूरा करें',
+          'अगला कदम: अपने कौशल और विशेषज्ञता जोड़ें',
+          'अगला कदम: अपनी प्रति घंटा दर तय करें',
+          'अगला कदम: प्रोफ़ाइल फ़ोटो अपलोड करें'
+        ],
+        client: [
+          'अगला कदम: अपनी प्रोफ़ाइल पूरी करें',
+          'अगला कदम: अपना पहला प्रोजेक्ट पोस्ट करें'
+        ]
+      },
+      readyHeading: {
+        freelancer: 'फ़्रीलांसिंग शुरू करने के लिए तैयार हैं?',
+        client: 'प्रतिभा नियुक्त करने के लिए तैयार हैं?'
+      },
+      ready: {
+        freelancer: 'प्रोजेक्ट आमंत्रण पाने और WebSphere पर अपनी साख बनाने के लिए अपनी प्रोफ़ाइल पूरी करें।',
+        client: 'अपना पहला प्रोजेक्ट पोस्ट करें और ऐसे कुशल फ़्रीलांसरों से जुड़ें जो आपके विचारों को साकार कर सकें।'
+      },
+      help: 'शुरुआत में मदद चाहिए? हमारा {{link}} देखें या हमारी सहायता टीम से संपर्क करें।',
+      helpText: 'शुरुआत में मदद चाहिए? हमारा सहायता केंद्र देखें या हमारी सहायता टीम से संपर्क करें।',
+      helpCenter: 'सहायता केंद्र',
+      community: 'WebSphere समुदाय में आपका स्वागत है!'
+    },
+
+    passwordReset: {
+      subject: 'अपना WebSphere पासवर्ड रीसेट करें',
+      title: 'अपना WebSphere पासवर्ड रीसेट करें',
+      heading: 'अपना पासवर्ड रीसेट करें',
+      intro: 'हमें आपके WebSphere खाते का पासवर्ड रीसेट करने का अनुरोध मिला है। अगर यह अनुरोध आपने किया है, तो पासवर्ड रीसेट करने के लिए नीचे दिए गए बटन पर क्लिक करें:',
+      introText: 'हमें आपके WebSphere खाते का पासवर्ड रीसेट करने का अनुरोध मिला है। अगर यह अनुरोध आपने किया है, तो पासवर्ड रीसेट करने के लिए यह लिंक खोलें:',
+      button: 'पासवर्ड रीसेट करें',
+      securityHeading: 'महत्वपूर्ण सुरक्षा जानकारी:',
+      security: [
+        'यह रीसेट लिंक 1 घंटे में समाप्त हो जाएगा',
+        'इस लिंक का उपयोग केवल एक बार किया जा सकता है',
+        'नया पासवर्ड बनाने तक आपका खाता सुरक्षित रहेगा'
+      ],
+      notYouLabel: 'यह अनुरोध आपने नहीं किया?',
+      notYou: 'अगर आपने पासवर्ड रीसेट का अनुरोध नहीं किया है, तो इस ईमेल को अनदेखा करें। आपका पासवर्ड नहीं बदलेगा और आपका खाता सुरक्षित है।',
+      adviceHeading: 'सुरक्षा के लिए हमारी सलाह:',
+      advice: [
+        'एक मज़बूत और अलग पासवर्ड रखें',
+        'अपना पासवर्ड किसी के साथ साझा न करें',
+        'साझा उपकरणों से लॉग आउट करें'
+      ]
+    },
+
+    deactivation: {
+      subject: 'WebSphere फ़्रीलांसर खाता निष्क्रिय किया गया',
+      title: 'फ़्रीलांसर खाता निष्क्रिय किया गया - WebSphere',
+      heading: 'फ़्रीलांसर खाता निष्क्रिय किया गया',
+      intro: 'हम आपको सूचित करना चाहते हैं कि हमारी प्रशासन टीम ने आपका WebSphere फ़्रीलांसर खाता निष्क्रिय कर दिया है।',
+      status: 'खाते की स्थिति: निष्क्रिय',
+      dateLabel: 'तारीख:',
+      reasonLabel: 'कारण:',
+      defaultReason: 'प्रशासनिक निर्णय',
+      reviewHeading: 'प्रदर्शन समीक्षा',
+      currentRating: 'वर्तमान रेटिंग:',
+      ratingValue: {
+        one: '{{rating}}/5.0 स्टार ({{count}} समीक्षा)',
+        other: '{{rating}}/5.0 स्टार ({{count}} समीक्षाएँ)'
+      },
+      completedProjects: 'पूरे किए गए प्रोजेक्ट:',
+      minimumRequired: 'न्यूनतम आवश्यक:',
+      minimumValue: 'खाता बनाए रखने के लिए 2.5/5.0 स्टार',
+      meaningHeading: 'इसका मतलब है:',
+      meaning: [
+        'अब आप अपने WebSphere खाते में लॉग इन नहीं कर सकते',
+        'आपकी प्रोफ़ाइल अब क्लाइंट को नहीं दिखती',
+        'आप नए प्रोजेक्ट पर बोली नहीं लगा सकते और न ही प्रोजेक्ट आमंत्रण पा सकते हैं',
+        'चल रहे प्रोजेक्ट प्रभावित हो सकते हैं'
+      ],
+      standardsHeading: 'हमारे गुणवत्ता मानकों के बारे में:',
+      standards: 'WebSphere अपने क्लाइंट को सबसे अच्छा अनुभव देने के लिए उच्च गुणवत्ता मानक बनाए रखता है। फ़्रीलांसरों से अपेक्षा है कि वे अपने पूरे किए गए प्रोजेक्ट पर कम से कम 2.5 स्टार की रेटिंग बनाए रखें। इससे हम अपने क्लाइंट को भरोसेमंद और पेशेवर सेवाएँ दे पाते हैं।',
+      mistakeHeading: 'अगर आपको लगता है कि यह गलती है:',
+      mistake: 'कृपया अपने खाते के विवरण और संबंधित जानकारी के साथ हमारी सहायता टीम से {{email}} पर संपर्क करें।',
+      mistakeRating: 'अगर आपको लगता है कि आपकी रेटिंग अधिक होनी चाहिए, तो अपने हाल के प्रोजेक्ट और क्लाइंट की प्रतिक्रिया का विवरण भी भेजें।',
+      apology: 'आपकी समझ के लिए धन्यवाद। इससे होने वाली किसी भी असुविधा के लिए हमें खेद है।',
+      automatedText: 'यह WebSphere का एक स्वचालित संदेश है।',
+      questionsText: 'कोई प्रश्न हो तो support@websphere.com पर संपर्क करें'
+    },
+
+    newDevice: {
+      subject: 'आपके WebSphere खाते में नया साइन-इन',
+      title: 'आपके WebSphere खाते में नया साइन-इन',
+      heading: 'आपके खाते में नया साइन-इन',
+      intro: 'आपके WebSphere खाते में अभी एक ऐसे उपकरण से साइन इन किया गया है जो हमने पहले नहीं देखा।',
+      device: 'उपकरण:',
+      ip: 'IP पता:',
+      unknownIp: 'अज्ञात',
+      time: 'समय:',
+      ifYou: 'अगर यह आप थे, तो कुछ करने की ज़रूरत नहीं है।',
+      notYouLabel: 'यह आप नहीं थे?',
+      notYou: 'साइन इन करें, अपने खाते के मेनू से {{menu}} खोलें और उस उपकरण को साइन आउट करें, फिर अपना पासवर्ड बदलें और टू-फ़ैक्टर ऑथेंटिकेशन चालू करें।',
+      menu: 'सत्र और लॉगिन गतिविधि'
+    },
+
+    escrow: {
+      paymentReceived: {
+        subject: 'इनवॉइस {{number}} - "{{milestone}}" के लिए भुगतान प्राप्त हुआ',
+        title: 'भुगतान प्राप्त हुआ',
+        intro: 'हमें माइलस्टोन "{{milestone}}" के लिए आपका {{amount}} का भुगतान मिल गया है। काम स्वीकृत होने तक माइलस्टोन की राशि एस्क्रो में रखी जाएगी।',
+        attached: 'आपके रिकॉर्ड के लिए आपका इनवॉइस {{number}} संलग्न है।'
+      },
+      paymentReleased: {
+        subject: 'रसीद {{number}} - "{{milestone}}" का भुगतान जारी किया गया',
+        title: 'भुगतान जारी किया गया',
+        intro: 'माइलस्टोन "{{milestone}}" की एस्क्रो राशि {{freelancer}} को जारी कर दी गई है।',
+        attached: 'आपके रिकॉर्ड के लिए आपकी रसीद {{number}} संलग्न है।'
+      },
+      refundProcessed: {
+        subject: '"{{milestone}}" का रिफ़ंड हो गया है',
+        title: 'रिफ़ंड हो गया',
+        intro: 'माइलस्टोन "{{milestone}}" के {{amount}} आपके मूल भुगतान माध्यम में वापस कर दिए गए हैं।'
+      },
+      disputeResolved: {
+        subject: '"{{milestone}}" का विवाद सुलझा दिया गया',
+        title: 'विवाद सुलझा दिया गया',
+        intro: 'माइलस्टोन "{{milestone}}" के भुगतान विवाद का निपटारा कर दिया गया है।',
+        freelancerShare: 'फ़्रीलांसर को ({{percentage}}%):',
+        clientRefund: 'क्लाइंट को रिफ़ंड:',
+        notes: 'एडमिन की टिप्पणी:',
+        refundPending: 'रिफ़ंड प्रक्रिया में है। पेमेंट गेटवे से पुष्टि होते ही हम आपको फिर से ईमेल करेंगे।'
+      },
+      milestoneAmount: 'माइलस्टोन राशि:',
+      platformFee: 'प्लेटफ़ॉर्म शुल्क (GST सहित):',
+      total: 'कुल:'
+    }
+  }
+};
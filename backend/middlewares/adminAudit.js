@@ -0,0 +1,128 @@
+const AuditService = require('../services/auditService');
+const SessionService = require('../services/sessionService');
+
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const adminIdOf = (req) => req.user?.userId || req.user?.id;
+
+// Reload the target once the handler is done, for the "after" side of the diff
+const loadAfter = async (context) => {
+  if (!context.model || !context.targetId) return null;
+  try {
+    return await context.model.findById(context.targetId).lean();
+  } catch (error) {
+    return null;
+  }
+};
+
+const writeRequestEntry = async (req, res, context) => {
+  // A service already wrote a more detailed entry for this action
+  if (context.recorded) return;
+
+  // Only admins' actions are audited; requests rejected by auth/isAdmin have no admin
+  const actor = adminIdOf(req);
+  if (!actor || req.user.role !== 'admin') return;
+
+  const outcome = res.statusCode < 400 ? 'success' : 'failure';
+
+  // Creates only know their target from the response
+  if (!context.targetId && context.model && outcome === 'success' && context.response?.data?._id) {
+    context.targetId = String(context.response.data._id);
+  }
+
+  const after = outcome === 'success' ? await loadAfter(context) : context.before;
+
+  await AuditService.record({
+    actor,
+    action: context.action || `${req.method} ${req.baseUrl}${req.route?.path || req.path}`,
+    outcome,
+    targetType: context.targetType,
+    targetId: context.targetId,
+    targetLabel: AuditService.describeTarget(after || context.before),
+    before: context.before,
+    after,
+    message: context.response?.message,
+    statusCode: res.statusCode
+  }, context);
+};
+
+/**
+ * Audits every request that changes something. Mount it before the admin
+ * routes: it opens the audit context services record into, and once the
+ * response is sent writes an entry for the action - success or failure -
+ * unless a service already did.
+ */
+const auditAdminRequests = (req, res, next) => {
+  if (READ_ONLY_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  const context = {
+    ip: SessionService.getClientIp(req),
+    userAgent: req.headers?.['user-agent'] || '',
+    method: req.method,
+    path: req.originalUrl,
+    recorded: false
+  };
+  req.audit = context;
+
+  // Keep the response body for the entry's message and created record id
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    context.response = body;
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    writeRequestEntry(req, res, context).catch(error => {
+      console.error('❌ Error writing admin audit entry:', error);
+    });
+  });
+
+  AuditService.runWithContext(context, next);
+};
+
+/**
+ * Names the action a route performs and snapshots its target before the
+ * handler runs. Goes after authenticate/isAdmin.
+ *
+ * @param {string} action - e.g. 'user.deactivate'
+ * @param {Object} [options]
+ * @param {mongoose.Model} [options.model] - model of the record acted on
+ * @param {string} [options.param] - route param holding its id; leave out for creates
+ * @param {Function} [options.reason] - req => reason; defaults to req.body.reason
+ */
+const auditAction = (action, options = {}) => async (req, res, next) => {
+  const context = req.audit;
+  if (!context) {
+    return next();
+  }
+
+  context.action = action;
+  context.actor = adminIdOf(req);
+  context.reason = options.reason ? options.reason(req) : req.body?.reason;
+
+  if (options.model) {
+    context.model = options.model;
+    context.targetType = options.model.modelName;
+  }
+
+  if (options.param) {
+    context.targetId = req.params[options.param];
+    if (options.model) {
+      try {
+        context.before = await options.model.findById(context.targetId).lean();
+      } catch (error) {
+        // Bad id: the handler answers it, the entry just has no before state
+        context.before = null;
+      }
+    }
+  }
+
+  next();
+};
+
+module.exports = {
+  auditAdminRequests,
+  auditAction
+};
@@ -0,0 +1,67 @@
+const User = require('../models/User');
+const { adminRoleOf, permissionsFor } = require('../utils/adminRoles');
+
+// The admin's role and permissions, read once per request so role changes apply immediately
+const loadAdminAccess = async (req) => {
+  if (!req.adminAccess) {
+    const userId = req.user?.userId || req.user?.id;
+    const user = userId
+      ? await User.findById(userId).select('role adminRole adminPermissions isActive isDeleted').lean()
+      : null;
+
+    req.adminAccess = {
+      isAdmin: permissionsFor(user).length > 0,
+      adminRole: user?.role === 'admin' ? adminRoleOf(user) : null,
+      permissions: permissionsFor(user)
+    };
+  }
+  return req.adminAccess;
+};
+
+/**
+ * Admin-only route guard. Goes after authenticate (or auth()). With no
+ * arguments any admin passes; otherwise the admin needs every permission listed.
+ *
+ *   requirePermission('users.delete')
+ *   requirePermission('escrows.view', 'ledger.view')
+ */
+const requirePermission = (...permissions) => async (req, res, next) => {
+  try {
+    if (req.user?.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    const access = await loadAdminAccess(req);
+    if (!access.isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    const missing = permissions.filter(permission => !access.permissions.includes(permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Your admin role does not allow this action.',
+        missingPermissions: missing
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('❌ Error checking admin permissions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking admin permissions'
+    });
+  }
+};
+
+module.exports = {
+  requirePermission,
+  loadAdminAccess
+};
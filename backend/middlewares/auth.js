@@ -1,5 +1,21 @@
 // backend/middleware/auth.js
 const jwt = require('jsonwebtoken');
+const LoginSession = require('../models/LoginSession');
+
+const verifyToken = (token) => jwt.verify(
+  token,
+  process.env.JWT_SECRET || 'your_jwt_secret_key'
+);
+
+/**
+ * Tokens carry the id of their login session (`sid`), so signing a device out
+ * takes effect immediately. Tokens issued before sessions were tracked have
+ * no sid and are accepted until they expire.
+ */
+const isTokenSessionActive = async (decoded) => {
+  if (!decoded.sid) return true;
+  return LoginSession.isTokenSessionActive(decoded.sid, decoded.userId);
+};
 
 /**
  * Authentication and Authorization Middleware
@@ -11,7 +27,7 @@ const jwt = require('jsonwebtoken');
  *   auth(['client', 'admin']) - Clients or admins
  *   auth(['freelancer'])      - Only freelancers
  */
-const auth = (allowedRoles = []) => (req, res, next) => {
+const auth = (allowedRoles = []) => async (req, res, next) => {
   try {
     // Check if authorization header exists
     const authHeader = req.headers.authorization;
@@ -34,10 +50,7 @@ const auth = (allowedRoles = []) => (req, res, next) => {
     }
 
     // Verify JWT token
-    const decoded = jwt.verify(
-      token,
-      process.env.JWT_SECRET || 'your_jwt_secret_key'
-    );
+    const decoded = verifyToken(token);
 
     // Check if user has required role (if roles are specified)
     if (allowedRoles.length > 0 && !allowedRoles.includes(decoded.role)) {
@@ -47,10 +60,19 @@ const auth = (allowedRoles = []) => (req, res, next) => {
       });
     }
 
+    if (!(await isTokenSessionActive(decoded))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your session has ended. Please login again.',
+        sessionRevoked: true
+      });
+    }
+
     // Attach user info to request object
     req.user = {
       userId: decoded.userId,
       role: decoded.role,
+      sessionId: decoded.sid || null,
       iat: decoded.iat,
       exp: decoded.exp
     };
@@ -91,6 +113,39 @@ const auth = (allowedRoles = []) => (req, res, next) => {
   }
 };
 
+/**
+ * Socket.IO handshake middleware. Clients send the same JWT as the REST API:
+ *   io(url, { auth: { token } })
+ * The decoded user is available as socket.data.user for every event handler.
+ */
+const socketAuth = async (socket, next) => {
+  const authHeader = socket.handshake.headers?.authorization;
+  const token = socket.handshake.auth?.token ||
+    (authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null);
+
+  if (!token) {
+    return next(new Error('Unauthorized: No token provided'));
+  }
+
+  try {
+    const decoded = verifyToken(token);
+    if (!(await isTokenSessionActive(decoded))) {
+      return next(new Error('Your session has ended. Please login again.'));
+    }
+
+    socket.data.user = {
+      userId: String(decoded.userId),
+      role: decoded.role,
+      sessionId: decoded.sid || null
+    };
+    next();
+  } catch (error) {
+    next(new Error(error.name === 'TokenExpiredError'
+      ? 'Token expired. Please login again.'
+      : 'Invalid token. Please login again.'));
+  }
+};
+
 // Optional: Export individual role-specific middlewares for convenience
 const requireAuth = auth();
 const requireClient = auth(['client']);
@@ -100,6 +155,9 @@ const requireClientOrAdmin = auth(['client', 'admin']);
 
 module.exports = {
   auth,
+  socketAuth,
+  verifyToken,
+  isTokenSessionActive,
   requireAuth,
   requireClient,
   requireFreelancer,
@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
+const { isTokenSessionActive } = require('./auth');
 
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
   const authHeader = req.headers.authorization;
 
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -11,6 +12,9 @@ const authenticate = (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret_key');
+    if (!(await isTokenSessionActive(decoded))) {
+      return res.status(401).json({ success: false, message: 'Your session has ended. Please login again.', sessionRevoked: true });
+    }
     req.user = decoded;
     next();
   } catch (err) {
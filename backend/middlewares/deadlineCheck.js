@@ -1,6 +1,7 @@
 const Milestone = require('../models/Milestone');
 const User = require('../models/User');
 const { sendEmail } = require('../utils/brevoEmailService');
+const { formatUserDate, formatUserMoney } = require('../utils/userLocale');
 
 /**
  * Middleware to check for overdue milestones and send notifications
@@ -37,8 +38,8 @@ const checkMilestoneDeadlines = async () => {
                 <p>The following milestone is now overdue:</p>
                 <div style="background: #fee2e2; border: 1px solid #fecaca; padding: 15px; border-radius: 8px; margin: 15px 0;">
                   <h3 style="color: #dc2626; margin: 0 0 10px 0;">${milestone.title}</h3>
-                  <p><strong>Due Date:</strong> ${milestone.dueDate.toDateString()}</p>
-                  <p><strong>Amount:</strong> ₹${milestone.amount}</p>
+                  <p><strong>Due Date:</strong> ${formatUserDate(milestone.dueDate, freelancer)}</p>
+                  <p><strong>Amount:</strong> ${formatUserMoney(milestone.amount, milestone.currency, freelancer)}</p>
                 </div>
                 <p><strong>Next Steps:</strong></p>
                 <ul>
@@ -86,8 +87,8 @@ const checkMilestoneDeadlines = async () => {
                 <p>Payment for the following milestone is now overdue:</p>
                 <div style="background: #fee2e2; border: 1px solid #fecaca; padding: 15px; border-radius: 8px; margin: 15px 0;">
                   <h3 style="color: #dc2626; margin: 0 0 10px 0;">${milestone.title}</h3>
-                  <p><strong>Payment Due Date:</strong> ${milestone.paymentDueDate.toDateString()}</p>
-                  <p><strong>Amount Due:</strong> ₹${milestone.amount}</p>
+                  <p><strong>Payment Due Date:</strong> ${formatUserDate(milestone.paymentDueDate, client)}</p>
+                  <p><strong>Amount Due:</strong> ${formatUserMoney(milestone.amount, milestone.currency, client)}</p>
                 </div>
                 <p><strong>Important:</strong> Please make the payment immediately to maintain project timeline and avoid delays.</p>
                 <p>Log in to your dashboard to complete the payment.</p>
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// One field an admin action changed. Values are copied as they were, except
+// secrets (see services/auditService), which only show that they changed.
+const auditChangeSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Who did what to which record, from where and why. Written for every
+// privileged admin action, successful or not. Entries are never edited.
+const adminAuditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Copied so the entry still reads correctly if the admin account is deleted
+  actorEmail: String,
+  actorName: String,
+
+  // e.g. 'user.deactivate', 'escrow.release'
+  action: {
+    type: String,
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    default: 'success'
+  },
+
+  // The record acted on (none for bulk actions)
+  targetType: String,
+  targetId: String,
+  targetLabel: String,
+
+  changes: [auditChangeSchema],
+  reason: String,
+  // The response message, e.g. 'Deleted 4 freelancer accounts for testing'
+  message: String,
+
+  // Request the action came from (empty when a service was called directly)
+  ip: String,
+  userAgent: String,
+  method: String,
+  path: String,
+  statusCode: Number
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+adminAuditLogSchema.index({ createdAt: -1 });
+adminAuditLogSchema.index({ action: 1, createdAt: -1 });
+adminAuditLogSchema.index({ actor: 1, createdAt: -1 });
+adminAuditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// Immutable: block edits and deletes
+adminAuditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be changed'));
+  }
+  next();
+});
+
+const blockMutation = function(next) {
+  next(new Error('Audit log entries cannot be changed'));
+};
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'
+].forEach(operation => {
+  adminAuditLogSchema.pre(operation, blockMutation);
+});
+
+module.exports = mongoose.model('AdminAuditLog', adminAuditLogSchema);
@@ -53,7 +53,12 @@ const applicationSchema = new mongoose.Schema(
       default: false
     },
     viewedAt: Date,
-    respondedAt: Date
+    respondedAt: Date,
+    // Set when the application came from accepting a client's invitation
+    invitation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invitation'
+    }
   },
   { 
     timestamps: true 
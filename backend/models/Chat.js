@@ -1,5 +1,18 @@
 const mongoose = require('mongoose');
 
+// Emoji a message can be reacted with
+const MESSAGE_REACTIONS = ['👍', '❤️', '😂', '🎉', '😮', '🙏'];
+
+// Offer state machine: every offer starts pending and ends in exactly one of the other states
+const OFFER_STATUSES = ['pending', 'accepted', 'declined', 'countered', 'withdrawn', 'expired'];
+// Response action -> status it moves a pending offer to
+const OFFER_ACTIONS = {
+  accept: 'accepted',
+  decline: 'declined',
+  counter: 'countered',
+  withdraw: 'withdrawn'
+};
+
 const chatSchema = new mongoose.Schema(
   {
     project: {
@@ -61,9 +74,18 @@ const messageSchema = new mongoose.Schema(
     },
     content: {
       type: String,
-      required: true,
+      // Deleted messages keep their place in the thread with the content cleared
+      required: function() {
+        return !this.deleted;
+      },
       maxlength: 10000
     },
+    // Message this one replies to (same chat)
+    replyTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      default: null
+    },
     messageType: {
       type: String,
       enum: ['text', 'file', 'system', 'offer'],
@@ -80,16 +102,41 @@ const messageSchema = new mongoose.Schema(
     offerDetails: {
       proposedRate: Number,
       timeline: String,
-      description: String
+      description: String,
+      // Proposed milestone breakdown, seeded into the workspace when the offer is accepted
+      milestones: [{
+        title: String,
+        description: String,
+        amount: Number,
+        dueDate: Date
+      }]
     },
     // Offer negotiation status
     offerStatus: {
       type: String,
-      enum: ['pending', 'accepted', 'declined'],
+      enum: OFFER_STATUSES,
       default: function() {
         return this.messageType === 'offer' ? 'pending' : undefined;
       }
     },
+    // First offer of the negotiation; shared by every counter-offer in the thread
+    negotiationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      default: null
+    },
+    // The offer this one counters
+    counterOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      default: null
+    },
+    offerExpiresAt: Date,
+    offerRespondedAt: Date,
+    offerRespondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     // Message status
     readBy: [{
       user: {
@@ -121,7 +168,41 @@ const messageSchema = new mongoose.Schema(
       type: Boolean,
       default: false
     },
-    editedAt: Date
+    editedAt: Date,
+    // Previous versions, oldest first
+    editHistory: [{
+      content: String,
+      editedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    reactions: [{
+      emoji: {
+        type: String,
+        enum: MESSAGE_REACTIONS,
+        required: true
+      },
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      reactedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    // Tombstone: a deleted message stays in the thread so replies still make sense
+    deleted: {
+      type: Boolean,
+      default: false
+    },
+    deletedAt: Date,
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
   },
   { 
     timestamps: true 
@@ -134,8 +215,124 @@ chatSchema.index({ application: 1 });
 chatSchema.index({ 'participants.user': 1 });
 chatSchema.index({ lastActivity: -1 });
 
-messageSchema.index({ chat: 1, createdAt: -1 });
+// _id breaks createdAt ties for history cursors
+messageSchema.index({ chat: 1, createdAt: -1, _id: -1 });
 messageSchema.index({ sender: 1 });
+messageSchema.index({ replyTo: 1 });
+messageSchema.index({ negotiationId: 1, createdAt: 1 });
+messageSchema.index({ messageType: 1, offerStatus: 1, offerExpiresAt: 1 });
+
+// A new offer starts its own negotiation thread
+messageSchema.pre('validate', function(next) {
+  if (this.messageType === 'offer' && !this.negotiationId) {
+    this.negotiationId = this._id;
+  }
+  next();
+});
+
+/**
+ * Only the sender can edit or delete, and only their own text messages.
+ * Offers and system messages are part of the negotiation record.
+ */
+messageSchema.methods.canModify = function(userId) {
+  return !this.deleted &&
+    this.messageType === 'text' &&
+    (this.sender?._id || this.sender).toString() === userId.toString();
+};
+
+/**
+ * Replace the content, keeping the previous version in editHistory.
+ * Returns false when the content didn't change.
+ */
+messageSchema.methods.applyEdit = function(content) {
+  if (content === this.content) return false;
+
+  this.editHistory.push({ content: this.content, editedAt: new Date() });
+  this.content = content;
+  this.edited = true;
+  this.editedAt = new Date();
+  // The AI summary described the old wording
+  this.aiSummary = null;
+  this.aiActionItems = [];
+  this.aiGeneratedAt = null;
+  return true;
+};
+
+/**
+ * Turn the message into a tombstone. Content, attachments, history and
+ * reactions are removed; who deleted it and when are kept.
+ */
+messageSchema.methods.tombstone = function(userId) {
+  this.deleted = true;
+  this.deletedAt = new Date();
+  this.deletedBy = userId;
+  this.content = '';
+  this.attachments = [];
+  this.editHistory = [];
+  this.reactions = [];
+  this.aiSummary = null;
+  this.aiActionItems = [];
+};
+
+/**
+ * Add the user's reaction, or remove it if they already reacted with that emoji.
+ * Returns true when the reaction was added.
+ */
+messageSchema.methods.toggleReaction = function(emoji, userId) {
+  const existing = this.reactions.find(
+    r => r.emoji === emoji && r.user.toString() === userId.toString()
+  );
+
+  if (existing) {
+    this.reactions.pull(existing._id);
+    return false;
+  }
+
+  this.reactions.push({ emoji, user: userId });
+  return true;
+};
+
+/**
+ * Why `action` (accept, decline, counter, withdraw) can't be applied to this
+ * offer by this user, or null when it can. Only the sender can withdraw; only
+ * the other side can accept, decline or counter.
+ */
+messageSchema.methods.offerTransitionError = function(action, userId, now = new Date()) {
+  if (this.messageType !== 'offer') {
+    return 'This message is not an offer';
+  }
+  if (!OFFER_ACTIONS[action]) {
+    return `Invalid action. Must be one of: ${Object.keys(OFFER_ACTIONS).join(', ')}`;
+  }
+  if (this.offerStatus !== 'pending') {
+    return `This offer has already been ${this.offerStatus}`;
+  }
+  if (this.offerExpiresAt && this.offerExpiresAt <= now) {
+    return 'This offer has expired';
+  }
+
+  const isSender = (this.sender?._id || this.sender).toString() === userId.toString();
+  if (action === 'withdraw' && !isSender) {
+    return 'Only the person who made an offer can withdraw it';
+  }
+  if (action !== 'withdraw' && isSender) {
+    return 'You cannot respond to your own offer';
+  }
+  return null;
+};
+
+/**
+ * Move a pending offer to the status for `action`
+ */
+messageSchema.methods.applyOfferAction = function(action, userId) {
+  this.offerStatus = OFFER_ACTIONS[action];
+  this.offerRespondedAt = new Date();
+  this.offerRespondedBy = userId;
+};
+
+messageSchema.statics.REACTIONS = MESSAGE_REACTIONS;
+messageSchema.statics.OFFER_STATUSES = OFFER_STATUSES;
+messageSchema.statics.OFFER_ACTIONS = OFFER_ACTIONS;
 
 const Chat = mongoose.model('Chat', chatSchema);
 const Message = mongoose.model('Message', messageSchema);
@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+
+// Workspace files or deliverables referenced as evidence
+const attachmentSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['file', 'deliverable'],
+    required: true
+  },
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WorkspaceFile'
+  },
+  deliverable: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deliverable'
+  },
+  name: String, // Snapshot so the thread still reads if the source is deleted
+  url: String
+}, { _id: false });
+
+const disputeMessageSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  authorRole: {
+    type: String,
+    enum: ['client', 'freelancer', 'admin'],
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['evidence', 'info-request', 'note', 'resolution'],
+    default: 'evidence'
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 5000
+  },
+  attachments: [attachmentSchema],
+
+  // Only set on info-request messages
+  requestedFrom: {
+    type: String,
+    enum: ['client', 'freelancer', 'both']
+  },
+  responseDeadline: Date
+}, {
+  timestamps: true
+});
+
+const disputeSchema = new mongoose.Schema({
+  escrow: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Escrow',
+    required: true
+  },
+  milestone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Milestone',
+    required: true
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  freelancer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  raisedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  },
+
+  // open -> awaiting-response (admin asked for info) -> open ... -> resolved
+  status: {
+    type: String,
+    enum: ['open', 'awaiting-response', 'resolved'],
+    default: 'open'
+  },
+
+  // Outstanding admin request for more information
+  pendingRequest: {
+    requestedFrom: {
+      type: String,
+      enum: ['client', 'freelancer', 'both']
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: Date,
+    responseDeadline: Date,
+    respondedBy: [{ type: String, enum: ['client', 'freelancer'] }],
+    overdueNotified: { type: Boolean, default: false }
+  },
+
+  messages: [disputeMessageSchema],
+
+  resolution: {
+    freelancerPercentage: Number,
+    freelancerAmount: Number,
+    clientRefundAmount: Number,
+    notes: String,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+disputeSchema.index({ escrow: 1, createdAt: -1 });
+disputeSchema.index({ workspace: 1, createdAt: -1 });
+disputeSchema.index({ status: 1, 'pendingRequest.responseDeadline': 1 });
+
+// Roles still expected to answer the outstanding info request
+disputeSchema.methods.getAwaitingRoles = function() {
+  const request = this.pendingRequest;
+  if (this.status !== 'awaiting-response' || !request?.requestedFrom) return [];
+
+  const roles = request.requestedFrom === 'both' ? ['client', 'freelancer'] : [request.requestedFrom];
+  return roles.filter(role => !(request.respondedBy || []).includes(role));
+};
+
+module.exports = mongoose.model('Dispute', disputeSchema);
@@ -1,4 +1,37 @@
 const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES } = require('../utils/currency');
+
+// A refund issued through the payment gateway
+const refundSchema = new mongoose.Schema({
+  refundId: String, // Razorpay refund ID (rfnd_...)
+  idempotencyKey: String, // Sent as the refund receipt; one refund per key
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processed', 'failed'],
+    default: 'pending'
+  },
+  gatewayStatus: String, // Raw status reported by Razorpay
+  reason: String,
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  processedAt: Date,
+  failureReason: String,
+  retried: {
+    type: Boolean,
+    default: false // Set once a failed refund has been re-issued
+  }
+}, { _id: true });
 
 const escrowSchema = new mongoose.Schema({
   milestone: {
@@ -50,11 +83,44 @@ const escrowSchema = new mongoose.Schema({
     required: true,
     min: 0 // Amount that will be released to freelancer
   },
+
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: 'INR'
+  },
+  // Exchange rate to the base currency when the order was created. Wallet credits and
+  // revenue reports convert with this rate rather than today's.
+  fxSnapshot: {
+    baseCurrency: String,
+    rateToBase: Number,
+    provider: String,
+    asOf: Date
+  },
+
+  // Fee schedule the service charge was calculated under (version 0 = built-in tiers)
+  feeSchedule: {
+    schedule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FeeSchedule'
+    },
+    version: Number,
+    name: String,
+    minimumCharge: Number,
+    category: String,
+    categoryOverride: Boolean,
+    promoCode: String,
+    discount: {
+      type: Number,
+      default: 0
+    }
+  },
   
   // Escrow status tracking
   status: {
     type: String,
-    enum: ['pending', 'active', 'released', 'disputed', 'refunded', 'cancelled'],
+    // 'resolving' is held while an admin's dispute resolution is being applied
+    enum: ['pending', 'active', 'released', 'disputed', 'resolving', 'refund-pending', 'refunded', 'partially-refunded', 'cancelled'],
     default: 'pending'
   },
   
@@ -134,6 +200,10 @@ const escrowSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User' // Admin who resolved dispute
   },
+  dispute: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dispute' // Evidence thread for the current dispute
+  },
   
   // Refund tracking
   refundedAt: Date,
@@ -142,7 +212,24 @@ const escrowSchema = new mongoose.Schema({
     ref: 'User' // Admin who processed refund
   },
   refundReason: String,
-  refundAmount: Number,
+  refundAmount: Number, // Amount confirmed refunded by the gateway
+  refundStatus: {
+    type: String,
+    enum: ['none', 'pending', 'processed', 'failed'],
+    default: 'none'
+  },
+  refunds: [refundSchema],
+
+  // How a disputed escrow was split between the parties
+  disputeSplit: {
+    freelancerPercentage: Number,
+    freelancerAmount: Number,
+    clientRefundAmount: Number,
+    platformFeeRetained: Number
+  },
+  // When the freelancer's share of a dispute was credited. Claimed before crediting,
+  // so a resolution retried after a failure can't credit the freelancer twice.
+  disputeCreditedAt: Date,
   
   // Notifications
   notificationsSent: {
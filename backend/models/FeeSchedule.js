@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const Project = require('./Project');
+
+const PROJECT_CATEGORIES = Project.schema.path('category').enumValues;
+
+// Budget band: projects with a budget below `upTo` pay `percentage`. The last tier has no upper bound.
+const tierSchema = new mongoose.Schema({
+  upTo: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  percentage: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 20
+  }
+}, { _id: false });
+
+// A flat rate for one project category, replacing the budget tiers
+const categoryOverrideSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    enum: PROJECT_CATEGORIES,
+    required: true
+  },
+  percentage: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 20
+  },
+  minimumCharge: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+// Versioned service-charge schedule. The schedule with the latest effectiveFrom that has
+// already started is the one in force; a schedule can only be edited before it starts so
+// every escrow's snapshotted version keeps describing what the client was actually charged.
+const feeScheduleSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  tiers: {
+    type: [tierSchema],
+    required: true
+  },
+  // Rate for payments whose project budget is unknown
+  defaultPercentage: {
+    type: Number,
+    default: 5,
+    min: 0,
+    max: 20
+  },
+  // Smallest fee charged per payment, whatever the percentage works out to
+  minimumCharge: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  categoryOverrides: [categoryOverrideSchema],
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+feeScheduleSchema.pre('validate', function(next) {
+  if (!this.tiers || this.tiers.length === 0) {
+    this.invalidate('tiers', 'At least one tier is required');
+    return next();
+  }
+
+  const bounded = this.tiers.slice(0, -1);
+  if (bounded.some(tier => tier.upTo === null || tier.upTo === undefined)) {
+    this.invalidate('tiers', 'Only the last tier can be open-ended');
+  } else if (bounded.some((tier, index) => index > 0 && tier.upTo <= bounded[index - 1].upTo)) {
+    this.invalidate('tiers', 'Tier limits must be in ascending order');
+  }
+
+  const lastTier = this.tiers[this.tiers.length - 1];
+  if (lastTier.upTo !== null && lastTier.upTo !== undefined) {
+    this.invalidate('tiers', 'The last tier must have no upper limit');
+  }
+
+  const categories = (this.categoryOverrides || []).map(override => override.category);
+  if (new Set(categories).size !== categories.length) {
+    this.invalidate('categoryOverrides', 'Each category can only be overridden once');
+  }
+
+  next();
+});
+
+feeScheduleSchema.methods.hasStarted = function(at = new Date()) {
+  return this.effectiveFrom <= at;
+};
+
+module.exports = mongoose.model('FeeSchedule', feeScheduleSchema);
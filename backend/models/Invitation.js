@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// A client asking a specific freelancer to apply to one of their projects
+const invitationSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true
+    },
+    client: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    freelancer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Personal note from the client
+    message: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'cancelled', 'expired'],
+      default: 'pending'
+    },
+    declineReason: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    respondedAt: Date,
+    // The application created when the freelancer accepts
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Application'
+    },
+    // Where the client found the freelancer, for matching analytics
+    source: {
+      type: String,
+      enum: ['browse', 'matching', 'other'],
+      default: 'other'
+    },
+    matchScore: {
+      type: Number,
+      min: 0,
+      max: 1
+    }
+  },
+  { timestamps: true }
+);
+
+// One invitation per freelancer per project
+invitationSchema.index({ project: 1, freelancer: 1 }, { unique: true });
+invitationSchema.index({ freelancer: 1, status: 1, createdAt: -1 });
+invitationSchema.index({ client: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Invitation', invitationSchema);
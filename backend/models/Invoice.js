@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// Billing details as they were when the document was issued
+const invoicePartySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  name: String,
+  email: String,
+  gstin: String,
+  address: String,
+  state: String
+}, { _id: false });
+
+// One invoice (escrow funded) and one receipt (escrow released) per escrow.
+// Everything needed to reprint the PDF is snapshotted so later profile or fee changes don't alter it.
+const invoiceSchema = new mongoose.Schema({
+  documentType: {
+    type: String,
+    enum: ['invoice', 'receipt'],
+    required: true
+  },
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  escrow: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Escrow',
+    required: true
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  milestone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Milestone'
+  },
+  projectTitle: String,
+  milestoneTitle: String,
+
+  platform: invoicePartySchema,
+  client: invoicePartySchema,
+  freelancer: invoicePartySchema,
+
+  sacCode: String,
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  amounts: {
+    milestoneAmount: { type: Number, required: true },
+    serviceChargePercentage: Number,
+    platformFee: { type: Number, required: true }, // GST-inclusive, as charged to the client
+    promoCode: String,
+    discount: { type: Number, default: 0 }, // Promo discount already taken off platformFee
+    taxableValue: Number,
+    taxRate: Number,
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    totalTax: { type: Number, default: 0 },
+    totalAmount: { type: Number, required: true },
+    amountToFreelancer: Number
+  },
+
+  payment: {
+    razorpayPaymentId: String,
+    razorpayOrderId: String,
+    paidAt: Date,
+    releasedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ escrow: 1, documentType: 1 }, { unique: true });
+invoiceSchema.index({ workspace: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Running invoice sequence, restarted every financial year (GST requires consecutive numbering per FY)
+const invoiceCounterSchema = new mongoose.Schema({
+  documentType: {
+    type: String,
+    enum: ['invoice', 'receipt'],
+    required: true
+  },
+  financialYear: {
+    type: String, // e.g. '2025-26'
+    required: true
+  },
+  sequence: {
+    type: Number,
+    default: 0
+  }
+});
+
+invoiceCounterSchema.index({ documentType: 1, financialYear: 1 }, { unique: true });
+
+module.exports = mongoose.model('InvoiceCounter', invoiceCounterSchema);
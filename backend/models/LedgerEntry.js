@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+// Platform chart of accounts
+// - gateway_clearing:   money sitting with Razorpay on the platform's behalf (asset)
+// - client_funds_held:  client money held in escrow (liability)
+// - freelancer_payable: earnings owed to freelancers (liability)
+// - platform_fees:      service charges earned by the platform (revenue)
+// - refunds_payable:    refunds owed to clients, awaiting the gateway (liability)
+const LEDGER_ACCOUNTS = [
+  'gateway_clearing',
+  'client_funds_held',
+  'freelancer_payable',
+  'platform_fees',
+  'refunds_payable'
+];
+
+const ledgerLineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: LEDGER_ACCOUNTS,
+    required: true
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Whose sub-ledger this line belongs to (client, freelancer), if any
+  party: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+// One balanced journal entry. Entries are never edited - mistakes are fixed with a reversing entry.
+const ledgerEntrySchema = new mongoose.Schema({
+  // Guards against posting the same money movement twice (e.g. webhook + verify race)
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  event: {
+    type: String,
+    enum: [
+      'escrow.funded',
+      'escrow.released',
+      'escrow.dispute_settled',
+      'refund.reserved',
+      'refund.processed',
+      'payout.completed',
+      'reversal'
+    ],
+    required: true
+  },
+  lines: {
+    type: [ledgerLineSchema],
+    validate: {
+      validator: (lines) => lines.length >= 2,
+      message: 'A ledger entry needs at least two lines'
+    }
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  memo: String,
+
+  // What the money movement relates to
+  escrow: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Escrow'
+  },
+  milestone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Milestone'
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace'
+  },
+  gatewayReference: String, // Razorpay payment/refund ID or payout provider ID
+  withdrawal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WithdrawalRequest'
+  },
+  reverses: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerEntry'
+  },
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // null for system/gateway postings
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+ledgerEntrySchema.index({ escrow: 1, createdAt: 1 });
+ledgerEntrySchema.index({ 'lines.account': 1 });
+ledgerEntrySchema.index({ event: 1, createdAt: -1 });
+
+// Debits must equal credits (compared in paise to dodge float drift)
+ledgerEntrySchema.pre('validate', function(next) {
+  const toPaise = (value) => Math.round((value || 0) * 100);
+  const debits = this.lines.reduce((sum, line) => sum + toPaise(line.debit), 0);
+  const credits = this.lines.reduce((sum, line) => sum + toPaise(line.credit), 0);
+
+  if (debits !== credits) {
+    this.invalidate('lines', `Unbalanced ledger entry: debits ${debits / 100} != credits ${credits / 100}`);
+  }
+
+  if (this.lines.some(line => (line.debit > 0) === (line.credit > 0))) {
+    this.invalidate('lines', 'Each ledger line must have exactly one of debit or credit');
+  }
+
+  next();
+});
+
+// Append-only: block edits and deletes
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Ledger entries are append-only; post a reversal instead'));
+  }
+  next();
+});
+
+const blockMutation = function(next) {
+  next(new Error('Ledger entries are append-only; post a reversal instead'));
+};
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'
+].forEach(operation => {
+  ledgerEntrySchema.pre(operation, blockMutation);
+});
+
+ledgerEntrySchema.statics.ACCOUNTS = LEDGER_ACCOUNTS;
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. Every API token carries the id of its session (the
+// `sid` claim), so revoking the session here signs that device out.
+// The session also backs the device's refresh token: each refresh moves
+// refreshGeneration on, and a refresh token from an earlier generation
+// showing up again means it was copied, so the session is revoked.
+const loginSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Random id kept in a long-lived cookie, so a browser is recognised across logins
+  deviceId: {
+    type: String,
+    required: true
+  },
+  deviceName: String,
+  browser: String,
+  os: String,
+  deviceType: {
+    type: String,
+    enum: ['desktop', 'mobile', 'tablet'],
+    default: 'desktop'
+  },
+  ip: String,
+  userAgent: String,
+  method: {
+    type: String,
+    enum: ['password', 'two-factor', 'google'],
+    default: 'password'
+  },
+  // express-session id for the same login, destroyed along with this session
+  expressSessionId: String,
+  lastActiveAt: {
+    type: Date,
+    default: Date.now
+  },
+  refreshGeneration: {
+    type: Number,
+    default: 0
+  },
+  refreshedAt: Date,
+  // Pushed forward on every refresh; a device unused for longer is signed out
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'revoked-all', 'password-change', 'deactivated', 'refresh-reuse', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+loginSessionSchema.index({ user: 1, revokedAt: 1, expiresAt: -1 });
+// Expired sessions are only kept for a while as history
+loginSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+loginSessionSchema.methods.isActive = function(now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+// lastActiveAt is written at most this often, so every API request doesn't write
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Used by the auth middlewares on every request that carries a session id.
+ * Returns false for sessions that were revoked, expired or belong to someone else.
+ */
+loginSessionSchema.statics.isTokenSessionActive = async function(sessionId, userId) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+
+  const session = await this.findOne({ _id: sessionId, user: userId })
+    .select('revokedAt expiresAt lastActiveAt');
+  if (!session || !session.isActive()) return false;
+
+  if (Date.now() - session.lastActiveAt.getTime() > TOUCH_INTERVAL_MS) {
+    this.updateOne({ _id: sessionId }, { lastActiveAt: new Date() })
+      .catch(error => console.error('Failed to update session activity:', error.message));
+  }
+  return true;
+};
+
+module.exports = mongoose.model('LoginSession', loginSessionSchema);
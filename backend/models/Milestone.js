@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES } = require('../utils/currency');
 
 const milestoneSchema = new mongoose.Schema({
   workspace: {
@@ -30,7 +31,7 @@ const milestoneSchema = new mongoose.Schema({
   currency: {
     type: String,
     default: 'INR',
-    enum: ['INR', 'USD', 'EUR', 'GBP']
+    enum: SUPPORTED_CURRENCIES
   },
   // Timeline and deadlines
   startDate: { type: Date },
@@ -75,7 +76,7 @@ const milestoneSchema = new mongoose.Schema({
   // Status tracking
   status: {
     type: String,
-    enum: ['pending', 'in-progress', 'review', 'approved', 'rejected', 'paid', 'payment-overdue'],
+    enum: ['pending', 'in-progress', 'review', 'approved', 'rejected', 'paid', 'payment-overdue', 'disputed', 'refunded'],
     default: 'pending'
   },
   
@@ -176,10 +177,19 @@ const milestoneSchema = new mongoose.Schema({
   paymentFailureReason: { type: String },
   paymentFailureCode: { type: String },
   
+  // Set on milestones raised from an approved hourly timesheet; the work is already approved,
+  // so funding the escrow releases it straight away
+  timesheet: {
+    weekStart: { type: Date },
+    hoursLogged: { type: Number },
+    billableHours: { type: Number },
+    hourlyRate: { type: Number }
+  },
+
   // Escrow fields (for advanced payment protection)
   escrowStatus: {
     type: String,
-    enum: ['none', 'pending', 'active', 'released', 'disputed', 'refunded'],
+    enum: ['none', 'pending', 'active', 'released', 'disputed', 'refund-pending', 'refunded', 'partially-refunded'],
     default: 'none'
   },
   escrowCreatedAt: { type: Date },
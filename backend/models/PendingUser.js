@@ -40,6 +40,12 @@ const pendingUserSchema = new mongoose.Schema({
     type: [String],
     default: []
   },
+
+  // Language picked while signing up, so the verification email and the
+  // account both start in it
+  preferences: {
+    language: { type: String, default: 'en' }
+  },
   
   // Verification fields
   verificationToken: {
@@ -86,6 +92,7 @@ pendingUserSchema.methods.toActualUser = function() {
     role: this.role,
     bio: this.bio || '',
     skills: this.skills || [],
+    preferences: { language: this.preferences?.language || 'en' },
     isVerified: true,
     verifiedAt: new Date(),
     verificationToken: null,
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// One open socket on one backend node. Nodes refresh lastBeat on a heartbeat;
+// a connection whose node stopped beating (crash, redeploy) is swept as offline.
+const presenceConnectionSchema = new mongoose.Schema({
+  user: {
+    type: String,
+    required: true,
+    index: true
+  },
+  socketId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nodeId: {
+    type: String,
+    required: true
+  },
+  lastBeat: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Safety net only: the heartbeat sweep removes stale connections long before this
+presenceConnectionSchema.index({ lastBeat: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// A video call that has been requested or is in progress. Shared so that the
+// caller and callee can be connected to different nodes.
+const callSessionSchema = new mongoose.Schema({
+  callId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  caller: {
+    type: String,
+    required: true
+  },
+  callee: {
+    type: String,
+    required: true
+  },
+  workspaceId: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active'],
+    default: 'pending'
+  },
+  startTime: Date
+}, {
+  timestamps: true
+});
+
+callSessionSchema.index({ caller: 1 });
+callSessionSchema.index({ callee: 1 });
+callSessionSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const PresenceConnection = mongoose.model('PresenceConnection', presenceConnectionSchema);
+const CallSession = mongoose.model('CallSession', callSessionSchema);
+
+module.exports = { PresenceConnection, CallSession };
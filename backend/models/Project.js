@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES } = require('../utils/currency');
 
 const projectSchema = new mongoose.Schema(
   {
@@ -15,7 +16,8 @@ const projectSchema = new mongoose.Schema(
     },
     description: {
       type: String,
-      required: [true, 'Project description is required'],
+      // Drafts can be saved before the description is written
+      required: [function() { return this.status !== 'draft'; }, 'Project description is required'],
       maxlength: 5_000
     },
     skills: [{ type: String, trim: true }],
@@ -30,6 +32,12 @@ const projectSchema = new mongoose.Schema(
       type: Number,
       min: 0
     },
+    // Budget, milestones and escrow payments are all in this currency
+    currency: {
+      type: String,
+      enum: SUPPORTED_CURRENCIES,
+      default: 'INR'
+    },
     // Optional: Budget range for more flexibility
     budgetMin: { type: Number, min: 0 },
     budgetMax: { type: Number, min: 0 },
@@ -79,9 +87,52 @@ const projectSchema = new mongoose.Schema(
     
     status: {
       type: String,
-      enum: ['open', 'in_progress', 'completed', 'cancelled', 'awarded'],
+      enum: ['draft', 'open', 'closed', 'in_progress', 'completed', 'cancelled', 'awarded'],
       default: 'open'
     },
+
+    // Lifecycle: drafts are published to 'open'; open projects can be closed
+    // (no longer taking applications) or cancelled, each with the client's reason
+    publishedAt: Date,
+    closedAt: Date,
+    closeReason: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    cancelledAt: Date,
+    cancelReason: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    // Set on projects created by reposting or duplicating another one
+    repostedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project'
+    },
+
+    // Edits made after the project was published, oldest first
+    revisions: [{
+      editedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      editedAt: { type: Date, default: Date.now },
+      changes: [{
+        _id: false,
+        field: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed
+      }],
+      // Changes to scope, budget or deadline; applicants are notified of these
+      material: { type: Boolean, default: false },
+      note: {
+        type: String,
+        trim: true,
+        maxlength: 500
+      }
+    }],
     
     // Award tracking fields
     awardedTo: {
@@ -100,6 +151,12 @@ const projectSchema = new mongoose.Schema(
       type: String,
       trim: true
     },
+    // Hourly contracts: finalRate is the hourly rate and approved weeks bill at most this many hours
+    weeklyHourLimit: {
+      type: Number,
+      min: 1,
+      max: 168
+    },
     awardedAt: {
       type: Date
     },
@@ -116,6 +173,16 @@ const projectSchema = new mongoose.Schema(
       type: String,
       enum: ['offer_accepted', 'award', 'manual'],
     },
+    // Milestone breakdown from the accepted offer, seeded into the workspace once it exists
+    agreedMilestones: [{
+      title: String,
+      description: String,
+      amount: Number,
+      dueDate: Date
+    }],
+    agreedMilestonesSeededAt: {
+      type: Date
+    },
     negotiationHistory: [{
       offeredBy: {
         type: mongoose.Schema.Types.ObjectId,
@@ -129,7 +196,11 @@ const projectSchema = new mongoose.Schema(
       timeline: String,
       status: {
         type: String,
-        enum: ['pending', 'accepted', 'declined']
+        enum: ['pending', 'accepted', 'declined', 'countered', 'withdrawn', 'expired']
+      },
+      offer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
       },
       respondedBy: {
         type: mongoose.Schema.Types.ObjectId,
@@ -155,6 +226,7 @@ const projectSchema = new mongoose.Schema(
       type: Number,
       min: 0
     },
+    feeScheduleVersion: Number, // Fee schedule the estimate above was quoted from
     
     // Optional future fields:
     // priority: {
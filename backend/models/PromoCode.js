@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const Project = require('./Project');
+
+// Promotional discount on the platform service charge. The milestone amount
+// itself is never discounted, so the freelancer is paid the same either way.
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Code can only contain letters, numbers, "-" and "_" (3-30 characters)']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  // Percent off the service charge, or a fixed amount off it
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: Date,
+  // Empty means the code works for every category
+  categories: [{
+    type: String,
+    enum: Project.schema.path('category').enumValues
+  }],
+  maxRedemptions: {
+    type: Number,
+    min: 1
+  },
+  redemptionCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promoCodeSchema.pre('validate', function(next) {
+  if (this.discountType === 'percentage' && this.discountValue > 100) {
+    this.invalidate('discountValue', 'A percentage discount cannot exceed 100%');
+  }
+  if (this.validUntil && this.validFrom && this.validUntil <= this.validFrom) {
+    this.invalidate('validUntil', 'End date must be after the start date');
+  }
+  next();
+});
+
+/**
+ * Reason the code can't be used right now, or null if it can
+ */
+promoCodeSchema.methods.getIneligibilityReason = function({ category, at = new Date() } = {}) {
+  if (!this.isActive) return 'This promo code is no longer active';
+  if (this.validFrom && this.validFrom > at) return 'This promo code is not valid yet';
+  if (this.validUntil && this.validUntil < at) return 'This promo code has expired';
+  if (this.maxRedemptions && this.redemptionCount >= this.maxRedemptions) {
+    return 'This promo code has reached its usage limit';
+  }
+  if (this.categories.length > 0 && !this.categories.includes(category)) {
+    return 'This promo code does not apply to this project category';
+  }
+  return null;
+};
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+
+// Criteria each side rates the other on (1-5 stars each)
+const REVIEW_CRITERIA = {
+  client: ['quality', 'communication', 'timeliness', 'professionalism'], // client rating the freelancer
+  freelancer: ['clarity', 'communication', 'paymentPromptness', 'professionalism'] // freelancer rating the client
+};
+
+// Reviews are revealed once both parties submit, or after this many days
+const REVIEW_WINDOW_DAYS = 14;
+
+const ratingValue = {
+  type: Number,
+  min: 1,
+  max: 5
+};
+
+const reviewSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewerRole: {
+    type: String,
+    enum: ['client', 'freelancer'],
+    required: true
+  },
+
+  // Per-criterion ratings (which keys apply depends on reviewerRole)
+  ratings: {
+    quality: ratingValue,
+    communication: ratingValue,
+    timeliness: ratingValue,
+    professionalism: ratingValue,
+    clarity: ratingValue,
+    paymentPromptness: ratingValue
+  },
+  overallRating: {
+    type: Number,
+    min: 1,
+    max: 5
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+
+  // Visibility - hidden until both parties submit or the window expires
+  isPublished: {
+    type: Boolean,
+    default: false
+  },
+  publishedAt: Date,
+  revealDeadline: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One review per reviewer per workspace
+reviewSchema.index({ workspace: 1, reviewer: 1 }, { unique: true });
+reviewSchema.index({ reviewee: 1, isPublished: 1, createdAt: -1 });
+reviewSchema.index({ isPublished: 1, revealDeadline: 1 });
+
+// Validate that every criterion for the reviewer's role is rated, then derive the overall score
+reviewSchema.pre('validate', function(next) {
+  const criteria = REVIEW_CRITERIA[this.reviewerRole] || [];
+  const missing = criteria.filter(key => !this.ratings || this.ratings[key] == null);
+
+  if (missing.length > 0) {
+    this.invalidate('ratings', `Missing ratings for: ${missing.join(', ')}`);
+    return next();
+  }
+
+  const total = criteria.reduce((sum, key) => sum + this.ratings[key], 0);
+  this.overallRating = Math.round((total / criteria.length) * 10) / 10;
+  next();
+});
+
+// Recompute a user's rating aggregates from their published reviews
+reviewSchema.statics.recalculateUserRating = async function(userId) {
+  const User = mongoose.model('User');
+  const [stats] = await this.aggregate([
+    { $match: { reviewee: new mongoose.Types.ObjectId(userId.toString()), isPublished: true } },
+    { $group: { _id: '$reviewee', average: { $avg: '$overallRating' }, count: { $sum: 1 } } }
+  ]);
+
+  const rating = {
+    average: stats ? Math.round(stats.average * 10) / 10 : 0,
+    count: stats ? stats.count : 0
+  };
+
+  await User.findByIdAndUpdate(userId, { rating });
+  return rating;
+};
+
+// Publish the given reviews and refresh the aggregates of everyone they rate
+reviewSchema.statics.publishReviews = async function(reviews) {
+  const pending = reviews.filter(review => !review.isPublished);
+  if (pending.length === 0) return 0;
+
+  const now = new Date();
+  for (const review of pending) {
+    review.isPublished = true;
+    review.publishedAt = now;
+    await review.save();
+  }
+
+  const revieweeIds = [...new Set(pending.map(review => review.reviewee.toString()))];
+  for (const revieweeId of revieweeIds) {
+    await this.recalculateUserRating(revieweeId);
+  }
+
+  return pending.length;
+};
+
+// Publish every hidden review whose reveal window has expired
+reviewSchema.statics.publishExpiredReviews = async function() {
+  const expired = await this.find({
+    isPublished: false,
+    revealDeadline: { $lte: new Date() }
+  });
+
+  return this.publishReviews(expired);
+};
+
+reviewSchema.statics.REVIEW_CRITERIA = REVIEW_CRITERIA;
+reviewSchema.statics.REVIEW_WINDOW_DAYS = REVIEW_WINDOW_DAYS;
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+// Longest single entry; anything above this is almost certainly a timer left running
+const MAX_ENTRY_MINUTES = 24 * 60;
+
+/**
+ * Monday 00:00 UTC of the week a date falls in. Timesheets are grouped and approved by this.
+ */
+const getWeekStart = (date = new Date()) => {
+  const weekStart = new Date(date);
+  weekStart.setUTCHours(0, 0, 0, 0);
+  const daysSinceMonday = (weekStart.getUTCDay() + 6) % 7;
+  weekStart.setUTCDate(weekStart.getUTCDate() - daysSinceMonday);
+  return weekStart;
+};
+
+// Time logged by the freelancer on an hourly contract. Entries move through
+// running (timer) → logged → submitted → approved, or back to rejected for edits.
+const timeEntrySchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  freelancer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  weekStart: {
+    type: Date,
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date
+  },
+  minutes: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: MAX_ENTRY_MINUTES
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'timer'],
+    default: 'manual'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'logged', 'submitted', 'approved', 'rejected'],
+    default: 'logged'
+  },
+  submittedAt: Date,
+  reviewedAt: Date,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewNotes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Milestone the approved week was billed through
+  billingMilestone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Milestone'
+  },
+  // Set by the approval that moved the entry out of submitted, so it bills only what it claimed
+  approvalId: String
+}, {
+  timestamps: true
+});
+
+timeEntrySchema.index({ workspace: 1, weekStart: -1 });
+// Only one timer can run per freelancer per workspace
+timeEntrySchema.index(
+  { workspace: 1, freelancer: 1 },
+  { unique: true, partialFilterExpression: { status: 'running' } }
+);
+
+timeEntrySchema.pre('validate', function(next) {
+  if (this.startedAt) {
+    this.weekStart = getWeekStart(this.startedAt);
+  }
+
+  if (this.status !== 'running') {
+    if (!this.endedAt) {
+      this.invalidate('endedAt', 'End time is required');
+    } else if (this.endedAt <= this.startedAt) {
+      this.invalidate('endedAt', 'End time must be after the start time');
+    } else {
+      this.minutes = Math.round((this.endedAt - this.startedAt) / 60000);
+    }
+  }
+
+  next();
+});
+
+/**
+ * Entries the freelancer can still change
+ */
+timeEntrySchema.methods.isEditable = function() {
+  return ['logged', 'rejected'].includes(this.status);
+};
+
+timeEntrySchema.statics.getWeekStart = getWeekStart;
+timeEntrySchema.statics.MAX_ENTRY_MINUTES = MAX_ENTRY_MINUTES;
+
+module.exports = mongoose.model('TimeEntry', timeEntrySchema);
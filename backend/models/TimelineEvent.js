@@ -35,6 +35,12 @@ const timelineEventSchema = new mongoose.Schema({
       'escrow.released',
       'payment.completed',
       'payment.failed',
+      'review.submitted',
+      'dispute.raised',
+      'dispute.evidence_added',
+      'dispute.info_requested',
+      'dispute.deadline_passed',
+      'dispute.resolved',
       // User events
       'note.added',
       'file.attached',
@@ -1,6 +1,7 @@
 // backend/models/User.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ADMIN_ROLE_VALUES } = require('../utils/adminRoles');
 
 const userSchema = new mongoose.Schema({
   fullName: {
@@ -29,6 +30,18 @@ const userSchema = new mongoose.Schema({
     },
     required: [true, 'Role is required']
   },
+  // Admin accounts only: what they may do on the admin side (see utils/adminRoles).
+  // Admins without a role predate admin roles and keep full access.
+  adminRole: {
+    type: String,
+    enum: ADMIN_ROLE_VALUES,
+    default: undefined
+  },
+  // Permissions of a 'custom' admin role
+  adminPermissions: {
+    type: [String],
+    default: undefined
+  },
   
   // Google OAuth fields
   googleId: {
@@ -230,7 +243,9 @@ const userSchema = new mongoose.Schema({
       messages: { type: Boolean, default: true },
       proposals: { type: Boolean, default: true },
       marketing: { type: Boolean, default: false },
-      weeklyDigest: { type: Boolean, default: true }
+      weeklyDigest: { type: Boolean, default: true },
+      // Sign-ins from a new device (in-app alerts are always sent)
+      securityAlerts: { type: Boolean, default: true }
     },
     push: {
       projectUpdates: { type: Boolean, default: true },
@@ -260,7 +275,24 @@ const userSchema = new mongoose.Schema({
 
   // Account Security
   twoFactorEnabled: { type: Boolean, default: false },
-  twoFactorSecret: { type: String, default: null },
+  // TOTP secrets are stored encrypted (see utils/totp). The pending secret holds
+  // an enrollment until the user confirms it with a first code.
+  // Secrets and recovery codes are excluded from queries unless selected explicitly.
+  twoFactorSecret: { type: String, default: null, select: false },
+  twoFactorPendingSecret: { type: String, default: null, select: false },
+  twoFactorEnrolledAt: { type: Date, default: null },
+  // Time step of the last accepted code, so a code can't be replayed within its window
+  twoFactorLastUsedStep: { type: Number, default: null },
+  // One-time recovery codes, SHA-256 hashed; usedAt is set when one is spent
+  twoFactorRecoveryCodes: {
+    type: [{
+      hash: { type: String, required: true },
+      usedAt: { type: Date, default: null }
+    }],
+    select: false
+  },
+  // Set by an admin: the user must enroll before they can sign in
+  twoFactorRequired: { type: Boolean, default: false },
   lastPasswordChange: { type: Date, default: Date.now },
   loginAttempts: { type: Number, default: 0 },
   lockUntil: { type: Date, default: null },
@@ -268,12 +300,76 @@ const userSchema = new mongoose.Schema({
   // Session and Login History
   lastLoginAt: { type: Date, default: null },
   lastLoginIP: { type: String, default: null },
+  // When the user's last realtime connection closed (see utils/socketHandler)
+  lastSeen: { type: Date, default: null },
   loginHistory: [{
     ip: String,
     userAgent: String,
     location: String,
+    // Parsed from the user agent, e.g. "Chrome on Windows"
+    deviceName: String,
+    method: { type: String, enum: ['password', 'two-factor', 'google'] },
+    newDevice: { type: Boolean, default: false },
     timestamp: { type: Date, default: Date.now }
   }],
+  // Browsers the user has signed in from (device cookie ids), for new-device alerts
+  knownDevices: [{
+    deviceId: { type: String, required: true },
+    deviceName: String,
+    firstSeenAt: { type: Date, default: Date.now },
+    lastSeenAt: { type: Date, default: Date.now }
+  }],
+
+  // Billing details printed on GST invoices
+  billingDetails: {
+    legalName: { type: String, trim: true },
+    gstin: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [/^\d{2}[A-Z]{5}\d{4}[A-Z][A-Z\d]Z[A-Z\d]$/, 'Please enter a valid GSTIN']
+    },
+    addressLine1: { type: String, trim: true },
+    addressLine2: { type: String, trim: true },
+    city: { type: String, trim: true },
+    state: { type: String, trim: true },
+    postalCode: { type: String, trim: true },
+    country: { type: String, trim: true, default: 'India' }
+  },
+
+  // Where withdrawals are paid out (freelancers). Excluded from queries unless selected explicitly.
+  payoutMethods: {
+    type: [{
+      type: {
+        type: String,
+        enum: ['bank_account', 'upi'],
+        required: true
+      },
+      label: { type: String, trim: true, maxlength: 50 },
+      accountHolderName: { type: String, trim: true },
+      accountNumber: {
+        type: String,
+        trim: true,
+        match: [/^\d{9,18}$/, 'Account number must be 9-18 digits']
+      },
+      ifsc: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [/^[A-Z]{4}0[A-Z0-9]{6}$/, 'Please enter a valid IFSC code']
+      },
+      bankName: { type: String, trim: true },
+      upiId: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        match: [/^[\w.-]{2,256}@[a-z]{2,64}$/, 'Please enter a valid UPI ID']
+      },
+      isDefault: { type: Boolean, default: false },
+      createdAt: { type: Date, default: Date.now }
+    }],
+    select: false
+  },
 
   // Account Preferences
   preferences: {
@@ -287,6 +383,12 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Failed sign-ins allowed before the account locks, and how long the locks last
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE_MINUTES = 5;
+const LOCKOUT_MAX_MINUTES = 24 * 60;
+const LOGIN_HISTORY_LIMIT = 20;
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   try {
@@ -441,22 +543,24 @@ userSchema.methods.updatePreferences = function(preferences) {
   return this.preferences;
 };
 
-// Method to record login
-userSchema.methods.recordLogin = function(ip, userAgent, location) {
+// Method to record a successful login
+userSchema.methods.recordLogin = function({ ip, userAgent, location, deviceName, method, newDevice = false }) {
   this.lastLoginAt = new Date();
   this.lastLoginIP = ip;
 
-  // Add to login history (keep last 10 entries)
   this.loginHistory.unshift({
     ip,
     userAgent,
     location,
+    deviceName,
+    method,
+    newDevice,
     timestamp: new Date()
   });
 
-  // Keep only last 10 login records
-  if (this.loginHistory.length > 10) {
-    this.loginHistory = this.loginHistory.slice(0, 10);
+  // Keep only the most recent login records
+  if (this.loginHistory.length > LOGIN_HISTORY_LIMIT) {
+    this.loginHistory = this.loginHistory.slice(0, LOGIN_HISTORY_LIMIT);
   }
 
   // Reset login attempts on successful login
@@ -464,14 +568,35 @@ userSchema.methods.recordLogin = function(ip, userAgent, location) {
   this.lockUntil = null;
 };
 
-// Method to handle failed login attempts
-userSchema.methods.handleFailedLogin = function() {
-  this.loginAttempts += 1;
+// Method to handle failed login attempts. From LOCKOUT_THRESHOLD failures on, each
+// failure locks the account for twice as long as the one before (5, 10, 20 min...).
+// Attempts only reset on a successful login, so waiting out a lock doesn't reset the doubling.
+// The count is incremented in the database so parallel attempts can't overwrite each other,
+// and a lock is only ever extended, never shortened by a slower request.
+userSchema.methods.handleFailedLogin = async function() {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { loginAttempts: 1 } },
+    { new: true, projection: { loginAttempts: 1, lockUntil: 1 } }
+  );
+  if (!updated) return this;
 
-  // Lock account after 5 failed attempts for 30 minutes
-  if (this.loginAttempts >= 5) {
-    this.lockUntil = new Date(Date.now() + 30 * 60 * 1000); // 30 minutes
+  let lockUntil = updated.lockUntil;
+  if (updated.loginAttempts >= LOCKOUT_THRESHOLD) {
+    const minutes = Math.min(
+      LOCKOUT_BASE_MINUTES * 2 ** (updated.loginAttempts - LOCKOUT_THRESHOLD),
+      LOCKOUT_MAX_MINUTES
+    );
+    const candidate = new Date(Date.now() + minutes * 60 * 1000);
+    await this.constructor.updateOne({ _id: this._id }, { $max: { lockUntil: candidate } });
+    if (!lockUntil || candidate > lockUntil) lockUntil = candidate;
   }
+
+  // Keep this document in step without saving the counter over a newer one
+  this.set({ loginAttempts: updated.loginAttempts, lockUntil });
+  this.unmarkModified('loginAttempts');
+  this.unmarkModified('lockUntil');
+  return this;
 };
 
 // Method to check if account is locked
@@ -480,7 +605,7 @@ userSchema.methods.isAccountLocked = function() {
 };
 
 // Method to get public profile (safe for API responses)
-userSchema.methods.getPublicProfile = function() {
+userSchema.methods.getPublicProfile = function(viewer = null) {
   const baseProfile = {
     id: this._id,
     fullName: this.fullName,
@@ -499,22 +624,29 @@ userSchema.methods.getPublicProfile = function() {
     socialLinks: this.socialLinks
   };
 
-  // Add fields based on privacy settings
-  if (this.privacySettings?.showEmail) {
-    baseProfile.email = this.email;
-  }
-
-  if (this.privacySettings?.showPhone && this.phoneNumber) {
-    baseProfile.phoneNumber = this.phoneNumber;
-  }
-
-  if (this.privacySettings?.showLocation) {
-    baseProfile.location = this.location;
-  }
+  // Contact details as `viewer` ({ userId, role }) may see them under the privacy settings
+  const PrivacyService = require('../services/privacyService');
+  Object.assign(baseProfile, PrivacyService.contactDetails(this, viewer));
 
   return baseProfile;
 };
 
+// Method to get payout methods with bank account numbers masked
+userSchema.methods.getPayoutMethods = function() {
+  return (this.payoutMethods || []).map(method => ({
+    _id: method._id,
+    type: method.type,
+    label: method.label,
+    accountHolderName: method.accountHolderName,
+    accountNumber: method.accountNumber ? `••••${method.accountNumber.slice(-4)}` : undefined,
+    ifsc: method.ifsc,
+    bankName: method.bankName,
+    upiId: method.upiId,
+    isDefault: method.isDefault,
+    createdAt: method.createdAt
+  }));
+};
+
 // Method to get account settings (for profile management)
 userSchema.methods.getAccountSettings = function() {
   return {
@@ -522,7 +654,9 @@ userSchema.methods.getAccountSettings = function() {
     notificationSettings: this.notificationSettings,
     privacySettings: this.privacySettings,
     preferences: this.preferences,
+    billingDetails: this.billingDetails,
     twoFactorEnabled: this.twoFactorEnabled,
+    twoFactorRequired: this.twoFactorRequired,
     lastPasswordChange: this.lastPasswordChange,
     lastLoginAt: this.lastLoginAt
   };
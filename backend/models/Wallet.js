@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// One wallet per freelancer. Balances only ever change through atomic $inc
+// updates in WalletService so concurrent releases and withdrawals can't race.
+const walletSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Released earnings the freelancer can withdraw
+  availableBalance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Reserved by withdrawal requests that are awaiting approval or the payout provider
+  pendingBalance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  totalEarned: {
+    type: Number,
+    default: 0
+  },
+  totalWithdrawn: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Wallet', walletSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Log of payment gateway webhook deliveries, used to skip duplicate events
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['razorpay'],
+    default: 'razorpay'
+  },
+  eventId: {
+    type: String,
+    required: true // x-razorpay-event-id header
+  },
+  event: {
+    type: String,
+    required: true // e.g. payment.captured
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'ignored', 'failed'],
+    default: 'received'
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  error: String,
+  relatedEscrow: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Escrow'
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ event: 1, createdAt: -1 });
+webhookEventSchema.index({ status: 1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
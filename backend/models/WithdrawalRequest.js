@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// Copy of the payout method at request time, so later profile edits don't change where money goes
+const payoutDestinationSchema = new mongoose.Schema({
+  methodId: mongoose.Schema.Types.ObjectId,
+  type: {
+    type: String,
+    enum: ['bank_account', 'upi'],
+    required: true
+  },
+  accountHolderName: String,
+  accountNumber: String,
+  ifsc: String,
+  bankName: String,
+  upiId: String
+}, { _id: false });
+
+const withdrawalRequestSchema = new mongoose.Schema({
+  freelancer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  payoutMethod: {
+    type: payoutDestinationSchema,
+    required: true
+  },
+
+  // pending → processing → paid, or pending → rejected/cancelled, or processing → failed
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'paid', 'rejected', 'cancelled', 'failed'],
+    default: 'pending'
+  },
+
+  // Admin review
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  rejectionReason: String,
+
+  // Payout provider
+  provider: String,
+  providerPayoutId: String,
+  providerStatus: String,
+  failureReason: String,
+  paidAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+withdrawalRequestSchema.index({ freelancer: 1, createdAt: -1 });
+withdrawalRequestSchema.index({ status: 1, createdAt: 1 });
+withdrawalRequestSchema.index({ providerPayoutId: 1 });
+
+// Only the last four digits of a bank account number leave the server
+const maskValue = (value) => (value ? `••••${value.slice(-4)}` : value);
+
+withdrawalRequestSchema.methods.toSafeObject = function() {
+  const obj = this.toObject();
+  if (obj.payoutMethod) {
+    obj.payoutMethod = {
+      ...obj.payoutMethod,
+      accountNumber: maskValue(obj.payoutMethod.accountNumber)
+    };
+  }
+  return obj;
+};
+
+module.exports = mongoose.model('WithdrawalRequest', withdrawalRequestSchema);
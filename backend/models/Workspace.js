@@ -46,6 +46,8 @@ const workspaceSchema = new mongoose.Schema({
   startDate: { type: Date, default: Date.now },
   expectedEndDate: { type: Date },
   actualEndDate: { type: Date },
+  // First time the workspace was completed; starts the review window and never moves
+  completedAt: { type: Date },
   lastActivity: { type: Date, default: Date.now }
 }, {
   timestamps: true
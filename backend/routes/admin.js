@@ -6,22 +6,31 @@ const Workspace = require('../models/Workspace');
 const Milestone = require('../models/Milestone');
 const { Chat } = require('../models/Chat');
 const authenticate = require('../middlewares/authMiddleware');
+const { requirePermission, loadAdminAccess } = require('../middlewares/adminPermissions');
+const {
+  ADMIN_ROLES,
+  adminRoleOf,
+  permissionsFor,
+  resolveAdminAccess,
+  describeAdminRoles
+} = require('../utils/adminRoles');
+const CurrencyService = require('../services/currencyService');
+const TwoFactorService = require('../services/twoFactorService');
+const SessionService = require('../services/sessionService');
+const AuditService = require('../services/auditService');
+const { auditAdminRequests, auditAction } = require('../middlewares/adminAudit');
 
 const router = express.Router();
 
-// Admin middleware
-const isAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied. Admin privileges required.'
-    });
-  }
-  next();
-};
+// Every admin change is written to the audit log (see middlewares/adminAudit)
+router.use(auditAdminRequests);
+
+// Other admin accounts can only be changed by admins who manage admins
+const canManageAccount = (req, user) =>
+  user.role !== 'admin' || req.adminAccess?.permissions.includes('admins.manage');
 
-// Protected Routes (auth + admin)
-router.get('/users', authenticate, isAdmin, async (req, res) => {
+// Protected Routes (auth + admin permission, see utils/adminRoles)
+router.get('/users', authenticate, requirePermission('users.view'), async (req, res) => {
   try {
     const { includeDeleted } = req.query;
     const filter = includeDeleted === 'true' ? {} : { isDeleted: false };
@@ -36,7 +45,7 @@ router.get('/users', authenticate, isAdmin, async (req, res) => {
   }
 });
 
-router.get('/dashboard-stats', authenticate, isAdmin, async (req, res) => {
+router.get('/dashboard-stats', authenticate, requirePermission('dashboard.view'), async (req, res) => {
   try {
     // User Statistics
     const totalUsers = await User.countDocuments({ isDeleted: false });
@@ -74,19 +83,46 @@ router.get('/dashboard-stats', authenticate, isAdmin, async (req, res) => {
       paymentStatus: { $ne: 'completed' } 
     });
     
-    // Total revenue calculation
+    // Total revenue in the base currency. Escrow payments convert at the rate snapshotted
+    // when the client paid; payments without a snapshot convert at today's rate.
+    const baseCurrency = CurrencyService.getBaseCurrency();
     const revenueData = await Milestone.aggregate([
       { $match: { paymentStatus: 'completed' } },
-      { $group: { _id: null, totalRevenue: { $sum: '$amount' } } }
+      { $lookup: { from: 'escrows', localField: '_id', foreignField: 'milestone', as: 'escrow' } },
+      {
+        $project: {
+          amount: 1,
+          currency: { $ifNull: ['$currency', 'INR'] },
+          rateToBase: { $arrayElemAt: ['$escrow.fxSnapshot.rateToBase', 0] }
+        }
+      },
+      {
+        $group: {
+          _id: '$currency',
+          total: { $sum: '$amount' },
+          payments: { $sum: 1 },
+          snapshotTotalInBase: { $sum: { $multiply: ['$amount', { $ifNull: ['$rateToBase', 0] }] } },
+          unconvertedTotal: { $sum: { $cond: [{ $gt: ['$rateToBase', 0] }, 0, '$amount'] } }
+        }
+      }
     ]);
-    const totalRevenue = revenueData.length > 0 ? revenueData[0].totalRevenue : 0;
+
+    const revenueByCurrency = await Promise.all(revenueData.map(async (row) => ({
+      currency: row._id,
+      amount: row.total,
+      payments: row.payments,
+      amountInBase: row._id === baseCurrency
+        ? row.total
+        : Math.round((row.snapshotTotalInBase + await CurrencyService.convert(row.unconvertedTotal, row._id, baseCurrency)) * 100) / 100
+    })));
+    const totalRevenue = Math.round(revenueByCurrency.reduce((sum, row) => sum + row.amountInBase, 0) * 100) / 100;
     
     // Recent activity
     const recentProjects = await Project.find()
       .populate('client', 'fullName email')
       .sort({ createdAt: -1 })
       .limit(5)
-      .select('title status budgetAmount createdAt client');
+      .select('title status budgetAmount currency createdAt client');
       
     const recentApplications = await Application.find()
       .populate('freelancer', 'fullName email')
@@ -131,6 +167,8 @@ router.get('/dashboard-stats', authenticate, isAdmin, async (req, res) => {
         paidMilestones,
         pendingPayments,
         totalRevenue,
+        baseCurrency,
+        revenueByCurrency,
         
         // Communication metrics
         totalChats,
@@ -148,10 +186,11 @@ router.get('/dashboard-stats', authenticate, isAdmin, async (req, res) => {
 });
 
 // Soft delete user
-router.patch('/users/:userId/soft-delete', authenticate, isAdmin, async (req, res) => {
+router.patch('/users/:userId/soft-delete', authenticate, requirePermission('users.suspend'), auditAction('user.soft-delete', { model: User, param: 'userId' }), async (req, res) => {
   try {
     const { userId } = req.params;
     const { reason } = req.body;
+    const adminId = req.user.userId || req.user.id;
 
     // Validate user exists and is not already deleted
     const user = await User.findById(userId);
@@ -162,6 +201,13 @@ router.patch('/users/:userId/soft-delete', authenticate, isAdmin, async (req, re
       });
     }
 
+    if (!canManageAccount(req, user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins who manage admin roles can change other admin accounts'
+      });
+    }
+
     if (user.isDeleted) {
       return res.status(400).json({
         success: false,
@@ -170,7 +216,7 @@ router.patch('/users/:userId/soft-delete', authenticate, isAdmin, async (req, re
     }
 
     // Prevent admin from deleting themselves
-    if (userId === req.user.id) {
+    if (userId === adminId) {
       return res.status(400).json({
         success: false,
         message: 'You cannot delete your own account'
@@ -180,15 +226,16 @@ router.patch('/users/:userId/soft-delete', authenticate, isAdmin, async (req, re
     // Soft delete the user
     user.isDeleted = true;
     user.deletedAt = new Date();
-    user.deletedBy = req.user.id;
+    user.deletedBy = adminId;
     user.deletionReason = reason || 'No reason provided';
     user.isActive = false;
 
     await user.save();
+    await SessionService.revokeAll(user._id, { reason: 'deactivated', store: req.sessionStore });
 
     console.log(`🗑️ User soft deleted by admin: ${user.email} (ID: ${userId})`);
     console.log(`🔍 Deletion reason: ${reason || 'No reason provided'}`);
-    console.log(`👤 Deleted by: ${req.user.email} (ID: ${req.user.id})`);
+    console.log(`👤 Deleted by: ${req.user.email} (ID: ${adminId})`);
 
     res.json({
       success: true,
@@ -213,7 +260,7 @@ router.patch('/users/:userId/soft-delete', authenticate, isAdmin, async (req, re
 });
 
 // Restore soft deleted user
-router.patch('/users/:userId/restore', authenticate, isAdmin, async (req, res) => {
+router.patch('/users/:userId/restore', authenticate, requirePermission('users.suspend'), auditAction('user.restore', { model: User, param: 'userId' }), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -225,6 +272,13 @@ router.patch('/users/:userId/restore', authenticate, isAdmin, async (req, res) =
       });
     }
 
+    if (!canManageAccount(req, user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins who manage admin roles can change other admin accounts'
+      });
+    }
+
     if (!user.isDeleted) {
       return res.status(400).json({
         success: false,
@@ -266,14 +320,15 @@ router.patch('/users/:userId/restore', authenticate, isAdmin, async (req, res) =
 });
 
 // Hard delete user (permanent deletion)
-router.delete('/users/:userId/hard-delete', authenticate, isAdmin, async (req, res) => {
+router.delete('/users/:userId/hard-delete', authenticate, requirePermission('users.delete'), auditAction('user.hard-delete', { model: User, param: 'userId' }), async (req, res) => {
   try {
     const { userId } = req.params;
     const { confirmPassword } = req.body;
+    const adminId = req.user.userId || req.user.id;
 
     // Validate admin password for hard deletion
     const bcrypt = require('bcryptjs');
-    const admin = await User.findById(req.user.id);
+    const admin = await User.findById(adminId);
 
     if (!confirmPassword || !await bcrypt.compare(confirmPassword, admin.password)) {
       return res.status(401).json({
@@ -290,8 +345,15 @@ router.delete('/users/:userId/hard-delete', authenticate, isAdmin, async (req, r
       });
     }
 
+    if (!canManageAccount(req, user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins who manage admin roles can change other admin accounts'
+      });
+    }
+
     // Prevent admin from deleting themselves
-    if (userId === req.user.id) {
+    if (userId === adminId) {
       return res.status(400).json({
         success: false,
         message: 'You cannot delete your own account'
@@ -307,10 +369,11 @@ router.delete('/users/:userId/hard-delete', authenticate, isAdmin, async (req, r
     };
 
     // Permanently delete the user
+    await SessionService.revokeAll(user._id, { reason: 'deactivated', store: req.sessionStore });
     await User.findByIdAndDelete(userId);
 
     console.log(`🔥 User permanently deleted by admin: ${userInfo.email} (ID: ${userId})`);
-    console.log(`👤 Deleted by: ${req.user.email} (ID: ${req.user.id})`);
+    console.log(`👤 Deleted by: ${req.user.email} (ID: ${adminId})`);
     console.log(`⚠️ This action is irreversible!`);
 
     res.json({
@@ -329,7 +392,7 @@ router.delete('/users/:userId/hard-delete', authenticate, isAdmin, async (req, r
 });
 
 // Get deleted users
-router.get('/users/deleted', authenticate, isAdmin, async (req, res) => {
+router.get('/users/deleted', authenticate, requirePermission('users.view'), async (req, res) => {
   try {
     const deletedUsers = await User.find({ isDeleted: true })
       .populate('deletedBy', 'fullName email')
@@ -351,7 +414,7 @@ router.get('/users/deleted', authenticate, isAdmin, async (req, res) => {
 });
 
 // Deactivate freelancer account
-router.patch('/users/:userId/deactivate', authenticate, isAdmin, async (req, res) => {
+router.patch('/users/:userId/deactivate', authenticate, requirePermission('users.suspend'), auditAction('user.deactivate', { model: User, param: 'userId' }), async (req, res) => {
   try {
     const { userId } = req.params;
     const { reason } = req.body;
@@ -374,7 +437,7 @@ router.patch('/users/:userId/deactivate', authenticate, isAdmin, async (req, res
     }
 
     // Prevent admin from deactivating themselves (if they're a freelancer)
-    if (userId === req.user.id) {
+    if (userId === (req.user.userId || req.user.id)) {
       return res.status(400).json({
         success: false,
         message: 'You cannot deactivate your own account'
@@ -419,6 +482,9 @@ router.patch('/users/:userId/deactivate', authenticate, isAdmin, async (req, res
     user.deactivationReason = deactivationReason;
     await user.save();
 
+    // Signed-in devices are signed out straight away
+    await SessionService.revokeAll(user._id, { reason: 'deactivated', store: req.sessionStore });
+
     // Send deactivation email to freelancer
     try {
       const { sendDeactivationEmail } = require('../utils/brevoEmailService');
@@ -460,7 +526,7 @@ router.patch('/users/:userId/deactivate', authenticate, isAdmin, async (req, res
 });
 
 // Reactivate freelancer account
-router.patch('/users/:userId/reactivate', authenticate, isAdmin, async (req, res) => {
+router.patch('/users/:userId/reactivate', authenticate, requirePermission('users.suspend'), auditAction('user.reactivate', { model: User, param: 'userId' }), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -520,8 +586,165 @@ router.patch('/users/:userId/reactivate', authenticate, isAdmin, async (req, res
   }
 });
 
+// Require (or stop requiring) two-factor authentication for a user.
+// Users without 2FA are asked to set it up at their next sign-in.
+router.patch('/users/:userId/two-factor-requirement', authenticate, requirePermission('users.security'), auditAction('user.two-factor-requirement', { model: User, param: 'userId' }), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { required } = req.body;
+
+    if (typeof required !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'Required must be a boolean value'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!canManageAccount(req, user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins who manage admin roles can change other admin accounts'
+      });
+    }
+
+    user.twoFactorRequired = required;
+    await user.save();
+
+    console.log(`🔐 Two-factor ${required ? 'required' : 'no longer required'} for: ${user.email} (ID: ${userId})`);
+    console.log(`👤 Changed by: ${req.user.email || 'Admin'} (ID: ${req.user.userId})`);
+
+    res.json({
+      success: true,
+      message: required
+        ? `${user.fullName} must use two-factor authentication${user.twoFactorEnabled ? '' : ' and will set it up at their next sign-in'}`
+        : `Two-factor authentication is now optional for ${user.fullName}`,
+      user: {
+        id: user._id,
+        email: user.email,
+        fullName: user.fullName,
+        twoFactorEnabled: user.twoFactorEnabled,
+        twoFactorRequired: user.twoFactorRequired,
+        twoFactorRequiredByRole: TwoFactorService.getRequiredRoles().includes(user.role)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error updating two-factor requirement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating two-factor requirement'
+    });
+  }
+});
+
+// GET /api/admin/roles - Admin roles, every permission, and what the current admin may do
+router.get('/roles', authenticate, requirePermission(), async (req, res) => {
+  try {
+    const access = await loadAdminAccess(req);
+
+    res.json({
+      success: true,
+      data: {
+        ...describeAdminRoles(),
+        current: {
+          adminRole: access.adminRole,
+          permissions: access.permissions
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching admin roles:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch admin roles'
+    });
+  }
+});
+
+// PATCH /api/admin/users/:userId/admin-role - Give an admin a predefined role, or a custom permission set
+router.patch('/users/:userId/admin-role', authenticate, requirePermission('admins.manage'), auditAction('admin.role-change', { model: User, param: 'userId' }), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { adminRole, permissions } = req.body;
+
+    if (userId === String(req.user.userId || req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own admin role'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.role !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only admin accounts have admin roles'
+      });
+    }
+
+    const access = resolveAdminAccess(adminRole, permissions);
+
+    // Someone must always be able to manage admins
+    if (adminRoleOf(user) === 'super-admin' && access.adminRole !== 'super-admin') {
+      const otherSuperAdmins = await User.countDocuments({
+        _id: { $ne: user._id },
+        role: 'admin',
+        isDeleted: { $ne: true },
+        $or: [{ adminRole: 'super-admin' }, { adminRole: { $exists: false } }, { adminRole: null }]
+      });
+      if (otherSuperAdmins === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'At least one super-admin is required'
+        });
+      }
+    }
+
+    user.adminRole = access.adminRole;
+    user.adminPermissions = access.adminPermissions;
+    await user.save();
+
+    console.log(`🛡️ Admin role for ${user.email} set to ${user.adminRole}`);
+
+    res.json({
+      success: true,
+      message: `${user.fullName} is now ${ADMIN_ROLES[user.adminRole]?.label || 'a custom admin'}`,
+      user: {
+        id: user._id,
+        email: user.email,
+        fullName: user.fullName,
+        adminRole: user.adminRole,
+        adminPermissions: user.adminPermissions,
+        permissions: permissionsFor(user)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating admin role:', error.message);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // TEMPORARY: Delete all freelancer accounts for testing (REMOVE IN PRODUCTION)
-router.delete('/users/freelancers/delete-all-for-testing', authenticate, isAdmin, async (req, res) => {
+router.delete('/users/freelancers/delete-all-for-testing', authenticate, requirePermission('users.delete'), auditAction('user.delete-all-freelancers'), async (req, res) => {
   try {
     // Only allow in development environment
     if (process.env.NODE_ENV === 'production') {
@@ -557,10 +780,12 @@ router.delete('/users/freelancers/delete-all-for-testing', authenticate, isAdmin
 // ================================
 
 const EscrowService = require('../services/escrowService');
+const DisputeService = require('../services/disputeService');
 const Escrow = require('../models/Escrow');
+const Dispute = require('../models/Dispute');
 
 // GET /api/admin/escrows - Get all escrows with filters
-router.get('/escrows', authenticate, isAdmin, async (req, res) => {
+router.get('/escrows', authenticate, requirePermission('escrows.view'), async (req, res) => {
   try {
     const { status, page = 1, limit = 20, search } = req.query;
     
@@ -616,15 +841,16 @@ router.get('/escrows', authenticate, isAdmin, async (req, res) => {
 });
 
 // GET /api/admin/escrows/stats - Get escrow statistics
-router.get('/escrows/stats', authenticate, isAdmin, async (req, res) => {
+router.get('/escrows/stats', authenticate, requirePermission('escrows.view'), async (req, res) => {
   try {
+    // Amounts in the base currency at each escrow's snapshotted rate (escrows without one predate multi-currency and are INR)
     const stats = await Escrow.aggregate([
       {
         $group: {
           _id: '$status',
           count: { $sum: 1 },
-          totalAmount: { $sum: '$totalAmount' },
-          serviceChargeTotal: { $sum: '$serviceCharge' }
+          totalAmount: { $sum: { $multiply: ['$totalAmount', { $ifNull: ['$fxSnapshot.rateToBase', 1] }] } },
+          serviceChargeTotal: { $sum: { $multiply: ['$serviceCharge', { $ifNull: ['$fxSnapshot.rateToBase', 1] }] } }
         }
       }
     ]);
@@ -663,6 +889,7 @@ router.get('/escrows/stats', authenticate, isAdmin, async (req, res) => {
         disputes,
         autoReleaseEligible: autoReleaseCount,
         statusBreakdown: stats,
+        baseCurrency: CurrencyService.getBaseCurrency(),
         summary: {
           totalValue: stats.reduce((sum, item) => sum + item.totalAmount, 0),
           totalServiceCharges: stats.reduce((sum, item) => sum + item.serviceChargeTotal, 0)
@@ -679,7 +906,7 @@ router.get('/escrows/stats', authenticate, isAdmin, async (req, res) => {
 });
 
 // POST /api/admin/escrows/:escrowId/release - Admin release funds
-router.post('/escrows/:escrowId/release', authenticate, isAdmin, async (req, res) => {
+router.post('/escrows/:escrowId/release', authenticate, requirePermission('escrows.release'), auditAction('escrow.release', { model: Escrow, param: 'escrowId', reason: req => req.body.releaseReason || req.body.notes }), async (req, res) => {
   try {
     const { escrowId } = req.params;
     const { releaseReason, notes } = req.body;
@@ -735,10 +962,10 @@ router.post('/escrows/:escrowId/release', authenticate, isAdmin, async (req, res
 });
 
 // POST /api/admin/escrows/:escrowId/resolve-dispute - Admin resolve dispute
-router.post('/escrows/:escrowId/resolve-dispute', authenticate, isAdmin, async (req, res) => {
+router.post('/escrows/:escrowId/resolve-dispute', authenticate, requirePermission('disputes.resolve'), auditAction('escrow.resolve-dispute', { model: Escrow, param: 'escrowId', reason: req => req.body.notes }), async (req, res) => {
   try {
     const { escrowId } = req.params;
-    const { resolution, refundToClient, releaseToFreelancer, notes } = req.body;
+    const { resolution, refundToClient, releaseToFreelancer, freelancerPercentage, notes } = req.body;
 
     const escrow = await Escrow.findById(escrowId);
     if (!escrow) {
@@ -755,10 +982,11 @@ router.post('/escrows/:escrowId/resolve-dispute', authenticate, isAdmin, async (
       });
     }
 
-    const result = await EscrowService.resolveDispute(escrow.milestone, req.user.id, {
+    const result = await EscrowService.resolveDispute(escrow.milestone, req.user.userId || req.user.id, {
       resolution,
       refundToClient,
       releaseToFreelancer,
+      freelancerPercentage,
       notes
     });
 
@@ -778,8 +1006,130 @@ router.post('/escrows/:escrowId/resolve-dispute', authenticate, isAdmin, async (
   }
 });
 
+// POST /api/admin/escrows/:escrowId/retry-refund - Re-issue refunds the gateway rejected
+router.post('/escrows/:escrowId/retry-refund', authenticate, requirePermission('disputes.resolve'), auditAction('escrow.retry-refund', { model: Escrow, param: 'escrowId' }), async (req, res) => {
+  try {
+    const { escrowId } = req.params;
+
+    const escrow = await EscrowService.retryFailedRefunds(escrowId, req.user.userId || req.user.id);
+
+    console.log(`✅ Admin retried failed refunds for escrow: ${escrowId}`);
+
+    res.json({
+      success: true,
+      message: 'Refund re-issued. Awaiting gateway confirmation.',
+      data: escrow
+    });
+  } catch (error) {
+    console.error('❌ Error retrying refund:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/escrows/:escrowId/dispute - Full dispute thread for an escrow
+router.get('/escrows/:escrowId/dispute', authenticate, requirePermission('escrows.view'), async (req, res) => {
+  try {
+    const dispute = await Dispute.findOne({ escrow: req.params.escrowId }).sort({ createdAt: -1 });
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'No dispute found for this escrow'
+      });
+    }
+
+    const populated = await DisputeService.getDispute(dispute._id);
+
+    res.json({
+      success: true,
+      data: {
+        ...populated.toObject(),
+        awaitingRoles: populated.getAwaitingRoles()
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching escrow dispute:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch dispute'
+    });
+  }
+});
+
+// POST /api/admin/disputes/:disputeId/request-info - Ask a party for more information by a deadline
+router.post('/disputes/:disputeId/request-info', authenticate, requirePermission('disputes.manage'), auditAction('dispute.request-info', { model: Dispute, param: 'disputeId', reason: req => req.body.message }), async (req, res) => {
+  try {
+    const { requestedFrom, responseDeadline, message } = req.body;
+
+    if (!message || !message.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please describe the information you need'
+      });
+    }
+
+    await DisputeService.requestInformation(req.params.disputeId, req.user.userId || req.user.id, {
+      requestedFrom,
+      responseDeadline,
+      message
+    });
+    const dispute = await DisputeService.getDispute(req.params.disputeId);
+
+    console.log(`✅ Admin requested dispute info from ${requestedFrom}: ${req.params.disputeId}`);
+
+    res.json({
+      success: true,
+      message: 'Information requested',
+      data: {
+        ...dispute.toObject(),
+        awaitingRoles: dispute.getAwaitingRoles()
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error requesting dispute info:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/disputes/:disputeId/notes - Post an admin message to both parties
+router.post('/disputes/:disputeId/notes', authenticate, requirePermission('disputes.manage'), auditAction('dispute.note', { model: Dispute, param: 'disputeId', reason: req => req.body.body }), async (req, res) => {
+  try {
+    const { body } = req.body;
+
+    if (!body || !body.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message cannot be empty'
+      });
+    }
+
+    await DisputeService.addAdminNote(req.params.disputeId, req.user.userId || req.user.id, body);
+    const dispute = await DisputeService.getDispute(req.params.disputeId);
+
+    res.json({
+      success: true,
+      message: 'Message posted',
+      data: {
+        ...dispute.toObject(),
+        awaitingRoles: dispute.getAwaitingRoles()
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error posting dispute note:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // POST /api/admin/escrows/auto-release - Process auto-releases
-router.post('/escrows/auto-release', authenticate, isAdmin, async (req, res) => {
+router.post('/escrows/auto-release', authenticate, requirePermission('escrows.release'), auditAction('escrow.auto-release'), async (req, res) => {
   try {
     const releasedCount = await EscrowService.processAutoReleases();
 
@@ -799,8 +1149,372 @@ router.post('/escrows/auto-release', authenticate, isAdmin, async (req, res) =>
   }
 });
 
+// ================================
+// LEDGER ROUTES
+// ================================
+
+const LedgerService = require('../services/ledgerService');
+const LedgerEntry = require('../models/LedgerEntry');
+
+// GET /api/admin/ledger/balances - Platform-wide balance per ledger account in one currency (base by default)
+router.get('/ledger/balances', authenticate, requirePermission('ledger.view'), async (req, res) => {
+  try {
+    const currency = req.query.currency || CurrencyService.getBaseCurrency();
+    const balances = await LedgerService.getAccountBalances({ currency });
+
+    res.json({
+      success: true,
+      currency,
+      data: balances
+    });
+  } catch (error) {
+    console.error('❌ Error fetching ledger balances:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch ledger balances'
+    });
+  }
+});
+
+// GET /api/admin/ledger/entries - Journal entries, optionally for one escrow
+router.get('/ledger/entries', authenticate, requirePermission('ledger.view'), async (req, res) => {
+  try {
+    const { escrowId, page = 1, limit = 50 } = req.query;
+    const query = escrowId ? { escrow: escrowId } : {};
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [entries, totalEntries] = await Promise.all([
+      LedgerEntry.find(query)
+        .populate('postedBy', 'fullName')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      LedgerEntry.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalEntries / parseInt(limit)),
+        totalItems: totalEntries,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching ledger entries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch ledger entries'
+    });
+  }
+});
+
+// GET /api/admin/ledger/reconciliation - Escrows whose ledger balances disagree with their status
+router.get('/ledger/reconciliation', authenticate, requirePermission('ledger.view'), async (req, res) => {
+  try {
+    const report = await LedgerService.reconcile({ status: req.query.status });
+
+    console.log(`📒 Ledger reconciliation: ${report.discrepancyCount}/${report.escrowsChecked} escrows out of balance`);
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('❌ Error running ledger reconciliation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run reconciliation'
+    });
+  }
+});
+
+// ================================
+// WITHDRAWAL ROUTES
+// ================================
+
+const WalletService = require('../services/walletService');
+const WithdrawalRequest = require('../models/WithdrawalRequest');
+
+// GET /api/admin/withdrawals - Withdrawal queue (oldest first so requests are handled in order)
+router.get('/withdrawals', authenticate, requirePermission('withdrawals.view'), async (req, res) => {
+  try {
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+    const query = status === 'all' ? {} : { status };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [withdrawals, totalItems, pendingTotals] = await Promise.all([
+      WithdrawalRequest.find(query)
+        .populate('freelancer', 'fullName email')
+        .populate('reviewedBy', 'fullName')
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      WithdrawalRequest.countDocuments(query),
+      WithdrawalRequest.aggregate([
+        { $match: { status: { $in: ['pending', 'processing'] } } },
+        { $group: { _id: '$status', count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+      ])
+    ]);
+
+    const summary = pendingTotals.reduce((acc, row) => ({
+      ...acc,
+      [row._id]: { count: row.count, amount: row.amount }
+    }), { pending: { count: 0, amount: 0 }, processing: { count: 0, amount: 0 } });
+
+    res.json({
+      success: true,
+      data: {
+        withdrawals: withdrawals.map(withdrawal => withdrawal.toSafeObject()),
+        summary,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(totalItems / parseInt(limit)),
+          totalItems,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching withdrawals:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch withdrawals'
+    });
+  }
+});
+
+// POST /api/admin/withdrawals/:withdrawalId/approve - Approve and send the payout
+router.post('/withdrawals/:withdrawalId/approve', authenticate, requirePermission('withdrawals.manage'), auditAction('withdrawal.approve', { model: WithdrawalRequest, param: 'withdrawalId' }), async (req, res) => {
+  try {
+    const withdrawal = await WalletService.approveWithdrawal(req.params.withdrawalId, req.user.userId || req.user.id);
+
+    const messages = {
+      paid: 'Withdrawal approved and paid out',
+      processing: 'Withdrawal approved. Payout is processing.',
+      failed: `Payout failed: ${withdrawal.failureReason}`
+    };
+
+    console.log(`✅ Admin approved withdrawal ${withdrawal._id} → ${withdrawal.status}`);
+
+    res.json({
+      success: withdrawal.status !== 'failed',
+      message: messages[withdrawal.status] || 'Withdrawal updated',
+      data: withdrawal.toSafeObject()
+    });
+  } catch (error) {
+    console.error('❌ Error approving withdrawal:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/withdrawals/:withdrawalId/reject - Reject and return the amount to the wallet
+router.post('/withdrawals/:withdrawalId/reject', authenticate, requirePermission('withdrawals.manage'), auditAction('withdrawal.reject', { model: WithdrawalRequest, param: 'withdrawalId' }), async (req, res) => {
+  try {
+    const withdrawal = await WalletService.rejectWithdrawal(
+      req.params.withdrawalId,
+      req.user.userId || req.user.id,
+      req.body.reason
+    );
+
+    console.log(`✅ Admin rejected withdrawal ${withdrawal._id}`);
+
+    res.json({
+      success: true,
+      message: 'Withdrawal rejected',
+      data: withdrawal.toSafeObject()
+    });
+  } catch (error) {
+    console.error('❌ Error rejecting withdrawal:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// ================================
+// FEE SCHEDULE ROUTES
+// ================================
+
+const FeeScheduleService = require('../services/feeScheduleService');
+const FeeSchedule = require('../models/FeeSchedule');
+const PromoCode = require('../models/PromoCode');
+
+// GET /api/admin/fee-schedules - All schedule versions plus the one in force now
+router.get('/fee-schedules', authenticate, requirePermission('fees.view'), async (req, res) => {
+  try {
+    const data = await FeeScheduleService.listSchedules();
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('❌ Error fetching fee schedules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch fee schedules'
+    });
+  }
+});
+
+// GET /api/admin/fee-schedules/preview - Quote a payment under the schedule in force at a date
+router.get('/fee-schedules/preview', authenticate, requirePermission('fees.view'), async (req, res) => {
+  try {
+    const { amount, projectBudget, category, promoCode, at } = req.query;
+    const parsedAmount = parseFloat(amount);
+
+    if (!Number.isFinite(parsedAmount) || parsedAmount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please enter a valid amount'
+      });
+    }
+
+    const charges = await FeeScheduleService.quote(parsedAmount, {
+      projectBudget: parseFloat(projectBudget) || null,
+      category: category || null,
+      promoCode: promoCode || null,
+      at: at ? new Date(at) : new Date()
+    });
+
+    res.json({
+      success: true,
+      data: charges
+    });
+  } catch (error) {
+    console.error('❌ Error previewing fee schedule:', error.message);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/fee-schedules - Publish a new schedule version
+router.post('/fee-schedules', authenticate, requirePermission('fees.manage'), auditAction('fee-schedule.create', { model: FeeSchedule }), async (req, res) => {
+  try {
+    const schedule = await FeeScheduleService.createSchedule(req.body, req.user.userId || req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: `Fee schedule v${schedule.version} created`,
+      data: schedule
+    });
+  } catch (error) {
+    console.error('❌ Error creating fee schedule:', error.message);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/admin/fee-schedules/:scheduleId - Edit a version that hasn't taken effect yet
+router.put('/fee-schedules/:scheduleId', authenticate, requirePermission('fees.manage'), auditAction('fee-schedule.update', { model: FeeSchedule, param: 'scheduleId' }), async (req, res) => {
+  try {
+    const schedule = await FeeScheduleService.updateSchedule(
+      req.params.scheduleId,
+      req.body,
+      req.user.userId || req.user.id
+    );
+
+    res.json({
+      success: true,
+      message: `Fee schedule v${schedule.version} updated`,
+      data: schedule
+    });
+  } catch (error) {
+    console.error('❌ Error updating fee schedule:', error.message);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/admin/fee-schedules/:scheduleId - Withdraw a version that hasn't taken effect yet
+router.delete('/fee-schedules/:scheduleId', authenticate, requirePermission('fees.manage'), auditAction('fee-schedule.delete', { model: FeeSchedule, param: 'scheduleId' }), async (req, res) => {
+  try {
+    const schedule = await FeeScheduleService.deleteSchedule(req.params.scheduleId);
+
+    res.json({
+      success: true,
+      message: `Fee schedule v${schedule.version} deleted`
+    });
+  } catch (error) {
+    console.error('❌ Error deleting fee schedule:', error.message);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/promo-codes - All promotional codes
+router.get('/promo-codes', authenticate, requirePermission('fees.view'), async (req, res) => {
+  try {
+    const promoCodes = await FeeScheduleService.listPromoCodes();
+
+    res.json({
+      success: true,
+      data: promoCodes
+    });
+  } catch (error) {
+    console.error('❌ Error fetching promo codes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch promo codes'
+    });
+  }
+});
+
+// POST /api/admin/promo-codes - Create a promotional code
+router.post('/promo-codes', authenticate, requirePermission('fees.manage'), auditAction('promo-code.create', { model: PromoCode }), async (req, res) => {
+  try {
+    const promoCode = await FeeScheduleService.createPromoCode(req.body, req.user.userId || req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: `Promo code ${promoCode.code} created`,
+      data: promoCode
+    });
+  } catch (error) {
+    console.error('❌ Error creating promo code:', error.message);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// PATCH /api/admin/promo-codes/:promoCodeId - Edit or deactivate a promotional code
+router.patch('/promo-codes/:promoCodeId', authenticate, requirePermission('fees.manage'), auditAction('promo-code.update', { model: PromoCode, param: 'promoCodeId' }), async (req, res) => {
+  try {
+    const promoCode = await FeeScheduleService.updatePromoCode(req.params.promoCodeId, req.body);
+
+    res.json({
+      success: true,
+      message: `Promo code ${promoCode.code} updated`,
+      data: promoCode
+    });
+  } catch (error) {
+    console.error('❌ Error updating promo code:', error.message);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // GET /api/admin/escrows/:escrowId - Get detailed escrow information
-router.get('/escrows/:escrowId', authenticate, isAdmin, async (req, res) => {
+router.get('/escrows/:escrowId', authenticate, requirePermission('escrows.view'), async (req, res) => {
   try {
     const { escrowId } = req.params;
 
@@ -855,4 +1569,76 @@ router.get('/escrows/:escrowId', authenticate, isAdmin, async (req, res) => {
   }
 });
 
+// ================================
+// AUDIT LOG ROUTES
+// ================================
+
+// GET /api/admin/audit-logs - Admin actions, newest first
+// Filters: action, actor (id or email), targetType, targetId, outcome, from, to, search
+router.get('/audit-logs', authenticate, requirePermission('audit.view'), async (req, res) => {
+  try {
+    const { entries, actions, pagination } = await AuditService.list(req.query);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        actions,
+        pagination
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching audit log:', error.message);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/audit-logs/export?format=csv|json - Download the filtered entries
+router.get('/audit-logs/export', authenticate, requirePermission('audit.view'), async (req, res) => {
+  try {
+    const { format = 'csv', ...filters } = req.query;
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be csv or json'
+      });
+    }
+
+    const entries = await AuditService.exportEntries(filters);
+    const filename = `admin-audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    // Exports are privileged reads, so they are audited too
+    await AuditService.record({
+      actor: req.user.userId || req.user.id,
+      action: 'audit-log.export',
+      targetType: 'AdminAuditLog',
+      message: `Exported ${entries.length} entries as ${format.toUpperCase()}`,
+      ip: SessionService.getClientIp(req),
+      userAgent: req.headers['user-agent'] || '',
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: 200
+    });
+
+    console.log(`📜 Audit log exported: ${entries.length} entries as ${format}`);
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'json') {
+      res.setHeader('Content-Type', 'application/json');
+      return res.send(JSON.stringify(entries, null, 2));
+    }
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.send(AuditService.toCsv(entries));
+  } catch (error) {
+    console.error('❌ Error exporting audit log:', error.message);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
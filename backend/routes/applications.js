@@ -6,8 +6,24 @@ const { Chat, Message } = require('../models/Chat');
 const Notification = require('../models/Notification');
 const Workspace = require('../models/Workspace');
 const { auth } = require('../middlewares/auth');
+const { formatMoney } = require('../utils/currency');
+const TimesheetService = require('../services/timesheetService');
+const NegotiationService = require('../services/negotiationService');
 const router = express.Router();
 
+// Hourly contracts bill approved timesheets, capped at a weekly hour limit chosen at award time
+const parseWeeklyHourLimit = (value) => {
+  const hours = value === undefined || value === null || value === ''
+    ? TimesheetService.getDefaultWeeklyHourLimit()
+    : Number(value);
+  return Number.isFinite(hours) && hours >= 1 && hours <= 168 ? hours : null;
+};
+
+const invalidHourLimitResponse = {
+  success: false,
+  message: 'Weekly hour limit must be between 1 and 168 hours'
+};
+
 // POST /api/applications - Submit application to a project
 router.post('/', auth(['freelancer']), async (req, res) => {
   console.log('🔥 SUBMIT APPLICATION - User ID:', req.user.userId);
@@ -265,7 +281,12 @@ router.get('/project/:projectId', auth(['client']), async (req, res) => {
     res.json({
       success: true,
       applications,
-      count: applications.length
+      count: applications.length,
+      project: {
+        _id: project._id,
+        budgetType: project.budgetType,
+        currency: project.currency
+      }
     });
   } catch (error) {
     console.error('❌ Error fetching project applications:', error);
@@ -318,6 +339,11 @@ router.put('/:applicationId/respond', auth(['client']), async (req, res) => {
     }
 
     // Update application status
+    const weeklyHourLimit = parseWeeklyHourLimit(req.body.weeklyHourLimit);
+    if (action === 'accept' && application.project.budgetType === 'hourly' && weeklyHourLimit === null) {
+      return res.status(400).json(invalidHourLimitResponse);
+    }
+
     application.status = action === 'accept' ? 'awarded' : 'rejected';
     application.respondedAt = new Date();
 
@@ -332,6 +358,9 @@ router.put('/:applicationId/respond', auth(['client']), async (req, res) => {
       project.finalRate = project.agreedPrice || application.proposedRate;
       project.finalTimeline = application.proposedTimeline;
       project.awardedAt = new Date();
+      if (project.budgetType === 'hourly') {
+        project.weeklyHourLimit = weeklyHourLimit;
+      }
       // If there's an agreed price, ensure budget stays consistent
       if (project.agreedPrice) {
         project.budgetAmount = project.agreedPrice;
@@ -367,7 +396,7 @@ router.put('/:applicationId/respond', auth(['client']), async (req, res) => {
       const systemMessage = new Message({
         chat: chat._id,
         sender: req.user.userId,
-        content: `🎉 Congratulations! Project "${application.project.title}" has been awarded to ${application.freelancer.fullName}. Final rate: Rs.${finalAmount}. Timeline: ${application.proposedTimeline}`,
+        content: `🎉 Congratulations! Project "${application.project.title}" has been awarded to ${application.freelancer.fullName}. Final rate: ${formatMoney(finalAmount, project.currency)}${project.budgetType === 'hourly' ? `/hour, up to ${project.weeklyHourLimit} hours a week` : ''}. Timeline: ${application.proposedTimeline}`,
         messageType: 'system'
       });
       await systemMessage.save();
@@ -469,6 +498,11 @@ router.put('/:applicationId/status', auth(['client']), async (req, res) => {
     }
 
     // Update application status
+    const weeklyHourLimit = parseWeeklyHourLimit(req.body.weeklyHourLimit);
+    if (status === 'accepted' && application.project.budgetType === 'hourly' && weeklyHourLimit === null) {
+      return res.status(400).json(invalidHourLimitResponse);
+    }
+
     application.status = status === 'accepted' ? 'awarded' : 'rejected';
     application.respondedAt = new Date();
 
@@ -486,6 +520,9 @@ router.put('/:applicationId/status', auth(['client']), async (req, res) => {
       project.finalRate = project.agreedPrice || application.proposedRate;
       project.finalTimeline = application.proposedTimeline;
       project.awardedAt = new Date();
+      if (project.budgetType === 'hourly') {
+        project.weeklyHourLimit = weeklyHourLimit;
+      }
       // If there's an agreed price, ensure budget stays consistent
       if (project.agreedPrice) {
         project.budgetAmount = project.agreedPrice;
@@ -524,7 +561,7 @@ router.put('/:applicationId/status', auth(['client']), async (req, res) => {
       const systemMessage = new Message({
         chat: chat._id,
         sender: req.user.userId,
-        content: `🎉 Congratulations! Project "${application.project.title}" has been awarded to ${application.freelancer.fullName}. Final rate: Rs.${finalAmount}. Timeline: ${application.proposedTimeline}`,
+        content: `🎉 Congratulations! Project "${application.project.title}" has been awarded to ${application.freelancer.fullName}. Final rate: ${formatMoney(finalAmount, project.currency)}${project.budgetType === 'hourly' ? `/hour, up to ${project.weeklyHourLimit} hours a week` : ''}. Timeline: ${application.proposedTimeline}`,
         messageType: 'system'
       });
       await systemMessage.save();
@@ -548,6 +585,9 @@ router.put('/:applicationId/status', auth(['client']), async (req, res) => {
           await workspace.save();
           workspaceId = workspace._id;
           console.log('✅ Workspace created automatically:', workspaceId);
+
+          // Milestones proposed in the accepted offer
+          await NegotiationService.seedAgreedMilestones(workspace);
         } else {
           workspaceId = existingWorkspace._id;
           console.log('✅ Using existing workspace:', workspaceId);
@@ -755,6 +795,11 @@ router.put('/:applicationId/award', auth(['client']), async (req, res) => {
       });
     }
 
+    const weeklyHourLimit = parseWeeklyHourLimit(req.body.weeklyHourLimit);
+    if (application.project.budgetType === 'hourly' && weeklyHourLimit === null) {
+      return res.status(400).json(invalidHourLimitResponse);
+    }
+
     // Update application status to awarded
     application.status = 'awarded';
     await application.save();
@@ -768,6 +813,9 @@ router.put('/:applicationId/award', auth(['client']), async (req, res) => {
     project.finalRate = project.agreedPrice || application.proposedRate;
     project.finalTimeline = application.proposedTimeline;
     project.awardedAt = new Date();
+    if (project.budgetType === 'hourly') {
+      project.weeklyHourLimit = weeklyHourLimit;
+    }
     // If there's an agreed price, ensure budget stays consistent
     if (project.agreedPrice) {
       project.budgetAmount = project.agreedPrice;
@@ -816,7 +864,7 @@ router.put('/:applicationId/award', auth(['client']), async (req, res) => {
       chat: chat._id,
       sender: req.user.userId,
       messageType: 'system',
-      content: `🎉 Congratulations! Project "${application.project.title}" has been awarded to ${application.freelancer.fullName}. Final rate: Rs.${finalAmount}. Timeline: ${application.proposedTimeline}`,
+      content: `🎉 Congratulations! Project "${application.project.title}" has been awarded to ${application.freelancer.fullName}. Final rate: ${formatMoney(finalAmount, project.currency)}${project.budgetType === 'hourly' ? `/hour, up to ${project.weeklyHourLimit} hours a week` : ''}. Timeline: ${application.proposedTimeline}`,
       readBy: [
         {
           user: req.user.userId,
@@ -3,9 +3,13 @@ const express = require('express');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
+const TwoFactorService = require('../services/twoFactorService');
+const SessionService = require('../services/sessionService');
 const PendingUser = require('../models/PendingUser');
+const LoginSession = require('../models/LoginSession');
 const { OAuth2Client } = require('google-auth-library');
 const { uploadProfilePicture, handleMulterError } = require('../middlewares/upload');
+const { auth } = require('../middlewares/auth');
 const {
   uploadProfilePicture: uploadToCloudinary,
   validateCloudinaryConfig
@@ -16,13 +20,64 @@ const router = express.Router();
 // Initialize Google OAuth client
 const client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
-// Generate JWT Token
-const generateToken = (userId, role) => {
-  return jwt.sign(
-    { userId, role },
-    process.env.JWT_SECRET || 'your_jwt_secret_key',
-    { expiresIn: '24h' }
-  );
+// The user as the frontend keeps it
+const toSessionUser = (user) => ({
+  id: user._id,
+  fullName: user.fullName,
+  email: user.email,
+  role: user.role,
+  profilePicture: user.profilePicture || null,
+  preferences: getLocalePreferences(user)
+});
+
+// Session, API token and refresh cookie for a user who has passed every sign-in check.
+// Also records the login history entry and alerts about new devices.
+const startSession = async (req, res, user, method) => {
+  req.session.user = toSessionUser(user);
+
+  const loginSession = await SessionService.start(req, res, user, method);
+  req.session.loginSessionId = loginSession._id;
+
+  return {
+    // Short-lived; POST /api/auth/refresh swaps the refresh cookie for a new one
+    token: SessionService.issueTokens(res, user, loginSession),
+    user: req.session.user,
+    // Freelancers with an incomplete profile get the setup popup
+    needsProfileSetup: user.role === 'freelancer' && !user.isFreelancerProfileComplete()
+  };
+};
+
+// 423 while the account is locked after too many failed sign-ins
+const sendLocked = (res, user) => {
+  const minutes = Math.max(1, Math.ceil((user.lockUntil - Date.now()) / 60000));
+  return res.status(423).json({
+    success: false,
+    message: `Too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    accountLocked: true,
+    lockUntil: user.lockUntil
+  });
+};
+
+// Second sign-in step when the account has 2FA on, or must set it up first.
+// Returns null when the password alone is enough.
+const twoFactorChallenge = (user) => {
+  if (user.twoFactorEnabled) {
+    return {
+      message: 'Enter the code from your authenticator app',
+      twoFactorRequired: true,
+      challengeToken: TwoFactorService.createChallengeToken(user, 'login')
+    };
+  }
+
+  if (TwoFactorService.isRequiredFor(user)) {
+    return {
+      message: 'Your account requires two-factor authentication. Set it up to continue.',
+      twoFactorSetupRequired: true,
+      challengeToken: TwoFactorService.createChallengeToken(user, 'setup')
+    };
+  }
+
+  return null;
 };
 
 /* ─────────────────────────────────────────
@@ -38,6 +93,8 @@ const {
   sendPasswordResetEmail
 } = require('../utils/brevoEmailService');
 const { validateRegistrationData, formatName } = require('../utils/validation');
+const { getLocalePreferences } = require('../utils/userLocale');
+const { translate, requestLanguage } = require('../utils/i18n');
 
 /* ─────────────────────────────────────────
    ROUTES - NOW upload IS AVAILABLE
@@ -121,7 +178,7 @@ router.post('/freelancer/auto-tag-bio', async (req, res) => {
       suggestions,
       profileComplete: user.profileComplete,
       profilePicture: user.profilePicture,
-      user: user.getPublicProfile()
+      user: user.getPublicProfile({ userId: user._id, role: user.role })
     });
 
   } catch (error) {
@@ -173,43 +230,43 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    // Locked accounts don't get to try passwords at all
+    if (user.isAccountLocked()) {
+      console.log('🔒 Login attempt on locked account:', user.email);
+      return sendLocked(res, user);
+    }
+
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     console.log('Password valid:', isPasswordValid);
 
     if (!isPasswordValid) {
+      await user.handleFailedLogin();
+
+      if (user.isAccountLocked()) {
+        console.log(`🔒 Account locked after ${user.loginAttempts} failed attempts:`, user.email);
+        return sendLocked(res, user);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Store user info in session
-    req.session.user = {
-      id: user._id,
-      fullName: user.fullName,
-      email: user.email,
-      role: user.role,
-      profilePicture: user.profilePicture || null
-    };
-
-    // Check freelancer profile completion - show popup if profile is incomplete
-    let needsProfileSetup = false;
-    if (user.role === 'freelancer' && !user.isFreelancerProfileComplete()) {
-      needsProfileSetup = true;
+    // Accounts with two-factor authentication finish at /login/two-factor
+    const challenge = twoFactorChallenge(user);
+    if (challenge) {
+      console.log('🔐 Two-factor step required for:', user.email);
+      return res.json({ success: true, ...challenge });
     }
 
     console.log('Login successful for user:', user.email);
 
-    // Generate JWT token for API authentication
-    const token = generateToken(user._id, user.role);
-
     res.json({
       success: true,
       message: `Welcome back, ${user.fullName}!`,
-      token,
-      user: req.session.user,
-      needsProfileSetup
+      ...(await startSession(req, res, user, 'password'))
     });
 
   } catch (error) {
@@ -221,6 +278,125 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Load the user behind a challenge token; sends the error response and returns null if it can't
+const loadChallengeUser = async (req, res, purpose) => {
+  let userId;
+  try {
+    userId = TwoFactorService.verifyChallengeToken(req.body.challengeToken, purpose);
+  } catch (error) {
+    res.status(401).json({ success: false, message: error.message, challengeExpired: true });
+    return null;
+  }
+
+  const user = await User.findById(userId).select('+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes');
+  if (!user || !user.isActive) {
+    res.status(401).json({ success: false, message: 'Your sign-in session is no longer valid. Please log in again.', challengeExpired: true });
+    return null;
+  }
+
+  if (user.isAccountLocked()) {
+    sendLocked(res, user);
+    return null;
+  }
+
+  return user;
+};
+
+// Login step 2: authenticator or recovery code
+router.post('/login/two-factor', async (req, res) => {
+  try {
+    const user = await loadChallengeUser(req, res, 'login');
+    if (!user) return;
+
+    const method = TwoFactorService.verifyLoginCode(user, req.body.code);
+    if (!method) {
+      await user.handleFailedLogin();
+      console.log('🛑 Invalid two-factor code for:', user.email);
+
+      if (user.isAccountLocked()) {
+        return sendLocked(res, user);
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    // Saves the spent recovery code / used time step along with the login
+    const session = await startSession(req, res, user, 'two-factor');
+    const recoveryCodesRemaining = TwoFactorService.getStatus(user).recoveryCodesRemaining;
+    console.log(`✅ Two-factor login (${method}) for user:`, user.email);
+
+    res.json({
+      success: true,
+      message: `Welcome back, ${user.fullName}!`,
+      ...session,
+      usedRecoveryCode: method === 'recovery',
+      recoveryCodesRemaining
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+});
+
+// Accounts required to use 2FA enroll during login: get a secret...
+router.post('/login/two-factor/setup', async (req, res) => {
+  try {
+    const user = await loadChallengeUser(req, res, 'setup');
+    if (!user) return;
+
+    const enrollment = await TwoFactorService.startEnrollment(user);
+    res.json({
+      success: true,
+      message: 'Add this account to your authenticator app, then enter the code it shows',
+      data: enrollment
+    });
+  } catch (error) {
+    console.error('Two-factor login setup error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// ...then confirm it with a first code, which also signs them in
+router.post('/login/two-factor/setup/confirm', async (req, res) => {
+  try {
+    const user = await loadChallengeUser(req, res, 'setup');
+    if (!user) return;
+
+    let recoveryCodes;
+    try {
+      ({ recoveryCodes } = await TwoFactorService.confirmEnrollment(user, req.body.code));
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.log('🔐 Two-factor enrolled at login for user:', user.email);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication is on. Save your recovery codes somewhere safe.',
+      ...(await startSession(req, res, user, 'two-factor')),
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Two-factor login setup confirm error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+});
+
 // Register Route
 router.post('/register', async (req, res) => {
   try {
@@ -239,18 +415,19 @@ router.post('/register', async (req, res) => {
       console.log('🎯 Extracted skills from bio:', extractedSkills);
     }
 
-    // Comprehensive validation
+    // Comprehensive validation, in the language the form was filled in
+    const language = requestLanguage(req);
     const validation = validateRegistrationData({
       fullName,
       email,
       password,
       role
-    });
+    }, language);
 
     if (!validation.isValid) {
       return res.status(400).json({
         success: false,
-        message: 'Validation failed',
+        message: translate(language, 'validation.failed'),
         errors: validation.errors,
         details: validation.errors.map(err => err.message).join(', ')
       });
@@ -288,6 +465,7 @@ router.post('/register', async (req, res) => {
       role,
       bio: bio || '',
       skills: extractedSkills,
+      preferences: { language },
       verificationToken,
       verificationTokenExpires
     });
@@ -397,28 +575,24 @@ router.post('/google', async (req, res) => {
         console.log('Updated existing user with Google data');
       }
 
-      // Set user session
-      req.session.user = {
-        id: user._id,
-        fullName: user.fullName,
-        email: user.email,
-        role: user.role,
-        profilePicture: user.profilePicture
-      };
+      if (user.isAccountLocked()) {
+        return sendLocked(res, user);
+      }
+
+      // Google proves the password step, not the second factor
+      const challenge = twoFactorChallenge(user);
+      if (challenge) {
+        console.log('🔐 Two-factor step required for:', user.email);
+        return res.json({ success: true, ...challenge });
+      }
 
-      const token = generateToken(user._id, user.role);
+      const { token, user: sessionUser } = await startSession(req, res, user, 'google');
 
       res.json({
         success: true,
         message: `Welcome back, ${user.fullName}!`,
         token,
-        user: {
-          id: user._id,
-          fullName: user.fullName,
-          email: user.email,
-          role: user.role,
-          profilePicture: user.profilePicture
-        }
+        user: sessionUser
       });
 
     } else if (!user && isRegister) {
@@ -437,16 +611,7 @@ router.post('/google', async (req, res) => {
       const savedUser = await newUser.save();
       console.log('✅ New Google user saved to MongoDB:', savedUser._id);
 
-      // Set user session
-      req.session.user = {
-        id: savedUser._id,
-        fullName: savedUser.fullName,
-        email: savedUser.email,
-        role: savedUser.role,
-        profilePicture: savedUser.profilePicture
-      };
-
-      const token = generateToken(savedUser._id, savedUser.role);
+      const { token } = await startSession(req, res, savedUser, 'google');
 
       res.status(201).json({
         success: true,
@@ -728,7 +893,13 @@ router.post('/reset-password', async (req, res) => {
 
     await user.save();
 
-    console.log('✅ Password reset successful for:', user.email);
+    // Whoever knew the old password may still be signed in
+    const revokedCount = await SessionService.revokeAll(user._id, {
+      reason: 'password-change',
+      store: req.sessionStore
+    });
+
+    console.log(`✅ Password reset successful for: ${user.email} (${revokedCount} session(s) signed out)`);
 
     res.json({
       success: true,
@@ -760,7 +931,9 @@ router.get('/test-route', (req, res) => {
       'POST /reset-password',
 
       'GET /session',
-      'POST /logout'
+      'POST /refresh',
+      'POST /logout',
+      'POST /logout-all'
     ]
   });
 });
@@ -790,9 +963,52 @@ router.get('/session', (req, res) => {
   }
 });
 
-// Logout route
-router.post('/logout', (req, res) => {
+// Swap the refresh cookie for a new API token (and a new refresh cookie)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { user, accessToken } = await SessionService.refresh(req, res);
+
+    res.json({
+      success: true,
+      token: accessToken,
+      user: toSessionUser(user)
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error.message);
+    SessionService.clearRefreshCookie(res);
+    res.status(401).json({
+      success: false,
+      message: error.message,
+      sessionRevoked: true
+    });
+  }
+});
+
+// Logout route: also signs out the login session the caller's token belongs to
+router.post('/logout', async (req, res) => {
   try {
+    let loginSessionId = SessionService.readRefreshToken(req)?.sid || req.session?.loginSessionId || null;
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      try {
+        // An expired token still says which session to end
+        const decoded = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET || 'your_jwt_secret_key', {
+          ignoreExpiration: true
+        });
+        loginSessionId = decoded.sid || loginSessionId;
+      } catch (error) {
+        // A bad token still logs out the express session below
+      }
+    }
+
+    if (loginSessionId) {
+      await LoginSession.updateOne(
+        { _id: loginSessionId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'logout' }
+      );
+    }
+    SessionService.clearRefreshCookie(res);
+
     req.session.destroy((err) => {
       if (err) {
         console.error('Session destroy error:', err);
@@ -817,4 +1033,32 @@ router.post('/logout', (req, res) => {
   }
 });
 
+// Sign out every device, this one included
+router.post('/logout-all', auth(), async (req, res) => {
+  try {
+    const count = await SessionService.revokeAll(req.user.userId, { store: req.sessionStore });
+    SessionService.clearRefreshCookie(res);
+    console.log(`🚪 Signed out all ${count} session(s) for user:`, req.user.userId);
+
+    req.session.destroy((err) => {
+      if (err) {
+        console.error('Session destroy error:', err);
+      }
+
+      res.clearCookie('connect.sid');
+      res.json({
+        success: true,
+        message: 'Signed out of all devices',
+        data: { revokedCount: count }
+      });
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out of all devices'
+    });
+  }
+});
+
 module.exports = router;
@@ -1,10 +1,60 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { Chat, Message } = require('../models/Chat');
 const Application = require('../models/Application');
 const { auth } = require('../middlewares/auth');
 const { shouldSummarize, summarizeMessage } = require('../services/chatSummarizer');
+const { chatRoom } = require('../utils/socketHandler');
+const ChatHistoryService = require('../services/chatHistoryService');
+const NegotiationService = require('../services/negotiationService');
+const PrivacyService = require('../services/privacyService');
 const router = express.Router();
 
+// Quoted message shown above a reply
+const REPLY_TO_POPULATE = {
+  path: 'replyTo',
+  select: 'content sender messageType deleted',
+  populate: { path: 'sender', select: 'fullName' }
+};
+
+// Find a message and check the user takes part in its chat
+const findMessageForParticipant = async (messageId, userId) => {
+  const message = await Message.findById(messageId);
+  if (!message) {
+    return { status: 404, error: 'Message not found' };
+  }
+
+  const chat = await Chat.findById(message.chat);
+  const isParticipant = chat?.participants.some(
+    p => p.user.toString() === userId
+  );
+  if (!isParticipant) {
+    return { status: 403, error: 'Access denied. You are not a participant in this chat.' };
+  }
+
+  return { message, chat };
+};
+
+// Send the new state of an edited, deleted or reacted-to message to the chat room
+const emitMessageUpdate = async (req, message) => {
+  await message.populate([
+    { path: 'sender', select: 'fullName profilePicture' },
+    REPLY_TO_POPULATE
+  ]);
+
+  const data = message.toObject();
+  delete data.editHistory;
+
+  const io = req.app.get('io');
+  if (io) {
+    io.to(chatRoom(message.chat)).emit('message-updated', {
+      chatId: message.chat.toString(),
+      message: data
+    });
+  }
+  return data;
+};
+
 // GET /api/chats - Get user's chats
 router.get('/', auth(['client', 'freelancer']), async (req, res) => {
   console.log('🔥 GET USER CHATS - User ID:', req.user.userId);
@@ -50,12 +100,48 @@ router.get('/', auth(['client', 'freelancer']), async (req, res) => {
   }
 });
 
+// GET /api/chats/search - Search messages across the user's chats
+// Query: q, chatId, sender (me|others|userId), from, to, type (text|file|system|offer), hasAttachments, before, limit
+router.get('/search', auth(['client', 'freelancer']), async (req, res) => {
+  console.log('🔍 SEARCH MESSAGES - User ID:', req.user.userId);
+  let filters;
+  try {
+    filters = ChatHistoryService.parseSearchQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  try {
+    const { results, pagination } = await ChatHistoryService.search(req.user.userId, filters);
+
+    console.log('✅ Found', results.length, 'matching messages');
+    res.json({
+      success: true,
+      data: {
+        results,
+        terms: filters.terms,
+        pagination
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error searching messages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search messages',
+      error: error.message
+    });
+  }
+});
+
 // GET /api/chats/:chatId - Get specific chat with messages
 router.get('/:chatId', auth(['client', 'freelancer']), async (req, res) => {
   console.log('🔥 GET CHAT DETAILS - Chat ID:', req.params.chatId);
   try {
     const { chatId } = req.params;
-    const { page = 1, limit = 50 } = req.query;
+    const { limit, before, after, around } = req.query;
 
     // Find chat and verify user access
     const chat = await Chat.findById(chatId)
@@ -99,20 +185,21 @@ router.get('/:chatId', auth(['client', 'freelancer']), async (req, res) => {
       });
     }
 
-    // Get messages with pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    const messages = await Message.find({ chat: chatId })
-      .populate({
-        path: 'sender',
-        select: 'fullName profilePicture'
-      })
-      .sort('-createdAt')
-      .skip(skip)
-      .limit(parseInt(limit))
-      .lean();
+    await NegotiationService.expireOffers({ chat: chatId });
 
-    // Reverse messages to show oldest first
-    messages.reverse();
+    // Get a page of messages; before/after/around are message id cursors
+    let history;
+    try {
+      history = await ChatHistoryService.getPage(chatId, { before, after, around, limit });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    const { messages, pagination } = history;
+    // Every offer, so negotiation threads render in full even when part of them is on an older page
+    const offers = await NegotiationService.getChatOffers(chatId);
 
     // Mark messages as read by current user
     await Message.updateMany(
@@ -131,21 +218,13 @@ router.get('/:chatId', auth(['client', 'freelancer']), async (req, res) => {
       }
     );
 
-    const totalMessages = await Message.countDocuments({ chat: chatId });
-    const totalPages = Math.ceil(totalMessages / parseInt(limit));
-
     console.log('✅ Chat details retrieved with', messages.length, 'messages');
     res.json({
       success: true,
       chat,
       messages,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        totalMessages,
-        hasNextPage: parseInt(page) < totalPages,
-        hasPrevPage: parseInt(page) > 1
-      }
+      offers,
+      pagination
     });
   } catch (error) {
     console.error('❌ Error fetching chat details:', error);
@@ -162,7 +241,7 @@ router.post('/:chatId/messages', auth(['client', 'freelancer']), async (req, res
   console.log('🔥 SEND MESSAGE - Chat ID:', req.params.chatId);
   try {
     const { chatId } = req.params;
-    const { content, messageType = 'text', attachments = [], offerDetails } = req.body;
+    const { content, messageType = 'text', attachments = [], offerDetails, replyTo, expiresInHours } = req.body;
 
     if (!content && messageType === 'text') {
       return res.status(400).json({
@@ -205,33 +284,37 @@ router.post('/:chatId/messages', auth(['client', 'freelancer']), async (req, res
       });
     }
 
-    // --- Offer cap enforcement for freelancers ---
-    if (messageType === 'offer' && offerDetails?.proposedRate) {
-      const Project = require('../models/Project');
-      const project = await Project.findById(chat.project);
-
-      if (project?.agreedPrice) {
+    if (replyTo) {
+      const original = mongoose.isValidObjectId(replyTo)
+        ? await Message.exists({ _id: replyTo, chat: chatId })
+        : null;
+      if (!original) {
         return res.status(400).json({
           success: false,
-          message: `Price is already locked at ₹${project.agreedPrice.toLocaleString()}. No further offers allowed.`
+          message: 'The message you are replying to is not in this chat'
         });
       }
+    }
 
-      // Determine sender role
-      const senderParticipant = chat.participants.find(
-        p => p.user.toString() === req.user.userId
-      );
-
-      if (senderParticipant?.role === 'freelancer' && project?.budgetAmount) {
-        const maxAllowed = project.budgetAmount * 1.20; // 20% above client budget
-        if (offerDetails.proposedRate > maxAllowed) {
-          return res.status(400).json({
-            success: false,
-            message: `Offer exceeds the allowed maximum of ₹${maxAllowed.toLocaleString()} (20% above project budget of ₹${project.budgetAmount.toLocaleString()}).`,
-            maxAllowed,
-            clientBudget: project.budgetAmount
-          });
-        }
+    // --- Offer terms: budget cap for freelancers, milestone breakdown and expiry ---
+    let offerFields = {};
+    if (messageType === 'offer') {
+      const Project = require('../models/Project');
+      const project = await Project.findById(chat.project);
+      try {
+        offerFields = {
+          offerDetails: NegotiationService.normalizeOfferDetails(offerDetails, {
+            project,
+            role: NegotiationService.participantRole(chat, req.user.userId)
+          }),
+          offerExpiresAt: NegotiationService.expiryFrom(expiresInHours)
+        };
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
       }
     }
 
@@ -242,8 +325,9 @@ router.post('/:chatId/messages', auth(['client', 'freelancer']), async (req, res
       content,
       messageType,
       attachments,
-      offerDetails,
+      ...offerFields,
       offerStatus: messageType === 'offer' ? 'pending' : undefined,
+      replyTo: replyTo || null,
       readBy: [{
         user: req.user.userId,
         readAt: new Date()
@@ -281,11 +365,11 @@ router.post('/:chatId/messages', auth(['client', 'freelancer']), async (req, res
       }
     }
 
-    // Populate sender info
-    await message.populate({
-      path: 'sender',
-      select: 'fullName profilePicture'
-    });
+    // Populate sender info and the quoted message
+    await message.populate([
+      { path: 'sender', select: 'fullName profilePicture' },
+      REPLY_TO_POPULATE
+    ]);
 
     // Update chat's last message and activity
     chat.lastMessage = message._id;
@@ -295,7 +379,7 @@ router.post('/:chatId/messages', auth(['client', 'freelancer']), async (req, res
     // Emit real-time event via Socket.IO to chat room
     const io = req.app.get('io');
     if (io) {
-      io.to(chatId).emit('message-received', {
+      io.to(chatRoom(chatId)).emit('message-received', {
         chatId,
         message: message.toObject(),
       });
@@ -493,6 +577,17 @@ router.post('/application/:applicationId', auth(['client', 'freelancer']), async
       });
     }
 
+    // Starting a conversation needs the other side to accept direct messages
+    const User = require('../models/User');
+    const recipient = await User.findById(isClient ? application.freelancer._id : application.client._id)
+      .select('fullName privacySettings');
+    if (recipient && !PrivacyService.canStartChat(recipient, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: `${recipient.fullName} isn't accepting direct messages`
+      });
+    }
+
     // Create new chat
     chat = new Chat({
       project: application.project._id,
@@ -555,23 +650,23 @@ router.post('/application/:applicationId', auth(['client', 'freelancer']), async
   }
 });
 
-// PUT /api/chats/messages/:messageId/respond-to-offer - Accept or decline an offer
+// PUT /api/chats/messages/:messageId/respond-to-offer - Accept, decline, counter or withdraw an offer
+// Counter: { action: 'counter', offerDetails, expiresInHours } makes a new offer in the same negotiation
 router.put('/messages/:messageId/respond-to-offer', auth(['client', 'freelancer']), async (req, res) => {
   console.log('🔥 RESPOND TO OFFER - Message ID:', req.params.messageId);
   try {
     const { messageId } = req.params;
-    const { action } = req.body; // 'accept' or 'decline'
+    const { action, offerDetails, expiresInHours } = req.body;
 
-    if (!action || !['accept', 'decline'].includes(action)) {
+    if (!action || !Message.OFFER_ACTIONS[action]) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid action. Must be "accept" or "decline"'
+        message: 'Invalid action. Must be "accept", "decline", "counter" or "withdraw"'
       });
     }
 
     // Find the offer message
     const message = await Message.findById(messageId)
-      .populate('chat')
       .populate('sender', 'fullName');
 
     if (!message) {
@@ -581,183 +676,235 @@ router.put('/messages/:messageId/respond-to-offer', auth(['client', 'freelancer'
       });
     }
 
-    if (message.messageType !== 'offer') {
+    // Verify user is participant in this chat
+    const chat = await Chat.findById(message.chat);
+    const isParticipant = chat?.participants.some(
+      p => p.user.toString() === req.user.userId
+    );
+
+    if (!isParticipant) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    let result;
+    try {
+      result = await NegotiationService.respond(message, chat, req.user.userId, action, { offerDetails, expiresInHours });
+    } catch (error) {
       return res.status(400).json({
         success: false,
-        message: 'This message is not an offer'
+        message: error.message,
+        ...error.details
       });
     }
+    const { counterOffer, responseMessage } = result;
 
-    if (message.offerStatus !== 'pending') {
+    // Emit real-time events
+    const io = req.app.get('io');
+    if (io) {
+      io.to(chatRoom(chat._id)).emit('offer-response', {
+        messageId: message._id,
+        offerStatus: message.offerStatus,
+        responseMessage: responseMessage?.toObject(),
+        counterOffer: counterOffer?.toObject()
+      });
+      const newMessage = counterOffer || responseMessage;
+      io.to(chatRoom(chat._id)).emit('message-received', {
+        chatId: chat._id,
+        message: newMessage.toObject()
+      });
+    }
+
+    console.log(`✅ Offer ${message.offerStatus} successfully`);
+    res.json({
+      success: true,
+      message: `Offer ${message.offerStatus} successfully`,
+      data: {
+        message: message.toObject(),
+        responseMessage: responseMessage?.toObject(),
+        counterOffer: counterOffer?.toObject()
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error responding to offer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to respond to offer',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/chats/messages/:messageId - Edit your own text message (previous version kept in history)
+router.patch('/messages/:messageId', auth(['client', 'freelancer']), async (req, res) => {
+  console.log('🔥 EDIT MESSAGE - Message ID:', req.params.messageId);
+  try {
+    const content = typeof req.body.content === 'string' ? req.body.content.trim() : '';
+
+    if (!content) {
       return res.status(400).json({
         success: false,
-        message: `This offer has already been ${message.offerStatus}`
+        message: 'Message content is required'
       });
     }
 
-    // Verify user is participant in this chat
-    const chat = await Chat.findById(message.chat._id);
-    const isParticipant = chat.participants.some(
-      p => p.user.toString() === req.user.userId
-    );
+    if (content.length > 10000) {
+      return res.status(400).json({
+        success: false,
+        message: `Message is too long (${content.length} characters). Maximum allowed is 10,000 characters.`
+      });
+    }
 
-    if (!isParticipant) {
+    const { message, chat, status, error } = await findMessageForParticipant(req.params.messageId, req.user.userId);
+    if (error) {
+      return res.status(status).json({ success: false, message: error });
+    }
+
+    if (!message.canModify(req.user.userId)) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied'
+        message: 'You can only edit your own text messages'
       });
     }
 
-    // Only the person who didn't send the offer can accept/decline it
-    if (message.sender._id.toString() === req.user.userId) {
+    if (chat.status === 'closed') {
       return res.status(400).json({
         success: false,
-        message: 'You cannot respond to your own offer'
+        message: 'Cannot edit messages in a closed chat'
+      });
+    }
+
+    if (!message.applyEdit(content)) {
+      return res.status(400).json({
+        success: false,
+        message: 'No changes to save'
       });
     }
 
-    // Update offer status
-    message.offerStatus = action === 'accept' ? 'accepted' : 'declined';
     await message.save();
+    const data = await emitMessageUpdate(req, message);
 
-    // If accepted, lock in the agreed price across project, application, milestones
-    if (action === 'accept' && message.offerDetails) {
-      const Application = require('../models/Application');
-      const Project = require('../models/Project');
-      const Milestone = require('../models/Milestone');
-      const Workspace = require('../models/Workspace');
-      
-      // Find the application for this chat's project
-      const application = await Application.findOne({
-        project: chat.project,
-        $or: [
-          { freelancer: chat.participants[0].user },
-          { freelancer: chat.participants[1].user }
-        ]
-      });
-
-      const agreedAmount = message.offerDetails.proposedRate;
-      const agreedTimeline = message.offerDetails.timeline;
-
-      if (application) {
-        application.proposedRate = agreedAmount;
-        application.proposedTimeline = agreedTimeline;
-        application.negotiatedAt = new Date();
-        // Mark application as accepted (NOT awarded) - client must click "Select for Job" to award
-        if (application.status === 'pending') {
-          application.status = 'accepted';
-        }
-        application.respondedAt = new Date();
-        await application.save();
-        console.log('✅ Application accepted with negotiated rate:', agreedAmount, '(client must Select for Job to award)');
-      }
+    console.log('✅ Message edited');
+    res.json({
+      success: true,
+      message: 'Message updated',
+      data
+    });
+  } catch (error) {
+    console.error('❌ Error editing message:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to edit message',
+      error: error.message
+    });
+  }
+});
 
-      // Lock the agreed price on the project (but do NOT auto-award - client must Select for Job)
-      const project = await Project.findById(chat.project);
-      if (project) {
-        project.agreedPrice = agreedAmount;
-        project.finalRate = agreedAmount;
-        project.budgetAmount = agreedAmount; // Overwrite budget so milestones & cards use it
-        project.priceLockedAt = new Date();
-        project.priceLockedBy = 'offer_accepted';
-        project.finalTimeline = agreedTimeline;
-
-        // Do NOT auto-award the project - the client must click "Select for Job"
-        // Just keep the project status as-is (open/pending) so the Select for Job button appears
-
-        // Record in negotiation history
-        project.negotiationHistory.push({
-          offeredBy: message.sender._id || message.sender,
-          offeredByRole: chat.participants.find(p => p.user.toString() === (message.sender._id || message.sender).toString())?.role,
-          amount: agreedAmount,
-          timeline: agreedTimeline,
-          status: 'accepted',
-          respondedBy: req.user.userId,
-          respondedAt: new Date()
-        });
+// DELETE /api/chats/messages/:messageId - Delete your own text message (leaves a tombstone)
+router.delete('/messages/:messageId', auth(['client', 'freelancer']), async (req, res) => {
+  console.log('🔥 DELETE MESSAGE - Message ID:', req.params.messageId);
+  try {
+    const { message, status, error } = await findMessageForParticipant(req.params.messageId, req.user.userId);
+    if (error) {
+      return res.status(status).json({ success: false, message: error });
+    }
 
-        // Recalculate service charges with the agreed price
-        const serviceChargePercentage = project.serviceChargePercentage || 5;
-        const fixedServiceCharge = project.serviceCharge || 35;
-        project.totalProjectValue = agreedAmount + Math.max(fixedServiceCharge, (agreedAmount * serviceChargePercentage) / 100);
+    if (!message.canModify(req.user.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own text messages'
+      });
+    }
 
-        await project.save();
-        console.log('✅ Project agreedPrice locked at:', agreedAmount, '- awaiting client Select for Job');
-      }
+    message.tombstone(req.user.userId);
+    await message.save();
+    const data = await emitMessageUpdate(req, message);
 
-      // Decline any other pending offers in this chat
-      const declinedOffers = await Message.updateMany(
-        {
-          chat: message.chat._id,
-          messageType: 'offer',
-          offerStatus: 'pending',
-          _id: { $ne: message._id }
-        },
-        { offerStatus: 'declined' }
-      );
-      console.log(`✅ Auto-declined ${declinedOffers.modifiedCount} other pending offers`);
-    } else if (action === 'decline' && message.offerDetails) {
-      // Record declined offer in project negotiation history
-      const Project = require('../models/Project');
-      const project = await Project.findById(chat.project);
-      if (project) {
-        project.negotiationHistory.push({
-          offeredBy: message.sender._id || message.sender,
-          offeredByRole: chat.participants.find(p => p.user.toString() === (message.sender._id || message.sender).toString())?.role,
-          amount: message.offerDetails.proposedRate,
-          timeline: message.offerDetails.timeline,
-          status: 'declined',
-          respondedBy: req.user.userId,
-          respondedAt: new Date()
-        });
-        await project.save();
-      }
+    console.log('✅ Message deleted');
+    res.json({
+      success: true,
+      message: 'Message deleted',
+      data
+    });
+  } catch (error) {
+    console.error('❌ Error deleting message:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete message',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/chats/messages/:messageId/history - Previous versions of an edited message
+router.get('/messages/:messageId/history', auth(['client', 'freelancer']), async (req, res) => {
+  try {
+    const { message, status, error } = await findMessageForParticipant(req.params.messageId, req.user.userId);
+    if (error) {
+      return res.status(status).json({ success: false, message: error });
     }
 
-    // Send a system message about the response
-    const responseMessage = new Message({
-      chat: message.chat._id,
-      sender: req.user.userId,
-      content: action === 'accept' 
-        ? `✅ Offer accepted: Rs.${message.offerDetails.proposedRate} - ${message.offerDetails.timeline}`
-        : `❌ Offer declined`,
-      messageType: 'system',
-      readBy: [{
-        user: req.user.userId,
-        readAt: new Date()
-      }]
+    res.json({
+      success: true,
+      data: {
+        messageId: message._id,
+        content: message.content,
+        edited: message.edited,
+        editedAt: message.editedAt,
+        deleted: message.deleted,
+        history: message.editHistory
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching message history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch message history',
+      error: error.message
     });
-    await responseMessage.save();
-    await responseMessage.populate('sender', 'fullName');
+  }
+});
 
-    // Emit real-time events
-    const io = req.app.get('io');
-    if (io) {
-      io.to(message.chat._id.toString()).emit('offer-response', {
-        messageId: message._id,
-        offerStatus: message.offerStatus,
-        responseMessage: responseMessage.toObject()
+// POST /api/chats/messages/:messageId/reactions - Toggle an emoji reaction
+router.post('/messages/:messageId/reactions', auth(['client', 'freelancer']), async (req, res) => {
+  try {
+    const { emoji } = req.body;
+
+    if (!Message.REACTIONS.includes(emoji)) {
+      return res.status(400).json({
+        success: false,
+        message: `Reaction must be one of ${Message.REACTIONS.join(' ')}`
       });
-      io.to(message.chat._id.toString()).emit('message-received', {
-        chatId: message.chat._id,
-        message: responseMessage.toObject()
+    }
+
+    const { message, status, error } = await findMessageForParticipant(req.params.messageId, req.user.userId);
+    if (error) {
+      return res.status(status).json({ success: false, message: error });
+    }
+
+    if (message.deleted) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot react to a deleted message'
       });
     }
 
-    console.log(`✅ Offer ${action}ed successfully`);
+    const added = message.toggleReaction(emoji, req.user.userId);
+    await message.save();
+    const data = await emitMessageUpdate(req, message);
+
     res.json({
       success: true,
-      message: `Offer ${action}ed successfully`,
-      data: {
-        message: message.toObject(),
-        responseMessage: responseMessage.toObject()
-      }
+      message: added ? 'Reaction added' : 'Reaction removed',
+      data
     });
   } catch (error) {
-    console.error('❌ Error responding to offer:', error);
+    console.error('❌ Error updating reaction:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to respond to offer',
+      message: 'Failed to update reaction',
       error: error.message
     });
   }
@@ -0,0 +1,145 @@
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middlewares/auth');
+
+const Dispute = require('../models/Dispute');
+const Workspace = require('../models/Workspace');
+const DisputeService = require('../services/disputeService');
+
+// Middleware to check workspace access
+const checkWorkspaceAccess = async (req, res, next) => {
+  try {
+    const { workspaceId } = req.params;
+    const userId = req.user.userId;
+
+    const workspace = await Workspace.findById(workspaceId);
+    if (!workspace) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workspace not found'
+      });
+    }
+
+    const isClient = workspace.client.toString() === userId;
+    const isFreelancer = workspace.freelancer.toString() === userId;
+
+    if (!isClient && !isFreelancer) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You are not authorized to access this workspace.'
+      });
+    }
+
+    req.workspace = workspace;
+    req.userRole = isClient ? 'client' : 'freelancer';
+    next();
+  } catch (error) {
+    console.error('❌ Error checking workspace access:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// GET /api/disputes/workspace/:workspaceId - All disputes in a workspace, newest first
+router.get('/workspace/:workspaceId', auth(['client', 'freelancer']), checkWorkspaceAccess, async (req, res) => {
+  try {
+    console.log('🔥 GET WORKSPACE DISPUTES - Workspace:', req.workspace._id);
+
+    const disputes = await Dispute.find({ workspace: req.workspace._id })
+      .populate('messages.author', 'fullName profilePicture')
+      .populate('raisedBy', 'fullName')
+      .populate('milestone', 'title amount status')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: disputes.map(dispute => ({
+        ...dispute.toObject(),
+        awaitingRoles: dispute.getAwaitingRoles()
+      })),
+      userRole: req.userRole
+    });
+  } catch (error) {
+    console.error('❌ Error fetching workspace disputes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch disputes',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/disputes/:disputeId - Dispute thread for a participant
+router.get('/:disputeId', auth(['client', 'freelancer']), async (req, res) => {
+  try {
+    const dispute = await DisputeService.getDispute(req.params.disputeId);
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found'
+      });
+    }
+
+    if (!DisputeService.getParticipantRole(dispute, req.user.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You are not a party to this dispute.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...dispute.toObject(),
+        awaitingRoles: dispute.getAwaitingRoles()
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching dispute:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch dispute',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/disputes/:disputeId/evidence - Add an evidence message with optional workspace attachments
+router.post('/:disputeId/evidence', auth(['client', 'freelancer']), async (req, res) => {
+  try {
+    const { body, fileIds = [], deliverableIds = [] } = req.body;
+
+    console.log('🔥 ADD DISPUTE EVIDENCE - Dispute:', req.params.disputeId, 'User:', req.user.userId);
+
+    if (!body || !body.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please describe your evidence'
+      });
+    }
+
+    await DisputeService.addEvidence(req.params.disputeId, req.user.userId, { body, fileIds, deliverableIds });
+    const dispute = await DisputeService.getDispute(req.params.disputeId);
+
+    console.log('✅ Dispute evidence added');
+    res.status(201).json({
+      success: true,
+      message: 'Evidence added to the dispute',
+      data: {
+        ...dispute.toObject(),
+        awaitingRoles: dispute.getAwaitingRoles()
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error adding dispute evidence:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
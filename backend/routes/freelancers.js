@@ -3,6 +3,8 @@ const User = require('../models/User');
 const { auth } = require('../middlewares/auth');
 const Workspace = require('../models/Workspace');
 const Escrow = require('../models/Escrow');
+const Review = require('../models/Review');
+const PrivacyService = require('../services/privacyService');
 const router = express.Router();
 
 // GET /api/freelancers/browse - Get freelancers for clients to browse
@@ -25,7 +27,9 @@ router.get('/browse', auth(['client']), async (req, res) => {
     let query = { 
       role: 'freelancer', 
       isActive: true,
-      isVerified: true
+      isVerified: true,
+      // Leave out private profiles and freelancers who opted out of search
+      ...PrivacyService.searchFilter(req.user)
     };
 
     // Add search filter (name, bio, skills)
@@ -66,11 +70,14 @@ router.get('/browse', auth(['client']), async (req, res) => {
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     // Fetch freelancers
-    const freelancers = await User.find(query)
-      .select('fullName profilePicture bio skills hourlyRate experienceLevel rating completedProjects portfolio createdAt')
+    const results = await User.find(query)
+      .select('fullName profilePicture bio skills hourlyRate experienceLevel rating completedProjects portfolio createdAt email phoneNumber location lastSeen privacySettings')
       .sort({ 'rating.average': -1, completedProjects: -1 })
       .skip(skip)
       .limit(parseInt(limit));
+    const freelancers = results
+      .map(freelancer => PrivacyService.serializeProfile(freelancer, req.user))
+      .filter(Boolean);
 
     // Get total count for pagination
     const totalFreelancers = await User.countDocuments(query);
@@ -155,17 +162,33 @@ router.get('/:id', auth(['client']), async (req, res) => {
       isActive: true
     }).select('-password');
 
-    if (!freelancer) {
+    // Private profiles are still visible to clients already working with the freelancer
+    const connected = freelancer && !PrivacyService.canViewProfile(freelancer, req.user)
+      ? await PrivacyService.isConnected(req.user.userId, freelancer._id)
+      : false;
+
+    if (!freelancer || !PrivacyService.canViewProfile(freelancer, req.user, { connected })) {
       return res.status(404).json({
         success: false,
         message: 'Freelancer not found'
       });
     }
 
+    // Only revealed reviews are public
+    const reviews = await Review.find({
+      reviewee: freelancer._id,
+      isPublished: true
+    })
+      .populate('reviewer', 'fullName profilePicture')
+      .populate('project', 'title')
+      .sort({ publishedAt: -1 })
+      .limit(20);
+
     console.log('✅ Freelancer profile retrieved');
     res.json({
       success: true,
-      freelancer
+      freelancer: PrivacyService.serializeProfile(freelancer, req.user, { connected }),
+      reviews
     });
   } catch (error) {
     console.error('❌ Error fetching freelancer profile:', error);
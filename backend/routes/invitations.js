@@ -0,0 +1,95 @@
+const express = require('express');
+const InvitationService = require('../services/invitationService');
+const { auth } = require('../middlewares/auth');
+const router = express.Router();
+
+const sendInvitationError = (res, error, label) => {
+  console.error(`❌ Error ${label}:`, error);
+  const notFound = ['Invitation not found', 'Project not found', 'Freelancer not found'].includes(error.message);
+  res.status(notFound ? 404 : 400).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// POST /api/invitations - Invite a freelancer to one of your open projects
+router.post('/', auth(['client']), async (req, res) => {
+  console.log('🔥 INVITE FREELANCER - Client:', req.user.userId, 'Freelancer:', req.body.freelancerId);
+  try {
+    const invitation = await InvitationService.inviteFreelancer(req.user.userId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent',
+      data: invitation
+    });
+  } catch (error) {
+    sendInvitationError(res, error, 'sending invitation');
+  }
+});
+
+// GET /api/invitations/sent - Invitations you sent (?projectId=&status=)
+router.get('/sent', auth(['client']), async (req, res) => {
+  try {
+    const invitations = await InvitationService.listSent(req.user.userId, req.query);
+    res.json({ success: true, data: invitations });
+  } catch (error) {
+    sendInvitationError(res, error, 'fetching sent invitations');
+  }
+});
+
+// GET /api/invitations/received - Invitations sent to you (?status=)
+router.get('/received', auth(['freelancer']), async (req, res) => {
+  try {
+    const invitations = await InvitationService.listReceived(req.user.userId, req.query);
+    res.json({ success: true, data: invitations });
+  } catch (error) {
+    sendInvitationError(res, error, 'fetching invitations');
+  }
+});
+
+// POST /api/invitations/:invitationId/accept - Accept and apply (optional proposedRate, proposedTimeline, coverLetter)
+router.post('/:invitationId/accept', auth(['freelancer']), async (req, res) => {
+  try {
+    const { invitation, application } = await InvitationService.acceptInvitation(
+      req.params.invitationId,
+      req.user.userId,
+      req.body
+    );
+
+    res.json({
+      success: true,
+      message: 'Invitation accepted. Your application has been sent to the client.',
+      data: { invitation, application }
+    });
+  } catch (error) {
+    sendInvitationError(res, error, 'accepting invitation');
+  }
+});
+
+// POST /api/invitations/:invitationId/decline - Decline with a reason
+router.post('/:invitationId/decline', auth(['freelancer']), async (req, res) => {
+  try {
+    const invitation = await InvitationService.declineInvitation(
+      req.params.invitationId,
+      req.user.userId,
+      req.body.reason
+    );
+
+    res.json({ success: true, message: 'Invitation declined', data: invitation });
+  } catch (error) {
+    sendInvitationError(res, error, 'declining invitation');
+  }
+});
+
+// POST /api/invitations/:invitationId/cancel - Withdraw an unanswered invitation
+router.post('/:invitationId/cancel', auth(['client']), async (req, res) => {
+  try {
+    const invitation = await InvitationService.cancelInvitation(req.params.invitationId, req.user.userId);
+    res.json({ success: true, message: 'Invitation withdrawn', data: invitation });
+  } catch (error) {
+    sendInvitationError(res, error, 'withdrawing invitation');
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const MatchingService = require('../services/matchingService');
+const InvitationService = require('../services/invitationService');
 const { auth } = require('../middlewares/auth');
 const rateLimit = require('express-rate-limit');
 
@@ -88,6 +89,13 @@ router.get('/freelancers/:projectId',
 
       const result = await MatchingService.getRecommendedFreelancers(projectId, options);
 
+      // Mark freelancers already invited (not cached, so fresh invitations show up)
+      const invitationStatuses = await InvitationService.statusesForProject(projectId);
+      result.matches = result.matches.map(match => ({
+        ...match,
+        invitationStatus: invitationStatuses.get(match.freelancer._id.toString()) || null
+      }));
+
       res.json({
         success: true,
         data: result,
@@ -10,6 +10,8 @@ const Project = require('../models/Project');
 const User = require('../models/User');
 const { sendEmail } = require('../utils/brevoEmailService');
 const milestoneTemplates = require('../utils/milestoneTemplates');
+const MilestoneService = require('../services/milestoneService');
+const { formatMoney } = require('../utils/currency');
 
 // Middleware to check workspace access (reuse from workspace routes)
 const checkWorkspaceAccess = async (req, res, next) => {
@@ -82,7 +84,7 @@ router.get('/:workspaceId/milestones', auth(['client', 'freelancer']), checkWork
 router.post('/:workspaceId/milestones', auth(['freelancer']), checkWorkspaceAccess, async (req, res) => {
   try {
     const { workspaceId } = req.params;
-    const { title, description, dueDate, paymentDueDate, currency = 'INR', requirements } = req.body;
+    const { title, description, dueDate, paymentDueDate, requirements } = req.body;
     const amount = Number(req.body.amount); // Convert to number to avoid string concatenation
 
     console.log('🔥 CREATE MILESTONE - Workspace:', workspaceId);
@@ -107,6 +109,15 @@ router.post('/:workspaceId/milestones', auth(['freelancer']), checkWorkspaceAcce
     }
     const project = await Project.findById(workspace.project._id);
 
+    // Milestones are paid in the project's currency
+    const currency = project?.currency || 'INR';
+    if (req.body.currency && req.body.currency !== currency) {
+      return res.status(400).json({
+        success: false,
+        message: `Milestones for this project must be in ${currency}`
+      });
+    }
+
     // Deadline validation: milestone dates must not exceed project deadline
     if (project && project.deadline) {
       const projectDeadline = new Date(project.deadline);
@@ -142,22 +153,22 @@ router.post('/:workspaceId/milestones', auth(['freelancer']), checkWorkspaceAcce
         console.log('🛑 Budget cap exceeded on milestone update2')
         return res.status(400).json({
           success: false,
-          message: `Milestones total (₹${currentTotal + amount}) cannot exceed project budget (₹${project.budgetAmount}).`
+          message: `Milestones total (${formatMoney(currentTotal + amount, currency)}) cannot exceed project budget (${formatMoney(project.budgetAmount, currency)}).`
         });
       }
     }
 
-    // Calculate service charges based on project budget tier
-    const EscrowService = require('../services/escrowService');
+    // Calculate service charges under the fee schedule in force now (the escrow order re-quotes at payment time)
+    const FeeScheduleService = require('../services/feeScheduleService');
     const projectBudget = project?.budgetAmount || null;
-    const charges = EscrowService.calculateServiceCharges(amount, projectBudget, null);
+    const charges = await FeeScheduleService.quote(amount, { projectBudget, category: project?.category, currency });
     
     const serviceChargePercentage = charges.serviceChargePercentage;
     const serviceCharge = charges.serviceCharge;
     const totalAmountPaid = charges.totalAmount;
     const amountToFreelancer = charges.amountToFreelancer;
     
-    console.log(`💰 Service charge calculated: ${serviceChargePercentage}% (₹${serviceCharge}) for project budget ₹${projectBudget}`);
+    console.log(`💰 Service charge calculated: ${serviceChargePercentage}% (${formatMoney(serviceCharge, currency)}) for project budget ${formatMoney(projectBudget, currency)}`);
 
     const milestone = new Milestone({
       workspace: workspaceId,
@@ -324,7 +335,7 @@ router.put('/:workspaceId/milestones/:milestoneId', auth(['client', 'freelancer'
             console.log('🛑 Budget cap exceeded on milestone update1')
             return res.status(400).json({
               success: false,
-              message: `Milestones total (₹${proposedTotal}) cannot exceed project budget (₹${proj.budgetAmount}).`
+              message: `Milestones total (${formatMoney(proposedTotal, proj.currency)}) cannot exceed project budget (${formatMoney(proj.budgetAmount, proj.currency)}).`
             });
           }
         }
@@ -595,66 +606,14 @@ router.post('/:workspaceId/milestones/bulk', auth(['freelancer']), checkWorkspac
       });
     }
 
-    // Get the next order number
-    const lastMilestone = await Milestone.findOne({ workspace: workspaceId })
-      .sort({ order: -1 });
-    let nextOrder = lastMilestone ? lastMilestone.order + 1 : 1;
-
-    const createdMilestones = [];
-
-    // Budget cap validation for bulk create
-    const ws = await Workspace.findById(workspaceId).populate('project');
-    if (!ws) {
-      return res.status(404).json({ success: false, message: 'Workspace not found' });
-    }
-    const proj = await Project.findById(ws.project._id);
-    if (proj && typeof proj.budgetAmount === 'number' && proj.budgetAmount > 0) {
-      const existing = await Milestone.aggregate([
-        {
-          $match: {
-            workspace: new mongoose.Types.ObjectId(workspaceId),
-            status: { $ne: 'rejected' } // Exclude rejected milestones from budget calculation
-          }
-        },
-        { $group: { _id: null, total: { $sum: '$amount' } } }
-      ]);
-      const current = existing[0]?.total || 0;
-      const incoming = milestones.reduce((sum, m) => sum + Number(m.amount || 0), 0);
-      if (current + incoming > proj.budgetAmount) {
-        console.log('🛑 Budget cap exceeded on milestone update1')
-
-        return res.status(400).json({
-          success: false,
-          message: `Milestones total (₹${current + incoming}) cannot exceed project budget (₹${proj.budgetAmount}).`
-        });
-      }
-    }
-
-    for (const milestoneData of milestones) {
-      const milestone = new Milestone({
-        workspace: workspaceId,
-        title: milestoneData.title,
-        description: milestoneData.description,
-        dueDate: milestoneData.dueDate,
-        paymentDueDate: milestoneData.paymentDueDate || (() => {
-          const deliveryDate = new Date(milestoneData.dueDate);
-          deliveryDate.setDate(deliveryDate.getDate() + 3);
-          return deliveryDate;
-        })(),
-        amount: Number(milestoneData.amount), // Convert to number to avoid string issues
-        currency: milestoneData.currency || 'INR',
-        requirements: milestoneData.requirements.map(req =>
-          typeof req === 'string' ? { description: req, isCompleted: false } : req
-        ) || [],
-        order: nextOrder++,
-        createdBy: req.user.userId || req.user.id,
-        paymentStatus: 'pending',
-        deliveryStatus: 'on-time'
+    let createdMilestones;
+    try {
+      createdMilestones = await MilestoneService.createBulk(workspaceId, milestones, req.user.userId || req.user.id);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
       });
-
-      await milestone.save();
-      await milestone.populate('createdBy', 'fullName profilePicture email');
-      createdMilestones.push(milestone);
     }
 
     console.log('✅ Created', createdMilestones.length, 'milestones successfully');
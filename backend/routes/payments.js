@@ -1,8 +1,12 @@
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 const { auth } = require('../middlewares/auth');
+const { auditAdminRequests, auditAction } = require('../middlewares/adminAudit');
+const { requirePermission } = require('../middlewares/adminPermissions');
 const PaymentService = require('../services/paymentService');
 const EscrowService = require('../services/escrowService');
+const RazorpayWebhookService = require('../services/razorpayWebhookService');
 
 // POST /api/payments/milestone/create - Create payment order for milestone
 router.post('/milestone/create', auth(['client']), async (req, res) => {
@@ -144,11 +148,11 @@ router.get('/workspace/:workspaceId/history', auth(['client', 'freelancer']), as
 // POST /api/payments/escrow/create - Create escrow for milestone
 router.post('/escrow/create', auth(['client']), async (req, res) => {
   try {
-    const { milestoneId } = req.body;
+    const { milestoneId, promoCode } = req.body;
     
     console.log('🔥 CREATE ESCROW - Milestone:', milestoneId);
 
-    const escrow = await EscrowService.createEscrowPayment(milestoneId, req.user.userId);
+    const escrow = await EscrowService.createEscrowPayment(milestoneId, req.user.userId, { promoCode });
 
     console.log('✅ Escrow created successfully');
     res.json({
@@ -165,6 +169,26 @@ router.post('/escrow/create', auth(['client']), async (req, res) => {
   }
 });
 
+// GET /api/payments/escrow/quote/:milestoneId - Preview the service charge (and promo discount) before paying
+router.get('/escrow/quote/:milestoneId', auth(['client']), async (req, res) => {
+  try {
+    const charges = await EscrowService.quoteEscrowPayment(req.params.milestoneId, req.user.userId, {
+      promoCode: req.query.promoCode
+    });
+
+    res.json({
+      success: true,
+      data: charges
+    });
+  } catch (error) {
+    console.error('❌ Error quoting escrow payment:', error.message);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // POST /api/payments/escrow/verify - Verify escrow payment
 router.post('/escrow/verify', auth(['client']), async (req, res) => {
   try {
@@ -244,7 +268,7 @@ router.post('/escrow/approve-deliverable', auth(['client']), async (req, res) =>
 });
 
 // POST /api/payments/escrow/release - Release escrow funds (Admin only)
-router.post('/escrow/release', auth(['admin']), async (req, res) => {
+router.post('/escrow/release', auth(['admin']), auditAdminRequests, requirePermission('escrows.release'), auditAction('escrow.release', { reason: req => req.body.releaseReason }), async (req, res) => {
   try {
     const { milestoneId, releaseReason } = req.body;
     
@@ -270,11 +294,14 @@ router.post('/escrow/release', auth(['admin']), async (req, res) => {
 // POST /api/payments/escrow/raise-dispute - Raise dispute
 router.post('/escrow/raise-dispute', auth(['client', 'freelancer']), async (req, res) => {
   try {
-    const { milestoneId, disputeReason } = req.body;
+    const { milestoneId, disputeReason, fileIds, deliverableIds } = req.body;
     
     console.log('🔥 RAISE DISPUTE - Milestone:', milestoneId);
 
-    const result = await EscrowService.raiseDispute(milestoneId, req.user.userId, disputeReason);
+    const result = await EscrowService.raiseDispute(milestoneId, req.user.userId, disputeReason, {
+      fileIds,
+      deliverableIds
+    });
 
     console.log('⚠️ Dispute raised successfully');
     res.json({
@@ -292,9 +319,9 @@ router.post('/escrow/raise-dispute', auth(['client', 'freelancer']), async (req,
 });
 
 // POST /api/payments/escrow/resolve-dispute - Resolve dispute (Admin only)
-router.post('/escrow/resolve-dispute', auth(['admin']), async (req, res) => {
+router.post('/escrow/resolve-dispute', auth(['admin']), auditAdminRequests, requirePermission('disputes.resolve'), auditAction('escrow.resolve-dispute', { reason: req => req.body.notes }), async (req, res) => {
   try {
-    const { milestoneId, resolution, refundToClient, releaseToFreelancer, notes } = req.body;
+    const { milestoneId, resolution, refundToClient, releaseToFreelancer, freelancerPercentage, notes } = req.body;
     
     console.log('🔥 RESOLVE DISPUTE - Milestone:', milestoneId);
 
@@ -302,6 +329,7 @@ router.post('/escrow/resolve-dispute', auth(['admin']), async (req, res) => {
       resolution,
       refundToClient,
       releaseToFreelancer,
+      freelancerPercentage,
       notes
     });
 
@@ -385,36 +413,41 @@ router.get('/escrow/workspace/:workspaceId/history', auth(['client', 'freelancer
   }
 });
 
-// Webhook endpoint for Razorpay (optional - for automated updates)
-router.post('/webhook/razorpay', express.raw({ type: 'application/json' }), async (req, res) => {
+// POST /api/payments/webhook/razorpay - Razorpay webhook (signature-verified, idempotent)
+router.post('/webhook/razorpay', async (req, res) => {
   try {
     const signature = req.headers['x-razorpay-signature'];
-    const body = req.body;
 
-    // Verify webhook signature (implement based on Razorpay docs)
-    // This is a simplified version
-    
-    const event = JSON.parse(body);
-    
-    console.log('🔥 RAZORPAY WEBHOOK - Event:', event.event);
-
-    switch (event.event) {
-      case 'payment.captured':
-        // Handle successful payment
-        console.log('✅ Payment captured:', event.payload.payment.entity.id);
-        break;
-      case 'payment.failed':
-        // Handle failed payment
-        console.log('❌ Payment failed:', event.payload.payment.entity.id);
-        break;
-      default:
-        console.log('ℹ️ Unhandled webhook event:', event.event);
+    // Without the secret nothing can be verified; a 500 would only make Razorpay retry forever
+    if (!RazorpayWebhookService.isConfigured()) {
+      console.error('❌ RAZORPAY WEBHOOK - RAZORPAY_WEBHOOK_SECRET is not set; rejecting delivery');
+      return res.status(400).json({ error: 'Invalid webhook signature' });
+    }
+
+    // Signature is computed over the exact bytes Razorpay sent (captured in server.js)
+    if (!RazorpayWebhookService.verifySignature(req.rawBody, signature)) {
+      console.warn('⚠️ RAZORPAY WEBHOOK - Invalid signature');
+      return res.status(400).json({ error: 'Invalid webhook signature' });
+    }
+
+    const event = JSON.parse(req.rawBody.toString('utf8'));
+    const eventId = req.headers['x-razorpay-event-id'] ||
+      crypto.createHash('sha256').update(req.rawBody).digest('hex');
+
+    console.log('🔥 RAZORPAY WEBHOOK - Event:', event.event, 'ID:', eventId);
+
+    const result = await RazorpayWebhookService.handleEvent(eventId, event);
+
+    // Another delivery of this event is still being processed - ask Razorpay to retry later
+    if (result.inProgress) {
+      return res.status(409).json({ error: 'Event is being processed' });
     }
 
-    res.json({ status: 'ok' });
+    res.json({ status: 'ok', duplicate: result.duplicate });
   } catch (error) {
     console.error('❌ Webhook error:', error);
-    res.status(400).json({ error: 'Webhook error' });
+    // Non-2xx makes Razorpay retry the delivery
+    res.status(500).json({ error: 'Webhook processing failed' });
   }
 });
 
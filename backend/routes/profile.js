@@ -1,7 +1,17 @@
 // backend/routes/profile.js
 const express = require('express');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const TwoFactorService = require('../services/twoFactorService');
+const SessionService = require('../services/sessionService');
 const { auth } = require('../middlewares/auth');
+const { SUPPORTED_CURRENCIES } = require('../utils/currency');
+const {
+  DATE_FORMATS,
+  SUPPORTED_LANGUAGES,
+  isValidTimezone,
+  getLocalePreferences
+} = require('../utils/userLocale');
 const { uploadProfilePicture, handleMulterError } = require('../middlewares/upload');
 const {
   uploadProfilePicture: uploadToCloudinary,
@@ -12,6 +22,14 @@ const {
 
 const router = express.Router();
 
+const THEMES = ['light', 'dark', 'auto'];
+
+// Locale preferences plus the UI theme, as returned by the preference routes
+const preferencesOf = (user) => ({
+  ...getLocalePreferences(user),
+  theme: user.preferences?.theme || THEMES[0]
+});
+
 // Get user profile
 router.get('/', auth(['freelancer', 'client']), async (req, res) => {
   console.log('🔥 GET /api/profile route hit');
@@ -30,7 +48,7 @@ router.get('/', auth(['freelancer', 'client']), async (req, res) => {
       });
     }
 
-    const publicProfile = user.getPublicProfile();
+    const publicProfile = user.getPublicProfile(req.user);
     console.log('   ✅ Returning user profile');
 
     res.json({
@@ -85,7 +103,7 @@ router.patch('/bio', auth(['freelancer']), async (req, res) => {
     res.json({
       success: true,
       message: 'Profile updated successfully',
-      user: user.getPublicProfile(),
+      user: user.getPublicProfile(req.user),
       profileComplete: user.profileComplete
     });
   } catch (error) {
@@ -145,7 +163,7 @@ router.patch('/details', auth(['freelancer']), async (req, res) => {
     res.json({
       success: true,
       message: 'Profile details updated successfully',
-      user: user.getPublicProfile(),
+      user: user.getPublicProfile(req.user),
       profileComplete: user.profileComplete
     });
   } catch (error) {
@@ -470,10 +488,18 @@ router.patch('/password', auth(['freelancer', 'client']), async (req, res) => {
 
     await user.save();
 
+    // Every other device has to sign in with the new password
+    const revokedCount = await SessionService.revokeAll(req.user.userId, {
+      except: req.user.sessionId,
+      reason: 'password-change',
+      store: req.sessionStore
+    });
+
     res.json({
       success: true,
       message: 'Password updated successfully',
-      lastPasswordChange: user.lastPasswordChange
+      lastPasswordChange: user.lastPasswordChange,
+      signedOutSessions: revokedCount
     });
   } catch (error) {
     console.error('Change password error:', error);
@@ -515,6 +541,78 @@ router.patch('/notifications', auth(['freelancer', 'client']), async (req, res)
   }
 });
 
+// Timezone, language, date format and currency used to show dates and amounts, and the UI theme
+router.get('/preferences', auth(), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('preferences');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      preferences: preferencesOf(user)
+    });
+  } catch (error) {
+    console.error('Get preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch preferences'
+    });
+  }
+});
+
+router.patch('/preferences', auth(), async (req, res) => {
+  try {
+    const { timezone, language, dateFormat, currency, theme } = req.body;
+
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({ success: false, message: 'Unknown timezone' });
+    }
+    if (language !== undefined && !SUPPORTED_LANGUAGES.includes(language)) {
+      return res.status(400).json({ success: false, message: `Language must be one of ${SUPPORTED_LANGUAGES.join(', ')}` });
+    }
+    if (dateFormat !== undefined && !DATE_FORMATS.includes(dateFormat)) {
+      return res.status(400).json({ success: false, message: `Date format must be one of ${DATE_FORMATS.join(', ')}` });
+    }
+    if (currency !== undefined && !SUPPORTED_CURRENCIES.includes(currency)) {
+      return res.status(400).json({ success: false, message: `Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}` });
+    }
+    if (theme !== undefined && !THEMES.includes(theme)) {
+      return res.status(400).json({ success: false, message: `Theme must be one of ${THEMES.join(', ')}` });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const changes = Object.fromEntries(
+      Object.entries({ timezone, language, dateFormat, currency, theme }).filter(([, value]) => value !== undefined)
+    );
+    user.updatePreferences(changes);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Preferences updated successfully',
+      preferences: preferencesOf(user)
+    });
+  } catch (error) {
+    console.error('Update preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update preferences'
+    });
+  }
+});
+
 // Update privacy settings
 router.patch('/privacy', auth(['freelancer', 'client']), async (req, res) => {
   try {
@@ -571,10 +669,10 @@ router.patch('/privacy', auth(['freelancer', 'client']), async (req, res) => {
   }
 });
 
-// Update account preferences
-router.patch('/preferences', auth(['freelancer', 'client']), async (req, res) => {
+// Update billing details shown on invoices
+router.patch('/billing', auth(['freelancer', 'client']), async (req, res) => {
   try {
-    const { language, timezone, currency, dateFormat, theme } = req.body;
+    const allowedFields = ['legalName', 'gstin', 'addressLine1', 'addressLine2', 'city', 'state', 'postalCode', 'country'];
 
     const user = await User.findById(req.user.userId);
     if (!user) {
@@ -584,49 +682,39 @@ router.patch('/preferences', auth(['freelancer', 'client']), async (req, res) =>
       });
     }
 
-    // Validate dateFormat if provided
-    if (dateFormat && !['MM/DD/YYYY', 'DD/MM/YYYY', 'YYYY-MM-DD'].includes(dateFormat)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid date format'
-      });
-    }
-
-    // Validate theme if provided
-    if (theme && !['light', 'dark', 'auto'].includes(theme)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid theme setting'
-      });
-    }
-
-    // Update preferences using the model method
-    const updatedPreferences = user.updatePreferences({
-      language,
-      timezone,
-      currency,
-      dateFormat,
-      theme
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        // An empty GSTIN means the user isn't GST-registered
+        user.billingDetails[field] = field === 'gstin' && !req.body[field] ? undefined : req.body[field];
+      }
     });
 
     await user.save();
 
     res.json({
       success: true,
-      message: 'Account preferences updated successfully',
-      preferences: updatedPreferences
+      message: 'Billing details updated successfully',
+      billingDetails: user.billingDetails
     });
   } catch (error) {
-    console.error('Update preferences error:', error);
+    console.error('Update billing details error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0]?.message || 'Invalid billing details'
+      });
+    }
+
     res.status(500).json({
       success: false,
-      message: 'Failed to update account preferences'
+      message: 'Failed to update billing details'
     });
   }
 });
 
 // Get login history
-router.get('/login-history', auth(['freelancer', 'client']), async (req, res) => {
+router.get('/login-history', auth(['freelancer', 'client', 'admin']), async (req, res) => {
   try {
     const user = await User.findById(req.user.userId).select('loginHistory lastLoginAt lastLoginIP');
     if (!user) {
@@ -651,8 +739,181 @@ router.get('/login-history', auth(['freelancer', 'client']), async (req, res) =>
   }
 });
 
-// Enable/disable two-factor authentication
-router.patch('/two-factor', auth(['freelancer', 'client']), async (req, res) => {
+// Signed-in devices. The one making the request is marked `current`.
+router.get('/sessions', auth(['freelancer', 'client', 'admin']), async (req, res) => {
+  try {
+    const sessions = await SessionService.list(req.user.userId, req.user.sessionId);
+    res.json({
+      success: true,
+      data: { sessions }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch active sessions'
+    });
+  }
+});
+
+// Sign out every other device
+router.delete('/sessions', auth(['freelancer', 'client', 'admin']), async (req, res) => {
+  try {
+    const count = await SessionService.revokeAll(req.user.userId, {
+      except: req.user.sessionId,
+      store: req.sessionStore
+    });
+    console.log(`🚪 Signed out ${count} other session(s) for user:`, req.user.userId);
+
+    res.json({
+      success: true,
+      message: count > 0
+        ? `Signed out ${count} other ${count === 1 ? 'device' : 'devices'}`
+        : 'No other devices are signed in',
+      data: { revokedCount: count }
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out other devices'
+    });
+  }
+});
+
+// Sign out one device
+router.delete('/sessions/:sessionId', auth(['freelancer', 'client', 'admin']), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!mongoose.isValidObjectId(sessionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session id'
+      });
+    }
+
+    const session = await SessionService.revoke(req.user.userId, sessionId, { store: req.sessionStore });
+    const current = String(sessionId) === String(req.user.sessionId);
+    console.log(`🚪 Session ${sessionId} (${session.deviceName}) signed out for user:`, req.user.userId);
+
+    res.json({
+      success: true,
+      message: current ? 'You have been signed out' : `Signed out ${session.deviceName || 'the device'}`,
+      data: { signedOutCurrent: current }
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Two-factor authentication status
+router.get('/two-factor', auth(['freelancer', 'client', 'admin']), async (req, res) => {
+  try {
+    const user = await TwoFactorService.findUser(req.user.userId);
+    res.json({
+      success: true,
+      data: TwoFactorService.getStatus(user)
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch two-factor authentication status'
+    });
+  }
+});
+
+// Start two-factor enrollment: returns a new secret and otpauth:// URI for the authenticator app
+router.post('/two-factor/setup', auth(['freelancer', 'client', 'admin']), async (req, res) => {
+  try {
+    const { password } = req.body;
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is required to set up two-factor authentication'
+      });
+    }
+
+    const user = await TwoFactorService.findUser(req.user.userId);
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const enrollment = await TwoFactorService.startEnrollment(user);
+    console.log('🔐 Two-factor setup started for user:', req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Add this account to your authenticator app, then enter the code it shows',
+      data: enrollment
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Confirm enrollment with the first code; returns the recovery codes (shown once)
+router.post('/two-factor/confirm', auth(['freelancer', 'client', 'admin']), async (req, res) => {
+  try {
+    const user = await TwoFactorService.findUser(req.user.userId);
+    const { recoveryCodes } = await TwoFactorService.confirmEnrollment(user, req.body.code);
+    console.log('✅ Two-factor enabled for user:', req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Save your recovery codes somewhere safe.',
+      data: {
+        ...TwoFactorService.getStatus(user),
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor confirm error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Replace all recovery codes (needs a current authenticator code)
+router.post('/two-factor/recovery-codes', auth(['freelancer', 'client', 'admin']), async (req, res) => {
+  try {
+    const user = await TwoFactorService.findUser(req.user.userId);
+    const { recoveryCodes } = await TwoFactorService.regenerateRecoveryCodes(user, req.body.code);
+    console.log('🔁 Recovery codes regenerated for user:', req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Your old codes no longer work.',
+      data: {
+        ...TwoFactorService.getStatus(user),
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Disable two-factor authentication. Enabling goes through /two-factor/setup and /two-factor/confirm.
+router.patch('/two-factor', auth(['freelancer', 'client', 'admin']), async (req, res) => {
   try {
     const { enabled, password } = req.body;
 
@@ -663,6 +924,13 @@ router.patch('/two-factor', auth(['freelancer', 'client']), async (req, res) =>
       });
     }
 
+    if (enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set up two-factor authentication with an authenticator app to enable it'
+      });
+    }
+
     if (!password) {
       return res.status(400).json({
         success: false,
@@ -687,19 +955,19 @@ router.patch('/two-factor', auth(['freelancer', 'client']), async (req, res) =>
       });
     }
 
-    // Update two-factor authentication setting
-    user.twoFactorEnabled = enabled;
-
-    // Clear two-factor secret if disabling
-    if (!enabled) {
-      user.twoFactorSecret = null;
+    if (TwoFactorService.isRequiredFor(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your account and cannot be turned off'
+      });
     }
 
-    await user.save();
+    await TwoFactorService.disable(user);
+    console.log('🔓 Two-factor disabled for user:', req.user.userId);
 
     res.json({
       success: true,
-      message: `Two-factor authentication ${enabled ? 'enabled' : 'disabled'} successfully`,
+      message: 'Two-factor authentication disabled successfully',
       twoFactorEnabled: user.twoFactorEnabled
     });
   } catch (error) {
@@ -711,6 +979,171 @@ router.patch('/two-factor', auth(['freelancer', 'client']), async (req, res) =>
   }
 });
 
+// Get payout methods (account numbers masked)
+router.get('/payout-methods', auth(['freelancer']), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('+payoutMethods');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      payoutMethods: user.getPayoutMethods()
+    });
+  } catch (error) {
+    console.error('Get payout methods error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payout methods'
+    });
+  }
+});
+
+// Add a bank account or UPI ID for withdrawals
+router.post('/payout-methods', auth(['freelancer']), async (req, res) => {
+  try {
+    const { type, label, accountHolderName, accountNumber, ifsc, bankName, upiId, isDefault } = req.body;
+
+    if (!['bank_account', 'upi'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payout method type must be bank_account or upi'
+      });
+    }
+
+    if (type === 'bank_account' && (!accountHolderName?.trim() || !accountNumber || !ifsc)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account holder name, account number and IFSC code are required'
+      });
+    }
+
+    if (type === 'upi' && !upiId) {
+      return res.status(400).json({
+        success: false,
+        message: 'UPI ID is required'
+      });
+    }
+
+    const user = await User.findById(req.user.userId).select('+payoutMethods');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.payoutMethods.length >= 5) {
+      return res.status(400).json({
+        success: false,
+        message: 'You can save up to 5 payout methods'
+      });
+    }
+
+    // The first method becomes the default
+    const makeDefault = isDefault === true || user.payoutMethods.length === 0;
+    if (makeDefault) {
+      user.payoutMethods.forEach(method => { method.isDefault = false; });
+    }
+
+    user.payoutMethods.push(type === 'upi'
+      ? { type, label, upiId, isDefault: makeDefault }
+      : { type, label, accountHolderName, accountNumber: String(accountNumber).replace(/\s/g, ''), ifsc, bankName, isDefault: makeDefault });
+
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Payout method added successfully',
+      payoutMethods: user.getPayoutMethods()
+    });
+  } catch (error) {
+    console.error('Add payout method error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0]?.message || 'Invalid payout method'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add payout method'
+    });
+  }
+});
+
+// Make a payout method the default for withdrawals
+router.patch('/payout-methods/:methodId/default', auth(['freelancer']), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('+payoutMethods');
+    const method = user?.payoutMethods.id(req.params.methodId);
+
+    if (!method) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout method not found'
+      });
+    }
+
+    user.payoutMethods.forEach(item => { item.isDefault = item._id.equals(method._id); });
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Default payout method updated',
+      payoutMethods: user.getPayoutMethods()
+    });
+  } catch (error) {
+    console.error('Set default payout method error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update default payout method'
+    });
+  }
+});
+
+// Remove a payout method (pending withdrawals keep their own copy of the details)
+router.delete('/payout-methods/:methodId', auth(['freelancer']), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('+payoutMethods');
+    const method = user?.payoutMethods.id(req.params.methodId);
+
+    if (!method) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout method not found'
+      });
+    }
+
+    const wasDefault = method.isDefault;
+    method.deleteOne();
+
+    if (wasDefault && user.payoutMethods.length > 0) {
+      user.payoutMethods[0].isDefault = true;
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Payout method removed',
+      payoutMethods: user.getPayoutMethods()
+    });
+  } catch (error) {
+    console.error('Delete payout method error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove payout method'
+    });
+  }
+});
+
 // Add error handling middleware for multer errors
 router.use(handleMulterError);
 
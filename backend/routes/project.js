@@ -2,6 +2,8 @@ const express = require('express');
 const Project = require('../models/Project');
 const Application = require('../models/Application');
 const { auth } = require('../middlewares/auth');
+const ProjectService = require('../services/projectService');
+const CurrencyService = require('../services/currencyService');
 const { uploadProjectAttachments, handleMulterError } = require('../middlewares/upload');
 const {
   uploadProjectAttachment,
@@ -9,6 +11,53 @@ const {
 } = require('../utils/cloudinaryConfig');
 const router = express.Router();
 
+// 🎯 AI MATCHING INTEGRATION: Trigger proactive matching when a project is published
+const notifyMatchingFreelancers = (project) => {
+  try {
+    const MatchingService = require('../services/matchingService');
+    
+    // Find top matches immediately (async, don't wait)
+    MatchingService.getRecommendedFreelancers(project._id, {
+      limit: 10,
+      minScore: 0.6
+    }).then(async (matches) => {
+      if (matches.matches.length > 0) {
+        console.log(`🎯 Found ${matches.matches.length} matching freelancers for new project: ${project.title}`);
+        
+        // Send notifications to top 5 matches (you can adjust this)
+        const NotificationService = require('../services/notificationService');
+        const topMatches = matches.matches.slice(0, 5);
+        
+        for (const match of topMatches) {
+          try {
+            await NotificationService.createNotification(
+              match.freelancer._id,
+              'project_match',
+              '🎯 Perfect Project Match!',
+              `"${project.title}" is a ${Math.round(match.totalScore * 100)}% match for your skills`,
+              {
+                projectId: project._id,
+                matchScore: match.totalScore,
+                projectTitle: project.title,
+                budget: project.budgetAmount,
+                budgetType: project.budgetType
+              }
+            );
+          } catch (notifError) {
+            console.error('❌ Notification error:', notifError.message);
+          }
+        }
+        console.log(`📧 Sent match notifications to ${topMatches.length} freelancers`);
+      }
+    }).catch(err => {
+      console.error('❌ AI matching error (non-blocking):', err.message);
+    });
+  } catch (error) {
+    // Don't let matching errors break project creation
+    console.error('❌ AI matching service unavailable (non-blocking):', error.message);
+  }
+};
+
 // GET /api/projects/browse - Get all open projects for freelancers to browse
 router.get('/browse', auth(['freelancer']), async (req, res) => {
   console.log('🔥 GET BROWSE PROJECTS - User ID:', req.user.userId);
@@ -161,9 +210,18 @@ router.post('/', auth(['client']), uploadProjectAttachments, async (req, res) =>
       skills, 
       budgetType, 
       budgetAmount, 
-      deadline 
+      currency = 'INR',
+      deadline,
+      status
     } = req.body;
 
+    if (!CurrencyService.isSupported(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Currency must be one of ${CurrencyService.getSupportedCurrencies().join(', ')}`
+      });
+    }
+
     let attachmentUrls = [];
 
     // Upload attachments to Cloudinary if any
@@ -196,13 +254,10 @@ router.post('/', auth(['client']), uploadProjectAttachments, async (req, res) =>
       }
     }
 
-    // Calculate service charges
-    const serviceChargePercentage = 5; // 5% platform fee
-    const fixedServiceCharge = 35; // ₹35 per milestone service charge
-    const calculatedServiceCharge = Math.max(fixedServiceCharge, (budgetAmount * serviceChargePercentage) / 100);
-    const totalProjectValue = budgetAmount + calculatedServiceCharge;
+    // Drafts are saved without publishing; they stay hidden from freelancers
+    const asDraft = status === 'draft';
 
-    const project = await Project.create({
+    const project = new Project({
       client: req.user.userId,
       title,
       description,
@@ -212,60 +267,22 @@ router.post('/', auth(['client']), uploadProjectAttachments, async (req, res) =>
       skills: JSON.parse(skills || '[]'),
       budgetType,
       budgetAmount,
+      currency,
       deadline,
       attachments: attachmentUrls,
-      // Service charge fields
-      serviceCharge: fixedServiceCharge, // Use fixed charge per milestone
-      serviceChargePercentage,
-      totalProjectValue
+      status: asDraft ? 'draft' : 'open',
+      publishedAt: asDraft ? undefined : new Date()
     });
 
-    console.log('✅ Project created:', project._id);
+    // Estimate service charges with the same fee schedule escrow payments are charged under
+    await ProjectService.applyServiceCharges(project);
+    await project.save();
+
+    console.log(asDraft ? '📝 Draft saved:' : '✅ Project created:', project._id);
     console.log('📂 Project category:', category, categoryName);
 
-    // 🎯 AI MATCHING INTEGRATION: Trigger proactive matching for new project
-    try {
-      const MatchingService = require('../services/matchingService');
-      
-      // Find top matches immediately (async, don't wait)
-      MatchingService.getRecommendedFreelancers(project._id, {
-        limit: 10,
-        minScore: 0.6
-      }).then(async (matches) => {
-        if (matches.matches.length > 0) {
-          console.log(`🎯 Found ${matches.matches.length} matching freelancers for new project: ${project.title}`);
-          
-          // Send notifications to top 5 matches (you can adjust this)
-          const NotificationService = require('../services/notificationService');
-          const topMatches = matches.matches.slice(0, 5);
-          
-          for (const match of topMatches) {
-            try {
-              await NotificationService.createNotification(
-                match.freelancer._id,
-                'project_match',
-                '🎯 Perfect Project Match!',
-                `"${project.title}" is a ${Math.round(match.totalScore * 100)}% match for your skills`,
-                {
-                  projectId: project._id,
-                  matchScore: match.totalScore,
-                  projectTitle: project.title,
-                  budget: project.budgetAmount,
-                  budgetType: project.budgetType
-                }
-              );
-            } catch (notifError) {
-              console.error('❌ Notification error:', notifError.message);
-            }
-          }
-          console.log(`📧 Sent match notifications to ${topMatches.length} freelancers`);
-        }
-      }).catch(err => {
-        console.error('❌ AI matching error (non-blocking):', err.message);
-      });
-    } catch (error) {
-      // Don't let matching errors break project creation
-      console.error('❌ AI matching service unavailable (non-blocking):', error.message);
+    if (!asDraft) {
+      notifyMatchingFreelancers(project);
     }
 
     res.status(201).json({ success: true, project });
@@ -275,6 +292,114 @@ router.post('/', auth(['client']), uploadProjectAttachments, async (req, res) =>
   }
 });
 
+// Project lifecycle errors come from ProjectService as plain messages
+const sendProjectError = (res, error, label) => {
+  console.error(`❌ Error ${label}:`, error);
+  res.status(error.message === 'Project not found' ? 404 : 400).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// GET /api/projects/:projectId/revisions - Edit history, for the client and freelancers who applied
+router.get('/:projectId/revisions', auth(['client', 'freelancer']), async (req, res) => {
+  try {
+    const history = await ProjectService.getRevisions(req.params.projectId, req.user);
+    res.json({ success: true, ...history });
+  } catch (error) {
+    sendProjectError(res, error, 'fetching project revisions');
+  }
+});
+
+// PUT /api/projects/:projectId - Edit a draft or open project
+router.put('/:projectId', auth(['client']), async (req, res) => {
+  console.log('🔥 EDIT PROJECT - Project ID:', req.params.projectId);
+  try {
+    const { project, changes, material, notified } = await ProjectService.updateProject(
+      req.params.projectId,
+      req.user.userId,
+      req.body
+    );
+
+    res.json({
+      success: true,
+      message: notified > 0
+        ? `Project updated. ${notified} applicant${notified === 1 ? ' was' : 's were'} notified.`
+        : 'Project updated',
+      project,
+      changes,
+      material,
+      notified
+    });
+  } catch (error) {
+    sendProjectError(res, error, 'editing project');
+  }
+});
+
+// POST /api/projects/:projectId/publish - Publish a draft
+router.post('/:projectId/publish', auth(['client']), async (req, res) => {
+  try {
+    const project = await ProjectService.publishProject(req.params.projectId, req.user.userId);
+    notifyMatchingFreelancers(project);
+
+    res.json({ success: true, message: 'Project published', project });
+  } catch (error) {
+    sendProjectError(res, error, 'publishing project');
+  }
+});
+
+// POST /api/projects/:projectId/close - Stop taking applications
+router.post('/:projectId/close', auth(['client']), async (req, res) => {
+  try {
+    const { project, notified } = await ProjectService.closeProject(
+      req.params.projectId,
+      req.user.userId,
+      req.body.reason
+    );
+
+    res.json({ success: true, message: 'Project closed', project, notified });
+  } catch (error) {
+    sendProjectError(res, error, 'closing project');
+  }
+});
+
+// POST /api/projects/:projectId/cancel - Cancel a project nobody has been hired for
+router.post('/:projectId/cancel', auth(['client']), async (req, res) => {
+  try {
+    const { project, notified } = await ProjectService.cancelProject(
+      req.params.projectId,
+      req.user.userId,
+      req.body.reason
+    );
+
+    res.json({ success: true, message: 'Project cancelled', project, notified });
+  } catch (error) {
+    sendProjectError(res, error, 'cancelling project');
+  }
+});
+
+// POST /api/projects/:projectId/duplicate - Copy a project into a new draft
+router.post('/:projectId/duplicate', auth(['client']), async (req, res) => {
+  try {
+    const project = await ProjectService.duplicateProject(req.params.projectId, req.user.userId);
+    res.status(201).json({ success: true, message: 'Draft copy created', project });
+  } catch (error) {
+    sendProjectError(res, error, 'duplicating project');
+  }
+});
+
+// POST /api/projects/:projectId/repost - Publish a closed, cancelled or completed project again
+router.post('/:projectId/repost', auth(['client']), async (req, res) => {
+  try {
+    const project = await ProjectService.repostProject(req.params.projectId, req.user.userId);
+    notifyMatchingFreelancers(project);
+
+    res.status(201).json({ success: true, message: 'Project reposted', project });
+  } catch (error) {
+    sendProjectError(res, error, 'reposting project');
+  }
+});
+
 // Add error handling middleware for multer errors
 router.use(handleMulterError);
 
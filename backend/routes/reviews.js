@@ -0,0 +1,237 @@
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middlewares/auth');
+const { createTimelineEvent } = require('../utils/timelineHelper');
+
+const Review = require('../models/Review');
+const Workspace = require('../models/Workspace');
+const Notification = require('../models/Notification');
+
+// Middleware to check workspace access
+const checkWorkspaceAccess = async (req, res, next) => {
+  try {
+    const { workspaceId } = req.params;
+    const userId = req.user.userId;
+
+    const workspace = await Workspace.findById(workspaceId).populate('project', 'title');
+    if (!workspace) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workspace not found'
+      });
+    }
+
+    const isClient = workspace.client.toString() === userId;
+    const isFreelancer = workspace.freelancer.toString() === userId;
+
+    if (!isClient && !isFreelancer) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You are not authorized to access this workspace.'
+      });
+    }
+
+    req.workspace = workspace;
+    req.userRole = isClient ? 'client' : 'freelancer';
+    next();
+  } catch (error) {
+    console.error('❌ Error checking workspace access:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// Reviews can be submitted until the reveal window closes. The window starts at
+// completedAt; workspaces completed before it existed get it stamped once here
+// so later edits to the workspace can't push the deadline back.
+const getRevealDeadline = async (workspace) => {
+  if (!workspace.completedAt && workspace.status === 'completed') {
+    workspace.completedAt = workspace.actualEndDate || workspace.updatedAt || new Date();
+    await Workspace.updateOne(
+      { _id: workspace._id, completedAt: { $exists: false } },
+      { $set: { completedAt: workspace.completedAt } }
+    );
+  }
+
+  const deadline = new Date(workspace.completedAt || Date.now());
+  deadline.setDate(deadline.getDate() + Review.REVIEW_WINDOW_DAYS);
+  return deadline;
+};
+
+// GET /api/workspaces/:workspaceId/reviews - Get review status for a workspace
+router.get('/:workspaceId/reviews', auth(['client', 'freelancer']), checkWorkspaceAccess, async (req, res) => {
+  try {
+    const workspace = req.workspace;
+    const userId = req.user.userId;
+
+    console.log('🔥 GET WORKSPACE REVIEWS - Workspace:', workspace._id, 'User:', userId);
+
+    // Reveal anything whose window has lapsed before answering
+    const hidden = await Review.find({
+      workspace: workspace._id,
+      isPublished: false,
+      revealDeadline: { $lte: new Date() }
+    });
+    await Review.publishReviews(hidden);
+
+    const reviews = await Review.find({ workspace: workspace._id })
+      .populate('reviewer', 'fullName profilePicture');
+
+    const myReview = reviews.find(review => review.reviewer._id.toString() === userId) || null;
+    const theirReview = reviews.find(review => review.reviewer._id.toString() !== userId) || null;
+    const revealDeadline = await getRevealDeadline(workspace);
+
+    res.json({
+      success: true,
+      data: {
+        myReview,
+        // Only expose the other party's review once it has been revealed
+        theirReview: theirReview && theirReview.isPublished ? theirReview : null,
+        theirReviewSubmitted: !!theirReview,
+        canReview: workspace.status === 'completed' && !myReview && new Date() < revealDeadline,
+        revealDeadline,
+        criteria: Review.REVIEW_CRITERIA[req.userRole]
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching workspace reviews:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reviews',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/workspaces/:workspaceId/reviews - Rate the other party once the workspace is completed
+router.post('/:workspaceId/reviews', auth(['client', 'freelancer']), checkWorkspaceAccess, async (req, res) => {
+  try {
+    const workspace = req.workspace;
+    const userId = req.user.userId;
+    const { ratings, comment } = req.body;
+
+    console.log('🔥 SUBMIT REVIEW - Workspace:', workspace._id, 'Reviewer:', userId, 'Role:', req.userRole);
+
+    if (workspace.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Reviews can only be submitted once the workspace is completed'
+      });
+    }
+
+    const revealDeadline = await getRevealDeadline(workspace);
+    if (new Date() >= revealDeadline) {
+      return res.status(400).json({
+        success: false,
+        message: `The review window for this workspace closed after ${Review.REVIEW_WINDOW_DAYS} days`
+      });
+    }
+
+    const existing = await Review.findOne({ workspace: workspace._id, reviewer: userId });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reviewed this workspace'
+      });
+    }
+
+    const criteria = Review.REVIEW_CRITERIA[req.userRole];
+    const invalid = criteria.filter(key => {
+      const value = Number(ratings?.[key]);
+      return !Number.isInteger(value) || value < 1 || value > 5;
+    });
+
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Please rate each criterion from 1 to 5: ${invalid.join(', ')}`
+      });
+    }
+
+    const revieweeId = req.userRole === 'client' ? workspace.freelancer : workspace.client;
+
+    const review = new Review({
+      workspace: workspace._id,
+      project: workspace.project._id,
+      reviewer: userId,
+      reviewee: revieweeId,
+      reviewerRole: req.userRole,
+      ratings: criteria.reduce((acc, key) => ({ ...acc, [key]: Number(ratings[key]) }), {}),
+      comment,
+      revealDeadline
+    });
+
+    try {
+      await review.save();
+    } catch (error) {
+      // A submission running alongside this one got past the check above; the unique index stopped it
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'You have already reviewed this workspace'
+        });
+      }
+      throw error;
+    }
+
+    // Both sides are in - reveal them together and refresh aggregates
+    const counterpartReview = await Review.findOne({ workspace: workspace._id, reviewer: revieweeId });
+    if (counterpartReview) {
+      await Review.publishReviews([review, counterpartReview]);
+    }
+
+    await createTimelineEvent({
+      workspace: workspace._id,
+      project: workspace.project._id,
+      type: 'review.submitted',
+      title: `${req.userRole === 'client' ? 'Client' : 'Freelancer'} submitted a review`,
+      description: review.isPublished
+        ? 'Both reviews are now visible'
+        : 'Review will be visible once both parties submit or the review window closes',
+      actor: userId
+    });
+
+    // Let the other party know a review is waiting on them
+    try {
+      await Notification.create({
+        userId: revieweeId,
+        userRole: req.userRole === 'client' ? 'freelancer' : 'client',
+        type: 'project',
+        title: review.isPublished ? 'Your reviews are now visible ⭐' : 'You received a review ⭐',
+        body: review.isPublished
+          ? `Reviews for "${workspace.project.title}" have been published.`
+          : `Leave your review for "${workspace.project.title}" to see what they said.`,
+        data: {
+          workspaceId: workspace._id,
+          projectId: workspace.project._id,
+          extraData: {
+            action: 'leave_review'
+          }
+        }
+      });
+    } catch (notificationError) {
+      console.error('⚠️ Failed to create review notification:', notificationError);
+    }
+
+    console.log('✅ Review submitted', review.isPublished ? 'and published' : '(hidden until reveal)');
+    res.status(201).json({
+      success: true,
+      message: review.isPublished
+        ? 'Review submitted. Both reviews are now visible.'
+        : 'Review submitted. It will be visible once the other party reviews or the review window closes.',
+      data: review
+    });
+  } catch (error) {
+    console.error('❌ Error submitting review:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit review',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,254 @@
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middlewares/auth');
+
+const Workspace = require('../models/Workspace');
+const TimesheetService = require('../services/timesheetService');
+
+// Middleware to check workspace access
+const checkWorkspaceAccess = async (req, res, next) => {
+  try {
+    const { workspaceId } = req.params;
+    const userId = req.user.userId;
+
+    const workspace = await Workspace.findById(workspaceId);
+    if (!workspace) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workspace not found'
+      });
+    }
+
+    const isClient = workspace.client.toString() === userId;
+    const isFreelancer = workspace.freelancer.toString() === userId;
+
+    if (!isClient && !isFreelancer) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You are not authorized to access this workspace.'
+      });
+    }
+
+    req.workspace = workspace;
+    req.userRole = isClient ? 'client' : 'freelancer';
+    next();
+  } catch (error) {
+    console.error('❌ Error checking workspace access:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+const requireRole = (role) => (req, res, next) => {
+  if (req.userRole !== role) {
+    return res.status(403).json({
+      success: false,
+      message: role === 'freelancer'
+        ? 'Only the freelancer can log time'
+        : 'Only the client can review timesheets'
+    });
+  }
+  next();
+};
+
+// GET /api/workspaces/:workspaceId/time - Entries and totals for one week (?week=YYYY-MM-DD, default this week)
+router.get('/:workspaceId/time', auth(['client', 'freelancer']), checkWorkspaceAccess, async (req, res) => {
+  try {
+    const weekStart = TimesheetService.parseWeek(req.query.week);
+    const week = await TimesheetService.getWeek(req.workspace, weekStart);
+
+    res.json({
+      success: true,
+      data: week,
+      userRole: req.userRole
+    });
+  } catch (error) {
+    console.error('❌ Error fetching time entries:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// GET /api/workspaces/:workspaceId/time/timesheets - Weekly summaries, newest first
+router.get('/:workspaceId/time/timesheets', auth(['client', 'freelancer']), checkWorkspaceAccess, async (req, res) => {
+  try {
+    const timesheets = await TimesheetService.listTimesheets(req.workspace);
+
+    res.json({
+      success: true,
+      data: timesheets,
+      userRole: req.userRole
+    });
+  } catch (error) {
+    console.error('❌ Error fetching timesheets:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// POST /api/workspaces/:workspaceId/time - Log time manually (startedAt/endedAt, or date + hours)
+router.post('/:workspaceId/time', auth(['freelancer']), checkWorkspaceAccess, requireRole('freelancer'), async (req, res) => {
+  try {
+    console.log('🔥 LOG TIME - Workspace:', req.workspace._id);
+
+    const entry = await TimesheetService.logEntry(req.workspace, req.user.userId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Time logged',
+      data: entry
+    });
+  } catch (error) {
+    console.error('❌ Error logging time:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// POST /api/workspaces/:workspaceId/time/timer/start - Start the timer
+router.post('/:workspaceId/time/timer/start', auth(['freelancer']), checkWorkspaceAccess, requireRole('freelancer'), async (req, res) => {
+  try {
+    const entry = await TimesheetService.startTimer(req.workspace, req.user.userId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Timer started',
+      data: entry
+    });
+  } catch (error) {
+    console.error('❌ Error starting timer:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// POST /api/workspaces/:workspaceId/time/timer/stop - Stop the running timer and log the time
+router.post('/:workspaceId/time/timer/stop', auth(['freelancer']), checkWorkspaceAccess, requireRole('freelancer'), async (req, res) => {
+  try {
+    const entry = await TimesheetService.stopTimer(req.workspace, req.user.userId, req.body);
+
+    res.json({
+      success: true,
+      message: entry ? 'Timer stopped' : 'Timer discarded (less than a minute)',
+      data: entry
+    });
+  } catch (error) {
+    console.error('❌ Error stopping timer:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/workspaces/:workspaceId/time/:entryId - Edit an entry that hasn't been submitted
+router.put('/:workspaceId/time/:entryId', auth(['freelancer']), checkWorkspaceAccess, requireRole('freelancer'), async (req, res) => {
+  try {
+    const entry = await TimesheetService.updateEntry(req.workspace, req.user.userId, req.params.entryId, req.body);
+
+    res.json({
+      success: true,
+      message: 'Time entry updated',
+      data: entry
+    });
+  } catch (error) {
+    console.error('❌ Error updating time entry:', error);
+    res.status(error.message === 'Time entry not found' ? 404 : 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/workspaces/:workspaceId/time/:entryId - Remove an entry that hasn't been submitted
+router.delete('/:workspaceId/time/:entryId', auth(['freelancer']), checkWorkspaceAccess, requireRole('freelancer'), async (req, res) => {
+  try {
+    await TimesheetService.deleteEntry(req.workspace, req.user.userId, req.params.entryId);
+
+    res.json({
+      success: true,
+      message: 'Time entry deleted'
+    });
+  } catch (error) {
+    console.error('❌ Error deleting time entry:', error);
+    res.status(error.message === 'Time entry not found' ? 404 : 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// POST /api/workspaces/:workspaceId/time/weeks/:weekStart/submit - Send a week's hours to the client
+router.post('/:workspaceId/time/weeks/:weekStart/submit', auth(['freelancer']), checkWorkspaceAccess, requireRole('freelancer'), async (req, res) => {
+  try {
+    const weekStart = TimesheetService.parseWeek(req.params.weekStart);
+    const week = await TimesheetService.submitWeek(req.workspace, req.user.userId, weekStart);
+
+    res.json({
+      success: true,
+      message: 'Timesheet submitted for approval',
+      data: week
+    });
+  } catch (error) {
+    console.error('❌ Error submitting timesheet:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// POST /api/workspaces/:workspaceId/time/weeks/:weekStart/approve - Approve and bill a week's hours
+router.post('/:workspaceId/time/weeks/:weekStart/approve', auth(['client']), checkWorkspaceAccess, requireRole('client'), async (req, res) => {
+  try {
+    const weekStart = TimesheetService.parseWeek(req.params.weekStart);
+    const result = await TimesheetService.approveWeek(req.workspace, req.user.userId, weekStart, req.body);
+
+    res.json({
+      success: true,
+      message: result.milestone
+        ? 'Timesheet approved. Fund the billing milestone to pay the freelancer.'
+        : 'Timesheet approved. The weekly hour limit has already been billed.',
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Error approving timesheet:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// POST /api/workspaces/:workspaceId/time/weeks/:weekStart/reject - Send a week back with notes
+router.post('/:workspaceId/time/weeks/:weekStart/reject', auth(['client']), checkWorkspaceAccess, requireRole('client'), async (req, res) => {
+  try {
+    const weekStart = TimesheetService.parseWeek(req.params.weekStart);
+    const week = await TimesheetService.rejectWeek(req.workspace, req.user.userId, weekStart, req.body);
+
+    res.json({
+      success: true,
+      message: 'Timesheet returned to the freelancer',
+      data: week
+    });
+  } catch (error) {
+    console.error('❌ Error rejecting timesheet:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,104 @@
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middlewares/auth');
+
+const WithdrawalRequest = require('../models/WithdrawalRequest');
+const WalletService = require('../services/walletService');
+
+// GET /api/wallet - Available, pending and in-escrow balances
+router.get('/', auth(['freelancer']), async (req, res) => {
+  try {
+    console.log('🔥 GET WALLET - Freelancer:', req.user.userId);
+
+    const wallet = await WalletService.getWalletSummary(req.user.userId);
+
+    res.json({
+      success: true,
+      data: wallet
+    });
+  } catch (error) {
+    console.error('❌ Error fetching wallet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch wallet'
+    });
+  }
+});
+
+// GET /api/wallet/withdrawals - The freelancer's withdrawal history, newest first
+router.get('/withdrawals', auth(['freelancer']), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const query = { freelancer: req.user.userId };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [withdrawals, totalItems] = await Promise.all([
+      WithdrawalRequest.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      WithdrawalRequest.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: withdrawals.map(withdrawal => withdrawal.toSafeObject()),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalItems / parseInt(limit)),
+        totalItems,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching withdrawals:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch withdrawals'
+    });
+  }
+});
+
+// POST /api/wallet/withdrawals - Request a withdrawal to a saved payout method
+router.post('/withdrawals', auth(['freelancer']), async (req, res) => {
+  try {
+    const { amount, payoutMethodId } = req.body;
+
+    console.log('🔥 POST WITHDRAWAL - Freelancer:', req.user.userId, 'Amount:', amount);
+
+    const withdrawal = await WalletService.requestWithdrawal(req.user.userId, { amount, payoutMethodId });
+
+    res.status(201).json({
+      success: true,
+      message: 'Withdrawal requested. It will be paid out once an admin approves it.',
+      data: withdrawal.toSafeObject()
+    });
+  } catch (error) {
+    console.error('❌ Error requesting withdrawal:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// POST /api/wallet/withdrawals/:withdrawalId/cancel - Cancel a request that is still pending
+router.post('/withdrawals/:withdrawalId/cancel', auth(['freelancer']), async (req, res) => {
+  try {
+    const withdrawal = await WalletService.cancelWithdrawal(req.params.withdrawalId, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Withdrawal cancelled',
+      data: withdrawal.toSafeObject()
+    });
+  } catch (error) {
+    console.error('❌ Error cancelling withdrawal:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,8 @@ const { auth } = require('../middlewares/auth');
 const { uploadWorkspaceFiles, uploadSingleWorkspaceFile, handleMulterError } = require('../middlewares/upload');
 const { uploadToCloudinary, validateCloudinaryConfig } = require('../utils/cloudinaryConfig');
 const { createWorkspaceEvent, createDeliverableEvent } = require('../utils/timelineHelper');
+const { formatMoney } = require('../utils/currency');
+const { workspaceRoom } = require('../utils/socketHandler');
 
 // Import models
 const Workspace = require('../models/Workspace');
@@ -17,6 +19,9 @@ const Application = require('../models/Application');
 const User = require('../models/User');
 const TimelineEvent = require('../models/TimelineEvent');
 const Escrow = require('../models/Escrow');
+const Invoice = require('../models/Invoice');
+const InvoiceService = require('../services/invoiceService');
+const NegotiationService = require('../services/negotiationService');
 
 // Middleware to check workspace access
 const checkWorkspaceAccess = async (req, res, next) => {
@@ -140,6 +145,13 @@ router.post('/', auth(['client']), async (req, res) => {
 
     await workspace.save();
 
+    // Milestones proposed in the accepted offer
+    try {
+      await NegotiationService.seedAgreedMilestones(workspace);
+    } catch (seedError) {
+      console.error('⚠️ Failed to seed agreed milestones:', seedError.message);
+    }
+
     // Populate the workspace for response
     await workspace.populate('project', 'title description budgetAmount budgetType deadline status createdAt agreedPrice finalRate');
     await workspace.populate('client', 'fullName profilePicture email');
@@ -379,6 +391,9 @@ router.put('/:workspaceId/status', auth(['client', 'freelancer']), checkWorkspac
       }
 
       workspace.actualEndDate = new Date();
+      if (!workspace.completedAt) {
+        workspace.completedAt = workspace.actualEndDate;
+      }
 
       // Keep Project status in sync so it doesn't stay "open" forever
       await Project.findByIdAndUpdate(
@@ -858,7 +873,7 @@ router.post('/:workspaceId/deliverables',
       // Emit socket event to notify client in real-time
       const io = req.app.get('io');
       if (io) {
-        io.to(workspaceId).emit('deliverable-submitted', {
+        io.to(workspaceRoom(workspaceId)).emit('deliverable-submitted', {
           deliverable,
           workspaceId
         });
@@ -1050,6 +1065,15 @@ router.get('/:workspaceId/payments', auth(['client', 'freelancer']), checkWorksp
       escrowMap[escrow.milestone.toString()] = escrow;
     });
 
+    // Invoices and receipts already issued for these escrows
+    const invoices = await Invoice.find({ escrow: { $in: escrows.map(e => e._id) } })
+      .select('escrow documentType invoiceNumber issuedAt');
+    const invoiceMap = {};
+    invoices.forEach(invoice => {
+      const key = invoice.escrow.toString();
+      invoiceMap[key] = [...(invoiceMap[key] || []), invoice];
+    });
+
     // Transform milestones into comprehensive payment records
     const payments = milestones.map(milestone => {
       const escrow = escrowMap[milestone._id.toString()];
@@ -1147,6 +1171,18 @@ router.get('/:workspaceId/payments', auth(['client', 'freelancer']), checkWorksp
           releaseNotes: escrow.releaseNotes
         } : null,
 
+        // Downloadable documents (issued on first download for older escrows)
+        documents: escrow ? {
+          invoiceAvailable: !!escrow.razorpayPaymentId && escrow.status !== 'pending',
+          receiptAvailable: !!escrow.releasedAt,
+          issued: (invoiceMap[escrow._id.toString()] || []).map(invoice => ({
+            _id: invoice._id,
+            documentType: invoice.documentType,
+            invoiceNumber: invoice.invoiceNumber,
+            issuedAt: invoice.issuedAt
+          }))
+        } : null,
+
         // Legacy fields for backward compatibility
         amount: milestone.amount,
         paymentMethod: milestone.paymentDetails?.method || 'Razorpay',
@@ -1180,6 +1216,37 @@ router.get('/:workspaceId/payments', auth(['client', 'freelancer']), checkWorksp
   }
 });
 
+// GET /api/workspaces/:workspaceId/payments/:escrowId/invoice - Download invoice (?type=invoice) or receipt (?type=receipt) as PDF
+router.get('/:workspaceId/payments/:escrowId/invoice', auth(['client', 'freelancer']), checkWorkspaceAccess, async (req, res) => {
+  try {
+    const { workspaceId, escrowId } = req.params;
+    const documentType = req.query.type === 'receipt' ? 'receipt' : 'invoice';
+
+    const escrow = await Escrow.findOne({ _id: escrowId, workspace: workspaceId }).select('_id');
+    if (!escrow) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found in this workspace'
+      });
+    }
+
+    const invoice = await InvoiceService.issueForEscrow(escrow._id, documentType);
+    const pdf = await InvoiceService.generatePdf(invoice);
+
+    console.log(`🧾 ${documentType} ${invoice.invoiceNumber} downloaded by ${req.userRole}`);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${InvoiceService.getFilename(invoice)}"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('❌ Error generating invoice:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to generate invoice'
+    });
+  }
+});
+
 // ============================================
 // TIMELINE ROUTES
 // ============================================
@@ -1314,7 +1381,7 @@ async function generateComputedEvents(workspaceId) {
         _id: `milestone-created-${milestone._id}`,
         type: 'milestone.created',
         title: `Milestone "${milestone.title}" created`,
-        description: `Amount: ₹${milestone.amount.toLocaleString()}`,
+        description: `Amount: ${formatMoney(milestone.amount, milestone.currency)}`,
         createdAt: milestone.createdAt,
         source: 'computed',
         metadata: { amount: milestone.amount, currency: milestone.currency },
@@ -1396,7 +1463,7 @@ async function generateComputedEvents(workspaceId) {
           _id: `escrow-funded-${escrow._id}`,
           type: 'escrow.funded',
           title: 'Payment held in escrow',
-          description: `₹${escrow.totalAmount.toLocaleString()} secured for milestone`,
+          description: `${formatMoney(escrow.totalAmount, escrow.currency)} secured for milestone`,
           createdAt: escrow.createdAt,
           source: 'computed',
           metadata: { amount: escrow.totalAmount },
@@ -1409,7 +1476,7 @@ async function generateComputedEvents(workspaceId) {
           _id: `payment-completed-${escrow._id}`,
           type: 'payment.completed',
           title: 'Payment released to freelancer',
-          description: `₹${escrow.amountToFreelancer.toLocaleString()} transferred successfully`,
+          description: `${formatMoney(escrow.amountToFreelancer, escrow.currency)} transferred successfully`,
           createdAt: escrow.releaseDate || escrow.updatedAt,
           source: 'computed',
           metadata: { amount: escrow.amountToFreelancer },
@@ -1,37 +1,53 @@
 // backend/scripts/createAdmin.js
+//
+// Usage: node scripts/createAdmin.js [email] [password] [--role=super-admin]
+// Creates a super-admin by default; --role takes any predefined admin role
+// (super-admin, support, finance, moderator).
 require('dotenv').config();
 const mongoose = require('mongoose');
 const User = require('../models/User');
+const { ADMIN_ROLES, DEFAULT_ADMIN_ROLE } = require('../utils/adminRoles');
 
 const createAdminUser = async () => {
   try {
+    const args = process.argv.slice(2);
+    const [email = 'admin@admin.com', password = 'admin123'] = args.filter(arg => !arg.startsWith('--'));
+    const roleArg = args.find(arg => arg.startsWith('--role='));
+    const adminRole = roleArg ? roleArg.split('=')[1] : DEFAULT_ADMIN_ROLE;
+
+    if (!ADMIN_ROLES[adminRole]) {
+      console.error(`❌ Unknown admin role "${adminRole}". Use one of: ${Object.keys(ADMIN_ROLES).join(', ')}`);
+      return;
+    }
+
     // Connect to database using lowercase to match existing data
     const mongoUri = process.env.MONGODB_URI.replace('/WebSphere?', '/websphere?');
     await mongoose.connect(mongoUri);
-    
+
     console.log('Connected to MongoDB');
-    
+
     // Check if admin already exists
-    const existingAdmin = await User.findOne({ email: 'admin@admin.com' });
-    
+    const existingAdmin = await User.findOne({ email: email.toLowerCase() });
+
     if (existingAdmin) {
-      console.log('Admin user already exists');
-      process.exit(0);
+      console.log(`Admin user already exists (${existingAdmin.adminRole || DEFAULT_ADMIN_ROLE})`);
+      return;
     }
 
-    // Create admin user with password that meets validation (6+ characters)
+    // Password must meet validation (6+ characters)
     const admin = new User({
       fullName: 'System Administrator',
-      email: 'admin@admin.com',
-      password: 'admin123', // Changed from 'admin' to 'admin123' (6+ characters)
-      role: 'admin'
+      email,
+      password,
+      role: 'admin',
+      adminRole
     });
 
     await admin.save();
-    console.log('✅ Admin user created successfully');
-    console.log('Email: admin@admin.com');
-    console.log('Password: admin123'); // Updated password
-    
+    console.log(`✅ ${ADMIN_ROLES[adminRole].label} created successfully`);
+    console.log(`Email: ${email}`);
+    console.log(`Password: ${password}`);
+
   } catch (error) {
     console.error('❌ Error creating admin user:', error);
   } finally {
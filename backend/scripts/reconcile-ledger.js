@@ -0,0 +1,88 @@
+/**
+ * Reconcile the platform ledger against escrow state
+ *
+ * Usage:
+ *   node scripts/reconcile-ledger.js             - report escrows whose ledger disagrees with their status
+ *   node scripts/reconcile-ledger.js --backfill  - first post missing entries for escrows that pre-date the ledger
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Escrow = require('../models/Escrow');
+const LedgerService = require('../services/ledgerService');
+const LedgerEntry = require('../models/LedgerEntry');
+const { formatMoney } = require('../utils/currency');
+
+async function connectDB() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+  } catch (error) {
+    console.error('❌ MongoDB connection failed:', error);
+    process.exit(1);
+  }
+}
+
+async function backfill() {
+  const escrows = await Escrow.find({ status: { $nin: ['pending', 'cancelled'] } });
+  console.log(`\n📒 Backfilling ledger for ${escrows.length} escrows...`);
+
+  for (const escrow of escrows) {
+    await LedgerService.backfillEscrow(escrow);
+  }
+
+  console.log('✅ Backfill complete');
+}
+
+async function reconcile() {
+  const report = await LedgerService.reconcile();
+
+  console.log(`\n📊 Checked ${report.escrowsChecked} escrows`);
+
+  if (report.discrepancyCount === 0) {
+    console.log('✅ Ledger agrees with every escrow');
+  } else {
+    console.log(`❌ ${report.discrepancyCount} escrows out of balance:\n`);
+    report.discrepancies.forEach(item => {
+      console.log(`Escrow ${item.escrowId} (${item.status}) - ${item.milestone || 'Unknown milestone'} - ${formatMoney(item.totalAmount, item.currency)}`);
+      item.mismatches.forEach(({ account, expected, actual }) => {
+        console.log(`   ${account}: expected ${formatMoney(expected, item.currency)}, ledger ${formatMoney(actual, item.currency)}`);
+      });
+    });
+  }
+
+  const { payables } = report;
+  console.log(`\n👛 Freelancer payables (${payables.currency}): ledger ${formatMoney(payables.ledger, payables.currency)}, wallets ${formatMoney(payables.wallets, payables.currency)}`);
+  if (payables.difference !== 0) {
+    console.log(`❌ Off by ${formatMoney(payables.difference, payables.currency)}`);
+  }
+  payables.unconverted.forEach(item => {
+    console.log(`❌ Escrow ${item.escrowId || '-'}: ${formatMoney(item.amount, item.currency)} has no exchange rate snapshot`);
+  });
+
+  // Each currency balances on its own; amounts in different currencies are never summed
+  const currencies = await LedgerEntry.distinct('currency');
+  for (const currency of currencies) {
+    const balances = await LedgerService.getAccountBalances({ currency });
+    console.log(`\n💰 Account balances (${currency}):`);
+    Object.entries(balances).forEach(([account, balance]) => {
+      console.log(`   ${account}: ${formatMoney(balance, currency)}`);
+    });
+  }
+
+  return report;
+}
+
+async function main() {
+  await connectDB();
+
+  if (process.argv.includes('--backfill')) {
+    await backfill();
+  }
+
+  const report = await reconcile();
+  const payablesOff = report.payables.difference !== 0 || report.payables.unconverted.length > 0;
+  process.exit(report.discrepancyCount > 0 || payablesOff ? 1 : 0);
+}
+
+main();
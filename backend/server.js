@@ -15,6 +15,9 @@ const session   = require('express-session');
 const MongoStore = require('connect-mongo');
 const http      = require('http');
 const socketIo  = require('socket.io');
+const { initSocket, getOnlineUserIds, isUserOnline } = require('./utils/socketHandler');
+const { createSocketAdapter } = require('./services/realtime');
+const { auth } = require('./middlewares/auth');
 const JobScheduler = require('./jobs/scheduler');
 const EscrowScheduler = require('./jobs/escrowScheduler');
 
@@ -67,7 +70,15 @@ app.use(
   })
 );
 
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw bytes around for webhook signature verification
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Request logger
@@ -170,6 +181,15 @@ try {
   console.error('❌ Failed to load applications router:', err.message);
 }
 
+// Invitations router
+try {
+  const invitationsRouter = require('./routes/invitations');
+  app.use('/api/invitations', invitationsRouter);
+  console.log('✅ Invitations router connected → /api/invitations');
+} catch (err) {
+  console.error('❌ Failed to load invitations router:', err.message);
+}
+
 // Freelancers router
 try {
   const freelancersRouter = require('./routes/freelancers');
@@ -215,6 +235,24 @@ try {
   console.error('❌ Failed to load payments router:', err.message);
 }
 
+// Disputes router
+try {
+  const disputesRouter = require('./routes/disputes');
+  app.use('/api/disputes', disputesRouter);
+  console.log('✅ Disputes router connected → /api/disputes');
+} catch (err) {
+  console.error('❌ Failed to load disputes router:', err.message);
+}
+
+// Wallet router
+try {
+  const walletRouter = require('./routes/wallet');
+  app.use('/api/wallet', walletRouter);
+  console.log('✅ Wallet router connected → /api/wallet');
+} catch (err) {
+  console.error('❌ Failed to load wallet router:', err.message);
+}
+
 // Milestones router
 try {
   const milestonesRouter = require('./routes/milestones');
@@ -226,6 +264,24 @@ try {
   console.error('❌ Failed to load milestones router:', err.message);
 }
 
+// Reviews router
+try {
+  const reviewsRouter = require('./routes/reviews');
+  app.use('/api/workspaces', reviewsRouter);
+  console.log('✅ Reviews router connected → /api/workspaces/:workspaceId/reviews');
+} catch (err) {
+  console.error('❌ Failed to load reviews router:', err.message);
+}
+
+// Timesheets router
+try {
+  const timesheetsRouter = require('./routes/timesheets');
+  app.use('/api/workspaces', timesheetsRouter);
+  console.log('✅ Timesheets router connected → /api/workspaces/:workspaceId/time');
+} catch (err) {
+  console.error('❌ Failed to load timesheets router:', err.message);
+}
+
 // Notifications router
 try {
   const notificationsRouter = require('./routes/notifications');
@@ -283,6 +339,50 @@ if (process.env.NODE_ENV !== 'production') {
   });
 }
 
+/* ──────────────────────────────────────────
+   Presence Routes
+────────────────────────────────────────── */
+// API endpoint to get online users (for REST API access)
+app.get('/api/users/online', async (req, res) => {
+  try {
+    const onlineUsers = await getOnlineUserIds();
+    res.json({
+      success: true,
+      onlineUsers,
+      count: onlineUsers.length
+    });
+  } catch (error) {
+    console.error('❌ Error fetching online users:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch online users' });
+  }
+});
+
+// Online status and last seen for one user
+app.get('/api/users/:userId/presence', auth(), async (req, res) => {
+  try {
+    const User = require('./models/User');
+    const PrivacyService = require('./services/privacyService');
+    const user = await User.findById(req.params.userId).select('lastSeen privacySettings').lean();
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    // Users who hide their online status always appear offline with no last seen
+    const visible = PrivacyService.canSeeOnlineStatus(user, req.user);
+    res.json({
+      success: true,
+      data: {
+        userId: req.params.userId,
+        online: visible ? await isUserOnline(req.params.userId) : false,
+        lastSeen: visible ? user.lastSeen : null
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching presence:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch presence' });
+  }
+});
+
 /* ──────────────────────────────────────────
    Global Error Handler - BEFORE 404 handlers
 ────────────────────────────────────────── */
@@ -438,361 +538,9 @@ app.use('*', (req, res) => {
    Socket.IO Real-Time Features
 ────────────────────────────────────────── */
 
-// Store online users and active calls
-const onlineUsers = new Map();
-const typingUsers = new Map();
-const activeCalls = new Map(); // callId -> { caller: userId, callee: userId, workspaceId, startTime }
-
-io.on('connection', (socket) => {
-  console.log('👤 User connected:', socket.id);
-
-  // Handle user joining
-  socket.on('user-online', (userId) => {
-    if (userId) {
-      console.log(`✅ User ${userId} is now online (Socket: ${socket.id})`);
-      console.log(`📊 Current online users before adding: [${Array.from(onlineUsers.keys()).join(', ')}]`);
-      
-      // Check if user was already online with different socket
-      for (const [existingUserId, userData] of onlineUsers.entries()) {
-        if (existingUserId === userId && userData.socketId !== socket.id) {
-          console.log(`🔄 User ${userId} was already online with different socket ${userData.socketId}, updating...`);
-          onlineUsers.delete(existingUserId);
-        }
-      }
-      
-      onlineUsers.set(userId, {
-        socketId: socket.id,
-        userId: userId,
-        lastSeen: new Date()
-      });
-      
-      // Store userId on socket for WebRTC signaling
-      socket.userId = userId;
-      
-      // Send updated online users list to all clients (including the newly connected user)
-      const onlineUsersList = Array.from(onlineUsers.keys());
-      console.log(`📊 Broadcasting online users list: [${onlineUsersList.join(', ')}]`);
-      console.log(`📊 Total online users: ${onlineUsers.size}`);
-      io.emit('online-users', onlineUsersList);
-      
-      // Also broadcast status change for compatibility
-      socket.broadcast.emit('user-status-change', {
-        userId: userId,
-        status: 'online',
-        timestamp: new Date()
-      });
-    } else {
-      console.log('⚠️ User connected but no userId provided');
-    }
-  });
-
-  // Handle user going offline
-  socket.on('user-offline', (userId) => {
-    console.log(`❌ User ${userId} is now offline`);
-    if (onlineUsers.has(userId)) {
-      onlineUsers.delete(userId);
-      socket.broadcast.emit('user-status-change', {
-        userId: userId,
-        status: 'offline',
-        timestamp: new Date()
-      });
-    }
-  });
-
-  // Handle chat room joining
-  socket.on('join-chat', (chatId) => {
-    socket.join(chatId);
-    console.log(`👥 User ${socket.id} joined chat room: ${chatId}`);
-  });
-
-  // Handle chat room leaving  
-  socket.on('leave-chat', (chatId) => {
-    socket.leave(chatId);
-    console.log(`🚪 User ${socket.id} left chat room: ${chatId}`);
-  });
-
-  // Handle typing indicators
-  socket.on('typing-start', (data) => {
-    const { userId, chatId } = data;
-    typingUsers.set(`${chatId}-${userId}`, {
-      userId,
-      chatId,
-      socketId: socket.id,
-      timestamp: new Date()
-    });
-    
-    // Broadcast typing indicator to users in the chat room only
-    socket.to(chatId).emit('user-typing', {
-      userId,
-      chatId,
-      isTyping: true
-    });
-  });
-
-  socket.on('typing-stop', (data) => {
-    const { userId, chatId } = data;
-    typingUsers.delete(`${chatId}-${userId}`);
-    
-    // Broadcast stop typing to users in the chat room only
-    socket.to(chatId).emit('user-typing', {
-      userId,
-      chatId,
-      isTyping: false
-    });
-  });
-
-  // Handle new messages
-  socket.on('new-message', (messageData) => {
-    console.log('📨 New message received:', messageData);
-    
-    // Broadcast to all users (in real implementation, you'd target specific users)
-    socket.broadcast.emit('message-received', messageData);
-    
-    // Send push notification data
-    socket.broadcast.emit('notification', {
-      type: 'message',
-      title: 'New Message',
-      body: `New message from ${messageData.senderName}`,
-      chatId: messageData.chatId,
-      timestamp: new Date()
-    });
-  });
-
-  // Handle project updates
-  socket.on('project-update', (projectData) => {
-    console.log('📋 Project update:', projectData);
-    
-    // Broadcast project status change
-    socket.broadcast.emit('project-status-change', {
-      projectId: projectData.projectId,
-      status: projectData.status,
-      updatedBy: projectData.updatedBy,
-      timestamp: new Date()
-    });
-  });
-
-  // Handle video call requests
-  socket.on('video-call-request', (callData) => {
-    console.log('📹 Video call request received');
-    console.log('📹 From user ID:', callData.fromUser._id);
-    console.log('📹 From user name:', callData.fromUser.fullName);
-    console.log('📹 To user ID:', callData.toUser._id);
-    console.log('📹 To user name:', callData.toUser.fullName);
-    console.log('📹 Current socket user:', socket.userId);
-    console.log('📹 Online users:', Array.from(onlineUsers.keys()));
-    console.log('📹 Call data:', JSON.stringify(callData, null, 2));
-    
-    // Prevent self-calls (safety check on backend)
-    if (callData.fromUser._id === callData.toUser._id) {
-      console.log('🚫 Blocked self-call attempt - same user ID');
-      socket.emit('call-error', { error: 'Cannot call yourself' });
-      return;
-    }
-    
-    // Find the target user's socket
-    for (const [userId, userData] of onlineUsers.entries()) {
-      if (userId === callData.toUser._id) {
-        console.log('📹 Sending call to user:', userId, 'at socket:', userData.socketId);
-        // Send call request to target user
-        io.to(userData.socketId).emit('incoming-video-call', {
-          callId: `call_${Date.now()}`,
-          fromUser: callData.fromUser,
-          workspaceId: callData.workspaceId,
-          projectTitle: callData.projectTitle,
-          timestamp: new Date()
-        });
-        
-        // Confirm to caller that request was sent
-        socket.emit('call-request-sent', {
-          toUser: callData.toUser,
-          status: 'sent'
-        });
-        console.log('📹 Call request sent successfully');
-        return;
-      }
-    }
-    
-    console.log('📹 Target user not found online');
-    // Target user is offline
-    socket.emit('call-request-failed', {
-      toUser: callData.toUser,
-      reason: 'User is offline'
-    });
-  });
-
-  // Handle video call responses
-  socket.on('video-call-response', (responseData) => {
-    console.log('📹 Video call response:', responseData);
-    
-    // If call was accepted, track it
-    if (responseData.accepted) {
-      activeCalls.set(responseData.callId, {
-        caller: responseData.callerId,
-        callee: responseData.responder.id,
-        workspaceId: responseData.workspaceId,
-        startTime: new Date()
-      });
-      console.log('📹 Active call tracked:', responseData.callId);
-    }
-    
-    // Find the caller's socket
-    for (const [userId, userData] of onlineUsers.entries()) {
-      if (userId === responseData.callerId) {
-        io.to(userData.socketId).emit('call-response-received', {
-          callId: responseData.callId,
-          accepted: responseData.accepted,
-          responder: responseData.responder
-        });
-        return;
-      }
-    }
-  });
-
-  // Handle WebRTC signaling
-  socket.on('webrtc-offer', (data) => {
-    console.log('📹 WebRTC offer for workspace:', data.workspaceId);
-    
-    // Forward offer to target user
-    for (const [userId, userData] of onlineUsers.entries()) {
-      if (userId === data.toUserId) {
-        io.to(userData.socketId).emit('webrtc-offer', {
-          ...data,
-          fromUserId: socket.userId // Add sender ID for response
-        });
-        return;
-      }
-    }
-  });
-
-  socket.on('webrtc-answer', (data) => {
-    console.log('📹 WebRTC answer for workspace:', data.workspaceId);
-    
-    // Forward answer to caller
-    for (const [userId, userData] of onlineUsers.entries()) {
-      if (userId === data.toUserId) {
-        io.to(userData.socketId).emit('webrtc-answer', data);
-        return;
-      }
-    }
-  });
-
-  socket.on('webrtc-ice-candidate', (data) => {
-    console.log('📹 WebRTC ICE candidate for workspace:', data.workspaceId);
-    
-    // Forward ICE candidate to target user
-    for (const [userId, userData] of onlineUsers.entries()) {
-      if (userId === data.toUserId) {
-        io.to(userData.socketId).emit('webrtc-ice-candidate', data);
-        return;
-      }
-    }
-  });
-
-  socket.on('video-call-ended', (data) => {
-    console.log('📹 Video call ended:', data.callId, 'Target user:', data.targetUserId);
-    
-    // Remove call from active calls
-    if (activeCalls.has(data.callId)) {
-      activeCalls.delete(data.callId);
-      console.log('📹 Removed call from active calls:', data.callId);
-    }
-    
-    // Notify other participant that call has ended
-    for (const [userId, userData] of onlineUsers.entries()) {
-      if (userId === data.targetUserId) {
-        console.log('📹 Notifying user', userId, 'that call ended');
-        io.to(userData.socketId).emit('call-ended', {
-          callId: data.callId,
-          endedBy: data.endedBy,
-          workspaceId: data.workspaceId
-        });
-        return;
-      }
-    }
-    console.log('📹 Target user not found online for call end notification');
-  });
-
-  // Handle disconnect
-  socket.on('disconnect', () => {
-    console.log('👤 User disconnected:', socket.id);
-    console.log(`📊 Online users before disconnect: [${Array.from(onlineUsers.keys()).join(', ')}]`);
-    
-    // Find and remove user from online users
-    let removedUserId = null;
-    for (const [userId, userData] of onlineUsers.entries()) {
-      if (userData.socketId === socket.id) {
-        onlineUsers.delete(userId);
-        removedUserId = userId;
-        console.log(`❌ User ${userId} is now offline (Socket: ${socket.id})`);
-        break;
-      }
-    }
-    
-    if (removedUserId) {
-      // Check for active calls involving this user and end them
-      for (const [callId, callData] of activeCalls.entries()) {
-        if (callData.caller === removedUserId || callData.callee === removedUserId) {
-          const otherUserId = callData.caller === removedUserId ? callData.callee : callData.caller;
-          console.log(`📹 User ${removedUserId} disconnected during active call ${callId}, notifying user ${otherUserId}`);
-          
-          // Find the other user's socket and notify them
-          for (const [userId, userData] of onlineUsers.entries()) {
-            if (userId === otherUserId) {
-              io.to(userData.socketId).emit('call-ended', {
-                callId: callId,
-                endedBy: 'disconnect',
-                workspaceId: callData.workspaceId,
-                reason: 'other_participant_disconnected'
-              });
-              break;
-            }
-          }
-          
-          // Remove the call from active calls
-          activeCalls.delete(callId);
-          console.log(`📹 Removed call ${callId} due to user disconnect`);
-        }
-      }
-      
-      // Send updated online users list to all remaining clients
-      const onlineUsersList = Array.from(onlineUsers.keys());
-      console.log(`📊 Broadcasting updated online users after disconnect: [${onlineUsersList.join(', ')}]`);
-      console.log(`📊 Remaining online users: ${onlineUsers.size}`);
-      socket.broadcast.emit('online-users', onlineUsersList);
-      
-      // Also send status change for compatibility
-      socket.broadcast.emit('user-status-change', {
-        userId: removedUserId,
-        status: 'offline',
-        timestamp: new Date()
-      });
-    }
-    
-    // Remove from typing users
-    for (const [key, userData] of typingUsers.entries()) {
-      if (userData.socketId === socket.id) {
-        typingUsers.delete(key);
-        socket.broadcast.emit('user-typing', {
-          userId: userData.userId,
-          chatId: userData.chatId,
-          isTyping: false
-        });
-      }
-    }
-  });
-
-  // Send current online users to newly connected client
-  socket.emit('online-users', Array.from(onlineUsers.keys()));
-});
-
-// API endpoint to get online users (for REST API access)
-app.get('/api/users/online', (req, res) => {
-  res.json({
-    success: true,
-    onlineUsers: Array.from(onlineUsers.keys()),
-    count: onlineUsers.size
-  });
-});
+// Authenticated connections, per-user/chat/workspace rooms and call signaling.
+// SOCKET_ADAPTER / PRESENCE_STORE share rooms and presence across backend nodes.
+initSocket(io, { adapter: createSocketAdapter() });
 
 /* ──────────────────────────────────────────
    Start Server
@@ -827,6 +575,10 @@ server.listen(PORT, () => {
   console.log('   GET  /api/projects/browse');
   console.log('   GET  /api/projects/my');
   console.log('   POST /api/projects');
+  console.log('   PUT  /api/projects/:projectId');
+  console.log('   POST /api/projects/:projectId/(publish|close|cancel|duplicate|repost)');
+  console.log('   POST /api/invitations');
+  console.log('   POST /api/invitations/:invitationId/(accept|decline|cancel)');
   console.log('   GET  /uploads/profiles/* (static files)');
 });
 
@@ -0,0 +1,290 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const mongoose = require('mongoose');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const User = require('../models/User');
+
+// Request the current admin action belongs to (see middlewares/adminAudit)
+const auditContext = new AsyncLocalStorage();
+
+// Bookkeeping fields that change on every save
+const IGNORED_FIELDS = ['__v', 'updatedAt'];
+// Secrets: the log shows that they changed, never their values
+const REDACTED_FIELDS = [
+  'password',
+  'verificationToken',
+  'resetPasswordToken',
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorRecoveryCodes',
+  'payoutMethods'
+];
+const REDACTED = '[redacted]';
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const EXPORT_LIMIT = 10000;
+
+const CSV_COLUMNS = [
+  ['time', entry => new Date(entry.createdAt).toISOString()],
+  ['actor', entry => entry.actorEmail || String(entry.actor)],
+  ['action', entry => entry.action],
+  ['outcome', entry => entry.outcome],
+  ['targetType', entry => entry.targetType],
+  ['targetId', entry => entry.targetId],
+  ['targetLabel', entry => entry.targetLabel],
+  ['reason', entry => entry.reason],
+  ['changes', entry => (entry.changes || [])
+    .map(change => `${change.path}: ${JSON.stringify(change.before ?? null)} -> ${JSON.stringify(change.after ?? null)}`)
+    .join('; ')],
+  ['message', entry => entry.message],
+  ['statusCode', entry => entry.statusCode],
+  ['ip', entry => entry.ip],
+  ['userAgent', entry => entry.userAgent],
+  ['method', entry => entry.method],
+  ['path', entry => entry.path]
+];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+// ObjectIds to strings and dates to ISO strings, so snapshots compare and store cleanly
+const normalize = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (Buffer.isBuffer(value)) return `<${value.length} bytes>`;
+  if (Array.isArray(value)) return value.map(normalize);
+  if (typeof value === 'object') {
+    if (value._bsontype === 'ObjectId' || value._bsontype === 'ObjectID') return value.toString();
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, normalize(item)]));
+  }
+  return value;
+};
+
+// { a: { b: 1 }, c: [1, 2] } -> { 'a.b': 1, c: [1, 2] }; arrays are compared whole
+const flatten = (value, prefix = '', result = {}) => {
+  Object.entries(value || {}).forEach(([key, item]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(item) && Object.keys(item).length > 0) {
+      flatten(item, path, result);
+    } else {
+      result[path] = item;
+    }
+  });
+  return result;
+};
+
+const isRedacted = (path) => path.split('.').some(part => REDACTED_FIELDS.includes(part));
+const isIgnored = (path) => IGNORED_FIELDS.includes(path.split('.').pop());
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class AuditService {
+
+  /**
+   * Run fn with an audit context. Everything fn awaits - including service
+   * calls - sees the same context through currentContext().
+   */
+  static runWithContext(context, fn) {
+    return auditContext.run(context, fn);
+  }
+
+  static currentContext() {
+    return auditContext.getStore() || null;
+  }
+
+  /**
+   * Plain copy of a document (or lean object) for before/after comparisons
+   */
+  static snapshot(doc) {
+    if (!doc) return null;
+    const value = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+    return normalize(value);
+  }
+
+  /**
+   * Field-level changes between two snapshots, as [{ path, before, after }].
+   * A created record has before = null, a deleted one after = null.
+   */
+  static diff(before, after) {
+    const beforeFields = flatten(this.snapshot(before));
+    const afterFields = flatten(this.snapshot(after));
+    const paths = [...new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)])].sort();
+
+    return paths
+      .filter(path => !isIgnored(path))
+      .filter(path => JSON.stringify(beforeFields[path] ?? null) !== JSON.stringify(afterFields[path] ?? null))
+      .map(path => {
+        if (isRedacted(path)) {
+          return { path, before: REDACTED, after: REDACTED };
+        }
+        return { path, before: beforeFields[path] ?? null, after: afterFields[path] ?? null };
+      });
+  }
+
+  /**
+   * Short human name for an audited record, e.g. the user's email
+   */
+  static describeTarget(doc) {
+    if (!doc) return undefined;
+    if (doc.email) return doc.email;
+    if (doc.code) return doc.code;
+    if (doc.title) return doc.title;
+    if (doc.name) return doc.version !== undefined ? `${doc.name} (v${doc.version})` : doc.name;
+    return undefined;
+  }
+
+  /**
+   * Write one audit entry. Request details (IP, user agent, path) come from
+   * the current context; changes are worked out from before/after unless
+   * given. Inside a request this marks the action as recorded, so the
+   * middleware doesn't log it a second time.
+   *
+   * Never throws: a failed audit write is logged and the admin action goes on.
+   */
+  static async record(entry, context = this.currentContext()) {
+    try {
+      const actor = entry.actor || context?.actor;
+      if (!actor || !mongoose.Types.ObjectId.isValid(String(actor))) {
+        console.warn(`⚠️ Audit entry for ${entry.action} skipped: no admin to attribute it to`);
+        return null;
+      }
+
+      if (context) {
+        context.recorded = true;
+      }
+
+      let { actorEmail, actorName } = entry;
+      if (!actorEmail) {
+        const admin = await User.findById(actor).select('email fullName').lean();
+        actorEmail = admin?.email;
+        actorName = actorName || admin?.fullName;
+      }
+
+      const changes = entry.changes
+        || (entry.before !== undefined || entry.after !== undefined ? this.diff(entry.before, entry.after) : []);
+
+      const log = await AdminAuditLog.create({
+        actor,
+        actorEmail,
+        actorName,
+        action: entry.action,
+        outcome: entry.outcome || 'success',
+        targetType: entry.targetType,
+        targetId: entry.targetId ? String(entry.targetId) : undefined,
+        targetLabel: entry.targetLabel || this.describeTarget(entry.after || entry.before),
+        changes,
+        reason: entry.reason || context?.reason,
+        message: entry.message,
+        ip: entry.ip || context?.ip,
+        userAgent: entry.userAgent || context?.userAgent,
+        method: entry.method || context?.method,
+        path: entry.path || context?.path,
+        statusCode: entry.statusCode
+      });
+
+      console.log(`📜 Audit: ${entry.action} by ${actorEmail || actor}${log.targetId ? ` on ${log.targetType} ${log.targetId}` : ''}`);
+      return log;
+    } catch (error) {
+      console.error(`❌ Failed to write audit entry for ${entry.action}:`, error);
+      return null;
+    }
+  }
+
+  static buildQuery(filters = {}) {
+    const query = {};
+
+    if (filters.action) query.action = filters.action;
+    if (filters.outcome) query.outcome = filters.outcome;
+    if (filters.targetType) query.targetType = filters.targetType;
+    if (filters.targetId) query.targetId = String(filters.targetId).trim();
+
+    if (filters.actor) {
+      if (mongoose.Types.ObjectId.isValid(filters.actor)) {
+        query.actor = filters.actor;
+      } else {
+        query.actorEmail = new RegExp(escapeRegex(String(filters.actor).trim()), 'i');
+      }
+    }
+
+    if (filters.from || filters.to) {
+      query.createdAt = {};
+      if (filters.from) query.createdAt.$gte = new Date(filters.from);
+      if (filters.to) {
+        const to = new Date(filters.to);
+        // A bare date means the whole day
+        if (/^\d{4}-\d{2}-\d{2}$/.test(filters.to)) to.setUTCHours(23, 59, 59, 999);
+        query.createdAt.$lte = to;
+      }
+      if (Object.values(query.createdAt).some(date => isNaN(date.getTime()))) {
+        throw new Error('Invalid date range');
+      }
+    }
+
+    if (filters.search) {
+      const pattern = new RegExp(escapeRegex(String(filters.search).trim()), 'i');
+      query.$or = [
+        { targetLabel: pattern },
+        { reason: pattern },
+        { message: pattern },
+        { actorEmail: pattern }
+      ];
+    }
+
+    return query;
+  }
+
+  /**
+   * Newest entries first, with the distinct actions for the filter list
+   */
+  static async list(filters = {}) {
+    const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const query = this.buildQuery(filters);
+
+    const [entries, total, actions] = await Promise.all([
+      AdminAuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AdminAuditLog.countDocuments(query),
+      AdminAuditLog.distinct('action')
+    ]);
+
+    return {
+      entries,
+      actions: actions.sort(),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Every entry matching the filters (up to EXPORT_LIMIT), newest first
+   */
+  static async exportEntries(filters = {}) {
+    return AdminAuditLog.find(this.buildQuery(filters))
+      .sort({ createdAt: -1 })
+      .limit(EXPORT_LIMIT)
+      .lean();
+  }
+
+  static toCsv(entries) {
+    const header = CSV_COLUMNS.map(([name]) => name).join(',');
+    const rows = entries.map(entry => CSV_COLUMNS.map(([, read]) => csvCell(read(entry))).join(','));
+    return [header, ...rows].join('\n');
+  }
+}
+
+module.exports = AuditService;
@@ -0,0 +1,353 @@
+const mongoose = require('mongoose');
+const { Chat, Message } = require('../models/Chat');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+// Characters of context kept on each side of the first match
+const SNIPPET_CONTEXT = 60;
+
+const MESSAGE_TYPES = ['text', 'file', 'system', 'offer'];
+
+// Same shape as the chat details route: sender and the quoted message
+const MESSAGE_POPULATE = [
+  { path: 'sender', select: 'fullName profilePicture' },
+  {
+    path: 'replyTo',
+    select: 'content sender messageType deleted',
+    populate: { path: 'sender', select: 'fullName' }
+  }
+];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const clampLimit = (value, fallback, max) => {
+  const limit = parseInt(value, 10);
+  if (!limit || limit < 1) return fallback;
+  return Math.min(limit, max);
+};
+
+const parseDate = (value, label, { endOfDay = false } = {}) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid ${label} date`);
+  }
+  // A bare YYYY-MM-DD "to" date includes the whole day
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+class ChatHistoryService {
+
+  /**
+   * Messages strictly older (direction 'before') or newer ('after') than the anchor.
+   * createdAt can tie, so _id breaks ties and keeps the order stable.
+   */
+  static cursorFilter(anchor, direction) {
+    const op = direction === 'before' ? '$lt' : '$gt';
+    return {
+      $or: [
+        { createdAt: { [op]: anchor.createdAt } },
+        { createdAt: anchor.createdAt, _id: { [op]: anchor._id } }
+      ]
+    };
+  }
+
+  static async findAnchor(chatId, messageId) {
+    if (!mongoose.isValidObjectId(messageId)) {
+      throw new Error('Invalid message cursor');
+    }
+    const anchor = await Message.findOne({ _id: messageId, chat: chatId }).select('createdAt').lean();
+    if (!anchor) {
+      throw new Error('Message cursor is not in this chat');
+    }
+    return anchor;
+  }
+
+  static async fetchSlice(chatId, anchor, direction, limit) {
+    const filter = { chat: chatId };
+    if (anchor) Object.assign(filter, this.cursorFilter(anchor, direction));
+
+    const newestFirst = direction !== 'after';
+    const sort = newestFirst ? { createdAt: -1, _id: -1 } : { createdAt: 1, _id: 1 };
+
+    // One extra row tells us whether there is more beyond this page
+    const rows = await Message.find(filter)
+      .select('-editHistory')
+      .populate(MESSAGE_POPULATE)
+      .sort(sort)
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    return {
+      messages: newestFirst ? page.reverse() : page,
+      hasMore
+    };
+  }
+
+  /**
+   * One page of a conversation, oldest first.
+   *   (no cursor)  latest messages
+   *   before=<id>  older messages, for scrolling up
+   *   after=<id>   newer messages, for scrolling back down
+   *   around=<id>  the message with context on both sides, for jumping to a search result
+   */
+  static async getPage(chatId, { before, after, around, limit } = {}) {
+    const pageSize = clampLimit(limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    if (around) {
+      const anchor = await this.findAnchor(chatId, around);
+      const half = Math.floor(pageSize / 2);
+      const [older, newer, focus] = await Promise.all([
+        this.fetchSlice(chatId, anchor, 'before', half),
+        this.fetchSlice(chatId, anchor, 'after', half),
+        Message.findById(around).select('-editHistory').populate(MESSAGE_POPULATE).lean()
+      ]);
+
+      return {
+        messages: [...older.messages, focus, ...newer.messages],
+        pagination: this.paginationFor(older.messages, newer.messages, older.hasMore, newer.hasMore, pageSize, focus)
+      };
+    }
+
+    if (after) {
+      const anchor = await this.findAnchor(chatId, after);
+      const newer = await this.fetchSlice(chatId, anchor, 'after', pageSize);
+      return {
+        messages: newer.messages,
+        pagination: this.paginationFor(newer.messages, [], null, newer.hasMore, pageSize)
+      };
+    }
+
+    const anchor = before ? await this.findAnchor(chatId, before) : null;
+    const older = await this.fetchSlice(chatId, anchor, 'before', pageSize);
+    return {
+      messages: older.messages,
+      // Without a cursor this is the latest page, so nothing is newer
+      pagination: this.paginationFor(older.messages, [], older.hasMore, before ? null : false, pageSize)
+    };
+  }
+
+  /**
+   * hasOlder/hasNewer are null when this request didn't look in that direction (the client already knows)
+   */
+  static paginationFor(firstPart, lastPart, hasOlder, hasNewer, limit, focus = null) {
+    const all = [...firstPart, ...(focus ? [focus] : []), ...lastPart];
+    return {
+      limit,
+      hasOlder,
+      hasNewer,
+      oldestCursor: all.length > 0 ? all[0]._id : null,
+      newestCursor: all.length > 0 ? all[all.length - 1]._id : null
+    };
+  }
+
+  /**
+   * Validate search query parameters.
+   *   q               words that must all appear (case-insensitive)
+   *   chatId          limit to one chat
+   *   sender          'me', 'others' or a user id
+   *   from, to        date range (YYYY-MM-DD or ISO)
+   *   type            text | file | system | offer
+   *   hasAttachments  'true' for messages with files
+   *   before          cursor: message id of the last result already shown
+   */
+  static parseSearchQuery(query = {}) {
+    const terms = (query.q || '')
+      .split(/\s+/)
+      .map(term => term.trim())
+      .filter(Boolean)
+      .slice(0, 10);
+
+    if (query.type && !MESSAGE_TYPES.includes(query.type)) {
+      throw new Error(`Message type must be one of: ${MESSAGE_TYPES.join(', ')}`);
+    }
+
+    if (query.sender && !['me', 'others'].includes(query.sender) && !mongoose.isValidObjectId(query.sender)) {
+      throw new Error('Sender must be "me", "others" or a user id');
+    }
+
+    if (query.chatId && !mongoose.isValidObjectId(query.chatId)) {
+      throw new Error('Invalid chat id');
+    }
+
+    if (query.before && !mongoose.isValidObjectId(query.before)) {
+      throw new Error('Invalid search cursor');
+    }
+
+    const filters = {
+      terms,
+      chatId: query.chatId || null,
+      sender: query.sender || null,
+      from: parseDate(query.from, 'from'),
+      to: parseDate(query.to, 'to', { endOfDay: true }),
+      type: query.type || null,
+      hasAttachments: query.hasAttachments === 'true' || query.hasAttachments === true,
+      before: query.before || null,
+      limit: clampLimit(query.limit, DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT)
+    };
+
+    if (filters.from && filters.to && filters.from > filters.to) {
+      throw new Error('The from date must be before the to date');
+    }
+
+    const hasFilter = filters.terms.length > 0 || filters.sender || filters.from ||
+      filters.to || filters.type || filters.hasAttachments;
+    if (!hasFilter) {
+      throw new Error('Enter search words or choose at least one filter');
+    }
+
+    return filters;
+  }
+
+  /**
+   * Mongo filter for a search, limited to the chats the user takes part in
+   */
+  static buildSearchFilter(userId, chatIds, filters) {
+    const filter = {
+      chat: { $in: chatIds },
+      deleted: { $ne: true }
+    };
+
+    if (filters.terms.length > 0) {
+      filter.$and = filters.terms.map(term => ({
+        content: { $regex: escapeRegex(term), $options: 'i' }
+      }));
+    }
+
+    if (filters.sender === 'me') {
+      filter.sender = userId;
+    } else if (filters.sender === 'others') {
+      filter.sender = { $ne: userId };
+    } else if (filters.sender) {
+      filter.sender = filters.sender;
+    }
+
+    if (filters.from || filters.to) {
+      filter.createdAt = {};
+      if (filters.from) filter.createdAt.$gte = filters.from;
+      if (filters.to) filter.createdAt.$lte = filters.to;
+    }
+
+    if (filters.type) {
+      filter.messageType = filters.type;
+    }
+
+    if (filters.hasAttachments) {
+      filter['attachments.0'] = { $exists: true };
+    }
+
+    return filter;
+  }
+
+  /**
+   * Snippet around the first match, split into segments so the client can
+   * highlight matches without rendering HTML: [{ text, match }]
+   */
+  static highlight(content = '', terms = [], context = SNIPPET_CONTEXT) {
+    if (!content) return [];
+
+    const lowered = terms.map(term => term.toLowerCase()).filter(Boolean);
+    const firstMatch = lowered.reduce((first, term) => {
+      const index = content.toLowerCase().indexOf(term);
+      return index !== -1 && (first === -1 || index < first) ? index : first;
+    }, -1);
+
+    let start = 0;
+    let end = content.length;
+    if (firstMatch > context) start = firstMatch - context;
+    if (end - start > context * 3) end = start + context * 3;
+
+    const excerpt = content.slice(start, end);
+    const segments = [];
+    if (start > 0) segments.push({ text: '…', match: false });
+
+    if (lowered.length === 0) {
+      segments.push({ text: excerpt, match: false });
+    } else {
+      const pattern = new RegExp(`(${terms.map(escapeRegex).join('|')})`, 'gi');
+      excerpt.split(pattern).filter(Boolean).forEach((text) => {
+        segments.push({ text, match: lowered.includes(text.toLowerCase()) });
+      });
+    }
+
+    if (end < content.length) segments.push({ text: '…', match: false });
+    return segments;
+  }
+
+  /**
+   * Search messages across every chat the user takes part in, newest first.
+   * `filters` comes from parseSearchQuery.
+   */
+  static async search(userId, filters) {
+    const chatFilter = { 'participants.user': userId };
+    if (filters.chatId) chatFilter._id = filters.chatId;
+    const chats = await Chat.find(chatFilter)
+      .select('project participants')
+      .populate('project', 'title')
+      .lean();
+
+    if (chats.length === 0) {
+      return { results: [], pagination: { hasMore: false, nextCursor: null } };
+    }
+
+    const filter = this.buildSearchFilter(userId, chats.map(chat => chat._id), filters);
+    if (filters.before) {
+      const anchor = await Message.findOne({ _id: filters.before, chat: { $in: filter.chat.$in } })
+        .select('createdAt')
+        .lean();
+      if (anchor) {
+        filter.$and = [...(filter.$and || []), this.cursorFilter(anchor, 'before')];
+      }
+    }
+
+    const rows = await Message.find(filter)
+      .select('chat sender content messageType attachments offerDetails offerStatus createdAt edited')
+      .populate('sender', 'fullName profilePicture')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(filters.limit + 1)
+      .lean();
+
+    const hasMore = rows.length > filters.limit;
+    const page = rows.slice(0, filters.limit);
+    const chatsById = new Map(chats.map(chat => [chat._id.toString(), chat]));
+
+    const results = page.map((message) => {
+      const chat = chatsById.get(message.chat.toString());
+      return {
+        message: {
+          _id: message._id,
+          chat: message.chat,
+          sender: message.sender,
+          messageType: message.messageType,
+          createdAt: message.createdAt,
+          edited: message.edited,
+          attachmentCount: message.attachments?.length || 0,
+          offerDetails: message.messageType === 'offer' ? message.offerDetails : undefined,
+          offerStatus: message.messageType === 'offer' ? message.offerStatus : undefined
+        },
+        chat: {
+          _id: message.chat,
+          projectTitle: chat?.project?.title || 'Chat'
+        },
+        snippet: this.highlight(message.content, filters.terms)
+      };
+    });
+
+    return {
+      results,
+      pagination: {
+        hasMore,
+        nextCursor: hasMore ? page[page.length - 1]._id : null
+      }
+    };
+  }
+}
+
+module.exports = ChatHistoryService;
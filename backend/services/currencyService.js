@@ -0,0 +1,110 @@
+const { getRateProvider } = require('./fx');
+const { SUPPORTED_CURRENCIES } = require('../utils/currency');
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+const roundRate = (value) => Math.round(value * 1e8) / 1e8;
+
+const DEFAULT_CACHE_MINUTES = 60;
+
+let cachedRates = null;
+
+class CurrencyService {
+
+  static getSupportedCurrencies() {
+    return SUPPORTED_CURRENCIES;
+  }
+
+  static isSupported(currency) {
+    return SUPPORTED_CURRENCIES.includes(currency);
+  }
+
+  /**
+   * Currency all reporting and fee thresholds are expressed in (BASE_CURRENCY, INR by default)
+   */
+  static getBaseCurrency() {
+    return (process.env.BASE_CURRENCY || 'INR').toUpperCase();
+  }
+
+  static getCacheTtlMs() {
+    const configured = parseFloat(process.env.FX_CACHE_MINUTES);
+    return (Number.isFinite(configured) && configured >= 0 ? configured : DEFAULT_CACHE_MINUTES) * 60 * 1000;
+  }
+
+  /**
+   * Latest rates from the provider, cached for FX_CACHE_MINUTES
+   */
+  static async getRates({ refresh = false } = {}) {
+    if (!refresh && cachedRates && Date.now() - cachedRates.fetchedAt < this.getCacheTtlMs()) {
+      return cachedRates;
+    }
+
+    const provider = getRateProvider();
+    const rates = await provider.getRates();
+
+    cachedRates = { ...rates, provider: provider.name, fetchedAt: Date.now() };
+    return cachedRates;
+  }
+
+  static clearCache() {
+    cachedRates = null;
+  }
+
+  /**
+   * How many units of `to` one unit of `from` buys
+   */
+  static async getRate(from, to = this.getBaseCurrency()) {
+    if (from === to) {
+      return 1;
+    }
+
+    const { rates } = await this.getRates();
+    if (!rates[from] || !rates[to]) {
+      throw new Error(`No exchange rate available for ${from} → ${to}`);
+    }
+
+    return roundRate(rates[to] / rates[from]);
+  }
+
+  static async convert(amount, from, to = this.getBaseCurrency()) {
+    const rate = await this.getRate(from, to);
+    return roundCurrency(amount * rate);
+  }
+
+  /**
+   * Rate to the base currency as of now, stored on escrows so later reporting and
+   * wallet credits use the rate the client actually paid at
+   */
+  static async snapshot(currency) {
+    const baseCurrency = this.getBaseCurrency();
+
+    if (!currency || currency === baseCurrency) {
+      return { baseCurrency, rateToBase: 1, provider: null, asOf: new Date() };
+    }
+
+    const { provider, asOf } = await this.getRates();
+    return {
+      baseCurrency,
+      rateToBase: await this.getRate(currency, baseCurrency),
+      provider,
+      asOf
+    };
+  }
+
+  /**
+   * Base-currency value of an amount using a stored snapshot. Records from before
+   * multi-currency support have no currency and are already in the base currency.
+   */
+  static toBase(amount, { currency, fxSnapshot } = {}) {
+    if (!currency || currency === this.getBaseCurrency()) {
+      return roundCurrency(amount);
+    }
+
+    if (!fxSnapshot?.rateToBase) {
+      throw new Error(`No exchange rate snapshot for ${currency} amount`);
+    }
+
+    return roundCurrency(amount * fxSnapshot.rateToBase);
+  }
+}
+
+module.exports = CurrencyService;
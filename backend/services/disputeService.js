@@ -0,0 +1,410 @@
+const Dispute = require('../models/Dispute');
+const Workspace = require('../models/Workspace');
+const WorkspaceFile = require('../models/WorkspaceFile');
+const Deliverable = require('../models/Deliverable');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { createTimelineEvent } = require('../utils/timelineHelper');
+const { formatMoney } = require('../utils/currency');
+const { formatUserDate } = require('../utils/userLocale');
+
+const ROLE_LABELS = {
+  client: 'Client',
+  freelancer: 'Freelancer',
+  admin: 'Admin'
+};
+
+// Timeline descriptions are capped at 1000 characters
+const summarize = (text, length = 300) =>
+  text && text.length > length ? `${text.slice(0, length - 1)}…` : text;
+
+class DisputeService {
+
+  /**
+   * Open the evidence thread for a freshly disputed escrow
+   */
+  static async openDispute(escrow, userId, reason, attachmentIds = {}) {
+    const raisedByRole = escrow.client.toString() === userId.toString() ? 'client' : 'freelancer';
+    const attachments = await this.resolveAttachments(escrow.workspace, attachmentIds);
+    const workspace = await Workspace.findById(escrow.workspace._id || escrow.workspace).select('project');
+
+    const dispute = await Dispute.create({
+      escrow: escrow._id,
+      milestone: escrow.milestone._id || escrow.milestone,
+      workspace: workspace._id,
+      project: workspace.project,
+      client: escrow.client._id || escrow.client,
+      freelancer: escrow.freelancer._id || escrow.freelancer,
+      raisedBy: userId,
+      reason,
+      messages: [{
+        author: userId,
+        authorRole: raisedByRole,
+        type: 'evidence',
+        body: reason,
+        attachments
+      }]
+    });
+
+    await createTimelineEvent({
+      workspace: dispute.workspace,
+      project: dispute.project,
+      type: 'dispute.raised',
+      title: `${ROLE_LABELS[raisedByRole]} raised a payment dispute`,
+      description: summarize(reason),
+      actor: userId,
+      relatedMilestone: dispute.milestone,
+      relatedEscrow: escrow._id,
+      metadata: { disputeId: dispute._id, attachments: attachments.length }
+    });
+
+    await this.notifyParties(dispute, {
+      exclude: raisedByRole,
+      title: '⚠️ Payment Dispute Raised',
+      body: 'A dispute was raised on a milestone payment. Add your side and any evidence in the workspace.',
+      event: 'dispute_raised'
+    });
+
+    return dispute;
+  }
+
+  /**
+   * Turn file/deliverable ids into attachment snapshots, ignoring anything
+   * that does not belong to the dispute's workspace
+   */
+  static async resolveAttachments(workspaceId, { fileIds = [], deliverableIds = [] } = {}) {
+    const workspace = workspaceId._id || workspaceId;
+    const attachments = [];
+
+    if (fileIds.length > 0) {
+      const files = await WorkspaceFile.find({ _id: { $in: fileIds }, workspace });
+      files.forEach(file => attachments.push({
+        kind: 'file',
+        file: file._id,
+        name: file.originalName,
+        url: file.url
+      }));
+    }
+
+    if (deliverableIds.length > 0) {
+      const deliverables = await Deliverable.find({ _id: { $in: deliverableIds }, workspace });
+      deliverables.forEach(deliverable => attachments.push({
+        kind: 'deliverable',
+        deliverable: deliverable._id,
+        name: deliverable.title
+      }));
+    }
+
+    return attachments;
+  }
+
+  /**
+   * Load a dispute with everything the thread view needs
+   */
+  static async getDispute(disputeId) {
+    return Dispute.findById(disputeId)
+      .populate('messages.author', 'fullName profilePicture')
+      .populate('raisedBy', 'fullName')
+      .populate('resolution.resolvedBy', 'fullName')
+      .populate('milestone', 'title amount status');
+  }
+
+  /**
+   * Work out whether a user is the client or freelancer on a dispute
+   */
+  static getParticipantRole(dispute, userId) {
+    if (dispute.client.toString() === userId) return 'client';
+    if (dispute.freelancer.toString() === userId) return 'freelancer';
+    return null;
+  }
+
+  /**
+   * Client or freelancer posts evidence to the thread
+   */
+  static async addEvidence(disputeId, userId, { body, fileIds, deliverableIds }) {
+    const dispute = await Dispute.findById(disputeId);
+    if (!dispute) {
+      throw new Error('Dispute not found');
+    }
+
+    const role = this.getParticipantRole(dispute, userId);
+    if (!role) {
+      throw new Error('Unauthorized: Only the client or freelancer can add evidence');
+    }
+
+    if (dispute.status === 'resolved') {
+      throw new Error('This dispute has already been resolved');
+    }
+
+    const attachments = await this.resolveAttachments(dispute.workspace, { fileIds, deliverableIds });
+    dispute.messages.push({
+      author: userId,
+      authorRole: role,
+      type: 'evidence',
+      body,
+      attachments
+    });
+
+    // Answering an info request - reopen once everyone asked has replied
+    if (dispute.getAwaitingRoles().includes(role)) {
+      dispute.pendingRequest.respondedBy.push(role);
+      if (dispute.getAwaitingRoles().length === 0) {
+        dispute.status = 'open';
+      }
+    }
+
+    await dispute.save();
+
+    await createTimelineEvent({
+      workspace: dispute.workspace,
+      project: dispute.project,
+      type: 'dispute.evidence_added',
+      title: `${ROLE_LABELS[role]} added dispute evidence`,
+      description: summarize(body),
+      actor: userId,
+      relatedMilestone: dispute.milestone,
+      relatedEscrow: dispute.escrow,
+      metadata: { disputeId: dispute._id, attachments: attachments.length }
+    });
+
+    await this.notifyParties(dispute, {
+      exclude: role,
+      title: '📎 New Dispute Evidence',
+      body: `The ${role} added new evidence to the payment dispute.`,
+      event: 'dispute_evidence'
+    });
+
+    return dispute;
+  }
+
+  /**
+   * Admin asks one or both parties for more information by a deadline
+   */
+  static async requestInformation(disputeId, adminId, { requestedFrom, responseDeadline, message }) {
+    const dispute = await Dispute.findById(disputeId);
+    if (!dispute) {
+      throw new Error('Dispute not found');
+    }
+
+    if (dispute.status === 'resolved') {
+      throw new Error('This dispute has already been resolved');
+    }
+
+    if (!['client', 'freelancer', 'both'].includes(requestedFrom)) {
+      throw new Error('requestedFrom must be client, freelancer or both');
+    }
+
+    const deadline = new Date(responseDeadline);
+    if (isNaN(deadline.getTime()) || deadline <= new Date()) {
+      throw new Error('Response deadline must be a future date');
+    }
+
+    dispute.status = 'awaiting-response';
+    dispute.pendingRequest = {
+      requestedFrom,
+      requestedBy: adminId,
+      requestedAt: new Date(),
+      responseDeadline: deadline,
+      respondedBy: [],
+      overdueNotified: false
+    };
+    dispute.messages.push({
+      author: adminId,
+      authorRole: 'admin',
+      type: 'info-request',
+      body: message,
+      requestedFrom,
+      responseDeadline: deadline
+    });
+
+    await dispute.save();
+
+    const audience = requestedFrom === 'both' ? 'both parties' : `the ${requestedFrom}`;
+    await createTimelineEvent({
+      workspace: dispute.workspace,
+      project: dispute.project,
+      type: 'dispute.info_requested',
+      title: `Admin requested more information from ${audience}`,
+      description: `${summarize(message)} (respond by ${deadline.toLocaleDateString('en-IN')})`,
+      actor: adminId,
+      relatedMilestone: dispute.milestone,
+      relatedEscrow: dispute.escrow,
+      metadata: { disputeId: dispute._id, requestedFrom, responseDeadline: deadline }
+    });
+
+    await this.notifyParties(dispute, {
+      only: requestedFrom === 'both' ? null : requestedFrom,
+      title: '📝 Information Requested on Dispute',
+      body: (recipient) => `The admin needs more information about the payment dispute. Please respond by ${formatUserDate(deadline, recipient)}.`,
+      event: 'dispute_info_requested'
+    });
+
+    return dispute;
+  }
+
+  /**
+   * Admin posts a note visible to both parties
+   */
+  static async addAdminNote(disputeId, adminId, body) {
+    const dispute = await Dispute.findById(disputeId);
+    if (!dispute) {
+      throw new Error('Dispute not found');
+    }
+
+    dispute.messages.push({
+      author: adminId,
+      authorRole: 'admin',
+      type: 'note',
+      body
+    });
+    await dispute.save();
+
+    await this.notifyParties(dispute, {
+      title: '💬 Admin Update on Dispute',
+      body: summarize(body, 200),
+      event: 'dispute_note'
+    });
+
+    return dispute;
+  }
+
+  /**
+   * Close the thread once EscrowService has settled the money
+   */
+  static async recordResolution(escrow, adminId, split, notes) {
+    const dispute = escrow.dispute
+      ? await Dispute.findById(escrow.dispute)
+      : await Dispute.findOne({ escrow: escrow._id, status: { $ne: 'resolved' } });
+
+    if (!dispute) return null;
+
+    const summary = `Resolved with ${split.freelancerPercentage}% (${formatMoney(split.freelancerAmount, escrow.currency)}) to the freelancer` +
+      ` and ${formatMoney(split.clientRefundAmount, escrow.currency)} refunded to the client.`;
+
+    dispute.status = 'resolved';
+    dispute.pendingRequest = undefined;
+    dispute.resolution = {
+      freelancerPercentage: split.freelancerPercentage,
+      freelancerAmount: split.freelancerAmount,
+      clientRefundAmount: split.clientRefundAmount,
+      notes,
+      resolvedBy: adminId,
+      resolvedAt: new Date()
+    };
+    dispute.messages.push({
+      author: adminId,
+      authorRole: 'admin',
+      type: 'resolution',
+      body: notes ? `${summary}\n\n${notes}` : summary
+    });
+    await dispute.save();
+
+    await createTimelineEvent({
+      workspace: dispute.workspace,
+      project: dispute.project,
+      type: 'dispute.resolved',
+      title: 'Payment dispute resolved',
+      description: summary,
+      actor: adminId,
+      relatedMilestone: dispute.milestone,
+      relatedEscrow: dispute.escrow,
+      metadata: { disputeId: dispute._id, ...split }
+    });
+
+    await this.notifyParties(dispute, {
+      title: '⚖️ Dispute Resolved',
+      body: summary,
+      event: 'dispute_resolved'
+    });
+
+    return dispute;
+  }
+
+  /**
+   * Flag info requests whose response deadline has passed (run by the escrow scheduler)
+   */
+  static async flagOverdueRequests() {
+    const overdue = await Dispute.find({
+      status: 'awaiting-response',
+      'pendingRequest.responseDeadline': { $lte: new Date() },
+      'pendingRequest.overdueNotified': { $ne: true }
+    });
+
+    for (const dispute of overdue) {
+      const missing = dispute.getAwaitingRoles();
+
+      dispute.status = 'open';
+      dispute.pendingRequest.overdueNotified = true;
+      await dispute.save();
+
+      await createTimelineEvent({
+        workspace: dispute.workspace,
+        project: dispute.project,
+        type: 'dispute.deadline_passed',
+        title: 'Dispute response deadline passed',
+        description: missing.length > 0
+          ? `No response from the ${missing.join(' or ')} before the deadline`
+          : 'Deadline reached',
+        relatedMilestone: dispute.milestone,
+        relatedEscrow: dispute.escrow,
+        metadata: { disputeId: dispute._id, missing }
+      });
+
+      // Let the requesting admin know the dispute is ready to decide
+      try {
+        await Notification.create({
+          userId: dispute.pendingRequest.requestedBy,
+          userRole: 'admin',
+          type: 'system',
+          title: '⏰ Dispute Response Deadline Passed',
+          body: missing.length > 0
+            ? `The ${missing.join(' and ')} did not respond before the deadline.`
+            : 'All requested responses are in.',
+          data: {
+            workspaceId: dispute.workspace,
+            extraData: { disputeId: dispute._id, escrowId: dispute.escrow, event: 'dispute_deadline_passed' }
+          }
+        });
+      } catch (notificationError) {
+        console.error('⚠️ Failed to create dispute deadline notification:', notificationError);
+      }
+    }
+
+    return overdue.length;
+  }
+
+  /**
+   * Notify the client and/or freelancer on a dispute
+   */
+  static async notifyParties(dispute, { exclude = null, only = null, title, body, event }) {
+    const recipients = [
+      { userId: dispute.client, userRole: 'client' },
+      { userId: dispute.freelancer, userRole: 'freelancer' }
+    ].filter(({ userRole }) => userRole !== exclude && (!only || userRole === only));
+
+    for (const recipient of recipients) {
+      try {
+        // `body` may be a function of the recipient, for dates in their own timezone and format
+        const text = typeof body === 'function'
+          ? body(await User.findById(recipient.userId).select('preferences').lean())
+          : body;
+        await Notification.create({
+          ...recipient,
+          type: 'payment',
+          title,
+          body: text,
+          data: {
+            workspaceId: dispute.workspace,
+            projectId: dispute.project,
+            milestoneId: dispute.milestone,
+            extraData: { disputeId: dispute._id, event }
+          }
+        });
+      } catch (notificationError) {
+        console.error('⚠️ Failed to create dispute notification:', notificationError);
+      }
+    }
+  }
+}
+
+module.exports = DisputeService;
@@ -4,71 +4,102 @@ const Escrow = require('../models/Escrow');
 const Milestone = require('../models/Milestone');
 const User = require('../models/User');
 const Workspace = require('../models/Workspace');
+const DisputeService = require('./disputeService');
+const LedgerService = require('./ledgerService');
+const WalletService = require('./walletService');
+const InvoiceService = require('./invoiceService');
+const FeeScheduleService = require('./feeScheduleService');
+const CurrencyService = require('./currencyService');
+const AuditService = require('./auditService');
+const { formatMoney } = require('../utils/currency');
 const { sendEmail } = require('../utils/brevoEmailService');
+const { generateEscrowEmailHTML, generateEscrowEmailText } = require('../utils/emailTemplates');
+const { translate, languageOf } = require('../utils/i18n');
 
-// Initialize Razorpay
-const razorpay = new Razorpay({
+// Initialize Razorpay (swappable via setRazorpayClient for tests)
+let razorpay = new Razorpay({
   key_id: process.env.RAZORPAY_KEY_ID || 'your_razorpay_key_id',
   key_secret: process.env.RAZORPAY_KEY_SECRET || 'your_razorpay_key_secret'
 });
 
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+// Escrow events that are also emailed, and their email under email.escrow in the catalogs
+const ESCROW_EMAILS = {
+  payment_received: 'paymentReceived',
+  funds_released: 'paymentReleased',
+  refund_processed: 'refundProcessed',
+  dispute_resolved: 'disputeResolved'
+};
+
 class EscrowService {
+
+  /**
+   * Replace the Razorpay client (used by tests to inject a stub)
+   */
+  static setRazorpayClient(client) {
+    razorpay = client;
+  }
+
+  static getRazorpayClient() {
+    return razorpay;
+  }
   
   /**
-   * Get service charge percentage based on project budget tier
-   * Budget tiers:
-   * - Under ₹5,000: 8%
-   * - ₹5,000 - ₹20,000: 6%
-   * - ₹20,000 - ₹50,000: 5%
-   * - ₹50,000 - ₹1,00,000: 4%
-   * - Above ₹1,00,000: 3%
+   * Get service charge percentage based on project budget tier of the built-in schedule.
+   * Live charges go through FeeScheduleService.quote, which uses the schedule admins manage.
    */
   static getServiceChargePercentage(projectBudget) {
-    if (projectBudget < 5000) {
-      return 8; // 8% for small projects
-    } else if (projectBudget < 20000) {
-      return 6; // 6% for medium projects
-    } else if (projectBudget < 50000) {
-      return 5; // 5% for medium-large projects
-    } else if (projectBudget < 100000) {
-      return 4; // 4% for large projects
-    } else {
-      return 3; // 3% for very large projects
-    }
+    return FeeScheduleService.getTierPercentage(FeeScheduleService.getDefaultSchedule(), projectBudget);
   }
   
   /**
-   * Calculate service charges and total amount
+   * Calculate service charges and total amount.
+   * `options` ({ schedule, category, promo }) charges under a specific fee schedule; without a
+   * project budget or schedule, an explicit percentage is charged as a flat rate.
    */
-  static calculateServiceCharges(milestoneAmount, projectBudget = null, serviceChargePercentage = null) {
-    // If projectBudget is provided, calculate percentage based on tier
-    // Otherwise use the provided percentage, or default to 5%
-    const chargePercentage = projectBudget 
-      ? this.getServiceChargePercentage(projectBudget)
-      : (serviceChargePercentage || 5);
-    
-    const totalServiceCharge = (milestoneAmount * chargePercentage) / 100;
-    const totalAmount = milestoneAmount + totalServiceCharge;
-    const amountToFreelancer = milestoneAmount; // Freelancer gets the milestone amount
-    
-    return {
-      milestoneAmount,
-      serviceCharge: totalServiceCharge,
-      serviceChargePercentage: chargePercentage,
-      totalAmount,
-      amountToFreelancer,
-      breakdown: {
-        projectBudget,
-        percentageCharge: totalServiceCharge,
-        appliedPercentage: chargePercentage
-      }
-    };
+  static calculateServiceCharges(milestoneAmount, projectBudget = null, serviceChargePercentage = null, options = {}) {
+    if (!projectBudget && serviceChargePercentage && !options.schedule) {
+      return FeeScheduleService.computeCharges(milestoneAmount, {
+        schedule: { ...FeeScheduleService.getDefaultSchedule(), defaultPercentage: serviceChargePercentage }
+      });
+    }
+
+    return FeeScheduleService.computeCharges(milestoneAmount, { ...options, projectBudget });
+  }
+
+  /**
+   * Preview what the client will be charged for a milestone, optionally with a promo code
+   */
+  static async quoteEscrowPayment(milestoneId, clientId, { promoCode = null } = {}) {
+    const milestone = await Milestone.findById(milestoneId)
+      .populate({
+        path: 'workspace',
+        select: 'client project',
+        populate: { path: 'project', select: 'budgetAmount category currency' }
+      });
+
+    if (!milestone) {
+      throw new Error('Milestone not found');
+    }
+
+    if (milestone.workspace.client.toString() !== clientId) {
+      throw new Error('Unauthorized: Only the client can initiate payment');
+    }
+
+    const project = milestone.workspace.project;
+    return FeeScheduleService.quote(milestone.amount, {
+      projectBudget: project?.budgetAmount || null,
+      category: project?.category || null,
+      currency: milestone.currency,
+      promoCode
+    });
   }
 
   /**
    * Create escrow payment order
    */
-  static async createEscrowPayment(milestoneId, clientId) {
+  static async createEscrowPayment(milestoneId, clientId, { promoCode = null } = {}) {
     try {
       console.log('🏦 EscrowService: Creating escrow payment for milestone:', milestoneId);
 
@@ -78,7 +109,7 @@ class EscrowService {
           path: 'workspace',
           populate: {
             path: 'client freelancer project',
-            select: 'fullName email'
+            select: 'fullName email title budgetAmount category currency'
           }
         });
 
@@ -104,20 +135,21 @@ class EscrowService {
         }
       }
 
-      // Calculate service charges based on project budget tier
-      const projectBudget = milestone.workspace.project?.budgetAmount || null;
-      const charges = this.calculateServiceCharges(
-        milestone.amount,
-        projectBudget,
-        null // Let it auto-calculate based on budget tier
-      );
+      // Calculate service charges under the fee schedule in force now
+      const project = milestone.workspace.project;
+      const charges = await FeeScheduleService.quote(milestone.amount, {
+        projectBudget: project?.budgetAmount || null,
+        category: project?.category || null,
+        currency: milestone.currency,
+        promoCode
+      });
 
       // Create Razorpay order
       const receipt = `escrow_${milestone._id.toString().slice(-8)}_${Date.now().toString().slice(-6)}`;
       
       const order = await razorpay.orders.create({
         amount: Math.round(charges.totalAmount * 100), // Convert to paise
-        currency: milestone.currency || 'INR',
+        currency: charges.breakdown.currency,
         receipt: receipt,
         notes: {
           milestone_id: milestone._id.toString(),
@@ -126,7 +158,9 @@ class EscrowService {
           freelancer_id: milestone.workspace.freelancer._id.toString(),
           escrow: 'true',
           total_amount: charges.totalAmount,
-          service_charge: charges.serviceCharge
+          service_charge: charges.serviceCharge,
+          fee_schedule_version: charges.breakdown.scheduleVersion,
+          promo_code: charges.breakdown.promoCode || ''
         }
       });
 
@@ -141,6 +175,18 @@ class EscrowService {
         serviceCharge: charges.serviceCharge,
         serviceChargePercentage: charges.serviceChargePercentage,
         amountToFreelancer: charges.amountToFreelancer,
+        currency: charges.breakdown.currency,
+        fxSnapshot: charges.breakdown.fx,
+        feeSchedule: {
+          schedule: charges.breakdown.scheduleId,
+          version: charges.breakdown.scheduleVersion,
+          name: charges.breakdown.scheduleName,
+          minimumCharge: charges.breakdown.minimumCharge,
+          category: charges.breakdown.category,
+          categoryOverride: charges.breakdown.categoryOverride,
+          promoCode: charges.breakdown.promoCode,
+          discount: charges.breakdown.discount
+        },
         paymentId: order.id,
         razorpayOrderId: order.id,
         status: 'pending'
@@ -154,6 +200,7 @@ class EscrowService {
       milestone.totalAmountPaid = charges.totalAmount;
       milestone.amountToFreelancer = charges.amountToFreelancer;
       milestone.serviceCharge = charges.serviceCharge;
+      milestone.serviceChargePercentage = charges.serviceChargePercentage;
       await milestone.save();
 
       console.log('✅ Escrow payment order created successfully');
@@ -218,47 +265,13 @@ class EscrowService {
         throw new Error('Escrow not found');
       }
 
-      const milestone = await Milestone.findById(milestone_id)
-        .populate('workspace')
-        .populate({
-          path: 'workspace',
-          populate: {
-            path: 'client freelancer',
-            select: 'fullName email'
-          }
-        });
-
-      // Update escrow status
-      escrow.status = 'active';
-      escrow.razorpayPaymentId = razorpay_payment_id;
-      escrow.razorpaySignature = razorpay_signature;
-      escrow.activatedAt = new Date();
-      escrow.notificationsSent.paymentReceived = false; // Will send notification
-      await escrow.save();
-
-      // Update milestone
-      milestone.escrowStatus = 'active';
-      milestone.paymentStatus = 'completed';
-      milestone.paidDate = new Date();
-      milestone.paymentDetails = {
-        razorpay_payment_id,
-        razorpay_order_id,
-        razorpay_signature,
-        amount: payment.amount / 100,
-        currency: payment.currency,
-        method: payment.method,
-        paidAt: new Date(payment.created_at * 1000)
-      };
-      await milestone.save();
-
-      // Send notifications
-      await this.sendEscrowNotifications(escrow, 'payment_received');
+      const { escrow: activatedEscrow, milestone } = await this.activateEscrow(escrow, payment, razorpay_signature);
 
       console.log('✅ Escrow payment verified and activated');
 
       return {
         success: true,
-        escrow,
+        escrow: activatedEscrow,
         milestone,
         payment: {
           id: razorpay_payment_id,
@@ -274,6 +287,186 @@ class EscrowService {
     }
   }
 
+  /**
+   * Move a pending escrow to active for a captured Razorpay payment.
+   * Shared by the client-side verify call and the payment.captured webhook,
+   * so whichever arrives second is a no-op.
+   */
+  static async activateEscrow(escrow, payment, signature = null) {
+    const milestone = await Milestone.findById(escrow.milestone)
+      .populate('workspace')
+      .populate({
+        path: 'workspace',
+        populate: {
+          path: 'client freelancer',
+          select: 'fullName email'
+        }
+      });
+
+    if (escrow.status !== 'pending') {
+      console.log(`ℹ️ Escrow ${escrow._id} already ${escrow.status} - skipping activation`);
+      return { escrow, milestone, alreadyActivated: true };
+    }
+
+    // Claim the pending -> active transition atomically: the webhook and the
+    // client's verify call can arrive together, and only one may run the side effects
+    const activation = {
+      status: 'active',
+      razorpayPaymentId: payment.id,
+      activatedAt: new Date(),
+      'notificationsSent.paymentReceived': false, // Will send notification
+      ...(signature ? { razorpaySignature: signature } : {})
+    };
+    const claimed = await Escrow.findOneAndUpdate(
+      { _id: escrow._id, status: 'pending' },
+      { $set: activation },
+      { new: true }
+    );
+
+    if (!claimed) {
+      console.log(`ℹ️ Escrow ${escrow._id} was activated by a concurrent request - skipping activation`);
+      return { escrow: await Escrow.findById(escrow._id) || escrow, milestone, alreadyActivated: true };
+    }
+
+    // Keep the caller's copy in step without writing it again
+    Object.entries(activation).forEach(([path, value]) => {
+      escrow.set(path, value);
+      escrow.unmarkModified(path);
+    });
+
+    await LedgerService.recordEscrowFunded(escrow);
+    await InvoiceService.safeIssue(escrow._id, 'invoice');
+
+    if (escrow.feeSchedule?.promoCode) {
+      await FeeScheduleService.redeemPromoCode(escrow.feeSchedule.promoCode);
+    }
+
+    // Update milestone
+    milestone.escrowStatus = 'active';
+    milestone.paymentStatus = 'completed';
+    milestone.paidDate = new Date();
+    milestone.paymentDetails = {
+      razorpay_payment_id: payment.id,
+      razorpay_order_id: payment.order_id || escrow.razorpayOrderId,
+      razorpay_signature: signature || undefined,
+      amount: payment.amount / 100,
+      currency: payment.currency,
+      method: payment.method,
+      paidAt: new Date(payment.created_at * 1000)
+    };
+    await milestone.save();
+
+    // Send notifications
+    await escrow.populate('milestone workspace client freelancer');
+    await this.sendEscrowNotifications(escrow, 'payment_received');
+
+    // Hourly billing: the client approved the timesheet before paying, so there is nothing left to review
+    if (milestone.timesheet?.weekStart) {
+      escrow.deliverableSubmitted = true;
+      escrow.deliverableSubmittedAt = escrow.deliverableSubmittedAt || new Date();
+      escrow.clientApprovalStatus = 'approved';
+      escrow.clientApprovedAt = escrow.clientApprovedAt || new Date();
+      await escrow.save();
+
+      try {
+        await this.releaseFunds(milestone._id, 'system', 'Approved timesheet');
+      } catch (releaseErr) {
+        console.error('⚠️ Timesheet escrow not released automatically:', releaseErr.message);
+      }
+    }
+
+    return { escrow, milestone, alreadyActivated: false };
+  }
+
+  /**
+   * Record a failed gateway payment against a pending escrow.
+   * The escrow stays pending so the client can retry.
+   */
+  static async markEscrowPaymentFailed(orderId, payment) {
+    const escrow = await Escrow.findOne({ razorpayOrderId: orderId });
+    if (!escrow) {
+      return null;
+    }
+
+    if (escrow.status !== 'pending') {
+      console.log(`ℹ️ Ignoring payment failure for escrow ${escrow._id} in status ${escrow.status}`);
+      return escrow;
+    }
+
+    const milestone = await Milestone.findById(escrow.milestone);
+    if (milestone) {
+      milestone.paymentStatus = 'failed';
+      milestone.paymentFailureReason = payment.error_description || 'Payment failed';
+      milestone.paymentFailureCode = payment.error_code || null;
+      await milestone.save();
+    }
+
+    console.log('❌ Escrow payment failure recorded:', { escrowId: escrow._id, orderId });
+    return escrow;
+  }
+
+  /**
+   * Apply a refund confirmed by the gateway (refund.processed webhook)
+   */
+  static async applyGatewayRefund(refund) {
+    const escrow = await Escrow.findOne({ 'refunds.refundId': refund.id }) ||
+      await Escrow.findOne({ razorpayPaymentId: refund.payment_id });
+    if (!escrow) {
+      return null;
+    }
+
+    const refundedAmount = refund.amount / 100;
+    const entry = escrow.refunds.find(item => item.refundId === refund.id);
+
+    if (entry) {
+      entry.status = 'processed';
+      entry.gatewayStatus = refund.status;
+      entry.processedAt = entry.processedAt || new Date();
+    } else {
+      // Refund issued outside the platform (e.g. from the Razorpay dashboard)
+      escrow.refunds.push({
+        refundId: refund.id,
+        amount: refundedAmount,
+        status: 'processed',
+        gatewayStatus: refund.status,
+        reason: 'Refunded via payment gateway',
+        processedAt: new Date()
+      });
+
+      // Nothing reserved this refund yet - take it out of held funds first
+      await LedgerService.recordRefundReserved(escrow, escrow.refunds[escrow.refunds.length - 1]);
+
+      const totalRefunded = escrow.refunds.reduce((sum, item) => sum + item.amount, 0);
+      if (totalRefunded >= escrow.totalAmount && ['active', 'disputed'].includes(escrow.status)) {
+        escrow.status = 'refund-pending';
+        escrow.refundReason = escrow.refundReason || 'Refunded via payment gateway';
+      }
+    }
+
+    await this.finalizeRefunds(escrow);
+    console.log(`💸 Gateway refund applied to escrow ${escrow._id}: ${formatMoney(refundedAmount, escrow.currency)}`);
+    return escrow;
+  }
+
+  /**
+   * Record a refund the gateway could not process (refund.failed webhook)
+   */
+  static async markGatewayRefundFailed(refund) {
+    const escrow = await Escrow.findOne({ 'refunds.refundId': refund.id });
+    if (!escrow) {
+      return null;
+    }
+
+    const entry = escrow.refunds.find(item => item.refundId === refund.id);
+    entry.status = 'failed';
+    entry.gatewayStatus = refund.status;
+    entry.failureReason = refund.error_description || 'Refund failed at payment gateway';
+
+    await this.finalizeRefunds(escrow);
+    console.log(`❌ Gateway refund ${refund.id} failed for escrow ${escrow._id}`);
+    return escrow;
+  }
+
   /**
    * Submit deliverable and mark for client approval
    */
@@ -512,6 +705,7 @@ class EscrowService {
       }
 
       const isAdminRelease = adminId && adminId !== 'system';
+      const before = isAdminRelease ? AuditService.snapshot(escrow) : null;
 
       // For system auto-release, do a best-effort eligibility check
       // For admin release, skip validation — admin authority overrides data flags
@@ -550,6 +744,9 @@ class EscrowService {
       escrow.releaseReason = releaseReason;
       await escrow.save();
 
+      await LedgerService.recordEscrowReleased(escrow, adminId);
+      await InvoiceService.safeIssue(escrow._id, 'receipt');
+
       // Update milestone
       const milestone = await Milestone.findById(milestoneId);
       milestone.escrowStatus = 'released';
@@ -563,11 +760,26 @@ class EscrowService {
       freelancer.totalEarnings = (freelancer.totalEarnings || 0) + escrow.amountToFreelancer;
       freelancer.completedProjects = (freelancer.completedProjects || 0) + 1;
       await freelancer.save();
+      await WalletService.creditEarnings(escrow.freelancer._id, CurrencyService.toBase(escrow.amountToFreelancer, escrow));
 
       // Send notifications
       await this.sendEscrowNotifications(escrow, 'funds_released');
 
-      console.log(`✅ Funds released: ₹${escrow.amountToFreelancer} to freelancer`);
+      if (isAdminRelease) {
+        await AuditService.record({
+          actor: adminId,
+          action: 'escrow.release',
+          targetType: 'Escrow',
+          targetId: escrow._id,
+          targetLabel: escrow.milestone?.title,
+          before,
+          after: escrow,
+          reason: releaseReason,
+          message: `Released ${formatMoney(escrow.amountToFreelancer, escrow.currency)} to the freelancer`
+        });
+      }
+
+      console.log(`✅ Funds released: ${formatMoney(escrow.amountToFreelancer, escrow.currency)} to freelancer`);
 
       return {
         success: true,
@@ -586,10 +798,14 @@ class EscrowService {
   /**
    * Raise dispute
    */
-  static async raiseDispute(milestoneId, userId, disputeReason) {
+  static async raiseDispute(milestoneId, userId, disputeReason, attachmentIds = {}) {
     try {
       console.log('⚠️ Raising dispute for milestone:', milestoneId);
 
+      if (!disputeReason || !disputeReason.trim()) {
+        throw new Error('Please provide a reason for the dispute');
+      }
+
       const escrow = await Escrow.findOne({ milestone: milestoneId });
       
       if (!escrow || escrow.status !== 'active') {
@@ -610,6 +826,11 @@ class EscrowService {
       escrow.disputeRaisedBy = userId;
       escrow.disputeReason = disputeReason;
       escrow.status = 'disputed';
+
+      // Start the evidence thread (also notifies the other party)
+      const dispute = await DisputeService.openDispute(escrow, userId, disputeReason, attachmentIds);
+      escrow.dispute = dispute._id;
+      escrow.notificationsSent.disputeRaised = true;
       await escrow.save();
 
       // Update milestone
@@ -618,15 +839,13 @@ class EscrowService {
       milestone.status = 'disputed';
       await milestone.save();
 
-      // Send notifications to admin
-      await this.sendEscrowNotifications(escrow, 'dispute_raised');
-
       console.log('⚠️ Dispute raised successfully');
 
       return {
         success: true,
         escrow,
         milestone,
+        dispute,
         message: 'Dispute raised. Admin will review and resolve.'
       };
 
@@ -636,52 +855,158 @@ class EscrowService {
     }
   }
 
+  /**
+   * Split a disputed escrow between freelancer and client.
+   * The client gets back their share of the milestone plus the same share of the
+   * service charge; the platform keeps the fee only on the portion released.
+   */
+  static calculateDisputeSplit(escrow, freelancerPercentage) {
+    const freelancerShare = freelancerPercentage / 100;
+    const clientShare = 1 - freelancerShare;
+
+    const freelancerAmount = roundCurrency(escrow.milestoneAmount * freelancerShare);
+    const clientRefundAmount = roundCurrency(
+      (escrow.milestoneAmount * clientShare) + (escrow.serviceCharge * clientShare)
+    );
+    const platformFeeRetained = roundCurrency(escrow.totalAmount - freelancerAmount - clientRefundAmount);
+
+    return {
+      freelancerPercentage,
+      freelancerAmount,
+      clientRefundAmount,
+      platformFeeRetained
+    };
+  }
+
   /**
    * Admin resolve dispute
+   * Accepts refundToClient / releaseToFreelancer, or a freelancerPercentage (0-100) for a split.
    */
   static async resolveDispute(milestoneId, adminId, resolutionData) {
     try {
       console.log('🔧 Resolving dispute for milestone:', milestoneId);
 
-      const { resolution, refundToClient, releaseToFreelancer, notes } = resolutionData;
+      const { resolution, refundToClient, releaseToFreelancer, freelancerPercentage, notes } = resolutionData;
 
       const escrow = await Escrow.findOne({ milestone: milestoneId });
       
       if (!escrow || escrow.status !== 'disputed') {
         throw new Error('No disputed escrow found');
       }
+      const before = AuditService.snapshot(escrow);
 
-      // Update escrow
-      escrow.disputeResolution = resolution;
-      escrow.disputeResolvedAt = new Date();
-      escrow.disputeResolvedBy = adminId;
-      escrow.releaseNotes = notes;
-
+      let percentage;
       if (releaseToFreelancer) {
-        escrow.status = 'released';
-        escrow.releasedAt = new Date();
-        escrow.releasedBy = adminId;
-        
-        // Update freelancer earnings
-        const freelancer = await User.findById(escrow.freelancer);
-        freelancer.totalEarnings = (freelancer.totalEarnings || 0) + escrow.amountToFreelancer;
-        await freelancer.save();
+        percentage = 100;
       } else if (refundToClient) {
-        escrow.status = 'refunded';
-        escrow.refundedAt = new Date();
-        escrow.refundedBy = adminId;
-        escrow.refundReason = notes;
-        escrow.refundAmount = escrow.totalAmount;
+        percentage = 0;
+      } else if (freelancerPercentage !== undefined && freelancerPercentage !== null && freelancerPercentage !== '') {
+        percentage = Number(freelancerPercentage);
+      } else {
+        throw new Error('Specify how the disputed funds should be split');
       }
 
-      await escrow.save();
+      if (!Number.isFinite(percentage) || percentage < 0 || percentage > 100) {
+        throw new Error('Freelancer percentage must be between 0 and 100');
+      }
+
+      const split = this.calculateDisputeSplit(escrow, percentage);
+
+      // An earlier attempt that failed part-way may already have refunded the client or
+      // credited the freelancer; a retry has to finish that same split
+      const refundKey = `dispute_${escrow._id}`;
+      const partlySettled = escrow.disputeCreditedAt ||
+        (escrow.refunds || []).some(refund => refund.idempotencyKey === refundKey && refund.status !== 'failed');
+      if (partlySettled && escrow.disputeSplit?.freelancerPercentage !== percentage) {
+        throw new Error(`This dispute was partly settled at ${escrow.disputeSplit?.freelancerPercentage}% to the freelancer. Resolve it with the same split.`);
+      }
+
+      // Claim the dispute before touching the gateway so a double submit or a
+      // retried request can't refund the client twice
+      const claimed = await Escrow.findOneAndUpdate(
+        { _id: escrow._id, status: 'disputed' },
+        { $set: { status: 'resolving', disputeSplit: split } },
+        { new: true }
+      );
+      if (!claimed) {
+        throw new Error('This dispute is already being resolved');
+      }
+      escrow.set({ status: 'resolving', disputeSplit: split });
+      escrow.unmarkModified('status');
+      escrow.unmarkModified('disputeSplit');
+
+      try {
+        // Issue the gateway refund first, and save it straight away: the local key is
+        // what stops a retry refunding again, and the refund webhook needs to find it
+        if (split.clientRefundAmount > 0) {
+          await this.issueRefund(escrow, split.clientRefundAmount, {
+            reason: notes || resolution || 'Dispute resolution',
+            initiatedBy: adminId,
+            idempotencyKey: refundKey
+          });
+          await escrow.save();
+        }
+
+        if (split.freelancerAmount > 0) {
+          await this.creditDisputeShare(escrow, split.freelancerAmount);
+        }
+
+        // Update escrow
+        escrow.disputeResolution = resolution;
+        escrow.disputeResolvedAt = new Date();
+        escrow.disputeResolvedBy = adminId;
+        escrow.releaseNotes = notes;
+
+        if (split.freelancerAmount > 0) {
+          escrow.releasedAt = new Date();
+          escrow.releasedBy = adminId;
+          escrow.releaseReason = percentage === 100 ? 'Dispute resolved in favour of freelancer' : `Dispute split: ${percentage}% to freelancer`;
+        }
+
+        if (split.clientRefundAmount > 0) {
+          // Stays refund-pending until the gateway confirms the refund
+          escrow.status = 'refund-pending';
+          escrow.refundedBy = adminId;
+          escrow.refundReason = notes;
+        } else {
+          escrow.status = 'released';
+        }
+
+        await escrow.save();
+      } catch (settleError) {
+        // Back to disputed so the admin can retry; refunds and credits already made are skipped then
+        await Escrow.findOneAndUpdate({ _id: escrow._id, status: 'resolving' }, { $set: { status: 'disputed' } });
+        throw settleError;
+      }
+
+      await LedgerService.recordDisputeSettlement(escrow, split, adminId);
 
       // Update milestone
       const milestone = await Milestone.findById(milestoneId);
       milestone.escrowStatus = escrow.status;
-      milestone.status = escrow.status === 'released' ? 'paid' : 'refunded';
+      milestone.status = split.freelancerAmount > 0 ? 'paid' : 'refunded';
       await milestone.save();
 
+      // Some refunds are processed instantly by the gateway
+      await this.finalizeRefunds(escrow);
+
+      await DisputeService.recordResolution(escrow, adminId, split, notes);
+
+      await escrow.populate('milestone client freelancer');
+      await this.sendEscrowEmail(escrow, 'dispute_resolved', { split, notes });
+
+      await AuditService.record({
+        actor: adminId,
+        action: 'escrow.resolve-dispute',
+        targetType: 'Escrow',
+        targetId: escrow._id,
+        targetLabel: milestone.title,
+        before,
+        after: escrow,
+        reason: notes || resolution,
+        message: `${percentage}% to the freelancer, ${formatMoney(split.clientRefundAmount, escrow.currency)} refunded to the client`
+      });
+
       console.log('✅ Dispute resolved successfully');
 
       return {
@@ -689,7 +1014,10 @@ class EscrowService {
         escrow,
         milestone,
         resolution,
-        message: 'Dispute resolved successfully'
+        split,
+        message: split.clientRefundAmount > 0
+          ? 'Dispute resolved. Refund initiated and pending gateway confirmation.'
+          : 'Dispute resolved successfully'
       };
 
     } catch (error) {
@@ -698,6 +1026,215 @@ class EscrowService {
     }
   }
 
+  /**
+   * Credit the freelancer's share of a resolved dispute to their earnings and
+   * wallet, once. The escrow is marked credited before crediting and unmarked
+   * if crediting fails, so a retried resolution credits at most once.
+   */
+  static async creditDisputeShare(escrow, amount) {
+    const creditedAt = new Date();
+    const claimed = await Escrow.findOneAndUpdate(
+      { _id: escrow._id, disputeCreditedAt: null },
+      { $set: { disputeCreditedAt: creditedAt } },
+      { new: true }
+    );
+    if (!claimed) {
+      console.log(`ℹ️ Dispute share for escrow ${escrow._id} already credited - skipping`);
+      return false;
+    }
+
+    const freelancerId = escrow.freelancer._id || escrow.freelancer;
+    let earningsCounted = false;
+    try {
+      await User.findByIdAndUpdate(freelancerId, { $inc: { totalEarnings: amount } });
+      earningsCounted = true;
+      await WalletService.creditEarnings(freelancerId, CurrencyService.toBase(amount, escrow));
+    } catch (error) {
+      if (earningsCounted) {
+        await User.findByIdAndUpdate(freelancerId, { $inc: { totalEarnings: -amount } });
+      }
+      await Escrow.updateOne({ _id: escrow._id, disputeCreditedAt: creditedAt }, { $unset: { disputeCreditedAt: 1 } });
+      throw error;
+    }
+
+    escrow.disputeCreditedAt = creditedAt;
+    escrow.unmarkModified('disputeCreditedAt');
+    return true;
+  }
+
+  /**
+   * Issue a refund through Razorpay and record it on the escrow (caller saves).
+   * Razorpay does not deduplicate refunds, so with an idempotencyKey the only
+   * guard is local: a refund already recorded under that key is returned instead
+   * of issuing another. Save the escrow as soon as this returns so the key sticks.
+   * The key is also sent as the refund receipt for tracing.
+   */
+  static async issueRefund(escrow, amount, { reason = '', initiatedBy = null, idempotencyKey } = {}) {
+    if (!escrow.razorpayPaymentId) {
+      throw new Error('Cannot refund: escrow has no captured payment');
+    }
+
+    const existing = idempotencyKey && (escrow.refunds || [])
+      .find(refund => refund.idempotencyKey === idempotencyKey && refund.status !== 'failed');
+    if (existing) {
+      console.log(`ℹ️ Refund ${idempotencyKey} already issued for escrow ${escrow._id} - skipping`);
+      return { id: existing.refundId, status: existing.gatewayStatus };
+    }
+
+    const alreadyRefunded = (escrow.refunds || [])
+      .filter(refund => refund.status !== 'failed')
+      .reduce((sum, refund) => sum + refund.amount, 0);
+
+    if (roundCurrency(alreadyRefunded + amount) > escrow.totalAmount) {
+      throw new Error('Refund exceeds the amount paid into escrow');
+    }
+
+    console.log(`💸 Issuing Razorpay refund of ${formatMoney(amount, escrow.currency)} for escrow ${escrow._id}`);
+
+    const refund = await razorpay.payments.refund(escrow.razorpayPaymentId, {
+      amount: Math.round(amount * 100), // Convert to paise
+      speed: 'normal',
+      ...(idempotencyKey ? { receipt: idempotencyKey } : {}),
+      notes: {
+        escrow_id: escrow._id.toString(),
+        milestone_id: (escrow.milestone._id || escrow.milestone).toString(),
+        reason: (reason || '').slice(0, 250)
+      }
+    });
+
+    const processed = refund.status === 'processed';
+    escrow.refunds.push({
+      refundId: refund.id,
+      idempotencyKey,
+      amount,
+      status: processed ? 'processed' : 'pending',
+      gatewayStatus: refund.status,
+      reason,
+      initiatedBy,
+      processedAt: processed ? new Date() : undefined
+    });
+    escrow.refundStatus = processed ? escrow.refundStatus : 'pending';
+
+    return refund;
+  }
+
+  /**
+   * Settle escrow status once every gateway refund has been confirmed
+   */
+  static async finalizeRefunds(escrow) {
+    // Failed attempts that were retried no longer count against the escrow
+    const refunds = (escrow.refunds || []).filter(refund => !refund.retried);
+    if (refunds.length === 0) return escrow;
+
+    if (refunds.some(refund => refund.status === 'failed')) {
+      escrow.refundStatus = 'failed';
+    } else if (refunds.every(refund => refund.status === 'processed')) {
+      escrow.refundStatus = 'processed';
+      escrow.refundAmount = roundCurrency(refunds.reduce((sum, refund) => sum + refund.amount, 0));
+      escrow.refundedAt = refunds.reduce(
+        (latest, refund) => (!latest || refund.processedAt > latest ? refund.processedAt : latest),
+        null
+      );
+
+      if (escrow.status === 'refund-pending') {
+        escrow.status = escrow.disputeSplit?.freelancerAmount > 0 ? 'partially-refunded' : 'refunded';
+        await Milestone.findByIdAndUpdate(escrow.milestone._id || escrow.milestone, { escrowStatus: escrow.status });
+
+        await escrow.populate('milestone workspace client freelancer');
+        await this.sendEscrowNotifications(escrow, 'refund_processed');
+      }
+    } else {
+      escrow.refundStatus = 'pending';
+    }
+
+    await escrow.save();
+
+    for (const refund of refunds.filter(item => item.status === 'processed')) {
+      await LedgerService.recordRefundProcessed(escrow, refund);
+    }
+
+    return escrow;
+  }
+
+  /**
+   * Re-issue refunds that the gateway reported as failed
+   */
+  static async retryFailedRefunds(escrowId, adminId) {
+    const escrow = await Escrow.findById(escrowId);
+    if (!escrow) {
+      throw new Error('Escrow not found');
+    }
+
+    const failed = escrow.refunds.filter(refund => refund.status === 'failed' && !refund.retried);
+    if (failed.length === 0) {
+      throw new Error('No failed refunds to retry');
+    }
+    const before = AuditService.snapshot(escrow);
+
+    for (const refund of failed) {
+      refund.retried = true;
+      await this.issueRefund(escrow, refund.amount, {
+        reason: refund.reason,
+        initiatedBy: adminId
+      });
+    }
+
+    await escrow.save();
+    const result = await this.finalizeRefunds(escrow);
+
+    await AuditService.record({
+      actor: adminId,
+      action: 'escrow.retry-refund',
+      targetType: 'Escrow',
+      targetId: escrow._id,
+      before,
+      after: result,
+      message: `Retried ${failed.length} failed refund${failed.length === 1 ? '' : 's'}`
+    });
+
+    return result;
+  }
+
+  /**
+   * Poll Razorpay for refunds still awaiting confirmation (webhook fallback)
+   */
+  static async syncPendingRefunds() {
+    const escrows = await Escrow.find({ refundStatus: 'pending' });
+    let updated = 0;
+
+    for (const escrow of escrows) {
+      try {
+        let changed = false;
+
+        for (const entry of escrow.refunds) {
+          if (entry.status !== 'pending' || !entry.refundId) continue;
+
+          const refund = await razorpay.payments.fetchRefund(escrow.razorpayPaymentId, entry.refundId);
+          if (refund.status === entry.gatewayStatus) continue;
+
+          entry.gatewayStatus = refund.status;
+          if (refund.status === 'processed') {
+            entry.status = 'processed';
+            entry.processedAt = new Date();
+          } else if (refund.status === 'failed') {
+            entry.status = 'failed';
+            entry.failureReason = 'Reported failed by payment gateway';
+          }
+          changed = true;
+        }
+
+        if (changed) {
+          await this.finalizeRefunds(escrow);
+          updated++;
+        }
+      } catch (error) {
+        console.error(`⚠️ Failed to sync refunds for escrow ${escrow._id}:`, error.message);
+      }
+    }
+
+    return updated;
+  }
+
   /**
    * Get escrow details
    */
@@ -814,7 +1351,7 @@ class EscrowService {
             userRole: 'freelancer',
             type: 'payment',
             title: '💰 Payment Received!',
-            body: `${escrow.client.fullName} has paid ₹${escrow.totalAmount} for milestone "${escrow.milestone.title}". Funds are held in escrow until deliverable approval.`,
+            body: `${escrow.client.fullName} has paid ${formatMoney(escrow.totalAmount, escrow.currency)} for milestone "${escrow.milestone.title}". Funds are held in escrow until deliverable approval.`,
             icon: '/payment-icon.png',
             data: {
               workspaceId: escrow.workspace._id,
@@ -855,7 +1392,7 @@ class EscrowService {
             userRole: 'freelancer',
             type: 'payment',
             title: '🎉 Funds Released!',
-            body: `Congratulations! ₹${escrow.amountToFreelancer} from ${escrow.client.fullName} has been released to your account for milestone "${escrow.milestone.title}".`,
+            body: `Congratulations! ${formatMoney(escrow.amountToFreelancer, escrow.currency)} from ${escrow.client.fullName} has been released to your account for milestone "${escrow.milestone.title}".`,
             icon: '/success-icon.png',
             data: {
               workspaceId: escrow.workspace._id,
@@ -908,6 +1445,27 @@ class EscrowService {
           });
           break;
 
+        case 'refund_processed':
+          // Notify client that their refund has been confirmed by the gateway
+          notification = new Notification({
+            userId: escrow.client._id,
+            userRole: 'client',
+            type: 'payment',
+            title: '💸 Refund Processed',
+            body: `${formatMoney(escrow.refundAmount, escrow.currency)} for milestone "${escrow.milestone.title}" has been refunded to your original payment method.`,
+            icon: '/payment-icon.png',
+            data: {
+              workspaceId: escrow.workspace._id,
+              milestoneId: escrow.milestone._id,
+              extraData: {
+                refundAmount: escrow.refundAmount,
+                refundedAt: escrow.refundedAt,
+                event: 'refund_processed'
+              }
+            }
+          });
+          break;
+
         default:
           console.log(`📧 Unknown notification event: ${event}`);
           return;
@@ -919,9 +1477,9 @@ class EscrowService {
 
         // Send real-time notification via socket if available
         try {
-          const { getIO } = require('../utils/socketHandler');
+          const { getIO, userRoom } = require('../utils/socketHandler');
           const io = getIO();
-          io.to(notification.userId.toString()).emit('notification', {
+          io.to(userRoom(notification.userId)).emit('notification', {
             _id: notification._id,
             title: notification.title,
             body: notification.body,
@@ -934,6 +1492,10 @@ class EscrowService {
           console.log(`⚠️ Could not send real-time notification: ${socketError.message}`);
         }
 
+        if (ESCROW_EMAILS[event]) {
+          await this.sendEscrowEmail(escrow, event);
+        }
+
         // Send push notification if service is available
         try {
           const webpush = require('web-push');
@@ -948,6 +1510,63 @@ class EscrowService {
       console.error('❌ Error sending escrow notifications:', error);
     }
   }
+
+  /**
+   * Email an escrow event in each recipient's language: the client gets their
+   * invoice (funded) or receipt (released) as a PDF attachment and a note when a
+   * refund lands; both parties hear how a dispute was settled.
+   * The split and notes are only used for dispute_resolved.
+   */
+  static async sendEscrowEmail(escrow, event, { split = null, notes = '' } = {}) {
+    const type = ESCROW_EMAILS[event];
+    if (!type) return;
+
+    try {
+      const details = {
+        milestone: escrow.milestone.title,
+        currency: escrow.currency,
+        freelancerName: escrow.freelancer.fullName
+      };
+      let attachments;
+
+      if (event === 'payment_received' || event === 'funds_released') {
+        const documentType = event === 'payment_received' ? 'invoice' : 'receipt';
+        const invoice = await InvoiceService.issueForEscrow(escrow._id, documentType);
+        const pdf = await InvoiceService.generatePdf(invoice);
+
+        details.documentNumber = invoice.invoiceNumber;
+        details.amounts = invoice.amounts;
+        attachments = [{
+          filename: InvoiceService.getFilename(invoice),
+          content: pdf,
+          contentType: 'application/pdf'
+        }];
+      } else if (event === 'refund_processed') {
+        details.refundAmount = escrow.refundAmount;
+      } else {
+        details.split = split;
+        details.notes = notes;
+      }
+
+      const recipients = event === 'dispute_resolved' ? [escrow.client, escrow.freelancer] : [escrow.client];
+      for (const recipient of recipients) {
+        await sendEmail({
+          to: recipient.email,
+          subject: translate(languageOf(recipient), `email.escrow.${type}.subject`, {
+            milestone: details.milestone,
+            number: details.documentNumber
+          }),
+          html: generateEscrowEmailHTML(recipient, type, details),
+          text: generateEscrowEmailText(recipient, type, details),
+          attachments
+        });
+      }
+
+      console.log(`📧 ${event} email sent to ${recipients.length === 1 ? 'client' : 'client and freelancer'}`);
+    } catch (error) {
+      console.log(`⚠️ Could not send escrow email: ${error.message}`);
+    }
+  }
 }
 
 module.exports = EscrowService;
\ No newline at end of file
@@ -0,0 +1,288 @@
+const FeeSchedule = require('../models/FeeSchedule');
+const PromoCode = require('../models/PromoCode');
+const CurrencyService = require('./currencyService');
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Built-in schedule used until an admin publishes one (version 0).
+ * Budget tiers:
+ * - Under ₹5,000: 8%
+ * - ₹5,000 - ₹20,000: 6%
+ * - ₹20,000 - ₹50,000: 5%
+ * - ₹50,000 - ₹1,00,000: 4%
+ * - Above ₹1,00,000: 3%
+ */
+const DEFAULT_FEE_SCHEDULE = Object.freeze({
+  _id: null,
+  version: 0,
+  name: 'Standard budget tiers',
+  effectiveFrom: new Date(0),
+  tiers: [
+    { upTo: 5000, percentage: 8 },
+    { upTo: 20000, percentage: 6 },
+    { upTo: 50000, percentage: 5 },
+    { upTo: 100000, percentage: 4 },
+    { upTo: null, percentage: 3 }
+  ],
+  defaultPercentage: 5,
+  minimumCharge: 0,
+  categoryOverrides: []
+});
+
+const SCHEDULE_FIELDS = ['name', 'effectiveFrom', 'tiers', 'defaultPercentage', 'minimumCharge', 'categoryOverrides', 'notes'];
+const PROMO_FIELDS = ['description', 'discountType', 'discountValue', 'validFrom', 'validUntil', 'categories', 'maxRedemptions', 'isActive'];
+
+const pick = (source, fields) => fields.reduce((acc, field) => {
+  if (source[field] !== undefined) acc[field] = source[field];
+  return acc;
+}, {});
+
+class FeeScheduleService {
+
+  static getDefaultSchedule() {
+    return DEFAULT_FEE_SCHEDULE;
+  }
+
+  /**
+   * Percentage for a project budget under the schedule's tiers. Tier limits are exclusive,
+   * so a ₹5,000 budget falls in the ₹5,000 - ₹20,000 tier.
+   */
+  static getTierPercentage(schedule, projectBudget) {
+    if (!projectBudget) {
+      return schedule.defaultPercentage ?? DEFAULT_FEE_SCHEDULE.defaultPercentage;
+    }
+
+    const tier = schedule.tiers.find(item => item.upTo === null || item.upTo === undefined || projectBudget < item.upTo);
+    return (tier || schedule.tiers[schedule.tiers.length - 1]).percentage;
+  }
+
+  /**
+   * Service charge for one payment under a schedule: category override or budget tier,
+   * then the minimum charge, then any promo discount (which never makes the fee negative).
+   * Tier limits, minimum charges and fixed discounts are in the base currency; `fx.rateToBase`
+   * converts them for payments in another currency.
+   */
+  static computeCharges(amount, { schedule = DEFAULT_FEE_SCHEDULE, projectBudget = null, category = null, promo = null, currency = null, fx = null } = {}) {
+    const rateToBase = fx?.rateToBase || 1;
+    const override = category
+      ? (schedule.categoryOverrides || []).find(item => item.category === category)
+      : null;
+
+    const percentage = override
+      ? override.percentage
+      : this.getTierPercentage(schedule, projectBudget ? projectBudget * rateToBase : projectBudget);
+    const minimumCharge = roundCurrency((override?.minimumCharge ?? schedule.minimumCharge ?? 0) / rateToBase);
+
+    const percentageCharge = roundCurrency((amount * percentage) / 100);
+    const standardCharge = Math.max(percentageCharge, minimumCharge);
+
+    let discount = 0;
+    if (promo) {
+      const rawDiscount = promo.discountType === 'percentage'
+        ? (standardCharge * promo.discountValue) / 100
+        : promo.discountValue / rateToBase;
+      discount = roundCurrency(Math.min(standardCharge, rawDiscount));
+    }
+
+    const serviceCharge = roundCurrency(standardCharge - discount);
+
+    return {
+      milestoneAmount: amount,
+      serviceCharge,
+      serviceChargePercentage: percentage,
+      totalAmount: roundCurrency(amount + serviceCharge),
+      amountToFreelancer: amount, // Freelancer gets the milestone amount
+      breakdown: {
+        projectBudget,
+        percentageCharge,
+        appliedPercentage: percentage,
+        minimumCharge,
+        minimumApplied: standardCharge > percentageCharge,
+        category,
+        categoryOverride: !!override,
+        promoCode: promo?.code || null,
+        discount,
+        scheduleId: schedule._id || null,
+        scheduleVersion: schedule.version,
+        scheduleName: schedule.name,
+        currency,
+        fx
+      }
+    };
+  }
+
+  /**
+   * Schedule in force at a point in time, falling back to the built-in tiers
+   */
+  static async getActiveSchedule(at = new Date()) {
+    const schedule = await FeeSchedule.findOne({ effectiveFrom: { $lte: at } })
+      .sort({ effectiveFrom: -1, version: -1 })
+      .lean();
+
+    return schedule || DEFAULT_FEE_SCHEDULE;
+  }
+
+  /**
+   * Look up a promo code and check it can be used for this category right now
+   */
+  static async findUsablePromoCode(code, { category = null, at = new Date() } = {}) {
+    const promo = await PromoCode.findOne({ code: String(code).trim().toUpperCase() });
+    if (!promo) {
+      throw new Error('Invalid promo code');
+    }
+
+    const reason = promo.getIneligibilityReason({ category, at });
+    if (reason) {
+      throw new Error(reason);
+    }
+
+    return promo;
+  }
+
+  /**
+   * The single service-charge calculation used for project estimates, milestones and escrow orders
+   */
+  static async quote(amount, { projectBudget = null, category = null, promoCode = null, currency = null, at = new Date() } = {}) {
+    const schedule = await this.getActiveSchedule(at);
+    const promo = promoCode ? await this.findUsablePromoCode(promoCode, { category, at }) : null;
+    const paymentCurrency = currency || CurrencyService.getBaseCurrency();
+    const fx = await CurrencyService.snapshot(paymentCurrency);
+
+    return this.computeCharges(amount, { schedule, projectBudget, category, promo, currency: paymentCurrency, fx });
+  }
+
+  /**
+   * Count a use of the code once a payment has actually gone through. The usage cap is checked
+   * in the same update so concurrent payments can't exceed it.
+   */
+  static async redeemPromoCode(code) {
+    const promo = await PromoCode.findOneAndUpdate(
+      {
+        code,
+        $or: [
+          { maxRedemptions: null },
+          { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }
+        ]
+      },
+      { $inc: { redemptionCount: 1 } },
+      { new: true }
+    );
+
+    if (!promo) {
+      console.warn(`⚠️ Promo code ${code} was used past its redemption limit`);
+    }
+    return promo;
+  }
+
+  // ================================
+  // ADMIN MANAGEMENT
+  // ================================
+
+  static async listSchedules() {
+    const [schedules, active] = await Promise.all([
+      FeeSchedule.find()
+        .populate('createdBy', 'fullName')
+        .populate('updatedBy', 'fullName')
+        .sort({ effectiveFrom: -1, version: -1 }),
+      this.getActiveSchedule()
+    ]);
+
+    return { schedules, active, defaultSchedule: DEFAULT_FEE_SCHEDULE };
+  }
+
+  /**
+   * Publish a new version. It takes effect at effectiveFrom (immediately if omitted).
+   */
+  static async createSchedule(data, adminId) {
+    const effectiveFrom = data.effectiveFrom ? new Date(data.effectiveFrom) : new Date();
+    if (Number.isNaN(effectiveFrom.getTime())) {
+      throw new Error('Invalid effective date');
+    }
+
+    const latest = await FeeSchedule.findOne().sort({ version: -1 }).select('version');
+
+    const schedule = await FeeSchedule.create({
+      ...pick(data, SCHEDULE_FIELDS),
+      effectiveFrom,
+      version: (latest?.version || 0) + 1,
+      createdBy: adminId
+    });
+
+    console.log(`🧮 Fee schedule v${schedule.version} created, effective ${schedule.effectiveFrom.toISOString()}`);
+    return schedule;
+  }
+
+  /**
+   * Only schedules that haven't started can change; escrows reference the versions already in use
+   */
+  static async updateSchedule(scheduleId, data, adminId) {
+    const schedule = await FeeSchedule.findById(scheduleId);
+    if (!schedule) {
+      throw new Error('Fee schedule not found');
+    }
+
+    if (schedule.hasStarted()) {
+      throw new Error('This schedule is already in effect. Publish a new version instead.');
+    }
+
+    Object.assign(schedule, pick(data, SCHEDULE_FIELDS), { updatedBy: adminId });
+    if (schedule.hasStarted()) {
+      throw new Error('Effective date must be in the future when editing a scheduled version');
+    }
+
+    await schedule.save();
+    return schedule;
+  }
+
+  static async deleteSchedule(scheduleId) {
+    const schedule = await FeeSchedule.findById(scheduleId);
+    if (!schedule) {
+      throw new Error('Fee schedule not found');
+    }
+
+    if (schedule.hasStarted()) {
+      throw new Error('Schedules that have taken effect cannot be deleted');
+    }
+
+    await schedule.deleteOne();
+    return schedule;
+  }
+
+  static listPromoCodes() {
+    return PromoCode.find()
+      .populate('createdBy', 'fullName')
+      .sort({ createdAt: -1 });
+  }
+
+  static async createPromoCode(data, adminId) {
+    if (!data.code) {
+      throw new Error('Promo code is required');
+    }
+
+    const existing = await PromoCode.findOne({ code: String(data.code).trim().toUpperCase() });
+    if (existing) {
+      throw new Error('A promo code with this name already exists');
+    }
+
+    return PromoCode.create({
+      ...pick(data, PROMO_FIELDS),
+      code: data.code,
+      createdBy: adminId
+    });
+  }
+
+  static async updatePromoCode(promoCodeId, data) {
+    const promo = await PromoCode.findById(promoCodeId);
+    if (!promo) {
+      throw new Error('Promo code not found');
+    }
+
+    // The code itself and its redemption count are fixed once created
+    Object.assign(promo, pick(data, PROMO_FIELDS));
+    await promo.save();
+    return promo;
+  }
+}
+
+module.exports = FeeScheduleService;
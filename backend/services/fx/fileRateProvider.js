@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RATES_FILE = path.join(__dirname, 'rates.json');
+
+/**
+ * Reads rates from a JSON file ({ base, asOf, rates: { CODE: units per 1 base } }).
+ * Used in development and tests, or to pin rates by hand. FX_RATES_FILE points at another file.
+ */
+class FileRateProvider {
+  constructor({ filePath = process.env.FX_RATES_FILE || DEFAULT_RATES_FILE } = {}) {
+    this.name = 'file';
+    this.filePath = filePath;
+  }
+
+  async getRates() {
+    const contents = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+
+    if (!contents.base || !contents.rates) {
+      throw new Error(`FX rates file ${this.filePath} needs "base" and "rates"`);
+    }
+
+    return {
+      base: contents.base,
+      rates: { ...contents.rates, [contents.base]: 1 },
+      asOf: contents.asOf ? new Date(contents.asOf) : new Date()
+    };
+  }
+}
+
+module.exports = FileRateProvider;
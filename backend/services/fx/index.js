@@ -0,0 +1,42 @@
+/**
+ * Exchange rate provider registry.
+ *
+ * A provider implements:
+ *   getRates() → { base, rates: { CODE: units of CODE per 1 base }, asOf: Date }
+ *
+ * FX_PROVIDER picks the implementation ('file' by default, 'openexchangerates' in production).
+ */
+const FileRateProvider = require('./fileRateProvider');
+const OpenExchangeRatesProvider = require('./openExchangeRatesProvider');
+
+const PROVIDERS = {
+  file: () => new FileRateProvider(),
+  openexchangerates: () => new OpenExchangeRatesProvider()
+};
+
+let provider = null;
+
+const getRateProvider = () => {
+  if (!provider) {
+    const name = (process.env.FX_PROVIDER || 'file').toLowerCase();
+    const create = PROVIDERS[name];
+    if (!create) {
+      throw new Error(`Unknown FX rate provider: ${name}`);
+    }
+    provider = create();
+    console.log(`💱 FX rate provider: ${provider.name}`);
+  }
+  return provider;
+};
+
+// Replace the provider (used by tests to inject fixed rates)
+const setRateProvider = (replacement) => {
+  provider = replacement;
+};
+
+module.exports = {
+  getRateProvider,
+  setRateProvider,
+  FileRateProvider,
+  OpenExchangeRatesProvider
+};
@@ -0,0 +1,38 @@
+/**
+ * Open Exchange Rates (https://docs.openexchangerates.org/reference/latest-json).
+ * The free plan only quotes against USD, which is fine: rates are always used as ratios.
+ */
+const OPEN_EXCHANGE_RATES_URL = 'https://openexchangerates.org/api/latest.json';
+
+class OpenExchangeRatesProvider {
+  constructor({ appId = process.env.OPEN_EXCHANGE_RATES_APP_ID, symbols = [] } = {}) {
+    if (!appId) {
+      throw new Error('Open Exchange Rates needs OPEN_EXCHANGE_RATES_APP_ID');
+    }
+    this.name = 'openexchangerates';
+    this.appId = appId;
+    this.symbols = symbols;
+  }
+
+  async getRates() {
+    const params = new URLSearchParams({ app_id: this.appId });
+    if (this.symbols.length > 0) {
+      params.set('symbols', this.symbols.join(','));
+    }
+
+    const response = await fetch(`${OPEN_EXCHANGE_RATES_URL}?${params}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.description || `Open Exchange Rates request failed (${response.status})`);
+    }
+
+    return {
+      base: data.base,
+      rates: data.rates,
+      asOf: new Date(data.timestamp * 1000)
+    };
+  }
+}
+
+module.exports = OpenExchangeRatesProvider;
@@ -0,0 +1,280 @@
+const mongoose = require('mongoose');
+const Invitation = require('../models/Invitation');
+const Application = require('../models/Application');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const PrivacyService = require('./privacyService');
+const { formatMoney } = require('../utils/currency');
+
+const SOURCES = ['browse', 'matching', 'other'];
+
+// Same limits as applying directly (routes/applications.js)
+const MAX_RATE_OF_BUDGET = 1.2;
+const MAX_ONGOING_PROJECTS = 5;
+
+const findById = (Model, id, conditions = {}) => (
+  mongoose.Types.ObjectId.isValid(id) ? Model.findOne({ _id: id, ...conditions }) : null
+);
+
+class InvitationService {
+
+  /**
+   * Invite a freelancer to one of the client's open projects
+   */
+  static async inviteFreelancer(clientId, { projectId, freelancerId, message, source, matchScore } = {}) {
+    const project = await findById(Project, projectId, { client: clientId });
+    if (!project) {
+      throw new Error('Project not found');
+    }
+    if (project.status !== 'open') {
+      throw new Error('You can only invite freelancers to open projects');
+    }
+
+    const freelancer = mongoose.Types.ObjectId.isValid(freelancerId)
+      ? await User.findById(freelancerId).select('fullName role isActive isDeleted privacySettings')
+      : null;
+    if (!freelancer || freelancer.role !== 'freelancer' || freelancer.isDeleted || freelancer.isActive === false ||
+        !PrivacyService.isSearchable(freelancer, { role: 'client' })) {
+      throw new Error('Freelancer not found');
+    }
+
+    if (await Application.exists({ project: project._id, freelancer: freelancer._id })) {
+      throw new Error('This freelancer has already applied to this project');
+    }
+
+    const score = Number(matchScore);
+    const fields = {
+      message: message ? String(message).trim() : undefined,
+      source: SOURCES.includes(source) ? source : 'other',
+      matchScore: Number.isFinite(score) && score >= 0 && score <= 1 ? score : undefined
+    };
+
+    // Cancelled and expired invitations can be sent again
+    let invitation = await Invitation.findOne({ project: project._id, freelancer: freelancer._id });
+    if (invitation && !['cancelled', 'expired'].includes(invitation.status)) {
+      throw new Error(invitation.status === 'pending'
+        ? 'You have already invited this freelancer to this project'
+        : `This freelancer has already ${invitation.status} your invitation`);
+    }
+
+    if (invitation) {
+      Object.assign(invitation, fields, { status: 'pending', declineReason: undefined, respondedAt: undefined });
+    } else {
+      invitation = new Invitation({ project: project._id, client: clientId, freelancer: freelancer._id, ...fields });
+    }
+    await invitation.save();
+
+    const client = await User.findById(clientId).select('fullName').lean();
+    await this.notify(freelancer._id, 'freelancer', {
+      title: '📩 Project Invitation',
+      body: `${client?.fullName || 'A client'} invited you to apply to "${project.title}"${fields.message ? `: "${fields.message}"` : ''}`,
+      projectId: project._id,
+      extraData: { invitationId: invitation._id, action: 'view_invitations' }
+    });
+
+    console.log(`📩 Invitation ${invitation._id} sent to freelancer ${freelancer._id} for project ${project._id}`);
+    return invitation;
+  }
+
+  /**
+   * Accept an invitation. Creates the freelancer's application, linked back to
+   * the invitation; rate, timeline and cover letter default from the project.
+   */
+  static async acceptInvitation(invitationId, freelancerId, proposal = {}) {
+    const invitation = await this.getPendingInvitation(invitationId, { freelancer: freelancerId });
+
+    const project = await Project.findById(invitation.project);
+    if (!project || project.status !== 'open') {
+      invitation.status = 'expired';
+      await invitation.save();
+      throw new Error('This project is no longer accepting applications');
+    }
+
+    if (await Application.exists({ project: project._id, freelancer: freelancerId })) {
+      throw new Error('You have already applied to this project');
+    }
+
+    const ongoingProjectsCount = await Application.countDocuments({
+      freelancer: freelancerId,
+      status: { $in: ['accepted', 'awarded'] }
+    });
+    if (ongoingProjectsCount >= MAX_ONGOING_PROJECTS) {
+      throw new Error(`You cannot apply to more than ${MAX_ONGOING_PROJECTS} projects at once. Please complete some of your current projects before applying to new ones.`);
+    }
+
+    const proposedRate = proposal.proposedRate === undefined || proposal.proposedRate === ''
+      ? project.budgetAmount
+      : Number(proposal.proposedRate);
+    if (!Number.isFinite(proposedRate) || proposedRate < 0) {
+      throw new Error('Proposed rate must be a positive number');
+    }
+    const maxAllowedRate = (project.budgetAmount || 0) * MAX_RATE_OF_BUDGET;
+    if (project.budgetAmount && proposedRate > maxAllowedRate) {
+      throw new Error(`Proposed rate cannot exceed ${formatMoney(Math.round(maxAllowedRate), project.currency)} (120% of the project budget)`);
+    }
+
+    const proposedTimeline = proposal.proposedTimeline ||
+      (project.deadline ? project.deadline.toISOString().split('T')[0] : 'Flexible');
+    const proposedDate = new Date(proposedTimeline);
+    if (project.deadline && !Number.isNaN(proposedDate.getTime()) && proposedDate > project.deadline) {
+      throw new Error('Proposed completion date cannot exceed the project deadline');
+    }
+
+    const application = await Application.create({
+      project: project._id,
+      freelancer: freelancerId,
+      client: project.client,
+      coverLetter: proposal.coverLetter?.trim() || `Accepted your invitation to "${project.title}".`,
+      proposedRate,
+      proposedTimeline,
+      invitation: invitation._id
+    });
+
+    invitation.status = 'accepted';
+    invitation.application = application._id;
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    const freelancer = await User.findById(freelancerId).select('fullName').lean();
+    await this.notify(project.client, 'client', {
+      title: '✅ Invitation Accepted',
+      body: `${freelancer?.fullName || 'A freelancer'} accepted your invitation to "${project.title}" and applied`,
+      projectId: project._id,
+      extraData: { invitationId: invitation._id, applicationId: application._id, action: 'view_applications' }
+    });
+
+    console.log(`✅ Invitation ${invitation._id} accepted, application ${application._id} created`);
+    return { invitation, application };
+  }
+
+  static async declineInvitation(invitationId, freelancerId, reason) {
+    const trimmedReason = reason ? String(reason).trim() : '';
+    if (!trimmedReason) {
+      throw new Error('Please give a reason for declining');
+    }
+
+    const invitation = await this.getPendingInvitation(invitationId, { freelancer: freelancerId });
+    invitation.status = 'declined';
+    invitation.declineReason = trimmedReason;
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    const [project, freelancer] = await Promise.all([
+      Project.findById(invitation.project).select('title').lean(),
+      User.findById(freelancerId).select('fullName').lean()
+    ]);
+    await this.notify(invitation.client, 'client', {
+      title: 'Invitation Declined',
+      body: `${freelancer?.fullName || 'A freelancer'} declined your invitation to "${project?.title || 'your project'}". Reason: ${trimmedReason}`,
+      projectId: invitation.project,
+      extraData: { invitationId: invitation._id }
+    });
+
+    console.log(`🚫 Invitation ${invitation._id} declined`);
+    return invitation;
+  }
+
+  /**
+   * Withdraw an invitation the freelancer hasn't answered yet
+   */
+  static async cancelInvitation(invitationId, clientId) {
+    const invitation = await this.getPendingInvitation(invitationId, { client: clientId });
+    invitation.status = 'cancelled';
+    await invitation.save();
+    return invitation;
+  }
+
+  static async getPendingInvitation(invitationId, owner) {
+    const invitation = await findById(Invitation, invitationId, owner);
+    if (!invitation) {
+      throw new Error('Invitation not found');
+    }
+    if (invitation.status !== 'pending') {
+      throw new Error(`This invitation has already been ${invitation.status}`);
+    }
+    return invitation;
+  }
+
+  static async listReceived(freelancerId, { status } = {}) {
+    return Invitation.find({ freelancer: freelancerId, ...(status ? { status } : {}) })
+      .populate('project', 'title description skills budgetType budgetAmount currency deadline status')
+      .populate('client', 'fullName profilePicture')
+      .sort('-createdAt')
+      .lean();
+  }
+
+  static async listSent(clientId, { projectId, status } = {}) {
+    const query = { client: clientId };
+    if (projectId) query.project = projectId;
+    if (status) query.status = status;
+
+    return Invitation.find(query)
+      .populate('project', 'title status')
+      .populate('freelancer', 'fullName profilePicture skills rating')
+      .sort('-createdAt')
+      .lean();
+  }
+
+  /**
+   * Invitation status per freelancer on a project, for marking match results
+   */
+  static async statusesForProject(projectId) {
+    const invitations = await Invitation.find({ project: projectId }).select('freelancer status').lean();
+    return new Map(invitations.map(invitation => [invitation.freelancer.toString(), invitation.status]));
+  }
+
+  /**
+   * Invitation counts for matching analytics. The acceptance rate is out of
+   * invitations the freelancer answered.
+   */
+  static async getProjectStats(projectId) {
+    const invitations = await Invitation.find({ project: projectId, status: { $ne: 'cancelled' } })
+      .select('status source')
+      .lean();
+
+    const count = (status) => invitations.filter(invitation => invitation.status === status).length;
+    const accepted = count('accepted');
+    const declined = count('declined');
+
+    return {
+      sent: invitations.length,
+      pending: count('pending'),
+      accepted,
+      declined,
+      acceptanceRate: accepted + declined > 0 ? accepted / (accepted + declined) : 0,
+      bySource: Object.fromEntries(SOURCES.map(source => [
+        source,
+        invitations.filter(invitation => invitation.source === source).length
+      ]))
+    };
+  }
+
+  /**
+   * Pending invitations lapse when the project stops taking applications
+   */
+  static async expireForProject(projectId) {
+    const result = await Invitation.updateMany(
+      { project: projectId, status: 'pending' },
+      { status: 'expired' }
+    );
+    return result.modifiedCount || 0;
+  }
+
+  static async notify(userId, userRole, { title, body, projectId, extraData }) {
+    try {
+      await Notification.create({
+        userId,
+        userRole,
+        type: 'project',
+        title,
+        body,
+        data: { projectId, extraData }
+      });
+    } catch (notificationError) {
+      console.error('⚠️ Failed to create invitation notification:', notificationError);
+    }
+  }
+}
+
+module.exports = InvitationService;
@@ -0,0 +1,305 @@
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const InvoiceCounter = require('../models/InvoiceCounter');
+const Escrow = require('../models/Escrow');
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+const DOCUMENT_PREFIXES = {
+  invoice: 'INV',
+  receipt: 'RCT'
+};
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+const formatAddress = (details = {}) => [
+  details.addressLine1,
+  details.addressLine2,
+  [details.city, details.state, details.postalCode].filter(Boolean).join(', '),
+  details.country
+].filter(Boolean).join('\n');
+
+const toParty = (user) => ({
+  user: user._id,
+  name: user.billingDetails?.legalName || user.fullName,
+  email: user.email,
+  gstin: user.billingDetails?.gstin,
+  address: formatAddress(user.billingDetails),
+  state: user.billingDetails?.state
+});
+
+class InvoiceService {
+
+  /**
+   * Platform's own GST registration, printed as the supplier on every invoice
+   */
+  static getPlatformDetails() {
+    return {
+      name: process.env.PLATFORM_LEGAL_NAME || 'WebSphere',
+      email: process.env.BREVO_FROM_EMAIL || 'noreply@websphere.com',
+      gstin: process.env.PLATFORM_GSTIN,
+      address: process.env.PLATFORM_ADDRESS,
+      state: process.env.PLATFORM_STATE
+    };
+  }
+
+  static getTaxRate() {
+    const configured = parseFloat(process.env.GST_RATE);
+    return Number.isFinite(configured) && configured >= 0 ? configured : 18;
+  }
+
+  /**
+   * Indian financial year (April–March, IST) a date falls in, e.g. '2025-26'
+   */
+  static getFinancialYear(date = new Date()) {
+    const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+    const year = ist.getUTCFullYear();
+    const startYear = ist.getUTCMonth() >= 3 ? year : year - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+  }
+
+  /**
+   * Split a GST-inclusive platform fee into taxable value and CGST/SGST (same state) or IGST (inter-state).
+   * An unknown client state is treated as inter-state.
+   */
+  static calculateTax(platformFee, clientState, platformState = this.getPlatformDetails().state) {
+    const taxRate = this.getTaxRate();
+    const taxableValue = roundCurrency(platformFee / (1 + taxRate / 100));
+    const totalTax = roundCurrency(platformFee - taxableValue);
+
+    const intraState = !!clientState && !!platformState &&
+      clientState.trim().toLowerCase() === platformState.trim().toLowerCase();
+
+    if (intraState) {
+      const cgst = roundCurrency(totalTax / 2);
+      return { taxableValue, taxRate, cgst, sgst: roundCurrency(totalTax - cgst), igst: 0, totalTax };
+    }
+
+    return { taxableValue, taxRate, cgst: 0, sgst: 0, igst: totalTax, totalTax };
+  }
+
+  /**
+   * Invoice amounts exactly as the client was charged under the escrow's fee schedule
+   */
+  static buildAmounts(escrow, clientState) {
+    const tax = this.calculateTax(escrow.serviceCharge, clientState);
+
+    return {
+      milestoneAmount: roundCurrency(escrow.milestoneAmount),
+      serviceChargePercentage: escrow.serviceChargePercentage,
+      platformFee: roundCurrency(escrow.serviceCharge),
+      promoCode: escrow.feeSchedule?.promoCode,
+      discount: roundCurrency(escrow.feeSchedule?.discount || 0),
+      ...tax,
+      totalAmount: roundCurrency(escrow.totalAmount),
+      amountToFreelancer: roundCurrency(escrow.amountToFreelancer)
+    };
+  }
+
+  /**
+   * Next consecutive number for the financial year, e.g. INV/2025-26/00042
+   */
+  static async nextInvoiceNumber(documentType, date = new Date()) {
+    const financialYear = this.getFinancialYear(date);
+    const counter = await InvoiceCounter.findOneAndUpdate(
+      { documentType, financialYear },
+      { $inc: { sequence: 1 } },
+      { upsert: true, new: true }
+    );
+
+    return {
+      financialYear,
+      invoiceNumber: `${DOCUMENT_PREFIXES[documentType]}/${financialYear}/${String(counter.sequence).padStart(5, '0')}`
+    };
+  }
+
+  /**
+   * Issue the invoice (funded) or receipt (released) for an escrow. Returns the existing one if already issued.
+   */
+  static async issueForEscrow(escrowId, documentType) {
+    const existing = await Invoice.findOne({ escrow: escrowId, documentType });
+    if (existing) {
+      return existing;
+    }
+
+    const escrow = await Escrow.findById(escrowId)
+      .populate('client', 'fullName email billingDetails')
+      .populate('freelancer', 'fullName email billingDetails')
+      .populate('milestone', 'title')
+      .populate({
+        path: 'workspace',
+        select: 'project',
+        populate: { path: 'project', select: 'title' }
+      });
+
+    if (!escrow) {
+      throw new Error('Escrow not found');
+    }
+
+    if (documentType === 'invoice' && !escrow.razorpayPaymentId) {
+      throw new Error('Escrow has not been paid yet');
+    }
+
+    if (documentType === 'receipt' && !escrow.releasedAt) {
+      throw new Error('Escrow has not been released yet');
+    }
+
+    const issuedAt = new Date();
+    const { financialYear, invoiceNumber } = await this.nextInvoiceNumber(documentType, issuedAt);
+    const client = toParty(escrow.client);
+
+    try {
+      const invoice = await Invoice.create({
+        documentType,
+        invoiceNumber,
+        financialYear,
+        issuedAt,
+        escrow: escrow._id,
+        workspace: escrow.workspace._id,
+        milestone: escrow.milestone?._id,
+        projectTitle: escrow.workspace.project?.title,
+        milestoneTitle: escrow.milestone?.title,
+        platform: this.getPlatformDetails(),
+        client,
+        freelancer: toParty(escrow.freelancer),
+        sacCode: process.env.INVOICE_SAC_CODE || '998599',
+        currency: escrow.currency || 'INR',
+        amounts: this.buildAmounts(escrow, client.state),
+        payment: {
+          razorpayPaymentId: escrow.razorpayPaymentId,
+          razorpayOrderId: escrow.razorpayOrderId,
+          paidAt: escrow.activatedAt,
+          releasedAt: escrow.releasedAt
+        }
+      });
+
+      console.log(`🧾 Issued ${documentType} ${invoiceNumber} for escrow ${escrow._id}`);
+      return invoice;
+    } catch (error) {
+      // Issued concurrently (e.g. webhook + verify); the consumed number is left as a gap
+      if (error.code === 11000) {
+        const issued = await Invoice.findOne({ escrow: escrow._id, documentType });
+        if (issued) return issued;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Issue without letting an invoicing failure undo a payment that already happened
+   */
+  static async safeIssue(escrowId, documentType) {
+    try {
+      return await this.issueForEscrow(escrowId, documentType);
+    } catch (error) {
+      console.error(`⚠️ Failed to issue ${documentType} for escrow ${escrowId}:`, error.message);
+      return null;
+    }
+  }
+
+  static getFilename(invoice) {
+    return `${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`;
+  }
+
+  /**
+   * Render an invoice or receipt to a PDF buffer
+   */
+  static generatePdf(invoice) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const { amounts } = invoice;
+      const money = (value) => `${invoice.currency} ${(value || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+      const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' }) : '-');
+      const isInvoice = invoice.documentType === 'invoice';
+
+      // Header
+      doc.fontSize(20).font('Helvetica-Bold').text(isInvoice ? 'TAX INVOICE' : 'PAYMENT RECEIPT', { align: 'right' });
+      doc.fontSize(10).font('Helvetica')
+        .text(`${isInvoice ? 'Invoice' : 'Receipt'} No: ${invoice.invoiceNumber}`, { align: 'right' })
+        .text(`Date: ${formatDate(invoice.issuedAt)}`, { align: 'right' })
+        .text(`Financial Year: ${invoice.financialYear}`, { align: 'right' });
+
+      doc.moveDown();
+      doc.font('Helvetica-Bold').fontSize(12).text(invoice.platform.name);
+      doc.font('Helvetica').fontSize(9);
+      if (invoice.platform.address) doc.text(invoice.platform.address);
+      if (invoice.platform.state) doc.text(`State: ${invoice.platform.state}`);
+      if (invoice.platform.gstin) doc.text(`GSTIN: ${invoice.platform.gstin}`);
+
+      // Parties
+      const partiesTop = doc.y + 20;
+      const writeParty = (title, party, x) => {
+        doc.font('Helvetica-Bold').fontSize(10).text(title, x, partiesTop, { width: 230 });
+        doc.font('Helvetica').fontSize(9).text(party.name || '-', { width: 230 });
+        if (party.email) doc.text(party.email, { width: 230 });
+        if (party.address) doc.text(party.address, { width: 230 });
+        doc.text(`GSTIN: ${party.gstin || 'Unregistered'}`, { width: 230 });
+        return doc.y;
+      };
+      const clientBottom = writeParty('Billed To', invoice.client, 50);
+      const freelancerBottom = writeParty('Service Provider (Freelancer)', invoice.freelancer, 310);
+
+      doc.x = 50;
+      doc.y = Math.max(clientBottom, freelancerBottom) + 20;
+      doc.font('Helvetica').fontSize(9)
+        .text(`Project: ${invoice.projectTitle || '-'}`)
+        .text(`Milestone: ${invoice.milestoneTitle || '-'}`)
+        .text(`Payment ID: ${invoice.payment?.razorpayPaymentId || '-'}    Paid on: ${formatDate(invoice.payment?.paidAt)}`);
+      if (!isInvoice) {
+        doc.text(`Released to freelancer on: ${formatDate(invoice.payment?.releasedAt)}`);
+      }
+
+      // Line items
+      const rows = [
+        ['Milestone payment (held in escrow, paid to freelancer)', amounts.milestoneAmount],
+        [`Platform service fee @ ${amounts.serviceChargePercentage}% (SAC ${invoice.sacCode}) - taxable value`, amounts.taxableValue]
+      ];
+      if (amounts.igst > 0) {
+        rows.push([`IGST @ ${amounts.taxRate}%`, amounts.igst]);
+      } else {
+        rows.push([`CGST @ ${amounts.taxRate / 2}%`, amounts.cgst]);
+        rows.push([`SGST @ ${amounts.taxRate / 2}%`, amounts.sgst]);
+      }
+
+      let y = doc.y + 20;
+      doc.font('Helvetica-Bold').fontSize(10);
+      doc.text('Description', 50, y).text('Amount', 400, y, { width: 145, align: 'right' });
+      y += 16;
+      doc.moveTo(50, y).lineTo(545, y).stroke();
+      y += 8;
+
+      doc.font('Helvetica').fontSize(9);
+      rows.forEach(([label, value]) => {
+        doc.text(label, 50, y, { width: 340 }).text(money(value), 400, y, { width: 145, align: 'right' });
+        y += 18;
+      });
+
+      doc.moveTo(50, y).lineTo(545, y).stroke();
+      y += 8;
+      doc.font('Helvetica-Bold').fontSize(10)
+        .text(isInvoice ? 'Total Paid' : 'Total Settled', 50, y)
+        .text(money(amounts.totalAmount), 400, y, { width: 145, align: 'right' });
+      y += 18;
+      doc.font('Helvetica').fontSize(9)
+        .text(`Platform fee including GST: ${money(amounts.platformFee)}`, 50, y)
+        .text(`Amount to freelancer: ${money(amounts.amountToFreelancer)}`, 50, y + 14);
+      if (amounts.discount > 0) {
+        doc.text(`Platform fee is after promo code ${amounts.promoCode} (${money(amounts.discount)} off)`, 50, y + 28);
+      }
+
+      doc.fontSize(8).fillColor('#666666').text(
+        'GST is charged only on the platform service fee. The milestone amount is held in escrow on behalf of the freelancer. This is a computer-generated document and does not require a signature.',
+        50, y + 50, { width: 495 }
+      );
+
+      doc.end();
+    });
+  }
+}
+
+module.exports = InvoiceService;
@@ -0,0 +1,423 @@
+const LedgerEntry = require('../models/LedgerEntry');
+const Escrow = require('../models/Escrow');
+const Wallet = require('../models/Wallet');
+const CurrencyService = require('./currencyService');
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+const idOf = (value) => (value && value._id) || value;
+
+// Escrow statuses where the client's money is still held by the platform
+const HELD_STATUSES = ['active', 'disputed', 'resolving'];
+
+class LedgerService {
+
+  /**
+   * Post a balanced journal entry. Re-posting the same idempotency key is a no-op.
+   * Zero-amount lines are dropped so callers can pass every leg of a split.
+   */
+  static async post({ idempotencyKey, event, lines, escrow = null, withdrawal, currency, memo = '', gatewayReference, postedBy = null, reverses }) {
+    const existing = await LedgerEntry.findOne({ idempotencyKey });
+    if (existing) {
+      return existing;
+    }
+
+    const entry = {
+      idempotencyKey,
+      event,
+      lines: lines
+        .map(line => ({ ...line, debit: roundCurrency(line.debit || 0), credit: roundCurrency(line.credit || 0) }))
+        .filter(line => line.debit > 0 || line.credit > 0),
+      currency: currency || escrow?.currency || 'INR',
+      memo,
+      gatewayReference,
+      postedBy: postedBy && postedBy !== 'system' ? postedBy : null,
+      withdrawal,
+      reverses
+    };
+
+    if (escrow) {
+      entry.escrow = escrow._id;
+      entry.milestone = idOf(escrow.milestone);
+      entry.workspace = idOf(escrow.workspace);
+    }
+
+    try {
+      const created = await LedgerEntry.create(entry);
+      console.log(`📒 Ledger ${event} posted (${idempotencyKey})`);
+      return created;
+    } catch (error) {
+      // Lost a race with a concurrent post of the same movement
+      if (error.code === 11000) {
+        return LedgerEntry.findOne({ idempotencyKey });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Post an entry without letting a ledger failure undo a gateway action that already happened.
+   * Anything missed here shows up in the reconciliation report.
+   */
+  static async safePost(params) {
+    try {
+      return await this.post(params);
+    } catch (error) {
+      console.error(`❌ Failed to post ledger entry ${params.idempotencyKey}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Client payment captured: gateway holds the money, owed back to the client until released
+   */
+  static recordEscrowFunded(escrow) {
+    return this.safePost({
+      idempotencyKey: `escrow:${escrow._id}:funded`,
+      event: 'escrow.funded',
+      escrow,
+      gatewayReference: escrow.razorpayPaymentId,
+      memo: `Client payment captured for milestone escrow`,
+      lines: [
+        { account: 'gateway_clearing', debit: escrow.totalAmount },
+        { account: 'client_funds_held', credit: escrow.totalAmount, party: idOf(escrow.client) }
+      ]
+    });
+  }
+
+  /**
+   * Escrow released in full: freelancer is owed their share, the platform keeps the fee
+   */
+  static recordEscrowReleased(escrow, postedBy = null) {
+    return this.safePost({
+      idempotencyKey: `escrow:${escrow._id}:released`,
+      event: 'escrow.released',
+      escrow,
+      postedBy,
+      memo: escrow.releaseReason || 'Escrow released to freelancer',
+      lines: [
+        { account: 'client_funds_held', debit: escrow.totalAmount, party: idOf(escrow.client) },
+        { account: 'freelancer_payable', credit: escrow.amountToFreelancer, party: idOf(escrow.freelancer) },
+        { account: 'platform_fees', credit: escrow.totalAmount - escrow.amountToFreelancer }
+      ]
+    });
+  }
+
+  /**
+   * Disputed escrow split between the parties
+   */
+  static recordDisputeSettlement(escrow, split, postedBy = null) {
+    return this.safePost({
+      idempotencyKey: `escrow:${escrow._id}:dispute-settled`,
+      event: 'escrow.dispute_settled',
+      escrow,
+      postedBy,
+      memo: `Dispute split: ${split.freelancerPercentage}% to freelancer`,
+      lines: [
+        { account: 'client_funds_held', debit: escrow.totalAmount, party: idOf(escrow.client) },
+        { account: 'freelancer_payable', credit: split.freelancerAmount, party: idOf(escrow.freelancer) },
+        { account: 'platform_fees', credit: split.platformFeeRetained },
+        { account: 'refunds_payable', credit: split.clientRefundAmount, party: idOf(escrow.client) }
+      ]
+    });
+  }
+
+  /**
+   * Refund issued outside a dispute (e.g. from the Razorpay dashboard):
+   * move it out of held funds before the gateway pays it out
+   */
+  static recordRefundReserved(escrow, refund) {
+    return this.safePost({
+      idempotencyKey: `refund:${refund.refundId}:reserved`,
+      event: 'refund.reserved',
+      escrow,
+      gatewayReference: refund.refundId,
+      memo: refund.reason || 'Refund issued via payment gateway',
+      lines: [
+        { account: 'client_funds_held', debit: refund.amount, party: idOf(escrow.client) },
+        { account: 'refunds_payable', credit: refund.amount, party: idOf(escrow.client) }
+      ]
+    });
+  }
+
+  /**
+   * Gateway confirmed a refund: the money has left the platform
+   */
+  static recordRefundProcessed(escrow, refund) {
+    return this.safePost({
+      idempotencyKey: `refund:${refund.refundId}:processed`,
+      event: 'refund.processed',
+      escrow,
+      gatewayReference: refund.refundId,
+      memo: refund.reason || 'Refund confirmed by payment gateway',
+      lines: [
+        { account: 'refunds_payable', debit: refund.amount, party: idOf(escrow.client) },
+        { account: 'gateway_clearing', credit: refund.amount }
+      ]
+    });
+  }
+
+  /**
+   * Freelancer withdrawal paid out: the platform no longer owes it and the money has left
+   */
+  static recordPayoutCompleted(withdrawal, postedBy = null) {
+    return this.safePost({
+      idempotencyKey: `withdrawal:${withdrawal._id}:paid`,
+      event: 'payout.completed',
+      withdrawal: withdrawal._id,
+      currency: withdrawal.currency,
+      postedBy,
+      gatewayReference: withdrawal.providerPayoutId,
+      memo: `Withdrawal paid via ${withdrawal.provider}`,
+      lines: [
+        { account: 'freelancer_payable', debit: withdrawal.amount, party: idOf(withdrawal.freelancer) },
+        { account: 'gateway_clearing', credit: withdrawal.amount }
+      ]
+    });
+  }
+
+  /**
+   * Cancel an entry by posting its mirror image
+   */
+  static async reverse(entryId, postedBy, memo = '') {
+    const original = await LedgerEntry.findById(entryId);
+    if (!original) {
+      throw new Error('Ledger entry not found');
+    }
+
+    return this.post({
+      idempotencyKey: `reversal:${original._id}`,
+      event: 'reversal',
+      escrow: original.escrow ? { _id: original.escrow, milestone: original.milestone, workspace: original.workspace } : null,
+      currency: original.currency,
+      postedBy,
+      reverses: original._id,
+      memo: memo || `Reversal of ${original.event}`,
+      lines: original.lines.map(line => ({
+        account: line.account,
+        party: line.party,
+        debit: line.credit,
+        credit: line.debit
+      }))
+    });
+  }
+
+  /**
+   * Post any entries missing for an escrow's current state (used for escrows
+   * that pre-date the ledger). Every posting is idempotent, so re-running is safe.
+   */
+  static async backfillEscrow(escrow) {
+    const funded = escrow.status !== 'pending' && escrow.status !== 'cancelled' && !!escrow.razorpayPaymentId;
+    if (!funded) return;
+
+    await this.recordEscrowFunded(escrow);
+
+    const settledByDispute = escrow.disputeSplit?.freelancerPercentage !== undefined &&
+      escrow.disputeSplit?.freelancerPercentage !== null;
+
+    if (settledByDispute) {
+      await this.recordDisputeSettlement(escrow, escrow.disputeSplit, escrow.disputeResolvedBy);
+    } else if (escrow.status === 'released') {
+      await this.recordEscrowReleased(escrow, escrow.releasedBy);
+    }
+
+    for (const refund of (escrow.refunds || []).filter(item => !item.retried && item.refundId)) {
+      if (!settledByDispute) {
+        await this.recordRefundReserved(escrow, refund);
+      }
+      if (refund.status === 'processed') {
+        await this.recordRefundProcessed(escrow, refund);
+      }
+    }
+  }
+
+  /**
+   * Net balance per account (credit-normal accounts are reported as credits - debits)
+   */
+  static async getAccountBalances(match = {}) {
+    const rows = await LedgerEntry.aggregate([
+      { $match: match },
+      { $unwind: '$lines' },
+      {
+        $group: {
+          _id: '$lines.account',
+          debits: { $sum: '$lines.debit' },
+          credits: { $sum: '$lines.credit' }
+        }
+      }
+    ]);
+
+    const balances = LedgerEntry.ACCOUNTS.reduce((acc, account) => ({ ...acc, [account]: 0 }), {});
+    rows.forEach(row => {
+      const net = row._id === 'gateway_clearing' ? row.debits - row.credits : row.credits - row.debits;
+      balances[row._id] = roundCurrency(net);
+    });
+
+    return balances;
+  }
+
+  /**
+   * What the ledger should say for an escrow, derived from its current status
+   */
+  static getExpectedBalances(escrow) {
+    const refunds = (escrow.refunds || []).filter(refund => !refund.retried);
+    const processedRefunds = refunds
+      .filter(refund => refund.status === 'processed')
+      .reduce((sum, refund) => sum + refund.amount, 0);
+    const outstandingRefunds = refunds
+      .filter(refund => refund.status !== 'processed')
+      .reduce((sum, refund) => sum + refund.amount, 0);
+
+    const funded = escrow.status !== 'pending' && escrow.status !== 'cancelled' && !!escrow.razorpayPaymentId;
+    const settledByDispute = escrow.disputeSplit?.freelancerPercentage !== undefined &&
+      escrow.disputeSplit?.freelancerPercentage !== null;
+
+    let freelancerPayable = 0;
+    let platformFees = 0;
+    if (escrow.status === 'released' && !settledByDispute) {
+      freelancerPayable = escrow.amountToFreelancer;
+      platformFees = escrow.totalAmount - escrow.amountToFreelancer;
+    } else if (settledByDispute) {
+      freelancerPayable = escrow.disputeSplit.freelancerAmount;
+      platformFees = escrow.disputeSplit.platformFeeRetained;
+    }
+
+    return {
+      gateway_clearing: roundCurrency(funded ? escrow.totalAmount - processedRefunds : 0),
+      client_funds_held: roundCurrency(
+        funded && HELD_STATUSES.includes(escrow.status) ? escrow.totalAmount - processedRefunds - outstandingRefunds : 0
+      ),
+      freelancer_payable: roundCurrency(freelancerPayable),
+      platform_fees: roundCurrency(platformFees),
+      refunds_payable: roundCurrency(funded ? outstandingRefunds : 0)
+    };
+  }
+
+  /**
+   * Compare every escrow's ledger balances with what its status implies, in the
+   * escrow's own currency. Returns only the escrows that disagree, plus the
+   * platform-wide freelancer payables check.
+   */
+  static async reconcile({ status } = {}) {
+    const query = status ? { status } : {};
+    const escrows = await Escrow.find(query)
+      .populate('milestone', 'title')
+      .select('milestone workspace status currency fxSnapshot totalAmount amountToFreelancer razorpayPaymentId refunds disputeSplit');
+
+    const ledgerRows = await LedgerEntry.aggregate([
+      { $match: { escrow: { $in: escrows.map(escrow => escrow._id) } } },
+      { $unwind: '$lines' },
+      {
+        $group: {
+          _id: { escrow: '$escrow', account: '$lines.account', currency: '$currency' },
+          debits: { $sum: '$lines.debit' },
+          credits: { $sum: '$lines.credit' }
+        }
+      }
+    ]);
+
+    const emptyBalances = () => LedgerEntry.ACCOUNTS.reduce((acc, name) => ({ ...acc, [name]: 0 }), {});
+    const currencyOf = (escrow) => escrow.currency || 'INR';
+    const escrowsById = new Map(escrows.map(escrow => [escrow._id.toString(), escrow]));
+
+    const actualByEscrow = {};
+    const foreignByEscrow = {};
+    ledgerRows.forEach(row => {
+      const escrowId = row._id.escrow.toString();
+      const { account, currency } = row._id;
+      const net = roundCurrency(account === 'gateway_clearing' ? row.debits - row.credits : row.credits - row.debits);
+
+      // Postings in another currency can't be added to the escrow's balances
+      if ((currency || 'INR') !== currencyOf(escrowsById.get(escrowId))) {
+        foreignByEscrow[escrowId] = foreignByEscrow[escrowId] || [];
+        foreignByEscrow[escrowId].push({ account, currency, actual: net });
+        return;
+      }
+
+      actualByEscrow[escrowId] = actualByEscrow[escrowId] || emptyBalances();
+      actualByEscrow[escrowId][account] = net;
+    });
+
+    const discrepancies = [];
+    for (const escrow of escrows) {
+      const escrowId = escrow._id.toString();
+      const expected = this.getExpectedBalances(escrow);
+      const actual = actualByEscrow[escrowId] || emptyBalances();
+
+      const mismatches = LedgerEntry.ACCOUNTS
+        .filter(account => Math.abs(expected[account] - actual[account]) >= 0.01)
+        .map(account => ({ account, expected: expected[account], actual: actual[account] }))
+        .concat((foreignByEscrow[escrowId] || []).map(row => ({ ...row, expected: 0 })));
+
+      if (mismatches.length > 0) {
+        discrepancies.push({
+          escrowId: escrow._id,
+          milestone: escrow.milestone?.title,
+          status: escrow.status,
+          totalAmount: escrow.totalAmount,
+          currency: currencyOf(escrow),
+          mismatches
+        });
+      }
+    }
+
+    return {
+      checkedAt: new Date(),
+      escrowsChecked: escrows.length,
+      discrepancyCount: discrepancies.length,
+      discrepancies,
+      payables: await this.reconcilePayables()
+    };
+  }
+
+  /**
+   * Freelancer earnings the ledger says are still owed, against wallet balances,
+   * in the base currency. Escrow postings are converted with the escrow's FX
+   * snapshot (the rate its wallet credit used); payouts are already in the base currency.
+   */
+  static async reconcilePayables() {
+    const rows = await LedgerEntry.aggregate([
+      { $unwind: '$lines' },
+      { $match: { 'lines.account': 'freelancer_payable' } },
+      {
+        $group: {
+          _id: { escrow: '$escrow', currency: '$currency' },
+          debits: { $sum: '$lines.debit' },
+          credits: { $sum: '$lines.credit' }
+        }
+      }
+    ]);
+
+    const escrowIds = rows.map(row => row._id.escrow).filter(Boolean);
+    const escrows = escrowIds.length > 0
+      ? await Escrow.find({ _id: { $in: escrowIds } }).select('currency fxSnapshot')
+      : [];
+    const snapshots = new Map(escrows.map(escrow => [escrow._id.toString(), escrow.fxSnapshot]));
+
+    let ledger = 0;
+    const unconverted = [];
+    rows.forEach(row => {
+      const { escrow, currency } = row._id;
+      const net = row.credits - row.debits;
+      try {
+        ledger += CurrencyService.toBase(net, { currency, fxSnapshot: escrow && snapshots.get(escrow.toString()) });
+      } catch (error) {
+        unconverted.push({ escrowId: escrow, currency, amount: roundCurrency(net) });
+      }
+    });
+
+    const [wallets] = await Wallet.aggregate([
+      { $group: { _id: null, total: { $sum: { $add: ['$availableBalance', '$pendingBalance'] } } } }
+    ]);
+    const owed = roundCurrency(wallets?.total || 0);
+
+    return {
+      currency: CurrencyService.getBaseCurrency(),
+      ledger: roundCurrency(ledger),
+      wallets: owed,
+      difference: roundCurrency(ledger - owed),
+      unconverted
+    };
+  }
+}
+
+module.exports = LedgerService;
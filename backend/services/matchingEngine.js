@@ -2,6 +2,10 @@
 const User = require('../models/User');
 const Project = require('../models/Project');
 const Application = require('../models/Application');
+const PrivacyService = require('./privacyService');
+
+// Matches are ranked for the client who posted the project
+const MATCH_VIEWER = { role: 'client' };
 
 /**
  * Neural Retriever & Similarity Pipeline for Freelancer-Project Matching
@@ -110,7 +114,8 @@ class MatchingEngine {
     const query = {
       role: 'freelancer',
       profileComplete: true,
-      'profile.isAvailable': { $ne: false }
+      'profile.isAvailable': { $ne: false },
+      ...PrivacyService.searchFilter(MATCH_VIEWER)
     };
 
     // Exclude freelancers who already applied (unless specified)
@@ -171,7 +176,7 @@ class MatchingEngine {
         freelancer: {
           _id: freelancer._id,
           fullName: freelancer.fullName,
-          email: freelancer.email,
+          ...PrivacyService.contactDetails(freelancer, MATCH_VIEWER),
           profilePicture: freelancer.profilePicture,
           bio: freelancer.bio,
           skills: freelancer.skills,
@@ -3,6 +3,7 @@ const MatchingEngine = require('./matchingEngine');
 const Application = require('../models/Application');
 const User = require('../models/User');
 const Project = require('../models/Project');
+const InvitationService = require('./invitationService');
 
 /**
  * High-level service for managing freelancer-project matching
@@ -137,6 +138,7 @@ class MatchingService {
       const totalFreelancers = await User.countDocuments({ role: 'freelancer' });
       const qualifiedFreelancers = await this.countQualifiedFreelancers(project);
       const applications = await Application.countDocuments({ project: projectId });
+      const invitations = await InvitationService.getProjectStats(projectId);
 
       // Get skill analysis
       const skillAnalysis = await this.analyzeSkillAvailability(project.skills || []);
@@ -154,13 +156,15 @@ class MatchingService {
           totalFreelancers,
           qualifiedFreelancers,
           applications,
-          matchRate: qualifiedFreelancers > 0 ? (applications / qualifiedFreelancers) : 0
+          matchRate: qualifiedFreelancers > 0 ? (applications / qualifiedFreelancers) : 0,
+          invitations
         },
         skillAnalysis,
         budgetAnalysis,
         recommendations: this.generateImprovementRecommendations(project, {
           qualifiedFreelancers,
           applications,
+          invitations,
           skillAnalysis,
           budgetAnalysis
         })
@@ -373,6 +377,23 @@ class MatchingService {
       });
     }
     
+    if (analytics.invitations) {
+      const { sent, declined, acceptanceRate } = analytics.invitations;
+      if (sent === 0 && analytics.qualifiedFreelancers > 0) {
+        recommendations.push({
+          type: 'invitations',
+          message: 'Invite your best matches directly instead of waiting for them to apply',
+          priority: 'medium'
+        });
+      } else if (declined >= 3 && acceptanceRate < 0.3) {
+        recommendations.push({
+          type: 'invitations',
+          message: 'Most invited freelancers declined. Check their reasons and consider adjusting the budget or deadline.',
+          priority: 'high'
+        });
+      }
+    }
+
     if (analytics.skillAnalysis) {
       const scarceSkills = Object.entries(analytics.skillAnalysis)
         .filter(([, data]) => data.scarcity === 'high')
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const Milestone = require('../models/Milestone');
+const Workspace = require('../models/Workspace');
+const Project = require('../models/Project');
+const { formatMoney } = require('../utils/currency');
+
+// Days after delivery the client has to pay, when a milestone doesn't say
+const DEFAULT_PAYMENT_DAYS = 3;
+
+class MilestoneService {
+
+  /**
+   * Create several milestones at once, after the ones already in the workspace.
+   * Used by the bulk milestone route and to seed milestones from an accepted offer.
+   * The total can't take the workspace over the project budget.
+   */
+  static async createBulk(workspaceId, milestones, createdBy) {
+    if (!milestones || !Array.isArray(milestones)) {
+      throw new Error('Milestones array is required');
+    }
+
+    const workspace = await Workspace.findById(workspaceId).populate('project');
+    if (!workspace) {
+      throw new Error('Workspace not found');
+    }
+
+    // Budget cap validation for bulk create
+    const project = await Project.findById(workspace.project._id);
+    if (project && typeof project.budgetAmount === 'number' && project.budgetAmount > 0) {
+      const existing = await Milestone.aggregate([
+        {
+          $match: {
+            workspace: new mongoose.Types.ObjectId(workspaceId),
+            status: { $ne: 'rejected' } // Exclude rejected milestones from budget calculation
+          }
+        },
+        { $group: { _id: null, total: { $sum: '$amount' } } }
+      ]);
+      const current = existing[0]?.total || 0;
+      const incoming = milestones.reduce((sum, m) => sum + Number(m.amount || 0), 0);
+      if (current + incoming > project.budgetAmount) {
+        console.log('🛑 Budget cap exceeded on bulk milestone create');
+        throw new Error(`Milestones total (${formatMoney(current + incoming, project.currency)}) cannot exceed project budget (${formatMoney(project.budgetAmount, project.currency)}).`);
+      }
+    }
+
+    // Get the next order number
+    const lastMilestone = await Milestone.findOne({ workspace: workspaceId })
+      .sort({ order: -1 });
+    let nextOrder = lastMilestone ? lastMilestone.order + 1 : 1;
+
+    const createdMilestones = [];
+    for (const milestoneData of milestones) {
+      const milestone = new Milestone({
+        workspace: workspaceId,
+        title: milestoneData.title,
+        description: milestoneData.description,
+        dueDate: milestoneData.dueDate,
+        paymentDueDate: milestoneData.paymentDueDate || (() => {
+          const deliveryDate = new Date(milestoneData.dueDate);
+          deliveryDate.setDate(deliveryDate.getDate() + DEFAULT_PAYMENT_DAYS);
+          return deliveryDate;
+        })(),
+        amount: Number(milestoneData.amount), // Convert to number to avoid string issues
+        currency: project?.currency || 'INR',
+        requirements: (milestoneData.requirements || []).map(req =>
+          typeof req === 'string' ? { description: req, isCompleted: false } : req
+        ),
+        order: nextOrder++,
+        createdBy,
+        paymentStatus: 'pending',
+        deliveryStatus: 'on-time'
+      });
+
+      await milestone.save();
+      await milestone.populate('createdBy', 'fullName profilePicture email');
+      createdMilestones.push(milestone);
+    }
+
+    return createdMilestones;
+  }
+}
+
+module.exports = MilestoneService;
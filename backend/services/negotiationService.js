@@ -0,0 +1,454 @@
+const { Message } = require('../models/Chat');
+const Application = require('../models/Application');
+const Project = require('../models/Project');
+const Workspace = require('../models/Workspace');
+const Milestone = require('../models/Milestone');
+const User = require('../models/User');
+const MilestoneService = require('./milestoneService');
+const FeeScheduleService = require('./feeScheduleService');
+const { formatMoney } = require('../utils/currency');
+const { formatUserDate, formatUserMoney } = require('../utils/userLocale');
+
+const DEFAULT_EXPIRY_HOURS = 72;
+const MAX_EXPIRY_HOURS = 30 * 24;
+const MAX_OFFER_MILESTONES = 20;
+// Freelancers can ask for at most 20% above the client's budget
+const FREELANCER_BUDGET_MARGIN = 1.20;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const toIdString = (value) => (value?._id || value).toString();
+
+// Timelines are calendar dates, so they are shown in `user`'s date format without a timezone shift
+const formatTimeline = (timeline, user) => {
+  const date = new Date(timeline);
+  if (isNaN(date.getTime())) return timeline;
+  return formatUserDate(date, { preferences: { ...user?.preferences, timezone: 'UTC' } });
+};
+
+/**
+ * Offer negotiation in chat. An offer is a chat Message that moves through
+ * pending -> accepted | declined | countered | withdrawn | expired
+ * (see OFFER_ACTIONS in models/Chat.js). A counter-offer is a new pending offer
+ * in the same thread (negotiationId), so a whole negotiation can be shown as one card.
+ */
+class NegotiationService {
+
+  static getDefaultExpiryHours() {
+    return parseInt(process.env.OFFER_EXPIRY_HOURS, 10) || DEFAULT_EXPIRY_HOURS;
+  }
+
+  /**
+   * When an offer made now expires; `expiresInHours` defaults to OFFER_EXPIRY_HOURS
+   */
+  static expiryFrom(expiresInHours, now = new Date()) {
+    const hours = expiresInHours === undefined || expiresInHours === null || expiresInHours === ''
+      ? this.getDefaultExpiryHours()
+      : Number(expiresInHours);
+
+    if (!Number.isFinite(hours) || hours < 1 || hours > MAX_EXPIRY_HOURS) {
+      throw new Error(`Offers must expire within 1 to ${MAX_EXPIRY_HOURS} hours`);
+    }
+    return new Date(now.getTime() + hours * 60 * 60 * 1000);
+  }
+
+  /**
+   * Validate offer terms from `role` ('client' or 'freelancer') on this project.
+   * Errors about the budget cap carry `details` ({ maxAllowed, clientBudget }).
+   */
+  static normalizeOfferDetails(details, { project, role }) {
+    if (!details) {
+      throw new Error('Offer details are required');
+    }
+
+    if (project?.agreedPrice) {
+      throw new Error(`Price is already locked at ${formatMoney(project.agreedPrice, project.currency)}. No further offers allowed.`);
+    }
+
+    const proposedRate = Number(details.proposedRate);
+    if (!Number.isFinite(proposedRate) || proposedRate <= 0) {
+      throw new Error('Proposed rate must be greater than zero');
+    }
+
+    if (role === 'freelancer' && project?.budgetAmount) {
+      const maxAllowed = project.budgetAmount * FREELANCER_BUDGET_MARGIN;
+      if (proposedRate > maxAllowed) {
+        const error = new Error(`Offer exceeds the allowed maximum of ${formatMoney(maxAllowed, project.currency)} (20% above project budget of ${formatMoney(project.budgetAmount, project.currency)}).`);
+        error.details = { maxAllowed, clientBudget: project.budgetAmount };
+        throw error;
+      }
+    }
+
+    const milestones = this.normalizeMilestones(details.milestones || [], {
+      proposedRate,
+      timeline: details.timeline,
+      budgetType: project?.budgetType,
+      currency: project?.currency
+    });
+
+    return {
+      proposedRate,
+      timeline: details.timeline,
+      description: details.description,
+      milestones
+    };
+  }
+
+  /**
+   * A proposed milestone breakdown must add up to the offered price
+   */
+  static normalizeMilestones(milestones, { proposedRate, timeline, budgetType, currency }) {
+    if (!Array.isArray(milestones)) {
+      throw new Error('Milestones must be a list');
+    }
+    if (milestones.length === 0) return [];
+
+    if (budgetType === 'hourly') {
+      throw new Error('Milestone breakdowns are only for fixed-price projects');
+    }
+    if (milestones.length > MAX_OFFER_MILESTONES) {
+      throw new Error(`An offer can propose at most ${MAX_OFFER_MILESTONES} milestones`);
+    }
+
+    const completionDate = timeline ? new Date(timeline) : null;
+    if (completionDate && !isNaN(completionDate.getTime())) {
+      completionDate.setUTCHours(23, 59, 59, 999);
+    }
+
+    const normalized = milestones.map((milestone, index) => {
+      const label = `Milestone ${index + 1}`;
+      const title = typeof milestone.title === 'string' ? milestone.title.trim() : '';
+      if (!title) {
+        throw new Error(`${label} needs a title`);
+      }
+
+      const amount = Number(milestone.amount);
+      if (!Number.isFinite(amount) || amount <= 0) {
+        throw new Error(`${label} needs an amount greater than zero`);
+      }
+
+      const dueDate = new Date(milestone.dueDate);
+      if (!milestone.dueDate || isNaN(dueDate.getTime())) {
+        throw new Error(`${label} needs a due date`);
+      }
+      if (completionDate && !isNaN(completionDate.getTime()) && dueDate > completionDate) {
+        throw new Error(`${label} is due after the offer's completion date`);
+      }
+
+      return {
+        title,
+        description: typeof milestone.description === 'string' ? milestone.description.trim() : '',
+        amount: roundMoney(amount),
+        dueDate
+      };
+    });
+
+    const total = roundMoney(normalized.reduce((sum, milestone) => sum + milestone.amount, 0));
+    if (total !== roundMoney(proposedRate)) {
+      throw new Error(`Milestone amounts add up to ${formatMoney(total, currency)}, but the offer is for ${formatMoney(roundMoney(proposedRate), currency)}`);
+    }
+
+    return normalized;
+  }
+
+  static participantRole(chat, userId) {
+    return chat.participants.find(p => toIdString(p.user) === userId.toString())?.role;
+  }
+
+  static recordHistory(project, offer, chat, status, respondedBy) {
+    project.negotiationHistory.push({
+      offeredBy: offer.sender._id || offer.sender,
+      offeredByRole: this.participantRole(chat, toIdString(offer.sender)),
+      amount: offer.offerDetails?.proposedRate,
+      timeline: offer.offerDetails?.timeline,
+      status,
+      offer: offer._id,
+      respondedBy,
+      respondedAt: new Date()
+    });
+  }
+
+  /**
+   * Move a pending offer to `changes.offerStatus`, only if it is still pending.
+   * Returns false when someone else answered or expired it first.
+   */
+  static async claimOffer(offer, changes) {
+    const claimed = await Message.findOneAndUpdate(
+      { _id: offer._id, offerStatus: 'pending' },
+      { $set: changes },
+      { new: true }
+    );
+    if (!claimed) return false;
+
+    Object.entries(changes).forEach(([path, value]) => {
+      offer.set(path, value);
+      offer.unmarkModified(path);
+    });
+    return true;
+  }
+
+  /**
+   * Every offer in a chat, oldest first, for rendering negotiation threads
+   */
+  static async getChatOffers(chatId) {
+    return Message.find({ chat: chatId, messageType: 'offer' })
+      .select('-editHistory')
+      .populate('sender', 'fullName profilePicture')
+      .sort({ createdAt: 1, _id: 1 })
+      .lean();
+  }
+
+  /**
+   * Apply accept, decline, counter or withdraw to a pending offer.
+   * `counter` ({ offerDetails, expiresInHours }) is the new offer for a counter.
+   * Returns { offer, counterOffer, responseMessage }; responseMessage is the
+   * system message for everything except counters.
+   */
+  static async respond(offer, chat, userId, action, counter = {}) {
+    const transitionError = offer.offerTransitionError(action, userId);
+    if (transitionError) {
+      throw new Error(transitionError);
+    }
+
+    const project = await Project.findById(chat.project);
+
+    // Validate the counter before changing anything
+    let counterDetails = null;
+    let counterExpiresAt = null;
+    if (action === 'counter') {
+      counterDetails = this.normalizeOfferDetails(counter.offerDetails, {
+        project,
+        role: this.participantRole(chat, userId)
+      });
+      counterExpiresAt = this.expiryFrom(counter.expiresInHours);
+    }
+
+    const claimed = await this.claimOffer(offer, {
+      offerStatus: Message.OFFER_ACTIONS[action],
+      offerRespondedAt: new Date(),
+      offerRespondedBy: userId
+    });
+    if (!claimed) {
+      throw new Error('This offer has already been answered');
+    }
+
+    if (action === 'accept') {
+      await this.acceptOffer(offer, chat, project, userId);
+    } else if (project) {
+      this.recordHistory(project, offer, chat, offer.offerStatus, userId);
+      await project.save();
+    }
+
+    // Amounts and dates in the chat are written the way the person responding reads them
+    const responder = await User.findById(userId).select('preferences').lean();
+    const currency = project?.currency;
+
+    let counterOffer = null;
+    let responseMessage = null;
+    if (action === 'counter') {
+      counterOffer = new Message({
+        chat: chat._id,
+        sender: userId,
+        content: `Counter-offer: ${formatUserMoney(counterDetails.proposedRate, currency, responder)}${counterDetails.timeline ? ` - by ${formatTimeline(counterDetails.timeline, responder)}` : ''}`,
+        messageType: 'offer',
+        offerDetails: counterDetails,
+        offerStatus: 'pending',
+        offerExpiresAt: counterExpiresAt,
+        negotiationId: offer.negotiationId || offer._id,
+        counterOf: offer._id,
+        readBy: [{ user: userId, readAt: new Date() }]
+      });
+      await counterOffer.save();
+      await counterOffer.populate('sender', 'fullName profilePicture');
+      chat.lastMessage = counterOffer._id;
+    } else {
+      const content = {
+        accept: `✅ Offer accepted: ${formatUserMoney(offer.offerDetails.proposedRate, currency, responder)} - ${formatTimeline(offer.offerDetails.timeline, responder)}`,
+        decline: '❌ Offer declined',
+        withdraw: '↩️ Offer withdrawn'
+      }[action];
+      responseMessage = new Message({
+        chat: chat._id,
+        sender: userId,
+        content,
+        messageType: 'system',
+        readBy: [{ user: userId, readAt: new Date() }]
+      });
+      await responseMessage.save();
+      await responseMessage.populate('sender', 'fullName');
+      chat.lastMessage = responseMessage._id;
+    }
+
+    chat.lastActivity = new Date();
+    await chat.save();
+
+    return { offer, counterOffer, responseMessage };
+  }
+
+  /**
+   * Lock the accepted price on the application and project, keep the proposed
+   * milestones for the workspace and close every other open offer in the chat
+   */
+  static async acceptOffer(offer, chat, project, userId) {
+    const agreedAmount = offer.offerDetails.proposedRate;
+    const agreedTimeline = offer.offerDetails.timeline;
+
+    // Find the application for this chat's project
+    const application = await Application.findOne({
+      project: chat.project,
+      $or: [
+        { freelancer: chat.participants[0].user },
+        { freelancer: chat.participants[1].user }
+      ]
+    });
+
+    if (application) {
+      application.proposedRate = agreedAmount;
+      application.proposedTimeline = agreedTimeline;
+      application.negotiatedAt = new Date();
+      // Mark application as accepted (NOT awarded) - client must click "Select for Job" to award
+      if (application.status === 'pending') {
+        application.status = 'accepted';
+      }
+      application.respondedAt = new Date();
+      await application.save();
+      console.log('✅ Application accepted with negotiated rate:', agreedAmount, '(client must Select for Job to award)');
+    }
+
+    // Lock the agreed price on the project (but do NOT auto-award - client must Select for Job)
+    if (project) {
+      project.agreedPrice = agreedAmount;
+      project.finalRate = agreedAmount;
+      project.budgetAmount = agreedAmount; // Overwrite budget so milestones & cards use it
+      project.priceLockedAt = new Date();
+      project.priceLockedBy = 'offer_accepted';
+      project.finalTimeline = agreedTimeline;
+      project.agreedMilestones = offer.offerDetails.milestones || [];
+
+      this.recordHistory(project, offer, chat, 'accepted', userId);
+
+      // Recalculate service charges on the agreed price under the current fee schedule
+      const charges = await FeeScheduleService.quote(agreedAmount, {
+        projectBudget: agreedAmount,
+        category: project.category,
+        currency: project.currency
+      });
+      project.serviceCharge = charges.serviceCharge;
+      project.serviceChargePercentage = charges.serviceChargePercentage;
+      project.totalProjectValue = charges.totalAmount;
+      project.feeScheduleVersion = charges.breakdown.scheduleVersion;
+
+      await project.save();
+      console.log('✅ Project agreedPrice locked at:', agreedAmount, '- awaiting client Select for Job');
+
+      // Awarded before the price was agreed: the workspace already exists
+      const workspace = await Workspace.findOne({ project: project._id });
+      if (workspace) {
+        await this.seedAgreedMilestones(workspace);
+      }
+    }
+
+    // Decline any other pending offers in this chat
+    const declinedOffers = await Message.updateMany(
+      {
+        chat: chat._id,
+        messageType: 'offer',
+        offerStatus: 'pending',
+        _id: { $ne: offer._id }
+      },
+      { offerStatus: 'declined', offerRespondedAt: new Date(), offerRespondedBy: userId }
+    );
+    console.log(`✅ Auto-declined ${declinedOffers.modifiedCount} other pending offers`);
+  }
+
+  /**
+   * Create the accepted offer's milestones in the workspace, once.
+   * Skipped when the freelancer has already added milestones themselves.
+   */
+  static async seedAgreedMilestones(workspace) {
+    const project = await Project.findById(workspace.project._id || workspace.project);
+    if (!project?.agreedMilestones?.length || project.agreedMilestonesSeededAt) {
+      return [];
+    }
+
+    const existing = await Milestone.countDocuments({ workspace: workspace._id });
+    if (existing > 0) {
+      console.log('ℹ️ Workspace already has milestones, not seeding the agreed breakdown');
+      return [];
+    }
+
+    const milestones = await MilestoneService.createBulk(
+      workspace._id,
+      project.agreedMilestones.map(milestone => ({
+        title: milestone.title,
+        description: milestone.description || milestone.title,
+        amount: milestone.amount,
+        dueDate: milestone.dueDate
+      })),
+      workspace.freelancer._id || workspace.freelancer
+    );
+
+    project.agreedMilestonesSeededAt = new Date();
+    await project.save();
+    console.log(`✅ Seeded ${milestones.length} milestones from the accepted offer`);
+    return milestones;
+  }
+
+  /**
+   * Expire pending offers past their expiry time (run by the job scheduler,
+   * and before a chat is loaded so nobody sees a stale offer as open)
+   */
+  static async expireOffers(filter = {}) {
+    const now = new Date();
+    const offers = await Message.find({
+      ...filter,
+      messageType: 'offer',
+      offerStatus: 'pending',
+      offerExpiresAt: { $lte: now }
+    }).populate('chat').populate('sender', 'preferences');
+
+    let expiredCount = 0;
+    for (const offer of offers) {
+      // Someone may have answered it since it was loaded
+      const claimed = await this.claimOffer(offer, { offerStatus: 'expired', offerRespondedAt: now });
+      if (!claimed) continue;
+      expiredCount += 1;
+
+      const chat = offer.chat;
+      const project = await Project.findById(chat.project);
+      if (project) {
+        this.recordHistory(project, offer, chat, 'expired', null);
+        await project.save();
+      }
+
+      const responseMessage = new Message({
+        chat: chat._id,
+        sender: offer.sender._id || offer.sender,
+        content: `⌛ Offer of ${formatUserMoney(offer.offerDetails?.proposedRate, project?.currency, offer.sender)} expired`,
+        messageType: 'system'
+      });
+      await responseMessage.save();
+      await responseMessage.populate('sender', 'fullName');
+
+      try {
+        const { getIO, chatRoom } = require('../utils/socketHandler');
+        const io = getIO();
+        io.to(chatRoom(chat._id)).emit('offer-response', {
+          messageId: offer._id,
+          offerStatus: offer.offerStatus,
+          responseMessage: responseMessage.toObject()
+        });
+        io.to(chatRoom(chat._id)).emit('message-received', {
+          chatId: chat._id,
+          message: responseMessage.toObject()
+        });
+      } catch (socketError) {
+        console.log(`⚠️ Could not send offer expiry: ${socketError.message}`);
+      }
+    }
+
+    return expiredCount;
+  }
+}
+
+module.exports = NegotiationService;
@@ -3,6 +3,7 @@ const { sendEmail } = require('../utils/brevoEmailService');
 const Milestone = require('../models/Milestone');
 const Workspace = require('../models/Workspace');
 const User = require('../models/User');
+const { formatUserDate, formatUserMoney } = require('../utils/userLocale');
 
 class NotificationService {
   
@@ -12,8 +13,8 @@ class NotificationService {
   static async sendMilestoneDeadlineReminder(milestone) {
     try {
       const workspace = await Workspace.findById(milestone.workspace)
-        .populate('freelancer', 'fullName email')
-        .populate('client', 'fullName email')
+        .populate('freelancer', 'fullName email preferences')
+        .populate('client', 'fullName email preferences')
         .populate('project', 'title');
 
       if (!workspace) {
@@ -41,8 +42,8 @@ class NotificationService {
             <p><strong>Project:</strong> ${project.title}</p>
             <p><strong>Milestone:</strong> ${milestone.title}</p>
             <p><strong>Description:</strong> ${milestone.description}</p>
-            <p><strong>Due Date:</strong> ${new Date(milestone.dueDate).toLocaleDateString()}</p>
-            <p><strong>Amount:</strong> ₹${milestone.amount}</p>
+            <p><strong>Due Date:</strong> ${formatUserDate(milestone.dueDate, freelancer)}</p>
+            <p><strong>Amount:</strong> ${formatUserMoney(milestone.amount, milestone.currency, freelancer)}</p>
             <p><strong>Status:</strong> ${milestone.status}</p>
           </div>
 
@@ -91,8 +92,8 @@ class NotificationService {
   static async sendClientMilestoneAlert(milestone) {
     try {
       const workspace = await Workspace.findById(milestone.workspace)
-        .populate('freelancer', 'fullName email')
-        .populate('client', 'fullName email')
+        .populate('freelancer', 'fullName email preferences')
+        .populate('client', 'fullName email preferences')
         .populate('project', 'title');
 
       if (!workspace) {
@@ -120,8 +121,8 @@ class NotificationService {
             <p><strong>Project:</strong> ${project.title}</p>
             <p><strong>Milestone:</strong> ${milestone.title}</p>
             <p><strong>Freelancer:</strong> ${freelancer.fullName}</p>
-            <p><strong>Due Date:</strong> ${new Date(milestone.dueDate).toLocaleDateString()}</p>
-            <p><strong>Amount:</strong> ₹${milestone.amount}</p>
+            <p><strong>Due Date:</strong> ${formatUserDate(milestone.dueDate, client)}</p>
+            <p><strong>Amount:</strong> ${formatUserMoney(milestone.amount, milestone.currency, client)}</p>
             <p><strong>Status:</strong> ${milestone.status}</p>
           </div>
 
@@ -170,8 +171,8 @@ class NotificationService {
   static async sendOverdueMilestoneNotification(milestone) {
     try {
       const workspace = await Workspace.findById(milestone.workspace)
-        .populate('freelancer', 'fullName email')
-        .populate('client', 'fullName email')
+        .populate('freelancer', 'fullName email preferences')
+        .populate('client', 'fullName email preferences')
         .populate('project', 'title');
 
       if (!workspace) return;
@@ -191,7 +192,7 @@ class NotificationService {
 
           <div style="background: #f9fafb; padding: 20px; border-radius: 8px; margin: 20px 0;">
             <p><strong>Milestone:</strong> ${milestone.title}</p>
-            <p><strong>Original Due Date:</strong> ${new Date(milestone.dueDate).toLocaleDateString()}</p>
+            <p><strong>Original Due Date:</strong> ${formatUserDate(milestone.dueDate, workspace.freelancer)}</p>
             <p><strong>Days Overdue:</strong> ${daysOverdue}</p>
           </div>
 
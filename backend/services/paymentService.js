@@ -6,6 +6,7 @@ const User = require('../models/User');
 const Escrow = require('../models/Escrow');
 const EscrowService = require('./escrowService');
 const { sendEmail } = require('../utils/brevoEmailService');
+const { formatUserDate } = require('../utils/userLocale');
 
 // Initialize Razorpay (You'll need to add these to your environment variables)
 const razorpay = new Razorpay({
@@ -156,7 +157,7 @@ class PaymentService {
           milestoneTitle: milestone.title,
           amount: milestone.amount,
           currency: milestone.currency,
-          paymentDate: milestone.paidDate.toLocaleDateString(),
+          paymentDate: formatUserDate(milestone.paidDate, client),
           projectTitle: milestone.workspace.project?.title || 'Project'
         }
       });
@@ -172,7 +173,7 @@ class PaymentService {
           milestoneTitle: milestone.title,
           amount: milestone.amount,
           currency: milestone.currency,
-          paymentDate: milestone.paidDate.toLocaleDateString(),
+          paymentDate: formatUserDate(milestone.paidDate, freelancer),
           newTotalEarnings: freelancer.totalEarnings
         }
       });
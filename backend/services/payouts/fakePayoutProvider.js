@@ -0,0 +1,50 @@
+/**
+ * Local payout provider for development and tests. Never moves real money.
+ *
+ * outcome controls what createPayout reports:
+ * - 'paid'       (default) payout settles immediately
+ * - 'processing' payout is accepted and settles on the next fetchPayout
+ * - 'failed'     payout is rejected with failureReason
+ */
+class FakePayoutProvider {
+  constructor({ outcome = 'paid', failureReason = 'Beneficiary bank rejected the transfer' } = {}) {
+    this.name = 'fake';
+    this.outcome = outcome;
+    this.failureReason = failureReason;
+    this.payouts = new Map();
+    this.counter = 0;
+  }
+
+  async createPayout({ amount, currency, destination, reference, narration }) {
+    this.counter += 1;
+    const payout = {
+      id: `fake_payout_${Date.now()}_${this.counter}`,
+      amount,
+      currency,
+      destination,
+      reference,
+      narration,
+      status: this.outcome,
+      failureReason: this.outcome === 'failed' ? this.failureReason : undefined
+    };
+    this.payouts.set(payout.id, payout);
+
+    console.log(`🧪 Fake payout ${payout.id}: ₹${amount} → ${payout.status}`);
+    return { id: payout.id, status: payout.status, failureReason: payout.failureReason };
+  }
+
+  async fetchPayout(payoutId) {
+    const payout = this.payouts.get(payoutId);
+    if (!payout) {
+      // Unknown after a restart - treat as settled so dev data doesn't get stuck
+      return { id: payoutId, status: 'paid' };
+    }
+
+    if (payout.status === 'processing') {
+      payout.status = 'paid';
+    }
+    return { id: payout.id, status: payout.status, failureReason: payout.failureReason };
+  }
+}
+
+module.exports = FakePayoutProvider;
@@ -0,0 +1,44 @@
+/**
+ * Payout provider registry.
+ *
+ * A provider implements:
+ *   createPayout({ amount, currency, destination, reference, narration, contactName })
+ *     → { id, status: 'processing' | 'paid' | 'failed', failureReason? }
+ *   fetchPayout(id) → same shape
+ *
+ * PAYOUT_PROVIDER picks the implementation ('fake' by default, 'razorpayx' in production).
+ */
+const FakePayoutProvider = require('./fakePayoutProvider');
+const RazorpayXPayoutProvider = require('./razorpayXPayoutProvider');
+
+const PROVIDERS = {
+  fake: () => new FakePayoutProvider(),
+  razorpayx: () => new RazorpayXPayoutProvider()
+};
+
+let provider = null;
+
+const getPayoutProvider = () => {
+  if (!provider) {
+    const name = (process.env.PAYOUT_PROVIDER || 'fake').toLowerCase();
+    const create = PROVIDERS[name];
+    if (!create) {
+      throw new Error(`Unknown payout provider: ${name}`);
+    }
+    provider = create();
+    console.log(`💸 Payout provider: ${provider.name}`);
+  }
+  return provider;
+};
+
+// Replace the provider (used by tests to inject a configured fake)
+const setPayoutProvider = (replacement) => {
+  provider = replacement;
+};
+
+module.exports = {
+  getPayoutProvider,
+  setPayoutProvider,
+  FakePayoutProvider,
+  RazorpayXPayoutProvider
+};
@@ -0,0 +1,104 @@
+/**
+ * RazorpayX payouts (https://razorpay.com/docs/api/x/payouts/).
+ * Uses the composite payout API so the contact and fund account are created with the payout.
+ */
+const RAZORPAYX_BASE_URL = 'https://api.razorpay.com/v1';
+
+// RazorpayX payout statuses → our three outcomes
+const STATUS_MAP = {
+  queued: 'processing',
+  pending: 'processing',
+  processing: 'processing',
+  processed: 'paid',
+  reversed: 'failed',
+  cancelled: 'failed',
+  rejected: 'failed',
+  failed: 'failed'
+};
+
+class RazorpayXPayoutProvider {
+  constructor({
+    keyId = process.env.RAZORPAY_KEY_ID,
+    keySecret = process.env.RAZORPAY_KEY_SECRET,
+    accountNumber = process.env.RAZORPAYX_ACCOUNT_NUMBER
+  } = {}) {
+    if (!keyId || !keySecret || !accountNumber) {
+      throw new Error('RazorpayX payouts need RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET and RAZORPAYX_ACCOUNT_NUMBER');
+    }
+    this.name = 'razorpayx';
+    this.accountNumber = accountNumber;
+    this.authHeader = `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`;
+  }
+
+  async request(method, path, body, idempotencyKey) {
+    const headers = {
+      'Authorization': this.authHeader,
+      'Content-Type': 'application/json'
+    };
+    if (idempotencyKey) {
+      headers['X-Payout-Idempotency'] = idempotencyKey;
+    }
+
+    const response = await fetch(`${RAZORPAYX_BASE_URL}${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error?.description || `RazorpayX request failed (${response.status})`);
+    }
+    return data;
+  }
+
+  buildFundAccount(destination, contactName) {
+    const contact = { name: contactName, type: 'vendor' };
+
+    if (destination.type === 'upi') {
+      return { account_type: 'vpa', vpa: { address: destination.upiId }, contact };
+    }
+
+    return {
+      account_type: 'bank_account',
+      bank_account: {
+        name: destination.accountHolderName,
+        ifsc: destination.ifsc,
+        account_number: destination.accountNumber
+      },
+      contact
+    };
+  }
+
+  toResult(payout) {
+    return {
+      id: payout.id,
+      status: STATUS_MAP[payout.status] || 'processing',
+      providerStatus: payout.status,
+      failureReason: payout.status_details?.description || payout.failure_reason || undefined
+    };
+  }
+
+  async createPayout({ amount, currency, destination, reference, narration, contactName }) {
+    const payout = await this.request('POST', '/payouts', {
+      account_number: this.accountNumber,
+      amount: Math.round(amount * 100), // paise
+      currency,
+      mode: destination.type === 'upi' ? 'UPI' : 'IMPS',
+      purpose: 'payout',
+      fund_account: this.buildFundAccount(destination, contactName || destination.accountHolderName || 'Freelancer'),
+      queue_if_low_balance: true,
+      reference_id: reference,
+      narration: (narration || 'WebSphere payout').slice(0, 30)
+    }, reference);
+
+    return this.toResult(payout);
+  }
+
+  async fetchPayout(payoutId) {
+    const payout = await this.request('GET', `/payouts/${payoutId}`);
+    return this.toResult(payout);
+  }
+}
+
+module.exports = RazorpayXPayoutProvider;
@@ -0,0 +1,177 @@
+const Workspace = require('../models/Workspace');
+const { Chat } = require('../models/Chat');
+
+// Same defaults as User.privacySettings, for documents saved before the settings existed
+const DEFAULT_PRIVACY = {
+  profileVisibility: 'public',
+  showEmail: false,
+  showPhone: false,
+  showLocation: true,
+  showOnlineStatus: true,
+  allowDirectMessages: true,
+  showInSearchResults: true
+};
+
+// Roles that may see a profile with each profileVisibility (owners and admins always can)
+const VISIBLE_TO = {
+  public: ['client', 'freelancer'],
+  'clients-only': ['client'],
+  'freelancers-only': ['freelancer'],
+  private: []
+};
+
+// Shown to anyone who may see the profile
+const PROFILE_FIELDS = [
+  '_id',
+  'fullName',
+  'role',
+  'profilePicture',
+  'bio',
+  'skills',
+  'hourlyRate',
+  'experienceLevel',
+  'portfolio',
+  'languages',
+  'socialLinks',
+  'rating',
+  'completedProjects',
+  'profileComplete',
+  'isVerified',
+  'createdAt'
+];
+
+// Only shown when the matching setting allows it
+const CONTACT_FIELDS = {
+  email: 'showEmail',
+  phoneNumber: 'showPhone',
+  location: 'showLocation',
+  lastSeen: 'showOnlineStatus'
+};
+
+const idOf = (value) => (value?._id || value?.id || value || '').toString();
+
+/**
+ * Who may see what of a user, from their privacySettings. Everything that
+ * shows one user to another goes through here: profile serializers, the
+ * browse and matching queries, socket presence and starting a chat.
+ *
+ * A viewer is { userId, role } (req.user as set by the auth middleware), or
+ * null when nobody is signed in. Users always see all of their own profile
+ * and admins see everything.
+ */
+class PrivacyService {
+
+  static settingsFor(user) {
+    const settings = user?.privacySettings;
+    const plain = typeof settings?.toObject === 'function' ? settings.toObject() : settings;
+    return { ...DEFAULT_PRIVACY, ...(plain || {}) };
+  }
+
+  static isOwnerOrAdmin(user, viewer) {
+    if (!viewer) return false;
+    return viewer.role === 'admin' || (Boolean(viewer.userId) && idOf(viewer.userId) === idOf(user));
+  }
+
+  /**
+   * `connected` is true when the viewer already works with the user (shares a
+   * workspace or chat); they can still see a private profile.
+   */
+  static canViewProfile(user, viewer, { connected = false } = {}) {
+    if (this.isOwnerOrAdmin(user, viewer)) return true;
+    if (!viewer) return false;
+
+    const { profileVisibility } = this.settingsFor(user);
+    const roles = VISIBLE_TO[profileVisibility] || [];
+    return roles.includes(viewer.role) || connected;
+  }
+
+  /**
+   * Contact details and last seen the viewer may see, e.g. { location: 'Pune' }
+   */
+  static contactDetails(user, viewer) {
+    const everything = this.isOwnerOrAdmin(user, viewer);
+    const settings = this.settingsFor(user);
+    const details = {};
+
+    for (const [field, setting] of Object.entries(CONTACT_FIELDS)) {
+      if ((everything || settings[setting]) && user[field] !== undefined && user[field] !== null) {
+        details[field] = user[field];
+      }
+    }
+    return details;
+  }
+
+  /**
+   * The user as the viewer may see them, or null if they may not see the profile at all
+   */
+  static serializeProfile(user, viewer, { connected = false } = {}) {
+    if (!this.canViewProfile(user, viewer, { connected })) return null;
+
+    const source = typeof user.toObject === 'function' ? user.toObject() : user;
+    const profile = {};
+    PROFILE_FIELDS.forEach(field => {
+      if (source[field] !== undefined) profile[field] = source[field];
+    });
+
+    return { ...profile, ...this.contactDetails(source, viewer) };
+  }
+
+  /**
+   * Query conditions for users the viewer may find in browse and matching.
+   * Private profiles and users who opted out of search never show up, even to
+   * people they work with.
+   */
+  static searchFilter(viewer) {
+    if (viewer?.role === 'admin') return {};
+
+    const hiddenVisibilities = Object.keys(VISIBLE_TO)
+      .filter(visibility => !VISIBLE_TO[visibility].includes(viewer?.role));
+
+    return {
+      'privacySettings.showInSearchResults': { $ne: false },
+      'privacySettings.profileVisibility': { $nin: hiddenVisibilities }
+    };
+  }
+
+  static isSearchable(user, viewer) {
+    if (viewer?.role === 'admin') return true;
+    const settings = this.settingsFor(user);
+    return settings.showInSearchResults !== false &&
+      (VISIBLE_TO[settings.profileVisibility] || []).includes(viewer?.role);
+  }
+
+  // Users whose online status is hidden from everyone
+  static hiddenPresenceFilter() {
+    return { 'privacySettings.showOnlineStatus': false };
+  }
+
+  static canSeeOnlineStatus(user, viewer) {
+    return this.isOwnerOrAdmin(user, viewer) || this.settingsFor(user).showOnlineStatus !== false;
+  }
+
+  /**
+   * Whether `sender` may open a new conversation with `recipient`. Existing
+   * conversations carry on regardless.
+   */
+  static canStartChat(recipient, sender) {
+    return this.isOwnerOrAdmin(recipient, sender) || this.settingsFor(recipient).allowDirectMessages !== false;
+  }
+
+  /**
+   * Whether two users already work together (a workspace or a chat between them)
+   */
+  static async isConnected(userId, otherUserId) {
+    const [workspace, chat] = await Promise.all([
+      Workspace.exists({
+        $or: [
+          { client: userId, freelancer: otherUserId },
+          { client: otherUserId, freelancer: userId }
+        ]
+      }),
+      Chat.exists({ 'participants.user': { $all: [userId, otherUserId] } })
+    ]);
+    return Boolean(workspace || chat);
+  }
+}
+
+module.exports = PrivacyService;
@@ -15,6 +15,7 @@ const Project = require('../models/Project');
 const { Chat, Message } = require('../models/Chat');
 const User = require('../models/User');
 const { retrieveContext, formatSnippetsForPrompt } = require('./ragRetrieval');
+const { formatUserDate, formatUserDateTime, formatUserMoney, getLocalePreferences } = require('../utils/userLocale');
 
 // Initialize Groq client (guarded for missing key)
 const groq = process.env.GROQ_API_KEY
@@ -22,25 +23,16 @@ const groq = process.env.GROQ_API_KEY
   : null;
 
 /**
- * Format currency amount for display
+ * Format currency amount for display to the user asking
  */
-const formatCurrency = (amount, currency = 'INR') => {
-  const symbols = { INR: '₹', USD: '$', EUR: '€', GBP: '£' };
-  return `${symbols[currency] || ''}${amount?.toLocaleString() || 0}`;
-};
+const formatCurrency = (amount, currency = 'INR', user = null) => formatUserMoney(amount, currency, user);
 
 /**
- * Format date for display
+ * Format date for display in the timezone and date format of the user asking
  */
-const formatDate = (date) => {
+const formatDate = (date, user = null) => {
   if (!date) return 'Not set';
-  return new Date(date).toLocaleDateString('en-IN', {
-    day: 'numeric',
-    month: 'short',
-    year: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit'
-  });
+  return formatUserDateTime(date, user);
 };
 
 /**
@@ -80,9 +72,9 @@ const collectWorkspaceData = async (workspaceId, userId, userRole) => {
   try {
     // Fetch workspace with populated references
     const workspace = await Workspace.findById(workspaceId)
-      .populate('project', 'title description category deadline budgetAmount budgetType status skills')
-      .populate('client', 'fullName email')
-      .populate('freelancer', 'fullName email');
+      .populate('project', 'title description category deadline budgetAmount budgetType currency status skills')
+      .populate('client', 'fullName email preferences')
+      .populate('freelancer', 'fullName email preferences');
 
     if (!workspace) {
       throw new Error('Workspace not found');
@@ -112,7 +104,7 @@ const collectWorkspaceData = async (workspaceId, userId, userRole) => {
 
     let recentMessages = [];
     if (chat) {
-      const messages = await Message.find({ chat: chat._id })
+      const messages = await Message.find({ chat: chat._id, deleted: { $ne: true } })
         .populate('sender', 'fullName')
         .sort({ createdAt: -1 })
         .limit(50)
@@ -143,6 +135,9 @@ const collectWorkspaceData = async (workspaceId, userId, userRole) => {
  */
 const buildContextPrompt = (data, userQuestion) => {
   const { workspace, project, client, freelancer, milestones, deliverables, escrows, recentMessages, userRole } = data;
+  // Dates and amounts are written the way the user asking reads them
+  const reader = userRole === 'client' ? client : freelancer;
+  const { timezone } = getLocalePreferences(reader);
 
   // Build milestones section
   let milestonesSection = 'Milestones:\n';
@@ -151,9 +146,9 @@ const buildContextPrompt = (data, userQuestion) => {
   } else {
     milestones.forEach((m, index) => {
       const isOverdue = m.dueDate && new Date(m.dueDate) < new Date() && !['paid', 'approved'].includes(m.status);
-      milestonesSection += `- Milestone ${index + 1}: ${m.title} – ${formatCurrency(m.amount, m.currency)} – ${getMilestoneStatusText(m)}`;
+      milestonesSection += `- Milestone ${index + 1}: ${m.title} – ${formatCurrency(m.amount, m.currency, reader)} – ${getMilestoneStatusText(m)}`;
       if (m.dueDate) {
-        milestonesSection += ` (Due: ${formatDate(m.dueDate)})`;
+        milestonesSection += ` (Due: ${formatDate(m.dueDate, reader)})`;
       }
       if (isOverdue) {
         milestonesSection += ' ⚠️ OVERDUE';
@@ -169,7 +164,7 @@ const buildContextPrompt = (data, userQuestion) => {
   } else {
     deliverables.slice(0, 10).forEach(d => {
       const milestoneInfo = d.milestone ? ` for "${d.milestone.title}"` : '';
-      deliverablesSection += `- ${d.title}${milestoneInfo} – ${getDeliverableStatusText(d)} (uploaded by ${d.submittedBy?.fullName || 'Unknown'} at ${formatDate(d.submissionDate)})\n`;
+      deliverablesSection += `- ${d.title}${milestoneInfo} – ${getDeliverableStatusText(d)} (uploaded by ${d.submittedBy?.fullName || 'Unknown'} at ${formatDate(d.submissionDate, reader)})\n`;
     });
   }
 
@@ -187,11 +182,11 @@ const buildContextPrompt = (data, userQuestion) => {
                           e.status === 'active' ? 'Locked in escrow' :
                           e.status === 'pending' ? 'Pending' :
                           e.status === 'disputed' ? 'Disputed' : e.status;
-        paymentsSection += `- ${milestoneName}: ${formatCurrency(e.totalAmount)} – ${statusText}\n`;
+        paymentsSection += `- ${milestoneName}: ${formatCurrency(e.totalAmount, e.currency, reader)} – ${statusText}\n`;
       } else {
         // Freelancers can only see their earnings, not escrow details
         if (e.status === 'released') {
-          paymentsSection += `- ${milestoneName}: ${formatCurrency(e.amountToFreelancer)} – Received\n`;
+          paymentsSection += `- ${milestoneName}: ${formatCurrency(e.amountToFreelancer, e.currency, reader)} – Received\n`;
         } else if (e.status === 'active') {
           paymentsSection += `- ${milestoneName}: Payment secured by client\n`;
         } else {
@@ -238,15 +233,18 @@ IMPORTANT RULES:
 6. Use bullet points and clear formatting when listing multiple items
 7. If there are urgent items (overdue deadlines, pending approvals), highlight them
 8. You are speaking to a ${userRole}
+9. All dates below are in the user's timezone (${timezone}); write dates exactly as they appear here
 
 CURRENT WORKSPACE CONTEXT:
 
+Today: ${formatUserDate(new Date(), reader)}
+
 Project: ${project.title}
 Category: ${project.category || 'Not specified'}
 Description: ${project.description?.substring(0, 300) || 'No description'}${project.description?.length > 300 ? '...' : ''}
 Project Status: ${project.status || 'Unknown'}
-Project Deadline: ${project.deadline ? formatDate(project.deadline) : 'Not set'}
-${project.budgetAmount ? `Budget: ${formatCurrency(project.budgetAmount)}` : ''}
+Project Deadline: ${project.deadline ? formatDate(project.deadline, reader) : 'Not set'}
+${project.budgetAmount ? `Budget: ${formatCurrency(project.budgetAmount, project.currency, reader)}` : ''}
 
 Client: ${client.fullName}
 Freelancer: ${freelancer.fullName}
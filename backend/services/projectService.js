@@ -0,0 +1,380 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Application = require('../models/Application');
+const Notification = require('../models/Notification');
+const FeeScheduleService = require('./feeScheduleService');
+const CurrencyService = require('./currencyService');
+const InvitationService = require('./invitationService');
+
+// Fields a client can change after posting
+const EDITABLE_FIELDS = [
+  'title', 'description', 'category', 'categoryName', 'image',
+  'skills', 'budgetType', 'budgetAmount', 'currency', 'deadline'
+];
+
+// Changing scope, budget or deadline changes what applicants applied for, so
+// they are told about it. Title and description edits are usually wording fixes;
+// the client can still flag one as material.
+const MATERIAL_FIELDS = ['category', 'skills', 'budgetType', 'budgetAmount', 'currency', 'deadline'];
+
+// The service charge estimate depends on these
+const FEE_FIELDS = ['budgetAmount', 'category', 'currency'];
+
+// Content carried over when a project is duplicated or reposted
+const COPIED_FIELDS = [...EDITABLE_FIELDS, 'attachments', 'budgetMin', 'budgetMax'];
+
+const EDITABLE_STATUSES = ['draft', 'open'];
+const CANCELLABLE_STATUSES = ['draft', 'open', 'closed'];
+const REPOSTABLE_STATUSES = ['closed', 'cancelled', 'completed'];
+const HIRED_STATUSES = ['awarded', 'in_progress'];
+
+// Applications that are still waiting on the client
+const ACTIVE_APPLICATION_STATUSES = ['pending', 'accepted'];
+
+const normalizeSkills = (skills) => {
+  let list = skills;
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch (error) {
+      list = list.split(',');
+    }
+  }
+  if (!Array.isArray(list)) {
+    throw new Error('Skills must be a list');
+  }
+  return [...new Set(list.map(skill => String(skill).trim()).filter(Boolean))];
+};
+
+const normalizeField = (field, value) => {
+  switch (field) {
+    case 'skills':
+      return normalizeSkills(value);
+    case 'budgetAmount': {
+      if (value === '' || value === null) return null;
+      const amount = Number(value);
+      if (!Number.isFinite(amount) || amount < 0) {
+        throw new Error('Budget amount must be a positive number');
+      }
+      return amount;
+    }
+    case 'currency':
+      if (!CurrencyService.isSupported(value)) {
+        throw new Error(`Currency must be one of ${CurrencyService.getSupportedCurrencies().join(', ')}`);
+      }
+      return value;
+    case 'deadline': {
+      if (value === '' || value === null) return null;
+      const deadline = new Date(value);
+      if (Number.isNaN(deadline.getTime())) {
+        throw new Error('Invalid deadline');
+      }
+      return deadline;
+    }
+    default:
+      return typeof value === 'string' ? value.trim() : value;
+  }
+};
+
+// Plain value for revision history and comparisons
+const plainValue = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value) || value?.toObject) return [...value].map(String);
+  return value;
+};
+
+const sameValue = (a, b) => JSON.stringify(plainValue(a)) === JSON.stringify(plainValue(b));
+
+class ProjectService {
+
+  /**
+   * A project owned by the client
+   */
+  static async getOwnProject(projectId, clientId) {
+    const project = mongoose.Types.ObjectId.isValid(projectId)
+      ? await Project.findOne({ _id: projectId, client: clientId })
+      : null;
+
+    if (!project) {
+      throw new Error('Project not found');
+    }
+    return project;
+  }
+
+  /**
+   * Estimate service charges under the current fee schedule, the same way escrow payments are charged
+   */
+  static async applyServiceCharges(project) {
+    const charges = await FeeScheduleService.quote(Number(project.budgetAmount) || 0, {
+      projectBudget: Number(project.budgetAmount) || null,
+      category: project.category,
+      currency: project.currency
+    });
+
+    project.serviceCharge = charges.serviceCharge;
+    project.serviceChargePercentage = charges.serviceChargePercentage;
+    project.totalProjectValue = charges.totalAmount;
+    project.feeScheduleVersion = charges.breakdown.scheduleVersion;
+    return project;
+  }
+
+  /**
+   * Edit a draft or open project. Edits to an open project are kept in its
+   * revision history, and material ones are sent to the freelancers who applied.
+   */
+  static async updateProject(projectId, clientId, updates = {}) {
+    const project = await this.getOwnProject(projectId, clientId);
+
+    if (!EDITABLE_STATUSES.includes(project.status)) {
+      throw new Error('Only drafts and open projects can be edited');
+    }
+
+    const changes = [];
+    for (const field of EDITABLE_FIELDS) {
+      if (updates[field] === undefined) continue;
+
+      const value = normalizeField(field, updates[field]);
+      if (sameValue(project[field], value)) continue;
+
+      changes.push({ field, before: plainValue(project[field]), after: plainValue(value) });
+      project[field] = value;
+    }
+
+    if (changes.length === 0) {
+      throw new Error('No changes to save');
+    }
+
+    const published = project.status === 'open';
+    if (published && changes.some(change => change.field === 'currency')) {
+      throw new Error("The currency can't be changed once the project is published");
+    }
+
+    if (changes.some(change => FEE_FIELDS.includes(change.field))) {
+      await this.applyServiceCharges(project);
+    }
+
+    const material = published &&
+      (updates.material === true || changes.some(change => MATERIAL_FIELDS.includes(change.field)));
+
+    if (published) {
+      project.revisions.push({
+        editedBy: clientId,
+        editedAt: new Date(),
+        changes,
+        material,
+        note: updates.note ? String(updates.note).trim() : undefined
+      });
+    }
+
+    await project.save();
+
+    const notified = material
+      ? await this.notifyApplicants(project, {
+        title: '✏️ Project Updated',
+        body: `The client changed ${changes.map(change => change.field).join(', ')} on "${project.title}". Review the changes before you continue.`,
+        event: 'project_updated',
+        extra: { fields: changes.map(change => change.field) }
+      })
+      : 0;
+
+    console.log(`✏️ Project ${project._id} edited (${changes.map(change => change.field).join(', ')})${material ? `, ${notified} applicants notified` : ''}`);
+    return { project, changes, material, notified };
+  }
+
+  /**
+   * Publish a draft so freelancers can find and apply to it
+   */
+  static async publishProject(projectId, clientId) {
+    const project = await this.getOwnProject(projectId, clientId);
+
+    if (project.status !== 'draft') {
+      throw new Error('Only drafts can be published');
+    }
+    if (!project.title?.trim() || !project.description?.trim()) {
+      throw new Error('Add a title and description before publishing');
+    }
+
+    project.status = 'open';
+    project.publishedAt = new Date();
+    // The fee schedule may have changed since the draft was saved
+    await this.applyServiceCharges(project);
+    await project.save();
+
+    console.log(`📢 Project ${project._id} published`);
+    return project;
+  }
+
+  /**
+   * Stop taking applications on an open project
+   */
+  static async closeProject(projectId, clientId, reason) {
+    const trimmedReason = reason ? String(reason).trim() : '';
+    if (!trimmedReason) {
+      throw new Error('Please give a reason for closing the project');
+    }
+
+    const project = await this.getOwnProject(projectId, clientId);
+    if (project.status !== 'open') {
+      throw new Error('Only open projects can be closed');
+    }
+
+    project.status = 'closed';
+    project.closedAt = new Date();
+    project.closeReason = trimmedReason;
+    await project.save();
+    await InvitationService.expireForProject(project._id);
+
+    const notified = await this.notifyApplicants(project, {
+      title: '🔒 Project Closed',
+      body: `"${project.title}" is no longer taking applications. Reason: ${trimmedReason}`,
+      event: 'project_closed'
+    });
+
+    console.log(`🔒 Project ${project._id} closed, ${notified} applicants notified`);
+    return { project, notified };
+  }
+
+  /**
+   * Cancel a project nobody has been hired for yet. Hired projects are ended
+   * from the workspace, where escrowed funds are settled.
+   */
+  static async cancelProject(projectId, clientId, reason) {
+    const trimmedReason = reason ? String(reason).trim() : '';
+    if (!trimmedReason) {
+      throw new Error('Please give a reason for cancelling the project');
+    }
+
+    const project = await this.getOwnProject(projectId, clientId);
+    if (HIRED_STATUSES.includes(project.status)) {
+      throw new Error('A freelancer has been hired; end the project from its workspace instead');
+    }
+    if (!CANCELLABLE_STATUSES.includes(project.status)) {
+      throw new Error(`This project is already ${project.status}`);
+    }
+
+    const wasDraft = project.status === 'draft';
+    project.status = 'cancelled';
+    project.cancelledAt = new Date();
+    project.cancelReason = trimmedReason;
+    await project.save();
+    await InvitationService.expireForProject(project._id);
+
+    const notified = wasDraft
+      ? 0
+      : await this.notifyApplicants(project, {
+        title: '🚫 Project Cancelled',
+        body: `The client cancelled "${project.title}". Reason: ${trimmedReason}`,
+        event: 'project_cancelled'
+      });
+
+    console.log(`🚫 Project ${project._id} cancelled, ${notified} applicants notified`);
+    return { project, notified };
+  }
+
+  /**
+   * A new project with the same content. Duplicates start as drafts; reposts
+   * of closed, cancelled or completed projects are published straight away.
+   */
+  static async copyProject(projectId, clientId, { repost = false } = {}) {
+    const source = await this.getOwnProject(projectId, clientId);
+
+    if (repost && !REPOSTABLE_STATUSES.includes(source.status)) {
+      throw new Error('Only closed, cancelled or completed projects can be reposted');
+    }
+
+    const fields = {};
+    for (const field of COPIED_FIELDS) {
+      if (source[field] !== undefined && source[field] !== null) {
+        fields[field] = Array.isArray(source[field]) ? [...source[field]] : source[field];
+      }
+    }
+    // A deadline that has already passed would make no sense on the new project
+    if (fields.deadline && fields.deadline < new Date()) {
+      delete fields.deadline;
+    }
+
+    const project = new Project({
+      ...fields,
+      client: source.client,
+      status: repost ? 'open' : 'draft',
+      publishedAt: repost ? new Date() : undefined,
+      repostedFrom: source._id
+    });
+
+    await this.applyServiceCharges(project);
+    await project.save();
+
+    console.log(`📋 Project ${source._id} ${repost ? 'reposted' : 'duplicated'} as ${project._id}`);
+    return project;
+  }
+
+  static async duplicateProject(projectId, clientId) {
+    return this.copyProject(projectId, clientId);
+  }
+
+  static async repostProject(projectId, clientId) {
+    return this.copyProject(projectId, clientId, { repost: true });
+  }
+
+  /**
+   * Revision history, for the client and for freelancers who applied
+   */
+  static async getRevisions(projectId, user) {
+    const project = mongoose.Types.ObjectId.isValid(projectId)
+      ? await Project.findById(projectId).select('client title status revisions').populate('revisions.editedBy', 'fullName')
+      : null;
+
+    if (!project) {
+      throw new Error('Project not found');
+    }
+
+    const isOwner = project.client.toString() === user.userId.toString();
+    const hasApplied = !isOwner && user.role === 'freelancer' &&
+      await Application.exists({ project: project._id, freelancer: user.userId });
+
+    if (!isOwner && !hasApplied) {
+      throw new Error('Project not found');
+    }
+
+    return {
+      projectId: project._id,
+      title: project.title,
+      status: project.status,
+      revisions: [...project.revisions].reverse()
+    };
+  }
+
+  /**
+   * Notify freelancers whose applications are still active. Returns how many were notified.
+   */
+  static async notifyApplicants(project, { title, body, event, extra = {} }) {
+    const applications = await Application.find({
+      project: project._id,
+      status: { $in: ACTIVE_APPLICATION_STATUSES }
+    }).select('freelancer').lean();
+
+    let notified = 0;
+    for (const application of applications) {
+      try {
+        await Notification.create({
+          userId: application.freelancer,
+          userRole: 'freelancer',
+          type: 'project',
+          title,
+          body,
+          data: {
+            projectId: project._id,
+            extraData: { applicationId: application._id, event, ...extra }
+          }
+        });
+        notified++;
+      } catch (notificationError) {
+        console.error('⚠️ Failed to create project notification:', notificationError);
+      }
+    }
+    return notified;
+  }
+}
+
+module.exports = ProjectService;
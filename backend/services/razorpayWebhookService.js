@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const Escrow = require('../models/Escrow');
+const WebhookEvent = require('../models/WebhookEvent');
+const EscrowService = require('./escrowService');
+
+// A delivery still marked 'received' after this long was cut off mid-processing
+// (crash or restart) and may be claimed again by the next retry
+const PROCESSING_LEASE_MS = 5 * 60 * 1000;
+
+class RazorpayWebhookService {
+
+  static isConfigured(secret = process.env.RAZORPAY_WEBHOOK_SECRET) {
+    return Boolean(secret);
+  }
+
+  /**
+   * Verify the x-razorpay-signature header against the raw request body
+   */
+  static verifySignature(rawBody, signature, secret = process.env.RAZORPAY_WEBHOOK_SECRET) {
+    if (!secret) {
+      throw new Error('RAZORPAY_WEBHOOK_SECRET is not configured');
+    }
+
+    if (!rawBody || !signature) {
+      return false;
+    }
+
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(rawBody)
+      .digest('hex');
+
+    const expectedBuffer = Buffer.from(expected);
+    const signatureBuffer = Buffer.from(String(signature));
+
+    return expectedBuffer.length === signatureBuffer.length &&
+      crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+  }
+
+  /**
+   * Record and process a verified webhook delivery.
+   * Returns { duplicate: true } for events that were already handled, and
+   * { duplicate: true, inProgress: true } while another delivery holds the event.
+   */
+  static async handleEvent(eventId, event) {
+    let record;
+
+    try {
+      record = await WebhookEvent.create({
+        provider: 'razorpay',
+        eventId,
+        event: event.event,
+        payload: event.payload
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // Seen before - claim it again only if it failed or its processing lease lapsed
+      record = await WebhookEvent.findOneAndUpdate(
+        {
+          provider: 'razorpay',
+          eventId,
+          $or: [
+            { status: 'failed' },
+            { status: 'received', updatedAt: { $lt: new Date(Date.now() - PROCESSING_LEASE_MS) } }
+          ]
+        },
+        { $inc: { attempts: 1 }, $set: { status: 'received' }, $unset: { error: 1 } },
+        { new: true }
+      );
+
+      if (!record) {
+        const existing = await WebhookEvent.findOne({ provider: 'razorpay', eventId });
+        console.log(`ℹ️ Duplicate Razorpay webhook ${eventId} (${existing?.status}) - skipping`);
+        return { duplicate: true, status: existing?.status, inProgress: existing?.status === 'received' };
+      }
+    }
+
+    try {
+      const escrow = await this.applyEvent(event);
+
+      record.status = escrow ? 'processed' : 'ignored';
+      record.relatedEscrow = escrow?._id;
+      record.processedAt = new Date();
+      await record.save();
+
+      return { duplicate: false, status: record.status };
+    } catch (error) {
+      record.status = 'failed';
+      record.error = error.message;
+      await record.save();
+      throw error;
+    }
+  }
+
+  /**
+   * Drive escrow state from a webhook event. Returns the affected escrow, if any.
+   */
+  static async applyEvent(event) {
+    const payment = event.payload?.payment?.entity;
+    const refund = event.payload?.refund?.entity;
+
+    switch (event.event) {
+      case 'payment.captured':
+      case 'order.paid': {
+        if (!payment?.order_id) return null;
+
+        const escrow = await Escrow.findOne({ razorpayOrderId: payment.order_id });
+        if (!escrow) {
+          console.log('ℹ️ No escrow for captured order:', payment.order_id);
+          return null;
+        }
+
+        const result = await EscrowService.activateEscrow(escrow, payment);
+        console.log(`✅ Webhook ${result.alreadyActivated ? 'confirmed' : 'activated'} escrow:`, escrow._id);
+        return escrow;
+      }
+
+      case 'payment.failed':
+        if (!payment?.order_id) return null;
+        return EscrowService.markEscrowPaymentFailed(payment.order_id, payment);
+
+      case 'refund.processed':
+        if (!refund?.payment_id) return null;
+        return EscrowService.applyGatewayRefund(refund);
+
+      case 'refund.failed':
+        if (!refund?.id) return null;
+        return EscrowService.markGatewayRefundFailed(refund);
+
+      default:
+        console.log('ℹ️ Unhandled webhook event:', event.event);
+        return null;
+    }
+  }
+}
+
+RazorpayWebhookService.PROCESSING_LEASE_MS = PROCESSING_LEASE_MS;
+
+module.exports = RazorpayWebhookService;
@@ -0,0 +1,128 @@
+/**
+ * Realtime scaling registry: the Socket.IO adapter and the presence store.
+ *
+ * SOCKET_ADAPTER picks how events reach sockets on other backend nodes:
+ *   memory (default) - single node, nothing shared
+ *   redis            - @socket.io/redis-adapter over REDIS_URL (npm install @socket.io/redis-adapter redis)
+ *   mongo            - @socket.io/mongo-adapter on change streams (npm install @socket.io/mongo-adapter;
+ *                      needs a replica set, which Atlas always has)
+ *
+ * PRESENCE_STORE picks where online users and calls live: memory, or mongo.
+ * It defaults to mongo whenever the adapter is shared, so every node agrees on who is online.
+ *
+ * A presence store implements:
+ *   addConnection(userId, socketId) → { cameOnline }
+ *   removeConnection(userId, socketId) → { remaining }
+ *   heartbeat([{ userId, socketId }])
+ *   sweep(before) → userIds left without a live connection
+ *   isOnline(userId), getOnlineUserIds()
+ *   saveCall(call), getCall(callId), removeCall(callId) → call, getCallsForUser(userId)
+ */
+const os = require('os');
+const mongoose = require('mongoose');
+const MemoryPresenceStore = require('./memoryPresenceStore');
+const MongoPresenceStore = require('./mongoPresenceStore');
+
+const MONGO_ADAPTER_COLLECTION = 'socket_io_adapter_events';
+
+// Identifies this process in shared presence records
+const NODE_ID = process.env.NODE_ID || `${os.hostname()}:${process.pid}`;
+
+const getAdapterName = () => (process.env.SOCKET_ADAPTER || 'memory').toLowerCase();
+
+const getPresenceSettings = () => ({
+  heartbeatSeconds: parseInt(process.env.PRESENCE_HEARTBEAT_SECONDS, 10) || 25,
+  ttlSeconds: parseInt(process.env.PRESENCE_TTL_SECONDS, 10) || 75,
+  // How long a user stays "online" after their last tab drops, so reloads and reconnects don't flicker
+  graceSeconds: parseInt(process.env.PRESENCE_GRACE_SECONDS, 10) || 10
+});
+
+// Adapter packages are only needed when the deployment opts in, so they're loaded lazily
+const requireAdapterPackage = (name) => {
+  try {
+    return require(name);
+  } catch (error) {
+    throw new Error(`SOCKET_ADAPTER=${getAdapterName()} needs the ${name} package (npm install ${name})`);
+  }
+};
+
+const ADAPTERS = {
+  memory: async () => null,
+
+  redis: async () => {
+    const { createAdapter } = requireAdapterPackage('@socket.io/redis-adapter');
+    const { createClient } = requireAdapterPackage('redis');
+
+    const pubClient = createClient({ url: process.env.REDIS_URL || 'redis://localhost:6379' });
+    const subClient = pubClient.duplicate();
+    pubClient.on('error', (error) => console.error('❌ Redis adapter error:', error.message));
+    subClient.on('error', (error) => console.error('❌ Redis adapter error:', error.message));
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+
+    return createAdapter(pubClient, subClient);
+  },
+
+  mongo: async () => {
+    const { createAdapter } = requireAdapterPackage('@socket.io/mongo-adapter');
+
+    await mongoose.connection.asPromise();
+    const db = mongoose.connection.db;
+    try {
+      await db.createCollection(MONGO_ADAPTER_COLLECTION, { capped: true, size: 1e6 });
+    } catch (error) {
+      // NamespaceExists - another node created it first
+      if (error.code !== 48) throw error;
+    }
+
+    return createAdapter(db.collection(MONGO_ADAPTER_COLLECTION), { addCreatedAtField: true });
+  }
+};
+
+const PRESENCE_STORES = {
+  memory: () => new MemoryPresenceStore(),
+  mongo: () => new MongoPresenceStore({ nodeId: NODE_ID, ttlSeconds: getPresenceSettings().ttlSeconds })
+};
+
+let presenceStore = null;
+
+/**
+ * Adapter for io.adapter(), or null to keep Socket.IO's in-memory adapter
+ */
+const createSocketAdapter = async () => {
+  const name = getAdapterName();
+  const create = ADAPTERS[name];
+  if (!create) {
+    throw new Error(`Unknown Socket.IO adapter: ${name}`);
+  }
+  const adapter = await create();
+  console.log(`🔌 Socket.IO adapter: ${name}`);
+  return adapter;
+};
+
+const getPresenceStore = () => {
+  if (!presenceStore) {
+    const name = (process.env.PRESENCE_STORE || (getAdapterName() === 'memory' ? 'memory' : 'mongo')).toLowerCase();
+    const create = PRESENCE_STORES[name];
+    if (!create) {
+      throw new Error(`Unknown presence store: ${name}`);
+    }
+    presenceStore = create();
+    console.log(`👥 Presence store: ${presenceStore.name}`);
+  }
+  return presenceStore;
+};
+
+// Replace the store (used by tests)
+const setPresenceStore = (replacement) => {
+  presenceStore = replacement;
+};
+
+module.exports = {
+  NODE_ID,
+  createSocketAdapter,
+  getPresenceStore,
+  setPresenceStore,
+  getPresenceSettings,
+  MemoryPresenceStore,
+  MongoPresenceStore
+};
@@ -0,0 +1,76 @@
+/**
+ * In-process presence store. Only correct for a single backend node; use the
+ * mongo store when running more than one replica.
+ */
+class MemoryPresenceStore {
+  constructor() {
+    this.name = 'memory';
+    this.connections = new Map(); // userId -> Map(socketId -> lastBeat)
+    this.calls = new Map(); // callId -> { callId, caller, callee, workspaceId, status, startTime }
+  }
+
+  async addConnection(userId, socketId) {
+    const wasOnline = this.connections.has(userId);
+    if (!wasOnline) this.connections.set(userId, new Map());
+    this.connections.get(userId).set(socketId, new Date());
+    return { cameOnline: !wasOnline };
+  }
+
+  async removeConnection(userId, socketId) {
+    const sockets = this.connections.get(userId);
+    if (sockets) sockets.delete(socketId);
+    if (sockets && sockets.size === 0) this.connections.delete(userId);
+    return { remaining: sockets ? sockets.size : 0 };
+  }
+
+  async heartbeat(connections) {
+    const now = new Date();
+    connections.forEach(({ userId, socketId }) => {
+      this.connections.get(userId)?.set(socketId, now);
+    });
+  }
+
+  // Drops connections that haven't beaten since `before`; returns users left with none
+  async sweep(before) {
+    const offline = [];
+    for (const [userId, sockets] of this.connections.entries()) {
+      for (const [socketId, lastBeat] of sockets.entries()) {
+        if (lastBeat < before) sockets.delete(socketId);
+      }
+      if (sockets.size === 0) {
+        this.connections.delete(userId);
+        offline.push(userId);
+      }
+    }
+    return offline;
+  }
+
+  async isOnline(userId) {
+    return this.connections.has(String(userId));
+  }
+
+  async getOnlineUserIds() {
+    return Array.from(this.connections.keys());
+  }
+
+  async saveCall(call) {
+    this.calls.set(call.callId, { ...call });
+  }
+
+  async getCall(callId) {
+    return this.calls.get(callId) || null;
+  }
+
+  async removeCall(callId) {
+    const call = this.calls.get(callId) || null;
+    this.calls.delete(callId);
+    return call;
+  }
+
+  async getCallsForUser(userId) {
+    return Array.from(this.calls.values())
+      .filter(call => call.caller === userId || call.callee === userId);
+  }
+}
+
+module.exports = MemoryPresenceStore;
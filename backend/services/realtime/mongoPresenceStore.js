@@ -0,0 +1,89 @@
+const { PresenceConnection, CallSession } = require('../../models/Presence');
+
+/**
+ * Presence shared through MongoDB, so every backend node sees the same
+ * online users and calls. Connections are only counted while their node
+ * keeps beating (see PRESENCE_TTL_SECONDS).
+ */
+class MongoPresenceStore {
+  constructor({ nodeId, ttlSeconds }) {
+    this.name = 'mongo';
+    this.nodeId = nodeId;
+    this.ttlSeconds = ttlSeconds;
+  }
+
+  liveSince() {
+    return new Date(Date.now() - this.ttlSeconds * 1000);
+  }
+
+  async addConnection(userId, socketId) {
+    const wasOnline = await this.isOnline(userId);
+    await PresenceConnection.updateOne(
+      { socketId },
+      { user: userId, nodeId: this.nodeId, lastBeat: new Date() },
+      { upsert: true }
+    );
+    return { cameOnline: !wasOnline };
+  }
+
+  async removeConnection(userId, socketId) {
+    await PresenceConnection.deleteOne({ socketId });
+    const remaining = await PresenceConnection.countDocuments({
+      user: userId,
+      lastBeat: { $gte: this.liveSince() }
+    });
+    return { remaining };
+  }
+
+  async heartbeat(connections) {
+    if (connections.length === 0) return;
+    await PresenceConnection.updateMany(
+      { socketId: { $in: connections.map(c => c.socketId) } },
+      { lastBeat: new Date() }
+    );
+  }
+
+  async sweep(before) {
+    const stale = await PresenceConnection.find({ lastBeat: { $lt: before } }).select('user socketId').lean();
+    if (stale.length === 0) return [];
+
+    await PresenceConnection.deleteMany({ socketId: { $in: stale.map(c => c.socketId) } });
+
+    const users = [...new Set(stale.map(c => c.user))];
+    const stillOnline = await PresenceConnection.distinct('user', {
+      user: { $in: users },
+      lastBeat: { $gte: this.liveSince() }
+    });
+    return users.filter(userId => !stillOnline.includes(userId));
+  }
+
+  async isOnline(userId) {
+    const connection = await PresenceConnection.exists({
+      user: String(userId),
+      lastBeat: { $gte: this.liveSince() }
+    });
+    return !!connection;
+  }
+
+  async getOnlineUserIds() {
+    return PresenceConnection.distinct('user', { lastBeat: { $gte: this.liveSince() } });
+  }
+
+  async saveCall(call) {
+    await CallSession.updateOne({ callId: call.callId }, call, { upsert: true });
+  }
+
+  async getCall(callId) {
+    return CallSession.findOne({ callId }).lean();
+  }
+
+  async removeCall(callId) {
+    return CallSession.findOneAndDelete({ callId }).lean();
+  }
+
+  async getCallsForUser(userId) {
+    return CallSession.find({ $or: [{ caller: userId }, { callee: userId }] }).lean();
+  }
+}
+
+module.exports = MongoPresenceStore;
@@ -0,0 +1,397 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const LoginSession = require('../models/LoginSession');
+const Notification = require('../models/Notification');
+const { parseUserAgent } = require('../utils/userAgent');
+const { sendNewDeviceLoginEmail } = require('../utils/brevoEmailService');
+
+// Long-lived cookie that identifies a browser across logins
+const DEVICE_COOKIE = 'ws_device';
+const DEVICE_COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000;
+// API tokens are short-lived; the refresh cookie gets the device a new one
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_COOKIE = 'ws_refresh';
+// Only the auth routes need to see the refresh token
+const REFRESH_COOKIE_PATH = '/api/auth';
+// A device that doesn't refresh for this long is signed out
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Tabs refreshing at the same moment all send the same refresh token
+const REFRESH_GRACE_MS = 30 * 1000;
+const KNOWN_DEVICE_LIMIT = 20;
+
+const SESSION_ENDED = 'Your session has ended. Please login again.';
+
+const accessTokenKey = () => process.env.JWT_SECRET || 'your_jwt_secret_key';
+// Separate key, so a refresh token can't be used as an API token or the other way round
+const refreshTokenKey = () => `${accessTokenKey()}:refresh`;
+
+const readCookie = (req, name) => {
+  const header = req.headers?.cookie || '';
+  for (const part of header.split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(rest.join('='));
+    }
+  }
+  return null;
+};
+
+class SessionService {
+
+  static createAccessToken(user, sessionId) {
+    return jwt.sign(
+      { userId: user._id, role: user.role, sid: sessionId },
+      accessTokenKey(),
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+  }
+
+  static setRefreshCookie(res, session) {
+    const refreshToken = jwt.sign(
+      { sid: session._id, gen: session.refreshGeneration },
+      refreshTokenKey(),
+      { expiresIn: Math.floor(SESSION_TTL_MS / 1000) }
+    );
+    res.cookie(REFRESH_COOKIE, refreshToken, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      path: REFRESH_COOKIE_PATH,
+      maxAge: SESSION_TTL_MS
+    });
+  }
+
+  static clearRefreshCookie(res) {
+    res.clearCookie(REFRESH_COOKIE, { path: REFRESH_COOKIE_PATH });
+  }
+
+  /**
+   * Sets the refresh cookie for the session and returns a new API token
+   */
+  static issueTokens(res, user, session) {
+    this.setRefreshCookie(res, session);
+    return this.createAccessToken(user, session._id);
+  }
+
+  /**
+   * Verified refresh token payload ({ sid, gen }) from the cookie, or null
+   */
+  static readRefreshToken(req) {
+    const refreshToken = readCookie(req, REFRESH_COOKIE);
+    if (!refreshToken) return null;
+
+    try {
+      return jwt.verify(refreshToken, refreshTokenKey());
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Swap the refresh cookie for a new one and a new API token. A refresh
+   * token from an earlier generation means two parties hold it: the session
+   * is revoked and the user told.
+   */
+  static async refresh(req, res) {
+    const payload = this.readRefreshToken(req);
+    if (!payload?.sid || !mongoose.isValidObjectId(payload.sid)) {
+      throw new Error(SESSION_ENDED);
+    }
+
+    const session = await LoginSession.findById(payload.sid);
+    if (!session || !session.isActive()) {
+      throw new Error(SESSION_ENDED);
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive || user.isDeleted) {
+      throw new Error(SESSION_ENDED);
+    }
+
+    const now = new Date();
+    if (payload.gen !== session.refreshGeneration) {
+      const justRotated = payload.gen === session.refreshGeneration - 1 &&
+        session.refreshedAt && now - session.refreshedAt < REFRESH_GRACE_MS;
+      if (!justRotated) {
+        await this.handleRefreshReuse(user, session, req.sessionStore);
+        throw new Error(SESSION_ENDED);
+      }
+
+      // Another tab refreshed a moment ago and its response carries the new cookie
+      return { user, session, accessToken: this.createAccessToken(user, session._id) };
+    }
+
+    const rotated = await LoginSession.findOneAndUpdate(
+      { _id: session._id, refreshGeneration: payload.gen, revokedAt: null },
+      {
+        $inc: { refreshGeneration: 1 },
+        refreshedAt: now,
+        lastActiveAt: now,
+        expiresAt: new Date(now.getTime() + SESSION_TTL_MS)
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      // Lost a race with another tab's refresh, or the session was just revoked
+      const latest = await LoginSession.findById(session._id);
+      if (!latest || !latest.isActive()) {
+        throw new Error(SESSION_ENDED);
+      }
+      return { user, session: latest, accessToken: this.createAccessToken(user, latest._id) };
+    }
+
+    return { user, session: rotated, accessToken: this.issueTokens(res, user, rotated) };
+  }
+
+  static async handleRefreshReuse(user, session, store) {
+    console.warn(`🚨 Refresh token reused for ${user.email} on ${session.deviceName}; signing the session out`);
+
+    session.revokedAt = new Date();
+    session.revokedReason = 'refresh-reuse';
+    await session.save();
+    this.destroyExpressSessions(store, [session]);
+    await this.disconnectSockets(session.user, [session._id]);
+
+    try {
+      await Notification.createNotification({
+        userId: user._id,
+        userRole: user.role,
+        type: 'system',
+        title: 'A device was signed out for your security',
+        body: `A sign-in token for ${session.deviceName || 'one of your devices'} was used twice, which can mean it was copied. Sign in again on that device and consider changing your password.`,
+        data: { extraData: { kind: 'refresh-token-reuse', sessionId: session._id } }
+      });
+    } catch (error) {
+      console.error('❌ Failed to create refresh reuse notification:', error.message);
+    }
+  }
+
+  static getClientIp(req) {
+    const forwarded = req.headers?.['x-forwarded-for'];
+    if (forwarded) {
+      return forwarded.split(',')[0].trim();
+    }
+    return req.ip || req.socket?.remoteAddress || null;
+  }
+
+  /**
+   * The browser's device id, issuing a new device cookie when there isn't one
+   */
+  static getDeviceId(req, res) {
+    const existing = readCookie(req, DEVICE_COOKIE);
+    if (existing && /^[a-f0-9]{32}$/.test(existing)) {
+      return existing;
+    }
+
+    const deviceId = crypto.randomBytes(16).toString('hex');
+    res.cookie(DEVICE_COOKIE, deviceId, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      maxAge: DEVICE_COOKIE_MAX_AGE
+    });
+    return deviceId;
+  }
+
+  /**
+   * Remember the device on the user (without saving). Returns true when the
+   * device is new and should be alerted about; the first device a user ever
+   * signs in from is not.
+   */
+  static rememberDevice(user, deviceId, deviceName, now = new Date()) {
+    if (!user.knownDevices) user.knownDevices = [];
+
+    const known = user.knownDevices.find(device => device.deviceId === deviceId);
+    if (known) {
+      known.lastSeenAt = now;
+      known.deviceName = deviceName;
+      return false;
+    }
+
+    const firstDevice = user.knownDevices.length === 0;
+    user.knownDevices.push({ deviceId, deviceName, firstSeenAt: now, lastSeenAt: now });
+
+    // Forget the devices not seen for the longest time
+    if (user.knownDevices.length > KNOWN_DEVICE_LIMIT) {
+      user.knownDevices = [...user.knownDevices]
+        .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+        .slice(0, KNOWN_DEVICE_LIMIT);
+    }
+
+    return !firstDevice;
+  }
+
+  /**
+   * Record a successful sign-in: create the session the API token points to,
+   * add a login history entry and alert the user if the device is new.
+   * `method` is password, two-factor or google.
+   */
+  static async start(req, res, user, method) {
+    const now = new Date();
+    const ip = this.getClientIp(req);
+    const userAgent = req.headers?.['user-agent'] || '';
+    const device = parseUserAgent(userAgent);
+    const deviceId = this.getDeviceId(req, res);
+    const newDevice = this.rememberDevice(user, deviceId, device.deviceName, now);
+
+    const session = await LoginSession.create({
+      user: user._id,
+      deviceId,
+      deviceName: device.deviceName,
+      browser: device.browser,
+      os: device.os,
+      deviceType: device.deviceType,
+      ip,
+      userAgent,
+      method,
+      expressSessionId: req.sessionID,
+      lastActiveAt: now,
+      expiresAt: new Date(now.getTime() + SESSION_TTL_MS)
+    });
+
+    user.recordLogin({ ip, userAgent, deviceName: device.deviceName, method, newDevice });
+    await user.save();
+
+    if (newDevice) {
+      // Don't hold up the login for the email
+      this.alertNewDevice(user, session).catch(error => {
+        console.error('❌ Failed to send new device alert:', error.message);
+      });
+    }
+
+    console.log(`🔑 Session started for ${user.email} on ${device.deviceName}${newDevice ? ' (new device)' : ''}`);
+    return session;
+  }
+
+  /**
+   * In-app notification (always) and email (unless the user turned security emails off)
+   */
+  static async alertNewDevice(user, session) {
+    const login = { deviceName: session.deviceName, ip: session.ip, time: session.createdAt };
+
+    const notification = await Notification.createNotification({
+      userId: user._id,
+      userRole: user.role,
+      type: 'system',
+      title: 'New sign-in to your account',
+      body: `${login.deviceName}${login.ip ? ` from ${login.ip}` : ''}. If this wasn't you, sign out the device from Sessions & Login Activity.`,
+      data: { extraData: { kind: 'new-device-login', sessionId: session._id } }
+    });
+
+    try {
+      const { getIO, userRoom } = require('../utils/socketHandler');
+      getIO().to(userRoom(user._id)).emit('notification', {
+        _id: notification._id,
+        title: notification.title,
+        body: notification.body,
+        type: notification.type,
+        createdAt: notification.createdAt,
+        data: notification.data
+      });
+    } catch (socketError) {
+      console.log(`⚠️ Could not send real-time notification: ${socketError.message}`);
+    }
+
+    if (user.notificationSettings?.email?.securityAlerts !== false) {
+      await sendNewDeviceLoginEmail(user, login);
+    }
+  }
+
+  static toJSON(session, currentSessionId) {
+    return {
+      _id: session._id,
+      deviceName: session.deviceName,
+      browser: session.browser,
+      os: session.os,
+      deviceType: session.deviceType,
+      ip: session.ip,
+      method: session.method,
+      createdAt: session.createdAt,
+      lastActiveAt: session.lastActiveAt,
+      expiresAt: session.expiresAt,
+      current: Boolean(currentSessionId) && session._id.toString() === String(currentSessionId)
+    };
+  }
+
+  /**
+   * The user's signed-in devices, most recently active first
+   */
+  static async list(userId, currentSessionId) {
+    const sessions = await LoginSession.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastActiveAt: -1 });
+
+    return sessions.map(session => this.toJSON(session, currentSessionId));
+  }
+
+  // Sockets opened with the signed-out sessions' tokens are closed too
+  static async disconnectSockets(userId, sessionIds) {
+    try {
+      const { getIO, userRoom } = require('../utils/socketHandler');
+      const ids = sessionIds.map(String);
+      const sockets = await getIO().in(userRoom(userId)).fetchSockets();
+      sockets
+        .filter(socket => ids.includes(String(socket.data.user?.sessionId)))
+        .forEach(socket => socket.disconnect(true));
+    } catch (error) {
+      console.log(`⚠️ Could not disconnect signed-out sockets: ${error.message}`);
+    }
+  }
+
+  // The express-session for a login goes with it, so GET /api/auth/session stops returning the user
+  static destroyExpressSessions(store, sessions) {
+    if (!store) return;
+    sessions
+      .filter(session => session.expressSessionId)
+      .forEach(session => store.destroy(session.expressSessionId, (error) => {
+        if (error) console.error('Failed to destroy express session:', error.message);
+      }));
+  }
+
+  /**
+   * Sign one device out. `store` is req.sessionStore.
+   */
+  static async revoke(userId, sessionId, { reason = 'revoked', store } = {}) {
+    const session = await LoginSession.findOne({ _id: sessionId, user: userId });
+    if (!session || !session.isActive()) {
+      throw new Error('Session not found or already signed out');
+    }
+
+    session.revokedAt = new Date();
+    session.revokedReason = reason;
+    await session.save();
+    this.destroyExpressSessions(store, [session]);
+    await this.disconnectSockets(userId, [session._id]);
+
+    return session;
+  }
+
+  /**
+   * Sign out every device, optionally keeping one (the caller's). Used for
+   * "sign out everywhere", password changes and deactivated accounts.
+   * Returns how many were signed out.
+   */
+  static async revokeAll(userId, { except = null, reason = 'revoked-all', store } = {}) {
+    const filter = { user: userId, revokedAt: null, expiresAt: { $gt: new Date() } };
+    if (except) filter._id = { $ne: except };
+
+    const sessions = await LoginSession.find(filter).select('expressSessionId');
+    if (sessions.length === 0) return 0;
+
+    await LoginSession.updateMany(
+      { _id: { $in: sessions.map(session => session._id) } },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+    this.destroyExpressSessions(store, sessions);
+    await this.disconnectSockets(userId, sessions.map(session => session._id));
+
+    return sessions.length;
+  }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,493 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const TimeEntry = require('../models/TimeEntry');
+const Milestone = require('../models/Milestone');
+const Project = require('../models/Project');
+const Workspace = require('../models/Workspace');
+const Notification = require('../models/Notification');
+const { formatMoney } = require('../utils/currency');
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+const roundHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+const DEFAULT_WEEKLY_HOUR_LIMIT = 40;
+const PAYMENT_DUE_DAYS = 7;
+
+class TimesheetService {
+
+  static getDefaultWeeklyHourLimit() {
+    return DEFAULT_WEEKLY_HOUR_LIMIT;
+  }
+
+  /**
+   * Hourly rate, weekly cap and currency for the workspace's project
+   */
+  static async getContract(workspace) {
+    const project = await Project.findById(workspace.project._id || workspace.project)
+      .select('title budgetType finalRate weeklyHourLimit currency');
+
+    if (!project || project.budgetType !== 'hourly') {
+      throw new Error('Time tracking is only available on hourly contracts');
+    }
+
+    return {
+      project,
+      hourlyRate: project.finalRate || 0,
+      weeklyHourLimit: project.weeklyHourLimit || DEFAULT_WEEKLY_HOUR_LIMIT,
+      currency: project.currency || 'INR'
+    };
+  }
+
+  /**
+   * Amount owed for a week. Hours already billed earlier in the same week count against the cap.
+   */
+  static computeBilling(minutes, { hourlyRate, weeklyHourLimit, alreadyBilledHours = 0 }) {
+    const hoursLogged = roundHours(minutes);
+    const remainingHours = Math.max(weeklyHourLimit - alreadyBilledHours, 0);
+    const billableHours = Math.min(hoursLogged, remainingHours);
+
+    return {
+      hoursLogged,
+      billableHours,
+      cappedHours: roundCurrency(hoursLogged - billableHours),
+      hourlyRate,
+      amount: roundCurrency(billableHours * hourlyRate)
+    };
+  }
+
+  /**
+   * Parse a week from a query/route parameter, normalised to its Monday
+   */
+  static parseWeek(value) {
+    const date = value ? new Date(value) : new Date();
+    if (Number.isNaN(date.getTime())) {
+      throw new Error('Invalid week');
+    }
+    return TimeEntry.getWeekStart(date);
+  }
+
+  // ================================
+  // FREELANCER: LOGGING TIME
+  // ================================
+
+  static async startTimer(workspace, freelancerId, { description } = {}) {
+    const contract = await this.getContract(workspace);
+
+    const running = await TimeEntry.findOne({ workspace: workspace._id, freelancer: freelancerId, status: 'running' });
+    if (running) {
+      throw new Error('A timer is already running for this workspace');
+    }
+
+    return TimeEntry.create({
+      workspace: workspace._id,
+      project: contract.project._id,
+      freelancer: freelancerId,
+      startedAt: new Date(),
+      description,
+      source: 'timer',
+      status: 'running'
+    });
+  }
+
+  static async stopTimer(workspace, freelancerId, { description } = {}) {
+    const entry = await TimeEntry.findOne({ workspace: workspace._id, freelancer: freelancerId, status: 'running' });
+    if (!entry) {
+      throw new Error('No timer is running');
+    }
+
+    const maxEnd = new Date(entry.startedAt.getTime() + TimeEntry.MAX_ENTRY_MINUTES * 60000);
+    entry.endedAt = new Date(Math.min(Date.now(), maxEnd.getTime()));
+    entry.status = 'logged';
+    if (description !== undefined) {
+      entry.description = description;
+    }
+
+    // Timers stopped within a minute would fail the end-after-start check
+    if (entry.endedAt - entry.startedAt < 60000) {
+      await entry.deleteOne();
+      return null;
+    }
+
+    await entry.save();
+    return entry;
+  }
+
+  /**
+   * Manual entry, either as start/end times or as a number of hours on a date
+   */
+  static async logEntry(workspace, freelancerId, data) {
+    const contract = await this.getContract(workspace);
+    const { startedAt, endedAt } = this.resolveTimes(data);
+
+    if (startedAt > new Date()) {
+      throw new Error('Time cannot be logged in the future');
+    }
+
+    const entry = new TimeEntry({
+      workspace: workspace._id,
+      project: contract.project._id,
+      freelancer: freelancerId,
+      startedAt,
+      endedAt,
+      description: data.description,
+      source: 'manual'
+    });
+
+    await entry.save();
+    return entry;
+  }
+
+  static async updateEntry(workspace, freelancerId, entryId, data) {
+    const entry = await this.findOwnEntry(workspace, freelancerId, entryId);
+    if (!entry.isEditable()) {
+      throw new Error('Submitted or approved time cannot be changed');
+    }
+
+    if (data.startedAt && data.endedAt) {
+      Object.assign(entry, this.resolveTimes(data));
+    } else if (data.date || data.hours) {
+      Object.assign(entry, this.resolveTimes({
+        date: data.date || entry.startedAt,
+        hours: data.hours || entry.minutes / 60
+      }));
+    }
+
+    if (data.description !== undefined) {
+      entry.description = data.description;
+    }
+
+    entry.status = 'logged';
+    entry.reviewNotes = undefined;
+    await entry.save();
+    return entry;
+  }
+
+  static async deleteEntry(workspace, freelancerId, entryId) {
+    const entry = await this.findOwnEntry(workspace, freelancerId, entryId);
+    if (!entry.isEditable() && entry.status !== 'running') {
+      throw new Error('Submitted or approved time cannot be deleted');
+    }
+
+    await entry.deleteOne();
+    return entry;
+  }
+
+  static async findOwnEntry(workspace, freelancerId, entryId) {
+    if (!mongoose.Types.ObjectId.isValid(entryId)) {
+      throw new Error('Time entry not found');
+    }
+
+    const entry = await TimeEntry.findOne({ _id: entryId, workspace: workspace._id, freelancer: freelancerId });
+    if (!entry) {
+      throw new Error('Time entry not found');
+    }
+    return entry;
+  }
+
+  static resolveTimes({ startedAt, endedAt, date, hours }) {
+    if (startedAt && endedAt) {
+      return { startedAt: new Date(startedAt), endedAt: new Date(endedAt) };
+    }
+
+    const parsedHours = parseFloat(hours);
+    if (!date || !Number.isFinite(parsedHours) || parsedHours <= 0) {
+      throw new Error('Provide start and end times, or a date and number of hours');
+    }
+    if (parsedHours * 60 > TimeEntry.MAX_ENTRY_MINUTES) {
+      throw new Error('A single entry cannot exceed 24 hours');
+    }
+
+    const start = new Date(date);
+    return { startedAt: start, endedAt: new Date(start.getTime() + Math.round(parsedHours * 60) * 60000) };
+  }
+
+  // ================================
+  // WEEKLY TIMESHEETS
+  // ================================
+
+  /**
+   * Entries for one week plus the hours and amount they would bill
+   */
+  static async getWeek(workspace, weekStart) {
+    const contract = await this.getContract(workspace);
+
+    const entries = await TimeEntry.find({ workspace: workspace._id, weekStart })
+      .sort({ startedAt: 1 });
+
+    const approvedMinutes = entries
+      .filter(entry => entry.status === 'approved')
+      .reduce((sum, entry) => sum + entry.minutes, 0);
+    const openMinutes = entries
+      .filter(entry => entry.status !== 'approved' && entry.status !== 'running')
+      .reduce((sum, entry) => sum + entry.minutes, 0);
+
+    return {
+      weekStart,
+      entries,
+      contract: {
+        hourlyRate: contract.hourlyRate,
+        weeklyHourLimit: contract.weeklyHourLimit,
+        currency: contract.currency
+      },
+      approvedHours: roundHours(approvedMinutes),
+      pending: this.computeBilling(openMinutes, {
+        ...contract,
+        alreadyBilledHours: await this.getBilledHours(workspace, weekStart)
+      }),
+      status: this.getWeekStatus(entries)
+    };
+  }
+
+  static async getBilledHours(workspace, weekStart) {
+    const billed = await Milestone.find({ workspace: workspace._id, 'timesheet.weekStart': weekStart })
+      .select('timesheet.billableHours');
+    return billed.reduce((sum, milestone) => sum + (milestone.timesheet.billableHours || 0), 0);
+  }
+
+  /**
+   * One row per week with the hours in each state
+   */
+  static async listTimesheets(workspace) {
+    const contract = await this.getContract(workspace);
+
+    const weeks = await TimeEntry.aggregate([
+      { $match: { workspace: workspace._id, status: { $ne: 'running' } } },
+      {
+        $group: {
+          _id: { weekStart: '$weekStart', status: '$status' },
+          minutes: { $sum: '$minutes' },
+          count: { $sum: 1 }
+        }
+      },
+      {
+        $group: {
+          _id: '$_id.weekStart',
+          byStatus: { $push: { status: '$_id.status', minutes: '$minutes', count: '$count' } },
+          totalMinutes: { $sum: '$minutes' }
+        }
+      },
+      { $sort: { _id: -1 } }
+    ]);
+
+    const billed = await Milestone.find({ workspace: workspace._id, 'timesheet.weekStart': { $exists: true } })
+      .select('title amount currency status paymentStatus escrowStatus timesheet');
+
+    return {
+      contract: {
+        hourlyRate: contract.hourlyRate,
+        weeklyHourLimit: contract.weeklyHourLimit,
+        currency: contract.currency
+      },
+      weeks: weeks.map(week => {
+        const hours = week.byStatus.reduce((acc, row) => {
+          acc[row.status] = roundHours(row.minutes);
+          return acc;
+        }, {});
+
+        return {
+          weekStart: week._id,
+          totalHours: roundHours(week.totalMinutes),
+          hours,
+          status: this.getWeekStatus(week.byStatus.map(row => ({ status: row.status }))),
+          billing: billed.filter(milestone => milestone.timesheet.weekStart.getTime() === week._id.getTime())
+        };
+      })
+    };
+  }
+
+  /**
+   * Summary state of a week: open while anything is still being logged or was sent back,
+   * submitted while waiting for the client, approved once everything has been billed
+   */
+  static getWeekStatus(entries) {
+    const statuses = new Set(entries.map(entry => entry.status));
+    statuses.delete('running');
+
+    if (statuses.size === 0) return 'empty';
+    if (statuses.has('rejected')) return 'rejected';
+    if (statuses.has('logged')) return 'open';
+    if (statuses.has('submitted')) return 'submitted';
+    return 'approved';
+  }
+
+  static async submitWeek(workspace, freelancerId, weekStart) {
+    await this.getContract(workspace);
+
+    const result = await TimeEntry.updateMany(
+      { workspace: workspace._id, freelancer: freelancerId, weekStart, status: { $in: ['logged', 'rejected'] } },
+      { $set: { status: 'submitted', submittedAt: new Date() }, $unset: { reviewNotes: 1 } }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw new Error('There is no unsubmitted time for this week');
+    }
+
+    await this.notify(workspace, workspace.client, 'client', {
+      title: '🕒 Timesheet Submitted',
+      body: `Hours for the week of ${weekStart.toDateString()} are ready for your approval.`,
+      event: 'timesheet_submitted',
+      weekStart
+    });
+
+    return this.getWeek(workspace, weekStart);
+  }
+
+  /**
+   * Approve the submitted hours for a week and raise a milestone for them. The client pays it
+   * through the usual escrow flow, and the escrow releases as soon as it's funded.
+   * The entries are claimed before billing, so a double click or a retried request
+   * can't bill the same hours twice.
+   */
+  static async approveWeek(workspace, clientId, weekStart, { notes } = {}) {
+    const contract = await this.getContract(workspace);
+
+    const submitted = await TimeEntry.find({ workspace: workspace._id, weekStart, status: 'submitted' });
+    if (submitted.length === 0) {
+      throw new Error('There is no submitted time to approve for this week');
+    }
+
+    const approvalId = crypto.randomUUID();
+    await TimeEntry.updateMany(
+      { _id: { $in: submitted.map(entry => entry._id) }, status: 'submitted' },
+      {
+        $set: {
+          status: 'approved',
+          approvalId,
+          reviewedAt: new Date(),
+          reviewedBy: clientId,
+          reviewNotes: notes
+        }
+      }
+    );
+    // Another approval may have claimed some or all of them first
+    const claimed = await TimeEntry.find({ workspace: workspace._id, weekStart, approvalId });
+    if (claimed.length === 0) {
+      throw new Error('There is no submitted time to approve for this week');
+    }
+
+    let billing;
+    let milestone = null;
+    try {
+      ({ billing, milestone } = await this.billApprovedEntries(workspace, contract, clientId, weekStart, claimed, notes));
+    } catch (error) {
+      // Leave the week submitted so the client can approve it again
+      await TimeEntry.updateMany(
+        { approvalId, status: 'approved' },
+        { $set: { status: 'submitted' }, $unset: { approvalId: 1, reviewedAt: 1, reviewedBy: 1, reviewNotes: 1 } }
+      );
+      throw error;
+    }
+
+    console.log(`🕒 Timesheet approved for workspace ${workspace._id}, week ${weekStart.toISOString()}: ${billing.billableHours}h billable`);
+
+    await this.notify(workspace, workspace.freelancer, 'freelancer', {
+      title: '✅ Timesheet Approved',
+      body: milestone
+        ? `${billing.billableHours} hours for the week of ${weekStart.toDateString()} were approved (${formatMoney(billing.amount, contract.currency)}).`
+        : `Your hours for the week of ${weekStart.toDateString()} were approved. The weekly limit had already been billed.`,
+      event: 'timesheet_approved',
+      weekStart,
+      milestoneId: milestone?._id
+    });
+
+    return { billing, milestone };
+  }
+
+  /**
+   * Raise the milestone for entries an approval claimed and link them to it
+   */
+  static async billApprovedEntries(workspace, contract, clientId, weekStart, entries, notes) {
+    const alreadyBilledHours = await this.getBilledHours(workspace, weekStart);
+
+    const minutes = entries.reduce((sum, entry) => sum + entry.minutes, 0);
+    const billing = this.computeBilling(minutes, { ...contract, alreadyBilledHours });
+
+    let milestone = null;
+    if (billing.amount > 0) {
+      const lastMilestone = await Milestone.findOne({ workspace: workspace._id }).sort({ order: -1 });
+      const now = new Date();
+
+      milestone = await Milestone.create({
+        workspace: workspace._id,
+        title: `Hours for week of ${weekStart.toDateString()}`,
+        description: `${billing.billableHours} approved hours at ${formatMoney(contract.hourlyRate, contract.currency)}/hour` +
+          (billing.cappedHours > 0 ? ` (${billing.cappedHours} hours over the weekly limit not billed)` : ''),
+        order: lastMilestone ? lastMilestone.order + 1 : 1,
+        amount: billing.amount,
+        currency: contract.currency,
+        dueDate: now,
+        paymentDueDate: new Date(now.getTime() + PAYMENT_DUE_DAYS * 24 * 60 * 60 * 1000),
+        status: 'approved',
+        deliveryStatus: 'delivered',
+        approvedDate: now,
+        reviewedBy: clientId,
+        reviewDate: now,
+        reviewNotes: notes,
+        createdBy: clientId,
+        timesheet: {
+          weekStart,
+          hoursLogged: billing.hoursLogged,
+          billableHours: billing.billableHours,
+          hourlyRate: contract.hourlyRate
+        }
+      });
+
+      await Workspace.updateOne({ _id: workspace._id }, { $inc: { 'stats.totalMilestones': 1 } });
+
+      await TimeEntry.updateMany(
+        { _id: { $in: entries.map(entry => entry._id) } },
+        { $set: { billingMilestone: milestone._id } }
+      );
+    }
+
+    return { billing, milestone };
+  }
+
+  static async rejectWeek(workspace, clientId, weekStart, { notes } = {}) {
+    await this.getContract(workspace);
+
+    if (!notes || !notes.trim()) {
+      throw new Error('Please explain what needs to change');
+    }
+
+    const result = await TimeEntry.updateMany(
+      { workspace: workspace._id, weekStart, status: 'submitted' },
+      { $set: { status: 'rejected', reviewedAt: new Date(), reviewedBy: clientId, reviewNotes: notes.trim() } }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw new Error('There is no submitted time to reject for this week');
+    }
+
+    await this.notify(workspace, workspace.freelancer, 'freelancer', {
+      title: '↩️ Timesheet Returned',
+      body: `Your hours for the week of ${weekStart.toDateString()} need changes: ${notes.trim()}`,
+      event: 'timesheet_rejected',
+      weekStart
+    });
+
+    return this.getWeek(workspace, weekStart);
+  }
+
+  static async notify(workspace, userId, userRole, { title, body, event, weekStart, milestoneId }) {
+    try {
+      await Notification.create({
+        userId: userId._id || userId,
+        userRole,
+        type: 'milestone',
+        title,
+        body,
+        data: {
+          workspaceId: workspace._id,
+          projectId: workspace.project._id || workspace.project,
+          milestoneId,
+          extraData: { event, weekStart }
+        }
+      });
+    } catch (error) {
+      console.error('⚠️ Failed to create timesheet notification:', error);
+    }
+  }
+}
+
+module.exports = TimesheetService;
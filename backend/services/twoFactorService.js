@@ -0,0 +1,219 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  encryptSecret,
+  decryptSecret
+} = require('../utils/totp');
+
+// Fields excluded from normal queries that enrollment and verification need
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes';
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRY = '5m';
+
+// What a challenge token lets the holder do:
+//   login  finish signing in with a code
+//   setup  enroll first, because 2FA is required for the account
+const CHALLENGE_PURPOSES = ['login', 'setup'];
+
+// Signed with a different key from session tokens, so a challenge token is
+// never accepted by the auth middlewares as a way into the API
+const challengeSecret = () => `${process.env.JWT_SECRET || 'your_jwt_secret_key'}:two-factor`;
+
+class TwoFactorService {
+
+  static async findUser(userId) {
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    return user;
+  }
+
+  static getIssuer() {
+    return process.env.TWO_FACTOR_ISSUER || 'WebSphere';
+  }
+
+  /**
+   * Roles that must use two-factor authentication, from TWO_FACTOR_REQUIRED_ROLES (e.g. "admin")
+   */
+  static getRequiredRoles() {
+    return (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+      .split(',')
+      .map(role => role.trim())
+      .filter(Boolean);
+  }
+
+  static isRequiredFor(user) {
+    return Boolean(user.twoFactorRequired) || this.getRequiredRoles().includes(user.role);
+  }
+
+  static getStatus(user) {
+    return {
+      enabled: user.twoFactorEnabled,
+      required: this.isRequiredFor(user),
+      enrolledAt: user.twoFactorEnrolledAt,
+      setupPending: Boolean(user.twoFactorPendingSecret),
+      recoveryCodesRemaining: (user.twoFactorRecoveryCodes || []).filter(code => !code.usedAt).length
+    };
+  }
+
+  /**
+   * Create a new secret for the user to add to their authenticator app.
+   * Nothing changes for sign-in until confirmEnrollment accepts a code from it.
+   */
+  static async startEnrollment(user) {
+    if (user.twoFactorEnabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = encryptSecret(secret);
+    await user.save();
+
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, account: user.email, issuer: this.getIssuer() })
+    };
+  }
+
+  /**
+   * Turn 2FA on once the user proves their app produces valid codes.
+   * Returns the recovery codes in plain text; this is the only time they are shown.
+   */
+  static async confirmEnrollment(user, code) {
+    if (user.twoFactorEnabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+    if (!user.twoFactorPendingSecret) {
+      throw new Error('Start two-factor setup before confirming it');
+    }
+
+    const step = verifyCode(decryptSecret(user.twoFactorPendingSecret), code);
+    if (step === null) {
+      throw new Error('Invalid verification code. Check the time on your device and try again.');
+    }
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorEnabled = true;
+    user.twoFactorEnrolledAt = new Date();
+    user.twoFactorLastUsedStep = step;
+    const recoveryCodes = this.issueRecoveryCodes(user);
+    await user.save();
+
+    return { recoveryCodes };
+  }
+
+  static issueRecoveryCodes(user) {
+    const codes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+    user.twoFactorRecoveryCodes = codes.map(code => ({ hash: hashRecoveryCode(code) }));
+    return codes;
+  }
+
+  /**
+   * Replace every recovery code. Needs a current authenticator code, so a stolen
+   * session alone can't mint new codes.
+   */
+  static async regenerateRecoveryCodes(user, code) {
+    if (!user.twoFactorEnabled) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+    if (!this.verifyTotp(user, code)) {
+      throw new Error('Invalid verification code');
+    }
+
+    const recoveryCodes = this.issueRecoveryCodes(user);
+    await user.save();
+    return { recoveryCodes };
+  }
+
+  static async disable(user) {
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = null;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorEnrolledAt = null;
+    user.twoFactorLastUsedStep = null;
+    user.twoFactorRecoveryCodes = [];
+    await user.save();
+  }
+
+  /**
+   * Accept an authenticator code once: a code whose time step was already used is refused.
+   * Updates the user without saving.
+   */
+  static verifyTotp(user, code) {
+    if (!user.twoFactorSecret) return false;
+
+    const step = verifyCode(decryptSecret(user.twoFactorSecret), code);
+    if (step === null) return false;
+    if (user.twoFactorLastUsedStep !== null && user.twoFactorLastUsedStep !== undefined &&
+        step <= user.twoFactorLastUsedStep) {
+      return false;
+    }
+
+    user.twoFactorLastUsedStep = step;
+    return true;
+  }
+
+  /**
+   * Check a sign-in code: an authenticator code, or an unused recovery code (which is spent).
+   * Returns 'totp', 'recovery' or null. Updates the user without saving.
+   */
+  static verifyLoginCode(user, code) {
+    if (this.verifyTotp(user, code)) {
+      return 'totp';
+    }
+
+    const hash = hashRecoveryCode(code);
+    const recovery = (user.twoFactorRecoveryCodes || []).find(entry => !entry.usedAt && entry.hash === hash);
+    if (recovery) {
+      recovery.usedAt = new Date();
+      return 'recovery';
+    }
+
+    return null;
+  }
+
+  /**
+   * Short-lived pre-auth token handed out after the password step
+   */
+  static createChallengeToken(user, purpose) {
+    if (!CHALLENGE_PURPOSES.includes(purpose)) {
+      throw new Error(`Unknown challenge purpose: ${purpose}`);
+    }
+    return jwt.sign(
+      { userId: user._id, purpose },
+      challengeSecret(),
+      { expiresIn: CHALLENGE_EXPIRY }
+    );
+  }
+
+  /**
+   * Returns the user id from a challenge token issued for `purpose`
+   */
+  static verifyChallengeToken(token, purpose) {
+    if (!token) {
+      throw new Error('Sign-in session is missing. Please log in again.');
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, challengeSecret());
+    } catch (error) {
+      throw new Error('Your sign-in session has expired. Please log in again.');
+    }
+
+    if (decoded.purpose !== purpose) {
+      throw new Error('Invalid sign-in session. Please log in again.');
+    }
+    return decoded.userId;
+  }
+}
+
+module.exports = TwoFactorService;
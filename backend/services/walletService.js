@@ -0,0 +1,316 @@
+const Wallet = require('../models/Wallet');
+const WithdrawalRequest = require('../models/WithdrawalRequest');
+const Escrow = require('../models/Escrow');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const LedgerService = require('./ledgerService');
+const CurrencyService = require('./currencyService');
+const { formatMoney } = require('../utils/currency');
+const { getPayoutProvider } = require('./payouts');
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+const DEFAULT_MIN_WITHDRAWAL = 500;
+
+class WalletService {
+
+  /**
+   * Smallest amount a freelancer can withdraw in one request (MIN_WITHDRAWAL_AMOUNT, ₹500 by default)
+   */
+  static getMinimumWithdrawal() {
+    const configured = parseFloat(process.env.MIN_WITHDRAWAL_AMOUNT);
+    return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_MIN_WITHDRAWAL;
+  }
+
+  static getWallet(userId) {
+    return Wallet.findOneAndUpdate(
+      { user: userId },
+      { $setOnInsert: { user: userId } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  /**
+   * Wallet balances plus the amount still held in escrow for the freelancer's active milestones.
+   * Escrows are converted at the rate they were funded at, so the total is in the base currency like the wallet.
+   */
+  static async getWalletSummary(userId) {
+    const wallet = await this.getWallet(userId);
+
+    const held = await Escrow.find({ freelancer: wallet.user, status: { $in: ['active', 'disputed', 'resolving'] } })
+      .select('amountToFreelancer currency fxSnapshot');
+    const inEscrow = held.reduce((sum, escrow) => sum + CurrencyService.toBase(escrow.amountToFreelancer || 0, escrow), 0);
+
+    return {
+      ...wallet.toObject(),
+      inEscrow: roundCurrency(inEscrow),
+      minimumWithdrawal: this.getMinimumWithdrawal()
+    };
+  }
+
+  /**
+   * Released escrow money becomes withdrawable
+   */
+  static async creditEarnings(freelancerId, amount) {
+    if (!amount || amount <= 0) return null;
+
+    const wallet = await Wallet.findOneAndUpdate(
+      { user: freelancerId },
+      { $inc: { availableBalance: roundCurrency(amount), totalEarned: roundCurrency(amount) } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    console.log(`👛 Credited ₹${amount} to wallet of freelancer ${freelancerId}`);
+    return wallet;
+  }
+
+  /**
+   * Move a withdrawal's amount back from pending to available (rejected, cancelled or failed payout)
+   */
+  static releaseReservation(withdrawal) {
+    return Wallet.findOneAndUpdate(
+      { user: withdrawal.freelancer },
+      { $inc: { availableBalance: withdrawal.amount, pendingBalance: -withdrawal.amount } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Freelancer asks to withdraw part of their available balance to a saved payout method
+   */
+  static async requestWithdrawal(freelancerId, { amount, payoutMethodId }) {
+    const requested = roundCurrency(parseFloat(amount));
+    const minimum = this.getMinimumWithdrawal();
+
+    if (!Number.isFinite(requested) || requested <= 0) {
+      throw new Error('Please enter a valid amount');
+    }
+
+    if (requested < minimum) {
+      throw new Error(`Minimum withdrawal amount is ${formatMoney(minimum, CurrencyService.getBaseCurrency())}`);
+    }
+
+    const user = await User.findById(freelancerId).select('+payoutMethods');
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const method = payoutMethodId
+      ? user.payoutMethods.id(payoutMethodId)
+      : user.payoutMethods.find(item => item.isDefault) || user.payoutMethods[0];
+
+    if (!method) {
+      throw new Error('Please add a bank account or UPI ID before withdrawing');
+    }
+
+    // Reserve the amount atomically so two requests can't spend the same balance
+    const wallet = await Wallet.findOneAndUpdate(
+      { user: freelancerId, availableBalance: { $gte: requested } },
+      { $inc: { availableBalance: -requested, pendingBalance: requested } },
+      { new: true }
+    );
+
+    if (!wallet) {
+      throw new Error('Insufficient available balance');
+    }
+
+    try {
+      const withdrawal = await WithdrawalRequest.create({
+        freelancer: freelancerId,
+        amount: requested,
+        currency: wallet.currency,
+        payoutMethod: {
+          methodId: method._id,
+          type: method.type,
+          accountHolderName: method.accountHolderName,
+          accountNumber: method.accountNumber,
+          ifsc: method.ifsc,
+          bankName: method.bankName,
+          upiId: method.upiId
+        }
+      });
+
+      console.log(`💸 Withdrawal requested: ₹${requested} by freelancer ${freelancerId}`);
+      return withdrawal;
+    } catch (error) {
+      await this.releaseReservation({ freelancer: freelancerId, amount: requested });
+      throw error;
+    }
+  }
+
+  /**
+   * Freelancer withdraws a request that an admin hasn't picked up yet
+   */
+  static async cancelWithdrawal(withdrawalId, freelancerId) {
+    const withdrawal = await WithdrawalRequest.findOneAndUpdate(
+      { _id: withdrawalId, freelancer: freelancerId, status: 'pending' },
+      { status: 'cancelled', cancelledAt: new Date() },
+      { new: true }
+    );
+
+    if (!withdrawal) {
+      throw new Error('Only pending withdrawal requests can be cancelled');
+    }
+
+    await this.releaseReservation(withdrawal);
+    return withdrawal;
+  }
+
+  /**
+   * Admin declines a request; the amount goes back to the freelancer's available balance
+   */
+  static async rejectWithdrawal(withdrawalId, adminId, reason) {
+    if (!reason || !reason.trim()) {
+      throw new Error('Please provide a reason for rejecting the withdrawal');
+    }
+
+    const withdrawal = await WithdrawalRequest.findOneAndUpdate(
+      { _id: withdrawalId, status: 'pending' },
+      { status: 'rejected', reviewedBy: adminId, reviewedAt: new Date(), rejectionReason: reason.trim() },
+      { new: true }
+    );
+
+    if (!withdrawal) {
+      throw new Error('Withdrawal request not found or already reviewed');
+    }
+
+    await this.releaseReservation(withdrawal);
+    await this.notifyFreelancer(withdrawal, {
+      title: 'Withdrawal Request Rejected',
+      body: `Your withdrawal of ${formatMoney(withdrawal.amount, withdrawal.currency)} was rejected: ${withdrawal.rejectionReason}. The amount is back in your available balance.`
+    });
+
+    return withdrawal;
+  }
+
+  /**
+   * Admin approves a request and the payout provider is asked to send the money
+   */
+  static async approveWithdrawal(withdrawalId, adminId) {
+    const provider = getPayoutProvider();
+
+    const withdrawal = await WithdrawalRequest.findOneAndUpdate(
+      { _id: withdrawalId, status: 'pending' },
+      { status: 'processing', reviewedBy: adminId, reviewedAt: new Date(), provider: provider.name },
+      { new: true }
+    ).populate('freelancer', 'fullName');
+
+    if (!withdrawal) {
+      throw new Error('Withdrawal request not found or already reviewed');
+    }
+
+    let result;
+    try {
+      result = await provider.createPayout({
+        amount: withdrawal.amount,
+        currency: withdrawal.currency,
+        destination: withdrawal.payoutMethod,
+        reference: `withdrawal_${withdrawal._id}`,
+        narration: 'WebSphere earnings',
+        contactName: withdrawal.freelancer?.fullName
+      });
+    } catch (error) {
+      console.error('❌ Payout provider error:', error.message);
+      result = { status: 'failed', failureReason: error.message };
+    }
+
+    return this.applyPayoutResult(withdrawal, result, adminId);
+  }
+
+  /**
+   * Record what the provider said about a processing payout. Transitions are guarded on
+   * status so the approval call and the sync job can't both settle the same payout.
+   */
+  static async applyPayoutResult(withdrawal, result, actorId = null) {
+    const update = {
+      providerPayoutId: result.id || withdrawal.providerPayoutId,
+      providerStatus: result.providerStatus || result.status
+    };
+
+    if (result.status === 'paid') {
+      update.status = 'paid';
+      update.paidAt = new Date();
+    } else if (result.status === 'failed') {
+      update.status = 'failed';
+      update.failureReason = result.failureReason || 'Payout failed';
+    }
+
+    const updated = await WithdrawalRequest.findOneAndUpdate(
+      { _id: withdrawal._id, status: 'processing' },
+      update,
+      { new: true }
+    );
+
+    if (!updated) {
+      return WithdrawalRequest.findById(withdrawal._id);
+    }
+
+    if (updated.status === 'paid') {
+      await Wallet.findOneAndUpdate(
+        { user: updated.freelancer },
+        { $inc: { pendingBalance: -updated.amount, totalWithdrawn: updated.amount } }
+      );
+      await LedgerService.recordPayoutCompleted(updated, actorId);
+      await this.notifyFreelancer(updated, {
+        title: '💸 Withdrawal Paid',
+        body: `${formatMoney(updated.amount, updated.currency)} has been sent to your ${updated.payoutMethod.type === 'upi' ? 'UPI ID' : 'bank account'}.`
+      });
+      console.log(`✅ Withdrawal ${updated._id} paid (${updated.providerPayoutId})`);
+    } else if (updated.status === 'failed') {
+      await this.releaseReservation(updated);
+      await this.notifyFreelancer(updated, {
+        title: 'Withdrawal Failed',
+        body: `Your withdrawal of ${formatMoney(updated.amount, updated.currency)} could not be paid: ${updated.failureReason}. The amount is back in your available balance.`
+      });
+      console.log(`❌ Withdrawal ${updated._id} failed: ${updated.failureReason}`);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Poll the provider for payouts that were accepted but not yet settled
+   */
+  static async syncProcessingPayouts() {
+    const provider = getPayoutProvider();
+    const processing = await WithdrawalRequest.find({
+      status: 'processing',
+      provider: provider.name,
+      providerPayoutId: { $exists: true, $ne: null }
+    });
+
+    let settledCount = 0;
+    for (const withdrawal of processing) {
+      try {
+        const result = await provider.fetchPayout(withdrawal.providerPayoutId);
+        const updated = await this.applyPayoutResult(withdrawal, result);
+        if (updated && updated.status !== 'processing') {
+          settledCount++;
+        }
+      } catch (error) {
+        console.error(`❌ Failed to sync payout for withdrawal ${withdrawal._id}:`, error.message);
+      }
+    }
+
+    return settledCount;
+  }
+
+  static async notifyFreelancer(withdrawal, { title, body }) {
+    try {
+      await Notification.create({
+        userId: withdrawal.freelancer._id || withdrawal.freelancer,
+        userRole: 'freelancer',
+        type: 'payment',
+        title,
+        body,
+        data: {
+          extraData: { withdrawalId: withdrawal._id, status: withdrawal.status }
+        }
+      });
+    } catch (notificationError) {
+      console.error('⚠️ Failed to create withdrawal notification:', notificationError);
+    }
+  }
+}
+
+module.exports = WalletService;
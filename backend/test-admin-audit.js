@@ -0,0 +1,269 @@
+/**
+ * Test Admin Audit Log
+ * Runs without a database: checks before/after diffs and secret redaction,
+ * that the admin middleware writes one entry per action (successful or
+ * failed) with the request's IP and reason, that a service-level entry
+ * replaces the middleware's, and that entries can't be changed or deleted.
+ */
+
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const AdminAuditLog = require('./models/AdminAuditLog');
+const User = require('./models/User');
+const AuditService = require('./services/auditService');
+const { auditAdminRequests, auditAction } = require('./middlewares/adminAudit');
+
+let allPassed = true;
+const check = (label, actual, expected) => {
+  const passed = actual === expected;
+  if (!passed) allPassed = false;
+  console.log(`  ${label}: ${actual} ${passed ? '✅' : `❌ (expected ${expected})`}`);
+};
+
+const adminId = new mongoose.Types.ObjectId().toString();
+const userId = new mongoose.Types.ObjectId().toString();
+
+// Entries are collected instead of saved
+let written = [];
+AdminAuditLog.create = async (entry) => {
+  written.push(entry);
+  return { ...entry, _id: new mongoose.Types.ObjectId() };
+};
+User.findById = () => ({
+  select: () => ({ lean: async () => ({ email: 'admin@example.com', fullName: 'Asha Admin' }) })
+});
+
+// Stand-in model whose record changes between the before and after snapshots
+const fakeModel = (states) => ({
+  modelName: 'User',
+  findById: () => ({ lean: async () => states.shift() })
+});
+
+const fakeRequest = ({ method = 'PATCH', body = {}, params = {}, role = 'admin' } = {}) => ({
+  method,
+  body,
+  params,
+  originalUrl: `/api/admin/users/${userId}/deactivate`,
+  baseUrl: '/api/admin',
+  path: `/users/${userId}/deactivate`,
+  headers: { 'x-forwarded-for': '203.0.113.7, 10.0.0.1', 'user-agent': 'Mozilla/5.0 Test' },
+  user: { userId: adminId, role }
+});
+
+const fakeResponse = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+// Runs middlewares then the handler, sends 'finish' and waits for the entry
+const runRequest = async (req, res, middlewares, handler) => {
+  const chain = [...middlewares, handler];
+  const step = async (index) => {
+    if (index < chain.length) {
+      await chain[index](req, res, () => step(index + 1));
+    }
+  };
+  await step(0);
+  res.emit('finish');
+  await new Promise(resolve => setTimeout(resolve, 10));
+};
+
+console.log('\n🧪 TESTING ADMIN AUDIT LOG\n');
+
+const runDiffTests = async () => {
+  console.log('📋 Before/after diffs');
+  const before = {
+    _id: new mongoose.Types.ObjectId(userId),
+    isActive: true,
+    deactivatedAt: null,
+    profile: { city: 'Pune', skills: ['react'] },
+    password: 'old-hash',
+    updatedAt: new Date('2026-01-01'),
+    __v: 1
+  };
+  const after = {
+    ...before,
+    isActive: false,
+    deactivatedAt: new Date('2026-02-01T10:00:00Z'),
+    profile: { city: 'Pune', skills: ['react', 'node'] },
+    password: 'new-hash',
+    updatedAt: new Date('2026-02-01'),
+    __v: 2
+  };
+
+  const changes = AuditService.diff(before, after);
+  const byPath = Object.fromEntries(changes.map(change => [change.path, change]));
+
+  check('Changed paths', changes.map(change => change.path).join(','), 'deactivatedAt,isActive,password,profile.skills');
+  check('Boolean before', byPath.isActive.before, true);
+  check('Boolean after', byPath.isActive.after, false);
+  check('Date stored as ISO', byPath.deactivatedAt.after, '2026-02-01T10:00:00.000Z');
+  check('Arrays compared whole', JSON.stringify(byPath['profile.skills'].after), '["react","node"]');
+  check('Password redacted', byPath.password.after, '[redacted]');
+  check('Nested secrets redacted', AuditService.diff({ twoFactorRecoveryCodes: ['a'] }, { twoFactorRecoveryCodes: ['b'] })[0].before, '[redacted]');
+  check('Deleted record', AuditService.diff({ email: 'x@example.com' }, null)[0].after, null);
+  check('Nothing changed', AuditService.diff(before, { ...before }).length, 0);
+};
+
+const runMiddlewareTests = async () => {
+  console.log('\n📋 Middleware');
+
+  written = [];
+  const req = fakeRequest({ body: { reason: 'Repeated low ratings' }, params: { userId } });
+  const res = fakeResponse();
+  const model = fakeModel([
+    { _id: userId, email: 'freelancer@example.com', isActive: true },
+    { _id: userId, email: 'freelancer@example.com', isActive: false }
+  ]);
+  await runRequest(req, res, [auditAdminRequests, auditAction('user.deactivate', { model, param: 'userId' })], (req, res) => {
+    res.json({ success: true, message: 'Freelancer deactivated' });
+  });
+
+  const entry = written[0];
+  check('One entry written', written.length, 1);
+  check('Action', entry?.action, 'user.deactivate');
+  check('Actor', String(entry?.actor), adminId);
+  check('Actor email looked up', entry?.actorEmail, 'admin@example.com');
+  check('Target', `${entry?.targetType} ${entry?.targetId}`, `User ${userId}`);
+  check('Target label', entry?.targetLabel, 'freelancer@example.com');
+  check('IP from the proxy header', entry?.ip, '203.0.113.7');
+  check('Reason from the body', entry?.reason, 'Repeated low ratings');
+  check('Response message kept', entry?.message, 'Freelancer deactivated');
+  check('Diff recorded', entry?.changes.map(change => `${change.path}:${change.before}->${change.after}`).join(), 'isActive:true->false');
+
+  written = [];
+  const failedRes = fakeResponse();
+  await runRequest(fakeRequest({ params: { userId } }), failedRes, [auditAdminRequests, auditAction('user.restore', { model: fakeModel([{ isDeleted: false }]), param: 'userId' })], (req, res) => {
+    res.status(400).json({ success: false, message: 'User is not deleted' });
+  });
+  check('Failure recorded', written[0]?.outcome, 'failure');
+  check('Failure status code', written[0]?.statusCode, 400);
+  check('Failure has no changes', written[0]?.changes.length, 0);
+
+  written = [];
+  await runRequest(fakeRequest({ method: 'GET' }), fakeResponse(), [auditAdminRequests], (req, res) => {
+    res.json({ success: true });
+  });
+  check('Reads not recorded', written.length, 0);
+
+  written = [];
+  await runRequest(fakeRequest({ role: 'client' }), fakeResponse(), [auditAdminRequests], (req, res) => {
+    res.status(403).json({ success: false, message: 'Access denied. Admin privileges required.' });
+  });
+  check('Non-admins not recorded', written.length, 0);
+
+  written = [];
+  await runRequest(fakeRequest({ method: 'DELETE' }), fakeResponse(), [auditAdminRequests], (req, res) => {
+    res.json({ success: true, message: 'Done' });
+  });
+  check('Unlabelled route falls back to method and path', written[0]?.action, `DELETE /api/admin/users/${userId}/deactivate`);
+};
+
+const runServiceTests = async () => {
+  console.log('\n📋 Service entries');
+
+  written = [];
+  await runRequest(fakeRequest({ params: { escrowId: 'e1' } }), fakeResponse(), [auditAdminRequests, auditAction('escrow.release')], async (req, res) => {
+    // What EscrowService.releaseFunds does for an admin release
+    await AuditService.record({
+      actor: adminId,
+      action: 'escrow.release',
+      targetType: 'Escrow',
+      targetId: 'e1',
+      before: { status: 'active' },
+      after: { status: 'released' },
+      reason: 'Client unresponsive'
+    });
+    res.json({ success: true, message: 'Funds released' });
+  });
+  check('Service entry replaces the middleware one', written.length, 1);
+  check('Service entry has the request IP', written[0]?.ip, '203.0.113.7');
+  check('Service entry diff', written[0]?.changes[0]?.after, 'released');
+
+  written = [];
+  await AuditService.record({ actor: adminId, action: 'escrow.retry-refund', targetType: 'Escrow', targetId: 'e2' });
+  check('Outside a request the service still records', written.length, 1);
+  check('No request IP outside a request', written[0]?.ip, undefined);
+
+  written = [];
+  await AuditService.record({ actor: 'system', action: 'escrow.release' });
+  check('System actions are not attributed to an admin', written.length, 0);
+
+  const originalCreate = AdminAuditLog.create;
+  AdminAuditLog.create = async () => { throw new Error('write failed'); };
+  check('Failed writes do not throw', await AuditService.record({ actor: adminId, action: 'user.restore' }), null);
+  AdminAuditLog.create = originalCreate;
+};
+
+const runExportTests = async () => {
+  console.log('\n📋 Export and filters');
+  const csv = AuditService.toCsv([{
+    createdAt: new Date('2026-03-01T09:30:00Z'),
+    actor: adminId,
+    actorEmail: 'admin@example.com',
+    action: 'user.deactivate',
+    outcome: 'success',
+    reason: 'Said "no", twice',
+    changes: [{ path: 'isActive', before: true, after: false }]
+  }]);
+  const [header, row] = csv.split('\n');
+  check('CSV header', header.startsWith('time,actor,action,outcome'), true);
+  check('CSV quotes escaped', row.includes('"Said ""no"", twice"'), true);
+  check('CSV changes', row.includes('isActive: true -> false'), true);
+
+  const query = AuditService.buildQuery({ actor: 'admin@', to: '2026-03-01', outcome: 'failure' });
+  check('Actor email searched', query.actorEmail instanceof RegExp, true);
+  check('End date covers the whole day', query.createdAt.$lte.toISOString(), '2026-03-01T23:59:59.999Z');
+  check('Actor id matched exactly', AuditService.buildQuery({ actor: adminId }).actor, adminId);
+
+  let message = null;
+  try {
+    AuditService.buildQuery({ from: 'not a date' });
+  } catch (error) {
+    message = error.message;
+  }
+  check('Bad dates rejected', message, 'Invalid date range');
+};
+
+const runImmutabilityTests = async () => {
+  console.log('\n📋 Immutability');
+  const entry = new AdminAuditLog({ actor: adminId, action: 'user.restore' });
+  entry.isNew = false;
+  entry.reason = 'edited later';
+
+  let saveError = null;
+  try {
+    await entry.save();
+  } catch (error) {
+    saveError = error.message;
+  }
+  check('Saving an existing entry rejected', saveError, 'Audit log entries cannot be changed');
+
+  for (const operation of ['updateOne', 'deleteMany', 'findOneAndDelete']) {
+    let queryError = null;
+    try {
+      await AdminAuditLog[operation]({ action: 'user.restore' });
+    } catch (error) {
+      queryError = error.message;
+    }
+    check(`${operation} rejected`, queryError, 'Audit log entries cannot be changed');
+  }
+};
+
+Promise.resolve()
+  .then(runDiffTests)
+  .then(runMiddlewareTests)
+  .then(runServiceTests)
+  .then(runExportTests)
+  .then(runImmutabilityTests)
+  .catch((error) => {
+    allPassed = false;
+    console.error('❌ Admin audit test crashed:', error);
+  })
+  .finally(() => {
+    console.log('\n' + '═'.repeat(70));
+    console.log(`\n${allPassed ? '✅ ALL TESTS PASSED!' : '❌ SOME TESTS FAILED'}\n`);
+  });
@@ -0,0 +1,136 @@
+/**
+ * Test Admin Roles
+ * Runs without a database: checks what each predefined and custom admin role
+ * may do, role assignment validation, the requirePermission guard, and that
+ * every admin route names the permission it needs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const User = require('./models/User');
+const {
+  ADMIN_ROLES,
+  permissionsFor,
+  hasPermission,
+  resolveAdminAccess
+} = require('./utils/adminRoles');
+const { requirePermission } = require('./middlewares/adminPermissions');
+
+let allPassed = true;
+const check = (label, actual, expected) => {
+  const passed = actual === expected;
+  if (!passed) allPassed = false;
+  console.log(`  ${label}: ${actual} ${passed ? '✅' : `❌ (expected ${expected})`}`);
+};
+
+const admin = (fields = {}) => ({ role: 'admin', isActive: true, isDeleted: false, ...fields });
+
+const errorOf = (fn) => {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// Stored admins the guard looks up, by id
+const accounts = {};
+User.findById = (id) => ({
+  select: () => ({ lean: async () => accounts[id] || null })
+});
+
+const runGuard = async (guard, user) => {
+  const req = { user };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let passed = false;
+  await guard(req, res, () => { passed = true; });
+  return { passed, res, req };
+};
+
+console.log('\n🧪 TESTING ADMIN ROLES\n');
+
+const runRoleTests = async () => {
+  console.log('📋 Predefined roles');
+  check('Super admin can manage admins', hasPermission(admin({ adminRole: 'super-admin' }), 'admins.manage'), true);
+  check('Admins from before roles keep full access', permissionsFor(admin()).length, ADMIN_ROLES['super-admin'].permissions.length);
+  check('Support can view escrows', hasPermission(admin({ adminRole: 'support' }), 'escrows.view'), true);
+  check('Support cannot hard-delete users', hasPermission(admin({ adminRole: 'support' }), 'users.delete'), false);
+  check('Support cannot release escrows', hasPermission(admin({ adminRole: 'support' }), 'escrows.release'), false);
+  check('Finance can approve withdrawals', hasPermission(admin({ adminRole: 'finance' }), 'withdrawals.manage'), true);
+  check('Finance cannot suspend users', hasPermission(admin({ adminRole: 'finance' }), 'users.suspend'), false);
+  check('Moderator can suspend users', hasPermission(admin({ adminRole: 'moderator' }), 'users.suspend'), true);
+  check('Moderator cannot resolve disputes', hasPermission(admin({ adminRole: 'moderator' }), 'disputes.resolve'), false);
+  check('Only super admins manage admins', Object.entries(ADMIN_ROLES)
+    .filter(([, role]) => role.permissions.includes('admins.manage'))
+    .map(([key]) => key)
+    .join(','), 'super-admin');
+
+  console.log('\n📋 Custom roles and non-admins');
+  const custom = admin({ adminRole: 'custom', adminPermissions: ['ledger.view', 'not.a.permission'] });
+  check('Custom permissions', permissionsFor(custom).join(','), 'ledger.view');
+  check('Clients have no admin permissions', permissionsFor({ role: 'client', adminRole: 'super-admin' }).length, 0);
+  check('Deleted admins have none', permissionsFor(admin({ isDeleted: true })).length, 0);
+  check('Deactivated admins have none', permissionsFor(admin({ isActive: false })).length, 0);
+};
+
+const runAssignmentTests = async () => {
+  console.log('\n📋 Assigning roles');
+  check('Predefined role drops the permission list', resolveAdminAccess('finance', ['users.delete']).adminPermissions.length, 0);
+  check('Custom role keeps its permissions', resolveAdminAccess('custom', ['audit.view', 'audit.view']).adminPermissions.join(','), 'audit.view');
+  check('Unknown role rejected', errorOf(() => resolveAdminAccess('owner')).startsWith('Admin role must be one of'), true);
+  check('Empty custom role rejected', errorOf(() => resolveAdminAccess('custom', [])), 'A custom role needs at least one permission');
+  check('Unknown permission rejected', errorOf(() => resolveAdminAccess('custom', ['users.view', 'users.everything'])), 'Unknown permissions: users.everything');
+};
+
+const runGuardTests = async () => {
+  console.log('\n📋 requirePermission');
+  accounts.support = admin({ adminRole: 'support' });
+  accounts.finance = admin({ adminRole: 'finance' });
+  accounts.gone = admin({ isDeleted: true });
+
+  const allowed = await runGuard(requirePermission('escrows.view'), { userId: 'support', role: 'admin' });
+  check('Support may view escrows', allowed.passed, true);
+  check('Access kept on the request', allowed.req.adminAccess?.adminRole, 'support');
+
+  const denied = await runGuard(requirePermission('users.delete'), { userId: 'support', role: 'admin' });
+  check('Support may not hard-delete', denied.passed, false);
+  check('Denied with 403', denied.res.statusCode, 403);
+  check('Missing permission reported', denied.res.body?.missingPermissions.join(','), 'users.delete');
+
+  check('Every listed permission needed', (await runGuard(requirePermission('escrows.release', 'users.suspend'), { userId: 'finance', role: 'admin' })).passed, false);
+  check('Any admin passes a bare guard', (await runGuard(requirePermission(), { userId: 'support', role: 'admin' })).passed, true);
+  check('Non-admin token rejected', (await runGuard(requirePermission(), { userId: 'support', role: 'client' })).res.statusCode, 403);
+  check('Deleted admin rejected', (await runGuard(requirePermission(), { userId: 'gone', role: 'admin' })).passed, false);
+};
+
+const runRouteTests = async () => {
+  console.log('\n📋 Routes');
+  const source = fs.readFileSync(path.join(__dirname, 'routes/admin.js'), 'utf8');
+  const routes = source.split('\n').filter(line => /^router\.(get|post|put|patch|delete)\(/.test(line));
+  const unguarded = routes.filter(line => !/requirePermission\(/.test(line));
+  check('Admin routes found', routes.length > 30, true);
+  check('Admin routes without a permission', unguarded.map(line => line.split(',')[0]).join('; ') || 'none', 'none');
+
+  const payments = fs.readFileSync(path.join(__dirname, 'routes/payments.js'), 'utf8');
+  const adminPaymentRoutes = payments.split('\n').filter(line => line.includes("auth(['admin'])"));
+  check('Admin payment routes checked', adminPaymentRoutes.every(line => line.includes('requirePermission(')), true);
+};
+
+Promise.resolve()
+  .then(runRoleTests)
+  .then(runAssignmentTests)
+  .then(runGuardTests)
+  .then(runRouteTests)
+  .catch((error) => {
+    allPassed = false;
+    console.error('❌ Admin roles test crashed:', error);
+  })
+  .finally(() => {
+    console.log('\n' + '═'.repeat(70));
+    console.log(`\n${allPassed ? '✅ ALL TESTS PASSED!' : '❌ SOME TESTS FAILED'}\n`);
+  });
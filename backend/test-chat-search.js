@@ -0,0 +1,129 @@
+/**
+ * Test Chat Search and Message Pagination
+ * Runs without a database: exercises the query parsing, filters, cursors and
+ * snippet highlighting behind GET /api/chats/search and GET /api/chats/:chatId.
+ */
+
+const mongoose = require('mongoose');
+const ChatHistoryService = require('./services/chatHistoryService');
+
+let allPassed = true;
+const check = (label, actual, expected) => {
+  const passed = actual === expected;
+  if (!passed) allPassed = false;
+  console.log(`  ${label}: ${actual} ${passed ? '✅' : `❌ (expected ${expected})`}`);
+};
+
+const parseError = (query) => {
+  try {
+    ChatHistoryService.parseSearchQuery(query);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+const userId = new mongoose.Types.ObjectId().toString();
+const chatIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+
+const renderSnippet = (segments) => segments
+  .map(segment => (segment.match ? `[${segment.text}]` : segment.text))
+  .join('');
+
+console.log('\n🧪 TESTING CHAT SEARCH AND PAGINATION\n');
+console.log('═'.repeat(70));
+
+const runParseTests = () => {
+  console.log('\n📝 Parsing search queries');
+  const filters = ChatHistoryService.parseSearchQuery({ q: '  logo   final ', limit: '500' });
+  check('Words split on whitespace', filters.terms.join(','), 'logo,final');
+  check('Limit capped', filters.limit, 50);
+
+  const ranged = ChatHistoryService.parseSearchQuery({ from: '2026-03-01', to: '2026-03-31' });
+  check('Filters alone are enough', ranged.terms.length, 0);
+  check('Date-only "to" covers the whole day', ranged.to.toISOString(), '2026-03-31T23:59:59.999Z');
+
+  check('Empty search rejected', parseError({}), 'Enter search words or choose at least one filter');
+  check('Unknown type rejected', parseError({ q: 'x', type: 'video' }), 'Message type must be one of: text, file, system, offer');
+  check('Bad sender rejected', parseError({ q: 'x', sender: 'someone' }), 'Sender must be "me", "others" or a user id');
+  check('Bad date rejected', parseError({ q: 'x', from: 'yesterday' }), 'Invalid from date');
+  check('Reversed range rejected', parseError({ from: '2026-04-01', to: '2026-03-01' }), 'The from date must be before the to date');
+  check('Offers are a type', ChatHistoryService.parseSearchQuery({ type: 'offer' }).type, 'offer');
+};
+
+const runFilterTests = () => {
+  console.log('\n🔎 Building the search filter');
+  const filters = ChatHistoryService.parseSearchQuery({
+    q: 'budget (v2)',
+    sender: 'others',
+    type: 'file',
+    hasAttachments: 'true',
+    from: '2026-01-01'
+  });
+  const filter = ChatHistoryService.buildSearchFilter(userId, chatIds, filters);
+
+  check('Limited to the user\'s chats', filter.chat.$in.length, 2);
+  check('Deleted messages excluded', filter.deleted.$ne, true);
+  check('Every word must match', filter.$and.length, 2);
+  check('Regex characters escaped', filter.$and[1].content.$regex, '\\(v2\\)');
+  check('Case-insensitive', filter.$and[0].content.$options, 'i');
+  check('Others excludes the user', filter.sender.$ne, userId);
+  check('Type filter', filter.messageType, 'file');
+  check('Attachment filter', filter['attachments.0'].$exists, true);
+  check('From date', filter.createdAt.$gte.toISOString(), '2026-01-01T00:00:00.000Z');
+  check('No upper bound without "to"', filter.createdAt.$lte, undefined);
+
+  const mine = ChatHistoryService.buildSearchFilter(userId, chatIds, ChatHistoryService.parseSearchQuery({ sender: 'me' }));
+  check('Me is the user', mine.sender, userId);
+  check('No word clauses without words', mine.$and, undefined);
+};
+
+const runCursorTests = () => {
+  console.log('\n📜 Cursors');
+  const anchor = { _id: new mongoose.Types.ObjectId(), createdAt: new Date('2026-02-01T10:00:00Z') };
+
+  const older = ChatHistoryService.cursorFilter(anchor, 'before');
+  check('Older by time', older.$or[0].createdAt.$lt.toISOString(), '2026-02-01T10:00:00.000Z');
+  check('Ties broken by id', older.$or[1]._id.$lt.toString(), anchor._id.toString());
+
+  const newer = ChatHistoryService.cursorFilter(anchor, 'after');
+  check('Newer by time', newer.$or[0].createdAt.$gt.toISOString(), '2026-02-01T10:00:00.000Z');
+
+  const messages = [{ _id: 'a' }, { _id: 'b' }];
+  const pagination = ChatHistoryService.paginationFor(messages, [{ _id: 'd' }], true, false, 50, { _id: 'c' });
+  check('Oldest cursor', pagination.oldestCursor, 'a');
+  check('Newest cursor', pagination.newestCursor, 'd');
+  check('Has older', pagination.hasOlder, true);
+  check('Has newer', pagination.hasNewer, false);
+  check('Empty page has no cursor', ChatHistoryService.paginationFor([], [], false, false, 50).oldestCursor, null);
+};
+
+const runHighlightTests = () => {
+  console.log('\n🖍️ Snippets');
+  check('Matches marked', renderSnippet(ChatHistoryService.highlight('Logo is final, final!', ['final'])), 'Logo is [final], [final]!');
+  check('Case kept, match case-insensitive', renderSnippet(ChatHistoryService.highlight('The LOGO file', ['logo'])), 'The [LOGO] file');
+  check('Several words', renderSnippet(ChatHistoryService.highlight('budget for logo', ['logo', 'budget'])), '[budget] for [logo]');
+
+  const long = `${'a'.repeat(200)} invoice ${'b'.repeat(200)}`;
+  const snippet = ChatHistoryService.highlight(long, ['invoice'], 20);
+  check('Leading text trimmed', snippet[0].text, '…');
+  check('Trailing text trimmed', snippet[snippet.length - 1].text, '…');
+  check('Match kept in the snippet', snippet.some(segment => segment.match && segment.text === 'invoice'), true);
+
+  check('No words, plain snippet', renderSnippet(ChatHistoryService.highlight('Just a file', [])), 'Just a file');
+  check('No content, no snippet', ChatHistoryService.highlight('', ['x']).length, 0);
+};
+
+Promise.resolve()
+  .then(runParseTests)
+  .then(runFilterTests)
+  .then(runCursorTests)
+  .then(runHighlightTests)
+  .catch((error) => {
+    allPassed = false;
+    console.error('❌ Chat search test crashed:', error);
+  })
+  .finally(() => {
+    console.log('\n' + '═'.repeat(70));
+    console.log(`\n${allPassed ? '✅ ALL TESTS PASSED!' : '❌ SOME TESTS FAILED'}\n`);
+  });
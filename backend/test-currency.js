@@ -0,0 +1,127 @@
+/**
+ * Test Multi-Currency Conversion
+ * Runs without a database or network: injects fixed exchange rates and checks conversion,
+ * escrow snapshots, base-currency fee thresholds and money formatting.
+ */
+
+const { setRateProvider, FileRateProvider } = require('./services/fx');
+const CurrencyService = require('./services/currencyService');
+const FeeScheduleService = require('./services/feeScheduleService');
+const { formatMoney } = require('./utils/currency');
+
+let allPassed = true;
+const check = (label, actual, expected) => {
+  const passed = actual === expected;
+  if (!passed) allPassed = false;
+  console.log(`  ${label}: ${actual} ${passed ? '✅' : `❌ (expected ${expected})`}`);
+};
+
+const fixedRates = {
+  name: 'test',
+  getRates: async () => ({
+    base: 'INR',
+    rates: { INR: 1, USD: 0.0125, EUR: 0.01, GBP: 0.008 },
+    asOf: new Date('2026-10-01T00:00:00Z')
+  })
+};
+
+console.log('\n🧪 TESTING MULTI-CURRENCY SUPPORT\n');
+console.log('═'.repeat(70));
+
+const runConversionTests = async () => {
+  setRateProvider(fixedRates);
+  CurrencyService.clearCache();
+
+  console.log('\n💱 Conversion');
+  check('Base currency', CurrencyService.getBaseCurrency(), 'INR');
+  check('USD → INR rate', await CurrencyService.getRate('USD', 'INR'), 80);
+  check('EUR → USD rate', await CurrencyService.getRate('EUR', 'USD'), 1.25);
+  check('Same currency rate', await CurrencyService.getRate('GBP', 'GBP'), 1);
+  check('$100 in INR', await CurrencyService.convert(100, 'USD'), 8000);
+  check('£10 in EUR', await CurrencyService.convert(10, 'GBP', 'EUR'), 12.5);
+
+  let unsupported = null;
+  try {
+    await CurrencyService.getRate('JPY', 'INR');
+  } catch (error) {
+    unsupported = error.message;
+  }
+  check('Missing rate rejected', unsupported, 'No exchange rate available for JPY → INR');
+
+  console.log('\n📸 Snapshots');
+  const usd = await CurrencyService.snapshot('USD');
+  check('Snapshot rate', usd.rateToBase, 80);
+  check('Snapshot provider', usd.provider, 'test');
+  check('Snapshot base', usd.baseCurrency, 'INR');
+  check('Base currency snapshot', (await CurrencyService.snapshot('INR')).rateToBase, 1);
+
+  check('Escrow amount in base', CurrencyService.toBase(250, { currency: 'USD', fxSnapshot: usd }), 20000);
+  check('Legacy escrow without currency', CurrencyService.toBase(1500, {}), 1500);
+
+  let missingSnapshot = null;
+  try {
+    CurrencyService.toBase(100, { currency: 'EUR' });
+  } catch (error) {
+    missingSnapshot = error.message;
+  }
+  check('Foreign amount without snapshot rejected', missingSnapshot, 'No exchange rate snapshot for EUR amount');
+
+  console.log('\n📂 File provider');
+  setRateProvider(new FileRateProvider());
+  CurrencyService.clearCache();
+  const fileRates = await CurrencyService.getRates();
+  check('Stub file base', fileRates.base, 'INR');
+  check('Stub file has every currency', CurrencyService.getSupportedCurrencies().every(code => !!fileRates.rates[code]), true);
+  setRateProvider(fixedRates);
+  CurrencyService.clearCache();
+};
+
+const runFeeTests = async () => {
+  console.log('\n🧮 Fees on foreign-currency payments');
+  const schedule = {
+    version: 1,
+    name: 'Test schedule',
+    tiers: [{ upTo: 20000, percentage: 6 }, { upTo: null, percentage: 3 }],
+    minimumCharge: 400,
+    categoryOverrides: []
+  };
+  const fx = await CurrencyService.snapshot('USD');
+
+  // $200 budget is ₹16,000, still in the first tier; $300 is ₹24,000
+  check('Tier from converted budget', FeeScheduleService.computeCharges(100, { schedule, projectBudget: 200, currency: 'USD', fx }).serviceChargePercentage, 6);
+  check('Higher tier from converted budget', FeeScheduleService.computeCharges(100, { schedule, projectBudget: 300, currency: 'USD', fx }).serviceChargePercentage, 3);
+
+  const minimum = FeeScheduleService.computeCharges(50, { schedule, projectBudget: 300, currency: 'USD', fx });
+  check('Minimum charge converted', minimum.serviceCharge, 5);
+  check('Currency recorded', minimum.breakdown.currency, 'USD');
+
+  const promo = FeeScheduleService.computeCharges(200, {
+    schedule,
+    projectBudget: 200,
+    currency: 'USD',
+    fx,
+    promo: { code: 'FLAT400', discountType: 'fixed', discountValue: 400 }
+  });
+  check('Fixed discount converted', promo.breakdown.discount, 5);
+  check('Discounted charge', promo.serviceCharge, 7);
+};
+
+const runFormattingTests = () => {
+  console.log('\n🏷️ Formatting');
+  check('Rupees', formatMoney(150000, 'INR'), '₹1,50,000');
+  check('Dollars', formatMoney(1250.5, 'USD'), '$1,250.5');
+  check('Defaults to rupees', formatMoney(35), '₹35');
+};
+
+Promise.resolve()
+  .then(runConversionTests)
+  .then(runFeeTests)
+  .then(runFormattingTests)
+  .catch((error) => {
+    allPassed = false;
+    console.error('❌ Currency test crashed:', error);
+  })
+  .finally(() => {
+    console.log('\n' + '═'.repeat(70));
+    console.log(`\n${allPassed ? '✅ ALL TESTS PASSED!' : '❌ SOME TESTS FAILED'}\n`);
+  });
@@ -0,0 +1,212 @@
+/**
+ * Test Dispute Evidence Threads
+ * Runs without a database: opening a dispute, evidence from each side, admin
+ * info requests with deadlines, overdue flagging and the resolution message.
+ */
+
+const mongoose = require('mongoose');
+const Dispute = require('./models/Dispute');
+const Workspace = require('./models/Workspace');
+const WorkspaceFile = require('./models/WorkspaceFile');
+const Deliverable = require('./models/Deliverable');
+const Notification = require('./models/Notification');
+const TimelineEvent = require('./models/TimelineEvent');
+const User = require('./models/User');
+const DisputeService = require('./services/disputeService');
+
+let allPassed = true;
+const check = (label, actual, expected) => {
+  const passed = actual === expected;
+  if (!passed) allPassed = false;
+  console.log(`  ${label}: ${actual} ${passed ? '✅' : `❌ (expected ${expected})`}`);
+};
+
+const errorOf = async (fn) => {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+const id = () => new mongoose.Types.ObjectId();
+
+// In-memory stores
+const disputes = new Map();
+let notifications = [];
+let timeline = [];
+
+const workspaceId = id();
+const projectId = id();
+const clientId = id();
+const freelancerId = id();
+const adminId = id();
+const strangerId = id();
+
+const query = (result) => {
+  const promise = Promise.resolve(result);
+  promise.select = () => promise;
+  promise.lean = () => promise;
+  return promise;
+};
+
+Dispute.create = async (fields) => {
+  const dispute = new Dispute(fields);
+  await dispute.validate();
+  disputes.set(dispute._id.toString(), dispute);
+  return dispute;
+};
+Dispute.findById = async (disputeId) => disputes.get(disputeId.toString()) || null;
+Dispute.find = async () => [...disputes.values()].filter(dispute =>
+  dispute.status === 'awaiting-response' &&
+  dispute.pendingRequest.responseDeadline <= new Date() &&
+  dispute.pendingRequest.overdueNotified !== true
+);
+Dispute.prototype.save = async function() {
+  await this.validate();
+  return this;
+};
+
+Workspace.findById = () => query({ _id: workspaceId, project: projectId });
+
+const workspaceFile = { _id: id(), workspace: workspaceId, originalName: 'invoice.pdf', url: '/uploads/invoice.pdf' };
+const otherFile = { _id: id(), workspace: id(), originalName: 'secret.pdf', url: '/uploads/secret.pdf' };
+const deliverable = { _id: id(), workspace: workspaceId, title: 'Homepage design' };
+WorkspaceFile.find = async ({ _id, workspace }) => [workspaceFile, otherFile]
+  .filter(file => _id.$in.includes(file._id) && file.workspace.toString() === workspace.toString());
+Deliverable.find = async ({ _id, workspace }) => [deliverable]
+  .filter(item => _id.$in.includes(item._id) && item.workspace.toString() === workspace.toString());
+
+User.findById = () => query({ preferences: { timezone: 'Asia/Kolkata', dateFormat: 'DD/MM/YYYY' } });
+Notification.create = async (notification) => {
+  notifications.push(notification);
+  return notification;
+};
+TimelineEvent.create = async (event) => {
+  timeline.push(event);
+  return event;
+};
+
+const escrow = {
+  _id: id(),
+  milestone: id(),
+  workspace: workspaceId,
+  client: clientId,
+  freelancer: freelancerId,
+  currency: 'INR'
+};
+
+const recipients = () => notifications.map(notification => notification.userRole).join(',');
+const reset = () => {
+  notifications = [];
+  timeline = [];
+};
+
+console.log('\n🧪 TESTING DISPUTE EVIDENCE THREADS\n');
+console.log('═'.repeat(70));
+
+const runThreadTests = async () => {
+  console.log('\n⚠️ Raising a dispute');
+  const dispute = await DisputeService.openDispute(escrow, clientId, 'Delivered work does not match the brief', {
+    fileIds: [workspaceFile._id, otherFile._id],
+    deliverableIds: [deliverable._id]
+  });
+  check('Dispute open', dispute.status, 'open');
+  check('Reason opens the thread', dispute.messages[0].body, 'Delivered work does not match the brief');
+  check('Raised by the client', dispute.messages[0].authorRole, 'client');
+  check('Only this workspace\'s evidence attached', dispute.messages[0].attachments.map(a => a.name).join(', '), 'invoice.pdf, Homepage design');
+  check('Freelancer notified, not the client', recipients(), 'freelancer');
+  check('Timeline event recorded', timeline[0]?.type, 'dispute.raised');
+
+  console.log('\n📎 Evidence');
+  reset();
+  await DisputeService.addEvidence(dispute._id, freelancerId.toString(), { body: 'Brief changed twice, see chat' });
+  check('Freelancer evidence added', dispute.messages[1].authorRole, 'freelancer');
+  check('Client notified', recipients(), 'client');
+  check('Outsiders cannot add evidence', await errorOf(() => DisputeService.addEvidence(dispute._id, strangerId.toString(), { body: 'Hi' })),
+    'Unauthorized: Only the client or freelancer can add evidence');
+  check('Unknown disputes rejected', await errorOf(() => DisputeService.addEvidence(id(), clientId.toString(), { body: 'Hi' })),
+    'Dispute not found');
+
+  return dispute;
+};
+
+const runInfoRequestTests = async (dispute) => {
+  console.log('\n📝 Info requests');
+  reset();
+  check('Deadline must be in the future', await errorOf(() => DisputeService.requestInformation(dispute._id, adminId, {
+    requestedFrom: 'both', responseDeadline: new Date(Date.now() - DAY), message: 'Share the chat log'
+  })), 'Response deadline must be a future date');
+  check('Audience must be known', await errorOf(() => DisputeService.requestInformation(dispute._id, adminId, {
+    requestedFrom: 'everyone', responseDeadline: new Date(Date.now() + DAY), message: 'Share the chat log'
+  })), 'requestedFrom must be client, freelancer or both');
+
+  await DisputeService.requestInformation(dispute._id, adminId, {
+    requestedFrom: 'both',
+    responseDeadline: new Date(Date.now() + 2 * DAY),
+    message: 'Both of you, please share the original brief'
+  });
+  check('Awaiting response', dispute.status, 'awaiting-response');
+  check('Both parties notified', recipients(), 'client,freelancer');
+  check('Deadline in the recipient\'s format', /respond by \d{2}\/\d{2}\/\d{4}/.test(notifications[0].body), true);
+
+  await DisputeService.addEvidence(dispute._id, clientId.toString(), { body: 'Original brief attached' });
+  check('Still waiting on the freelancer', dispute.getAwaitingRoles().join(','), 'freelancer');
+  await DisputeService.addEvidence(dispute._id, freelancerId.toString(), { body: 'Here is the revised brief' });
+  check('Reopened once everyone answered', dispute.status, 'open');
+
+  console.log('\n⏰ Missed deadlines');
+  reset();
+  await DisputeService.requestInformation(dispute._id, adminId, {
+    requestedFrom: 'freelancer',
+    responseDeadline: new Date(Date.now() + DAY),
+    message: 'Please share the source files'
+  });
+  check('Only the freelancer asked', recipients(), 'freelancer');
+
+  reset();
+  dispute.pendingRequest.responseDeadline = new Date(Date.now() - 1000);
+  check('Overdue request flagged', await DisputeService.flagOverdueRequests(), 1);
+  check('Dispute back to open', dispute.status, 'open');
+  check('Requesting admin told who missed it', notifications[0]?.body, 'The freelancer did not respond before the deadline.');
+  check('Flagged only once', await DisputeService.flagOverdueRequests(), 0);
+};
+
+const runResolutionTests = async (dispute) => {
+  console.log('\n⚖️ Resolution');
+  reset();
+  await DisputeService.addAdminNote(dispute._id, adminId, 'Reviewing the files now');
+  check('Admin note reaches both parties', recipients(), 'client,freelancer');
+
+  reset();
+  await DisputeService.recordResolution({ ...escrow, dispute: dispute._id }, adminId, {
+    freelancerPercentage: 60,
+    freelancerAmount: 6000,
+    clientRefundAmount: 4200
+  }, 'Partial delivery');
+  check('Dispute resolved', dispute.status, 'resolved');
+  check('Resolution summary posted',
+    dispute.messages[dispute.messages.length - 1].body,
+    'Resolved with 60% (₹6,000) to the freelancer and ₹4,200 refunded to the client.\n\nPartial delivery');
+  check('Pending request cleared', dispute.pendingRequest?.requestedFrom, undefined);
+  check('Both parties notified', recipients(), 'client,freelancer');
+  check('No evidence after resolution', await errorOf(() => DisputeService.addEvidence(dispute._id, clientId.toString(), { body: 'One more thing' })),
+    'This dispute has already been resolved');
+};
+
+Promise.resolve()
+  .then(runThreadTests)
+  .then(async (dispute) => {
+    await runInfoRequestTests(dispute);
+    await runResolutionTests(dispute);
+  })
+  .catch((error) => {
+    allPassed = false;
+    console.error('❌ Disputes test crashed:', error);
+  })
+  .finally(() => {
+    console.log('\n' + '═'.repeat(70));
+    console.log(`\n${allPassed ? '✅ ALL TESTS PASSED!' : '❌ SOME TESTS FAILED'}\n`);
+  });
@@ -0,0 +1,210 @@
+/**
+ * Test Dispute Split & Refund Calculation
+ * Verifies dispute split amounts, that refunds are recorded against the escrow, and
+ * that a dispute resolution interrupted part-way can be retried without paying twice.
+ * Uses a fake Razorpay client, so no gateway or database connection is needed.
+ */
+
+const mongoose = require('mongoose');
+const Escrow = require('./models/Escrow');
+const Milestone = require('./models/Milestone');
+const User = require('./models/User');
+const EscrowService = require('./services/escrowService');
+const LedgerService = require('./services/ledgerService');
+const WalletService = require('./services/walletService');
+const DisputeService = require('./services/disputeService');
+const AuditService = require('./services/auditService');
+
+let allPassed = true;
+const check = (label, actual, expected) => {
+  const passed = actual === expected;
+  if (!passed) allPassed = false;
+  console.log(`  ${label}: ${actual} ${passed ? '✅' : `❌ (expected ${expected})`}`);
+};
+
+console.log('\n🧪 TESTING DISPUTE SPLITS & REFUNDS\n');
+console.log('═'.repeat(70));
+
+const buildEscrow = () => new Escrow({
+  workspace: new mongoose.Types.ObjectId(),
+  milestone: new mongoose.Types.ObjectId(),
+  project: new mongoose.Types.ObjectId(),
+  client: new mongoose.Types.ObjectId(),
+  freelancer: new mongoose.Types.ObjectId(),
+  milestoneAmount: 10000,
+  serviceCharge: 500,
+  serviceChargePercentage: 5,
+  totalAmount: 10500,
+  freelancerAmount: 10000,
+  razorpayOrderId: 'order_test',
+  razorpayPaymentId: 'pay_test',
+  status: 'disputed'
+});
+
+const splitCases = [
+  { percentage: 100, freelancer: 10000, client: 0, platform: 500 },
+  { percentage: 0, freelancer: 0, client: 10500, platform: 0 },
+  { percentage: 60, freelancer: 6000, client: 4200, platform: 300 },
+  { percentage: 33, freelancer: 3300, client: 7035, platform: 165 }
+];
+
+splitCases.forEach(({ percentage, freelancer, client, platform }) => {
+  console.log(`\n📊 ${percentage}% to freelancer on ₹10,000 + ₹500 service charge`);
+  const split = EscrowService.calculateDisputeSplit(buildEscrow(), percentage);
+  check('Freelancer amount', split.freelancerAmount, freelancer);
+  check('Client refund', split.clientRefundAmount, client);
+  check('Platform fee kept', split.platformFeeRetained, platform);
+  check('Adds up to total', split.freelancerAmount + split.clientRefundAmount + split.platformFeeRetained, 10500);
+});
+
+const runRefundTests = async () => {
+  const requests = [];
+  EscrowService.setRazorpayClient({
+    payments: {
+      refund: async (paymentId, options) => {
+        requests.push({ paymentId, options });
+        return { id: `rfnd_${requests.length}`, status: 'pending' };
+      }
+    }
+  });
+
+  console.log('\n💸 Issuing a ₹4,200 refund');
+  const escrow = buildEscrow();
+  await EscrowService.issueRefund(escrow, 4200, { reason: 'Partial delivery' });
+  check('Gateway payment id', requests[0].paymentId, 'pay_test');
+  check('Amount sent in paise', requests[0].options.amount, 420000);
+  check('Refund recorded', escrow.refunds.length, 1);
+  check('Refund status', escrow.refunds[0].status, 'pending');
+  check('Escrow refund status', escrow.refundStatus, 'pending');
+
+  console.log('\n🚫 Refunding more than was paid in');
+  try {
+    await EscrowService.issueRefund(escrow, 7000);
+    check('Over-refund rejected', false, true);
+  } catch (error) {
+    check('Over-refund rejected', error.message, 'Refund exceeds the amount paid into escrow');
+  }
+
+  console.log('\n🔁 Failed refunds free up the refundable amount');
+  escrow.refunds[0].status = 'failed';
+  await EscrowService.issueRefund(escrow, 7000);
+  check('Refunds recorded', escrow.refunds.length, 2);
+};
+
+const runConcurrentResolutionTests = async () => {
+  const requests = [];
+  EscrowService.setRazorpayClient({
+    payments: {
+      refund: async (paymentId, options) => {
+        requests.push({ paymentId, options });
+        return { id: `rfnd_${requests.length}`, status: 'pending' };
+      }
+    }
+  });
+
+  console.log('\n🔑 Refunds with an idempotency key');
+  const keyed = buildEscrow();
+  await EscrowService.issueRefund(keyed, 4200, { idempotencyKey: 'dispute_test' });
+  await EscrowService.issueRefund(keyed, 4200, { idempotencyKey: 'dispute_test' });
+  check('Gateway called once', requests.length, 1);
+  check('Key sent as the receipt', requests[0].options.receipt, 'dispute_test');
+  check('Key recorded on the refund', keyed.refunds[0].idempotencyKey, 'dispute_test');
+
+  console.log('\n⚖️ Resolving the same dispute twice at once');
+  requests.length = 0;
+  // Each request loads its own copy of the stored escrow
+  const stored = buildEscrow();
+  Escrow.findOne = async () => new Escrow(stored.toObject());
+  const matchesStored = (conditions) => Object.entries(conditions)
+    .every(([key, value]) => key === '_id' || (value === null ? !stored[key] : String(stored[key]) === String(value)));
+  Escrow.findOneAndUpdate = async (conditions, update) => {
+    await new Promise(resolve => setImmediate(resolve));
+    if (!matchesStored(conditions)) return null;
+    stored.set(update.$set);
+    return stored;
+  };
+  Escrow.updateOne = async (conditions, update) => {
+    if (matchesStored(conditions)) Object.keys(update.$unset).forEach(key => stored.set(key, undefined));
+    return { modifiedCount: 1 };
+  };
+  Escrow.prototype.save = async function() {
+    if (this !== stored) {
+      stored.status = this.status;
+      stored.refunds = this.refunds.map(refund => refund.toObject());
+    }
+    return this;
+  };
+  let credited = 0;
+  User.findByIdAndUpdate = async (userId, update) => { credited += update.$inc.totalEarnings; };
+  WalletService.creditEarnings = async () => null;
+  LedgerService.recordDisputeSettlement = async () => null;
+  Milestone.findById = async () => ({ title: 'Milestone 1', save: async () => null });
+  DisputeService.recordResolution = async () => null;
+  AuditService.record = async () => null;
+  Escrow.prototype.populate = async function() { return this; };
+  const emails = [];
+  EscrowService.sendEscrowEmail = async (escrow, event, resolution) => { emails.push({ event, resolution }); };
+
+  const results = await Promise.allSettled([
+    EscrowService.resolveDispute(stored.milestone, new mongoose.Types.ObjectId(), { freelancerPercentage: 60 }),
+    EscrowService.resolveDispute(stored.milestone, new mongoose.Types.ObjectId(), { freelancerPercentage: 60 })
+  ]);
+  check('One resolution succeeded', results.filter(result => result.status === 'fulfilled').length, 1);
+  check('The other was turned away', results.find(result => result.status === 'rejected')?.reason.message,
+    'This dispute is already being resolved');
+  check('Only one refund issued', requests.length, 1);
+  check('Refund keyed to the dispute', requests[0]?.options.receipt, `dispute_${stored._id}`);
+  check('Escrow awaiting the refund', stored.status, 'refund-pending');
+  check('Settlement emailed once', emails.map(email => email.event).join(','), 'dispute_resolved');
+  check('Email carries the split', emails[0]?.resolution.split.clientRefundAmount, 4200);
+
+  console.log('\n🔓 A failed gateway refund reopens the dispute');
+  stored.set({ status: 'disputed', refunds: [], disputeCreditedAt: undefined });
+  EscrowService.setRazorpayClient({
+    payments: { refund: async () => { throw new Error('Gateway timeout'); } }
+  });
+  const failed = await EscrowService.resolveDispute(stored.milestone, new mongoose.Types.ObjectId(), { refundToClient: true })
+    .catch(error => error.message);
+  check('Gateway error surfaced', failed, 'Gateway timeout');
+  check('Dispute open again', stored.status, 'disputed');
+
+  console.log('\n🔁 A failure after the refund can be retried');
+  stored.set({ status: 'disputed', refunds: [], disputeCreditedAt: undefined });
+  requests.length = 0;
+  credited = 0;
+  EscrowService.setRazorpayClient({
+    payments: {
+      refund: async (paymentId, options) => {
+        requests.push({ paymentId, options });
+        return { id: `rfnd_${requests.length}`, status: 'pending' };
+      }
+    }
+  });
+  WalletService.creditEarnings = async () => { throw new Error('Wallet unavailable'); };
+  const interrupted = await EscrowService.resolveDispute(stored.milestone, new mongoose.Types.ObjectId(), { freelancerPercentage: 60 })
+    .catch(error => error.message);
+  check('Wallet error surfaced', interrupted, 'Wallet unavailable');
+  check('Dispute open again', stored.status, 'disputed');
+  check('Refund saved before the wallet step', stored.refunds.length, 1);
+  check('Credit released for the retry', stored.disputeCreditedAt, undefined);
+
+  check('Retry must keep the split', await EscrowService.resolveDispute(stored.milestone, new mongoose.Types.ObjectId(), { refundToClient: true })
+    .catch(error => error.message), 'This dispute was partly settled at 60% to the freelancer. Resolve it with the same split.');
+
+  WalletService.creditEarnings = async () => null;
+  await EscrowService.resolveDispute(stored.milestone, new mongoose.Types.ObjectId(), { freelancerPercentage: 60 });
+  check('Retry resolves the dispute', stored.status, 'refund-pending');
+  check('Client refunded once', requests.length, 1);
+  check('Freelancer credited once', credited, 6000);
+};
+
+runRefundTests()
+  .then(runConcurrentResolutionTests)
+  .catch((error) => {
+    allPassed = false;
+    console.error('❌ Refund test crashed:', error);
+  })
+  .finally(() => {
+    console.log('\n' + '═'.repeat(70));
+    console.log(`\n${allPassed ? '✅ ALL TESTS PASSED!' : '❌ SOME TESTS FAILED'}\n`);
+  });
@@ -0,0 +1,174 @@
+/**
+ * Test Fee Schedule Calculation & Validation
+ * Runs without a database: checks tier lookup, category overrides, minimum charges,
+ * promo discounts and the validation rules on schedules and promo codes.
+ */
+
+const FeeSchedule = require('./models/FeeSchedule');
+const PromoCode = require('./models/PromoCode');
+const FeeScheduleService = require('./services/feeScheduleService');
+const EscrowService = require('./services/escrowService');
+
+let allPassed = true;
+const check = (label, actual, expected) => {
+  const passed = actual === expected;
+  if (!passed) allPassed = false;
+  console.log(`  ${label}: ${actual} ${passed ? '✅' : `❌ (expected ${expected})`}`);
+};
+
+const validationError = async (doc) => {
+  try {
+    await doc.validate();
+    return null;
+  } catch (error) {
+    return error;
+  }
+};
+
+console.log('\n🧪 TESTING FEE SCHEDULES\n');
+console.log('═'.repeat(70));
+
+const schedule = {
+  _id: 'schedule_v3',
+  version: 3,
+  name: 'Test schedule',
+  tiers: [
+    { upTo: 10000, percentage: 7 },
+    { upTo: null, percentage: 4 }
+  ],
+  defaultPercentage: 6,
+  minimumCharge: 50,
+  categoryOverrides: [
+    { category: 'content-writing', percentage: 2 },
+    { category: 'data-science', percentage: 3, minimumCharge: 200 }
+  ]
+};
+
+const runCalculationTests = () => {
+  console.log('\n🧮 Built-in schedule matches the legacy tiers');
+  check('₹3,000 budget', EscrowService.calculateServiceCharges(1500, 3000).serviceChargePercentage, 8);
+  check('₹5,000 budget', EscrowService.calculateServiceCharges(2500, 5000).serviceChargePercentage, 6);
+  check('₹2,50,000 budget', EscrowService.calculateServiceCharges(50000, 250000).serviceChargePercentage, 3);
+  check('Unknown budget', EscrowService.calculateServiceCharges(10000).serviceChargePercentage, 5);
+  check('Built-in version', EscrowService.calculateServiceCharges(10000, 30000).breakdown.scheduleVersion, 0);
+
+  console.log('\n📐 Custom schedule');
+  const tiered = FeeScheduleService.computeCharges(5000, { schedule, projectBudget: 8000 });
+  check('Tier percentage', tiered.serviceChargePercentage, 7);
+  check('Tier charge', tiered.serviceCharge, 350);
+  check('Total', tiered.totalAmount, 5350);
+  check('Schedule version snapshotted', tiered.breakdown.scheduleVersion, 3);
+
+  const minimum = FeeScheduleService.computeCharges(500, { schedule, projectBudget: 20000 });
+  check('Minimum charge applied', minimum.serviceCharge, 50);
+  check('Minimum flagged', minimum.breakdown.minimumApplied, true);
+
+  const override = FeeScheduleService.computeCharges(10000, { schedule, projectBudget: 8000, category: 'content-writing' });
+  check('Category override percentage', override.serviceChargePercentage, 2);
+  check('Category override charge', override.serviceCharge, 200);
+  check('Override falls back to schedule minimum', override.breakdown.minimumCharge, 50);
+
+  const overrideMinimum = FeeScheduleService.computeCharges(1000, { schedule, category: 'data-science' });
+  check('Override minimum charge', overrideMinimum.serviceCharge, 200);
+
+  const noOverride = FeeScheduleService.computeCharges(1000, { schedule, category: 'graphic-design' });
+  check('Unlisted category uses default rate', noOverride.serviceChargePercentage, 6);
+
+  console.log('\n🏷️ Promo discounts');
+  const percentOff = FeeScheduleService.computeCharges(5000, {
+    schedule,
+    projectBudget: 8000,
+    promo: { code: 'HALFFEE', discountType: 'percentage', discountValue: 50 }
+  });
+  check('Percentage promo discount', percentOff.breakdown.discount, 175);
+  check('Discounted charge', percentOff.serviceCharge, 175);
+  check('Freelancer amount unchanged', percentOff.amountToFreelancer, 5000);
+  check('Promo code recorded', percentOff.breakdown.promoCode, 'HALFFEE');
+
+  const fixedOff = FeeScheduleService.computeCharges(5000, {
+    schedule,
+    projectBudget: 8000,
+    promo: { code: 'FLAT1000', discountType: 'fixed', discountValue: 1000 }
+  });
+  check('Fixed promo capped at the fee', fixedOff.breakdown.discount, 350);
+  check('Fee never negative', fixedOff.serviceCharge, 0);
+  check('Client pays milestone only', fixedOff.totalAmount, 5000);
+};
+
+const runValidationTests = async () => {
+  console.log('\n📋 Schedule validation');
+  const valid = new FeeSchedule({ version: 1, name: 'Valid', effectiveFrom: new Date(), tiers: schedule.tiers });
+  check('Valid schedule', await validationError(valid), null);
+
+  const unordered = new FeeSchedule({
+    version: 2,
+    name: 'Unordered',
+    effectiveFrom: new Date(),
+    tiers: [{ upTo: 20000, percentage: 6 }, { upTo: 5000, percentage: 8 }, { upTo: null, percentage: 3 }]
+  });
+  check('Unordered tiers rejected', !!(await validationError(unordered))?.errors?.tiers, true);
+
+  const bounded = new FeeSchedule({
+    version: 3,
+    name: 'Bounded',
+    effectiveFrom: new Date(),
+    tiers: [{ upTo: 5000, percentage: 8 }]
+  });
+  check('Bounded last tier rejected', !!(await validationError(bounded))?.errors?.tiers, true);
+
+  const duplicateCategory = new FeeSchedule({
+    version: 4,
+    name: 'Duplicate',
+    effectiveFrom: new Date(),
+    tiers: schedule.tiers,
+    categoryOverrides: [{ category: 'other', percentage: 2 }, { category: 'other', percentage: 3 }]
+  });
+  check('Duplicate category override rejected', !!(await validationError(duplicateCategory))?.errors?.categoryOverrides, true);
+
+  const tooHigh = new FeeSchedule({
+    version: 5,
+    name: 'Too high',
+    effectiveFrom: new Date(),
+    tiers: [{ upTo: null, percentage: 25 }]
+  });
+  check('Percentage above 20% rejected', !!(await validationError(tooHigh)), true);
+
+  const future = new FeeSchedule({ version: 6, name: 'Future', effectiveFrom: new Date(Date.now() + 86400000), tiers: schedule.tiers });
+  check('Future schedule not started', future.hasStarted(), false);
+
+  console.log('\n🎟️ Promo code eligibility');
+  const active = new PromoCode({ code: 'welcome10', discountType: 'percentage', discountValue: 10 });
+  check('Code normalised to uppercase', active.code, 'WELCOME10');
+  check('Active code usable', active.getIneligibilityReason({ category: 'other' }), null);
+
+  const expired = new PromoCode({
+    code: 'OLD',
+    discountType: 'fixed',
+    discountValue: 100,
+    validFrom: new Date('2024-01-01'),
+    validUntil: new Date('2024-02-01')
+  });
+  check('Expired code', expired.getIneligibilityReason(), 'This promo code has expired');
+
+  const usedUp = new PromoCode({ code: 'ONCE', discountType: 'fixed', discountValue: 100, maxRedemptions: 1, redemptionCount: 1 });
+  check('Used-up code', usedUp.getIneligibilityReason(), 'This promo code has reached its usage limit');
+
+  const categoryOnly = new PromoCode({ code: 'WRITERS', discountType: 'percentage', discountValue: 20, categories: ['content-writing'] });
+  check('Other category refused', categoryOnly.getIneligibilityReason({ category: 'data-science' }), 'This promo code does not apply to this project category');
+  check('Matching category accepted', categoryOnly.getIneligibilityReason({ category: 'content-writing' }), null);
+
+  const overDiscount = new PromoCode({ code: 'TOOMUCH', discountType: 'percentage', discountValue: 150 });
+  check('Percentage over 100 rejected', !!(await validationError(overDiscount))?.errors?.discountValue, true);
+};
+
+Promise.resolve()
+  .then(runCalculationTests)
+  .then(runValidationTests)
+  .catch((error) => {
+    allPassed = false;
+    console.error('❌ Fee schedule test crashed:', error);
+  })
+  .finally(() => {
+    console.log('\n' + '═'.repeat(70));
+    console.log(`\n${allPassed ? '✅ ALL TESTS PASSED!' : '❌ SOME TESTS FAILED'}\n`);
+  });
@@ -0,0 +1,178 @@
+/**
+ * Test i18n
+ * Runs without a database: checks message lookup (fallbacks, placeholders,
+ * plural forms), that every English key has a Hindi translation, and that
+ * registration validation and emails (including escrow payment emails) come
+ * out in the user's language.
+ */
+
+const en = require('./locales/en');
+const hi = require('./locales/hi');
+const {
+  translate,
+  languageOf,
+  requestLanguage
+} = require('./utils/i18n');
+const { validateEmail, validatePassword, validateRegistrationData } = require('./utils/validation');
+const {
+  generateVerificationEmailHTML,
+  generateVerificationEmailText,
+  generatePasswordResetEmailHTML,
+  getDeactivationEmailTextTemplate,
+  generateNewDeviceLoginEmailText,
+  generateEscrowEmailHTML,
+  generateEscrowEmailText
+} = require('./utils/emailTemplates');
+
+let allPassed = true;
+const check = (label, actual, expected) => {
+  const passed = actual === expected;
+  if (!passed) allPassed = false;
+  console.log(`  ${label}: ${actual} ${passed ? '✅' : `❌ (expected ${expected})`}`);
+};
+
+// Dotted keys of every message; plural forms count as one message
+const keysOf = (catalog, prefix = '') => Object.entries(catalog).flatMap(([key, value]) =>
+  value && typeof value === 'object' && !Array.isArray(value) && value.other === undefined
+    ? keysOf(value, `${prefix}${key}.`)
+    : [`${prefix}${key}`]
+);
+
+const userIn = (language) => ({
+  fullName: 'Asha Verma',
+  email: 'asha@example.com',
+  role: 'freelancer',
+  preferences: { language, timezone: 'Asia/Kolkata' }
+});
+
+console.log('\n🧪 TESTING I18N\n');
+
+const runLookupTests = async () => {
+  console.log('📋 Message lookup');
+  check('English message', translate('en', 'validation.email.required'), 'Email is required');
+  check('Hindi message', translate('hi', 'validation.email.required'), hi.validation.email.required);
+  check('Unknown language falls back to English', translate('fr', 'validation.failed'), en.validation.failed);
+  check('Unknown key comes back as the key', translate('hi', 'validation.nope'), 'validation.nope');
+  check('Placeholder filled', translate('en', 'email.common.greeting', { name: 'Asha' }), 'Hi Asha,');
+  check('Missing placeholder left as is', translate('en', 'email.common.greeting'), 'Hi {{name}},');
+  check('English singular', translate('en', 'validation.errorsFound', { count: 1 }), '1 validation error found');
+  check('English plural', translate('en', 'validation.errorsFound', { count: 3 }), '3 validation errors found');
+  check('Hindi plural', translate('hi', 'validation.errorsFound', { count: 3 }), '3 त्रुटियाँ मिलीं');
+  check('Lists come back as arrays', Array.isArray(translate('hi', 'email.passwordReset.security')), true);
+};
+
+const runCatalogTests = async () => {
+  console.log('\n📋 Catalogs');
+  const englishKeys = keysOf(en);
+  const hindiKeys = new Set(keysOf(hi));
+  const missing = englishKeys.filter(key => !hindiKeys.has(key));
+  const extra = [...hindiKeys].filter(key => !englishKeys.includes(key));
+  check('Hindi keys missing', missing.join(', ') || 'none', 'none');
+  check('Hindi keys not in English', extra.join(', ') || 'none', 'none');
+};
+
+const runLanguageTests = async () => {
+  console.log('\n📋 Picking the language');
+  check('User preference', languageOf(userIn('hi')), 'hi');
+  check('Unsupported preference', languageOf(userIn('fr')), 'en');
+  check('No preferences', languageOf({}), 'en');
+  check('Language in the body', requestLanguage({ body: { language: 'hi' }, headers: {} }), 'hi');
+  check('Accept-Language', requestLanguage({ body: {}, headers: { 'accept-language': 'fr-FR,hi-IN;q=0.8,en;q=0.5' } }), 'hi');
+  check('Unsupported body language uses the header', requestLanguage({ body: { language: 'xx' }, headers: { 'accept-language': 'hi' } }), 'hi');
+  check('Nothing given', requestLanguage({ body: {}, headers: {} }), 'en');
+};
+
+const runValidationTests = async () => {
+  console.log('\n📋 Validation messages');
+  check('English by default', validateEmail('').message, 'Email is required');
+  check('Hindi email error', validateEmail('nope', 'hi').message, hi.validation.email.invalid);
+  check('Hindi password error', validatePassword('short', 'hi').message, hi.validation.password.tooShort);
+
+  const result = validateRegistrationData({ fullName: 'asha', email: 'bad', password: 'short', role: 'client' }, 'hi');
+  check('Registration invalid', result.isValid, false);
+  check('Summary counted in Hindi', result.message, translate('hi', 'validation.errorsFound', { count: 3 }));
+  check('Field errors in Hindi', result.errors.find(error => error.field === 'email')?.message, hi.validation.email.invalid);
+};
+
+const runEmailTests = async () => {
+  console.log('\n📋 Emails');
+  const hindiHtml = generateVerificationEmailHTML(userIn('hi'), 'https://example.com/verify');
+  check('Hindi page language', hindiHtml.includes('<html lang="hi">'), true);
+  check('Hindi greeting', hindiHtml.includes('नमस्ते'), true);
+  check('Hindi role name', hindiHtml.includes(hi.email.common.roles.freelancer), true);
+  check('No untranslated keys', /email\.\w+\.\w+/.test(hindiHtml), false);
+
+  const englishText = generateVerificationEmailText(userIn('en'), 'https://example.com/verify');
+  check('English greeting', englishText.includes('Hi Asha Verma,'), true);
+
+  const resetHtml = generatePasswordResetEmailHTML(userIn('hi'), 'https://example.com/reset');
+  check('Hindi reset advice', resetHtml.includes(hi.email.passwordReset.advice[0]), true);
+
+  const deactivation = getDeactivationEmailTextTemplate(userIn('hi'), null, { currentRating: 2.4, ratingCount: 1, completedProjects: 5 });
+  check('Hindi default reason', deactivation.includes(hi.email.deactivation.defaultReason), true);
+  check('Rating counted in Hindi', deactivation.includes(translate('hi', 'email.deactivation.ratingValue', { rating: '2.4', count: 1 })), true);
+
+  const newDevice = generateNewDeviceLoginEmailText(userIn('hi'), { deviceName: 'Chrome on Windows', time: new Date() });
+  check('Hindi unknown IP', newDevice.includes(hi.email.newDevice.unknownIp), true);
+};
+
+const runEscrowEmailTests = async () => {
+  console.log('\n💰 Escrow emails');
+  const funded = {
+    milestone: 'Homepage design',
+    currency: 'INR',
+    freelancerName: 'Ravi Kumar',
+    documentNumber: 'INV-2026-0001',
+    amounts: { milestoneAmount: 100000, platformFee: 5900, totalAmount: 105900 }
+  };
+
+  const hindiInvoice = generateEscrowEmailHTML(userIn('hi'), 'paymentReceived', funded);
+  check('Hindi page language', hindiInvoice.includes('<html lang="hi">'), true);
+  check('Hindi title', hindiInvoice.includes(hi.email.escrow.paymentReceived.title), true);
+  check('Hindi amount row', hindiInvoice.includes(`${hi.email.escrow.platformFee}</strong> ₹5,900`), true);
+  check('Invoice number mentioned', hindiInvoice.includes('INV-2026-0001'), true);
+  check('No untranslated keys', /email\.\w+\.\w+/.test(hindiInvoice), false);
+  check('Hindi subject', translate('hi', 'email.escrow.paymentReceived.subject', { number: 'INV-2026-0001', milestone: 'Homepage design' }),
+    'इनवॉइस INV-2026-0001 - "Homepage design" के लिए भुगतान प्राप्त हुआ');
+
+  const englishReceipt = generateEscrowEmailText(userIn('en'), 'paymentReleased', funded);
+  check('English release line', englishReceipt.includes('The escrow for milestone "Homepage design" has been released to Ravi Kumar.'), true);
+  check('Total grouped in lakhs', englishReceipt.includes('- Total: ₹1,05,900'), true);
+
+  const refund = generateEscrowEmailText(userIn('hi'), 'refundProcessed', { milestone: 'Homepage design', currency: 'USD', refundAmount: 420 });
+  check('Refund in the escrow currency', refund.includes(translate('hi', 'email.escrow.refundProcessed.intro', { amount: '$420', milestone: 'Homepage design' })), true);
+
+  const settled = {
+    milestone: 'Homepage design',
+    currency: 'INR',
+    split: { freelancerPercentage: 60, freelancerAmount: 6000, clientRefundAmount: 4200 },
+    notes: 'Partial delivery'
+  };
+  const hindiSettlement = generateEscrowEmailText(userIn('hi'), 'disputeResolved', settled);
+  check('Hindi split row', hindiSettlement.includes(`${translate('hi', 'email.escrow.disputeResolved.freelancerShare', { percentage: 60 })} ₹6,000`), true);
+  check('Admin notes included', hindiSettlement.includes(`${hi.email.escrow.disputeResolved.notes} Partial delivery`), true);
+  check('Pending refund explained', hindiSettlement.includes(hi.email.escrow.disputeResolved.refundPending), true);
+
+  const noRefund = generateEscrowEmailText(userIn('en'), 'disputeResolved', {
+    ...settled,
+    split: { freelancerPercentage: 100, freelancerAmount: 10000, clientRefundAmount: 0 },
+    notes: ''
+  });
+  check('No refund note without a refund', noRefund.includes(en.email.escrow.disputeResolved.refundPending), false);
+};
+
+Promise.resolve()
+  .then(runLookupTests)
+  .then(runCatalogTests)
+  .then(runLanguageTests)
+  .then(runValidationTests)
+  .then(runEmailTests)
+  .then(runEscrowEmailTests)
+  .catch((error) => {
+    allPassed = false;
+    console.error('❌ i18n test crashed:', error);
+  })
+  .finally(() => {
+    console.log('\n' + '═'.repeat(70));
+    console.log(`\n${allPassed ? '✅ ALL TESTS PASSED!' : '❌ SOME TESTS FAILED'}\n`);
+  });
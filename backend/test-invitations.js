@@ -0,0 +1,230 @@
+/**
+ * Test Project Invitations
+ * Runs without a database: inviting freelancers, accepting into a linked
+ * application, declining with a reason, withdrawing, and the invitation
+ * counts used by matching analytics.
+ */
+
+const mongoose = require('mongoose');
+const Invitation = require('./models/Invitation');
+const Application = require('./models/Application');
+const Project = require('./models/Project');
+const User = require('./models/User');
+const Notification = require('./models/Notification');
+const InvitationService = require('./services/invitationService');
+
+let allPassed = true;
+const check = (label, actual, expected) => {
+  const passed = actual === expected;
+  if (!passed) allPassed = false;
+  console.log(`  ${label}: ${actual} ${passed ? '✅' : `❌ (expected ${expected})`}`);
+};
+
+const errorOf = async (fn) => {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// In-memory stores keyed by id
+const users = new Map();
+const projects = new Map();
+const invitations = new Map();
+let applications = [];
+let notifications = [];
+
+const matches = (doc, conditions) => Object.entries(conditions).every(([key, value]) => {
+  if (value && value.$ne !== undefined) return doc[key] !== value.$ne;
+  return doc[key]?.toString() === value?.toString();
+});
+
+// A resolved query that also supports .select() and .lean()
+const query = (result) => {
+  const promise = Promise.resolve(result);
+  promise.select = () => promise;
+  promise.lean = () => promise;
+  return promise;
+};
+
+User.findById = (id) => query(users.get(id.toString()) || null);
+Project.findById = (id) => query(projects.get(id.toString()) || null);
+Project.findOne = (conditions) => query([...projects.values()].find(project => matches(project, conditions)) || null);
+
+Invitation.prototype.save = async function() {
+  await this.validate();
+  invitations.set(this._id.toString(), this);
+  return this;
+};
+Invitation.findOne = async (conditions) => [...invitations.values()].find(invitation => matches(invitation, conditions)) || null;
+Invitation.find = (conditions) => query([...invitations.values()].filter(invitation => matches(invitation, conditions)));
+
+Application.exists = async (conditions) => applications.some(application => matches(application, conditions));
+Application.countDocuments = async ({ freelancer, status }) => applications
+  .filter(application => application.freelancer.toString() === freelancer.toString() && status.$in.includes(application.status))
+  .length;
+Application.create = async (fields) => {
+  const application = new Application(fields);
+  await application.validate();
+  applications.push(application);
+  return application;
+};
+
+Notification.create = async (notification) => {
+  notifications.push(notification);
+  return notification;
+};
+
+const addUser = (fields) => {
+  const user = { _id: new mongoose.Types.ObjectId(), isActive: true, isDeleted: false, ...fields };
+  users.set(user._id.toString(), user);
+  return user;
+};
+
+const addProject = (fields = {}) => {
+  const project = new Project({
+    client: client._id,
+    title: 'Mobile banking app',
+    description: 'Build a React Native banking app',
+    budgetAmount: 50000,
+    currency: 'INR',
+    deadline: new Date(Date.now() + 60 * 24 * 60 * 60 * 1000),
+    status: 'open',
+    ...fields
+  });
+  projects.set(project._id.toString(), project);
+  return project;
+};
+
+const client = addUser({ fullName: 'Asha Client', role: 'client' });
+const otherClient = addUser({ fullName: 'Other Client', role: 'client' });
+const freelancer = addUser({ fullName: 'Ravi Dev', role: 'freelancer' });
+const secondFreelancer = addUser({ fullName: 'Meena Design', role: 'freelancer' });
+const hidden = addUser({ fullName: 'Hidden Dev', role: 'freelancer', privacySettings: { showInSearchResults: false } });
+const busy = addUser({ fullName: 'Busy Dev', role: 'freelancer' });
+
+console.log('\n🧪 TESTING PROJECT INVITATIONS\n');
+console.log('═'.repeat(70));
+
+const runInviteTests = async () => {
+  console.log('\n📩 Inviting');
+  const project = addProject();
+
+  const invitation = await InvitationService.inviteFreelancer(client._id, {
+    projectId: project._id,
+    freelancerId: freelancer._id,
+    message: '  Loved your fintech portfolio  ',
+    source: 'matching',
+    matchScore: 0.87
+  });
+  check('Invitation pending', invitation.status, 'pending');
+  check('Note trimmed', invitation.message, 'Loved your fintech portfolio');
+  check('Source kept', invitation.source, 'matching');
+  check('Match score kept', invitation.matchScore, 0.87);
+  check('Freelancer notified', notifications[0]?.userId.toString(), freelancer._id.toString());
+  check('Notification names the client', notifications[0]?.body.startsWith('Asha Client invited you'), true);
+
+  const unknownSource = await InvitationService.inviteFreelancer(client._id, {
+    projectId: project._id, freelancerId: secondFreelancer._id, source: 'spam', matchScore: 7
+  });
+  check('Unknown source stored as other', unknownSource.source, 'other');
+  check('Out-of-range score dropped', unknownSource.matchScore, undefined);
+
+  check('Duplicate invite rejected', await errorOf(() => InvitationService.inviteFreelancer(client._id, { projectId: project._id, freelancerId: freelancer._id })),
+    'You have already invited this freelancer to this project');
+  check('Other clients cannot invite to the project', await errorOf(() => InvitationService.inviteFreelancer(otherClient._id, { projectId: project._id, freelancerId: busy._id })),
+    'Project not found');
+  check('Hidden freelancers cannot be invited', await errorOf(() => InvitationService.inviteFreelancer(client._id, { projectId: project._id, freelancerId: hidden._id })),
+    'Freelancer not found');
+  check('Only freelancers can be invited', await errorOf(() => InvitationService.inviteFreelancer(client._id, { projectId: project._id, freelancerId: otherClient._id })),
+    'Freelancer not found');
+
+  const draft = addProject({ status: 'draft' });
+  check('Drafts cannot be invited to', await errorOf(() => InvitationService.inviteFreelancer(client._id, { projectId: draft._id, freelancerId: busy._id })),
+    'You can only invite freelancers to open projects');
+
+  applications.push({ project: project._id, freelancer: busy._id, status: 'pending' });
+  check('Applicants are not invited', await errorOf(() => InvitationService.inviteFreelancer(client._id, { projectId: project._id, freelancerId: busy._id })),
+    'This freelancer has already applied to this project');
+};
+
+const runResponseTests = async () => {
+  console.log('\n✅ Accepting and declining');
+  const project = addProject({ title: 'Design system' });
+  const invitation = await InvitationService.inviteFreelancer(client._id, { projectId: project._id, freelancerId: freelancer._id });
+  notifications = [];
+
+  check('Only the invited freelancer can accept', await errorOf(() => InvitationService.acceptInvitation(invitation._id, secondFreelancer._id)),
+    'Invitation not found');
+  check('Rate above 120% of budget rejected', await errorOf(() => InvitationService.acceptInvitation(invitation._id, freelancer._id, { proposedRate: 70000 })),
+    'Proposed rate cannot exceed ₹60,000 (120% of the project budget)');
+
+  const { application } = await InvitationService.acceptInvitation(invitation._id, freelancer._id, {});
+  check('Invitation accepted', invitation.status, 'accepted');
+  check('Application linked to the invitation', application.invitation.toString(), invitation._id.toString());
+  check('Invitation linked to the application', invitation.application.toString(), application._id.toString());
+  check('Rate defaults to the budget', application.proposedRate, 50000);
+  check('Timeline defaults to the deadline', application.proposedTimeline, project.deadline.toISOString().split('T')[0]);
+  check('Application goes to the client', application.client.toString(), client._id.toString());
+  check('Client notified', notifications[0]?.title, '✅ Invitation Accepted');
+  check('Answering twice rejected', await errorOf(() => InvitationService.declineInvitation(invitation._id, freelancer._id, 'Busy')),
+    'This invitation has already been accepted');
+
+  const declined = await InvitationService.inviteFreelancer(client._id, { projectId: project._id, freelancerId: secondFreelancer._id });
+  check('Decline needs a reason', await errorOf(() => InvitationService.declineInvitation(declined._id, secondFreelancer._id, ' ')),
+    'Please give a reason for declining');
+  await InvitationService.declineInvitation(declined._id, secondFreelancer._id, 'Fully booked this month');
+  check('Declined with reason', `${declined.status}: ${declined.declineReason}`, 'declined: Fully booked this month');
+  check('Declined freelancers are not re-invited', await errorOf(() => InvitationService.inviteFreelancer(client._id, { projectId: project._id, freelancerId: secondFreelancer._id })),
+    'This freelancer has already declined your invitation');
+
+  console.log('\n↩️ Withdrawn and expired');
+  const closing = addProject({ title: 'Closed soon' });
+  const withdrawn = await InvitationService.inviteFreelancer(client._id, { projectId: closing._id, freelancerId: freelancer._id });
+  await InvitationService.cancelInvitation(withdrawn._id, client._id);
+  check('Client withdrew invitation', withdrawn.status, 'cancelled');
+  const reinvited = await InvitationService.inviteFreelancer(client._id, { projectId: closing._id, freelancerId: freelancer._id, message: 'Second try' });
+  check('Withdrawn invitation can be sent again', `${reinvited.status}: ${reinvited.message}`, 'pending: Second try');
+
+  closing.status = 'closed';
+  check('Accepting on a closed project fails', await errorOf(() => InvitationService.acceptInvitation(reinvited._id, freelancer._id)),
+    'This project is no longer accepting applications');
+  check('Invitation expired', reinvited.status, 'expired');
+
+  const full = addProject({ title: 'Too busy' });
+  const busyInvite = await InvitationService.inviteFreelancer(client._id, { projectId: full._id, freelancerId: busy._id });
+  for (let i = 0; i < 5; i++) {
+    applications.push({ project: new mongoose.Types.ObjectId(), freelancer: busy._id, status: 'awarded' });
+  }
+  check('Ongoing project limit applies', (await errorOf(() => InvitationService.acceptInvitation(busyInvite._id, busy._id))).startsWith('You cannot apply to more than 5 projects'), true);
+};
+
+const runAnalyticsTests = async () => {
+  console.log('\n📊 Matching analytics');
+  const project = [...projects.values()].find(p => p.title === 'Design system');
+  const stats = await InvitationService.getProjectStats(project._id);
+  check('Invitations sent', stats.sent, 2);
+  check('Accepted', stats.accepted, 1);
+  check('Declined', stats.declined, 1);
+  check('Acceptance rate', stats.acceptanceRate, 0.5);
+  check('By source', `${stats.bySource.browse}/${stats.bySource.matching}/${stats.bySource.other}`, '0/0/2');
+
+  const closing = [...projects.values()].find(p => p.title === 'Closed soon');
+  const statuses = await InvitationService.statusesForProject(closing._id);
+  check('Status per freelancer', statuses.get(freelancer._id.toString()), 'expired');
+};
+
+Promise.resolve()
+  .then(runInviteTests)
+  .then(runResponseTests)
+  .then(runAnalyticsTests)
+  .catch((error) => {
+    allPassed = false;
+    console.error('❌ Invitations test crashed:', error);
+  })
+  .finally(() => {
+    console.log('\n' + '═'.repeat(70));
+    console.log(`\n${allPassed ? '✅ ALL TESTS PASSED!' : '❌ SOME TESTS FAILED'}\n`);
+  });
@@ -0,0 +1,211 @@
+/**
+ * Test Login Security
+ * Runs without a database: checks the exponential lockout (including parallel
+ * failed attempts against the same account), login history,
+ * device naming, new-device detection and how the auth middleware treats
+ * tokens from signed-out sessions.
+ */
+
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const User = require('./models/User');
+const LoginSession = require('./models/LoginSession');
+const SessionService = require('./services/sessionService');
+const { parseUserAgent } = require('./utils/userAgent');
+const { auth } = require('./middlewares/auth');
+
+let allPassed = true;
+const check = (label, actual, expected) => {
+  const passed = actual === expected;
+  if (!passed) allPassed = false;
+  console.log(`  ${label}: ${actual} ${passed ? '✅' : `❌ (expected ${expected})`}`);
+};
+
+const newUser = (fields) => new User({
+  fullName: 'Asha Rao',
+  email: 'asha@example.com',
+  password: 'Password1!',
+  role: 'client',
+  ...fields
+});
+
+// Stored counters per account, updated the way MongoDB would
+const storedUsers = new Map();
+User.findOneAndUpdate = async ({ _id }, update) => {
+  // Yield first so concurrent callers interleave like separate requests
+  await new Promise(resolve => setImmediate(resolve));
+  const stored = storedUsers.get(_id.toString());
+  if (!stored) return null;
+  stored.loginAttempts += update.$inc.loginAttempts;
+  return { ...stored };
+};
+User.updateOne = async ({ _id }, update) => {
+  const stored = storedUsers.get(_id.toString());
+  const { lockUntil } = update.$max;
+  if (!stored.lockUntil || lockUntil > stored.lockUntil) stored.lockUntil = lockUntil;
+  return { modifiedCount: 1 };
+};
+const storeUser = (user) => {
+  storedUsers.set(user._id.toString(), { loginAttempts: user.loginAttempts, lockUntil: user.lockUntil });
+  return user;
+};
+
+const lockMinutes = (user) => Math.round((user.lockUntil - Date.now()) / 60000);
+
+const UA = {
+  chromeWindows: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36',
+  edgeWindows: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36 Edg/126.0.2592.87',
+  safariIphone: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1',
+  firefoxMac: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14.5; rv:127.0) Gecko/20100101 Firefox/127.0',
+  chromeAndroidTablet: 'Mozilla/5.0 (Linux; Android 14; SM-X710) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36'
+};
+
+console.log('\n🧪 TESTING LOGIN SECURITY\n');
+console.log('═'.repeat(70));
+
+const runLockoutTests = async () => {
+  console.log('\n🔒 Failed sign-in lockout');
+  const user = storeUser(newUser());
+
+  for (let i = 0; i < 4; i++) await user.handleFailedLogin();
+  check('Four failures do not lock', Boolean(user.isAccountLocked()), false);
+
+  await user.handleFailedLogin();
+  check('Fifth failure locks', Boolean(user.isAccountLocked()), true);
+  check('First lock is 5 minutes', lockMinutes(user), 5);
+
+  await user.handleFailedLogin();
+  check('Next lock doubles to 10 minutes', lockMinutes(user), 10);
+  await user.handleFailedLogin();
+  check('Then 20 minutes', lockMinutes(user), 20);
+
+  for (let i = 0; i < 10; i++) await user.handleFailedLogin();
+  check('Capped at 24 hours', lockMinutes(user), 24 * 60);
+  check('Counter not left to be saved over', user.isModified('loginAttempts'), false);
+
+  user.recordLogin({ ip: '203.0.113.7', userAgent: UA.chromeWindows, deviceName: 'Chrome on Windows', method: 'password' });
+  check('Successful login resets attempts', user.loginAttempts, 0);
+  check('Successful login unlocks', Boolean(user.isAccountLocked()), false);
+
+  console.log('\n🏁 Parallel failed attempts');
+  const target = storeUser(newUser({ email: 'target@example.com' }));
+  // Each request loads its own copy of the account before checking the password
+  const copies = Array.from({ length: 5 }, () => new User(target.toObject()));
+  await Promise.all(copies.map(copy => copy.handleFailedLogin()));
+  const stored = storedUsers.get(target._id.toString());
+  check('Every attempt counted', stored.loginAttempts, 5);
+  check('Account locked', stored.lockUntil > new Date(), true);
+  check('Last request sees the lock', Boolean(copies.some(copy => copy.isAccountLocked())), true);
+
+  await Promise.all(copies.slice(0, 2).map(copy => copy.handleFailedLogin()));
+  check('Lock only grows', Math.round((stored.lockUntil - Date.now()) / 60000), 20);
+};
+
+const runHistoryTests = () => {
+  console.log('\n📜 Login history');
+  const user = newUser();
+
+  for (let i = 0; i < 25; i++) {
+    user.recordLogin({ ip: `198.51.100.${i}`, userAgent: UA.firefoxMac, deviceName: 'Firefox on macOS', method: 'two-factor', newDevice: i === 24 });
+  }
+  check('Keeps the 20 most recent', user.loginHistory.length, 20);
+  check('Newest first', user.loginHistory[0].ip, '198.51.100.24');
+  check('Device name recorded', user.loginHistory[0].deviceName, 'Firefox on macOS');
+  check('Method recorded', user.loginHistory[0].method, 'two-factor');
+  check('New device flagged', user.loginHistory[0].newDevice, true);
+  check('Last login IP updated', user.lastLoginIP, '198.51.100.24');
+};
+
+const runUserAgentTests = () => {
+  console.log('\n🖥️ Device names');
+  check('Chrome on Windows', parseUserAgent(UA.chromeWindows).deviceName, 'Chrome on Windows');
+  check('Edge is not mistaken for Chrome', parseUserAgent(UA.edgeWindows).deviceName, 'Edge on Windows');
+  check('Safari on iOS', parseUserAgent(UA.safariIphone).deviceName, 'Safari on iOS');
+  check('iPhone is mobile', parseUserAgent(UA.safariIphone).deviceType, 'mobile');
+  check('Firefox on macOS', parseUserAgent(UA.firefoxMac).deviceName, 'Firefox on macOS');
+  check('Android without "Mobile" is a tablet', parseUserAgent(UA.chromeAndroidTablet).deviceType, 'tablet');
+  check('Browser version', parseUserAgent(UA.chromeWindows).browserVersion, '126');
+  check('Missing user agent', parseUserAgent(undefined).deviceName, 'Unknown device');
+  check('curl', parseUserAgent('curl/8.5.0').deviceName, 'Unknown device');
+};
+
+const runDeviceTests = () => {
+  console.log('\n📱 Known devices');
+  const user = newUser();
+  const laptop = 'a'.repeat(32);
+  const phone = 'b'.repeat(32);
+
+  check('First device is not alerted', SessionService.rememberDevice(user, laptop, 'Chrome on Windows'), false);
+  check('Same device again is not alerted', SessionService.rememberDevice(user, laptop, 'Chrome on Windows'), false);
+  check('Another device is alerted', SessionService.rememberDevice(user, phone, 'Safari on iOS'), true);
+  check('Both remembered', user.knownDevices.length, 2);
+
+  for (let i = 0; i < 25; i++) {
+    SessionService.rememberDevice(user, i.toString(16).padStart(32, '0'), 'Unknown device', new Date(Date.now() + i * 1000));
+  }
+  check('Known devices capped at 20', user.knownDevices.length, 20);
+  check('Least recently seen forgotten', user.knownDevices.some(device => device.deviceId === laptop), false);
+
+  const cookies = [];
+  const res = { cookie: (name, value, options) => cookies.push({ name, value, options }) };
+  const existing = SessionService.getDeviceId({ headers: { cookie: `theme=dark; ws_device=${phone}` } }, res);
+  check('Device cookie reused', existing, phone);
+  check('No new cookie for a known browser', cookies.length, 0);
+
+  const issued = SessionService.getDeviceId({ headers: { cookie: 'ws_device=not-a-device-id' } }, res);
+  check('Invalid cookie replaced', /^[a-f0-9]{32}$/.test(issued), true);
+  check('Device cookie is httpOnly', cookies[0].options.httpOnly, true);
+
+  check('Client IP from proxy header', SessionService.getClientIp({ headers: { 'x-forwarded-for': '203.0.113.9, 10.0.0.1' } }), '203.0.113.9');
+};
+
+const runSessionTests = async () => {
+  console.log('\n🚪 Sessions and tokens');
+  const userId = new mongoose.Types.ObjectId();
+  const session = new LoginSession({
+    user: userId,
+    deviceId: 'c'.repeat(32),
+    deviceName: 'Chrome on Windows',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  });
+  check('New session is active', session.isActive(), true);
+  check('Current session flagged', SessionService.toJSON(session, session._id).current, true);
+  check('Other sessions not flagged', SessionService.toJSON(session, new mongoose.Types.ObjectId()).current, false);
+
+  session.revokedAt = new Date();
+  check('Revoked session is inactive', session.isActive(), false);
+
+  const secret = process.env.JWT_SECRET || 'your_jwt_secret_key';
+  const callAuth = async (payload) => {
+    const req = { headers: { authorization: `Bearer ${jwt.sign(payload, secret)}` } };
+    const result = { status: 200, nextCalled: false };
+    const res = {
+      status(code) { result.status = code; return this; },
+      json(body) { result.body = body; return this; }
+    };
+    await auth()(req, res, () => { result.nextCalled = true; });
+    return { ...result, user: req.user };
+  };
+
+  const legacy = await callAuth({ userId, role: 'client' });
+  check('Tokens without a session still accepted', legacy.nextCalled, true);
+
+  const unknown = await callAuth({ userId, role: 'client', sid: 'not-a-session' });
+  check('Unknown session rejected', unknown.status, 401);
+  check('Rejection says the session ended', unknown.body?.sessionRevoked, true);
+};
+
+Promise.resolve()
+  .then(runLockoutTests)
+  .then(runHistoryTests)
+  .then(runUserAgentTests)
+  .then(runDeviceTests)
+  .then(runSessionTests)
+  .catch((error) => {
+    allPassed = false;
+    console.error('❌ Login security test crashed:', error);
+  })
+  .finally(() => {
+    console.log('\n' + '═'.repeat(70));
+    console.log(`\n${allPassed ? '✅ ALL TESTS PASSED!' : '❌ SOME TESTS FAILED'}\n`);
+  });
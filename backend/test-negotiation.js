@@ -0,0 +1,297 @@
+/**
+ * Test Offer Negotiation
+ * Runs without a database: exercises the offer state machine on the Message model
+ * and the offer validation in NegotiationService behind the chat offer routes, then
+ * answers and expires offers against an in-memory store, including races between them.
+ */
+
+const mongoose = require('mongoose');
+const { Chat, Message } = require('./models/Chat');
+const Project = require('./models/Project');
+const Application = require('./models/Application');
+const Workspace = require('./models/Workspace');
+const User = require('./models/User');
+const FeeScheduleService = require('./services/feeScheduleService');
+const NegotiationService = require('./services/negotiationService');
+
+let allPassed = true;
+const check = (label, actual, expected) => {
+  const passed = actual === expected;
+  if (!passed) allPassed = false;
+  console.log(`  ${label}: ${actual} ${passed ? '✅' : `❌ (expected ${expected})`}`);
+};
+
+const errorOf = async (fn) => {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+const thrownMessage = (fn) => {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+const client = new mongoose.Types.ObjectId();
+const freelancer = new mongoose.Types.ObjectId();
+
+const newOffer = (fields) => new Message({
+  chat: new mongoose.Types.ObjectId(),
+  sender: freelancer,
+  content: 'New offer: Rs.50000',
+  messageType: 'offer',
+  offerDetails: { proposedRate: 50000, timeline: '2026-12-31' },
+  ...fields
+});
+
+const fixedProject = { budgetAmount: 50000, budgetType: 'fixed' };
+
+console.log('\n🧪 TESTING OFFER NEGOTIATION\n');
+console.log('═'.repeat(70));
+
+const runStateMachineTests = async () => {
+  console.log('\n🔀 Offer state machine');
+  const offer = newOffer();
+  check('New offers are pending', offer.offerStatus, 'pending');
+
+  await offer.validate();
+  check('First offer starts its own thread', offer.negotiationId.toString(), offer._id.toString());
+
+  check('Other side can accept', offer.offerTransitionError('accept', client), null);
+  check('Other side can counter', offer.offerTransitionError('counter', client), null);
+  check('Sender cannot accept', offer.offerTransitionError('accept', freelancer), 'You cannot respond to your own offer');
+  check('Sender can withdraw', offer.offerTransitionError('withdraw', freelancer), null);
+  check('Other side cannot withdraw', offer.offerTransitionError('withdraw', client), 'Only the person who made an offer can withdraw it');
+  check('Unknown action rejected', offer.offerTransitionError('haggle', client), 'Invalid action. Must be one of: accept, decline, counter, withdraw');
+
+  offer.applyOfferAction('counter', client);
+  check('Counter moves to countered', offer.offerStatus, 'countered');
+  check('Responder recorded', offer.offerRespondedBy.toString(), client.toString());
+  check('Countered offers are closed', offer.offerTransitionError('accept', client), 'This offer has already been countered');
+
+  const expired = newOffer({ offerExpiresAt: new Date(Date.now() - 1000) });
+  check('Past expiry cannot be accepted', expired.offerTransitionError('accept', client), 'This offer has expired');
+
+  const text = new Message({ chat: new mongoose.Types.ObjectId(), sender: client, content: 'Hi' });
+  check('Text messages are not offers', text.offerTransitionError('accept', freelancer), 'This message is not an offer');
+
+  const counter = newOffer({ sender: client, negotiationId: offer.negotiationId, counterOf: offer._id });
+  await counter.validate();
+  check('Counter joins the same thread', counter.negotiationId.toString(), offer._id.toString());
+  check('Statuses are validated', Message.OFFER_STATUSES.join(','), 'pending,accepted,declined,countered,withdrawn,expired');
+};
+
+const runOfferDetailsTests = () => {
+  console.log('\n📝 Offer terms');
+  const details = NegotiationService.normalizeOfferDetails(
+    { proposedRate: '45000', timeline: '2026-12-31', description: 'Two phases' },
+    { project: fixedProject, role: 'client' }
+  );
+  check('Rate parsed', details.proposedRate, 45000);
+  check('No breakdown by default', details.milestones.length, 0);
+
+  check('Locked price blocks offers', thrownMessage(() => NegotiationService.normalizeOfferDetails(
+    { proposedRate: 1000 }, { project: { ...fixedProject, agreedPrice: 48000 }, role: 'client' }
+  )), 'Price is already locked at ₹48,000. No further offers allowed.');
+  check('Rate must be positive', thrownMessage(() => NegotiationService.normalizeOfferDetails(
+    { proposedRate: 0 }, { project: fixedProject, role: 'client' }
+  )), 'Proposed rate must be greater than zero');
+
+  let capError = null;
+  try {
+    NegotiationService.normalizeOfferDetails({ proposedRate: 70000 }, { project: fixedProject, role: 'freelancer' });
+  } catch (error) {
+    capError = error;
+  }
+  check('Freelancer cap enforced', capError?.details?.maxAllowed, 60000);
+  check('Clients are not capped', NegotiationService.normalizeOfferDetails(
+    { proposedRate: 70000 }, { project: fixedProject, role: 'client' }
+  ).proposedRate, 70000);
+};
+
+const runMilestoneTests = () => {
+  console.log('\n🧩 Milestone breakdowns');
+  const milestones = [
+    { title: ' Design ', amount: 20000, dueDate: '2026-11-30' },
+    { title: 'Build', description: 'Frontend and API', amount: 30000, dueDate: '2026-12-31' }
+  ];
+  const details = NegotiationService.normalizeOfferDetails(
+    { proposedRate: 50000, timeline: '2026-12-31', milestones },
+    { project: fixedProject, role: 'freelancer' }
+  );
+  check('Milestones kept', details.milestones.length, 2);
+  check('Titles trimmed', details.milestones[0].title, 'Design');
+  check('Due on the completion date is allowed', details.milestones[1].dueDate.toISOString().slice(0, 10), '2026-12-31');
+
+  const offerFor = (list, project = fixedProject) => thrownMessage(() => NegotiationService.normalizeOfferDetails(
+    { proposedRate: 50000, timeline: '2026-12-31', milestones: list },
+    { project, role: 'freelancer' }
+  ));
+  check('Total must match the offer', offerFor([{ title: 'All', amount: 40000, dueDate: '2026-12-01' }]),
+    'Milestone amounts add up to ₹40,000, but the offer is for ₹50,000');
+  check('Title required', offerFor([{ title: ' ', amount: 50000, dueDate: '2026-12-01' }]), 'Milestone 1 needs a title');
+  check('Due date required', offerFor([{ title: 'All', amount: 50000 }]), 'Milestone 1 needs a due date');
+  check('Not due after completion', offerFor([{ title: 'All', amount: 50000, dueDate: '2027-01-15' }]),
+    'Milestone 1 is due after the offer\'s completion date');
+  check('Fixed-price only', offerFor(milestones, { budgetAmount: 50000, budgetType: 'hourly' }),
+    'Milestone breakdowns are only for fixed-price projects');
+};
+
+const runExpiryTests = () => {
+  console.log('\n⌛ Expiry');
+  const now = new Date('2026-05-01T00:00:00Z');
+  check('Default expiry', NegotiationService.expiryFrom(undefined, now).toISOString(), '2026-05-04T00:00:00.000Z');
+  check('Custom expiry', NegotiationService.expiryFrom('24', now).toISOString(), '2026-05-02T00:00:00.000Z');
+  check('Too long rejected', thrownMessage(() => NegotiationService.expiryFrom(1000, now)), 'Offers must expire within 1 to 720 hours');
+  check('Too short rejected', thrownMessage(() => NegotiationService.expiryFrom(0.5, now)), 'Offers must expire within 1 to 720 hours');
+};
+
+// In-memory offers with Mongo-like conditional updates
+const storedStatus = new Map();
+let systemMessages = [];
+let project;
+
+Message.findOneAndUpdate = async ({ _id, offerStatus }, update) => {
+  // Yield first so concurrent callers interleave like separate requests
+  await new Promise(resolve => setImmediate(resolve));
+  if (storedStatus.get(_id.toString()) !== offerStatus) return null;
+  storedStatus.set(_id.toString(), update.$set.offerStatus);
+  return { _id, ...update.$set };
+};
+Message.updateMany = async () => ({ modifiedCount: 0 });
+Message.prototype.save = async function() {
+  if (this.messageType === 'system') systemMessages.push(this);
+  return this;
+};
+Message.prototype.populate = async function() { return this; };
+Project.findById = async () => project;
+Project.prototype.save = async function() { return this; };
+Application.findOne = async () => null;
+Workspace.findOne = async () => null;
+FeeScheduleService.quote = async (amount, { currency }) => ({
+  serviceCharge: amount / 10,
+  serviceChargePercentage: 10,
+  totalAmount: amount + amount / 10,
+  currency,
+  breakdown: { scheduleVersion: 7 }
+});
+
+const preferences = {
+  [client.toString()]: { language: 'en', timezone: 'America/Los_Angeles', dateFormat: 'DD/MM/YYYY' },
+  [freelancer.toString()]: { language: 'en', timezone: 'Asia/Kolkata', dateFormat: 'YYYY-MM-DD' }
+};
+User.findById = (userId) => {
+  const user = { _id: userId, preferences: preferences[userId.toString()] };
+  const query = Promise.resolve(user);
+  query.select = () => query;
+  query.lean = () => query;
+  return query;
+};
+
+const chat = new Chat({
+  project: new mongoose.Types.ObjectId(),
+  participants: [{ user: client, role: 'client' }, { user: freelancer, role: 'freelancer' }]
+});
+chat.save = async () => chat;
+
+const storedOffer = (fields) => {
+  const offer = newOffer({ chat: chat._id, offerExpiresAt: new Date(Date.now() + 60 * 60 * 1000), ...fields });
+  storedStatus.set(offer._id.toString(), offer.offerStatus);
+  return offer;
+};
+
+const resetNegotiation = () => {
+  systemMessages = [];
+  project = new Project({
+    _id: chat.project,
+    title: 'Storefront',
+    budgetAmount: 50000,
+    budgetType: 'fixed',
+    currency: 'USD',
+    serviceCharge: 2500,
+    serviceChargePercentage: 5,
+    negotiationHistory: []
+  });
+};
+
+const runRespondTests = async () => {
+  console.log('\n🤝 Answering offers');
+  resetNegotiation();
+  const offer = storedOffer();
+  const { responseMessage } = await NegotiationService.respond(offer, chat, client, 'accept');
+  check('Offer accepted', offer.offerStatus, 'accepted');
+  check('Price locked', project.agreedPrice, 50000);
+  check('Charges from the fee schedule', project.totalProjectValue, 55000);
+  check('Charge stored as computed', project.serviceCharge, 5000);
+  check('Fee schedule version kept', project.feeScheduleVersion, 7);
+  check('Message in the project currency and the client\'s date format',
+    responseMessage.content, '✅ Offer accepted: $50,000 - 31/12/2026');
+
+  resetNegotiation();
+  const countered = storedOffer();
+  const { counterOffer } = await NegotiationService.respond(countered, chat, client, 'counter', {
+    offerDetails: { proposedRate: 45000, timeline: '2026-11-30' }
+  });
+  check('Counter in the project currency', counterOffer.content, 'Counter-offer: $45,000 - by 30/11/2026');
+
+  console.log('\n🏁 Two answers at once');
+  resetNegotiation();
+  const raced = storedOffer();
+  const [accepted, withdrawn] = await Promise.all([
+    errorOf(() => NegotiationService.respond(raced, chat, client, 'accept')),
+    errorOf(() => NegotiationService.respond(newOffer({ _id: raced._id, chat: chat._id }), chat, freelancer, 'withdraw'))
+  ]);
+  check('First answer wins', accepted, null);
+  check('Second answer rejected', withdrawn, 'This offer has already been answered');
+  check('Stored status', storedStatus.get(raced._id.toString()), 'accepted');
+  check('One system message', systemMessages.length, 1);
+  check('History recorded once', project.negotiationHistory.length, 1);
+};
+
+const runExpireTests = async () => {
+  console.log('\n⌛ Expiring offers');
+  resetNegotiation();
+  const due = storedOffer({ offerExpiresAt: new Date(Date.now() - 1000) });
+  const answered = storedOffer({ offerExpiresAt: new Date(Date.now() - 1000) });
+  // Accepted after the expiry job loaded it
+  storedStatus.set(answered._id.toString(), 'accepted');
+
+  Message.find = () => {
+    const query = Promise.resolve([due, answered].map(offer => {
+      offer.chat = chat;
+      offer.sender = new User({ _id: freelancer, preferences: preferences[freelancer.toString()] });
+      return offer;
+    }));
+    query.populate = () => query;
+    return query;
+  };
+
+  check('Only still-pending offers expired', await NegotiationService.expireOffers(), 1);
+  check('Expired offer', storedStatus.get(due._id.toString()), 'expired');
+  check('Answered offer left alone', storedStatus.get(answered._id.toString()), 'accepted');
+  check('One expiry message', systemMessages.map(message => message.content).join(' | '), '⌛ Offer of $50,000 expired');
+  check('Expiry message from the offer\'s sender', systemMessages[0].sender.toString(), freelancer.toString());
+};
+
+Promise.resolve()
+  .then(runStateMachineTests)
+  .then(runOfferDetailsTests)
+  .then(runMilestoneTests)
+  .then(runExpiryTests)
+  .then(runRespondTests)
+  .then(runExpireTests)
+  .catch((error) => {
+    allPassed = false;
+    console.error('❌ Negotiation test crashed:', error);
+  })
+  .finally(() => {
+    console.log('\n' + '═'.repeat(70));
+    console.log(`\n${allPassed ? '✅ ALL TESTS PASSED!' : '❌ SOME TESTS FAILED'}\n`);
+  });
@@ -0,0 +1,162 @@
+/**
+ * Test Payout Providers & Withdrawal Rules
+ * Runs without a database or gateway: exercises the fake payout provider, the RazorpayX
+ * status mapping, minimum withdrawal config, masking of payout details and the
+ * escrow total on the wallet summary.
+ */
+
+const mongoose = require('mongoose');
+const User = require('./models/User');
+const WithdrawalRequest = require('./models/WithdrawalRequest');
+const Wallet = require('./models/Wallet');
+const Escrow = require('./models/Escrow');
+const WalletService = require('./services/walletService');
+const { getPayoutProvider, setPayoutProvider, FakePayoutProvider, RazorpayXPayoutProvider } = require('./services/payouts');
+
+let allPassed = true;
+const check = (label, actual, expected) => {
+  const passed = actual === expected;
+  if (!passed) allPassed = false;
+  console.log(`  ${label}: ${actual} ${passed ? '✅' : `❌ (expected ${expected})`}`);
+};
+
+console.log('\n🧪 TESTING PAYOUTS & WITHDRAWALS\n');
+console.log('═'.repeat(70));
+
+const destination = { type: 'upi', upiId: 'freelancer@okaxis' };
+
+const runProviderTests = async () => {
+  console.log('\n💸 Fake payout provider');
+
+  delete process.env.PAYOUT_PROVIDER;
+  check('Default provider', getPayoutProvider().name, 'fake');
+
+  const instant = new FakePayoutProvider();
+  const paid = await instant.createPayout({ amount: 1500, currency: 'INR', destination, reference: 'withdrawal_1' });
+  check('Default outcome', paid.status, 'paid');
+
+  const slow = new FakePayoutProvider({ outcome: 'processing' });
+  const accepted = await slow.createPayout({ amount: 1500, currency: 'INR', destination, reference: 'withdrawal_2' });
+  check('Processing outcome', accepted.status, 'processing');
+  check('Settles on fetch', (await slow.fetchPayout(accepted.id)).status, 'paid');
+
+  const failing = new FakePayoutProvider({ outcome: 'failed', failureReason: 'Invalid IFSC' });
+  const failed = await failing.createPayout({ amount: 1500, currency: 'INR', destination, reference: 'withdrawal_3' });
+  check('Failed outcome', failed.status, 'failed');
+  check('Failure reason', failed.failureReason, 'Invalid IFSC');
+
+  setPayoutProvider(failing);
+  check('Injected provider used', getPayoutProvider() === failing, true);
+};
+
+const runRazorpayXTests = () => {
+  console.log('\n🏦 RazorpayX provider');
+
+  let missingConfig = null;
+  try {
+    new RazorpayXPayoutProvider({ keyId: 'rzp_test', keySecret: 'secret' });
+  } catch (error) {
+    missingConfig = error.message;
+  }
+  check('Requires RazorpayX account number', !!missingConfig, true);
+
+  const provider = new RazorpayXPayoutProvider({ keyId: 'rzp_test', keySecret: 'secret', accountNumber: '2323230000000000' });
+  [
+    ['queued', 'processing'],
+    ['processing', 'processing'],
+    ['processed', 'paid'],
+    ['reversed', 'failed'],
+    ['rejected', 'failed']
+  ].forEach(([gatewayStatus, expected]) => {
+    check(`Status ${gatewayStatus}`, provider.toResult({ id: 'pout_1', status: gatewayStatus }).status, expected);
+  });
+
+  const bank = provider.buildFundAccount({
+    type: 'bank_account',
+    accountHolderName: 'Asha Rao',
+    accountNumber: '123456789012',
+    ifsc: 'HDFC0001234'
+  }, 'Asha Rao');
+  check('Bank fund account type', bank.account_type, 'bank_account');
+  check('UPI fund account type', provider.buildFundAccount(destination, 'Asha Rao').account_type, 'vpa');
+};
+
+const runRuleTests = async () => {
+  console.log('\n📏 Minimum withdrawal');
+
+  delete process.env.MIN_WITHDRAWAL_AMOUNT;
+  check('Default minimum', WalletService.getMinimumWithdrawal(), 500);
+  process.env.MIN_WITHDRAWAL_AMOUNT = '1000';
+  check('Configured minimum', WalletService.getMinimumWithdrawal(), 1000);
+
+  let belowMinimum = null;
+  try {
+    await WalletService.requestWithdrawal(new mongoose.Types.ObjectId(), { amount: 999 });
+  } catch (error) {
+    belowMinimum = error.message;
+  }
+  check('Below minimum rejected', belowMinimum, 'Minimum withdrawal amount is ₹1,000');
+
+  console.log('\n🔒 Payout method details');
+
+  const user = new User({
+    fullName: 'Asha Rao',
+    email: 'asha@example.com',
+    password: 'password123',
+    role: 'freelancer',
+    payoutMethods: [
+      { type: 'bank_account', accountHolderName: 'Asha Rao', accountNumber: '123456789012', ifsc: 'hdfc0001234' },
+      { type: 'upi', upiId: 'Asha@OKAXIS' }
+    ]
+  });
+  check('Valid methods accepted', user.validateSync(), undefined);
+  check('IFSC normalised', user.payoutMethods[0].ifsc, 'HDFC0001234');
+  check('UPI normalised', user.payoutMethods[1].upiId, 'asha@okaxis');
+  check('Account number masked', user.getPayoutMethods()[0].accountNumber, '••••9012');
+
+  const invalid = new User({
+    fullName: 'Asha Rao',
+    email: 'asha@example.com',
+    password: 'password123',
+    role: 'freelancer',
+    payoutMethods: [{ type: 'bank_account', accountNumber: '12AB', ifsc: 'HDFC1234' }]
+  });
+  const errors = invalid.validateSync()?.errors || {};
+  check('Bad account number rejected', !!errors['payoutMethods.0.accountNumber'], true);
+  check('Bad IFSC rejected', !!errors['payoutMethods.0.ifsc'], true);
+
+  const withdrawal = new WithdrawalRequest({
+    freelancer: new mongoose.Types.ObjectId(),
+    amount: 1500,
+    payoutMethod: { type: 'bank_account', accountNumber: '123456789012', ifsc: 'HDFC0001234' }
+  });
+  check('Withdrawal snapshot masked', withdrawal.toSafeObject().payoutMethod.accountNumber, '••••9012');
+
+  console.log('\n🔐 Held in escrow');
+
+  const freelancerId = new mongoose.Types.ObjectId();
+  Wallet.findOneAndUpdate = async () => new Wallet({ user: freelancerId, availableBalance: 2000 });
+  const escrows = [
+    { amountToFreelancer: 9000, currency: 'INR' },
+    { amountToFreelancer: 100, currency: 'USD', fxSnapshot: { baseCurrency: 'INR', rateToBase: 83.5 } },
+    // Escrows from before multi-currency support are already in the base currency
+    { amountToFreelancer: 500 }
+  ];
+  Escrow.find = () => ({ select: async () => escrows });
+
+  const summary = await WalletService.getWalletSummary(freelancerId);
+  check('Escrows converted at their funded rate', summary.inEscrow, 17850);
+  check('Available balance unchanged', summary.availableBalance, 2000);
+};
+
+runProviderTests()
+  .then(runRazorpayXTests)
+  .then(runRuleTests)
+  .catch((error) => {
+    allPassed = false;
+    console.error('❌ Payout test crashed:', error);
+  })
+  .finally(() => {
+    console.log('\n' + '═'.repeat(70));
+    console.log(`\n${allPassed ? '✅ ALL TESTS PASSED!' : '❌ SOME TESTS FAILED'}\n`);
+  });
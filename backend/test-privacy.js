@@ -0,0 +1,155 @@
+/**
+ * Test Privacy Settings
+ * Runs without a database: checks every privacy setting against each kind of
+ * viewer (signed out, client, freelancer, admin, the user themselves and a
+ * client already working with them) through PrivacyService, which the
+ * profile, browse, matching, presence and chat APIs all use.
+ */
+
+const mongoose = require('mongoose');
+const User = require('./models/User');
+const PrivacyService = require('./services/privacyService');
+
+let allPassed = true;
+const check = (label, actual, expected) => {
+  const passed = actual === expected;
+  if (!passed) allPassed = false;
+  console.log(`  ${label}: ${actual} ${passed ? '✅' : `❌ (expected ${expected})`}`);
+};
+
+const freelancerWith = (privacySettings = {}) => new User({
+  fullName: 'Ravi Menon',
+  email: 'ravi@example.com',
+  password: 'Password1!',
+  role: 'freelancer',
+  phoneNumber: '+919876543210',
+  location: 'Pune',
+  lastSeen: new Date(),
+  bio: 'Full-stack developer',
+  skills: ['React', 'Node.js'],
+  privacySettings
+});
+
+const viewerId = () => new mongoose.Types.ObjectId().toString();
+const VIEWERS = {
+  anonymous: null,
+  client: { userId: viewerId(), role: 'client' },
+  freelancer: { userId: viewerId(), role: 'freelancer' },
+  admin: { userId: viewerId(), role: 'admin' }
+};
+const ownerOf = (user) => ({ userId: user._id.toString(), role: user.role });
+
+const seenBy = (user, viewer, options) => PrivacyService.serializeProfile(user, viewer, options) !== null;
+
+console.log('\n🧪 TESTING PRIVACY SETTINGS\n');
+console.log('═'.repeat(70));
+
+const runVisibilityTests = () => {
+  const expected = {
+    public: { anonymous: false, client: true, freelancer: true, admin: true },
+    'clients-only': { anonymous: false, client: true, freelancer: false, admin: true },
+    'freelancers-only': { anonymous: false, client: false, freelancer: true, admin: true },
+    private: { anonymous: false, client: false, freelancer: false, admin: true }
+  };
+
+  for (const [profileVisibility, byViewer] of Object.entries(expected)) {
+    console.log(`\n👁️ profileVisibility: ${profileVisibility}`);
+    const user = freelancerWith({ profileVisibility });
+    for (const [name, viewer] of Object.entries(VIEWERS)) {
+      check(`Seen by ${name}`, seenBy(user, viewer), byViewer[name]);
+    }
+    check('Seen by themselves', seenBy(user, ownerOf(user)), true);
+    check('Seen by a client they work with', seenBy(user, VIEWERS.client, { connected: true }), true);
+  }
+};
+
+const runContactTests = () => {
+  const settings = {
+    showEmail: ['email', 'ravi@example.com'],
+    showPhone: ['phoneNumber', '+919876543210'],
+    showLocation: ['location', 'Pune']
+  };
+
+  for (const [setting, [field, value]] of Object.entries(settings)) {
+    console.log(`\n📇 ${setting}`);
+    const shown = freelancerWith({ [setting]: true });
+    const hidden = freelancerWith({ [setting]: false });
+
+    for (const [name, viewer] of Object.entries(VIEWERS)) {
+      if (!viewer) continue;
+      check(`On: ${field} shown to ${name}`, PrivacyService.serializeProfile(shown, viewer)[field], value);
+      check(`Off: ${field} shown to ${name}`, PrivacyService.serializeProfile(hidden, viewer)[field], name === 'admin' ? value : undefined);
+    }
+    check(`Off: ${field} shown to themselves`, PrivacyService.serializeProfile(hidden, ownerOf(hidden))[field], value);
+    check(`Off: ${field} shown to a client they work with`, PrivacyService.serializeProfile(hidden, VIEWERS.client, { connected: true })[field], undefined);
+    check(`Off: ${field} in getPublicProfile for others`, hidden.getPublicProfile(VIEWERS.client)[field], undefined);
+    check(`Off: ${field} in getPublicProfile for themselves`, hidden.getPublicProfile(ownerOf(hidden))[field], value);
+  }
+
+  console.log('\n🔒 Never shown');
+  const profile = PrivacyService.serializeProfile(freelancerWith({ showEmail: true }), VIEWERS.admin);
+  check('Password left out', profile.password, undefined);
+  check('Privacy settings left out', profile.privacySettings, undefined);
+  check('Payout methods left out', profile.payoutMethods, undefined);
+  check('Defaults hide email', PrivacyService.contactDetails(freelancerWith(), VIEWERS.client).email, undefined);
+};
+
+const runSearchTests = () => {
+  console.log('\n🔎 showInSearchResults and browse/matching filters');
+  const optedOut = freelancerWith({ showInSearchResults: false });
+  for (const [name, viewer] of Object.entries(VIEWERS)) {
+    check(`Opted out, found by ${name}`, PrivacyService.isSearchable(optedOut, viewer), name === 'admin');
+  }
+
+  const visibilities = ['public', 'clients-only', 'freelancers-only', 'private'];
+  const found = (viewer) => visibilities
+    .filter(profileVisibility => PrivacyService.isSearchable(freelancerWith({ profileVisibility }), viewer))
+    .join(',');
+  check('Clients find', found(VIEWERS.client), 'public,clients-only');
+  check('Freelancers find', found(VIEWERS.freelancer), 'public,freelancers-only');
+  check('Signed out finds', found(VIEWERS.anonymous), '');
+  check('Admins find', found(VIEWERS.admin), 'public,clients-only,freelancers-only,private');
+
+  const filter = PrivacyService.searchFilter(VIEWERS.client);
+  check('Query skips opted-out users', filter['privacySettings.showInSearchResults'].$ne, false);
+  check('Query skips hidden visibilities', filter['privacySettings.profileVisibility'].$nin.join(','), 'freelancers-only,private');
+  check('Admin query unfiltered', Object.keys(PrivacyService.searchFilter(VIEWERS.admin)).length, 0);
+};
+
+const runPresenceTests = () => {
+  console.log('\n🟢 showOnlineStatus');
+  const hidden = freelancerWith({ showOnlineStatus: false });
+  const shown = freelancerWith({ showOnlineStatus: true });
+  for (const [name, viewer] of Object.entries(VIEWERS)) {
+    check(`Hidden status seen by ${name}`, PrivacyService.canSeeOnlineStatus(hidden, viewer), name === 'admin');
+    check(`Shown status seen by ${name}`, PrivacyService.canSeeOnlineStatus(shown, viewer), true);
+  }
+  check('Hidden status seen by themselves', PrivacyService.canSeeOnlineStatus(hidden, ownerOf(hidden)), true);
+  check('Last seen left out of profile', PrivacyService.serializeProfile(hidden, VIEWERS.client).lastSeen, undefined);
+  check('Presence query', PrivacyService.hiddenPresenceFilter()['privacySettings.showOnlineStatus'], false);
+};
+
+const runMessagingTests = () => {
+  console.log('\n💬 allowDirectMessages');
+  const closed = freelancerWith({ allowDirectMessages: false });
+  const open = freelancerWith({ allowDirectMessages: true });
+  for (const [name, viewer] of Object.entries(VIEWERS)) {
+    check(`Closed, new chat from ${name}`, PrivacyService.canStartChat(closed, viewer), name === 'admin');
+    check(`Open, new chat from ${name}`, PrivacyService.canStartChat(open, viewer), true);
+  }
+};
+
+Promise.resolve()
+  .then(runVisibilityTests)
+  .then(runContactTests)
+  .then(runSearchTests)
+  .then(runPresenceTests)
+  .then(runMessagingTests)
+  .catch((error) => {
+    allPassed = false;
+    console.error('❌ Privacy test crashed:', error);
+  })
+  .finally(() => {
+    console.log('\n' + '═'.repeat(70));
+    console.log(`\n${allPassed ? '✅ ALL TESTS PASSED!' : '❌ SOME TESTS FAILED'}\n`);
+  });
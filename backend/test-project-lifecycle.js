@@ -0,0 +1,217 @@
+/**
+ * Test Project Lifecycle
+ * Runs without a database: drafts and publishing, edits with revision history
+ * and applicant notifications, closing, cancelling, duplicating and reposting.
+ */
+
+const mongoose = require('mongoose');
+const Project = require('./models/Project');
+const Application = require('./models/Application');
+const Notification = require('./models/Notification');
+const Invitation = require('./models/Invitation');
+const FeeScheduleService = require('./services/feeScheduleService');
+const ProjectService = require('./services/projectService');
+
+let allPassed = true;
+const check = (label, actual, expected) => {
+  const passed = actual === expected;
+  if (!passed) allPassed = false;
+  console.log(`  ${label}: ${actual} ${passed ? '✅' : `❌ (expected ${expected})`}`);
+};
+
+const errorOf = async (fn) => {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+const clientId = new mongoose.Types.ObjectId();
+const otherClientId = new mongoose.Types.ObjectId();
+
+// Stored projects, applications and notifications sent
+const projects = new Map();
+let applications = [];
+let notifications = [];
+let expiredInvitationsFor = [];
+
+Project.prototype.save = async function() {
+  await this.validate();
+  projects.set(this._id.toString(), this);
+  return this;
+};
+Project.findOne = async ({ _id, client }) => {
+  const project = projects.get(_id.toString());
+  return project && project.client.toString() === client.toString() ? project : null;
+};
+Application.find = ({ project, status }) => ({
+  select: () => ({
+    lean: async () => applications.filter(application =>
+      application.project.toString() === project.toString() && status.$in.includes(application.status))
+  })
+});
+Invitation.updateMany = async ({ project }) => {
+  expiredInvitationsFor.push(project.toString());
+  return { modifiedCount: 1 };
+};
+Notification.create = async (notification) => {
+  notifications.push(notification);
+  return notification;
+};
+FeeScheduleService.quote = async (amount) => ({
+  serviceCharge: amount * 0.05,
+  serviceChargePercentage: 5,
+  totalAmount: amount * 1.05,
+  breakdown: { scheduleVersion: 3 }
+});
+
+const createProject = async (fields = {}) => {
+  const project = new Project({
+    client: clientId,
+    title: 'Landing page redesign',
+    description: 'Redesign our marketing landing page',
+    skills: ['Figma', 'React'],
+    budgetType: 'fixed',
+    budgetAmount: 20000,
+    currency: 'INR',
+    deadline: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+    ...fields
+  });
+  return project.save();
+};
+
+const apply = (project, status = 'pending') => {
+  applications.push({
+    _id: new mongoose.Types.ObjectId(),
+    project: project._id,
+    freelancer: new mongoose.Types.ObjectId(),
+    status
+  });
+};
+
+console.log('\n🧪 TESTING PROJECT LIFECYCLE\n');
+console.log('═'.repeat(70));
+
+const runDraftTests = async () => {
+  console.log('\n📝 Drafts');
+  const draft = await createProject({ status: 'draft', description: undefined });
+  check('Draft saved without a description', draft.status, 'draft');
+
+  await ProjectService.updateProject(draft._id, clientId, { budgetAmount: '25000' });
+  check('Draft edits keep no history', draft.revisions.length, 0);
+  check('Fees re-quoted on budget change', draft.totalProjectValue, 26250);
+
+  check('Publishing needs a description', await errorOf(() => ProjectService.publishProject(draft._id, clientId)),
+    'Add a title and description before publishing');
+
+  await ProjectService.updateProject(draft._id, clientId, { description: 'Full brief' });
+  const published = await ProjectService.publishProject(draft._id, clientId);
+  check('Published', published.status, 'open');
+  check('Publish time set', published.publishedAt instanceof Date, true);
+  check('Only drafts publish', await errorOf(() => ProjectService.publishProject(draft._id, clientId)), 'Only drafts can be published');
+};
+
+const runEditTests = async () => {
+  console.log('\n✏️ Editing an open project');
+  const project = await createProject({ status: 'open' });
+  apply(project);
+  apply(project, 'withdrawn');
+  notifications = [];
+
+  const typo = await ProjectService.updateProject(project._id, clientId, { title: 'Landing page redesign ', description: 'Redesign our marketing landing page.' });
+  check('Unchanged fields ignored', typo.changes.map(change => change.field).join(','), 'description');
+  check('Wording fix is not material', typo.material, false);
+  check('Nobody notified', notifications.length, 0);
+  check('Revision recorded', project.revisions.length, 1);
+
+  const budget = await ProjectService.updateProject(project._id, clientId, { budgetAmount: 30000, skills: '["Figma","React"]', note: 'Bigger scope' });
+  check('Same skills in another format ignored', budget.changes.map(change => change.field).join(','), 'budgetAmount');
+  check('Budget change is material', budget.material, true);
+  check('Active applicant notified', budget.notified, 1);
+  check('Notification points at the project', notifications[0]?.data.projectId.toString(), project._id.toString());
+  check('Revision before/after', `${project.revisions[1].changes[0].before}→${project.revisions[1].changes[0].after}`, '20000→30000');
+  check('Revision note', project.revisions[1].note, 'Bigger scope');
+
+  const flagged = await ProjectService.updateProject(project._id, clientId, { description: 'New deliverables added', material: true });
+  check('Client can flag an edit as material', flagged.notified, 1);
+
+  check('No changes rejected', await errorOf(() => ProjectService.updateProject(project._id, clientId, { budgetAmount: 30000 })), 'No changes to save');
+  check('Currency locked once published', await errorOf(() => ProjectService.updateProject(project._id, clientId, { currency: 'USD' })),
+    "The currency can't be changed once the project is published");
+  check('Negative budget rejected', await errorOf(() => ProjectService.updateProject(project._id, clientId, { budgetAmount: -5 })),
+    'Budget amount must be a positive number');
+  check('Other clients cannot edit', await errorOf(() => ProjectService.updateProject(project._id, otherClientId, { title: 'Mine' })), 'Project not found');
+  check('Invalid id', await errorOf(() => ProjectService.updateProject('not-an-id', clientId, { title: 'x' })), 'Project not found');
+
+  const awarded = await createProject({ status: 'awarded' });
+  check('Awarded projects are locked', await errorOf(() => ProjectService.updateProject(awarded._id, clientId, { title: 'x' })),
+    'Only drafts and open projects can be edited');
+};
+
+const runCloseCancelTests = async () => {
+  console.log('\n🔒 Closing and cancelling');
+  const project = await createProject({ status: 'open' });
+  apply(project);
+  apply(project, 'rejected');
+  notifications = [];
+
+  check('Close needs a reason', await errorOf(() => ProjectService.closeProject(project._id, clientId, '  ')), 'Please give a reason for closing the project');
+  const closed = await ProjectService.closeProject(project._id, clientId, 'Hired offline');
+  check('Closed', closed.project.status, 'closed');
+  check('Close reason kept', closed.project.closeReason, 'Hired offline');
+  check('Pending applicant told', closed.notified, 1);
+  check('Pending invitations expired', expiredInvitationsFor.includes(project._id.toString()), true);
+  check('Closed projects cannot be edited', await errorOf(() => ProjectService.updateProject(project._id, clientId, { title: 'x' })),
+    'Only drafts and open projects can be edited');
+
+  const cancelled = await ProjectService.cancelProject(project._id, clientId, 'Budget cut');
+  check('Closed project cancelled', cancelled.project.status, 'cancelled');
+  check('Cancel reason kept', cancelled.project.cancelReason, 'Budget cut');
+
+  const hired = await createProject({ status: 'in_progress' });
+  check('Hired projects are cancelled from the workspace', await errorOf(() => ProjectService.cancelProject(hired._id, clientId, 'Changed plans')),
+    'A freelancer has been hired; end the project from its workspace instead');
+  check('Cancelling twice rejected', await errorOf(() => ProjectService.cancelProject(project._id, clientId, 'Again')),
+    'This project is already cancelled');
+};
+
+const runCopyTests = async () => {
+  console.log('\n📋 Duplicating and reposting');
+  const source = await createProject({
+    status: 'closed',
+    attachments: ['https://example.com/brief.pdf'],
+    deadline: new Date(Date.now() - 24 * 60 * 60 * 1000)
+  });
+
+  const copy = await ProjectService.duplicateProject(source._id, clientId);
+  check('Duplicate is a draft', copy.status, 'draft');
+  check('New project', copy._id.toString() !== source._id.toString(), true);
+  check('Content copied', `${copy.title}|${copy.skills.join(',')}|${copy.attachments.length}`, 'Landing page redesign|Figma,React|1');
+  check('Past deadline dropped', copy.deadline, undefined);
+  check('Linked to the original', copy.repostedFrom.toString(), source._id.toString());
+
+  const repost = await ProjectService.repostProject(source._id, clientId);
+  check('Repost is open', repost.status, 'open');
+  check('Repost published', repost.publishedAt instanceof Date, true);
+  check('Repost has no revision history', repost.revisions.length, 0);
+
+  const open = await createProject({ status: 'open' });
+  check('Open projects are not reposted', await errorOf(() => ProjectService.repostProject(open._id, clientId)),
+    'Only closed, cancelled or completed projects can be reposted');
+};
+
+Promise.resolve()
+  .then(runDraftTests)
+  .then(runEditTests)
+  .then(runCloseCancelTests)
+  .then(runCopyTests)
+  .catch((error) => {
+    allPassed = false;
+    console.error('❌ Project lifecycle test crashed:', error);
+  })
+  .finally(() => {
+    console.log('\n' + '═'.repeat(70));
+    console.log(`\n${allPassed ? '✅ ALL TESTS PASSED!' : '❌ SOME TESTS FAILED'}\n`);
+  });
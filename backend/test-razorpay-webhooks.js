@@ -0,0 +1,216 @@
+/**
+ * Test Razorpay Webhooks
+ * Runs without a database or gateway: signature checks, the missing-secret
+ * response, duplicate and stuck deliveries, and an escrow activated by the
+ * webhook and the client's verify call at the same time.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Escrow = require('./models/Escrow');
+const Milestone = require('./models/Milestone');
+const WebhookEvent = require('./models/WebhookEvent');
+const EscrowService = require('./services/escrowService');
+const LedgerService = require('./services/ledgerService');
+const InvoiceService = require('./services/invoiceService');
+const RazorpayWebhookService = require('./services/razorpayWebhookService');
+const paymentsRouter = require('./routes/payments');
+
+let allPassed = true;
+const check = (label, actual, expected) => {
+  const passed = actual === expected;
+  if (!passed) allPassed = false;
+  console.log(`  ${label}: ${actual} ${passed ? '✅' : `❌ (expected ${expected})`}`);
+};
+
+const SECRET = 'whsec_test';
+const sign = (body, secret = SECRET) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+// In-memory webhook log with Mongo-like conditional updates
+const webhookEvents = new Map();
+const matchesEvent = (record, { status, updatedAt, $or }) => {
+  if ($or) return $or.some(condition => matchesEvent(record, condition));
+  if (status && record.status !== status) return false;
+  if (updatedAt && !(record.updatedAt < updatedAt.$lt)) return false;
+  return true;
+};
+
+WebhookEvent.create = async (fields) => {
+  if (webhookEvents.has(fields.eventId)) {
+    const error = new Error('E11000 duplicate key');
+    error.code = 11000;
+    throw error;
+  }
+  const record = new WebhookEvent(fields);
+  record.updatedAt = new Date();
+  webhookEvents.set(fields.eventId, record);
+  return record;
+};
+WebhookEvent.findOne = async ({ eventId }) => webhookEvents.get(eventId) || null;
+WebhookEvent.findOneAndUpdate = async ({ eventId, ...conditions }, update) => {
+  const record = webhookEvents.get(eventId);
+  if (!record || !matchesEvent(record, conditions)) return null;
+  record.attempts += update.$inc.attempts;
+  record.status = update.$set.status;
+  record.error = undefined;
+  record.updatedAt = new Date();
+  return record;
+};
+WebhookEvent.prototype.save = async function() {
+  this.updatedAt = new Date();
+  return this;
+};
+
+// Side effects of activation, counted per escrow
+const sideEffects = { ledger: 0, invoices: 0, notifications: 0 };
+LedgerService.recordEscrowFunded = async () => { sideEffects.ledger += 1; };
+InvoiceService.safeIssue = async () => { sideEffects.invoices += 1; };
+EscrowService.sendEscrowNotifications = async () => { sideEffects.notifications += 1; };
+Escrow.prototype.populate = async function() { return this; };
+Escrow.prototype.save = async function() { return this; };
+
+const milestone = {
+  _id: new mongoose.Types.ObjectId(),
+  save: async () => milestone
+};
+Milestone.findById = () => {
+  const chain = Promise.resolve(milestone);
+  chain.populate = () => chain;
+  return chain;
+};
+
+// The stored escrow; each request loads its own copy of it
+let storedEscrow;
+Escrow.findOneAndUpdate = async ({ _id, status }, update) => {
+  // Yield first so concurrent callers interleave like separate requests
+  await new Promise(resolve => setImmediate(resolve));
+  if (storedEscrow._id.toString() !== _id.toString() || storedEscrow.status !== status) return null;
+  Object.assign(storedEscrow, update.$set);
+  return storedEscrow;
+};
+Escrow.findById = async () => storedEscrow;
+Escrow.findOne = async () => loadEscrow();
+
+const loadEscrow = () => new Escrow({ ...storedEscrow });
+
+const resetEscrow = () => {
+  storedEscrow = {
+    _id: new mongoose.Types.ObjectId(),
+    workspace: new mongoose.Types.ObjectId(),
+    milestone: milestone._id,
+    project: new mongoose.Types.ObjectId(),
+    client: new mongoose.Types.ObjectId(),
+    freelancer: new mongoose.Types.ObjectId(),
+    milestoneAmount: 10000,
+    serviceCharge: 500,
+    totalAmount: 10500,
+    freelancerAmount: 10000,
+    razorpayOrderId: 'order_test',
+    status: 'pending'
+  };
+  Object.keys(sideEffects).forEach(key => { sideEffects[key] = 0; });
+};
+
+const payment = { id: 'pay_test', order_id: 'order_test', amount: 1050000, currency: 'INR', method: 'upi', created_at: 1760000000 };
+
+const webhookHandler = (() => {
+  const layer = paymentsRouter.stack.find(l => l.route?.path === '/webhook/razorpay');
+  return layer.route.stack[layer.route.stack.length - 1].handle;
+})();
+
+const deliver = async (body, headers) => {
+  const req = { headers, rawBody: Buffer.from(body) };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; }
+  };
+  await webhookHandler(req, res);
+  return res;
+};
+
+console.log('\n🧪 TESTING RAZORPAY WEBHOOKS\n');
+console.log('═'.repeat(70));
+
+const runSignatureTests = async () => {
+  console.log('\n🔏 Signatures');
+  const body = JSON.stringify({ event: 'payment.captured', payload: {} });
+  check('Valid signature accepted', RazorpayWebhookService.verifySignature(body, sign(body), SECRET), true);
+  check('Tampered body rejected', RazorpayWebhookService.verifySignature(body + ' ', sign(body), SECRET), false);
+  check('Other secret rejected', RazorpayWebhookService.verifySignature(body, sign(body, 'whsec_other'), SECRET), false);
+  check('Missing signature rejected', RazorpayWebhookService.verifySignature(body, undefined, SECRET), false);
+
+  console.log('\n⚙️ Missing webhook secret');
+  delete process.env.RAZORPAY_WEBHOOK_SECRET;
+  const unconfigured = await deliver(body, { 'x-razorpay-signature': sign(body), 'x-razorpay-event-id': 'evt_config' });
+  check('Rejected with 400, not 500', unconfigured.statusCode, 400);
+  check('Nothing recorded', webhookEvents.has('evt_config'), false);
+
+  process.env.RAZORPAY_WEBHOOK_SECRET = SECRET;
+  const forged = await deliver(body, { 'x-razorpay-signature': sign(body, 'whsec_other'), 'x-razorpay-event-id': 'evt_forged' });
+  check('Forged delivery rejected', forged.statusCode, 400);
+};
+
+const runDuplicateTests = async () => {
+  console.log('\n🔁 Duplicate deliveries');
+  resetEscrow();
+  const body = JSON.stringify({ event: 'payment.captured', payload: { payment: { entity: payment } } });
+  const headers = { 'x-razorpay-signature': sign(body), 'x-razorpay-event-id': 'evt_captured' };
+
+  const first = await deliver(body, headers);
+  check('First delivery processed', `${first.statusCode} ${first.body.duplicate}`, '200 false');
+  check('Escrow activated', storedEscrow.status, 'active');
+
+  const second = await deliver(body, headers);
+  check('Repeat delivery acknowledged as duplicate', `${second.statusCode} ${second.body.duplicate}`, '200 true');
+  check('Side effects ran once', `${sideEffects.ledger}/${sideEffects.invoices}/${sideEffects.notifications}`, '1/1/1');
+
+  console.log('\n⏳ Deliveries left mid-processing');
+  const stuckBody = JSON.stringify({ event: 'payment.authorized', payload: {} });
+  const stuckHeaders = { 'x-razorpay-signature': sign(stuckBody), 'x-razorpay-event-id': 'evt_stuck' };
+  const stuck = new WebhookEvent({ eventId: 'evt_stuck', event: 'payment.authorized', status: 'received' });
+  stuck.updatedAt = new Date();
+  webhookEvents.set('evt_stuck', stuck);
+
+  const inFlight = await deliver(stuckBody, stuckHeaders);
+  check('Fresh in-flight delivery asks for a retry', inFlight.statusCode, 409);
+
+  stuck.updatedAt = new Date(Date.now() - RazorpayWebhookService.PROCESSING_LEASE_MS - 1000);
+  const reclaimed = await deliver(stuckBody, stuckHeaders);
+  check('Stale delivery processed again', `${reclaimed.statusCode} ${stuck.status}`, '200 ignored');
+  check('Attempt counted', stuck.attempts, 2);
+
+  const failed = new WebhookEvent({ eventId: 'evt_failed', event: 'payment.authorized', status: 'failed', error: 'boom' });
+  webhookEvents.set('evt_failed', failed);
+  const retried = await deliver(stuckBody, { ...stuckHeaders, 'x-razorpay-event-id': 'evt_failed' });
+  check('Failed delivery retried', `${retried.statusCode} ${failed.status}`, '200 ignored');
+};
+
+const runConcurrentActivationTests = async () => {
+  console.log('\n🏁 Webhook and verify call racing');
+  resetEscrow();
+  const results = await Promise.all([
+    EscrowService.activateEscrow(loadEscrow(), payment),
+    EscrowService.activateEscrow(loadEscrow(), payment, 'sig_client')
+  ]);
+
+  check('Exactly one activation ran', results.filter(result => !result.alreadyActivated).length, 1);
+  check('Escrow active', storedEscrow.status, 'active');
+  check('Ledger posted once', sideEffects.ledger, 1);
+  check('Invoice issued once', sideEffects.invoices, 1);
+  check('Notifications sent once', sideEffects.notifications, 1);
+  check('Loser sees the active escrow', results.find(result => result.alreadyActivated).escrow.status, 'active');
+};
+
+Promise.resolve()
+  .then(runSignatureTests)
+  .then(runDuplicateTests)
+  .then(runConcurrentActivationTests)
+  .catch((error) => {
+    allPassed = false;
+    console.error('❌ Webhook test crashed:', error);
+  })
+  .finally(() => {
+    console.log('\n' + '═'.repeat(70));
+    console.log(`\n${allPassed ? '✅ ALL TESTS PASSED!' : '❌ SOME TESTS FAILED'}\n`);
+  });
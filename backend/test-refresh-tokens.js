@@ -0,0 +1,188 @@
+/**
+ * Test Refresh Tokens
+ * Runs without a database (the few queries are replaced with in-memory
+ * lookups): checks short-lived API tokens, the refresh cookie, rotation on
+ * POST /api/auth/refresh and what happens when an old refresh token is reused.
+ */
+
+const jwt = require('jsonwebtoken');
+const User = require('./models/User');
+const LoginSession = require('./models/LoginSession');
+const Notification = require('./models/Notification');
+const SessionService = require('./services/sessionService');
+const { auth } = require('./middlewares/auth');
+
+let allPassed = true;
+const check = (label, actual, expected) => {
+  const passed = actual === expected;
+  if (!passed) allPassed = false;
+  console.log(`  ${label}: ${actual} ${passed ? '✅' : `❌ (expected ${expected})`}`);
+};
+
+const user = new User({
+  fullName: 'Asha Rao',
+  email: 'asha@example.com',
+  password: 'Password1!',
+  role: 'client'
+});
+
+const session = new LoginSession({
+  user: user._id,
+  deviceId: 'a'.repeat(32),
+  deviceName: 'Chrome on Windows',
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+});
+
+// In-memory stand-ins for the queries SessionService.refresh makes
+const notifications = [];
+const originals = {
+  findSession: LoginSession.findById,
+  rotateSession: LoginSession.findOneAndUpdate,
+  findUser: User.findById,
+  notify: Notification.createNotification
+};
+const useMemoryStore = () => {
+  LoginSession.findById = async (id) => (String(id) === String(session._id) ? session : null);
+  LoginSession.findOneAndUpdate = async (filter, update) => {
+    if (String(filter._id) !== String(session._id) || filter.refreshGeneration !== session.refreshGeneration || session.revokedAt) {
+      return null;
+    }
+    session.refreshGeneration += update.$inc.refreshGeneration;
+    session.refreshedAt = update.refreshedAt;
+    session.lastActiveAt = update.lastActiveAt;
+    session.expiresAt = update.expiresAt;
+    return session;
+  };
+  User.findById = async (id) => (String(id) === String(user._id) ? user : null);
+  Notification.createNotification = async (notification) => {
+    notifications.push(notification);
+    return notification;
+  };
+  session.save = async () => session;
+};
+const restoreStore = () => {
+  LoginSession.findById = originals.findSession;
+  LoginSession.findOneAndUpdate = originals.rotateSession;
+  User.findById = originals.findUser;
+  Notification.createNotification = originals.notify;
+};
+
+// Minimal express response that keeps the cookies it was given
+const newResponse = () => ({
+  cookies: {},
+  cleared: [],
+  cookie(name, value, options) { this.cookies[name] = { value, options }; },
+  clearCookie(name) { this.cleared.push(name); }
+});
+const requestWithCookie = (refreshToken) => ({ headers: { cookie: `ws_refresh=${refreshToken}` } });
+
+const refreshError = async (refreshToken) => {
+  try {
+    await SessionService.refresh(requestWithCookie(refreshToken), newResponse());
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+console.log('\n🧪 TESTING REFRESH TOKENS\n');
+console.log('═'.repeat(70));
+
+const runTokenTests = async () => {
+  console.log('\n🎫 Tokens issued at sign-in');
+  const res = newResponse();
+  const accessToken = SessionService.issueTokens(res, user, session);
+  const decoded = jwt.decode(accessToken);
+
+  check('API token lasts 15 minutes', decoded.exp - decoded.iat, 15 * 60);
+  check('API token names its session', decoded.sid, session._id.toString());
+
+  const cookie = res.cookies.ws_refresh;
+  check('Refresh cookie set', Boolean(cookie), true);
+  check('Refresh cookie is httpOnly', cookie.options.httpOnly, true);
+  check('Refresh cookie only sent to auth routes', cookie.options.path, '/api/auth');
+  check('Refresh token names its session', SessionService.readRefreshToken(requestWithCookie(cookie.value)).sid, session._id.toString());
+  check('Garbage cookie ignored', SessionService.readRefreshToken(requestWithCookie('not-a-token')), null);
+
+  // A refresh token must not work as an API token
+  const req = { headers: { authorization: `Bearer ${cookie.value}` } };
+  let status = 200;
+  const authRes = { status(code) { status = code; return this; }, json() { return this; } };
+  await auth()(req, authRes, () => {});
+  check('Refresh token rejected by the API', status, 401);
+};
+
+const runRotationTests = async () => {
+  console.log('\n🔄 Rotation');
+  useMemoryStore();
+
+  const first = newResponse();
+  SessionService.setRefreshCookie(first, session);
+  const firstToken = first.cookies.ws_refresh.value;
+
+  const res = newResponse();
+  const result = await SessionService.refresh(requestWithCookie(firstToken), res);
+  check('New API token issued', Boolean(result.accessToken), true);
+  check('Generation moved on', session.refreshGeneration, 1);
+  const secondToken = res.cookies.ws_refresh?.value;
+  check('New refresh cookie issued', Boolean(secondToken) && secondToken !== firstToken, true);
+  check('Session kept alive for another 7 days', Math.round((session.expiresAt - Date.now()) / 86400000), 7);
+
+  const tabRes = newResponse();
+  const tab = await SessionService.refresh(requestWithCookie(firstToken), tabRes);
+  check('Another tab refreshing at the same moment is let through', Boolean(tab.accessToken), true);
+  check('Without rotating again', session.refreshGeneration, 1);
+  check('Session still active', session.isActive(), true);
+
+  const third = newResponse();
+  await SessionService.refresh(requestWithCookie(secondToken), third);
+  check('Latest token rotates as usual', session.refreshGeneration, 2);
+
+  const forged = jwt.sign({ sid: session._id, gen: 2 }, 'not-the-server-key');
+  check('Token signed with another key rejected', await refreshError(forged), 'Your session has ended. Please login again.');
+  check('Missing cookie rejected', await refreshError(''), 'Your session has ended. Please login again.');
+};
+
+const runReuseTests = async () => {
+  console.log('\n🚨 Reuse detection');
+  // An old token turning up after the grace period means someone else has it
+  const stolen = newResponse();
+  SessionService.setRefreshCookie(stolen, { _id: session._id, refreshGeneration: 0 });
+  session.refreshedAt = new Date(Date.now() - 5 * 60 * 1000);
+
+  check('Old refresh token rejected', await refreshError(stolen.cookies.ws_refresh.value), 'Your session has ended. Please login again.');
+  check('Session active after reuse', session.isActive(), false);
+  check('Revoked for reuse', session.revokedReason, 'refresh-reuse');
+  check('User told', notifications[0]?.data.extraData.kind, 'refresh-token-reuse');
+
+  const current = newResponse();
+  SessionService.setRefreshCookie(current, session);
+  check('Current token no longer works either', await refreshError(current.cookies.ws_refresh.value), 'Your session has ended. Please login again.');
+};
+
+const runAccountTests = async () => {
+  console.log('\n🚫 Deactivated accounts');
+  session.revokedAt = null;
+  session.revokedReason = null;
+  user.isActive = false;
+
+  const res = newResponse();
+  SessionService.setRefreshCookie(res, session);
+  check('Deactivated user cannot refresh', await refreshError(res.cookies.ws_refresh.value), 'Your session has ended. Please login again.');
+  user.isActive = true;
+};
+
+Promise.resolve()
+  .then(runTokenTests)
+  .then(runRotationTests)
+  .then(runReuseTests)
+  .then(runAccountTests)
+  .catch((error) => {
+    allPassed = false;
+    console.error('❌ Refresh token test crashed:', error);
+  })
+  .finally(() => {
+    restoreStore();
+    console.log('\n' + '═'.repeat(70));
+    console.log(`\n${allPassed ? '✅ ALL TESTS PASSED!' : '❌ SOME TESTS FAILED'}\n`);
+  });
@@ -0,0 +1,202 @@
+/**
+ * Test Workspace Reviews
+ * Runs without a database: reviews stay hidden until both sides submit or the
+ * review window closes, and the window is fixed from when the workspace was
+ * completed rather than from its last update. Two submissions sent at once
+ * store only one review.
+ */
+
+const mongoose = require('mongoose');
+const Review = require('./models/Review');
+const Workspace = require('./models/Workspace');
+const Notification = require('./models/Notification');
+const TimelineEvent = require('./models/TimelineEvent');
+const reviewsRouter = require('./routes/reviews');
+
+let allPassed = true;
+const check = (label, actual, expected) => {
+  const passed = actual === expected;
+  if (!passed) allPassed = false;
+  console.log(`  ${label}: ${actual} ${passed ? '✅' : `❌ (expected ${expected})`}`);
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY);
+
+// In-memory stores
+let reviews = [];
+let workspaceUpdates = [];
+
+const matches = (review, conditions) => Object.entries(conditions).every(([key, value]) => {
+  if (value && value.$lte) return review[key] <= value.$lte;
+  return review[key]?.toString() === value?.toString();
+});
+
+Review.find = (conditions) => {
+  const found = reviews.filter(review => matches(review, conditions));
+  const promise = Promise.resolve(found);
+  promise.populate = () => Promise.resolve(found.map(review => {
+    review.reviewer = { _id: review.reviewer._id || review.reviewer };
+    return review;
+  }));
+  return promise;
+};
+Review.findOne = async (conditions) => reviews.find(review => matches(review, {
+  workspace: conditions.workspace,
+  reviewer: conditions.reviewer
+})) || null;
+Review.prototype.save = async function() {
+  await this.validate();
+  // Yield so parallel submissions interleave like separate requests
+  await new Promise(resolve => setImmediate(resolve));
+  // Unique index on workspace + reviewer
+  if (reviews.some(review => review !== this && matches(review, { workspace: this.workspace, reviewer: this.reviewer }))) {
+    const error = new Error('E11000 duplicate key');
+    error.code = 11000;
+    throw error;
+  }
+  if (!reviews.includes(this)) reviews.push(this);
+  return this;
+};
+Review.recalculateUserRating = async () => null;
+Workspace.updateOne = async (filter, update) => {
+  workspaceUpdates.push({ filter, update });
+  return { modifiedCount: 1 };
+};
+Notification.create = async (notification) => notification;
+TimelineEvent.create = async (event) => event;
+
+// Call the last handler of a route directly, after auth and access checks
+const handlerFor = (method, path) => {
+  const layer = reviewsRouter.stack.find(l => l.route?.path === path && l.route.methods[method]);
+  return layer.route.stack[layer.route.stack.length - 1].handle;
+};
+const getReviews = handlerFor('get', '/:workspaceId/reviews');
+const postReview = handlerFor('post', '/:workspaceId/reviews');
+
+const call = async (handler, workspace, user, body = {}) => {
+  const req = {
+    workspace,
+    userRole: user.role,
+    user: { userId: user._id.toString() },
+    body
+  };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; }
+  };
+  await handler(req, res);
+  return res;
+};
+
+const client = { _id: new mongoose.Types.ObjectId(), role: 'client' };
+const freelancer = { _id: new mongoose.Types.ObjectId(), role: 'freelancer' };
+
+const newWorkspace = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  project: { _id: new mongoose.Types.ObjectId(), title: 'Landing page' },
+  client: client._id,
+  freelancer: freelancer._id,
+  status: 'completed',
+  updatedAt: new Date(),
+  ...fields
+});
+
+const clientRatings = { quality: 5, communication: 4, timeliness: 5, professionalism: 5 };
+
+console.log('\n🧪 TESTING WORKSPACE REVIEWS\n');
+console.log('═'.repeat(70));
+
+const runRevealTests = async () => {
+  console.log('\n🙈 Hidden until the window closes');
+  const completedAt = daysAgo(10);
+  const workspace = newWorkspace({ completedAt, actualEndDate: completedAt });
+
+  const submitted = await call(postReview, workspace, client, { ratings: clientRatings, comment: 'Great work' });
+  check('Client review accepted', submitted.statusCode, 201);
+  check('Deadline is 14 days after completion',
+    submitted.body.data.revealDeadline.getTime(), completedAt.getTime() + Review.REVIEW_WINDOW_DAYS * DAY);
+
+  let status = await call(getReviews, workspace, freelancer);
+  check('Freelancer sees a review was submitted', status.body.data.theirReviewSubmitted, true);
+  check('But not its contents', status.body.data.theirReview, null);
+  check('Freelancer can still review', status.body.data.canReview, true);
+
+  // A chat message or file upload touches the workspace
+  workspace.updatedAt = new Date();
+  status = await call(getReviews, workspace, freelancer);
+  check('Later workspace updates do not move the deadline',
+    status.body.data.revealDeadline.getTime(), completedAt.getTime() + Review.REVIEW_WINDOW_DAYS * DAY);
+
+  // Five days pass: shift the stored dates back instead of the clock
+  workspace.completedAt = daysAgo(15);
+  reviews[0].revealDeadline = new Date(reviews[0].revealDeadline.getTime() - 5 * DAY);
+  status = await call(getReviews, workspace, freelancer);
+  check('Review shown after the deadline', status.body.data.theirReview?.comment, 'Great work');
+  check('Published on reveal', reviews[0].isPublished, true);
+  check('Window closed for the freelancer', status.body.data.canReview, false);
+
+  const late = await call(postReview, workspace, freelancer, { ratings: {} });
+  check('Late reviews rejected', late.statusCode, 400);
+};
+
+const runBothSidesTests = async () => {
+  console.log('\n🤝 Revealed once both sides submit');
+  reviews = [];
+  const workspace = newWorkspace({ completedAt: daysAgo(1) });
+
+  await call(postReview, workspace, client, { ratings: clientRatings });
+  const second = await call(postReview, workspace, freelancer, {
+    ratings: { clarity: 4, communication: 5, paymentPromptness: 5, professionalism: 4 }
+  });
+  check('Both published together', reviews.every(review => review.isPublished), true);
+  check('Freelancer told they are visible', second.body.message, 'Review submitted. Both reviews are now visible.');
+};
+
+const runLegacyTests = async () => {
+  console.log('\n🗄️ Workspaces completed before completedAt existed');
+  reviews = [];
+  workspaceUpdates = [];
+  const workspace = newWorkspace({ updatedAt: daysAgo(20) });
+
+  let status = await call(getReviews, workspace, client);
+  check('Window starts from the last update once', status.body.data.canReview, false);
+  check('completedAt stamped on the workspace', workspaceUpdates[0]?.update.$set.completedAt.getTime(), workspace.updatedAt.getTime());
+  check('Only stamped if still missing', workspaceUpdates[0]?.filter.completedAt.$exists, false);
+
+  workspace.updatedAt = new Date();
+  status = await call(getReviews, workspace, client);
+  check('A later update does not reopen the window', status.body.data.canReview, false);
+  check('Stamped only once', workspaceUpdates.length, 1);
+};
+
+const runDuplicateTests = async () => {
+  console.log('\n👯 Submitted twice at once');
+  reviews = [];
+  const workspace = newWorkspace({ completedAt: daysAgo(1) });
+
+  const responses = await Promise.all([
+    call(postReview, workspace, client, { ratings: clientRatings }),
+    call(postReview, workspace, client, { ratings: clientRatings })
+  ]);
+  check('One accepted', responses.filter(res => res.statusCode === 201).length, 1);
+  const duplicate = responses.find(res => res.statusCode !== 201);
+  check('The other is a conflict', duplicate?.statusCode, 409);
+  check('With the usual message', duplicate?.body.message, 'You have already reviewed this workspace');
+  check('One review stored', reviews.length, 1);
+};
+
+Promise.resolve()
+  .then(runRevealTests)
+  .then(runBothSidesTests)
+  .then(runLegacyTests)
+  .then(runDuplicateTests)
+  .catch((error) => {
+    allPassed = false;
+    console.error('❌ Reviews test crashed:', error);
+  })
+  .finally(() => {
+    console.log('\n' + '═'.repeat(70));
+    console.log(`\n${allPassed ? '✅ ALL TESTS PASSED!' : '❌ SOME TESTS FAILED'}\n`);
+  });
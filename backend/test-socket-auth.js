@@ -0,0 +1,267 @@
+/**
+ * Test Socket.IO Authentication and Rooms
+ * Starts a throwaway Socket.IO server (no database - membership lookups are
+ * stubbed and presence uses the memory store) and connects real
+ * socket.io-client sockets to check that only authenticated, authorised
+ * participants receive chat, typing, notification and call events, that
+ * presence survives reconnects and that hidden online status stays hidden.
+ */
+
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const { initSocket } = require('./utils/socketHandler');
+const { MemoryPresenceStore } = require('./services/realtime');
+
+let allPassed = true;
+const check = (label, actual, expected) => {
+  const passed = actual === expected;
+  if (!passed) allPassed = false;
+  console.log(`  ${label}: ${actual} ${passed ? '✅' : `❌ (expected ${expected})`}`);
+};
+
+const CLIENT = 'client-1';
+const FREELANCER = 'freelancer-1';
+const OUTSIDER = 'freelancer-2';
+// Has showOnlineStatus turned off
+const HIDDEN = 'freelancer-3';
+const CHAT = 'chat-1';
+const WORKSPACE = 'workspace-1';
+
+const accessControl = {
+  async getChatParticipants(chatId) {
+    return chatId === CHAT ? [CLIENT, FREELANCER] : null;
+  },
+  async getWorkspaceMembers(workspaceId) {
+    return workspaceId === WORKSPACE ? [CLIENT, FREELANCER] : null;
+  },
+  async getHiddenPresenceUserIds(userIds) {
+    return userIds.filter(id => id === HIDDEN);
+  }
+};
+
+const tokenFor = (userId, role, options = {}) => jwt.sign(
+  { userId, role },
+  process.env.JWT_SECRET || 'your_jwt_secret_key',
+  options
+);
+
+const lastSeen = new Map();
+const store = new MemoryPresenceStore();
+
+const httpServer = http.createServer();
+const io = new Server(httpServer);
+initSocket(io, {
+  accessControl,
+  store,
+  recordLastSeen: async (userId, date) => lastSeen.set(userId, date),
+  settings: { heartbeatSeconds: 0.2, ttlSeconds: 1, graceSeconds: 0.3 }
+});
+
+const sockets = [];
+let url;
+
+const open = (auth) => new Promise((resolve) => {
+  const socket = connect(url, { auth, transports: ['websocket'], reconnection: false, forceNew: true });
+  sockets.push(socket);
+  socket.once('connect', () => resolve({ socket }));
+  socket.once('connect_error', (error) => resolve({ socket, error: error.message }));
+});
+
+const emitWithAck = (socket, event, payload) => new Promise((resolve) => {
+  socket.emit(event, payload, resolve);
+});
+
+// Records every delivery of an event; relays are async, so checks run after settle()
+const listen = (socket, event) => {
+  const received = [];
+  socket.on(event, (data) => received.push(data));
+  return received;
+};
+
+const settle = (ms = 150) => new Promise((resolve) => setTimeout(resolve, ms));
+
+console.log('\n🧪 TESTING SOCKET.IO AUTH AND ROOMS\n');
+console.log('═'.repeat(70));
+
+const runHandshakeTests = async () => {
+  console.log('\n🔐 Handshake');
+  const missing = await open({});
+  check('No token rejected', missing.error, 'Unauthorized: No token provided');
+
+  const forged = await open({ token: jwt.sign({ userId: CLIENT, role: 'client' }, 'not-the-secret') });
+  check('Forged token rejected', forged.error, 'Invalid token. Please login again.');
+
+  const expired = await open({ token: tokenFor(CLIENT, 'client', { expiresIn: -10 }) });
+  check('Expired token rejected', expired.error, 'Token expired. Please login again.');
+
+  const valid = await open({ token: tokenFor(CLIENT, 'client') });
+  check('Valid token accepted', valid.error, undefined);
+  valid.socket.disconnect();
+};
+
+const runRoomTests = async () => {
+  const client = (await open({ token: tokenFor(CLIENT, 'client') })).socket;
+  const clientSecondTab = (await open({ token: tokenFor(CLIENT, 'client') })).socket;
+  const freelancer = (await open({ token: tokenFor(FREELANCER, 'freelancer') })).socket;
+  const outsider = (await open({ token: tokenFor(OUTSIDER, 'freelancer') })).socket;
+
+  console.log('\n🚪 Joining rooms');
+  check('Participant joins chat', (await emitWithAck(client, 'join-chat', CHAT)).success, true);
+  check('Second tab joins chat', (await emitWithAck(clientSecondTab, 'join-chat', CHAT)).success, true);
+  check('Other participant joins chat', (await emitWithAck(freelancer, 'join-chat', CHAT)).success, true);
+  check('Outsider refused from chat', (await emitWithAck(outsider, 'join-chat', CHAT)).success, false);
+  check('Unknown chat refused', (await emitWithAck(client, 'join-chat', 'chat-404')).success, false);
+  check('Outsider refused from workspace', (await emitWithAck(outsider, 'join-workspace', WORKSPACE)).success, false);
+
+  console.log('\n📨 Chat messages');
+  const clientMessages = listen(client, 'message-received');
+  const secondTabMessages = listen(clientSecondTab, 'message-received');
+  const outsiderMessages = listen(outsider, 'message-received');
+  const clientNotifications = listen(client, 'notification');
+  const secondTabNotifications = listen(clientSecondTab, 'notification');
+  const outsiderNotifications = listen(outsider, 'notification');
+
+  freelancer.emit('new-message', { chatId: CHAT, content: 'Draft is ready', senderName: 'Freelancer' });
+  outsider.emit('new-message', { chatId: CHAT, content: 'Let me in' });
+  await settle();
+
+  check('Participant receives message', clientMessages.length, 1);
+  check('Every tab receives message', secondTabMessages.length, 1);
+  check('Sender taken from token', clientMessages[0]?.senderId, FREELANCER);
+  check('Outsider receives nothing', outsiderMessages.length, 0);
+  check('Participant notified', clientNotifications.length, 1);
+  check('Every tab notified', secondTabNotifications.length, 1);
+  check('Outsider not notified', outsiderNotifications.length, 0);
+
+  console.log('\n⌨️ Typing indicators');
+  const clientTyping = listen(client, 'user-typing');
+  const outsiderTyping = listen(outsider, 'user-typing');
+  freelancer.emit('typing-start', { chatId: CHAT, userId: OUTSIDER });
+  outsider.emit('typing-start', { chatId: CHAT, userId: OUTSIDER });
+  await settle();
+
+  check('Typing reaches participant', clientTyping.length, 1);
+  check('Typing user taken from token', clientTyping[0]?.userId, FREELANCER);
+  check('Typing not leaked to outsider', outsiderTyping.length, 0);
+
+  console.log('\n📹 Calls and signaling');
+  const clientCalls = listen(client, 'incoming-video-call');
+  const secondTabCalls = listen(clientSecondTab, 'incoming-video-call');
+  const outsiderCalls = listen(outsider, 'incoming-video-call');
+  const outsiderErrors = listen(outsider, 'call-error');
+
+  freelancer.emit('video-call-request', {
+    workspaceId: WORKSPACE,
+    fromUser: { _id: FREELANCER, fullName: 'Freelancer' },
+    toUser: { _id: CLIENT, fullName: 'Client' }
+  });
+  outsider.emit('video-call-request', {
+    workspaceId: WORKSPACE,
+    fromUser: { _id: FREELANCER, fullName: 'Pretending' },
+    toUser: { _id: CLIENT, fullName: 'Client' }
+  });
+  await settle();
+
+  check('Call rings every tab of callee', clientCalls.length + secondTabCalls.length, 2);
+  check('Caller taken from token', clientCalls[0]?.fromUser?._id, FREELANCER);
+  check('Outsider call refused', outsiderErrors.length, 1);
+  check('Outsider never rings', outsiderCalls.length, 0);
+
+  const callId = clientCalls[0]?.callId;
+  check('Call id is unguessable', /^call_[0-9a-f-]{36}$/.test(callId), true);
+
+  const freelancerEnds = listen(freelancer, 'call-ended');
+  outsider.emit('video-call-ended', { callId, targetUserId: FREELANCER, workspaceId: WORKSPACE });
+  await settle();
+  check('Outsider cannot end the call', !!(await store.getCall(callId)), true);
+  check('Nobody told it ended', freelancerEnds.length, 0);
+
+  const clientEnds = listen(client, 'call-ended');
+  freelancer.emit('video-call-ended', { callId, endedBy: FREELANCER });
+  await settle();
+  check('Participant ends the call', await store.getCall(callId), null);
+  check('Other participant told', clientEnds[0]?.callId, callId);
+
+  const clientOffers = listen(client, 'webrtc-offer');
+  const outsiderOffers = listen(outsider, 'webrtc-offer');
+  freelancer.emit('webrtc-offer', { workspaceId: WORKSPACE, toUserId: CLIENT, offer: { sdp: 'x' } });
+  freelancer.emit('webrtc-offer', { workspaceId: WORKSPACE, toUserId: OUTSIDER, offer: { sdp: 'x' } });
+  await settle();
+
+  check('Offer forwarded to workspace member', clientOffers.length, 1);
+  check('Offer sender taken from token', clientOffers[0]?.fromUserId, FREELANCER);
+  check('Offer to non-member dropped', outsiderOffers.length, 0);
+
+  console.log('\n👥 Presence with multiple tabs');
+  const statusChanges = listen(freelancer, 'user-status-change');
+  clientSecondTab.disconnect();
+  await settle();
+  check('Closing one tab keeps user online', statusChanges.length, 0);
+
+  client.disconnect();
+  await settle();
+  check('Offline waits for the grace period', statusChanges.length, 0);
+  await settle(400);
+  check('Closing last tab marks user offline', statusChanges[0]?.status, 'offline');
+  check('Last seen saved', lastSeen.has(CLIENT), true);
+  check('Last seen sent with status', !!statusChanges[0]?.lastSeen, true);
+
+  console.log('\n🔄 Reconnects and heartbeats');
+  const outsiderChanges = listen(outsider, 'user-status-change');
+  freelancer.disconnect();
+  const reconnected = (await open({ token: tokenFor(FREELANCER, 'freelancer') })).socket;
+  await settle(500);
+  check('Quick reconnect never goes offline', outsiderChanges.filter(c => c.status === 'offline').length, 0);
+  check('Still online after reconnect', await store.isOnline(FREELANCER), true);
+
+  // A connection registered by a node that crashed: nothing refreshes it, so the sweep removes it
+  await store.addConnection('crashed-node-user', 'socket-on-dead-node');
+  await settle(1500);
+  check('Stale connection swept', await store.isOnline('crashed-node-user'), false);
+  check('Swept user announced offline', outsiderChanges.some(c => c.userId === 'crashed-node-user' && c.status === 'offline'), true);
+  check('Live connections kept by heartbeat', await store.isOnline(FREELANCER), true);
+  reconnected.disconnect();
+};
+
+const runHiddenPresenceTests = async () => {
+  console.log('\n🙈 Hidden online status');
+  const watcher = (await open({ token: tokenFor(CLIENT, 'client') })).socket;
+  const changes = listen(watcher, 'user-status-change');
+  const lists = listen(watcher, 'online-users');
+
+  const hidden = (await open({ token: tokenFor(HIDDEN, 'freelancer') })).socket;
+  await settle();
+  check('No online status change sent', changes.some(c => c.userId === HIDDEN), false);
+  check('Left out of online users', lists.some(list => list.includes(HIDDEN)), false);
+  check('Other users still listed', lists[lists.length - 1]?.includes(CLIENT), true);
+  check('Still tracked as connected', await store.isOnline(HIDDEN), true);
+
+  hidden.disconnect();
+  await settle(600);
+  check('No offline status change sent', changes.some(c => c.userId === HIDDEN), false);
+  watcher.disconnect();
+};
+
+const start = () => new Promise((resolve) => {
+  httpServer.listen(0, () => {
+    url = `http://localhost:${httpServer.address().port}`;
+    resolve();
+  });
+});
+
+start()
+  .then(runHandshakeTests)
+  .then(runRoomTests)
+  .then(runHiddenPresenceTests)
+  .catch((error) => {
+    allPassed = false;
+    console.error('❌ Socket test crashed:', error);
+  })
+  .finally(() => {
+    sockets.forEach(socket => socket.disconnect());
+    io.close();
+    console.log('\n' + '═'.repeat(70));
+    console.log(`\n${allPassed ? '✅ ALL TESTS PASSED!' : '❌ SOME TESTS FAILED'}\n`);
+  });
@@ -0,0 +1,213 @@
+/**
+ * Test Hourly Timesheets
+ * Runs without a database: checks week boundaries, entry validation,
+ * weekly status, billing against the weekly hour limit, and that a week
+ * approved twice at the same time is billed once.
+ */
+
+const mongoose = require('mongoose');
+const TimeEntry = require('./models/TimeEntry');
+const Milestone = require('./models/Milestone');
+const Project = require('./models/Project');
+const Workspace = require('./models/Workspace');
+const Notification = require('./models/Notification');
+const TimesheetService = require('./services/timesheetService');
+
+let allPassed = true;
+const check = (label, actual, expected) => {
+  const passed = actual === expected;
+  if (!passed) allPassed = false;
+  console.log(`  ${label}: ${actual} ${passed ? '✅' : `❌ (expected ${expected})`}`);
+};
+
+const validationError = async (doc) => {
+  try {
+    await doc.validate();
+    return null;
+  } catch (error) {
+    return error;
+  }
+};
+
+const newEntry = (fields) => new TimeEntry({
+  workspace: new mongoose.Types.ObjectId(),
+  project: new mongoose.Types.ObjectId(),
+  freelancer: new mongoose.Types.ObjectId(),
+  ...fields
+});
+
+console.log('\n🧪 TESTING HOURLY TIMESHEETS\n');
+console.log('═'.repeat(70));
+
+const runWeekTests = () => {
+  console.log('\n📅 Week boundaries (Monday 00:00 UTC)');
+  check('Wednesday', TimeEntry.getWeekStart(new Date('2026-10-14T15:30:00Z')).toISOString(), '2026-10-12T00:00:00.000Z');
+  check('Monday midnight', TimeEntry.getWeekStart(new Date('2026-10-12T00:00:00Z')).toISOString(), '2026-10-12T00:00:00.000Z');
+  check('Sunday night', TimeEntry.getWeekStart(new Date('2026-10-18T23:59:00Z')).toISOString(), '2026-10-12T00:00:00.000Z');
+  check('Parsed week param', TimesheetService.parseWeek('2026-10-16').toISOString(), '2026-10-12T00:00:00.000Z');
+
+  let invalid = null;
+  try {
+    TimesheetService.parseWeek('not-a-date');
+  } catch (error) {
+    invalid = error.message;
+  }
+  check('Invalid week rejected', invalid, 'Invalid week');
+};
+
+const runEntryTests = async () => {
+  console.log('\n⏱️ Entry validation');
+  const entry = newEntry({ startedAt: new Date('2026-10-13T09:00:00Z'), endedAt: new Date('2026-10-13T11:30:00Z') });
+  check('Valid entry', await validationError(entry), null);
+  check('Minutes from start and end', entry.minutes, 150);
+  check('Week assigned', entry.weekStart.toISOString(), '2026-10-12T00:00:00.000Z');
+  check('Logged entries are editable', entry.isEditable(), true);
+
+  const backwards = newEntry({ startedAt: new Date('2026-10-13T11:00:00Z'), endedAt: new Date('2026-10-13T09:00:00Z') });
+  check('End before start rejected', !!(await validationError(backwards))?.errors?.endedAt, true);
+
+  const unfinished = newEntry({ startedAt: new Date('2026-10-13T09:00:00Z') });
+  check('Logged entry needs an end', !!(await validationError(unfinished))?.errors?.endedAt, true);
+
+  const running = newEntry({ startedAt: new Date(), status: 'running', source: 'timer' });
+  check('Running timer has no end yet', await validationError(running), null);
+
+  const tooLong = newEntry({ startedAt: new Date('2026-10-13T00:00:00Z'), endedAt: new Date('2026-10-14T06:00:00Z') });
+  check('Entry over 24 hours rejected', !!(await validationError(tooLong))?.errors?.minutes, true);
+
+  const submitted = newEntry({ startedAt: new Date('2026-10-13T09:00:00Z'), endedAt: new Date('2026-10-13T10:00:00Z'), status: 'submitted' });
+  check('Submitted entries are locked', submitted.isEditable(), false);
+
+  console.log('\n✍️ Manual entries');
+  const fromHours = TimesheetService.resolveTimes({ date: '2026-10-13T09:00:00Z', hours: '2.5' });
+  check('Date + hours end time', fromHours.endedAt.toISOString(), '2026-10-13T11:30:00.000Z');
+
+  let missingHours = null;
+  try {
+    TimesheetService.resolveTimes({ date: '2026-10-13' });
+  } catch (error) {
+    missingHours = error.message;
+  }
+  check('Hours required', missingHours, 'Provide start and end times, or a date and number of hours');
+};
+
+const runBillingTests = () => {
+  console.log('\n💰 Billing against the weekly limit');
+  const contract = { hourlyRate: 1200, weeklyHourLimit: 20 };
+
+  const underLimit = TimesheetService.computeBilling(15 * 60, contract);
+  check('Hours logged', underLimit.hoursLogged, 15);
+  check('All hours billable', underLimit.billableHours, 15);
+  check('Amount', underLimit.amount, 18000);
+
+  const overLimit = TimesheetService.computeBilling(26 * 60 + 30, contract);
+  check('Billable hours capped', overLimit.billableHours, 20);
+  check('Hours over the cap', overLimit.cappedHours, 6.5);
+  check('Capped amount', overLimit.amount, 24000);
+
+  const secondApproval = TimesheetService.computeBilling(8 * 60, { ...contract, alreadyBilledHours: 15 });
+  check('Earlier approvals count against the cap', secondApproval.billableHours, 5);
+
+  const exhausted = TimesheetService.computeBilling(3 * 60, { ...contract, alreadyBilledHours: 20 });
+  check('Nothing billable once the cap is used', exhausted.amount, 0);
+
+  const partialHour = TimesheetService.computeBilling(50, { hourlyRate: 30, weeklyHourLimit: 40 });
+  check('Partial hours', partialHour.billableHours, 0.83);
+  check('Partial hour amount', partialHour.amount, 24.9);
+
+  console.log('\n📋 Week status');
+  check('Nothing logged', TimesheetService.getWeekStatus([]), 'empty');
+  check('Only a running timer', TimesheetService.getWeekStatus([{ status: 'running' }]), 'empty');
+  check('Unsubmitted time', TimesheetService.getWeekStatus([{ status: 'submitted' }, { status: 'logged' }]), 'open');
+  check('Waiting for client', TimesheetService.getWeekStatus([{ status: 'approved' }, { status: 'submitted' }]), 'submitted');
+  check('Sent back', TimesheetService.getWeekStatus([{ status: 'rejected' }, { status: 'logged' }]), 'rejected');
+  check('Fully approved', TimesheetService.getWeekStatus([{ status: 'approved' }, { status: 'running' }]), 'approved');
+};
+
+const runApprovalTests = async () => {
+  console.log('\n🏁 Approving the same week twice at once');
+  const workspace = { _id: new mongoose.Types.ObjectId(), project: new mongoose.Types.ObjectId(), freelancer: new mongoose.Types.ObjectId() };
+  const clientId = new mongoose.Types.ObjectId();
+  const weekStart = new Date('2026-10-12T00:00:00Z');
+
+  // In-memory entries and milestones with Mongo-like conditional updates
+  const entries = [90, 120, 150].map(minutes => newEntry({
+    workspace: workspace._id,
+    startedAt: new Date('2026-10-13T09:00:00Z'),
+    endedAt: new Date(new Date('2026-10-13T09:00:00Z').getTime() + minutes * 60000),
+    weekStart,
+    minutes,
+    status: 'submitted'
+  }));
+  const milestones = [];
+  const matches = (entry, conditions) => Object.entries(conditions).every(([key, value]) => {
+    if (key === '_id') return value.$in.some(id => id.toString() === entry._id.toString());
+    if (key === 'workspace') return entry.workspace.toString() === value.toString();
+    if (key === 'weekStart') return entry.weekStart.getTime() === value.getTime();
+    return entry[key] === value;
+  });
+
+  const query = (result) => {
+    const promise = Promise.resolve(result);
+    promise.select = () => promise;
+    promise.sort = () => promise;
+    return promise;
+  };
+  Project.findById = () => query({ budgetType: 'hourly', finalRate: 1000, weeklyHourLimit: 40, currency: 'INR' });
+  TimeEntry.find = async (conditions) => {
+    // Yield so concurrent approvals interleave like separate requests
+    await new Promise(resolve => setImmediate(resolve));
+    return entries.filter(entry => matches(entry, conditions));
+  };
+  TimeEntry.updateMany = async (conditions, update) => {
+    const matched = entries.filter(entry => matches(entry, conditions));
+    matched.forEach(entry => {
+      Object.assign(entry, update.$set);
+      Object.keys(update.$unset || {}).forEach(key => { entry[key] = undefined; });
+    });
+    return { modifiedCount: matched.length };
+  };
+  Milestone.find = () => query(milestones);
+  Milestone.findOne = () => query(milestones[milestones.length - 1] || null);
+  Milestone.create = async (fields) => {
+    const milestone = { _id: new mongoose.Types.ObjectId(), ...fields };
+    milestones.push(milestone);
+    return milestone;
+  };
+  Workspace.updateOne = async () => ({ modifiedCount: 1 });
+  Notification.create = async (notification) => notification;
+
+  const results = await Promise.allSettled([
+    TimesheetService.approveWeek(workspace, clientId, weekStart),
+    TimesheetService.approveWeek(workspace, clientId, weekStart)
+  ]);
+  check('One approval succeeded', results.filter(result => result.status === 'fulfilled').length, 1);
+  check('The other found nothing to approve', results.find(result => result.status === 'rejected')?.reason.message,
+    'There is no submitted time to approve for this week');
+  check('Exactly one milestone', milestones.length, 1);
+  check('All six hours billed once', milestones[0]?.timesheet.billableHours, 6);
+  check('Entries approved', entries.every(entry => entry.status === 'approved'), true);
+  check('Entries linked to the milestone', entries.every(entry => entry.billingMilestone?.toString() === milestones[0]?._id.toString()), true);
+
+  console.log('\n↩️ A failed milestone leaves the week submitted');
+  entries.forEach(entry => { entry.status = 'submitted'; entry.billingMilestone = undefined; });
+  milestones.length = 0;
+  Milestone.create = async () => { throw new Error('Database unavailable'); };
+  const failed = await TimesheetService.approveWeek(workspace, clientId, weekStart).catch(error => error.message);
+  check('Error surfaced', failed, 'Database unavailable');
+  check('Entries back to submitted', entries.every(entry => entry.status === 'submitted' && !entry.approvalId), true);
+};
+
+Promise.resolve()
+  .then(runWeekTests)
+  .then(runEntryTests)
+  .then(runBillingTests)
+  .then(runApprovalTests)
+  .catch((error) => {
+    allPassed = false;
+    console.error('❌ Timesheet test crashed:', error);
+  })
+  .finally(() => {
+    console.log('\n' + '═'.repeat(70));
+    console.log(`\n${allPassed ? '✅ ALL TESTS PASSED!' : '❌ SOME TESTS FAILED'}\n`);
+  });
@@ -0,0 +1,185 @@
+/**
+ * Test Two-Factor Authentication
+ * Runs without a database: checks TOTP codes against the RFC 6238 test vectors,
+ * the otpauth URI, recovery codes, secret encryption and the login challenge
+ * tokens behind /api/auth/login/two-factor and /api/profile/two-factor.
+ */
+
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const User = require('./models/User');
+const TwoFactorService = require('./services/twoFactorService');
+const totp = require('./utils/totp');
+
+let allPassed = true;
+const check = (label, actual, expected) => {
+  const passed = actual === expected;
+  if (!passed) allPassed = false;
+  console.log(`  ${label}: ${actual} ${passed ? '✅' : `❌ (expected ${expected})`}`);
+};
+
+const thrownMessage = (fn) => {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// RFC 6238 appendix B uses the ASCII secret "12345678901234567890"
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+const newUser = (fields) => new User({
+  fullName: 'Asha Rao',
+  email: 'asha@example.com',
+  password: 'Password1!',
+  role: 'client',
+  ...fields
+});
+
+console.log('\n🧪 TESTING TWO-FACTOR AUTHENTICATION\n');
+console.log('═'.repeat(70));
+
+const runTotpTests = () => {
+  console.log('\n⏱️ TOTP codes');
+  check('Base32 encoding', RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  check('Base32 round trip', totp.base32Decode(RFC_SECRET.toLowerCase()).toString(), '12345678901234567890');
+  check('RFC vector at 59s', totp.generateCode(RFC_SECRET, 59 * 1000), '287082');
+  check('RFC vector at 1111111109s', totp.generateCode(RFC_SECRET, 1111111109 * 1000), '081804');
+  check('RFC vector at 2000000000s', totp.generateCode(RFC_SECRET, 2000000000 * 1000), '279037');
+
+  const time = 1111111109 * 1000;
+  check('Current code accepted', totp.verifyCode(RFC_SECRET, '081804', { time }), 37037036);
+  check('Previous step allowed for clock drift', totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, time - 30000), { time }), 37037035);
+  check('Two steps away rejected', totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, time - 60000), { time }), null);
+  check('Spaces ignored', totp.verifyCode(RFC_SECRET, '081 804', { time }), 37037036);
+  check('Non-numeric rejected', totp.verifyCode(RFC_SECRET, 'abcdef', { time }), null);
+  check('New secrets are 160 bits', totp.base32Decode(totp.generateSecret()).length, 20);
+
+  const uri = new URL(totp.buildOtpauthUri({ secret: RFC_SECRET, account: 'asha@example.com', issuer: 'WebSphere' }));
+  check('otpauth scheme', uri.protocol, 'otpauth:');
+  check('Label names issuer and account', decodeURIComponent(uri.pathname), '/WebSphere:asha@example.com');
+  check('Secret in URI', uri.searchParams.get('secret'), RFC_SECRET);
+  check('Issuer in URI', uri.searchParams.get('issuer'), 'WebSphere');
+};
+
+const runSecretStorageTests = () => {
+  console.log('\n🔒 Secret storage');
+  const encrypted = totp.encryptSecret(RFC_SECRET);
+  check('Stored value is not the secret', encrypted.includes(RFC_SECRET), false);
+  check('Decrypts back', totp.decryptSecret(encrypted), RFC_SECRET);
+  check('Fresh IV each time', totp.encryptSecret(RFC_SECRET) === encrypted, false);
+
+  const [iv, tag] = encrypted.split(':');
+  const tampered = [iv, tag, Buffer.from('x'.repeat(32)).toString('base64')].join(':');
+  check('Tampering detected', thrownMessage(() => totp.decryptSecret(tampered)) !== null, true);
+
+  check('Secret hidden from queries', User.schema.path('twoFactorSecret').options.select, false);
+  check('Recovery codes hidden from queries', User.schema.path('twoFactorRecoveryCodes').options.select, false);
+};
+
+const runRecoveryCodeTests = () => {
+  console.log('\n🧾 Recovery codes');
+  const codes = totp.generateRecoveryCodes();
+  check('Ten codes', codes.length, 10);
+  check('Readable format', /^[a-z2-9]{4}-[a-z2-9]{4}$/.test(codes[0]), true);
+  check('Codes are unique', new Set(codes).size, 10);
+  check('Hash ignores case and dashes', totp.hashRecoveryCode('AB2C-D3EF'), totp.hashRecoveryCode('ab2cd3ef'));
+
+  const user = newUser({ twoFactorEnabled: true, twoFactorSecret: totp.encryptSecret(RFC_SECRET) });
+  const issued = TwoFactorService.issueRecoveryCodes(user);
+  check('Only hashes stored', user.twoFactorRecoveryCodes[0].hash, totp.hashRecoveryCode(issued[0]));
+  check('Recovery code signs in', TwoFactorService.verifyLoginCode(user, issued[3].toUpperCase()), 'recovery');
+  check('Recovery code is spent', TwoFactorService.verifyLoginCode(user, issued[3]), null);
+  check('Remaining count', TwoFactorService.getStatus(user).recoveryCodesRemaining, 9);
+  check('Wrong code rejected', TwoFactorService.verifyLoginCode(user, 'zzzz-zzzz'), null);
+};
+
+const runLoginCodeTests = () => {
+  console.log('\n🔑 Sign-in codes');
+  const user = newUser({ twoFactorEnabled: true, twoFactorSecret: totp.encryptSecret(RFC_SECRET) });
+  const step = Math.floor(Date.now() / 30000);
+  const code = totp.generateCode(RFC_SECRET, step * 30000);
+
+  check('Authenticator code signs in', TwoFactorService.verifyLoginCode(user, code), 'totp');
+  check('Same code cannot be replayed', TwoFactorService.verifyLoginCode(user, code), null);
+  check('Used step recorded', user.twoFactorLastUsedStep, step);
+};
+
+const runEnrollmentTests = async () => {
+  console.log('\n📲 Enrollment');
+  const user = newUser();
+  // Enrollment saves the user; there is no database here
+  user.save = async () => user;
+
+  const setup = await TwoFactorService.startEnrollment(user);
+  check('Pending secret stored encrypted', totp.decryptSecret(user.twoFactorPendingSecret), setup.secret);
+  check('Not enabled until confirmed', user.twoFactorEnabled, false);
+  check('URI carries the secret', setup.otpauthUri.includes(`secret=${setup.secret}`), true);
+
+  const code = totp.generateCode(setup.secret);
+  let wrongCode = null;
+  try {
+    await TwoFactorService.confirmEnrollment(user, String((Number(code) + 1) % 1000000).padStart(6, '0'));
+  } catch (error) {
+    wrongCode = error.message;
+  }
+  check('Wrong first code rejected', wrongCode, 'Invalid verification code. Check the time on your device and try again.');
+
+  const { recoveryCodes } = await TwoFactorService.confirmEnrollment(user, code);
+  check('Enabled after confirmation', user.twoFactorEnabled, true);
+  check('Pending secret promoted', totp.decryptSecret(user.twoFactorSecret), setup.secret);
+  check('Pending secret cleared', user.twoFactorPendingSecret, null);
+  check('Recovery codes returned once', recoveryCodes.length, 10);
+
+  let again = null;
+  try {
+    await TwoFactorService.startEnrollment(user);
+  } catch (error) {
+    again = error.message;
+  }
+  check('Cannot enroll twice', again, 'Two-factor authentication is already enabled');
+
+  await TwoFactorService.disable(user);
+  check('Disable clears the secret', user.twoFactorSecret, null);
+  check('Disable clears recovery codes', user.twoFactorRecoveryCodes.length, 0);
+};
+
+const runPolicyTests = () => {
+  console.log('\n🛡️ Required 2FA and challenge tokens');
+  const previousRoles = process.env.TWO_FACTOR_REQUIRED_ROLES;
+  process.env.TWO_FACTOR_REQUIRED_ROLES = 'admin';
+  check('Required by role', TwoFactorService.isRequiredFor(newUser({ role: 'admin' })), true);
+  check('Other roles optional', TwoFactorService.isRequiredFor(newUser()), false);
+  check('Required by an admin', TwoFactorService.isRequiredFor(newUser({ twoFactorRequired: true })), true);
+  process.env.TWO_FACTOR_REQUIRED_ROLES = previousRoles || '';
+
+  const user = newUser({ _id: new mongoose.Types.ObjectId() });
+  const token = TwoFactorService.createChallengeToken(user, 'login');
+  check('Challenge token identifies the user', TwoFactorService.verifyChallengeToken(token, 'login'), user._id.toString());
+  check('Wrong purpose rejected', thrownMessage(() => TwoFactorService.verifyChallengeToken(token, 'setup')), 'Invalid sign-in session. Please log in again.');
+  check('Missing token rejected', thrownMessage(() => TwoFactorService.verifyChallengeToken(undefined, 'login')), 'Sign-in session is missing. Please log in again.');
+
+  const sessionKey = process.env.JWT_SECRET || 'your_jwt_secret_key';
+  check('Not accepted as a session token', thrownMessage(() => jwt.verify(token, sessionKey)), 'invalid signature');
+  const sessionToken = jwt.sign({ userId: user._id, role: 'client' }, sessionKey);
+  check('Session tokens are not challenges', thrownMessage(() => TwoFactorService.verifyChallengeToken(sessionToken, 'login')),
+    'Your sign-in session has expired. Please log in again.');
+};
+
+Promise.resolve()
+  .then(runTotpTests)
+  .then(runSecretStorageTests)
+  .then(runRecoveryCodeTests)
+  .then(runLoginCodeTests)
+  .then(runEnrollmentTests)
+  .then(runPolicyTests)
+  .catch((error) => {
+    allPassed = false;
+    console.error('❌ Two-factor test crashed:', error);
+  })
+  .finally(() => {
+    console.log('\n' + '═'.repeat(70));
+    console.log(`\n${allPassed ? '✅ ALL TESTS PASSED!' : '❌ SOME TESTS FAILED'}\n`);
+  });
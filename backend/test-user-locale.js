@@ -0,0 +1,226 @@
+/**
+ * Test User Locale
+ * Runs without a database: checks dates, times and amounts rendered from
+ * User.preferences (timezone, language, dateFormat) and that due date
+ * reminders count days and pick reminder hours on the recipient's calendar,
+ * and that PATCH /api/profile/preferences saves locale fields and the theme.
+ */
+
+const mongoose = require('mongoose');
+const {
+  getLocalePreferences,
+  formatUserDate,
+  formatUserDateTime,
+  formatUserMoney,
+  calendarDaysUntil,
+  localHour
+} = require('./utils/userLocale');
+const DueDateNotificationJob = require('./jobs/dueDateNotifications');
+const User = require('./models/User');
+const profileRouter = require('./routes/profile');
+
+let allPassed = true;
+const check = (label, actual, expected) => {
+  const passed = actual === expected;
+  if (!passed) allPassed = false;
+  console.log(`  ${label}: ${actual} ${passed ? '✅' : `❌ (expected ${expected})`}`);
+};
+
+const userIn = (timezone, preferences = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  email: `${timezone.toLowerCase().replace(/\W/g, '.')}@example.com`,
+  notificationPreferences: { email: true, push: true },
+  preferences: { timezone, ...preferences }
+});
+
+const KOLKATA = userIn('Asia/Kolkata', { dateFormat: 'DD/MM/YYYY' });
+const LOS_ANGELES = userIn('America/Los_Angeles', { dateFormat: 'YYYY-MM-DD' });
+const UTC = userIn('UTC');
+
+// 8pm UTC: already the next morning in India, early afternoon in California
+const NOW = new Date('2026-03-25T20:00:00Z');
+
+console.log('\n🧪 TESTING USER LOCALE\n');
+console.log('═'.repeat(70));
+
+const runPreferenceTests = () => {
+  console.log('\n⚙️ Preferences');
+  const defaults = getLocalePreferences(null);
+  check('Default timezone', defaults.timezone, 'UTC');
+  check('Default date format', defaults.dateFormat, 'MM/DD/YYYY');
+  check('Unknown timezone falls back', getLocalePreferences({ preferences: { timezone: 'Mars/Olympus' } }).timezone, 'UTC');
+  check('Unknown date format falls back', getLocalePreferences({ preferences: { dateFormat: 'D.M.Y' } }).dateFormat, 'MM/DD/YYYY');
+  check('Saved timezone kept', getLocalePreferences(KOLKATA).timezone, 'Asia/Kolkata');
+};
+
+const runFormattingTests = () => {
+  console.log('\n📅 Dates and amounts');
+  check('India, DD/MM/YYYY', formatUserDate(NOW, KOLKATA), '26/03/2026');
+  check('California, YYYY-MM-DD', formatUserDate(NOW, LOS_ANGELES), '2026-03-25');
+  check('UTC, MM/DD/YYYY', formatUserDate(NOW, UTC), '03/25/2026');
+  check('No date', formatUserDate(null, KOLKATA), '');
+  check('Date and time in India', formatUserDateTime(NOW, KOLKATA), '26/03/2026, 1:30 am IST');
+  check('Amount grouped for English', formatUserMoney(150000, 'INR', KOLKATA), '₹1,50,000');
+  check('Amount keeps its own currency', formatUserMoney(1250.5, 'USD', KOLKATA), '$1,250.5');
+  check('Preferred currency as fallback', formatUserMoney(20, null, userIn('UTC', { currency: 'EUR' })), '€20');
+};
+
+const runCalendarTests = () => {
+  console.log('\n🗓️ Days until and reminder hours');
+  // 10am UTC on the 26th: the same day in India, tomorrow in California
+  const due = new Date('2026-03-26T10:00:00Z');
+  check('Due today in India', calendarDaysUntil(due, KOLKATA, NOW), 0);
+  check('Due tomorrow in California', calendarDaysUntil(due, LOS_ANGELES, NOW), 1);
+  check('Due tomorrow in UTC', calendarDaysUntil(due, UTC, NOW), 1);
+  check('Yesterday in India', calendarDaysUntil(new Date('2026-03-24T20:00:00Z'), KOLKATA, NOW), -1);
+
+  const nineInIndia = new Date('2026-03-25T03:30:00Z');
+  check('Local hour in India', localHour(KOLKATA, nineInIndia), 9);
+  check('Local hour in California', localHour(LOS_ANGELES, nineInIndia), 20);
+  check('Reminder hour in India', DueDateNotificationJob.isReminderHour(KOLKATA, nineInIndia, true), true);
+  check('Not a reminder hour in California', DueDateNotificationJob.isReminderHour(LOS_ANGELES, nineInIndia, true), false);
+  check('Every hour outside production', DueDateNotificationJob.isReminderHour(LOS_ANGELES, nineInIndia, false), true);
+};
+
+// Captures what would have been saved, emailed and pushed
+const sent = [];
+const originals = {
+  save: DueDateNotificationJob.saveNotificationToDatabase,
+  email: DueDateNotificationJob.sendEmailNotification,
+  push: DueDateNotificationJob.sendPushNotification
+};
+const captureNotifications = () => {
+  DueDateNotificationJob.saveNotificationToDatabase = async (user, type, title, body, data) => {
+    sent.push({ user, type, title, body, data });
+  };
+  DueDateNotificationJob.sendEmailNotification = async () => {};
+  DueDateNotificationJob.sendPushNotification = async () => {};
+};
+const restoreNotifications = () => {
+  DueDateNotificationJob.saveNotificationToDatabase = originals.save;
+  DueDateNotificationJob.sendEmailNotification = originals.email;
+  DueDateNotificationJob.sendPushNotification = originals.push;
+};
+
+const milestoneFor = (freelancer, client, fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title: 'Landing page',
+  amount: 45000,
+  currency: 'INR',
+  status: 'in-progress',
+  paymentStatus: 'pending',
+  workspace: {
+    _id: new mongoose.Types.ObjectId(),
+    freelancer,
+    client,
+    project: { _id: new mongoose.Types.ObjectId(), title: 'Website redesign' }
+  },
+  save: async () => {},
+  ...fields
+});
+
+const runReminderTests = async () => {
+  console.log('\n⏰ Due date reminders');
+  captureNotifications();
+  const due = new Date('2026-03-26T10:00:00Z');
+
+  sent.length = 0;
+  await DueDateNotificationJob.checkDeliverableDueDate(milestoneFor(KOLKATA, UTC, { dueDate: due }), NOW);
+  check('Freelancer in India told', sent[0]?.title, '⚠️ Urgent: Deliverable Due Today');
+  check('In their date format', sent[0]?.body.includes('(26/03/2026)'), true);
+
+  sent.length = 0;
+  await DueDateNotificationJob.checkDeliverableDueDate(milestoneFor(LOS_ANGELES, UTC, { dueDate: due }), NOW);
+  check('Freelancer in California told', sent[0]?.title, '⚠️ Urgent: Deliverable Due Tomorrow');
+  check('In their date format', sent[0]?.body.includes('(2026-03-26)'), true);
+
+  sent.length = 0;
+  const inThreeDays = new Date('2026-03-28T10:00:00Z');
+  await DueDateNotificationJob.checkDeliverableDueDate(milestoneFor(LOS_ANGELES, UTC, { dueDate: inThreeDays }), NOW);
+  check('Days left counted locally', sent[0]?.data.extraData.daysRemaining, 3);
+
+  sent.length = 0;
+  await DueDateNotificationJob.checkDeliverableDueDate(milestoneFor(LOS_ANGELES, UTC, { dueDate: due }), NOW, true);
+  check('Nothing outside their reminder hours', sent.length, 0);
+
+  sent.length = 0;
+  const payment = milestoneFor(LOS_ANGELES, KOLKATA, { status: 'approved', paymentDueDate: due });
+  await DueDateNotificationJob.checkPaymentDueDate(payment, NOW);
+  check('Client in India told payment is due today', sent[0]?.title.includes('Today'), true);
+  check('Payment reminder marked sent', payment.paymentReminderSent, true);
+};
+
+// Call the last handler of a route directly, after auth
+const handlerFor = (method, path) => {
+  const layer = profileRouter.stack.find(l => l.route?.path === path && l.route.methods[method]);
+  return layer.route.stack[layer.route.stack.length - 1].handle;
+};
+
+const mockRes = () => ({
+  statusCode: 200,
+  status(code) { this.statusCode = code; return this; },
+  json(payload) { this.body = payload; return this; }
+});
+
+const runPreferenceRouteTests = async () => {
+  console.log('\n🎨 Saving preferences');
+  const user = new User({
+    fullName: 'Asha Rao',
+    email: 'asha@example.com',
+    password: 'Password1!',
+    role: 'client',
+    preferences: { timezone: 'Asia/Kolkata', theme: 'light' }
+  });
+  let saved = 0;
+  user.save = async () => { saved += 1; return user; };
+  const originalFindById = User.findById;
+  User.findById = () => {
+    const query = Promise.resolve(user);
+    query.select = () => query;
+    return query;
+  };
+
+  const patch = async (body) => {
+    const res = mockRes();
+    await handlerFor('patch', '/preferences')({ user: { userId: user._id.toString() }, body }, res);
+    return res;
+  };
+
+  try {
+    check('One PATCH /preferences route', profileRouter.stack.filter(l => l.route?.path === '/preferences' && l.route.methods.patch).length, 1);
+
+    const themed = await patch({ theme: 'dark' });
+    check('Theme saved', `${themed.statusCode} ${user.preferences.theme}`, '200 dark');
+    check('Theme returned', themed.body.preferences.theme, 'dark');
+    check('Other preferences kept', themed.body.preferences.timezone, 'Asia/Kolkata');
+
+    await patch({ dateFormat: 'DD/MM/YYYY', theme: 'auto' });
+    check('Theme saved with locale fields', `${user.preferences.dateFormat} ${user.preferences.theme}`, 'DD/MM/YYYY auto');
+
+    const invalid = await patch({ theme: 'neon' });
+    check('Unknown theme rejected', invalid.statusCode, 400);
+    check('Nothing saved for it', `${saved} ${user.preferences.theme}`, '2 auto');
+
+    const fetched = mockRes();
+    await handlerFor('get', '/preferences')({ user: { userId: user._id.toString() } }, fetched);
+    check('Theme read back', fetched.body.preferences.theme, 'auto');
+  } finally {
+    User.findById = originalFindById;
+  }
+};
+
+Promise.resolve()
+  .then(runPreferenceTests)
+  .then(runFormattingTests)
+  .then(runCalendarTests)
+  .then(runReminderTests)
+  .then(runPreferenceRouteTests)
+  .catch((error) => {
+    allPassed = false;
+    console.error('❌ User locale test crashed:', error);
+  })
+  .finally(() => {
+    restoreNotifications();
+    console.log('\n' + '═'.repeat(70));
+    console.log(`\n${allPassed ? '✅ ALL TESTS PASSED!' : '❌ SOME TESTS FAILED'}\n`);
+  });
@@ -0,0 +1,121 @@
+/**
+ * Admin roles and permissions
+ *
+ * Every admin endpoint names the permission it needs (see
+ * middlewares/adminPermissions). An admin's permissions come from their
+ * adminRole: one of the predefined roles below, or 'custom' with the
+ * permissions listed in adminPermissions.
+ */
+
+const PERMISSIONS = {
+  'dashboard.view': 'View dashboard statistics',
+  'users.view': 'View user accounts',
+  'users.suspend': 'Deactivate, reactivate, soft-delete and restore users',
+  'users.delete': 'Permanently delete users',
+  'users.security': 'Require two-factor authentication for users',
+  'escrows.view': 'View escrows and dispute threads',
+  'escrows.release': 'Release escrow funds and run auto-release',
+  'disputes.manage': 'Request information in disputes and message both parties',
+  'disputes.resolve': 'Resolve disputes (release and refund funds) and retry failed refunds',
+  'ledger.view': 'View the ledger and reconciliation report',
+  'withdrawals.view': 'View withdrawal requests',
+  'withdrawals.manage': 'Approve and reject withdrawals',
+  'fees.view': 'View fee schedules and promo codes',
+  'fees.manage': 'Publish fee schedules and edit promo codes',
+  'audit.view': 'View and export the admin audit log',
+  'admins.manage': 'Assign admin roles and permissions'
+};
+
+const ADMIN_ROLES = {
+  'super-admin': {
+    label: 'Super admin',
+    description: 'Full access, including managing other admins',
+    permissions: Object.keys(PERMISSIONS)
+  },
+  support: {
+    label: 'Support',
+    description: 'Looks up users, escrows and withdrawals without changing them',
+    permissions: ['dashboard.view', 'users.view', 'escrows.view', 'withdrawals.view']
+  },
+  finance: {
+    label: 'Finance',
+    description: 'Releases, refunds, withdrawals, the ledger and service charges',
+    permissions: [
+      'dashboard.view', 'escrows.view', 'escrows.release', 'disputes.resolve', 'ledger.view',
+      'withdrawals.view', 'withdrawals.manage', 'fees.view', 'fees.manage', 'audit.view'
+    ]
+  },
+  moderator: {
+    label: 'Moderator',
+    description: 'Suspends accounts and runs dispute threads',
+    permissions: ['dashboard.view', 'users.view', 'users.suspend', 'users.security', 'escrows.view', 'disputes.manage']
+  }
+};
+
+const CUSTOM_ROLE = 'custom';
+// Admins created before roles existed have no adminRole and keep full access
+const DEFAULT_ADMIN_ROLE = 'super-admin';
+const ADMIN_ROLE_VALUES = [...Object.keys(ADMIN_ROLES), CUSTOM_ROLE];
+
+const isAdminUser = (user) => Boolean(user) && user.role === 'admin' && !user.isDeleted && user.isActive !== false;
+
+const adminRoleOf = (user) => user?.adminRole || DEFAULT_ADMIN_ROLE;
+
+/**
+ * Everything the user may do on the admin side; empty for non-admins
+ */
+const permissionsFor = (user) => {
+  if (!isAdminUser(user)) return [];
+
+  const role = adminRoleOf(user);
+  if (role === CUSTOM_ROLE) {
+    return (user.adminPermissions || []).filter(permission => PERMISSIONS[permission]);
+  }
+  return ADMIN_ROLES[role]?.permissions || [];
+};
+
+const hasPermission = (user, permission) => permissionsFor(user).includes(permission);
+
+/**
+ * Check a role assignment and return the fields to store on the user.
+ * Predefined roles don't keep a permission list; custom ones need at least one.
+ */
+const resolveAdminAccess = (adminRole, permissions = []) => {
+  if (!ADMIN_ROLE_VALUES.includes(adminRole)) {
+    throw new Error(`Admin role must be one of: ${ADMIN_ROLE_VALUES.join(', ')}`);
+  }
+
+  if (adminRole !== CUSTOM_ROLE) {
+    return { adminRole, adminPermissions: [] };
+  }
+
+  if (!Array.isArray(permissions) || permissions.length === 0) {
+    throw new Error('A custom role needs at least one permission');
+  }
+
+  const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+  }
+
+  return { adminRole, adminPermissions: [...new Set(permissions)] };
+};
+
+// Catalog for the admin UI
+const describeAdminRoles = () => ({
+  permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description })),
+  roles: Object.entries(ADMIN_ROLES).map(([key, role]) => ({ key, ...role }))
+});
+
+module.exports = {
+  PERMISSIONS,
+  ADMIN_ROLES,
+  ADMIN_ROLE_VALUES,
+  CUSTOM_ROLE,
+  DEFAULT_ADMIN_ROLE,
+  adminRoleOf,
+  permissionsFor,
+  hasPermission,
+  resolveAdminAccess,
+  describeAdminRoles
+};
@@ -1,6 +1,7 @@
 // backend/utils/brevoEmailService.js
 const nodemailer = require('nodemailer');
 const crypto = require('crypto');
+const { translate, languageOf } = require('./i18n');
 
 /**
  * Brevo Email Service for WebSphere
@@ -102,7 +103,8 @@ async function sendEmail(emailData) {
       to: emailData.to,
       subject: emailData.subject,
       html: emailData.html,
-      text: emailData.text
+      text: emailData.text,
+      attachments: emailData.attachments
     };
 
     const response = await transporter.sendMail(mailOptions);
@@ -152,7 +154,7 @@ async function sendVerificationEmail(user, token) {
 
     const emailData = {
       to: user.email,
-      subject: `Verify Your WebSphere ${user.role === 'freelancer' ? 'Freelancer' : 'Client'} Account`,
+      subject: translate(languageOf(user), `email.verification.subject.${user.role === 'freelancer' ? 'freelancer' : 'client'}`),
       html: generateVerificationEmailHTML(user, verificationUrl),
       text: generateVerificationEmailText(user, verificationUrl)
     };
@@ -188,7 +190,7 @@ async function sendWelcomeEmail(user) {
 
     const emailData = {
       to: user.email,
-      subject: 'Welcome to WebSphere - Your Account is Verified!',
+      subject: translate(languageOf(user), 'email.welcome.subject'),
       html: generateWelcomeEmailHTML(user),
       text: generateWelcomeEmailText(user)
     };
@@ -217,7 +219,7 @@ async function sendPasswordResetEmail(user, token) {
     
     const emailData = {
       to: user.email,
-      subject: 'Reset Your WebSphere Password',
+      subject: translate(languageOf(user), 'email.passwordReset.subject'),
       html: generatePasswordResetEmailHTML(user, resetUrl),
       text: generatePasswordResetEmailText(user, resetUrl)
     };
@@ -271,7 +273,7 @@ async function sendDeactivationEmail(user, reason, ratingInfo = null) {
 
     const emailData = {
       to: user.email,
-      subject: 'WebSphere Freelancer Account Deactivated',
+      subject: translate(languageOf(user), 'email.deactivation.subject'),
       html: getDeactivationEmailTemplate(user, reason, ratingInfo),
       text: getDeactivationEmailTextTemplate(user, reason, ratingInfo)
     };
@@ -287,6 +289,38 @@ async function sendDeactivationEmail(user, reason, ratingInfo = null) {
   }
 }
 
+/**
+ * Send an alert when the account is signed in to from a new device
+ * @param {Object} user - User object
+ * @param {Object} login - { deviceName, ip, time }
+ * @returns {Promise} - Email sending result
+ */
+async function sendNewDeviceLoginEmail(user, login) {
+  if (!isInitialized) {
+    // Development mode - log email instead of sending
+    console.log('📧 [DEV MODE] New device sign-in alert would be sent via Brevo to:', user.email);
+    console.log('💻 Device:', login.deviceName, 'IP:', login.ip);
+
+    return {
+      success: true,
+      messageId: 'dev-mode-brevo-new-device-' + Date.now(),
+      devMode: true
+    };
+  }
+
+  const { generateNewDeviceLoginEmailHTML, generateNewDeviceLoginEmailText } = require('./emailTemplates');
+
+  const result = await sendEmail({
+    to: user.email,
+    subject: translate(languageOf(user), 'email.newDevice.subject'),
+    html: generateNewDeviceLoginEmailHTML(user, login),
+    text: generateNewDeviceLoginEmailText(user, login)
+  });
+  console.log('✅ New device sign-in alert sent to:', user.email);
+
+  return result;
+}
+
 module.exports = {
   generateVerificationToken,
   generatePasswordResetToken,
@@ -296,5 +330,6 @@ module.exports = {
   sendWelcomeEmail,
   sendPasswordResetEmail,
   sendDeactivationEmail,
+  sendNewDeviceLoginEmail,
   sendEmail
 };
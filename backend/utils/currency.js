@@ -0,0 +1,24 @@
+// Currencies projects can be priced and paid in
+const SUPPORTED_CURRENCIES = ['INR', 'USD', 'EUR', 'GBP'];
+
+/**
+ * Amount with its currency symbol for emails and notifications, e.g. ₹1,500 or $1,250.50.
+ * `locale` decides digit grouping (utils/userLocale passes the recipient's).
+ */
+const formatMoney = (amount, currency = 'INR', locale = 'en-IN') => {
+  try {
+    return new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency: currency || 'INR',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 2
+    }).format(amount || 0);
+  } catch (error) {
+    return `${currency} ${amount}`;
+  }
+};
+
+module.exports = {
+  SUPPORTED_CURRENCIES,
+  formatMoney
+};
@@ -1,20 +1,25 @@
 // backend/utils/emailTemplates.js
+const { formatUserDate, formatUserDateTime, formatUserMoney } = require('./userLocale');
+const { translatorFor, languageOf } = require('./i18n');
 
 /**
  * Professional email templates for WebSphere
- * All templates are responsive and follow modern email design practices
+ * All templates are responsive and follow modern email design practices.
+ * Text comes from backend/locales in the recipient's language.
  */
 
 /**
  * Base email template with consistent styling
  * @param {string} title - Email title
  * @param {string} content - Email content HTML
+ * @param {string} [language] - Recipient's language
  * @returns {string} - Complete HTML email template
  */
-function getBaseTemplate(title, content) {
+function getBaseTemplate(title, content, language = 'en') {
+  const t = translatorFor(language);
   return `
     <!DOCTYPE html>
-    <html>
+    <html lang="${language}">
     <head>
       <meta charset="utf-8">
       <meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -109,8 +114,8 @@ function getBaseTemplate(title, content) {
           ${content}
         </div>
         <div class="footer">
-          <p>© 2024 WebSphere. All rights reserved.</p>
-          <p>This email was sent from an automated system. Please do not reply to this email.</p>
+          <p>${t('email.common.copyright')}</p>
+          <p>${t('email.common.automated')}</p>
         </div>
       </div>
     </body>
@@ -118,6 +123,25 @@ function getBaseTemplate(title, content) {
   `;
 }
 
+
+// Icons in front of the list items of each email (the text versions leave them out)
+const VERIFICATION_ICONS = {
+  freelancer: ['✅', '📸', '💰', '🚀'],
+  client: ['✅', '📝', '👥', '🎯']
+};
+const WELCOME_ICONS = {
+  freelancer: ['📝', '🎯', '💰', '📸'],
+  client: ['📝', '🚀']
+};
+const PASSWORD_RESET_ICONS = ['🕐', '🔒', '🛡️'];
+
+const roleOf = (user) => (user.role === 'freelancer' ? 'freelancer' : 'client');
+
+const listItems = (items, icons = []) =>
+  items.map((item, index) => `<li>${icons[index] ? `${icons[index]} ` : ''}${item}</li>`).join('\n          ');
+
+const textItems = (items) => items.map(item => `- ${item}`).join('\n');
+
 /**
  * Generate verification email HTML
  * @param {Object} user - User object
@@ -125,48 +149,40 @@ function getBaseTemplate(title, content) {
  * @returns {string} - HTML email content
  */
 function generateVerificationEmailHTML(user, verificationUrl) {
+  const language = languageOf(user);
+  const t = translatorFor(language);
+  const role = roleOf(user);
+
   const content = `
-    <h2>Welcome to WebSphere!</h2>
-    <p>Hi <strong>${user.fullName}</strong>,</p>
+    <h2>${t('email.verification.heading')}</h2>
+    <p>${t('email.common.greeting', { name: `<strong>${user.fullName}</strong>` })}</p>
     
-    <p>Thank you for joining our ${user.role === 'freelancer' ? 'freelancer' : 'client'} community! To complete your registration and start using WebSphere, please verify your email address.</p>
+    <p>${t('email.verification.intro', { role: t(`email.common.roles.${role}`) })}</p>
     
     <div style="text-align: center;">
-      <a href="${verificationUrl}" class="button">Verify Email Address</a>
+      <a href="${verificationUrl}" class="button">${t('email.verification.button')}</a>
     </div>
     
     <div class="highlight">
-      <p><strong>What's next after verification?</strong></p>
-      ${user.role === 'freelancer' ? `
-        <ul>
-          <li>✅ Complete your freelancer profile with skills and experience</li>
-          <li>📸 Upload a professional profile picture</li>
-          <li>💰 Set your hourly rate and availability</li>
-          <li>🚀 Start browsing and bidding on projects</li>
-        </ul>
-      ` : `
-        <ul>
-          <li>✅ Complete your client profile</li>
-          <li>📝 Post your first project</li>
-          <li>👥 Browse and hire talented freelancers</li>
-          <li>🎯 Manage your projects efficiently</li>
-        </ul>
-      `}
+      <p><strong>${t('email.verification.nextSteps')}</strong></p>
+      <ul>
+          ${listItems(t(`email.verification.steps.${role}`), VERIFICATION_ICONS[role])}
+      </ul>
     </div>
     
-    <p>If you can't click the button above, copy and paste this link into your browser:</p>
+    <p>${t('email.common.copyLink')}</p>
     <p style="word-break: break-all; color: #667eea;">${verificationUrl}</p>
     
     <div class="warning">
-      <p><strong>Security Note:</strong> This verification link will expire in 24 hours. If you didn't create this account, please ignore this email.</p>
+      <p><strong>${t('email.verification.securityLabel')}</strong> ${t('email.verification.security')}</p>
     </div>
     
-    <p>Need help? Contact our support team at support@websphere.com</p>
+    <p>${t('email.common.needHelp')}</p>
     
-    <p>Best regards,<br>The WebSphere Team</p>
+    <p>${t('email.common.regards')}<br>${t('email.common.team')}</p>
   `;
   
-  return getBaseTemplate('Verify Your WebSphere Account', content);
+  return getBaseTemplate(t('email.verification.title'), content, language);
 }
 
 /**
@@ -176,36 +192,29 @@ function generateVerificationEmailHTML(user, verificationUrl) {
  * @returns {string} - Plain text email content
  */
 function generateVerificationEmailText(user, verificationUrl) {
+  const t = translatorFor(languageOf(user));
+  const role = roleOf(user);
+
   return `
-Welcome to WebSphere!
+${t('email.verification.heading')}
 
-Hi ${user.fullName},
+${t('email.common.greeting', { name: user.fullName })}
 
-Thank you for joining our ${user.role === 'freelancer' ? 'freelancer' : 'client'} community! To complete your registration and start using WebSphere, please verify your email address by visiting:
+${t('email.verification.introText', { role: t(`email.common.roles.${role}`) })}
 
 ${verificationUrl}
 
-What's next after verification?
-${user.role === 'freelancer' ? `
-- Complete your freelancer profile with skills and experience
-- Upload a professional profile picture
-- Set your hourly rate and availability
-- Start browsing and bidding on projects
-` : `
-- Complete your client profile
-- Post your first project
-- Browse and hire talented freelancers
-- Manage your projects efficiently
-`}
+${t('email.verification.nextSteps')}
+${textItems(t(`email.verification.steps.${role}`))}
 
-Security Note: This verification link will expire in 24 hours. If you didn't create this account, please ignore this email.
+${t('email.verification.securityLabel')} ${t('email.verification.security')}
 
-Need help? Contact our support team at support@websphere.com
+${t('email.common.needHelp')}
 
-Best regards,
-The WebSphere Team
+${t('email.common.regards')}
+${t('email.common.team')}
 
-© 2024 WebSphere. All rights reserved.
+${t('email.common.copyright')}
   `.trim();
 }
 
@@ -215,49 +224,41 @@ The WebSphere Team
  * @returns {string} - HTML email content
  */
 function generateWelcomeEmailHTML(user) {
-  const dashboardUrl = `${process.env.FRONTEND_URL || 'https://websphere-w8k6.onrender.com'}/${user.role === 'freelancer' ? 'freelancer-profile-setup' : 'dashboard'}`;
+  const language = languageOf(user);
+  const t = translatorFor(language);
+  const role = roleOf(user);
+  const frontendUrl = process.env.FRONTEND_URL || 'https://websphere-w8k6.onrender.com';
+  const dashboardUrl = `${frontendUrl}/${user.role === 'freelancer' ? 'freelancer-profile-setup' : 'dashboard'}`;
   
   const content = `
-    <h2>🎉 Welcome to WebSphere!</h2>
-    <p>Hi <strong>${user.fullName}</strong>,</p>
+    <h2>🎉 ${t('email.welcome.heading')}</h2>
+    <p>${t('email.common.greeting', { name: `<strong>${user.fullName}</strong>` })}</p>
     
-    <p>Congratulations! Your WebSphere ${user.role} account is now active and ready to use.</p>
+    <p>${t('email.welcome.intro', { role: t(`email.common.roles.${role}`) })}</p>
     
     <div style="text-align: center;">
-      <a href="${dashboardUrl}" class="button">${user.role === 'freelancer' ? 'Complete Your Profile' : 'Go to Dashboard'}</a>
+      <a href="${dashboardUrl}" class="button">${t(`email.welcome.button.${role}`)}</a>
     </div>
     
     <div class="highlight">
-      <p><strong>Your Account Status:</strong></p>
+      <p><strong>${t('email.welcome.statusHeading')}</strong></p>
       <ul>
-        <li>✅ Email verified</li>
-        <li>✅ Account activated</li>
-        ${user.role === 'freelancer' ? `
-          <li>📝 Next: Complete your professional bio</li>
-          <li>🎯 Next: Add your skills and expertise</li>
-          <li>💰 Next: Set your hourly rate</li>
-          <li>📸 Next: Upload a profile picture</li>
-        ` : `
-          <li>📝 Next: Complete your profile</li>
-          <li>🚀 Next: Post your first project</li>
-        `}
+        <li>✅ ${t('email.welcome.emailVerified')}</li>
+        <li>✅ ${t('email.welcome.accountActivated')}</li>
+          ${listItems(t(`email.welcome.nextSteps.${role}`), WELCOME_ICONS[role])}
       </ul>
     </div>
     
-    ${user.role === 'freelancer' ? `
-      <p><strong>Ready to start freelancing?</strong> Complete your profile to start receiving project invitations and build your reputation on WebSphere.</p>
-    ` : `
-      <p><strong>Ready to hire talent?</strong> Post your first project and connect with skilled freelancers who can help bring your ideas to life.</p>
-    `}
+    <p><strong>${t(`email.welcome.readyHeading.${role}`)}</strong> ${t(`email.welcome.ready.${role}`)}</p>
     
-    <p>Need help getting started? Check out our <a href="${process.env.FRONTEND_URL || 'https://websphere-w8k6.onrender.com'}/help" style="color: #667eea;">help center</a> or contact our support team.</p>
+    <p>${t('email.welcome.help', { link: `<a href="${frontendUrl}/help" style="color: #667eea;">${t('email.welcome.helpCenter')}</a>` })}</p>
     
-    <p>Welcome to the WebSphere community!</p>
+    <p>${t('email.welcome.community')}</p>
     
-    <p>Best regards,<br>The WebSphere Team</p>
+    <p>${t('email.common.regards')}<br>${t('email.common.team')}</p>
   `;
   
-  return getBaseTemplate('Welcome to WebSphere!', content);
+  return getBaseTemplate(t('email.welcome.title'), content, language);
 }
 
 /**
@@ -266,43 +267,34 @@ function generateWelcomeEmailHTML(user) {
  * @returns {string} - Plain text email content
  */
 function generateWelcomeEmailText(user) {
+  const t = translatorFor(languageOf(user));
+  const role = roleOf(user);
   const dashboardUrl = `${process.env.FRONTEND_URL || 'https://websphere-w8k6.onrender.com'}/${user.role === 'freelancer' ? 'freelancer-profile-setup' : 'dashboard'}`;
 
   return `
-Welcome to WebSphere!
-
-Hi ${user.fullName},
-
-Congratulations! Your WebSphere ${user.role} account is now active and ready to use.
-
-Visit your dashboard: ${dashboardUrl}
-
-Your Account Status:
-- ✅ Email verified
-- ✅ Account activated
-${user.role === 'freelancer' ? `
-- 📝 Next: Complete your professional bio
-- 🎯 Next: Add your skills and expertise
-- 💰 Next: Set your hourly rate
-- 📸 Next: Upload a profile picture
-` : `
-- 📝 Next: Complete your profile
-- 🚀 Next: Post your first project
-`}
-
-${user.role === 'freelancer' ?
-  'Ready to start freelancing? Complete your profile to start receiving project invitations and build your reputation on WebSphere.' :
-  'Ready to hire talent? Post your first project and connect with skilled freelancers who can help bring your ideas to life.'
-}
+${t('email.welcome.heading')}
+
+${t('email.common.greeting', { name: user.fullName })}
+
+${t('email.welcome.intro', { role: t(`email.common.roles.${role}`) })}
+
+${t('email.welcome.dashboardText', { url: dashboardUrl })}
+
+${t('email.welcome.statusHeading')}
+- ✅ ${t('email.welcome.emailVerified')}
+- ✅ ${t('email.welcome.accountActivated')}
+${textItems(t(`email.welcome.nextSteps.${role}`))}
 
-Need help getting started? Visit our help center or contact our support team.
+${t(`email.welcome.readyHeading.${role}`)} ${t(`email.welcome.ready.${role}`)}
 
-Welcome to the WebSphere community!
+${t('email.welcome.helpText')}
 
-Best regards,
-The WebSphere Team
+${t('email.welcome.community')}
 
-© 2024 WebSphere. All rights reserved.
+${t('email.common.regards')}
+${t('email.common.team')}
+
+${t('email.common.copyright')}
   `.trim();
 }
 
@@ -313,45 +305,44 @@ The WebSphere Team
  * @returns {string} - HTML email content
  */
 function generatePasswordResetEmailHTML(user, resetUrl) {
+  const language = languageOf(user);
+  const t = translatorFor(language);
+
   const content = `
-    <h2>🔐 Reset Your Password</h2>
-    <p>Hi <strong>${user.fullName}</strong>,</p>
+    <h2>🔐 ${t('email.passwordReset.heading')}</h2>
+    <p>${t('email.common.greeting', { name: `<strong>${user.fullName}</strong>` })}</p>
 
-    <p>We received a request to reset your WebSphere account password. If you made this request, click the button below to reset your password:</p>
+    <p>${t('email.passwordReset.intro')}</p>
 
     <div style="text-align: center;">
-      <a href="${resetUrl}" class="button">Reset Password</a>
+      <a href="${resetUrl}" class="button">${t('email.passwordReset.button')}</a>
     </div>
 
     <div class="highlight">
-      <p><strong>Important Security Information:</strong></p>
+      <p><strong>${t('email.passwordReset.securityHeading')}</strong></p>
       <ul>
-        <li>🕐 This reset link will expire in 1 hour</li>
-        <li>🔒 The link can only be used once</li>
-        <li>🛡️ Your account remains secure until you create a new password</li>
+          ${listItems(t('email.passwordReset.security'), PASSWORD_RESET_ICONS)}
       </ul>
     </div>
 
-    <p>If you can't click the button above, copy and paste this link into your browser:</p>
+    <p>${t('email.common.copyLink')}</p>
     <p style="word-break: break-all; color: #667eea;">${resetUrl}</p>
 
     <div class="warning">
-      <p><strong>Didn't request this?</strong> If you didn't request a password reset, please ignore this email. Your password will remain unchanged, and your account is still secure.</p>
+      <p><strong>${t('email.passwordReset.notYouLabel')}</strong> ${t('email.passwordReset.notYou')}</p>
     </div>
 
-    <p>For security reasons, we recommend:</p>
+    <p>${t('email.passwordReset.adviceHeading')}</p>
     <ul>
-      <li>Using a strong, unique password</li>
-      <li>Not sharing your password with anyone</li>
-      <li>Logging out of shared devices</li>
+          ${listItems(t('email.passwordReset.advice'))}
     </ul>
 
-    <p>Need help? Contact our support team at support@websphere.com</p>
+    <p>${t('email.common.needHelp')}</p>
 
-    <p>Best regards,<br>The WebSphere Security Team</p>
+    <p>${t('email.common.regards')}<br>${t('email.common.securityTeam')}</p>
   `;
 
-  return getBaseTemplate('Reset Your WebSphere Password', content);
+  return getBaseTemplate(t('email.passwordReset.title'), content, language);
 }
 
 /**
@@ -361,33 +352,31 @@ function generatePasswordResetEmailHTML(user, resetUrl) {
  * @returns {string} - Plain text email content
  */
 function generatePasswordResetEmailText(user, resetUrl) {
+  const t = translatorFor(languageOf(user));
+
   return `
-Reset Your WebSphere Password
+${t('email.passwordReset.title')}
 
-Hi ${user.fullName},
+${t('email.common.greeting', { name: user.fullName })}
 
-We received a request to reset your WebSphere account password. If you made this request, visit the following link to reset your password:
+${t('email.passwordReset.introText')}
 
 ${resetUrl}
 
-Important Security Information:
-- This reset link will expire in 1 hour
-- The link can only be used once
-- Your account remains secure until you create a new password
+${t('email.passwordReset.securityHeading')}
+${textItems(t('email.passwordReset.security'))}
 
-Didn't request this? If you didn't request a password reset, please ignore this email. Your password will remain unchanged, and your account is still secure.
+${t('email.passwordReset.notYouLabel')} ${t('email.passwordReset.notYou')}
 
-For security reasons, we recommend:
-- Using a strong, unique password
-- Not sharing your password with anyone
-- Logging out of shared devices
+${t('email.passwordReset.adviceHeading')}
+${textItems(t('email.passwordReset.advice'))}
 
-Need help? Contact our support team at support@websphere.com
+${t('email.common.needHelp')}
 
-Best regards,
-The WebSphere Security Team
+${t('email.common.regards')}
+${t('email.common.securityTeam')}
 
-© 2024 WebSphere. All rights reserved.
+${t('email.common.copyright')}
   `.trim();
 }
 
@@ -399,58 +388,58 @@ The WebSphere Security Team
  * @returns {string} - HTML email template
  */
 function getDeactivationEmailTemplate(user, reason, ratingInfo = null) {
+  const language = languageOf(user);
+  const t = translatorFor(language);
+
   // Generate rating-specific content if provided
   let ratingContent = '';
   if (ratingInfo) {
     ratingContent = `
     <div style="background-color: #fff3cd; border: 1px solid #ffeaa7; border-radius: 8px; padding: 16px; margin: 20px 0;">
-      <h3 style="color: #856404; margin: 0 0 8px 0;">⭐ Performance Review</h3>
+      <h3 style="color: #856404; margin: 0 0 8px 0;">⭐ ${t('email.deactivation.reviewHeading')}</h3>
       <p style="margin: 0; color: #856404;">
-        <strong>Current Rating:</strong> ${ratingInfo.currentRating.toFixed(1)}/5.0 stars (${ratingInfo.ratingCount} reviews)<br>
-        <strong>Completed Projects:</strong> ${ratingInfo.completedProjects}<br>
-        <strong>Minimum Required:</strong> 2.5/5.0 stars to maintain account
+        <strong>${t('email.deactivation.currentRating')}</strong> ${t('email.deactivation.ratingValue', { rating: ratingInfo.currentRating.toFixed(1), count: ratingInfo.ratingCount })}<br>
+        <strong>${t('email.deactivation.completedProjects')}</strong> ${ratingInfo.completedProjects}<br>
+        <strong>${t('email.deactivation.minimumRequired')}</strong> ${t('email.deactivation.minimumValue')}
       </p>
     </div>`;
   }
 
   const content = `
-    <h2>🚫 Freelancer Account Deactivated</h2>
-    <p>Hi <strong>${user.fullName}</strong>,</p>
+    <h2>🚫 ${t('email.deactivation.heading')}</h2>
+    <p>${t('email.common.greeting', { name: `<strong>${user.fullName}</strong>` })}</p>
 
-    <p>We're writing to inform you that your WebSphere freelancer account has been deactivated by our administration team.</p>
+    <p>${t('email.deactivation.intro')}</p>
 
     <div style="background-color: #fef2f2; border: 1px solid #fecaca; border-radius: 8px; padding: 16px; margin: 20px 0;">
-      <h3 style="color: #dc2626; margin: 0 0 8px 0;">Account Status: Deactivated</h3>
+      <h3 style="color: #dc2626; margin: 0 0 8px 0;">${t('email.deactivation.status')}</h3>
       <p style="margin: 0; color: #7f1d1d;">
-        <strong>Date:</strong> ${new Date().toLocaleDateString()}<br>
-        <strong>Reason:</strong> ${reason || 'Administrative decision'}
+        <strong>${t('email.deactivation.dateLabel')}</strong> ${formatUserDate(new Date(), user)}<br>
+        <strong>${t('email.deactivation.reasonLabel')}</strong> ${reason || t('email.deactivation.defaultReason')}
       </p>
     </div>
 
     ${ratingContent}
 
-    <p><strong>What this means:</strong></p>
+    <p><strong>${t('email.deactivation.meaningHeading')}</strong></p>
     <ul>
-      <li>You can no longer log into your WebSphere account</li>
-      <li>Your profile is no longer visible to clients</li>
-      <li>You cannot bid on new projects or receive project invitations</li>
-      <li>Any ongoing projects may be affected</li>
+          ${listItems(t('email.deactivation.meaning'))}
     </ul>
 
     ${ratingInfo ? `
-    <p><strong>About our Quality Standards:</strong></p>
-    <p>WebSphere maintains high-quality standards to ensure the best experience for our clients. Freelancers are expected to maintain a minimum rating of 2.5 stars across their completed projects. This helps us provide reliable and professional services to our client base.</p>
+    <p><strong>${t('email.deactivation.standardsHeading')}</strong></p>
+    <p>${t('email.deactivation.standards')}</p>
     ` : ''}
 
-    <p><strong>If you believe this is a mistake:</strong></p>
-    <p>Please contact our support team at <a href="mailto:support@websphere.com" style="color: #667eea;">support@websphere.com</a> with your account details and any relevant information. Include details about your recent projects and client feedback if you believe your rating should be higher.</p>
+    <p><strong>${t('email.deactivation.mistakeHeading')}</strong></p>
+    <p>${t('email.deactivation.mistake', { email: '<a href="mailto:support@websphere.com" style="color: #667eea;">support@websphere.com</a>' })}${ratingInfo ? ` ${t('email.deactivation.mistakeRating')}` : ''}</p>
 
-    <p>We appreciate your understanding and apologize for any inconvenience this may cause.</p>
+    <p>${t('email.deactivation.apology')}</p>
 
-    <p>Best regards,<br>The WebSphere Administration Team</p>
+    <p>${t('email.common.regards')}<br>${t('email.common.administrationTeam')}</p>
   `;
 
-  return getBaseTemplate('Freelancer Account Deactivated - WebSphere', content);
+  return getBaseTemplate(t('email.deactivation.title'), content, language);
 }
 
 /**
@@ -461,50 +450,212 @@ function getDeactivationEmailTemplate(user, reason, ratingInfo = null) {
  * @returns {string} - Plain text email template
  */
 function getDeactivationEmailTextTemplate(user, reason, ratingInfo = null) {
+  const t = translatorFor(languageOf(user));
+
   let ratingContent = '';
   if (ratingInfo) {
     ratingContent = `
-PERFORMANCE REVIEW:
-- Current Rating: ${ratingInfo.currentRating.toFixed(1)}/5.0 stars (${ratingInfo.ratingCount} reviews)
-- Completed Projects: ${ratingInfo.completedProjects}
-- Minimum Required: 2.5/5.0 stars to maintain account
+${t('email.deactivation.reviewHeading').toUpperCase()}:
+- ${t('email.deactivation.currentRating')} ${t('email.deactivation.ratingValue', { rating: ratingInfo.currentRating.toFixed(1), count: ratingInfo.ratingCount })}
+- ${t('email.deactivation.completedProjects')} ${ratingInfo.completedProjects}
+- ${t('email.deactivation.minimumRequired')} ${t('email.deactivation.minimumValue')}
 
-ABOUT OUR QUALITY STANDARDS:
-WebSphere maintains high-quality standards to ensure the best experience for our clients. Freelancers are expected to maintain a minimum rating of 2.5 stars across their completed projects. This helps us provide reliable and professional services to our client base.
+${t('email.deactivation.standardsHeading').toUpperCase()}
+${t('email.deactivation.standards')}
 `;
   }
 
   return `
-🚫 FREELANCER ACCOUNT DEACTIVATED - WEBSPHERE
+🚫 ${t('email.deactivation.title').toUpperCase()}
 
-Hi ${user.fullName},
+${t('email.common.greeting', { name: user.fullName })}
 
-We're writing to inform you that your WebSphere freelancer account has been deactivated by our administration team.
+${t('email.deactivation.intro')}
 
-ACCOUNT STATUS: DEACTIVATED
-Date: ${new Date().toLocaleDateString()}
-Reason: ${reason || 'Administrative decision'}
+${t('email.deactivation.status').toUpperCase()}
+${t('email.deactivation.dateLabel')} ${formatUserDate(new Date(), user)}
+${t('email.deactivation.reasonLabel')} ${reason || t('email.deactivation.defaultReason')}
 ${ratingContent}
-WHAT THIS MEANS:
-- You can no longer log into your WebSphere account
-- Your profile is no longer visible to clients
-- You cannot bid on new projects or receive project invitations
-- Any ongoing projects may be affected
+${t('email.deactivation.meaningHeading').toUpperCase()}
+${textItems(t('email.deactivation.meaning'))}
 
-IF YOU BELIEVE THIS IS A MISTAKE:
-Please contact our support team at support@websphere.com with your account details and any relevant information.${ratingInfo ? ' Include details about your recent projects and client feedback if you believe your rating should be higher.' : ''}
+${t('email.deactivation.mistakeHeading').toUpperCase()}
+${t('email.deactivation.mistake', { email: 'support@websphere.com' })}${ratingInfo ? ` ${t('email.deactivation.mistakeRating')}` : ''}
 
-We appreciate your understanding and apologize for any inconvenience this may cause.
+${t('email.deactivation.apology')}
 
-Best regards,
-The WebSphere Administration Team
+${t('email.common.regards')}
+${t('email.common.administrationTeam')}
 
 ---
-This is an automated message from WebSphere.
-If you have questions, contact us at support@websphere.com
+${t('email.deactivation.automatedText')}
+${t('email.deactivation.questionsText')}
+  `.trim();
+}
+
+/**
+ * Generate new device sign-in alert HTML
+ * @param {Object} user - User object
+ * @param {Object} login - { deviceName, ip, time }
+ * @returns {string} - HTML email content
+ */
+function generateNewDeviceLoginEmailHTML(user, login) {
+  const language = languageOf(user);
+  const t = translatorFor(language);
+
+  const content = `
+    <h2>🔔 ${t('email.newDevice.heading')}</h2>
+    <p>${t('email.common.greeting', { name: `<strong>${user.fullName}</strong>` })}</p>
+
+    <p>${t('email.newDevice.intro')}</p>
+
+    <div class="highlight">
+      <ul>
+        <li><strong>${t('email.newDevice.device')}</strong> ${login.deviceName}</li>
+        <li><strong>${t('email.newDevice.ip')}</strong> ${login.ip || t('email.newDevice.unknownIp')}</li>
+        <li><strong>${t('email.newDevice.time')}</strong> ${formatUserDateTime(login.time, user)}</li>
+      </ul>
+    </div>
+
+    <p>${t('email.newDevice.ifYou')}</p>
+
+    <div class="warning">
+      <p><strong>${t('email.newDevice.notYouLabel')}</strong> ${t('email.newDevice.notYou', { menu: `<em>${t('email.newDevice.menu').replace('&', '&amp;')}</em>` })}</p>
+    </div>
+
+    <p>${t('email.common.regards')}<br>${t('email.common.securityTeam')}</p>
+  `;
+
+  return getBaseTemplate(t('email.newDevice.title'), content, language);
+}
+
+/**
+ * Generate new device sign-in alert text version
+ * @param {Object} user - User object
+ * @param {Object} login - { deviceName, ip, time }
+ * @returns {string} - Plain text email content
+ */
+function generateNewDeviceLoginEmailText(user, login) {
+  const t = translatorFor(languageOf(user));
+
+  return `
+${t('email.newDevice.title')}
+
+${t('email.common.greeting', { name: user.fullName })}
+
+${t('email.newDevice.intro')}
+
+- ${t('email.newDevice.device')} ${login.deviceName}
+- ${t('email.newDevice.ip')} ${login.ip || t('email.newDevice.unknownIp')}
+- ${t('email.newDevice.time')} ${formatUserDateTime(login.time, user)}
+
+${t('email.newDevice.ifYou')}
+
+${t('email.newDevice.notYouLabel')} ${t('email.newDevice.notYou', { menu: `"${t('email.newDevice.menu')}"` })}
+
+${t('email.common.regards')}
+${t('email.common.securityTeam')}
   `.trim();
 }
 
+/**
+ * Text of an escrow email for one recipient: the title, the opening line, the
+ * amount rows and the closing lines, in the recipient's language.
+ * @param {Object} user - Recipient
+ * @param {string} type - paymentReceived, paymentReleased, refundProcessed or disputeResolved
+ * @param {Object} details - { milestone, currency, freelancerName, documentNumber, amounts, refundAmount, split, notes }
+ * @returns {Object} - { language, t, title, intro, rows, closing }
+ */
+function escrowEmailParts(user, type, details) {
+  const language = languageOf(user);
+  const t = translatorFor(language);
+  const money = (amount) => formatUserMoney(amount, details.currency, user);
+  const key = `email.escrow.${type}`;
+
+  let intro;
+  let rows = [];
+  const closing = [];
+
+  if (type === 'disputeResolved') {
+    const { split } = details;
+    intro = t(`${key}.intro`, { milestone: details.milestone });
+    rows = [
+      [t(`${key}.freelancerShare`, { percentage: split.freelancerPercentage }), money(split.freelancerAmount)],
+      [t(`${key}.clientRefund`), money(split.clientRefundAmount)]
+    ];
+    if (details.notes) closing.push(`${t(`${key}.notes`)} ${details.notes}`);
+    if (split.clientRefundAmount > 0) closing.push(t(`${key}.refundPending`));
+  } else if (type === 'refundProcessed') {
+    intro = t(`${key}.intro`, { amount: money(details.refundAmount), milestone: details.milestone });
+  } else {
+    const { amounts } = details;
+    intro = t(`${key}.intro`, {
+      amount: money(amounts.totalAmount),
+      milestone: details.milestone,
+      freelancer: details.freelancerName
+    });
+    rows = [
+      [t('email.escrow.milestoneAmount'), money(amounts.milestoneAmount)],
+      [t('email.escrow.platformFee'), money(amounts.platformFee)],
+      [t('email.escrow.total'), money(amounts.totalAmount)]
+    ];
+    closing.push(t(`${key}.attached`, { number: details.documentNumber }));
+  }
+
+  return { language, t, title: t(`${key}.title`), intro, rows, closing };
+}
+
+/**
+ * Generate escrow payment email HTML (funded, released, refunded, dispute resolved)
+ * @param {Object} user - Recipient
+ * @param {string} type - Email under email.escrow in the catalogs
+ * @param {Object} details - See escrowEmailParts
+ * @returns {string} - HTML email content
+ */
+function generateEscrowEmailHTML(user, type, details) {
+  const { language, t, title, intro, rows, closing } = escrowEmailParts(user, type, details);
+
+  const content = `
+    <h2>${title}</h2>
+    <p>${t('email.common.greeting', { name: `<strong>${user.fullName}</strong>` })}</p>
+
+    <p>${intro}</p>
+    ${rows.length > 0 ? `
+    <div class="highlight">
+      ${rows.map(([label, value]) => `<p><strong>${label}</strong> ${value}</p>`).join('\n      ')}
+    </div>` : ''}
+    ${closing.map(line => `<p>${line}</p>`).join('\n    ')}
+
+    <p>${t('email.common.regards')}<br>${t('email.common.team')}</p>
+  `;
+
+  return getBaseTemplate(title, content, language);
+}
+
+/**
+ * Generate escrow payment email text version
+ * @param {Object} user - Recipient
+ * @param {string} type - Email under email.escrow in the catalogs
+ * @param {Object} details - See escrowEmailParts
+ * @returns {string} - Plain text email content
+ */
+function generateEscrowEmailText(user, type, details) {
+  const { t, title, intro, rows, closing } = escrowEmailParts(user, type, details);
+
+  return `
+${title}
+
+${t('email.common.greeting', { name: user.fullName })}
+
+${intro}
+${rows.length > 0 ? `\n${rows.map(([label, value]) => `- ${label} ${value}`).join('\n')}\n` : ''}
+${closing.join('\n\n')}
+
+${t('email.common.regards')}
+${t('email.common.team')}
+  `.trim().replace(/\n{3,}/g, '\n\n');
+}
+
 module.exports = {
   generateVerificationEmailHTML,
   generateVerificationEmailText,
@@ -513,5 +664,9 @@ module.exports = {
   generatePasswordResetEmailHTML,
   generatePasswordResetEmailText,
   getDeactivationEmailTemplate,
-  getDeactivationEmailTextTemplate
+  getDeactivationEmailTextTemplate,
+  generateNewDeviceLoginEmailHTML,
+  generateNewDeviceLoginEmailText,
+  generateEscrowEmailHTML,
+  generateEscrowEmailText
 };
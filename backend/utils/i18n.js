@@ -0,0 +1,77 @@
+// backend/utils/i18n.js
+// Translated messages for whatever the server writes for people to read:
+// validation errors and emails. Catalogs live in backend/locales, one per
+// language, keyed the same way as the frontend's.
+
+const { getLocalePreferences } = require('./userLocale');
+
+const CATALOGS = {
+  en: require('../locales/en'),
+  hi: require('../locales/hi')
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+const isSupportedLanguage = (language) => Object.prototype.hasOwnProperty.call(CATALOGS, language);
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => node?.[part], catalog);
+
+const interpolate = (message, params) =>
+  message.replace(/\{\{(\w+)\}\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+
+/**
+ * Message `key` (e.g. 'validation.email.required') in `language`, falling back
+ * to English and then to the key itself. `params` fill in {{name}}
+ * placeholders; messages with plural forms are picked by `params.count`.
+ * Lists come back as arrays.
+ */
+const translate = (language, key, params = {}) => {
+  const catalogLanguage = isSupportedLanguage(language) ? language : DEFAULT_LANGUAGE;
+  let message = lookup(CATALOGS[catalogLanguage], key);
+  if (message === undefined) message = lookup(CATALOGS[DEFAULT_LANGUAGE], key);
+  if (message === undefined) return key;
+
+  if (Array.isArray(message)) {
+    return message.map(item => interpolate(item, params));
+  }
+  if (typeof message === 'object' && message.other !== undefined) {
+    const form = new Intl.PluralRules(catalogLanguage).select(Number(params.count) || 0);
+    message = message[form] !== undefined ? message[form] : message.other;
+  }
+  return typeof message === 'string' ? interpolate(message, params) : key;
+};
+
+/**
+ * translate() bound to one language, e.g. const t = translatorFor('hi')
+ */
+const translatorFor = (language) => (key, params) => translate(language, key, params);
+
+/**
+ * Language a user reads in (User.preferences.language, or English)
+ */
+const languageOf = (user) => {
+  const { language } = getLocalePreferences(user);
+  return isSupportedLanguage(language) ? language : DEFAULT_LANGUAGE;
+};
+
+/**
+ * Language for a request from someone who may not have an account yet: an
+ * explicit `language` in the body, else the first supported Accept-Language
+ */
+const requestLanguage = (req) => {
+  if (isSupportedLanguage(req.body?.language)) return req.body.language;
+
+  const accepted = String(req.headers?.['accept-language'] || '')
+    .split(',')
+    .map(part => part.split(';')[0].trim().toLowerCase().split('-')[0]);
+  return accepted.find(isSupportedLanguage) || DEFAULT_LANGUAGE;
+};
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  isSupportedLanguage,
+  translate,
+  translatorFor,
+  languageOf,
+  requestLanguage
+};
@@ -0,0 +1,551 @@
+// backend/utils/socketHandler.js
+const crypto = require('crypto');
+const { socketAuth } = require('../middlewares/auth');
+const { getPresenceStore, getPresenceSettings } = require('../services/realtime');
+
+/* ──────────────────────────────────────────
+   Socket.IO Real-Time Features
+
+   Every connection is authenticated with the same JWT as the REST API
+   (see socketAuth). Events are delivered through rooms instead of
+   broadcasts:
+     user:<userId>           - every open tab of one user
+     chat:<chatId>           - chat participants who joined the chat
+     workspace:<workspaceId> - client and freelancer of a workspace
+
+   Presence and calls live in a shared presence store and events travel
+   through the Socket.IO adapter, so any number of backend nodes can run
+   side by side (see services/realtime).
+────────────────────────────────────────── */
+
+const userRoom = (userId) => `user:${userId}`;
+const chatRoom = (chatId) => `chat:${chatId}`;
+const workspaceRoom = (workspaceId) => `workspace:${workspaceId}`;
+
+let ioInstance = null;
+let presenceStore = null;
+let presenceAccess = null;
+
+/**
+ * Default membership lookups. Each returns the member user ids as strings,
+ * or null when the chat/workspace doesn't exist. getHiddenPresenceUserIds
+ * returns which of the given users hide their online status.
+ */
+const defaultAccessControl = {
+  async getChatParticipants(chatId) {
+    const { Chat } = require('../models/Chat');
+    const chat = await Chat.findById(chatId).select('participants.user').lean();
+    return chat ? chat.participants.map(p => p.user.toString()) : null;
+  },
+
+  async getWorkspaceMembers(workspaceId) {
+    const Workspace = require('../models/Workspace');
+    const workspace = await Workspace.findById(workspaceId).select('client freelancer').lean();
+    return workspace ? [workspace.client.toString(), workspace.freelancer.toString()] : null;
+  },
+
+  async getHiddenPresenceUserIds(userIds) {
+    const mongoose = require('mongoose');
+    const User = require('../models/User');
+    const PrivacyService = require('../services/privacyService');
+    const ids = userIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+    if (ids.length === 0) return [];
+
+    const users = await User.find({ _id: { $in: ids }, ...PrivacyService.hiddenPresenceFilter() }).select('_id').lean();
+    return users.map(user => user._id.toString());
+  }
+};
+
+const recordLastSeenOnUser = async (userId, lastSeen) => {
+  const User = require('../models/User');
+  await User.updateOne({ _id: userId }, { lastSeen });
+};
+
+// Users who turned off showOnlineStatus are left out of presence for everyone
+const hiddenPresence = async (userIds) => {
+  const access = presenceAccess || defaultAccessControl;
+  if (!access.getHiddenPresenceUserIds) return new Set();
+  try {
+    return new Set((await access.getHiddenPresenceUserIds(userIds.map(String))).map(String));
+  } catch (error) {
+    console.error('❌ Error checking online status privacy:', error.message);
+    return new Set();
+  }
+};
+
+const showsPresence = async (userId) => !(await hiddenPresence([userId])).has(String(userId));
+
+// Online users as others may see them
+const getOnlineUserIds = async () => {
+  const userIds = await (presenceStore || getPresenceStore()).getOnlineUserIds();
+  const hidden = await hiddenPresence(userIds);
+  return userIds.filter(id => !hidden.has(String(id)));
+};
+
+const isUserOnline = (userId) => (presenceStore || getPresenceStore()).isOnline(String(userId));
+
+const getIO = () => {
+  if (!ioInstance) {
+    throw new Error('Socket.IO has not been initialized');
+  }
+  return ioInstance;
+};
+
+// Ack callbacks are optional on the client side
+const reply = (ack, payload) => {
+  if (typeof ack === 'function') ack(payload);
+};
+
+// Store lookups can fail (e.g. database down); log instead of crashing the process on a rejected handler
+const safely = (event, handler) => async (...args) => {
+  try {
+    await handler(...args);
+  } catch (error) {
+    console.error(`❌ Error handling ${event}:`, error.message);
+  }
+};
+
+const isValidId = (id) => (typeof id === 'string' || typeof id === 'number') && String(id).length > 0;
+
+/**
+ * Wire authentication, rooms, presence and call signaling onto a Socket.IO server.
+ * `adapter` may be a promise (see createSocketAdapter); handshakes wait until it is installed
+ * so no socket joins rooms on the wrong adapter.
+ */
+const initSocket = (io, {
+  accessControl = defaultAccessControl,
+  store = getPresenceStore(),
+  adapter = null,
+  recordLastSeen = recordLastSeenOnUser,
+  settings = getPresenceSettings()
+} = {}) => {
+  ioInstance = io;
+  presenceStore = store;
+  presenceAccess = accessControl;
+
+  const adapterReady = Promise.resolve(adapter)
+    .then((created) => {
+      if (created) io.adapter(created);
+    })
+    .catch((error) => {
+      console.error('❌ Socket.IO adapter unavailable, events stay on this node:', error.message);
+    });
+
+  io.use((socket, next) => {
+    adapterReady.then(() => next());
+  });
+  io.use(socketAuth);
+
+  // Sockets connected to this node: socketId -> userId
+  const localConnections = new Map();
+  // Users whose last tab dropped, waiting out the grace period: userId -> timeout
+  const offlineTimers = new Map();
+
+  // Membership lookups are cached per socket; a socket's access doesn't change while it's connected
+  const membersFor = async (socket, kind, id) => {
+    const cache = socket.data[kind];
+    const key = String(id);
+    if (!cache.has(key)) {
+      const members = kind === 'chats'
+        ? await accessControl.getChatParticipants(key)
+        : await accessControl.getWorkspaceMembers(key);
+      cache.set(key, members ? members.map(String) : null);
+    }
+    return cache.get(key);
+  };
+
+  // Both users must belong to the workspace the call or signal is for
+  const sharesWorkspace = async (socket, workspaceId, otherUserId) => {
+    if (!isValidId(workspaceId) || !isValidId(otherUserId)) return false;
+    try {
+      const members = await membersFor(socket, 'workspaces', workspaceId);
+      return !!members &&
+        members.includes(socket.data.user.userId) &&
+        members.includes(String(otherUserId)) &&
+        String(otherUserId) !== socket.data.user.userId;
+    } catch (error) {
+      console.error('❌ Error checking workspace membership:', error.message);
+      return false;
+    }
+  };
+
+  const broadcastOnlineUsers = async () => {
+    io.emit('online-users', await getOnlineUserIds());
+  };
+
+  const markOffline = async (userId) => {
+    const lastSeen = new Date();
+    console.log(`❌ User ${userId} is now offline`);
+
+    try {
+      await recordLastSeen(userId, lastSeen);
+    } catch (error) {
+      console.error('❌ Error saving last seen:', error.message);
+    }
+
+    // End calls involving this user once they have no connection left anywhere
+    for (const call of await store.getCallsForUser(userId)) {
+      const otherUserId = call.caller === userId ? call.callee : call.caller;
+      console.log(`📹 User ${userId} disconnected during call ${call.callId}, notifying user ${otherUserId}`);
+      io.to(userRoom(otherUserId)).emit('call-ended', {
+        callId: call.callId,
+        endedBy: 'disconnect',
+        workspaceId: call.workspaceId,
+        reason: 'other_participant_disconnected'
+      });
+      await store.removeCall(call.callId);
+    }
+
+    await broadcastOnlineUsers();
+    if (!(await showsPresence(userId))) return;
+    io.emit('user-status-change', {
+      userId,
+      status: 'offline',
+      lastSeen,
+      timestamp: lastSeen
+    });
+  };
+
+  // Keep this node's connections alive in the shared store and clear out nodes that stopped beating
+  const beat = async () => {
+    try {
+      await store.heartbeat(Array.from(localConnections, ([socketId, userId]) => ({ userId, socketId })));
+      const offline = await store.sweep(new Date(Date.now() - settings.ttlSeconds * 1000));
+      for (const userId of offline) {
+        await markOffline(userId);
+      }
+    } catch (error) {
+      console.error('❌ Presence heartbeat failed:', error.message);
+    }
+  };
+  const heartbeatTimer = setInterval(beat, settings.heartbeatSeconds * 1000);
+  heartbeatTimer.unref();
+
+  const handleConnect = async (socket, userId) => {
+    clearTimeout(offlineTimers.get(userId));
+    offlineTimers.delete(userId);
+
+    const { cameOnline } = await store.addConnection(userId, socket.id);
+    if (cameOnline) {
+      console.log(`✅ User ${userId} is now online`);
+      await broadcastOnlineUsers();
+      if (!(await showsPresence(userId))) return;
+      socket.broadcast.emit('user-status-change', {
+        userId,
+        status: 'online',
+        timestamp: new Date()
+      });
+    } else {
+      // Send current online users to the new tab only
+      socket.emit('online-users', await getOnlineUserIds());
+    }
+  };
+
+  const handleDisconnect = async (userId, socketId) => {
+    const { remaining } = await store.removeConnection(userId, socketId);
+    if (remaining > 0) return;
+
+    // A reload or network blip reconnects within the grace period, possibly to another node
+    clearTimeout(offlineTimers.get(userId));
+    offlineTimers.set(userId, setTimeout(async () => {
+      offlineTimers.delete(userId);
+      try {
+        if (!(await store.isOnline(userId))) {
+          await markOffline(userId);
+        }
+      } catch (error) {
+        console.error('❌ Error updating presence:', error.message);
+      }
+    }, settings.graceSeconds * 1000));
+  };
+
+  io.on('connection', (socket) => {
+    const { userId } = socket.data.user;
+    socket.data.chats = new Map();
+    socket.data.workspaces = new Map();
+    socket.data.typing = new Set();
+
+    console.log(`👤 User ${userId} connected (Socket: ${socket.id})`);
+    socket.join(userRoom(userId));
+    localConnections.set(socket.id, userId);
+
+    handleConnect(socket, userId).catch((error) => {
+      console.error('❌ Error updating presence:', error.message);
+    });
+
+    // Handle chat room joining
+    socket.on('join-chat', async (chatId, ack) => {
+      try {
+        const participants = isValidId(chatId) ? await membersFor(socket, 'chats', chatId) : null;
+        if (!participants || !participants.includes(userId)) {
+          console.log(`🚫 User ${userId} refused from chat room: ${chatId}`);
+          return reply(ack, { success: false, message: 'Access denied to this chat' });
+        }
+
+        socket.join(chatRoom(chatId));
+        console.log(`👥 User ${userId} joined chat room: ${chatId}`);
+        reply(ack, { success: true });
+      } catch (error) {
+        console.error('❌ Error joining chat room:', error.message);
+        reply(ack, { success: false, message: 'Could not join chat' });
+      }
+    });
+
+    // Handle chat room leaving
+    socket.on('leave-chat', (chatId) => {
+      socket.leave(chatRoom(chatId));
+      console.log(`🚪 User ${userId} left chat room: ${chatId}`);
+    });
+
+    // Handle workspace room joining (deliverables, project updates)
+    socket.on('join-workspace', async (workspaceId, ack) => {
+      try {
+        const members = isValidId(workspaceId) ? await membersFor(socket, 'workspaces', workspaceId) : null;
+        if (!members || !members.includes(userId)) {
+          console.log(`🚫 User ${userId} refused from workspace room: ${workspaceId}`);
+          return reply(ack, { success: false, message: 'Access denied to this workspace' });
+        }
+
+        socket.join(workspaceRoom(workspaceId));
+        console.log(`👥 User ${userId} joined workspace room: ${workspaceId}`);
+        reply(ack, { success: true });
+      } catch (error) {
+        console.error('❌ Error joining workspace room:', error.message);
+        reply(ack, { success: false, message: 'Could not join workspace' });
+      }
+    });
+
+    socket.on('leave-workspace', (workspaceId) => {
+      socket.leave(workspaceRoom(workspaceId));
+      console.log(`🚪 User ${userId} left workspace room: ${workspaceId}`);
+    });
+
+    // Handle typing indicators - only for chats this socket has joined
+    const setTyping = (data, isTyping) => {
+      const chatId = data?.chatId;
+      if (!isValidId(chatId) || !socket.rooms.has(chatRoom(chatId))) return;
+
+      if (isTyping) {
+        socket.data.typing.add(String(chatId));
+      } else {
+        socket.data.typing.delete(String(chatId));
+      }
+
+      socket.to(chatRoom(chatId)).emit('user-typing', { userId, chatId, isTyping });
+    };
+
+    socket.on('typing-start', (data) => setTyping(data, true));
+    socket.on('typing-stop', (data) => setTyping(data, false));
+
+    // Handle new messages - relayed to the chat room, with a notification for the other participants
+    socket.on('new-message', (messageData) => {
+      const chatId = messageData?.chatId;
+      if (!isValidId(chatId) || !socket.rooms.has(chatRoom(chatId))) {
+        console.log(`🚫 User ${userId} sent a message to a chat they haven't joined: ${chatId}`);
+        return;
+      }
+
+      console.log('📨 New message for chat:', chatId);
+      socket.to(chatRoom(chatId)).emit('message-received', {
+        ...messageData,
+        senderId: userId
+      });
+
+      const participants = socket.data.chats.get(String(chatId)) || [];
+      participants
+        .filter(participantId => participantId !== userId)
+        .forEach(participantId => {
+          io.to(userRoom(participantId)).emit('notification', {
+            type: 'message',
+            title: 'New Message',
+            body: `New message from ${messageData.senderName || 'your chat'}`,
+            chatId,
+            timestamp: new Date()
+          });
+        });
+    });
+
+    // Handle project updates - only sent to the workspace the update belongs to
+    socket.on('project-update', (projectData) => {
+      const workspaceId = projectData?.workspaceId;
+      if (!isValidId(workspaceId) || !socket.rooms.has(workspaceRoom(workspaceId))) {
+        console.log(`🚫 User ${userId} sent a project update outside their workspace`);
+        return;
+      }
+
+      console.log('📋 Project update:', projectData.projectId);
+      socket.to(workspaceRoom(workspaceId)).emit('project-status-change', {
+        projectId: projectData.projectId,
+        workspaceId,
+        status: projectData.status,
+        updatedBy: userId,
+        timestamp: new Date()
+      });
+    });
+
+    // Handle video call requests
+    socket.on('video-call-request', safely('video-call-request', async (callData) => {
+      const targetUserId = String(callData?.toUser?._id || callData?.toUser?.id || '');
+      console.log(`📹 Video call request from ${userId} to ${targetUserId}`);
+
+      if (targetUserId === userId) {
+        console.log('🚫 Blocked self-call attempt - same user ID');
+        socket.emit('call-error', { error: 'Cannot call yourself' });
+        return;
+      }
+
+      if (!(await sharesWorkspace(socket, callData?.workspaceId, targetUserId))) {
+        console.log('🚫 Blocked call outside a shared workspace');
+        socket.emit('call-error', { error: 'You can only call members of this workspace' });
+        return;
+      }
+
+      if (!(await store.isOnline(targetUserId))) {
+        console.log('📹 Target user not found online');
+        socket.emit('call-request-failed', {
+          toUser: callData.toUser,
+          reason: 'User is offline'
+        });
+        return;
+      }
+
+      // Unguessable, since knowing a callId is part of being able to end the call
+      const callId = `call_${crypto.randomUUID()}`;
+      await store.saveCall({
+        callId,
+        caller: userId,
+        callee: targetUserId,
+        workspaceId: String(callData.workspaceId),
+        status: 'pending'
+      });
+
+      // Every tab of the callee rings; the first one to answer takes the call
+      io.to(userRoom(targetUserId)).emit('incoming-video-call', {
+        callId,
+        fromUser: { ...callData.fromUser, _id: userId },
+        workspaceId: callData.workspaceId,
+        projectTitle: callData.projectTitle,
+        timestamp: new Date()
+      });
+
+      socket.emit('call-request-sent', {
+        toUser: callData.toUser,
+        status: 'sent'
+      });
+      console.log('📹 Call request sent successfully');
+    }));
+
+    // Handle video call responses - only the callee of a pending call can answer it
+    socket.on('video-call-response', safely('video-call-response', async (responseData) => {
+      const call = responseData?.callId ? await store.getCall(responseData.callId) : null;
+      if (!call || call.callee !== userId || call.status !== 'pending') {
+        console.log('🚫 Ignoring response to unknown call:', responseData?.callId);
+        return;
+      }
+
+      if (responseData.accepted) {
+        await store.saveCall({
+          callId: call.callId,
+          caller: call.caller,
+          callee: call.callee,
+          workspaceId: call.workspaceId,
+          status: 'active',
+          startTime: new Date()
+        });
+        console.log('📹 Active call tracked:', responseData.callId);
+      } else {
+        await store.removeCall(responseData.callId);
+      }
+
+      io.to(userRoom(call.caller)).emit('call-response-received', {
+        callId: responseData.callId,
+        accepted: !!responseData.accepted,
+        responder: responseData.responder
+      });
+
+      // Stop the other tabs of the callee from ringing
+      socket.to(userRoom(userId)).emit('call-ended', {
+        callId: responseData.callId,
+        endedBy: 'answered elsewhere',
+        workspaceId: call.workspaceId
+      });
+    }));
+
+    // Handle WebRTC signaling - forwarded to the other workspace member only
+    ['webrtc-offer', 'webrtc-answer', 'webrtc-ice-candidate'].forEach((event) => {
+      socket.on(event, async (data) => {
+        if (!(await sharesWorkspace(socket, data?.workspaceId, data?.toUserId))) {
+          console.log(`🚫 Dropped ${event} outside a shared workspace`);
+          return;
+        }
+
+        io.to(userRoom(data.toUserId)).emit(event, {
+          ...data,
+          fromUserId: userId
+        });
+      });
+    });
+
+    socket.on('video-call-ended', safely('video-call-ended', async (data) => {
+      console.log('📹 Video call ended:', data?.callId, 'Target user:', data?.targetUserId);
+
+      // Only the caller or callee may end a tracked call
+      const call = data?.callId ? await store.getCall(data.callId) : null;
+      if (call && call.caller !== userId && call.callee !== userId) {
+        console.log('🚫 Dropped call end from a user outside the call:', data.callId);
+        return;
+      }
+
+      const targetUserId = call
+        ? (call.caller === userId ? call.callee : call.caller)
+        : data?.targetUserId;
+      const workspaceId = call ? call.workspaceId : data?.workspaceId;
+
+      if (!(await sharesWorkspace(socket, workspaceId, targetUserId))) {
+        console.log('🚫 Dropped call end outside a shared workspace');
+        return;
+      }
+
+      if (call) {
+        await store.removeCall(call.callId);
+      }
+
+      io.to(userRoom(targetUserId)).emit('call-ended', {
+        callId: data.callId,
+        endedBy: data.endedBy,
+        workspaceId
+      });
+    }));
+
+    // Handle disconnect
+    socket.on('disconnect', () => {
+      console.log(`👤 User ${userId} disconnected (Socket: ${socket.id})`);
+      localConnections.delete(socket.id);
+
+      // Clear typing indicators this tab left behind
+      socket.data.typing.forEach((chatId) => {
+        io.to(chatRoom(chatId)).emit('user-typing', {
+          userId,
+          chatId,
+          isTyping: false
+        });
+      });
+
+      handleDisconnect(userId, socket.id).catch((error) => {
+        console.error('❌ Error updating presence:', error.message);
+      });
+    });
+  });
+
+  return io;
+};
+
+module.exports = {
+  initSocket,
+  getIO,
+  getOnlineUserIds,
+  isUserOnline,
+  userRoom,
+  chatRoom,
+  workspaceRoom
+};
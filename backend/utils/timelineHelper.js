@@ -1,4 +1,5 @@
 const TimelineEvent = require('../models/TimelineEvent');
+const { formatMoney } = require('./currency');
 
 /**
  * Create a timeline event
@@ -58,7 +59,7 @@ async function createMilestoneEvent(milestone, eventType, actor = null, addition
     'created': {
       type: 'milestone.created',
       title: `Milestone "${milestone.title}" created`,
-      description: `Amount: ₹${milestone.amount.toLocaleString()} | Due: ${new Date(milestone.dueDate).toLocaleDateString()}`
+      description: `Amount: ${formatMoney(milestone.amount, milestone.currency)} | Due: ${new Date(milestone.dueDate).toLocaleDateString()}`
     },
     'approved': {
       type: 'milestone.approved',
@@ -163,12 +164,12 @@ async function createPaymentEvent(escrow, eventType, actor = null, additionalDat
     'funded': {
       type: 'escrow.funded',
       title: 'Payment held in escrow',
-      description: `₹${escrow.totalAmount.toLocaleString()} secured for milestone`
+      description: `${formatMoney(escrow.totalAmount, escrow.currency)} secured for milestone`
     },
     'released': {
       type: 'payment.completed',
       title: 'Payment released to freelancer',
-      description: `₹${escrow.amountToFreelancer.toLocaleString()} transferred successfully`
+      description: `${formatMoney(escrow.amountToFreelancer, escrow.currency)} transferred successfully`
     },
     'failed': {
       type: 'payment.failed',
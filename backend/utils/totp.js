@@ -0,0 +1,154 @@
+// backend/utils/totp.js
+// Time-based one-time passwords (RFC 6238) and the helpers around them:
+// base32 secrets, otpauth:// URIs for authenticator apps, recovery codes,
+// and encryption of secrets at rest. Uses only Node's crypto module.
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+// 20 random bytes = the 160-bit secret RFC 4226 recommends for SHA-1
+const SECRET_BYTES = 20;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  // Apps show secrets in groups, lower case or padded; accept all of those
+  const cleaned = String(input).toUpperCase().replace(/[\s-]/g, '').replace(/=+$/, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+const timeStep = (time = Date.now()) => Math.floor(time / 1000 / PERIOD_SECONDS);
+
+// HOTP (RFC 4226) for one counter value
+const codeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const generateCode = (secret, time = Date.now()) => codeForStep(secret, timeStep(time));
+
+/**
+ * Check a code against the current step and `window` steps either side,
+ * to allow for clock drift. Returns the matching step (so callers can refuse
+ * to accept the same code twice) or null.
+ */
+const verifyCode = (secret, code, { time = Date.now(), window = 1 } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const current = timeStep(time);
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = codeForStep(secret, current + offset);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return current + offset;
+    }
+  }
+  return null;
+};
+
+// Key URI format understood by Google Authenticator, Authy, 1Password, etc.
+const buildOtpauthUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Recovery codes look like "k7m2-x9qp"; no 0/o/1/l so they can be read back over the phone
+const RECOVERY_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+const generateRecoveryCode = () => {
+  const bytes = crypto.randomBytes(8);
+  const chars = Array.from(bytes, byte => RECOVERY_ALPHABET[byte % RECOVERY_ALPHABET.length]).join('');
+  return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(normalizeRecoveryCode(code))
+  .digest('hex');
+
+const generateRecoveryCodes = (count = 10) => Array.from({ length: count }, generateRecoveryCode);
+
+// Secrets are stored encrypted (AES-256-GCM) so a database dump alone can't generate codes
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your_jwt_secret_key')
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = String(stored).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  encryptSecret,
+  decryptSecret
+};
@@ -0,0 +1,71 @@
+// backend/utils/userAgent.js
+// Small user-agent parser for naming devices in login history and session lists.
+// Only tells apart the browsers and systems people actually sign in from; anything
+// else is reported as "Unknown".
+
+// Order matters: Edge and Opera also claim to be Chrome, and Chrome claims to be Safari
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+  { name: 'Opera', pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\/([\d.]+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: 'Safari', pattern: /Version\/([\d.]+).*Safari/ }
+];
+
+const SYSTEMS = [
+  { name: 'iOS', pattern: /(?:iPhone|iPad|iPod).*OS ([\d_]+)/ },
+  { name: 'Android', pattern: /Android ([\d.]+)/ },
+  { name: 'Windows', pattern: /Windows NT ([\d.]+)/ },
+  { name: 'macOS', pattern: /Mac OS X ([\d_.]+)/ },
+  { name: 'ChromeOS', pattern: /CrOS/ },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+const detect = (list, userAgent) => {
+  for (const { name, pattern } of list) {
+    const match = userAgent.match(pattern);
+    if (match) {
+      return { name, version: match[1] ? match[1].replace(/_/g, '.').split('.')[0] : null };
+    }
+  }
+  return { name: 'Unknown', version: null };
+};
+
+const deviceTypeFor = (userAgent) => {
+  if (/iPad|Tablet/.test(userAgent) || (/Android/.test(userAgent) && !/Mobile/.test(userAgent))) {
+    return 'tablet';
+  }
+  if (/Mobi|iPhone|iPod|Android/.test(userAgent)) {
+    return 'mobile';
+  }
+  return 'desktop';
+};
+
+/**
+ * parseUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) ... Chrome/126.0 ...')
+ *   → { browser: 'Chrome', browserVersion: '126', os: 'Windows', deviceType: 'desktop', deviceName: 'Chrome on Windows' }
+ */
+const parseUserAgent = (userAgent = '') => {
+  const ua = String(userAgent || '');
+  const browser = detect(BROWSERS, ua);
+  const os = detect(SYSTEMS, ua);
+  const known = [browser.name, os.name].filter(name => name !== 'Unknown');
+
+  let deviceName = 'Unknown device';
+  if (known.length === 2) {
+    deviceName = `${browser.name} on ${os.name}`;
+  } else if (known.length === 1) {
+    deviceName = known[0];
+  }
+
+  return {
+    browser: browser.name,
+    browserVersion: browser.version,
+    os: os.name,
+    deviceType: deviceTypeFor(ua),
+    deviceName
+  };
+};
+
+module.exports = { parseUserAgent };
@@ -0,0 +1,143 @@
+// backend/utils/userLocale.js
+// Dates, times and amounts as a user wants to read them, from User.preferences
+// (timezone, language, dateFormat). Used for anything rendered on the server
+// for one recipient: emails, push payloads, notifications and assistant answers.
+
+const { formatMoney } = require('./currency');
+
+const DEFAULT_LOCALE_PREFERENCES = {
+  language: 'en',
+  timezone: 'UTC',
+  dateFormat: 'MM/DD/YYYY',
+  currency: 'USD'
+};
+
+const DATE_FORMATS = ['MM/DD/YYYY', 'DD/MM/YYYY', 'YYYY-MM-DD'];
+
+// Regional locale for each language, so digit grouping matches what the app showed before
+const LOCALES = {
+  en: 'en-IN',
+  hi: 'hi-IN'
+};
+
+// Languages the app can be shown in
+const SUPPORTED_LANGUAGES = Object.keys(LOCALES);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Locale preferences of a user (anything with a `preferences` field, including
+ * lean documents), with defaults for anything missing or invalid
+ */
+const getLocalePreferences = (user) => {
+  const saved = user?.preferences || {};
+  return {
+    language: saved.language || DEFAULT_LOCALE_PREFERENCES.language,
+    timezone: isValidTimezone(saved.timezone) ? saved.timezone : DEFAULT_LOCALE_PREFERENCES.timezone,
+    dateFormat: DATE_FORMATS.includes(saved.dateFormat) ? saved.dateFormat : DEFAULT_LOCALE_PREFERENCES.dateFormat,
+    currency: saved.currency || DEFAULT_LOCALE_PREFERENCES.currency
+  };
+};
+
+const localeFor = (language) => {
+  if (LOCALES[language]) return LOCALES[language];
+  return Intl.DateTimeFormat.supportedLocalesOf([language]).length > 0 ? language : LOCALES.en;
+};
+
+// Year, month, day, hour and minute of `date` on the wall clock in `timezone`
+const localParts = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(date));
+  return Object.fromEntries(parts.map(({ type, value }) => [type, value]));
+};
+
+/**
+ * A date in the user's timezone and date format, e.g. 25/03/2026
+ */
+const formatUserDate = (date, user) => {
+  if (!date) return '';
+  const { timezone, dateFormat } = getLocalePreferences(user);
+  const { year, month, day } = localParts(date, timezone);
+  return dateFormat
+    .replace('YYYY', year)
+    .replace('MM', month)
+    .replace('DD', day);
+};
+
+/**
+ * A date and time in the user's timezone, e.g. 25/03/2026, 6:30 pm IST
+ */
+const formatUserDateTime = (date, user) => {
+  if (!date) return '';
+  const { timezone, language } = getLocalePreferences(user);
+  const time = new Date(date).toLocaleTimeString(localeFor(language), {
+    timeZone: timezone,
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  });
+  return `${formatUserDate(date, user)}, ${time}`;
+};
+
+/**
+ * An amount in its own currency, grouped the way the user's language writes numbers.
+ * Amounts are never converted; the user's preferred currency is only the fallback.
+ */
+const formatUserMoney = (amount, currency, user) => {
+  const preferences = getLocalePreferences(user);
+  return formatMoney(amount, currency || preferences.currency, localeFor(preferences.language));
+};
+
+// Calendar day of `date` in `timezone`, as days since the epoch
+const localDayNumber = (date, timezone) => {
+  const { year, month, day } = localParts(date, timezone);
+  return Date.UTC(Number(year), Number(month) - 1, Number(day)) / DAY_MS;
+};
+
+/**
+ * Whole calendar days from today to `date` in the user's timezone: 0 is due
+ * today, 1 is tomorrow, -2 was the day before yesterday
+ */
+const calendarDaysUntil = (date, user, now = new Date()) => {
+  const { timezone } = getLocalePreferences(user);
+  return localDayNumber(date, timezone) - localDayNumber(now, timezone);
+};
+
+/**
+ * Hour of the day (0-23) it is for the user right now
+ */
+const localHour = (user, now = new Date()) => {
+  const { timezone } = getLocalePreferences(user);
+  return Number(localParts(now, timezone).hour);
+};
+
+module.exports = {
+  DEFAULT_LOCALE_PREFERENCES,
+  DATE_FORMATS,
+  SUPPORTED_LANGUAGES,
+  isValidTimezone,
+  getLocalePreferences,
+  localeFor,
+  formatUserDate,
+  formatUserDateTime,
+  formatUserMoney,
+  calendarDaysUntil,
+  localHour
+};
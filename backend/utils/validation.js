@@ -1,4 +1,5 @@
 // backend/utils/validation.js
+const { DEFAULT_LANGUAGE, translatorFor } = require('./i18n');
 
 /**
  * Validation utilities for user registration and profile data
@@ -7,13 +8,15 @@
 /**
  * Validate full name format
  * @param {string} fullName - The full name to validate
+ * @param {string} [language] - Language for the message ('en', 'hi')
  * @returns {Object} - Validation result with isValid and message
  */
-function validateFullName(fullName) {
+function validateFullName(fullName, language = DEFAULT_LANGUAGE) {
+  const t = translatorFor(language);
   if (!fullName || typeof fullName !== 'string') {
     return {
       isValid: false,
-      message: 'Full name is required'
+      message: t('validation.fullName.required')
     };
   }
 
@@ -23,7 +26,7 @@ function validateFullName(fullName) {
   if (trimmedName.length < 2) {
     return {
       isValid: false,
-      message: 'Full name must be at least 2 characters long'
+      message: t('validation.fullName.tooShort')
     };
   }
 
@@ -31,7 +34,7 @@ function validateFullName(fullName) {
   if (trimmedName.length > 100) {
     return {
       isValid: false,
-      message: 'Full name cannot exceed 100 characters'
+      message: t('validation.fullName.tooLong')
     };
   }
 
@@ -42,7 +45,7 @@ function validateFullName(fullName) {
   if (nameParts.length < 2) {
     return {
       isValid: false,
-      message: 'Please enter your full name (first and last name)'
+      message: t('validation.fullName.firstAndLast')
     };
   }
 
@@ -54,7 +57,7 @@ function validateFullName(fullName) {
     if (part.length < 1) {
       return {
         isValid: false,
-        message: 'Invalid name format'
+        message: t('validation.fullName.invalidFormat')
       };
     }
 
@@ -62,7 +65,7 @@ function validateFullName(fullName) {
     if (!/^[A-Z]/.test(part)) {
       return {
         isValid: false,
-        message: 'Each part of your name must start with an uppercase letter (e.g., "John Smith")'
+        message: t('validation.fullName.capitalized')
       };
     }
 
@@ -70,27 +73,29 @@ function validateFullName(fullName) {
     if (!/^[A-Za-z'-]+$/.test(part)) {
       return {
         isValid: false,
-        message: 'Name can only contain letters, hyphens, and apostrophes'
+        message: t('validation.fullName.invalidCharacters')
       };
     }
   }
 
   return {
     isValid: true,
-    message: 'Valid full name'
+    message: t('validation.fullName.valid')
   };
 }
 
 /**
  * Validate email format
  * @param {string} email - The email to validate
+ * @param {string} [language] - Language for the message ('en', 'hi')
  * @returns {Object} - Validation result with isValid and message
  */
-function validateEmail(email) {
+function validateEmail(email, language = DEFAULT_LANGUAGE) {
+  const t = translatorFor(language);
   if (!email || typeof email !== 'string') {
     return {
       isValid: false,
-      message: 'Email is required'
+      message: t('validation.email.required')
     };
   }
 
@@ -102,7 +107,7 @@ function validateEmail(email) {
   if (!emailRegex.test(trimmedEmail)) {
     return {
       isValid: false,
-      message: 'Please enter a valid email address'
+      message: t('validation.email.invalid')
     };
   }
 
@@ -110,26 +115,28 @@ function validateEmail(email) {
   if (trimmedEmail.length > 254) {
     return {
       isValid: false,
-      message: 'Email address is too long'
+      message: t('validation.email.tooLong')
     };
   }
 
   return {
     isValid: true,
-    message: 'Valid email'
+    message: t('validation.email.valid')
   };
 }
 
 /**
  * Validate password strength
  * @param {string} password - The password to validate
+ * @param {string} [language] - Language for the message ('en', 'hi')
  * @returns {Object} - Validation result with isValid and message
  */
-function validatePassword(password) {
+function validatePassword(password, language = DEFAULT_LANGUAGE) {
+  const t = translatorFor(language);
   if (!password || typeof password !== 'string') {
     return {
       isValid: false,
-      message: 'Password is required'
+      message: t('validation.password.required')
     };
   }
 
@@ -137,7 +144,7 @@ function validatePassword(password) {
   if (password.length < 8) {
     return {
       isValid: false,
-      message: 'Password must be at least 8 characters long'
+      message: t('validation.password.tooShort')
     };
   }
 
@@ -145,7 +152,7 @@ function validatePassword(password) {
   if (password.length > 128) {
     return {
       isValid: false,
-      message: 'Password cannot exceed 128 characters'
+      message: t('validation.password.tooLong')
     };
   }
 
@@ -153,7 +160,7 @@ function validatePassword(password) {
   if (!/[A-Z]/.test(password)) {
     return {
       isValid: false,
-      message: 'Password must contain at least one uppercase letter'
+      message: t('validation.password.uppercase')
     };
   }
 
@@ -161,7 +168,7 @@ function validatePassword(password) {
   if (!/[a-z]/.test(password)) {
     return {
       isValid: false,
-      message: 'Password must contain at least one lowercase letter'
+      message: t('validation.password.lowercase')
     };
   }
 
@@ -169,54 +176,58 @@ function validatePassword(password) {
   if (!/\d/.test(password)) {
     return {
       isValid: false,
-      message: 'Password must contain at least one number'
+      message: t('validation.password.number')
     };
   }
 
   return {
     isValid: true,
-    message: 'Strong password'
+    message: t('validation.password.valid')
   };
 }
 
 /**
  * Validate user role
  * @param {string} role - The role to validate
+ * @param {string} [language] - Language for the message ('en', 'hi')
  * @returns {Object} - Validation result with isValid and message
  */
-function validateRole(role) {
+function validateRole(role, language = DEFAULT_LANGUAGE) {
+  const t = translatorFor(language);
   const validRoles = ['client', 'freelancer'];
   
   if (!role || typeof role !== 'string') {
     return {
       isValid: false,
-      message: 'Role is required'
+      message: t('validation.role.required')
     };
   }
 
   if (!validRoles.includes(role.toLowerCase())) {
     return {
       isValid: false,
-      message: 'Invalid role. Must be either "client" or "freelancer"'
+      message: t('validation.role.invalid')
     };
   }
 
   return {
     isValid: true,
-    message: 'Valid role'
+    message: t('validation.role.valid')
   };
 }
 
 /**
  * Validate freelancer bio
  * @param {string} bio - The bio to validate
+ * @param {string} [language] - Language for the message ('en', 'hi')
  * @returns {Object} - Validation result with isValid and message
  */
-function validateBio(bio) {
+function validateBio(bio, language = DEFAULT_LANGUAGE) {
+  const t = translatorFor(language);
   if (!bio || typeof bio !== 'string') {
     return {
       isValid: false,
-      message: 'Bio is required'
+      message: t('validation.bio.required')
     };
   }
 
@@ -226,7 +237,7 @@ function validateBio(bio) {
   if (trimmedBio.length < 50) {
     return {
       isValid: false,
-      message: 'Bio must be at least 50 characters long'
+      message: t('validation.bio.tooShort')
     };
   }
 
@@ -234,51 +245,53 @@ function validateBio(bio) {
   if (trimmedBio.length > 2000) {
     return {
       isValid: false,
-      message: 'Bio cannot exceed 2000 characters'
+      message: t('validation.bio.tooLong')
     };
   }
 
   return {
     isValid: true,
-    message: 'Valid bio'
+    message: t('validation.bio.valid')
   };
 }
 
 /**
  * Validate complete registration data
  * @param {Object} data - Registration data
+ * @param {string} [language] - Language for the messages ('en', 'hi')
  * @returns {Object} - Validation result with isValid, errors array, and message
  */
-function validateRegistrationData(data) {
+function validateRegistrationData(data, language = DEFAULT_LANGUAGE) {
+  const t = translatorFor(language);
   const errors = [];
   
   // Validate full name
-  const nameValidation = validateFullName(data.fullName);
+  const nameValidation = validateFullName(data.fullName, language);
   if (!nameValidation.isValid) {
     errors.push({ field: 'fullName', message: nameValidation.message });
   }
 
   // Validate email
-  const emailValidation = validateEmail(data.email);
+  const emailValidation = validateEmail(data.email, language);
   if (!emailValidation.isValid) {
     errors.push({ field: 'email', message: emailValidation.message });
   }
 
   // Validate password
-  const passwordValidation = validatePassword(data.password);
+  const passwordValidation = validatePassword(data.password, language);
   if (!passwordValidation.isValid) {
     errors.push({ field: 'password', message: passwordValidation.message });
   }
 
   // Validate role
-  const roleValidation = validateRole(data.role);
+  const roleValidation = validateRole(data.role, language);
   if (!roleValidation.isValid) {
     errors.push({ field: 'role', message: roleValidation.message });
   }
 
   // Validate bio for freelancers
   if (data.role === 'freelancer' && data.bio) {
-    const bioValidation = validateBio(data.bio);
+    const bioValidation = validateBio(data.bio, language);
     if (!bioValidation.isValid) {
       errors.push({ field: 'bio', message: bioValidation.message });
     }
@@ -287,7 +300,7 @@ function validateRegistrationData(data) {
   return {
     isValid: errors.length === 0,
     errors,
-    message: errors.length === 0 ? 'All validation passed' : `${errors.length} validation error(s) found`
+    message: errors.length === 0 ? t('validation.passed') : t('validation.errorsFound', { count: errors.length })
   };
 }
 
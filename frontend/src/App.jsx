@@ -22,6 +22,7 @@ import ForgotPassword from './pages/ForgotPassword';
 import ResetPassword from './pages/ResetPassword';
 import GoogleAuthProvider from './components/GoogleOAuthProvider';
 import { AuthProvider } from './contexts/AuthContext';
+import { I18nProvider } from './contexts/I18nContext';
 import { SocketProvider } from './contexts/SocketContext';
 import notificationService from './services/notificationService';
 
@@ -53,6 +54,7 @@ function App() {
   }, []);
   return (
     <AuthProvider>
+      <I18nProvider>
       <SocketProvider>
         <GoogleAuthProvider>
           <Router>
@@ -109,6 +111,7 @@ function App() {
         </Router>
       </GoogleAuthProvider>
       </SocketProvider>
+      </I18nProvider>
     </AuthProvider>
   );
 }
@@ -0,0 +1,413 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import {
+  ArrowDownTrayIcon,
+  ChevronDownIcon,
+  ChevronRightIcon,
+  FunnelIcon
+} from '@heroicons/react/24/outline';
+import { API_BASE_URL, API_ENDPOINTS } from '../config/api.js';
+import { formatDateTime } from '../utils/dateUtils';
+
+const EMPTY_FILTERS = {
+  action: '',
+  actor: '',
+  targetType: '',
+  targetId: '',
+  outcome: '',
+  from: '',
+  to: '',
+  search: ''
+};
+
+const TARGET_TYPES = ['User', 'Escrow', 'Dispute', 'WithdrawalRequest', 'FeeSchedule', 'PromoCode'];
+
+const OUTCOME_STYLES = {
+  success: 'bg-green-100 text-green-800',
+  failure: 'bg-red-100 text-red-800'
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const buildQuery = (filters, extra = {}) => {
+  const params = new URLSearchParams(extra);
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+  return params.toString();
+};
+
+const AuditLogViewer = () => {
+  const [entries, setEntries] = useState([]);
+  const [actions, setActions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [totalEntries, setTotalEntries] = useState(0);
+  const [expandedId, setExpandedId] = useState(null);
+  const [exporting, setExporting] = useState(null);
+
+  const fetchEntries = useCallback(async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const query = buildQuery(appliedFilters, { page: currentPage });
+      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.ADMIN.AUDIT_LOGS}?${query}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        setEntries(data.data.entries);
+        setActions(data.data.actions);
+        setTotalPages(data.data.pagination?.pages || 1);
+        setTotalEntries(data.data.pagination?.total || 0);
+      } else {
+        toast.error(data.message || 'Failed to fetch audit log');
+      }
+    } catch (error) {
+      console.error('Error fetching audit log:', error);
+      toast.error('Failed to fetch audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, [appliedFilters, currentPage]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  const applyFilters = (event) => {
+    event.preventDefault();
+    setAppliedFilters(filters);
+    setCurrentPage(1);
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setAppliedFilters(EMPTY_FILTERS);
+    setCurrentPage(1);
+  };
+
+  const exportEntries = async (format) => {
+    try {
+      setExporting(format);
+      const token = localStorage.getItem('token');
+      const query = buildQuery(appliedFilters, { format });
+      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.ADMIN.AUDIT_LOGS_EXPORT}?${query}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        toast.error(data.message || 'Failed to export audit log');
+        return;
+      }
+
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const filename = disposition.match(/filename="(.+)"/)?.[1] || `admin-audit-log.${format}`;
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting audit log:', error);
+      toast.error('Failed to export audit log');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  const inputClass = 'w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Audit Log</h1>
+          <p className="text-sm text-gray-500">Every admin action, who took it, from where and what it changed</p>
+        </div>
+        <div className="flex gap-2">
+          {['csv', 'json'].map((format) => (
+            <button
+              key={format}
+              onClick={() => exportEntries(format)}
+              disabled={exporting !== null}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+              {exporting === format ? 'Exporting...' : `Export ${format.toUpperCase()}`}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Filters */}
+      <form onSubmit={applyFilters} className="bg-white p-4 rounded-lg shadow border space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div>
+            <label className="block text-xs font-medium text-gray-500 mb-1">Action</label>
+            <select value={filters.action} onChange={(e) => updateFilter('action', e.target.value)} className={inputClass}>
+              <option value="">All actions</option>
+              {actions.map(action => (
+                <option key={action} value={action}>{action}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-500 mb-1">Admin</label>
+            <input
+              type="text"
+              value={filters.actor}
+              onChange={(e) => updateFilter('actor', e.target.value)}
+              placeholder="Email or user ID"
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-500 mb-1">Target</label>
+            <select value={filters.targetType} onChange={(e) => updateFilter('targetType', e.target.value)} className={inputClass}>
+              <option value="">Any record</option>
+              {TARGET_TYPES.map(type => (
+                <option key={type} value={type}>{type}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-500 mb-1">Target ID</label>
+            <input
+              type="text"
+              value={filters.targetId}
+              onChange={(e) => updateFilter('targetId', e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-500 mb-1">From</label>
+            <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-500 mb-1">To</label>
+            <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-500 mb-1">Search</label>
+            <input
+              type="text"
+              value={filters.search}
+              onChange={(e) => updateFilter('search', e.target.value)}
+              placeholder="Reason, target or message"
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-500 mb-1">Outcome</label>
+            <div className="flex flex-wrap gap-2">
+              {['', 'success', 'failure'].map((outcome) => (
+                <button
+                  key={outcome || 'all'}
+                  type="button"
+                  onClick={() => updateFilter('outcome', outcome)}
+                  className={`px-3 py-1 rounded-full text-sm font-medium capitalize ${
+                    filters.outcome === outcome
+                      ? 'bg-blue-600 text-white'
+                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  {outcome || 'all'}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+        <div className="flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={clearFilters}
+            className="px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-900"
+          >
+            Clear
+          </button>
+          <button
+            type="submit"
+            className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+          >
+            <FunnelIcon className="h-4 w-4 mr-2" />
+            Apply Filters
+          </button>
+        </div>
+      </form>
+
+      {/* Entries */}
+      <div className="bg-white shadow border rounded-lg overflow-hidden">
+        <div className="px-6 py-3 border-b border-gray-200 text-sm text-gray-500">
+          {totalEntries} {totalEntries === 1 ? 'entry' : 'entries'}
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  When
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Admin
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Action
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Target
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Reason
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  IP
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {entries.length === 0 && (
+                <tr>
+                  <td colSpan={6} className="px-6 py-8 text-center text-sm text-gray-500">
+                    No audit entries match these filters
+                  </td>
+                </tr>
+              )}
+              {entries.map((entry) => {
+                const expanded = expandedId === entry._id;
+
+                return (
+                  <React.Fragment key={entry._id}>
+                    <tr
+                      onClick={() => setExpandedId(expanded ? null : entry._id)}
+                      className="hover:bg-gray-50 cursor-pointer"
+                    >
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        <div className="flex items-center">
+                          {expanded
+                            ? <ChevronDownIcon className="h-4 w-4 mr-2 text-gray-400" />
+                            : <ChevronRightIcon className="h-4 w-4 mr-2 text-gray-400" />}
+                          {formatDateTime(entry.createdAt)}
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm font-medium text-gray-900">{entry.actorName || 'Unknown admin'}</div>
+                        <div className="text-sm text-gray-500">{entry.actorEmail}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm font-mono text-gray-900">{entry.action}</div>
+                        <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium capitalize ${OUTCOME_STYLES[entry.outcome] || OUTCOME_STYLES.success}`}>
+                          {entry.outcome}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-700">
+                        {entry.targetType ? (
+                          <>
+                            <div>{entry.targetLabel || entry.targetType}</div>
+                            <div className="text-xs text-gray-500 font-mono">{entry.targetType} {entry.targetId}</div>
+                          </>
+                        ) : '—'}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-700 max-w-xs">
+                        {entry.reason || '—'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 font-mono">
+                        {entry.ip || '—'}
+                      </td>
+                    </tr>
+                    {expanded && (
+                      <tr className="bg-gray-50">
+                        <td colSpan={6} className="px-6 py-4 space-y-3">
+                          {entry.message && (
+                            <p className="text-sm text-gray-700">
+                              <span className="font-medium">Result:</span> {entry.message}
+                              {entry.statusCode && <span className="text-gray-500"> ({entry.statusCode})</span>}
+                            </p>
+                          )}
+                          {entry.changes?.length > 0 ? (
+                            <table className="min-w-full text-sm border border-gray-200 bg-white">
+                              <thead className="bg-gray-100">
+                                <tr>
+                                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Field</th>
+                                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Before</th>
+                                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">After</th>
+                                </tr>
+                              </thead>
+                              <tbody className="divide-y divide-gray-200">
+                                {entry.changes.map(change => (
+                                  <tr key={change.path}>
+                                    <td className="px-3 py-2 font-mono text-gray-900">{change.path}</td>
+                                    <td className="px-3 py-2 font-mono text-red-700 break-all">{formatValue(change.before)}</td>
+                                    <td className="px-3 py-2 font-mono text-green-700 break-all">{formatValue(change.after)}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          ) : (
+                            <p className="text-sm text-gray-500">No recorded field changes</p>
+                          )}
+                          <p className="text-xs text-gray-500">
+                            {entry.method} {entry.path}
+                            {entry.userAgent && <> · {entry.userAgent}</>}
+                          </p>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Pagination */}
+        {totalPages > 1 && (
+          <div className="bg-white px-4 py-3 flex items-center justify-between border-t border-gray-200">
+            <button
+              onClick={() => setCurrentPage(Math.max(1, currentPage - 1))}
+              disabled={currentPage === 1}
+              className="relative inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-700">Page {currentPage} of {totalPages}</span>
+            <button
+              onClick={() => setCurrentPage(Math.min(totalPages, currentPage + 1))}
+              disabled={currentPage === totalPages}
+              className="relative inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AuditLogViewer;
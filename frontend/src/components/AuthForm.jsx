@@ -8,10 +8,13 @@ import { showToast } from '../utils/toast.jsx';
 import GoogleLoginButton from './GoogleLoginButton';
 import ValidatedInput from './ValidatedInput';
 import PasswordStrengthIndicator from './PasswordStrengthIndicator';
+import TwoFactorChallenge from './TwoFactorChallenge';
 import { API_BASE_URL, API_ENDPOINTS } from '../config/api.js';
 import { Button, Input, Card } from './ui';
 import { validateFullName, validateEmail, validatePassword, validatePasswordConfirmation, validateRegistrationForm } from '../utils/validation';
 import { useAuth } from '../contexts/AuthContext';
+import { isTwoFactorChallenge } from '../utils/auth';
+import { useTranslation } from '../hooks/useTranslation';
 
 const AuthForm = ({ mode = 'login' }) => {
   const [isLogin, setIsLogin] = useState(mode === 'login');
@@ -19,7 +22,10 @@ const AuthForm = ({ mode = 'login' }) => {
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [loading, setLoading] = useState(false);
   const navigate = useNavigate();
-  const { login, register } = useAuth();
+  const { login, register, startTwoFactorSetup } = useAuth();
+  const { language, t } = useTranslation();
+  // Set when the password (or Google) step asks for a second factor
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
 
   const [loginData, setLoginData] = useState({
     email: '',
@@ -80,11 +86,48 @@ const AuthForm = ({ mode = 'login' }) => {
     }
   };
 
+  const handleLoginSuccess = (data) => {
+    setTwoFactorChallenge(null);
+
+    // Use the dismissible toast utility
+    showToast.dismissible(t('auth.login.success'), 'success', { id: 'login-success' });
+
+    console.log('Login successful, navigating based on role:', data.user.role);
+
+    // Navigate based on role and profile completion
+    if (data.user.role === 'freelancer' && data.needsProfileSetup) {
+      navigate('/freelancer-profile-setup');
+    } else if (data.user.role === 'admin') {
+      navigate('/admin-dashboard');
+    } else if (data.user.role === 'client') {
+      navigate('/client');
+    } else if (data.user.role === 'freelancer') {
+      navigate('/freelancer');
+    } else {
+      navigate('/');
+    }
+  };
+
+  // Accounts that must enroll get their authenticator secret before the code step
+  const handleTwoFactorChallenge = async (data) => {
+    if (!data.twoFactorSetupRequired) {
+      setTwoFactorChallenge(data);
+      return;
+    }
+
+    const setup = await startTwoFactorSetup(data.challengeToken);
+    if (setup.success) {
+      setTwoFactorChallenge({ ...data, setup: setup.data });
+    } else {
+      showAlert('error', t('auth.login.twoFactorSetupFailed'), setup.message);
+    }
+  };
+
   const handleLoginSubmit = async (e) => {
     e.preventDefault();
     
     if (!loginData.email || !loginData.password) {
-      showAlert('error', 'Missing Information', 'Please enter both email and password');
+      showAlert('error', t('auth.login.missingTitle'), t('auth.login.missing'));
       return;
     }
 
@@ -95,26 +138,12 @@ const AuthForm = ({ mode = 'login' }) => {
       
       const data = await login(loginData);
 
-      if (data.success) {
-        // Use the dismissible toast utility
-        showToast.dismissible('Login Successful!', 'success', { id: 'login-success' });
-
-        console.log('Login successful, navigating based on role:', data.user.role);
-
-        // Navigate based on role and profile completion
-        if (data.user.role === 'freelancer' && data.needsProfileSetup) {
-          navigate('/freelancer-profile-setup');
-        } else if (data.user.role === 'admin') {
-          navigate('/admin-dashboard');
-        } else if (data.user.role === 'client') {
-          navigate('/client');
-        } else if (data.user.role === 'freelancer') {
-          navigate('/freelancer');
-        } else {
-          navigate('/');
-        }
+      if (data.success && isTwoFactorChallenge(data)) {
+        await handleTwoFactorChallenge(data);
+      } else if (data.success) {
+        handleLoginSuccess(data);
       } else {
-        showAlert('error', 'Login Failed', data.message);
+        showAlert('error', t('auth.login.failed'), data.message);
       }
     } catch (error) {
       console.error('Login error:', error);
@@ -133,12 +162,12 @@ const AuthForm = ({ mode = 'login' }) => {
     const validation = validateRegistrationForm(registerData, 'client');
     if (!validation.isValid) {
       const firstError = validation.errors[0];
-      showAlert('error', 'Validation Error', firstError.message);
+      showAlert('error', t('auth.register.validationError'), firstError.message);
       return;
     }
 
     if (registerData.role === 'freelancer') {
-      showAlert('info', 'Freelancer Registration', 'Please use the "I want to Work" button to register as a freelancer.');
+      showAlert('info', t('auth.register.freelancerTitle'), t('auth.register.freelancerNotice'));
       return;
     }
 
@@ -161,7 +190,8 @@ const AuthForm = ({ mode = 'login' }) => {
           fullName: registerData.fullName,
           email: registerData.email,
           password: registerData.password,
-          role: registerData.role
+          role: registerData.role,
+          language
         })
       });
 
@@ -173,11 +203,9 @@ const AuthForm = ({ mode = 'login' }) => {
         // Check if verification is needed
         if (data.needsVerification) {
           if (data.emailSent) {
-            await showAlert('info', 'Check Your Email',
-              'We\'ve sent a verification link to your email address. Please verify your email before proceeding.');
+            await showAlert('info', t('auth.register.checkEmailTitle'), t('auth.register.checkEmail'));
           } else {
-            await showAlert('warning', 'Email Service Unavailable',
-              'Email verification is temporarily unavailable. For testing purposes, you can verify your account using the development link provided.');
+            await showAlert('warning', t('auth.register.emailUnavailableTitle'), t('auth.register.emailUnavailable'));
           }
 
           // Store registration data for verification flow
@@ -198,7 +226,7 @@ const AuthForm = ({ mode = 'login' }) => {
         }
         localStorage.setItem('user', JSON.stringify(data.user));
 
-        await showAlert('success', 'Welcome to WebSphere!', data.message);
+        await showAlert('success', t('auth.register.welcome'), data.message);
 
         if (data.user.role === 'client') {
           navigate('/client');
@@ -207,8 +235,8 @@ const AuthForm = ({ mode = 'login' }) => {
         }
       } else {
         // Show detailed error message if available
-        const errorMessage = data.details || data.message || 'Registration failed';
-        showAlert('error', 'Registration Failed', errorMessage);
+        const errorMessage = data.details || data.message || t('auth.register.failedDefault');
+        showAlert('error', t('auth.register.failed'), errorMessage);
       }
     } catch (error) {
       console.error('Registration error:', error);
@@ -218,6 +246,8 @@ const AuthForm = ({ mode = 'login' }) => {
     }
   };
 
+  const invalidFieldCount = Object.values(validationResults).filter(result => result && !result.isValid).length;
+
   const handleForgotPassword = () => {
     navigate('/forgot-password');
   };
@@ -268,7 +298,7 @@ const AuthForm = ({ mode = 'login' }) => {
                 animate={{ opacity: 1, y: 0 }}
                 transition={{ delay: 0.3 }}
               >
-                {isLogin ? "Welcome Back" : "Join Our Community"}
+                {isLogin ? t('auth.heroLogin.title') : t('auth.heroRegister.title')}
               </motion.h2>
               <motion.p
                 className="body-large text-white/90"
@@ -276,10 +306,7 @@ const AuthForm = ({ mode = 'login' }) => {
                 animate={{ opacity: 1, y: 0 }}
                 transition={{ delay: 0.5 }}
               >
-                {isLogin
-                  ? "Connect with talented freelancers and grow your business"
-                  : "Start your freelancing journey with WebSphere today"
-                }
+                {isLogin ? t('auth.heroLogin.subtitle') : t('auth.heroRegister.subtitle')}
               </motion.p>
             </div>
           </div>
@@ -300,33 +327,39 @@ const AuthForm = ({ mode = 'login' }) => {
                 className="flex items-center gap-2 text-gray-medium hover:text-gray-dark transition-colors group"
               >
                 <ArrowLeftIcon className="h-5 w-5 group-hover:-translate-x-1 transition-transform" />
-                <span>Back to Home</span>
+                <span>{t('auth.backToHome')}</span>
               </Link>
             </motion.div>
 
             <div className="bg-white rounded-xl border border-gray-border p-8 shadow-xl">
-              {isLogin ? (
+              {isLogin && twoFactorChallenge ? (
+                  <TwoFactorChallenge
+                    challenge={twoFactorChallenge}
+                    onSuccess={handleLoginSuccess}
+                    onCancel={() => setTwoFactorChallenge(null)}
+                  />
+                ) : isLogin ? (
                   // Login Form
                   <div>
                     <div className="text-center mb-8">
                       <h1 className="heading-3 mb-2">
-                        Welcome Back!
+                        {t('auth.login.title')}
                       </h1>
                       <p className="body-regular">
-                        Please enter your details to sign in
+                        {t('auth.login.subtitle')}
                       </p>
                     </div>
 
                     {/* Google Login Button */}
                     <div className="mb-6">
-                      <GoogleLoginButton isRegister={false} />
+                      <GoogleLoginButton isRegister={false} onTwoFactorChallenge={handleTwoFactorChallenge} />
                     </div>
 
                     {/* Divider */}
                     <div className="flex items-center mb-6">
                       <div className="flex-1 border-t border-gray-border"></div>
                       <span className="px-4 text-gray-medium text-sm">
-                        or continue with email
+                        {t('auth.login.divider')}
                       </span>
                       <div className="flex-1 border-t border-gray-border"></div>
                     </div>
@@ -335,7 +368,7 @@ const AuthForm = ({ mode = 'login' }) => {
                     <form key="login-form" onSubmit={handleLoginSubmit} className="space-y-6">
                       <div>
                         <label htmlFor="login-email" className="block text-sm font-medium text-gray-700 mb-2">
-                          Email
+                          {t('auth.login.email')}
                         </label>
                         <input
                           id="login-email"
@@ -346,13 +379,13 @@ const AuthForm = ({ mode = 'login' }) => {
                           onChange={(e) => setLoginData(prev => ({...prev, email: e.target.value}))}
                           required
                           className="w-full px-4 py-3 border border-gray-300 rounded-lg text-base text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-primary focus:border-primary transition-all duration-200"
-                          placeholder="Enter your email"
+                          placeholder={t('auth.login.emailPlaceholder')}
                         />
                       </div>
 
                       <div>
                         <label htmlFor="login-password" className="block text-sm font-medium text-gray-700 mb-2">
-                          Password
+                          {t('auth.login.password')}
                         </label>
                         <div className="relative">
                           <input
@@ -364,7 +397,7 @@ const AuthForm = ({ mode = 'login' }) => {
                             onChange={(e) => setLoginData(prev => ({...prev, password: e.target.value}))}
                             required
                             className="w-full px-4 py-3 pr-12 border border-gray-300 rounded-lg text-base text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-primary focus:border-primary transition-all duration-200"
-                            placeholder="Enter your password"
+                            placeholder={t('auth.login.passwordPlaceholder')}
                           />
                           <button
                             type="button"
@@ -381,7 +414,7 @@ const AuthForm = ({ mode = 'login' }) => {
                         disabled={loading}
                         className="w-full bg-primary text-white px-6 py-3 rounded-lg font-semibold text-base transition-all duration-200 hover:bg-accent hover:shadow-md focus:outline-none focus:ring-2 focus:ring-primary focus:ring-opacity-50 disabled:opacity-50 disabled:cursor-not-allowed"
                       >
-                        {loading ? 'Signing In...' : 'Sign In'}
+                        {loading ? t('auth.login.submitting') : t('auth.login.submit')}
                       </button>
                     </form>
 
@@ -391,18 +424,18 @@ const AuthForm = ({ mode = 'login' }) => {
                         onClick={handleForgotPassword}
                         className="text-primary hover:text-accent text-sm transition-colors"
                       >
-                        Forgot your password?
+                        {t('auth.login.forgotPassword')}
                       </button>
                     </div>
 
                     <div className="mt-6 text-center">
                       <p className="body-regular">
-                        Don't have an account?{' '}
+                        {t('auth.login.noAccount')}{' '}
                         <button
                           onClick={() => setIsLogin(false)}
                           className="text-primary hover:text-accent font-semibold transition-colors"
                         >
-                          Sign up here
+                          {t('auth.login.signUp')}
                         </button>
                       </p>
                     </div>
@@ -412,10 +445,10 @@ const AuthForm = ({ mode = 'login' }) => {
                   <div>
                     <div className="text-center mb-8">
                       <h1 className="heading-3 mb-2">
-                        Get Started with WebSphere
+                        {t('auth.register.title')}
                       </h1>
                       <p className="body-regular">
-                        Create your client account to continue
+                        {t('auth.register.subtitle')}
                       </p>
                     </div>
 
@@ -428,7 +461,7 @@ const AuthForm = ({ mode = 'login' }) => {
                     <div className="flex items-center mb-6">
                       <div className="flex-1 border-t border-gray-border"></div>
                       <span className="px-4 text-gray-medium text-sm">
-                        or register with email
+                        {t('auth.register.divider')}
                       </span>
                       <div className="flex-1 border-t border-gray-border"></div>
                     </div>
@@ -436,7 +469,7 @@ const AuthForm = ({ mode = 'login' }) => {
                     {/* Role Selection */}
                     <div className="mb-6">
                       <label className="block text-sm font-medium text-gray-dark mb-3">
-                        I want to:
+                        {t('auth.register.iWantTo')}
                       </label>
                       <div className="flex space-x-4">
                         <button
@@ -448,17 +481,17 @@ const AuthForm = ({ mode = 'login' }) => {
                               : 'bg-gray-lighter text-gray-dark hover:bg-gray-border'
                           }`}
                         >
-                          💼 Hire Talent
+                          {t('auth.register.hireTalent')}
                         </button>
                         <Link
                           to="/freelancer-registration"
                           className="flex-1 py-3 px-4 rounded-lg font-medium bg-gray-lighter text-gray-dark hover:bg-gray-border text-center transition-all border-2 border-primary/30"
                         >
-                          🚀 Work as Freelancer
+                          {t('auth.register.workAsFreelancer')}
                         </Link>
                       </div>
                       <p className="text-gray-medium text-xs mt-2 text-center">
-                        Freelancers should use the "Work as Freelancer" option for a specialized signup process
+                        {t('auth.register.freelancerHint')}
                       </p>
                     </div>
 
@@ -471,8 +504,8 @@ const AuthForm = ({ mode = 'login' }) => {
                         onChange={handleRegisterChange}
                         onValidation={handleValidation}
                         validator={validateFullName}
-                        label="Full Name"
-                        placeholder="Enter your full name (e.g., John Smith)"
+                        label={t('auth.register.fullName')}
+                        placeholder={t('auth.register.fullNamePlaceholder')}
                         required
                         className="bg-white border-gray-300 text-gray-900 placeholder-gray-400 focus:ring-primary focus:border-primary"
                       />
@@ -484,8 +517,8 @@ const AuthForm = ({ mode = 'login' }) => {
                         onChange={handleRegisterChange}
                         onValidation={handleValidation}
                         validator={validateEmail}
-                        label="Email Address"
-                        placeholder="Enter your email address"
+                        label={t('auth.register.email')}
+                        placeholder={t('auth.register.emailPlaceholder')}
                         required
                         className="bg-white border-gray-300 text-gray-900 placeholder-gray-400 focus:ring-primary focus:border-primary"
                       />
@@ -498,8 +531,8 @@ const AuthForm = ({ mode = 'login' }) => {
                           onChange={handleRegisterChange}
                           onValidation={handleValidation}
                           validator={validatePassword}
-                          label="Password"
-                          placeholder="Create a strong password"
+                          label={t('auth.register.password')}
+                          placeholder={t('auth.register.passwordPlaceholder')}
                           required
                           className="bg-white border-gray-300 text-gray-900 placeholder-gray-400 focus:ring-primary focus:border-primary pr-12"
                         />
@@ -521,8 +554,8 @@ const AuthForm = ({ mode = 'login' }) => {
                           onChange={handleRegisterChange}
                           onValidation={handleValidation}
                           validator={(value) => validatePasswordConfirmation(registerData.password, value)}
-                          label="Confirm Password"
-                          placeholder="Confirm your password"
+                          label={t('auth.register.confirmPassword')}
+                          placeholder={t('auth.register.confirmPasswordPlaceholder')}
                           required
                           className="bg-white border-gray-300 text-gray-900 placeholder-gray-400 focus:ring-primary focus:border-primary pr-12"
                         />
@@ -543,28 +576,28 @@ const AuthForm = ({ mode = 'login' }) => {
                         {loading ? (
                           <div className="flex items-center justify-center">
                             <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-2"></div>
-                            Creating Account...
+                            {t('auth.register.submitting')}
                           </div>
                         ) : (
-                          'Create Client Account'
+                          t('auth.register.submit')
                         )}
                       </button>
 
-                      {!isFormValid && Object.keys(validationResults).length > 0 && (
+                      {!isFormValid && invalidFieldCount > 0 && (
                         <p className="text-error text-sm text-center mt-2">
-                          Please fix the validation errors above
+                          {t('auth.register.fixErrors', { count: invalidFieldCount })}
                         </p>
                       )}
                     </form>
 
                     <div className="mt-6 text-center">
                       <p className="text-gray-600">
-                        Already have an account?{' '}
+                        {t('auth.register.haveAccount')}{' '}
                         <button
                           onClick={() => setIsLogin(true)}
                           className="text-primary hover:text-accent font-semibold transition-colors"
                         >
-                          Sign in here
+                          {t('auth.register.signIn')}
                         </button>
                       </p>
                     </div>
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { API_ENDPOINTS, buildApiUrl } from '../config/api';
+
+const FIELDS = [
+  { name: 'legalName', label: 'Legal / business name', span: 2 },
+  { name: 'gstin', label: 'GSTIN (leave blank if unregistered)', span: 2 },
+  { name: 'addressLine1', label: 'Address line 1', span: 2 },
+  { name: 'addressLine2', label: 'Address line 2', span: 2 },
+  { name: 'city', label: 'City' },
+  { name: 'state', label: 'State' },
+  { name: 'postalCode', label: 'PIN code' },
+  { name: 'country', label: 'Country' }
+];
+
+// Collapsible form for the billing details printed on invoices
+const BillingDetailsForm = () => {
+  const [open, setOpen] = useState(false);
+  const [details, setDetails] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadDetails = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(buildApiUrl(API_ENDPOINTS.PROFILE.SETTINGS), {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        setDetails({ country: 'India', ...(data.settings.billingDetails || {}) });
+      }
+    } catch (error) {
+      console.error('Error fetching billing details:', error);
+      toast.error('Failed to load billing details');
+    }
+  };
+
+  const toggle = () => {
+    if (!open && !details) {
+      loadDetails();
+    }
+    setOpen(!open);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const token = localStorage.getItem('token');
+      const response = await fetch(buildApiUrl(API_ENDPOINTS.PROFILE.BILLING), {
+        method: 'PATCH',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(details)
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        toast.success('Billing details saved. New invoices will use them.');
+        setOpen(false);
+      } else {
+        toast.error(data.message || 'Failed to save billing details');
+      }
+    } catch (error) {
+      console.error('Error saving billing details:', error);
+      toast.error('Failed to save billing details');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mb-6">
+      <button onClick={toggle} className="text-sm text-blue-600 hover:text-blue-800">
+        {open ? 'Hide billing details' : 'Billing details for invoices'}
+      </button>
+
+      {open && details && (
+        <form onSubmit={handleSave} className="mt-3 p-4 border border-gray-200 rounded-lg grid grid-cols-2 gap-2">
+          {FIELDS.map(({ name, label, span }) => (
+            <input
+              key={name}
+              value={details[name] || ''}
+              onChange={(e) => setDetails({ ...details, [name]: name === 'gstin' ? e.target.value.toUpperCase() : e.target.value })}
+              placeholder={label}
+              className={`border border-gray-300 rounded-lg p-2 text-sm ${span === 2 ? 'col-span-2' : ''}`}
+            />
+          ))}
+          <div className="col-span-2">
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 text-sm"
+            >
+              Save Billing Details
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default BillingDetailsForm;
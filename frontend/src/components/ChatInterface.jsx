@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useRef } from 'react';
 import { useSocket } from '../contexts/SocketContext';
 import { motion } from 'framer-motion';
 import { 
@@ -7,7 +7,13 @@ import {
   XMarkIcon,
   UserIcon,
   CurrencyDollarIcon,
-  ClockIcon
+  ClockIcon,
+  ArrowUturnLeftIcon,
+  FaceSmileIcon,
+  PencilSquareIcon,
+  TrashIcon,
+  MagnifyingGlassIcon,
+  ArrowDownIcon
 } from '@heroicons/react/24/outline';
 import Button from './ui/Button';
 import { toast } from 'react-hot-toast';
@@ -15,8 +21,48 @@ import { formatMessageTime } from '../utils/dateUtils';
 import { API_BASE_URL, API_ENDPOINTS } from '../config/api.js';
 
 const MAX_MESSAGE_LENGTH = 10000;
+// Must match MESSAGE_REACTIONS in backend/models/Chat.js
+const REACTIONS = ['👍', '❤️', '😂', '🎉', '😮', '🙏'];
 
-const ChatInterface = ({ chatId, isOpen, onClose, user, isWorkspaceChat = false }) => {
+const EMPTY_SEARCH_FILTERS = { sender: '', type: '', from: '', to: '', hasAttachments: false };
+
+const EMPTY_OFFER = { proposedRate: '', timeline: '', description: '', milestones: [], expiresInHours: 72 };
+
+const OFFER_EXPIRY_OPTIONS = [
+  { hours: 24, label: '24 hours' },
+  { hours: 72, label: '3 days' },
+  { hours: 168, label: '7 days' }
+];
+
+const OFFER_STATUS_STYLES = {
+  pending: { box: 'bg-blue-50 border border-blue-200', title: 'text-blue-800', body: 'text-blue-700', label: 'Offer Details' },
+  accepted: { box: 'bg-green-100 border border-green-300', title: 'text-green-800', body: 'text-green-700', label: '✅ Offer Accepted' },
+  declined: { box: 'bg-red-100 border border-red-300', title: 'text-red-800', body: 'text-red-700', label: '❌ Offer Declined' },
+  countered: { box: 'bg-amber-50 border border-amber-200', title: 'text-amber-800', body: 'text-amber-700', label: '↪️ Countered' },
+  withdrawn: { box: 'bg-gray-100 border border-gray-300', title: 'text-gray-700', body: 'text-gray-600', label: '↩️ Offer Withdrawn' },
+  expired: { box: 'bg-gray-100 border border-gray-300', title: 'text-gray-700', body: 'text-gray-600', label: '⌛ Offer Expired' }
+};
+
+const OFFER_ACTION_TOASTS = {
+  accept: 'Offer accepted!',
+  decline: 'Offer declined',
+  counter: 'Counter-offer sent',
+  withdraw: 'Offer withdrawn'
+};
+
+// Offers in one negotiation share the first offer's id
+const getNegotiationId = (offer) => offer.negotiationId || offer._id;
+
+const formatOfferDate = (value) => {
+  if (!value) return 'N/A';
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? value : date.toLocaleDateString();
+};
+
+// Start loading older messages this close to the top of the list (px)
+const LOAD_MORE_THRESHOLD = 80;
+
+const ChatInterface = ({ chatId, isOpen, onClose, user, isWorkspaceChat = false, focusMessageId = null, onOpenChat }) => {
   const { socket } = useSocket();
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState('');
@@ -24,22 +70,46 @@ const ChatInterface = ({ chatId, isOpen, onClose, user, isWorkspaceChat = false
   const [loading, setLoading] = useState(true);
   const [sending, setSending] = useState(false);
   const [showOfferForm, setShowOfferForm] = useState(false);
-  const [offerDetails, setOfferDetails] = useState({
-    proposedRate: '',
-    timeline: '',
-    description: ''
-  });
+  const [offerDetails, setOfferDetails] = useState(EMPTY_OFFER);
+  const [offers, setOffers] = useState([]);
+  const [counteringOffer, setCounteringOffer] = useState(null);
   const [respondingToOffer, setRespondingToOffer] = useState(null);
   const [priceLocked, setPriceLocked] = useState(false);
   const [agreedPrice, setAgreedPrice] = useState(null);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [editText, setEditText] = useState('');
+  const [reactionPickerFor, setReactionPickerFor] = useState(null);
+  const [hasOlder, setHasOlder] = useState(false);
+  const [hasNewer, setHasNewer] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  const [showSearch, setShowSearch] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchFilters, setSearchFilters] = useState(EMPTY_SEARCH_FILTERS);
+  const [searchAllChats, setSearchAllChats] = useState(false);
+  const [searchResults, setSearchResults] = useState([]);
+  const [searchCursor, setSearchCursor] = useState(null);
+  const [searching, setSearching] = useState(false);
 
   const messagesEndRef = useRef(null);
+  const messagesContainerRef = useRef(null);
+  // Scroll height before older messages were prepended, so the view doesn't jump
+  const scrollRestoreRef = useRef(null);
+  // Message to scroll to once it has rendered
+  const pendingFocusRef = useRef(null);
+  const hasNewerRef = useRef(false);
+  const lastMessageIdRef = useRef(null);
 
   useEffect(() => {
     if (chatId && isOpen) {
-      fetchChatDetails();
+      fetchChatDetails(focusMessageId);
     }
-  }, [chatId, isOpen]);
+  }, [chatId, isOpen, focusMessageId]);
+
+  useEffect(() => {
+    hasNewerRef.current = hasNewer;
+  }, [hasNewer]);
 
   // Listen for real-time messages and join chat room
   useEffect(() => {
@@ -51,55 +121,127 @@ const ChatInterface = ({ chatId, isOpen, onClose, user, isWorkspaceChat = false
     
     const handleMessageReceived = (data) => {
       console.log('📨 Received message in chat:', data);
-      if (data.chatId === chatId) {
-        setMessages(prev => [...prev, data.message]);
-        scrollToBottom();
+      // While reading older history the latest messages aren't loaded; they arrive with "Jump to latest"
+      if (data.chatId !== chatId) return;
+      if (data.message.messageType === 'offer') {
+        upsertOffer(data.message);
+      }
+      if (!hasNewerRef.current) {
+        appendMessage(data.message);
       }
     };
 
+    // Edits, deletions and reactions - also refresh quotes of the changed message
+    const handleMessageUpdated = (data) => {
+      if (data.chatId !== chatId) return;
+      const updated = data.message;
+      setMessages(prev => prev.map(msg => {
+        if (msg._id === updated._id) {
+          return { ...msg, ...updated };
+        }
+        if (msg.replyTo?._id === updated._id) {
+          return { ...msg, replyTo: { ...msg.replyTo, content: updated.content, deleted: updated.deleted } };
+        }
+        return msg;
+      }));
+    };
+
     const handleOfferResponse = (data) => {
       console.log('📩 Offer response received:', data);
-      // Update the offer message status
-      setMessages(prev => prev.map(msg =>
-        msg._id === data.messageId
-          ? { ...msg, offerStatus: data.offerStatus }
-          : msg
-      ));
+      applyOfferStatus(data.messageId, data.offerStatus);
+      if (data.counterOffer) {
+        upsertOffer(data.counterOffer);
+      }
     };
     
     socket.on('message-received', handleMessageReceived);
     socket.on('offer-response', handleOfferResponse);
+    socket.on('message-updated', handleMessageUpdated);
     
     return () => {
       socket.off('message-received', handleMessageReceived);
       socket.off('offer-response', handleOfferResponse);
+      socket.off('message-updated', handleMessageUpdated);
       socket.emit('leave-chat', chatId);
       console.log('🚪 Left chat room:', chatId);
     };
   }, [socket, chatId]);
-  useEffect(() => {
-    scrollToBottom();
-  }, [messages]);
-
+  // Keep the view steady when older messages load, jump to a focused message,
+  // and only follow the conversation when a new message arrives at the bottom
+  useLayoutEffect(() => {
+    const container = messagesContainerRef.current;
+    const lastMessageId = messages[messages.length - 1]?._id || null;
+    const previousLastId = lastMessageIdRef.current;
+    lastMessageIdRef.current = lastMessageId;
+    if (!container) return;
 
+    if (scrollRestoreRef.current !== null) {
+      container.scrollTop = container.scrollHeight - scrollRestoreRef.current;
+      scrollRestoreRef.current = null;
+    } else if (pendingFocusRef.current) {
+      document.getElementById(`message-${pendingFocusRef.current}`)?.scrollIntoView({ block: 'center' });
+      pendingFocusRef.current = null;
+    } else if (!previousLastId) {
+      container.scrollTop = container.scrollHeight;
+    } else if (lastMessageId !== previousLastId && !hasNewer) {
+      scrollToBottom();
+    }
+  }, [messages, hasNewer]);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
 
-  const fetchChatDetails = async () => {
-    try {
-      const token = localStorage.getItem('token');
-      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.CHATS.BY_ID(chatId)}`, {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
+  // The socket also delivers messages this client sent, so skip ones already shown
+  const appendMessage = (message) => {
+    setMessages(prev => (prev.some(msg => msg._id === message._id) ? prev : [...prev, message]));
+  };
 
-      const data = await response.json();
+  const upsertOffer = (offer) => {
+    setOffers(prev => (prev.some(o => o._id === offer._id)
+      ? prev.map(o => (o._id === offer._id ? { ...o, ...offer } : o))
+      : [...prev, offer]));
+  };
+
+  // Accepting an offer closes every other open offer in the chat
+  const applyOfferStatus = (offerId, offerStatus) => {
+    const update = (item) => {
+      if (item._id === offerId) {
+        return { ...item, offerStatus };
+      }
+      if (offerStatus === 'accepted' && item.messageType === 'offer' && item.offerStatus === 'pending') {
+        return { ...item, offerStatus: 'declined' };
+      }
+      return item;
+    };
+    setMessages(prev => prev.map(update));
+    setOffers(prev => prev.map(update));
+  };
+
+  const fetchMessagesPage = async (params) => {
+    const token = localStorage.getItem('token');
+    const query = new URLSearchParams(params).toString();
+    const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.CHATS.BY_ID(chatId)}${query ? `?${query}` : ''}`, {
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+    return response.json();
+  };
+
+  // Latest messages, or the messages around `aroundMessageId` when jumping to a search result
+  const fetchChatDetails = async (aroundMessageId = null) => {
+    try {
+      const data = await fetchMessagesPage(aroundMessageId ? { around: aroundMessageId } : {});
       if (data.success) {
+        pendingFocusRef.current = aroundMessageId;
+        lastMessageIdRef.current = null;
+        setHighlightedMessageId(aroundMessageId);
         setChat(data.chat);
         setMessages(data.messages);
+        setOffers(data.offers || []);
+        setHasOlder(!!data.pagination?.hasOlder);
+        setHasNewer(!!data.pagination?.hasNewer);
         // Track price lock state - locked if agreed price exists OR project is already awarded
         if (data.chat?.project?.agreedPrice || data.chat?.project?.status === 'awarded' || data.chat?.project?.status === 'in_progress') {
           setPriceLocked(true);
@@ -116,6 +258,103 @@ const ChatInterface = ({ chatId, isOpen, onClose, user, isWorkspaceChat = false
     }
   };
 
+  const loadOlderMessages = async () => {
+    if (loadingMore || !hasOlder || messages.length === 0) return;
+    setLoadingMore(true);
+    try {
+      const data = await fetchMessagesPage({ before: messages[0]._id });
+      if (data.success) {
+        const container = messagesContainerRef.current;
+        scrollRestoreRef.current = container ? container.scrollHeight - container.scrollTop : null;
+        setMessages(prev => [...data.messages, ...prev]);
+        setHasOlder(!!data.pagination?.hasOlder);
+      } else {
+        toast.error(data.message || 'Failed to load older messages');
+      }
+    } catch (error) {
+      console.error('Error loading older messages:', error);
+      toast.error('Failed to load older messages');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const loadNewerMessages = async () => {
+    if (loadingMore || !hasNewer || messages.length === 0) return;
+    setLoadingMore(true);
+    try {
+      const data = await fetchMessagesPage({ after: messages[messages.length - 1]._id });
+      if (data.success) {
+        setMessages(prev => [...prev, ...data.messages]);
+        setHasNewer(!!data.pagination?.hasNewer);
+      } else {
+        toast.error(data.message || 'Failed to load newer messages');
+      }
+    } catch (error) {
+      console.error('Error loading newer messages:', error);
+      toast.error('Failed to load newer messages');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleMessagesScroll = (e) => {
+    const { scrollTop, scrollHeight, clientHeight } = e.currentTarget;
+    if (scrollTop < LOAD_MORE_THRESHOLD) {
+      loadOlderMessages();
+    } else if (hasNewer && scrollHeight - scrollTop - clientHeight < LOAD_MORE_THRESHOLD) {
+      loadNewerMessages();
+    }
+  };
+
+  const searchMessages = async (cursor = null) => {
+    setSearching(true);
+    try {
+      const token = localStorage.getItem('token');
+      const params = new URLSearchParams();
+      if (searchQuery.trim()) params.set('q', searchQuery.trim());
+      if (!searchAllChats) params.set('chatId', chatId);
+      Object.entries(searchFilters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+      });
+      if (cursor) params.set('before', cursor);
+
+      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.CHATS.SEARCH}?${params.toString()}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        setSearchResults(prev => (cursor ? [...prev, ...data.data.results] : data.data.results));
+        setSearchCursor(data.data.pagination.nextCursor);
+      } else {
+        toast.error(data.message || 'Search failed');
+      }
+    } catch (error) {
+      console.error('Error searching messages:', error);
+      toast.error('Search failed');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const handleSearchSubmit = (e) => {
+    e.preventDefault();
+    searchMessages();
+  };
+
+  const handleOpenSearchResult = (result) => {
+    if (result.chat._id === chatId) {
+      fetchChatDetails(result.message._id);
+    } else if (onOpenChat) {
+      onOpenChat(result.chat._id, result.message._id);
+    } else {
+      toast.error('Open that chat to see this message');
+    }
+  };
+
   const sendMessage = async (messageData) => {
     setSending(true);
     try {
@@ -126,15 +365,16 @@ const ChatInterface = ({ chatId, isOpen, onClose, user, isWorkspaceChat = false
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${token}`
         },
-        body: JSON.stringify(messageData)
+        body: JSON.stringify({ ...messageData, replyTo: replyingTo?._id })
       });
 
       const data = await response.json();
       if (data.success) {
         // Don't add message here - let socket handle it to avoid duplicates
         setNewMessage('');
+        setReplyingTo(null);
         setShowOfferForm(false);
-        setOfferDetails({ proposedRate: '', timeline: '', description: '' });
+        setOfferDetails(EMPTY_OFFER);
       } else {
         toast.error(data.message || 'Failed to send message');
       }
@@ -195,15 +435,163 @@ const ChatInterface = ({ chatId, isOpen, onClose, user, isWorkspaceChat = false
       }
     }
 
+    const milestones = offerDetails.milestones.map(milestone => ({
+      ...milestone,
+      amount: parseFloat(milestone.amount)
+    }));
+    if (milestones.some(milestone => !milestone.title.trim() || !milestone.amount || !milestone.dueDate)) {
+      toast.error('Each milestone needs a title, amount and due date');
+      return;
+    }
+    if (milestones.length > 0 && getMilestoneTotal(milestones) !== rate) {
+      toast.error(`Milestones add up to \u20b9${getMilestoneTotal(milestones).toLocaleString()}, but the offer is for \u20b9${rate.toLocaleString()}`);
+      return;
+    }
+
+    const terms = {
+      proposedRate: rate,
+      timeline: offerDetails.timeline,
+      description: offerDetails.description,
+      milestones
+    };
+
+    if (counteringOffer) {
+      handleRespondToOffer(counteringOffer._id, 'counter', {
+        offerDetails: terms,
+        expiresInHours: offerDetails.expiresInHours
+      });
+      return;
+    }
+
     const timelineDisplay = new Date(offerDetails.timeline).toLocaleDateString();
     sendMessage({
       content: `New offer: Rs.${offerDetails.proposedRate} - by ${timelineDisplay}`,
       messageType: 'offer',
-      offerDetails: {
-        proposedRate: rate,
-        timeline: offerDetails.timeline,
-        description: offerDetails.description
+      offerDetails: terms,
+      expiresInHours: offerDetails.expiresInHours
+    });
+  };
+
+  const getMilestoneTotal = (milestones) =>
+    Math.round(milestones.reduce((sum, milestone) => sum + (parseFloat(milestone.amount) || 0), 0) * 100) / 100;
+
+  const updateOfferMilestone = (index, field, value) => {
+    setOfferDetails(prev => ({
+      ...prev,
+      milestones: prev.milestones.map((milestone, i) => (i === index ? { ...milestone, [field]: value } : milestone))
+    }));
+  };
+
+  const addOfferMilestone = () => {
+    setOfferDetails(prev => ({
+      ...prev,
+      milestones: [...prev.milestones, { title: '', amount: '', dueDate: prev.timeline || '' }]
+    }));
+  };
+
+  const removeOfferMilestone = (index) => {
+    setOfferDetails(prev => ({
+      ...prev,
+      milestones: prev.milestones.filter((_, i) => i !== index)
+    }));
+  };
+
+  // Open the offer form pre-filled with the terms being countered
+  const startCounterOffer = (offer) => {
+    setCounteringOffer(offer);
+    setOfferDetails({
+      ...EMPTY_OFFER,
+      proposedRate: offer.offerDetails?.proposedRate || '',
+      timeline: offer.offerDetails?.timeline || '',
+      milestones: (offer.offerDetails?.milestones || []).map(milestone => ({
+        title: milestone.title,
+        amount: milestone.amount,
+        dueDate: milestone.dueDate ? new Date(milestone.dueDate).toISOString().split('T')[0] : ''
+      }))
+    });
+    setShowOfferForm(true);
+  };
+
+  const closeOfferForm = () => {
+    setShowOfferForm(false);
+    setCounteringOffer(null);
+    setOfferDetails(EMPTY_OFFER);
+  };
+
+  // Applies the server's copy right away; the socket event brings the same update to the other side
+  const applyMessageUpdate = (updated) => {
+    setMessages(prev => prev.map(msg => (msg._id === updated._id ? { ...msg, ...updated } : msg)));
+  };
+
+  const updateMessage = async ({ method, url, body, errorMessage }) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${API_BASE_URL}${url}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        applyMessageUpdate(data.data);
+        return true;
       }
+      toast.error(data.message || errorMessage);
+    } catch (error) {
+      console.error(`${errorMessage}:`, error);
+      toast.error(errorMessage);
+    }
+    return false;
+  };
+
+  const startEditing = (message) => {
+    setEditingMessageId(message._id);
+    setEditText(message.content);
+    setReactionPickerFor(null);
+  };
+
+  const handleSaveEdit = async (messageId) => {
+    const content = editText.trim();
+    if (!content) return;
+    if (content.length > MAX_MESSAGE_LENGTH) {
+      toast.error(`Message is too long. Maximum is ${MAX_MESSAGE_LENGTH.toLocaleString()} characters.`);
+      return;
+    }
+
+    const saved = await updateMessage({
+      method: 'PATCH',
+      url: API_ENDPOINTS.CHATS.MESSAGE(messageId),
+      body: { content },
+      errorMessage: 'Failed to edit message'
+    });
+    if (saved) {
+      setEditingMessageId(null);
+      setEditText('');
+    }
+  };
+
+  const handleDeleteMessage = async (messageId) => {
+    if (!window.confirm('Delete this message? Everyone in the chat will see that it was deleted.')) return;
+
+    await updateMessage({
+      method: 'DELETE',
+      url: API_ENDPOINTS.CHATS.MESSAGE(messageId),
+      errorMessage: 'Failed to delete message'
+    });
+    if (replyingTo?._id === messageId) setReplyingTo(null);
+  };
+
+  const handleToggleReaction = async (messageId, emoji) => {
+    setReactionPickerFor(null);
+    await updateMessage({
+      method: 'POST',
+      url: API_ENDPOINTS.CHATS.MESSAGE_REACTIONS(messageId),
+      body: { emoji },
+      errorMessage: 'Failed to update reaction'
     });
   };
 
@@ -218,7 +606,7 @@ const ChatInterface = ({ chatId, isOpen, onClose, user, isWorkspaceChat = false
     return chat.participants.find(p => p.user._id !== currentUserId)?.user;
   };
 
-  const handleRespondToOffer = async (messageId, action) => {
+  const handleRespondToOffer = async (messageId, action, extra = {}) => {
     if (respondingToOffer === messageId) return;
     
     setRespondingToOffer(messageId);
@@ -230,26 +618,20 @@ const ChatInterface = ({ chatId, isOpen, onClose, user, isWorkspaceChat = false
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${token}`
         },
-        body: JSON.stringify({ action })
+        body: JSON.stringify({ action, ...extra })
       });
 
       const data = await response.json();
       if (data.success) {
-        toast.success(`Offer ${action}ed successfully!`);
-        // Update the message in local state AND auto-decline all other pending offers
-        setMessages(prev => prev.map(msg => {
-          if (msg._id === messageId) {
-            return { ...msg, offerStatus: action === 'accept' ? 'accepted' : 'declined' };
-          }
-          // If this offer was accepted, auto-decline all other pending offers
-          if (action === 'accept' && msg.messageType === 'offer' && msg.offerStatus === 'pending') {
-            return { ...msg, offerStatus: 'declined' };
-          }
-          return msg;
-        }));
-        // Add the system message
+        toast.success(OFFER_ACTION_TOASTS[action]);
+        applyOfferStatus(messageId, data.data.message.offerStatus);
         if (data.data.responseMessage) {
-          setMessages(prev => [...prev, data.data.responseMessage]);
+          appendMessage(data.data.responseMessage);
+        }
+        if (data.data.counterOffer) {
+          upsertOffer(data.data.counterOffer);
+          appendMessage(data.data.counterOffer);
+          closeOfferForm();
         }
         // If accepted, lock the price locally
         if (action === 'accept' && data.data.message?.offerDetails?.proposedRate) {
@@ -267,7 +649,421 @@ const ChatInterface = ({ chatId, isOpen, onClose, user, isWorkspaceChat = false
     }
   };
 
+  const getNegotiationThread = (message) => {
+    const thread = offers.filter(offer => getNegotiationId(offer) === getNegotiationId(message));
+    return thread.length > 0 ? thread : [message];
+  };
+
+  // A negotiation shows as one card, at its latest offer
+  const isSupersededOffer = (message) => {
+    if (message.messageType !== 'offer') return false;
+    const thread = getNegotiationThread(message);
+    return thread[thread.length - 1]._id !== message._id;
+  };
+
+  const renderNegotiationCard = (message, isMine) => {
+    const thread = getNegotiationThread(message);
+    const offer = thread[thread.length - 1];
+    const status = offer.offerStatus || 'pending';
+    const styles = OFFER_STATUS_STYLES[status] || OFFER_STATUS_STYLES.pending;
+    const earlierOffers = thread.slice(0, -1);
+    const milestones = offer.offerDetails?.milestones || [];
+    const busy = respondingToOffer === offer._id;
+
+    return (
+      <div className={`mb-2 p-3 rounded ${styles.box}`}>
+        <div className="font-semibold text-sm mb-1 flex items-center justify-between">
+          <span className={styles.title}>💼 {styles.label}</span>
+          {thread.length > 1 && (
+            <span className="text-xs font-normal text-gray-500">Round {thread.length}</span>
+          )}
+        </div>
+        <div className={`text-sm space-y-1 ${styles.body}`}>
+          <div><strong>Rate:</strong> ₹{offer.offerDetails?.proposedRate?.toLocaleString()}</div>
+          <div><strong>Completion:</strong> {formatOfferDate(offer.offerDetails?.timeline)}</div>
+          {offer.offerDetails?.description && (
+            <div><strong>Terms:</strong> {offer.offerDetails.description}</div>
+          )}
+          {milestones.length > 0 && (
+            <div>
+              <strong>Milestones:</strong>
+              <ol className="mt-1 ml-4 list-decimal text-xs space-y-0.5">
+                {milestones.map((milestone, index) => (
+                  <li key={index}>
+                    {milestone.title} — ₹{milestone.amount?.toLocaleString()} · due {formatOfferDate(milestone.dueDate)}
+                  </li>
+                ))}
+              </ol>
+            </div>
+          )}
+          {status === 'pending' && offer.offerExpiresAt && (
+            <div className="text-xs">Expires {new Date(offer.offerExpiresAt).toLocaleString()}</div>
+          )}
+        </div>
+
+        {earlierOffers.length > 0 && (
+          <div className="mt-2 pt-2 border-t border-gray-200 text-xs text-gray-600 space-y-0.5">
+            {earlierOffers.map(earlier => (
+              <div key={earlier._id}>
+                {earlier.sender?.fullName || 'Offer'}: ₹{earlier.offerDetails?.proposedRate?.toLocaleString()} — {earlier.offerStatus}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Accept/Decline/Counter - Only show if pending and not sender */}
+        {status === 'pending' && !isMine && (
+          <div className="flex gap-2 mt-3">
+            <button
+              onClick={() => handleRespondToOffer(offer._id, 'accept')}
+              disabled={busy}
+              className="flex-1 px-3 py-1.5 bg-green-600 text-white text-sm font-medium rounded hover:bg-green-700 disabled:opacity-50 transition-colors"
+            >
+              {busy ? 'Processing...' : '✓ Accept'}
+            </button>
+            <button
+              onClick={() => startCounterOffer(offer)}
+              disabled={busy}
+              className="flex-1 px-3 py-1.5 bg-amber-500 text-white text-sm font-medium rounded hover:bg-amber-600 disabled:opacity-50 transition-colors"
+            >
+              ↪ Counter
+            </button>
+            <button
+              onClick={() => handleRespondToOffer(offer._id, 'decline')}
+              disabled={busy}
+              className="flex-1 px-3 py-1.5 bg-red-600 text-white text-sm font-medium rounded hover:bg-red-700 disabled:opacity-50 transition-colors"
+            >
+              {busy ? 'Processing...' : '✗ Decline'}
+            </button>
+          </div>
+        )}
+
+        {/* Pending indicator and withdraw for sender */}
+        {status === 'pending' && isMine && (
+          <div className="flex items-center justify-between mt-2">
+            <span className="text-xs text-blue-600 italic">⏳ Awaiting response...</span>
+            <button
+              onClick={() => handleRespondToOffer(offer._id, 'withdraw')}
+              disabled={busy}
+              className="text-xs text-gray-600 underline hover:text-gray-800 disabled:opacity-50"
+            >
+              Withdraw
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const currentUserId = user?.id || user?._id || user?.userId;
+
+  const renderQuotedReply = (message, isMine) => {
+    if (!message.replyTo) return null;
+    const quoted = message.replyTo;
+    return (
+      <div className={`mb-2 pl-2 border-l-2 text-xs rounded-sm ${
+        isMine ? 'border-green-200 text-green-50' : 'border-gray-300 text-gray-500'
+      }`}>
+        <div className="font-semibold">{quoted.sender?.fullName || 'Message'}</div>
+        <div className="truncate italic">
+          {quoted.deleted ? 'This message was deleted' : quoted.content}
+        </div>
+      </div>
+    );
+  };
+
+  const renderMessageContent = (message, isMine) => {
+    if (message.deleted) {
+      return (
+        <p className={`text-sm italic ${isMine ? 'text-green-100' : 'text-gray-400'}`}>
+          This message was deleted
+        </p>
+      );
+    }
+
+    if (editingMessageId === message._id) {
+      return (
+        <div className="space-y-2">
+          <textarea
+            value={editText}
+            onChange={(e) => setEditText(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); handleSaveEdit(message._id); }
+              if (e.key === 'Escape') setEditingMessageId(null);
+            }}
+            rows={2}
+            className="w-full px-2 py-1 text-sm text-gray-900 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+            autoFocus
+          />
+          <div className="flex justify-end gap-2 text-xs">
+            <button
+              type="button"
+              onClick={() => setEditingMessageId(null)}
+              className={isMine ? 'text-green-100 hover:text-white' : 'text-gray-500 hover:text-gray-700'}
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={() => handleSaveEdit(message._id)}
+              disabled={!editText.trim()}
+              className="px-2 py-0.5 bg-white text-green-700 font-medium rounded disabled:opacity-50"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      );
+    }
+
+    return <p className="text-sm whitespace-pre-wrap">{message.content}</p>;
+  };
+
+  const renderReactions = (message) => {
+    if (!message.reactions?.length) return null;
+
+    const grouped = message.reactions.reduce((acc, reaction) => {
+      const entry = acc[reaction.emoji] || { count: 0, mine: false };
+      entry.count += 1;
+      if (String(reaction.user?._id || reaction.user) === String(currentUserId)) entry.mine = true;
+      acc[reaction.emoji] = entry;
+      return acc;
+    }, {});
+
+    return (
+      <div className="flex flex-wrap gap-1 mt-1">
+        {Object.entries(grouped).map(([emoji, { count, mine }]) => (
+          <button
+            key={emoji}
+            type="button"
+            onClick={() => handleToggleReaction(message._id, emoji)}
+            className={`px-1.5 py-0.5 text-xs rounded-full border transition-colors ${
+              mine ? 'bg-blue-50 border-blue-300 text-blue-700' : 'bg-white border-gray-200 text-gray-600 hover:bg-gray-50'
+            }`}
+          >
+            {emoji} {count}
+          </button>
+        ))}
+      </div>
+    );
+  };
+
+  const renderMessageActions = (message, isMine) => {
+    if (message.deleted || message.messageType === 'system' || editingMessageId === message._id) return null;
+    const canModify = isMine && message.messageType === 'text';
+
+    return (
+      <div className={`relative flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity ${isMine ? 'order-first' : ''}`}>
+        <button type="button" title="Reply" onClick={() => setReplyingTo(message)} className="p-1 text-gray-400 hover:text-gray-600">
+          <ArrowUturnLeftIcon className="h-4 w-4" />
+        </button>
+        <button
+          type="button"
+          title="React"
+          onClick={() => setReactionPickerFor(reactionPickerFor === message._id ? null : message._id)}
+          className="p-1 text-gray-400 hover:text-gray-600"
+        >
+          <FaceSmileIcon className="h-4 w-4" />
+        </button>
+        {canModify && (
+          <>
+            <button type="button" title="Edit" onClick={() => startEditing(message)} className="p-1 text-gray-400 hover:text-gray-600">
+              <PencilSquareIcon className="h-4 w-4" />
+            </button>
+            <button type="button" title="Delete" onClick={() => handleDeleteMessage(message._id)} className="p-1 text-gray-400 hover:text-red-600">
+              <TrashIcon className="h-4 w-4" />
+            </button>
+          </>
+        )}
+        {reactionPickerFor === message._id && (
+          <div className={`absolute bottom-full mb-1 ${isMine ? 'right-0' : 'left-0'} flex gap-1 p-1 bg-white border border-gray-200 rounded-full shadow-md z-10`}>
+            {REACTIONS.map(emoji => (
+              <button
+                key={emoji}
+                type="button"
+                onClick={() => handleToggleReaction(message._id, emoji)}
+                className="px-1 text-lg hover:scale-125 transition-transform"
+              >
+                {emoji}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderReplyBanner = () => {
+    if (!replyingTo) return null;
+    return (
+      <div className="flex items-center justify-between mb-2 px-3 py-2 bg-gray-50 border-l-4 border-blue-400 rounded text-sm">
+        <div className="min-w-0">
+          <div className="text-xs font-semibold text-blue-700">
+            Replying to {replyingTo.sender?.fullName || 'message'}
+          </div>
+          <div className="text-gray-600 truncate">{replyingTo.content}</div>
+        </div>
+        <button type="button" onClick={() => setReplyingTo(null)} className="p-1 hover:bg-gray-200 rounded">
+          <XMarkIcon className="h-4 w-4 text-gray-500" />
+        </button>
+      </div>
+    );
+  };
+
+  const renderHistoryStatus = () => {
+    if (loadingMore) {
+      return <div className="text-center text-xs text-gray-500">Loading messages...</div>;
+    }
+    if (!loading && !hasOlder && messages.length > 0) {
+      return <div className="text-center text-xs text-gray-400">Start of conversation</div>;
+    }
+    return null;
+  };
+
+  const renderJumpToLatest = () => {
+    if (!hasNewer) return null;
+    return (
+      <div className="sticky bottom-0 flex justify-center">
+        <button
+          type="button"
+          onClick={() => fetchChatDetails()}
+          className="flex items-center gap-1 px-3 py-1 text-xs bg-white border border-gray-300 rounded-full shadow hover:bg-gray-50"
+        >
+          <ArrowDownIcon className="h-3 w-3" />
+          Jump to latest
+        </button>
+      </div>
+    );
+  };
+
+  const renderSearchToggle = () => (
+    <button
+      type="button"
+      onClick={() => setShowSearch(!showSearch)}
+      className={`p-2 rounded-lg transition-colors ${showSearch ? 'bg-blue-50 text-blue-600' : 'text-gray-400 hover:bg-gray-100'}`}
+      title="Search messages"
+    >
+      <MagnifyingGlassIcon className="h-5 w-5" />
+    </button>
+  );
+
+  const renderSearchPanel = () => {
+    if (!showSearch) return null;
+    return (
+      <div className="p-3 border-b border-gray-200 bg-white">
+        <form onSubmit={handleSearchSubmit} className="space-y-2">
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              placeholder="Search messages..."
+              className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              autoFocus
+            />
+            <Button type="submit" size="small" disabled={searching}>
+              {searching ? 'Searching...' : 'Search'}
+            </Button>
+          </div>
+          <div className="flex flex-wrap items-center gap-2 text-xs">
+            <select
+              value={searchFilters.sender}
+              onChange={(e) => setSearchFilters({ ...searchFilters, sender: e.target.value })}
+              className="px-2 py-1 border border-gray-300 rounded"
+            >
+              <option value="">Anyone</option>
+              <option value="me">Sent by me</option>
+              <option value="others">Sent by others</option>
+            </select>
+            <select
+              value={searchFilters.type}
+              onChange={(e) => setSearchFilters({ ...searchFilters, type: e.target.value })}
+              className="px-2 py-1 border border-gray-300 rounded"
+            >
+              <option value="">All types</option>
+              <option value="text">Messages</option>
+              <option value="offer">Offers</option>
+              <option value="file">Files</option>
+              <option value="system">System</option>
+            </select>
+            <input
+              type="date"
+              value={searchFilters.from}
+              onChange={(e) => setSearchFilters({ ...searchFilters, from: e.target.value })}
+              className="px-2 py-1 border border-gray-300 rounded"
+              title="From"
+            />
+            <input
+              type="date"
+              value={searchFilters.to}
+              onChange={(e) => setSearchFilters({ ...searchFilters, to: e.target.value })}
+              className="px-2 py-1 border border-gray-300 rounded"
+              title="To"
+            />
+            <label className="flex items-center gap-1 text-gray-600">
+              <input
+                type="checkbox"
+                checked={searchFilters.hasAttachments}
+                onChange={(e) => setSearchFilters({ ...searchFilters, hasAttachments: e.target.checked })}
+              />
+              Has attachments
+            </label>
+            <label className="flex items-center gap-1 text-gray-600">
+              <input
+                type="checkbox"
+                checked={searchAllChats}
+                onChange={(e) => setSearchAllChats(e.target.checked)}
+              />
+              All my chats
+            </label>
+          </div>
+        </form>
 
+        {searchResults.length > 0 && (
+          <div className="mt-2 max-h-60 overflow-y-auto divide-y divide-gray-100">
+            {searchResults.map((result) => (
+              <button
+                key={result.message._id}
+                type="button"
+                onClick={() => handleOpenSearchResult(result)}
+                className="w-full text-left px-2 py-2 hover:bg-gray-50"
+              >
+                <div className="flex justify-between text-xs text-gray-500">
+                  <span>
+                    {result.message.sender?.fullName}
+                    {searchAllChats && <span className="ml-1 text-gray-400">· {result.chat.projectTitle}</span>}
+                  </span>
+                  <span>{formatMessageTime(result.message.createdAt)}</span>
+                </div>
+                <div className="text-sm text-gray-800 truncate">
+                  {result.message.messageType === 'offer' && (
+                    <span className="mr-1 text-xs font-semibold text-blue-600">Offer</span>
+                  )}
+                  {result.snippet.length > 0
+                    ? result.snippet.map((segment, index) => (
+                      segment.match
+                        ? <mark key={index} className="bg-yellow-200 rounded px-0.5">{segment.text}</mark>
+                        : <span key={index}>{segment.text}</span>
+                    ))
+                    : <span className="italic text-gray-500">{result.message.attachmentCount} attachment(s)</span>}
+                </div>
+              </button>
+            ))}
+            {searchCursor && (
+              <button
+                type="button"
+                onClick={() => searchMessages(searchCursor)}
+                disabled={searching}
+                className="w-full py-2 text-xs text-blue-600 hover:underline"
+              >
+                Load more results
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
 
   if (!isOpen) return null;
 
@@ -300,10 +1096,13 @@ const ChatInterface = ({ chatId, isOpen, onClose, user, isWorkspaceChat = false
               </div>
             </div>
           </div>
+          {renderSearchToggle()}
         </div>
+        {renderSearchPanel()}
 
         {/* Messages */}
-        <div className="flex-1 overflow-y-auto p-4 space-y-4 bg-gray-50">
+        <div ref={messagesContainerRef} onScroll={handleMessagesScroll} className="relative flex-1 overflow-y-auto p-4 space-y-4 bg-gray-50">
+          {renderHistoryStatus()}
           {loading ? (
             <div className="flex justify-center items-center h-32">
               <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-green-600"></div>
@@ -319,7 +1118,8 @@ const ChatInterface = ({ chatId, isOpen, onClose, user, isWorkspaceChat = false
               return (
                 <div
                   key={message._id}
-                  className={`flex ${isMine ? 'justify-end' : 'justify-start'}`}
+                  id={`message-${message._id}`}
+                  className={`group flex items-center gap-1 rounded-lg transition-colors ${isMine ? 'justify-end' : 'justify-start'} ${highlightedMessageId === message._id ? 'bg-yellow-100' : ''}`}
                 >
                   <div className={`max-w-[70%] rounded-lg p-3 ${
                     isMine 
@@ -345,23 +1145,29 @@ const ChatInterface = ({ chatId, isOpen, onClose, user, isWorkspaceChat = false
                         )}
                       </div>
                     )}
-                    <p className="text-sm">{message.content}</p>
+                    {renderQuotedReply(message, isMine)}
+                    {renderMessageContent(message, isMine)}
+                    {renderReactions(message)}
                     
                     <div className={`text-xs mt-1 ${
                       isMine ? 'text-green-100' : 'text-gray-500'
                     }`}>
                       {formatMessageTime(message.createdAt)}
+                      {message.edited && !message.deleted && <span className="ml-1 italic">(edited)</span>}
                     </div>
                   </div>
+                  {renderMessageActions(message, isMine)}
                 </div>
               );
             })
           )}
           <div ref={messagesEndRef} />
+          {renderJumpToLatest()}
         </div>
 
         {/* Message Input */}
         <div className="p-4 border-t border-gray-200">
+          {renderReplyBanner()}
           <form onSubmit={handleSendMessage} className="flex gap-2">
             <div className="flex-1 relative">
               <textarea
@@ -438,11 +1244,12 @@ const ChatInterface = ({ chatId, isOpen, onClose, user, isWorkspaceChat = false
           </div>
           
           <div className="flex items-center gap-2">
+            {renderSearchToggle()}
             {!priceLocked && chat?.project?.status !== 'awarded' && chat?.project?.status !== 'in_progress' && (
               <Button
                 variant="secondary"
                 size="small"
-                onClick={() => setShowOfferForm(!showOfferForm)}
+                onClick={() => (showOfferForm ? closeOfferForm() : setShowOfferForm(true))}
               >
                 Make Offer
               </Button>
@@ -455,6 +1262,7 @@ const ChatInterface = ({ chatId, isOpen, onClose, user, isWorkspaceChat = false
             </button>
           </div>
         </div>
+        {renderSearchPanel()}
 
         {/* Project Info & Price Status */}
         {chat?.project && (
@@ -495,7 +1303,11 @@ const ChatInterface = ({ chatId, isOpen, onClose, user, isWorkspaceChat = false
         {showOfferForm && (
           <div className="p-4 bg-blue-50 border-b border-gray-200">
             <form onSubmit={handleSendOffer} className="space-y-3">
-              <h4 className="font-medium text-gray-900">Make an Offer</h4>
+              <h4 className="font-medium text-gray-900">
+                {counteringOffer
+                  ? `Counter ${counteringOffer.sender?.fullName || 'their'}'s offer of ₹${counteringOffer.offerDetails?.proposedRate?.toLocaleString()}`
+                  : 'Make an Offer'}
+              </h4>
               {/* Budget context */}
               {chat?.project?.budgetAmount && (
                 <div className="text-xs text-gray-600 bg-white rounded p-2 border border-blue-200">
@@ -556,15 +1368,78 @@ const ChatInterface = ({ chatId, isOpen, onClose, user, isWorkspaceChat = false
                   placeholder="Any additional terms or conditions..."
                 />
               </div>
+              {chat?.project?.budgetType !== 'hourly' && (
+                <div>
+                  <div className="flex items-center justify-between mb-1">
+                    <label className="block text-sm font-medium text-gray-700">
+                      Milestone Breakdown (optional)
+                    </label>
+                    <button type="button" onClick={addOfferMilestone} className="text-xs text-blue-600 hover:underline">
+                      + Add milestone
+                    </button>
+                  </div>
+                  {offerDetails.milestones.map((milestone, index) => (
+                    <div key={index} className="grid grid-cols-12 gap-2 mb-2">
+                      <input
+                        type="text"
+                        value={milestone.title}
+                        onChange={(e) => updateOfferMilestone(index, 'title', e.target.value)}
+                        placeholder="Milestone title"
+                        className="col-span-5 px-2 py-1 text-sm border border-gray-300 rounded"
+                      />
+                      <input
+                        type="number"
+                        value={milestone.amount}
+                        onChange={(e) => updateOfferMilestone(index, 'amount', e.target.value)}
+                        placeholder="Amount"
+                        className="col-span-3 px-2 py-1 text-sm border border-gray-300 rounded"
+                      />
+                      <input
+                        type="date"
+                        value={milestone.dueDate}
+                        onChange={(e) => updateOfferMilestone(index, 'dueDate', e.target.value)}
+                        max={offerDetails.timeline || undefined}
+                        className="col-span-3 px-2 py-1 text-sm border border-gray-300 rounded"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => removeOfferMilestone(index)}
+                        className="col-span-1 flex items-center justify-center hover:bg-gray-200 rounded"
+                      >
+                        <XMarkIcon className="h-4 w-4 text-gray-500" />
+                      </button>
+                    </div>
+                  ))}
+                  {offerDetails.milestones.length > 0 && (
+                    <p className={`text-xs ${getMilestoneTotal(offerDetails.milestones) === parseFloat(offerDetails.proposedRate) ? 'text-green-600' : 'text-orange-600'}`}>
+                      Milestones total ₹{getMilestoneTotal(offerDetails.milestones).toLocaleString()} of ₹{(parseFloat(offerDetails.proposedRate) || 0).toLocaleString()}
+                    </p>
+                  )}
+                </div>
+              )}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Offer Expires In
+                </label>
+                <select
+                  value={offerDetails.expiresInHours}
+                  onChange={(e) => setOfferDetails(prev => ({ ...prev, expiresInHours: Number(e.target.value) }))}
+                  className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                >
+                  {OFFER_EXPIRY_OPTIONS.map(option => (
+                    <option key={option.hours} value={option.hours}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
               <div className="flex gap-2">
-                <Button type="submit" variant="primary" size="small">
-                  Send Offer
+                <Button type="submit" variant="primary" size="small" disabled={counteringOffer && respondingToOffer === counteringOffer._id}>
+                  {counteringOffer ? 'Send Counter-Offer' : 'Send Offer'}
                 </Button>
                 <Button
                   type="button"
                   variant="secondary"
                   size="small"
-                  onClick={() => setShowOfferForm(false)}
+                  onClick={closeOfferForm}
                 >
                   Cancel
                 </Button>
@@ -574,7 +1449,8 @@ const ChatInterface = ({ chatId, isOpen, onClose, user, isWorkspaceChat = false
         )}
 
         {/* Messages */}
-        <div className="flex-1 overflow-y-auto p-4 space-y-4">
+        <div ref={messagesContainerRef} onScroll={handleMessagesScroll} className="relative flex-1 overflow-y-auto p-4 space-y-4">
+          {renderHistoryStatus()}
           {loading ? (
             <div className="flex items-center justify-center h-full">
               <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
@@ -586,10 +1462,12 @@ const ChatInterface = ({ chatId, isOpen, onClose, user, isWorkspaceChat = false
           ) : (
             messages.map((message) => {
               const isMine = isCurrentUser(message.sender._id);
+              if (isSupersededOffer(message)) return null;
               return (
                 <div
                   key={message._id}
-                  className={`flex ${isMine ? 'justify-end' : 'justify-start'} mb-2`}
+                  id={`message-${message._id}`}
+                  className={`group flex items-center gap-1 rounded-lg transition-colors ${isMine ? 'justify-end' : 'justify-start'} mb-2 ${highlightedMessageId === message._id ? 'bg-yellow-100' : ''}`}
                 >
                   <div
                     className={`max-w-xs lg:max-w-md px-4 py-2 rounded-lg ${
@@ -600,63 +1478,7 @@ const ChatInterface = ({ chatId, isOpen, onClose, user, isWorkspaceChat = false
                         : 'bg-white text-gray-900 rounded-br-lg rounded-tr-lg rounded-tl-sm rounded-bl-lg shadow-md border border-gray-200'
                     }`}
                   >
-                    {message.messageType === 'offer' && (
-                      <div className={`mb-2 p-3 rounded ${
-                        message.offerStatus === 'accepted' ? 'bg-green-100 border border-green-300' :
-                        message.offerStatus === 'declined' ? 'bg-red-100 border border-red-300' :
-                        'bg-blue-50 border border-blue-200'
-                      }`}>
-                        <div className="font-semibold text-sm mb-1 flex items-center justify-between">
-                          <span className={
-                            message.offerStatus === 'accepted' ? 'text-green-800' :
-                            message.offerStatus === 'declined' ? 'text-red-800' :
-                            'text-blue-800'
-                          }>
-                            💼 {message.offerStatus === 'accepted' ? '✅ Offer Accepted' :
-                               message.offerStatus === 'declined' ? '❌ Offer Declined' :
-                               'Offer Details'}
-                          </span>
-                        </div>
-                        <div className={`text-sm space-y-1 ${
-                          message.offerStatus === 'accepted' ? 'text-green-700' :
-                          message.offerStatus === 'declined' ? 'text-red-700' :
-                          'text-blue-700'
-                        }`}>
-                          <div><strong>Rate:</strong> ₹{message.offerDetails?.proposedRate?.toLocaleString()}</div>
-                          <div><strong>Completion:</strong> {message.offerDetails?.timeline ? (() => { const d = new Date(message.offerDetails.timeline); return isNaN(d.getTime()) ? message.offerDetails.timeline : d.toLocaleDateString(); })() : 'N/A'}</div>
-                          {message.offerDetails?.description && (
-                            <div><strong>Terms:</strong> {message.offerDetails.description}</div>
-                          )}
-                        </div>
-                        
-                        {/* Accept/Decline Buttons - Only show if pending and not sender */}
-                        {message.offerStatus === 'pending' && !isMine && (
-                          <div className="flex gap-2 mt-3">
-                            <button
-                              onClick={() => handleRespondToOffer(message._id, 'accept')}
-                              disabled={respondingToOffer === message._id}
-                              className="flex-1 px-3 py-1.5 bg-green-600 text-white text-sm font-medium rounded hover:bg-green-700 disabled:opacity-50 transition-colors"
-                            >
-                              {respondingToOffer === message._id ? 'Processing...' : '✓ Accept Offer'}
-                            </button>
-                            <button
-                              onClick={() => handleRespondToOffer(message._id, 'decline')}
-                              disabled={respondingToOffer === message._id}
-                              className="flex-1 px-3 py-1.5 bg-red-600 text-white text-sm font-medium rounded hover:bg-red-700 disabled:opacity-50 transition-colors"
-                            >
-                              {respondingToOffer === message._id ? 'Processing...' : '✗ Decline'}
-                            </button>
-                          </div>
-                        )}
-                        
-                        {/* Pending indicator for sender */}
-                        {message.offerStatus === 'pending' && isMine && (
-                          <div className="text-xs text-blue-600 mt-2 italic">
-                            ⏳ Awaiting response...
-                          </div>
-                        )}
-                      </div>
-                    )}
+                    {message.messageType === 'offer' && renderNegotiationCard(message, isMine)}
                     
                     {/* AI Summary for freelancers viewing long client messages */}
                     {!isMine && message.aiSummary && (user?.role === 'freelancer' || user?.userType === 'freelancer') && (
@@ -678,23 +1500,29 @@ const ChatInterface = ({ chatId, isOpen, onClose, user, isWorkspaceChat = false
                       </div>
                     )}
 
-                    <p className="text-sm">{message.content}</p>
+                    {renderQuotedReply(message, isMine)}
+                    {renderMessageContent(message, isMine)}
+                    {renderReactions(message)}
                     
                     <div className={`text-xs mt-1 ${
                       isMine ? 'text-green-100' : 'text-gray-500'
                     }`}>
                       {formatMessageTime(message.createdAt)}
+                      {message.edited && !message.deleted && <span className="ml-1 italic">(edited)</span>}
                     </div>
                   </div>
+                  {renderMessageActions(message, isMine)}
                 </div>
               );
             })
           )}
           <div ref={messagesEndRef} />
+          {renderJumpToLatest()}
         </div>
 
         {/* Message Input */}
         <div className="p-4 border-t border-gray-200">
+          {renderReplyBanner()}
           <form onSubmit={handleSendMessage} className="flex gap-2">
             <div className="flex-1 relative">
               <textarea
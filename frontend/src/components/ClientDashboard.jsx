@@ -19,6 +19,7 @@ import ChatInterface from './ChatInterface';
 import WorkspaceInterfaceFixed from './WorkspaceInterfaceFixed';
 import ErrorBoundary from './ErrorBoundary';
 import SimplePostProjectForm from './SimplePostProjectForm';
+import ProjectManagement from './ProjectManagement';
 import ClientTour from './ClientTour';
 import { toast } from 'react-hot-toast';
 import { useAuth } from '../contexts/AuthContext';
@@ -219,7 +220,9 @@ const ClientDashboard = ({ showForm, setShowForm }) => {
 
   const getStatusBadge = (status) => {
     const statusConfig = {
+      draft: { variant: 'default', text: 'Draft' },
       open: { variant: 'success', text: 'Open' },
+      closed: { variant: 'outline', text: 'Closed' },
       awarded: { variant: 'info', text: 'Awarded' },
       in_progress: { variant: 'warning', text: 'In Progress' },
       completed: { variant: 'primary', text: 'Completed' },
@@ -311,7 +314,19 @@ const ClientDashboard = ({ showForm, setShowForm }) => {
 
             {/* Footer with applications count and action button */}
             <div className="flex justify-between items-center pt-3 border-t border-gray-200 flex-shrink-0">
-              {project.status === 'open' ? (
+              {project.status === 'draft' ? (
+                <span className="text-sm text-gray-500 font-medium">
+                  Not visible to freelancers
+                </span>
+              ) : project.status === 'closed' || project.status === 'cancelled' ? (
+                <span
+                  className="text-sm text-gray-500 font-medium truncate pr-2"
+                  title={project.cancelReason || project.closeReason}
+                >
+                  {project.status === 'closed' ? 'Closed' : 'Cancelled'}
+                  {(project.cancelReason || project.closeReason) && `: ${project.cancelReason || project.closeReason}`}
+                </span>
+              ) : project.status === 'open' ? (
                 <span className="text-sm text-gray-500 font-medium">
                   {project.applicationsCount || 0} applications
                 </span>
@@ -353,6 +368,7 @@ const ClientDashboard = ({ showForm, setShowForm }) => {
                     View Applications
                   </Button>
                 ) : null}
+                <ProjectManagement project={project} onChanged={fetchMyProjects} />
               </div>
             </div>
           </Card>
@@ -529,6 +545,8 @@ const ClientDashboard = ({ showForm, setShowForm }) => {
         isOpen={chatModal.isOpen}
         onClose={() => setChatModal({ isOpen: false, chatId: null })}
         user={user}
+        focusMessageId={chatModal.focusMessageId}
+        onOpenChat={(chatId, messageId) => setChatModal({ isOpen: true, chatId, focusMessageId: messageId })}
       />
 
       {/* Workspace Modal */}
@@ -0,0 +1,101 @@
+import React from 'react';
+import {
+  PaperClipIcon,
+  ArchiveBoxIcon,
+  QuestionMarkCircleIcon,
+  ScaleIcon
+} from '@heroicons/react/24/outline';
+
+const ROLE_STYLES = {
+  client: { label: 'Client', bubble: 'bg-blue-50 border-blue-200', tag: 'bg-blue-100 text-blue-800' },
+  freelancer: { label: 'Freelancer', bubble: 'bg-purple-50 border-purple-200', tag: 'bg-purple-100 text-purple-800' },
+  admin: { label: 'Admin', bubble: 'bg-gray-50 border-gray-200', tag: 'bg-gray-200 text-gray-800' }
+};
+
+const formatDateTime = (date) => new Date(date).toLocaleString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// Read-only view of a dispute's evidence thread, shared by the workspace and admin screens
+const DisputeThread = ({ dispute }) => {
+  if (!dispute) return null;
+
+  return (
+    <div className="space-y-3">
+      {(dispute.messages || []).map((message) => {
+        const style = ROLE_STYLES[message.authorRole] || ROLE_STYLES.admin;
+        const isInfoRequest = message.type === 'info-request';
+        const isResolution = message.type === 'resolution';
+
+        return (
+          <div
+            key={message._id}
+            className={`border rounded-lg p-3 ${
+              isResolution ? 'bg-green-50 border-green-200' :
+              isInfoRequest ? 'bg-yellow-50 border-yellow-200' :
+              style.bubble
+            }`}
+          >
+            <div className="flex items-center justify-between mb-1">
+              <div className="flex items-center gap-2 text-sm">
+                {isInfoRequest && <QuestionMarkCircleIcon className="w-4 h-4 text-yellow-600" />}
+                {isResolution && <ScaleIcon className="w-4 h-4 text-green-600" />}
+                <span className="font-medium text-gray-800">{message.author?.fullName || style.label}</span>
+                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${style.tag}`}>{style.label}</span>
+              </div>
+              <span className="text-xs text-gray-500">{formatDateTime(message.createdAt)}</span>
+            </div>
+
+            <p className="text-sm text-gray-700 whitespace-pre-wrap">{message.body}</p>
+
+            {isInfoRequest && message.responseDeadline && (
+              <p className="text-xs text-yellow-700 mt-2">
+                Requested from {message.requestedFrom === 'both' ? 'both parties' : `the ${message.requestedFrom}`} ·
+                respond by {formatDateTime(message.responseDeadline)}
+              </p>
+            )}
+
+            {message.attachments?.length > 0 && (
+              <div className="flex flex-wrap gap-2 mt-2">
+                {message.attachments.map((attachment, index) => {
+                  const Icon = attachment.kind === 'deliverable' ? ArchiveBoxIcon : PaperClipIcon;
+                  const label = (
+                    <>
+                      <Icon className="w-3 h-3" />
+                      {attachment.name || attachment.kind}
+                    </>
+                  );
+
+                  return attachment.url ? (
+                    <a
+                      key={index}
+                      href={attachment.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="inline-flex items-center gap-1 px-2 py-1 bg-white border border-gray-300 rounded text-xs text-blue-700 hover:bg-blue-50"
+                    >
+                      {label}
+                    </a>
+                  ) : (
+                    <span
+                      key={index}
+                      className="inline-flex items-center gap-1 px-2 py-1 bg-white border border-gray-300 rounded text-xs text-gray-700"
+                    >
+                      {label}
+                    </span>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default DisputeThread;
@@ -10,6 +10,7 @@ import {
   HandRaisedIcon
 } from '@heroicons/react/24/outline';
 import { API_BASE_URL, API_ENDPOINTS } from '../config/api.js';
+import DisputeThread from './DisputeThread';
 
 const EscrowManagement = () => {
   const [escrows, setEscrows] = useState([]);
@@ -27,8 +28,16 @@ const EscrowManagement = () => {
     resolution: '',
     refundToClient: false,
     releaseToFreelancer: false,
+    freelancerPercentage: 50,
     notes: ''
   });
+  const [dispute, setDispute] = useState(null);
+  const [disputeMessage, setDisputeMessage] = useState({
+    mode: 'note',
+    body: '',
+    requestedFrom: 'both',
+    responseDeadline: ''
+  });
 
   useEffect(() => {
     fetchEscrows();
@@ -90,6 +99,10 @@ const EscrowManagement = () => {
       if (data.success) {
         setSelectedEscrow(data.data);
         setShowDetails(true);
+        setDispute(null);
+        if (data.data.disputeRaised) {
+          fetchDispute(escrowId);
+        }
       } else {
         toast.error(data.message || 'Failed to fetch escrow details');
       }
@@ -99,6 +112,71 @@ const EscrowManagement = () => {
     }
   };
 
+  const fetchDispute = async (escrowId) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.ADMIN.ESCROW_DISPUTE(escrowId)}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        setDispute(data.data);
+      }
+    } catch (error) {
+      console.error('Error fetching dispute:', error);
+    }
+  };
+
+  const handleDisputeMessage = async () => {
+    if (!disputeMessage.body.trim()) {
+      toast.error('Please enter a message');
+      return;
+    }
+
+    const isRequest = disputeMessage.mode === 'request';
+    if (isRequest && !disputeMessage.responseDeadline) {
+      toast.error('Please set a response deadline');
+      return;
+    }
+
+    try {
+      const token = localStorage.getItem('token');
+      const endpoint = isRequest
+        ? API_ENDPOINTS.ADMIN.DISPUTE_REQUEST_INFO(dispute._id)
+        : API_ENDPOINTS.ADMIN.DISPUTE_NOTES(dispute._id);
+
+      const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(isRequest
+          ? {
+              message: disputeMessage.body,
+              requestedFrom: disputeMessage.requestedFrom,
+              responseDeadline: new Date(disputeMessage.responseDeadline).toISOString()
+            }
+          : { body: disputeMessage.body })
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        toast.success(data.message);
+        setDispute(data.data);
+        setDisputeMessage({ ...disputeMessage, body: '', responseDeadline: '' });
+      } else {
+        toast.error(data.message || 'Failed to post message');
+      }
+    } catch (error) {
+      console.error('Error posting dispute message:', error);
+      toast.error('Failed to post message');
+    }
+  };
+
   const handleReleaseFunds = async () => {
     try {
       const token = localStorage.getItem('token');
@@ -137,18 +215,25 @@ const EscrowManagement = () => {
           'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify(disputeResolution)
+        body: JSON.stringify({
+          ...disputeResolution,
+          // Only send a split percentage for partial resolutions
+          freelancerPercentage: disputeResolution.resolution === 'partial_resolution'
+            ? Number(disputeResolution.freelancerPercentage)
+            : undefined
+        })
       });
 
       const data = await response.json();
       if (data.success) {
-        toast.success('Dispute resolved successfully');
+        toast.success(data.message || 'Dispute resolved successfully');
         setShowDisputeModal(false);
         setShowDetails(false);
         setDisputeResolution({
           resolution: '',
           refundToClient: false,
           releaseToFreelancer: false,
+          freelancerPercentage: 50,
           notes: ''
         });
         fetchEscrows();
@@ -162,6 +247,31 @@ const EscrowManagement = () => {
     }
   };
 
+  const handleRetryRefund = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.ADMIN.ESCROW_RETRY_REFUND(selectedEscrow._id)}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        toast.success(data.message || 'Refund re-issued');
+        setShowDetails(false);
+        fetchEscrows();
+        fetchStats();
+      } else {
+        toast.error(data.message || 'Failed to retry refund');
+      }
+    } catch (error) {
+      console.error('Error retrying refund:', error);
+      toast.error('Failed to retry refund');
+    }
+  };
+
   const processAutoReleases = async () => {
     try {
       const token = localStorage.getItem('token');
@@ -192,7 +302,10 @@ const EscrowManagement = () => {
       active: { color: 'bg-blue-100 text-blue-800', icon: BanknotesIcon, text: 'Active' },
       released: { color: 'bg-green-100 text-green-800', icon: CheckCircleIcon, text: 'Released' },
       disputed: { color: 'bg-red-100 text-red-800', icon: ExclamationTriangleIcon, text: 'Disputed' },
-      refunded: { color: 'bg-gray-100 text-gray-800', icon: HandRaisedIcon, text: 'Refunded' }
+      resolving: { color: 'bg-red-100 text-red-800', icon: ClockIcon, text: 'Resolving' },
+      'refund-pending': { color: 'bg-orange-100 text-orange-800', icon: ClockIcon, text: 'Refund Pending' },
+      refunded: { color: 'bg-gray-100 text-gray-800', icon: HandRaisedIcon, text: 'Refunded' },
+      'partially-refunded': { color: 'bg-purple-100 text-purple-800', icon: HandRaisedIcon, text: 'Split' }
     };
 
     const config = statusConfig[status] || statusConfig.pending;
@@ -292,7 +405,7 @@ const EscrowManagement = () => {
       {/* Filters */}
       <div className="bg-white p-4 rounded-lg shadow border">
         <div className="flex flex-wrap gap-2">
-          {['all', 'pending', 'active', 'released', 'disputed', 'refunded'].map((status) => (
+          {['all', 'pending', 'active', 'released', 'disputed', 'refund-pending', 'refunded', 'partially-refunded'].map((status) => (
             <button
               key={status}
               onClick={() => {
@@ -473,6 +586,12 @@ const EscrowManagement = () => {
                   <div>
                     <span className="text-gray-600">Service Charge:</span>
                     <p className="font-medium">{formatCurrency(selectedEscrow.serviceCharge)}</p>
+                    {selectedEscrow.feeSchedule?.version !== undefined && (
+                      <p className="text-xs text-gray-500">
+                        {selectedEscrow.serviceChargePercentage}% · schedule v{selectedEscrow.feeSchedule.version}
+                        {selectedEscrow.feeSchedule.promoCode && ` · ${selectedEscrow.feeSchedule.promoCode} (-${formatCurrency(selectedEscrow.feeSchedule.discount)})`}
+                      </p>
+                    )}
                   </div>
                   <div>
                     <span className="text-gray-600">Total Paid:</span>
@@ -546,6 +665,123 @@ const EscrowManagement = () => {
                 </div>
               </div>
 
+              {/* Dispute history */}
+              {dispute && (
+                <div className="bg-gray-50 p-4 rounded-lg">
+                  <div className="flex justify-between items-center mb-3">
+                    <h3 className="font-semibold">Dispute History</h3>
+                    <span className="text-xs text-gray-600">
+                      {dispute.status === 'awaiting-response'
+                        ? `Waiting on ${dispute.awaitingRoles?.join(' & ') || 'response'} until ${formatDate(dispute.pendingRequest?.responseDeadline)}`
+                        : dispute.status === 'resolved' ? 'Resolved' : 'Open'}
+                    </span>
+                  </div>
+
+                  <div className="max-h-80 overflow-y-auto pr-1">
+                    <DisputeThread dispute={dispute} />
+                  </div>
+
+                  {dispute.status !== 'resolved' && (
+                    <div className="mt-4 space-y-2">
+                      <div className="flex gap-4 text-sm">
+                        <label className="flex items-center">
+                          <input
+                            type="radio"
+                            checked={disputeMessage.mode === 'note'}
+                            onChange={() => setDisputeMessage({ ...disputeMessage, mode: 'note' })}
+                            className="mr-1"
+                          />
+                          Message both parties
+                        </label>
+                        <label className="flex items-center">
+                          <input
+                            type="radio"
+                            checked={disputeMessage.mode === 'request'}
+                            onChange={() => setDisputeMessage({ ...disputeMessage, mode: 'request' })}
+                            className="mr-1"
+                          />
+                          Request information
+                        </label>
+                      </div>
+
+                      {disputeMessage.mode === 'request' && (
+                        <div className="grid grid-cols-2 gap-2">
+                          <select
+                            value={disputeMessage.requestedFrom}
+                            onChange={(e) => setDisputeMessage({ ...disputeMessage, requestedFrom: e.target.value })}
+                            className="p-2 border rounded-lg text-sm"
+                          >
+                            <option value="both">Both parties</option>
+                            <option value="client">Client</option>
+                            <option value="freelancer">Freelancer</option>
+                          </select>
+                          <input
+                            type="datetime-local"
+                            value={disputeMessage.responseDeadline}
+                            onChange={(e) => setDisputeMessage({ ...disputeMessage, responseDeadline: e.target.value })}
+                            className="p-2 border rounded-lg text-sm"
+                          />
+                        </div>
+                      )}
+
+                      <textarea
+                        value={disputeMessage.body}
+                        onChange={(e) => setDisputeMessage({ ...disputeMessage, body: e.target.value })}
+                        rows={2}
+                        placeholder={disputeMessage.mode === 'request' ? 'What do you need from them?' : 'Message to the client and freelancer...'}
+                        className="w-full p-2 border rounded-lg text-sm"
+                      />
+                      <button
+                        onClick={handleDisputeMessage}
+                        className="bg-gray-800 text-white px-4 py-2 rounded-lg hover:bg-gray-900 text-sm"
+                      >
+                        {disputeMessage.mode === 'request' ? 'Send Request' : 'Post Message'}
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Dispute split & refunds */}
+              {(selectedEscrow.disputeSplit?.freelancerPercentage !== undefined || selectedEscrow.refunds?.length > 0) && (
+                <div className="bg-gray-50 p-4 rounded-lg">
+                  <h3 className="font-semibold mb-2">Refunds</h3>
+                  {selectedEscrow.disputeSplit?.freelancerPercentage !== undefined && (
+                    <div className="grid grid-cols-3 gap-4 text-sm mb-3">
+                      <div>
+                        <span className="text-gray-600">To Freelancer ({selectedEscrow.disputeSplit.freelancerPercentage}%):</span>
+                        <p className="font-medium">{formatCurrency(selectedEscrow.disputeSplit.freelancerAmount)}</p>
+                      </div>
+                      <div>
+                        <span className="text-gray-600">Refund to Client:</span>
+                        <p className="font-medium">{formatCurrency(selectedEscrow.disputeSplit.clientRefundAmount)}</p>
+                      </div>
+                      <div>
+                        <span className="text-gray-600">Platform Fee Kept:</span>
+                        <p className="font-medium">{formatCurrency(selectedEscrow.disputeSplit.platformFeeRetained)}</p>
+                      </div>
+                    </div>
+                  )}
+                  <div className="space-y-2 text-sm">
+                    {(selectedEscrow.refunds || []).map((refund) => (
+                      <div key={refund._id || refund.refundId} className="flex justify-between items-center">
+                        <span className="font-mono text-xs text-gray-600">{refund.refundId || '—'}</span>
+                        <span>{formatCurrency(refund.amount)}</span>
+                        <span className={
+                          refund.status === 'processed' ? 'text-green-600' :
+                          refund.status === 'failed' ? 'text-red-600' :
+                          'text-orange-600'
+                        }>
+                          {refund.status === 'processed' ? '✓ Processed' :
+                           refund.status === 'failed' ? `✗ Failed${refund.retried ? ' (retried)' : ''}` :
+                           '○ Awaiting gateway'}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               {/* Timeline */}
               <div className="bg-gray-50 p-4 rounded-lg">
                 <h3 className="font-semibold mb-2">Timeline</h3>
@@ -605,6 +841,15 @@ const EscrowManagement = () => {
                   Resolve Dispute
                 </button>
               )}
+
+              {selectedEscrow.refundStatus === 'failed' && (
+                <button
+                  onClick={handleRetryRefund}
+                  className="bg-orange-600 text-white px-4 py-2 rounded-lg hover:bg-orange-700"
+                >
+                  Retry Refund
+                </button>
+              )}
               
               <button
                 onClick={() => setShowDetails(false)}
@@ -664,7 +909,9 @@ const EscrowManagement = () => {
                   value={disputeResolution.resolution}
                   onChange={(e) => setDisputeResolution({
                     ...disputeResolution,
-                    resolution: e.target.value
+                    resolution: e.target.value,
+                    releaseToFreelancer: e.target.value === 'release_to_freelancer',
+                    refundToClient: e.target.value === 'refund_to_client'
                   })}
                   className="w-full border border-gray-300 rounded-lg px-3 py-2"
                 >
@@ -675,7 +922,31 @@ const EscrowManagement = () => {
                 </select>
               </div>
               
-              <div className="space-y-2">
+              {disputeResolution.resolution === 'partial_resolution' && (
+                <div>
+                  <label className="block text-sm font-medium mb-2">
+                    Freelancer share: {disputeResolution.freelancerPercentage}%
+                  </label>
+                  <input
+                    type="range"
+                    min="0"
+                    max="100"
+                    step="5"
+                    value={disputeResolution.freelancerPercentage}
+                    onChange={(e) => setDisputeResolution({
+                      ...disputeResolution,
+                      freelancerPercentage: Number(e.target.value)
+                    })}
+                    className="w-full"
+                  />
+                  <div className="flex justify-between text-xs text-gray-600 mt-1">
+                    <span>Freelancer: {formatCurrency((selectedEscrow.milestoneAmount * disputeResolution.freelancerPercentage) / 100)}</span>
+                    <span>Client refund: {formatCurrency((selectedEscrow.milestoneAmount + selectedEscrow.serviceCharge) * (100 - disputeResolution.freelancerPercentage) / 100)}</span>
+                  </div>
+                </div>
+              )}
+
+              <div className={`space-y-2 ${disputeResolution.resolution === 'partial_resolution' ? 'hidden' : ''}`}>
                 <label className="flex items-center">
                   <input
                     type="checkbox"
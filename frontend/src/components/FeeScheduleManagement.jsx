@@ -0,0 +1,933 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import {
+  CalculatorIcon,
+  PencilIcon,
+  PlusIcon,
+  TagIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+import { API_BASE_URL, API_ENDPOINTS } from '../config/api.js';
+
+const CATEGORIES = [
+  { id: 'ui-ux-design', name: 'UI/UX Design' },
+  { id: 'frontend-development', name: 'Frontend Development' },
+  { id: 'backend-development', name: 'Backend Development' },
+  { id: 'mobile-app-development', name: 'Mobile App Development' },
+  { id: 'full-stack-development', name: 'Full Stack Development' },
+  { id: 'data-science', name: 'Data Science & Analytics' },
+  { id: 'digital-marketing', name: 'Digital Marketing' },
+  { id: 'graphic-design', name: 'Graphic Design' },
+  { id: 'content-writing', name: 'Content Writing' },
+  { id: 'other', name: 'Other' }
+];
+
+const categoryName = (id) => CATEGORIES.find(category => category.id === id)?.name || id;
+
+const formatCurrency = (amount) => new Intl.NumberFormat('en-IN', {
+  style: 'currency',
+  currency: 'INR'
+}).format(amount || 0);
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// datetime-local inputs want local time without seconds or a timezone
+const toDateTimeInput = (date) => {
+  const value = new Date(date);
+  value.setMinutes(value.getMinutes() - value.getTimezoneOffset());
+  return value.toISOString().slice(0, 16);
+};
+
+const describeTier = (tiers, index) => {
+  const tier = tiers[index];
+  const from = index === 0 ? 0 : tiers[index - 1].upTo;
+  if (tier.upTo === null || tier.upTo === undefined) {
+    return `${formatCurrency(from)} and above`;
+  }
+  return `${formatCurrency(from)} – under ${formatCurrency(tier.upTo)}`;
+};
+
+const scheduleToForm = (schedule) => ({
+  name: schedule?.name || '',
+  effectiveFrom: toDateTimeInput(schedule && new Date(schedule.effectiveFrom) > new Date() ? schedule.effectiveFrom : Date.now() + 60 * 60 * 1000),
+  tiers: (schedule?.tiers || [{ upTo: null, percentage: 5 }]).map(tier => ({
+    upTo: tier.upTo ?? '',
+    percentage: tier.percentage
+  })),
+  defaultPercentage: schedule?.defaultPercentage ?? 5,
+  minimumCharge: schedule?.minimumCharge ?? 0,
+  categoryOverrides: (schedule?.categoryOverrides || []).map(override => ({
+    category: override.category,
+    percentage: override.percentage,
+    minimumCharge: override.minimumCharge ?? ''
+  })),
+  notes: schedule?.notes || ''
+});
+
+const formToPayload = (form) => ({
+  name: form.name,
+  effectiveFrom: new Date(form.effectiveFrom).toISOString(),
+  tiers: form.tiers.map((tier, index) => ({
+    upTo: index === form.tiers.length - 1 || tier.upTo === '' ? null : Number(tier.upTo),
+    percentage: Number(tier.percentage)
+  })),
+  defaultPercentage: Number(form.defaultPercentage),
+  minimumCharge: Number(form.minimumCharge) || 0,
+  categoryOverrides: form.categoryOverrides.map(override => ({
+    category: override.category,
+    percentage: Number(override.percentage),
+    minimumCharge: override.minimumCharge === '' ? undefined : Number(override.minimumCharge)
+  })),
+  notes: form.notes
+});
+
+const EMPTY_PROMO = {
+  code: '',
+  description: '',
+  discountType: 'percentage',
+  discountValue: '',
+  validFrom: '',
+  validUntil: '',
+  maxRedemptions: '',
+  categories: []
+};
+
+const FeeScheduleManagement = () => {
+  const [schedules, setSchedules] = useState([]);
+  const [activeSchedule, setActiveSchedule] = useState(null);
+  const [promoCodes, setPromoCodes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null); // { id, form } — id is null for a new version
+  const [saving, setSaving] = useState(false);
+  const [promoForm, setPromoForm] = useState(null);
+  const [preview, setPreview] = useState({ amount: '', projectBudget: '', category: '', promoCode: '' });
+  const [previewResult, setPreviewResult] = useState(null);
+
+  const token = localStorage.getItem('token');
+
+  const fetchData = useCallback(async () => {
+    try {
+      const headers = { 'Authorization': `Bearer ${localStorage.getItem('token')}` };
+      const [schedulesResponse, promoResponse] = await Promise.all([
+        fetch(`${API_BASE_URL}${API_ENDPOINTS.ADMIN.FEE_SCHEDULES}`, { headers }),
+        fetch(`${API_BASE_URL}${API_ENDPOINTS.ADMIN.PROMO_CODES}`, { headers })
+      ]);
+
+      const schedulesData = await schedulesResponse.json();
+      const promoData = await promoResponse.json();
+
+      if (schedulesData.success) {
+        setSchedules(schedulesData.data.schedules);
+        setActiveSchedule(schedulesData.data.active);
+      } else {
+        toast.error(schedulesData.message || 'Failed to fetch fee schedules');
+      }
+
+      if (promoData.success) {
+        setPromoCodes(promoData.data);
+      }
+    } catch (error) {
+      console.error('Error fetching fee schedules:', error);
+      toast.error('Failed to fetch fee schedules');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const updateForm = (changes) => setEditing(prev => ({ ...prev, form: { ...prev.form, ...changes } }));
+
+  const updateTier = (index, field, value) => {
+    updateForm({
+      tiers: editing.form.tiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier))
+    });
+  };
+
+  const updateOverride = (index, field, value) => {
+    updateForm({
+      categoryOverrides: editing.form.categoryOverrides.map((override, i) => (i === index ? { ...override, [field]: value } : override))
+    });
+  };
+
+  const saveSchedule = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const url = editing.id
+        ? API_ENDPOINTS.ADMIN.FEE_SCHEDULE_BY_ID(editing.id)
+        : API_ENDPOINTS.ADMIN.FEE_SCHEDULES;
+
+      const response = await fetch(`${API_BASE_URL}${url}`, {
+        method: editing.id ? 'PUT' : 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(formToPayload(editing.form))
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        toast.success(data.message);
+        setEditing(null);
+        fetchData();
+      } else {
+        toast.error(data.message || 'Failed to save fee schedule');
+      }
+    } catch (error) {
+      console.error('Error saving fee schedule:', error);
+      toast.error('Failed to save fee schedule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteSchedule = async (schedule) => {
+    if (!window.confirm(`Delete scheduled version v${schedule.version} (${schedule.name})?`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.ADMIN.FEE_SCHEDULE_BY_ID(schedule._id)}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        toast.success(data.message);
+        fetchData();
+      } else {
+        toast.error(data.message || 'Failed to delete fee schedule');
+      }
+    } catch (error) {
+      console.error('Error deleting fee schedule:', error);
+      toast.error('Failed to delete fee schedule');
+    }
+  };
+
+  const savePromoCode = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.ADMIN.PROMO_CODES}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          ...promoForm,
+          discountValue: Number(promoForm.discountValue),
+          maxRedemptions: promoForm.maxRedemptions === '' ? undefined : Number(promoForm.maxRedemptions),
+          validFrom: promoForm.validFrom ? new Date(promoForm.validFrom).toISOString() : undefined,
+          validUntil: promoForm.validUntil ? new Date(promoForm.validUntil).toISOString() : undefined
+        })
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        toast.success(data.message);
+        setPromoForm(null);
+        fetchData();
+      } else {
+        toast.error(data.message || 'Failed to create promo code');
+      }
+    } catch (error) {
+      console.error('Error creating promo code:', error);
+      toast.error('Failed to create promo code');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const togglePromoCode = async (promo) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.ADMIN.PROMO_CODE_BY_ID(promo._id)}`, {
+        method: 'PATCH',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ isActive: !promo.isActive })
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        toast.success(data.message);
+        fetchData();
+      } else {
+        toast.error(data.message || 'Failed to update promo code');
+      }
+    } catch (error) {
+      console.error('Error updating promo code:', error);
+      toast.error('Failed to update promo code');
+    }
+  };
+
+  const runPreview = async (e) => {
+    e.preventDefault();
+
+    try {
+      const params = new URLSearchParams(
+        Object.entries(preview).filter(([, value]) => value !== '')
+      );
+      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.ADMIN.FEE_SCHEDULE_PREVIEW}?${params}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        setPreviewResult(data.data);
+      } else {
+        setPreviewResult(null);
+        toast.error(data.message || 'Failed to calculate');
+      }
+    } catch (error) {
+      console.error('Error previewing fee:', error);
+      toast.error('Failed to calculate');
+    }
+  };
+
+  const scheduleStatus = (schedule) => {
+    if (activeSchedule?._id === schedule._id) {
+      return { color: 'bg-green-100 text-green-800', text: 'In effect' };
+    }
+    if (new Date(schedule.effectiveFrom) > new Date()) {
+      return { color: 'bg-blue-100 text-blue-800', text: 'Scheduled' };
+    }
+    return { color: 'bg-gray-100 text-gray-800', text: 'Superseded' };
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-900">Service Charge Schedules</h1>
+        <button
+          onClick={() => setEditing({ id: null, form: scheduleToForm({ ...activeSchedule, name: '' }) })}
+          className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 text-sm font-medium"
+        >
+          <PlusIcon className="h-4 w-4 mr-1" />
+          New Version
+        </button>
+      </div>
+
+      {/* Schedule in force */}
+      {activeSchedule && (
+        <div className="bg-white p-6 rounded-lg shadow border">
+          <div className="flex items-center justify-between mb-4">
+            <div>
+              <p className="text-sm font-medium text-gray-500">In effect now</p>
+              <h2 className="text-lg font-semibold text-gray-900">
+                v{activeSchedule.version} · {activeSchedule.name}
+              </h2>
+              {activeSchedule.version === 0 && (
+                <p className="text-xs text-gray-500">Built-in tiers. Publish a version to manage fees here.</p>
+              )}
+            </div>
+            <div className="text-right text-sm text-gray-600">
+              <p>Minimum charge: {formatCurrency(activeSchedule.minimumCharge)}</p>
+              <p>Budget unknown: {activeSchedule.defaultPercentage ?? 5}%</p>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 mb-2">Budget tiers</h3>
+              <ul className="divide-y divide-gray-100 border rounded-md">
+                {activeSchedule.tiers.map((tier, index) => (
+                  <li key={index} className="flex justify-between px-3 py-2 text-sm">
+                    <span className="text-gray-600">{describeTier(activeSchedule.tiers, index)}</span>
+                    <span className="font-medium text-gray-900">{tier.percentage}%</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 mb-2">Category overrides</h3>
+              {activeSchedule.categoryOverrides?.length > 0 ? (
+                <ul className="divide-y divide-gray-100 border rounded-md">
+                  {activeSchedule.categoryOverrides.map(override => (
+                    <li key={override.category} className="flex justify-between px-3 py-2 text-sm">
+                      <span className="text-gray-600">{categoryName(override.category)}</span>
+                      <span className="font-medium text-gray-900">
+                        {override.percentage}%
+                        {override.minimumCharge !== undefined && override.minimumCharge !== null && ` (min ${formatCurrency(override.minimumCharge)})`}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-sm text-gray-500">All categories use the budget tiers.</p>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Versions */}
+      <div className="bg-white shadow border rounded-lg overflow-hidden">
+        <div className="px-6 py-4 border-b">
+          <h2 className="text-lg font-medium text-gray-900">Versions</h2>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Version</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Effective From</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Tiers</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {schedules.length === 0 && (
+                <tr>
+                  <td colSpan={5} className="px-6 py-8 text-center text-sm text-gray-500">
+                    No schedules published yet
+                  </td>
+                </tr>
+              )}
+              {schedules.map(schedule => {
+                const status = scheduleStatus(schedule);
+                const upcoming = new Date(schedule.effectiveFrom) > new Date();
+
+                return (
+                  <tr key={schedule._id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900">v{schedule.version} · {schedule.name}</div>
+                      <div className="text-xs text-gray-500">by {schedule.createdBy?.fullName || 'Unknown'}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(schedule.effectiveFrom)}</td>
+                    <td className="px-6 py-4 text-sm text-gray-700">
+                      {schedule.tiers.map(tier => `${tier.percentage}%`).join(' / ')}
+                      {schedule.categoryOverrides?.length > 0 && (
+                        <span className="text-xs text-gray-500"> · {schedule.categoryOverrides.length} override(s)</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${status.color}`}>
+                        {status.text}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                      {upcoming ? (
+                        <div className="flex gap-3">
+                          <button
+                            onClick={() => setEditing({ id: schedule._id, form: scheduleToForm(schedule) })}
+                            className="text-blue-600 hover:text-blue-900 flex items-center"
+                          >
+                            <PencilIcon className="h-4 w-4 mr-1" />
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => deleteSchedule(schedule)}
+                            className="text-red-600 hover:text-red-900 flex items-center"
+                          >
+                            <TrashIcon className="h-4 w-4 mr-1" />
+                            Delete
+                          </button>
+                        </div>
+                      ) : (
+                        <span className="text-xs text-gray-500">Locked</span>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Promo Codes */}
+      <div className="bg-white shadow border rounded-lg overflow-hidden">
+        <div className="px-6 py-4 border-b flex items-center justify-between">
+          <h2 className="text-lg font-medium text-gray-900 flex items-center">
+            <TagIcon className="h-5 w-5 mr-2 text-gray-500" />
+            Promo Codes
+          </h2>
+          <button
+            onClick={() => setPromoForm(EMPTY_PROMO)}
+            className="flex items-center px-3 py-1.5 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+          >
+            <PlusIcon className="h-4 w-4 mr-1" />
+            New Code
+          </button>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Code</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Discount</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Valid</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Used</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {promoCodes.length === 0 && (
+                <tr>
+                  <td colSpan={5} className="px-6 py-8 text-center text-sm text-gray-500">
+                    No promo codes yet
+                  </td>
+                </tr>
+              )}
+              {promoCodes.map(promo => (
+                <tr key={promo._id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm font-mono font-medium text-gray-900">{promo.code}</div>
+                    <div className="text-xs text-gray-500">
+                      {promo.categories?.length > 0 ? promo.categories.map(categoryName).join(', ') : 'All categories'}
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                    {promo.discountType === 'percentage'
+                      ? `${promo.discountValue}% off fee`
+                      : `${formatCurrency(promo.discountValue)} off fee`}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {promo.validFrom ? formatDate(promo.validFrom) : 'Now'} → {promo.validUntil ? formatDate(promo.validUntil) : 'No end'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                    {promo.redemptionCount}{promo.maxRedemptions ? ` / ${promo.maxRedemptions}` : ''}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                    <button
+                      onClick={() => togglePromoCode(promo)}
+                      className={promo.isActive ? 'text-red-600 hover:text-red-900' : 'text-green-600 hover:text-green-900'}
+                    >
+                      {promo.isActive ? 'Deactivate' : 'Activate'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Preview */}
+      <div className="bg-white p-6 rounded-lg shadow border">
+        <h2 className="text-lg font-medium text-gray-900 flex items-center mb-4">
+          <CalculatorIcon className="h-5 w-5 mr-2 text-gray-500" />
+          Fee Calculator
+        </h2>
+        <form onSubmit={runPreview} className="grid grid-cols-1 md:grid-cols-5 gap-3">
+          <input
+            type="number"
+            min="1"
+            required
+            placeholder="Payment amount"
+            value={preview.amount}
+            onChange={(e) => setPreview({ ...preview, amount: e.target.value })}
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+          />
+          <input
+            type="number"
+            min="0"
+            placeholder="Project budget"
+            value={preview.projectBudget}
+            onChange={(e) => setPreview({ ...preview, projectBudget: e.target.value })}
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+          />
+          <select
+            value={preview.category}
+            onChange={(e) => setPreview({ ...preview, category: e.target.value })}
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+          >
+            <option value="">Any category</option>
+            {CATEGORIES.map(category => (
+              <option key={category.id} value={category.id}>{category.name}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            placeholder="Promo code"
+            value={preview.promoCode}
+            onChange={(e) => setPreview({ ...preview, promoCode: e.target.value.toUpperCase() })}
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm font-mono"
+          />
+          <button type="submit" className="bg-gray-800 text-white rounded-md px-3 py-2 text-sm hover:bg-gray-900">
+            Calculate
+          </button>
+        </form>
+        {previewResult && (
+          <div className="mt-4 p-4 bg-gray-50 rounded-md text-sm text-gray-700 grid grid-cols-2 md:grid-cols-4 gap-3">
+            <div>
+              <p className="text-gray-500">Rate</p>
+              <p className="font-medium">
+                {previewResult.serviceChargePercentage}%
+                {previewResult.breakdown.categoryOverride && ' (category)'}
+              </p>
+            </div>
+            <div>
+              <p className="text-gray-500">Service charge</p>
+              <p className="font-medium">
+                {formatCurrency(previewResult.serviceCharge)}
+                {previewResult.breakdown.minimumApplied && ' (minimum)'}
+              </p>
+            </div>
+            <div>
+              <p className="text-gray-500">Promo discount</p>
+              <p className="font-medium">{formatCurrency(previewResult.breakdown.discount)}</p>
+            </div>
+            <div>
+              <p className="text-gray-500">Client pays</p>
+              <p className="font-semibold text-gray-900">{formatCurrency(previewResult.totalAmount)}</p>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Schedule Editor Modal */}
+      {editing && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-10 mx-auto p-6 border max-w-2xl shadow-lg rounded-md bg-white mb-10">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">
+              {editing.id ? 'Edit Scheduled Version' : 'Publish New Version'}
+            </h3>
+            <form onSubmit={saveSchedule} className="space-y-5">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                  <input
+                    type="text"
+                    required
+                    value={editing.form.name}
+                    onChange={(e) => updateForm({ name: e.target.value })}
+                    placeholder="e.g. Festive season 2026"
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Effective from</label>
+                  <input
+                    type="datetime-local"
+                    required
+                    value={editing.form.effectiveFrom}
+                    onChange={(e) => updateForm({ effectiveFrom: e.target.value })}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Minimum charge (₹)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={editing.form.minimumCharge}
+                    onChange={(e) => updateForm({ minimumCharge: e.target.value })}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Rate when budget is unknown (%)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="20"
+                    step="0.1"
+                    required
+                    value={editing.form.defaultPercentage}
+                    onChange={(e) => updateForm({ defaultPercentage: e.target.value })}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <label className="text-sm font-medium text-gray-700">Budget tiers</label>
+                  <button
+                    type="button"
+                    onClick={() => updateForm({ tiers: [{ upTo: '', percentage: '' }, ...editing.form.tiers] })}
+                    className="text-sm text-blue-600 hover:text-blue-800"
+                  >
+                    + Add tier
+                  </button>
+                </div>
+                <div className="space-y-2">
+                  {editing.form.tiers.map((tier, index) => {
+                    const isLast = index === editing.form.tiers.length - 1;
+                    return (
+                      <div key={index} className="flex items-center gap-2">
+                        <span className="text-sm text-gray-500 w-24">Budget under</span>
+                        <input
+                          type="number"
+                          min="1"
+                          required={!isLast}
+                          disabled={isLast}
+                          placeholder={isLast ? 'No limit' : '₹'}
+                          value={isLast ? '' : tier.upTo}
+                          onChange={(e) => updateTier(index, 'upTo', e.target.value)}
+                          className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm disabled:bg-gray-100"
+                        />
+                        <input
+                          type="number"
+                          min="0"
+                          max="20"
+                          step="0.1"
+                          required
+                          placeholder="%"
+                          value={tier.percentage}
+                          onChange={(e) => updateTier(index, 'percentage', e.target.value)}
+                          className="w-24 border border-gray-300 rounded-md px-3 py-2 text-sm"
+                        />
+                        <button
+                          type="button"
+                          disabled={editing.form.tiers.length === 1}
+                          onClick={() => updateForm({ tiers: editing.form.tiers.filter((_, i) => i !== index) })}
+                          className="text-gray-400 hover:text-red-600 disabled:opacity-30"
+                        >
+                          <TrashIcon className="h-4 w-4" />
+                        </button>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <label className="text-sm font-medium text-gray-700">Category overrides</label>
+                  <button
+                    type="button"
+                    onClick={() => updateForm({
+                      categoryOverrides: [...editing.form.categoryOverrides, { category: CATEGORIES[0].id, percentage: '', minimumCharge: '' }]
+                    })}
+                    className="text-sm text-blue-600 hover:text-blue-800"
+                  >
+                    + Add override
+                  </button>
+                </div>
+                {editing.form.categoryOverrides.length === 0 && (
+                  <p className="text-sm text-gray-500">No overrides. Every category uses the budget tiers.</p>
+                )}
+                <div className="space-y-2">
+                  {editing.form.categoryOverrides.map((override, index) => (
+                    <div key={index} className="flex items-center gap-2">
+                      <select
+                        value={override.category}
+                        onChange={(e) => updateOverride(index, 'category', e.target.value)}
+                        className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm"
+                      >
+                        {CATEGORIES.map(category => (
+                          <option key={category.id} value={category.id}>{category.name}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="number"
+                        min="0"
+                        max="20"
+                        step="0.1"
+                        required
+                        placeholder="%"
+                        value={override.percentage}
+                        onChange={(e) => updateOverride(index, 'percentage', e.target.value)}
+                        className="w-24 border border-gray-300 rounded-md px-3 py-2 text-sm"
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        placeholder="Min ₹"
+                        value={override.minimumCharge}
+                        onChange={(e) => updateOverride(index, 'minimumCharge', e.target.value)}
+                        className="w-28 border border-gray-300 rounded-md px-3 py-2 text-sm"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => updateForm({ categoryOverrides: editing.form.categoryOverrides.filter((_, i) => i !== index) })}
+                        className="text-gray-400 hover:text-red-600"
+                      >
+                        <TrashIcon className="h-4 w-4" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <textarea
+                  rows={2}
+                  value={editing.form.notes}
+                  onChange={(e) => updateForm({ notes: e.target.value })}
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                />
+              </div>
+
+              <p className="text-xs text-gray-500">
+                Escrows record the version they were charged under. Once a version takes effect it can no longer be edited.
+              </p>
+
+              <div className="flex justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={() => setEditing(null)}
+                  className="px-4 py-2 bg-gray-300 text-gray-700 rounded-md hover:bg-gray-400"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : 'Save Schedule'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Promo Code Modal */}
+      {promoForm && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-6 border max-w-lg shadow-lg rounded-md bg-white">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">New Promo Code</h3>
+            <form onSubmit={savePromoCode} className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Code</label>
+                  <input
+                    type="text"
+                    required
+                    value={promoForm.code}
+                    onChange={(e) => setPromoForm({ ...promoForm, code: e.target.value.toUpperCase() })}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm font-mono"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Discount</label>
+                  <div className="flex gap-2">
+                    <select
+                      value={promoForm.discountType}
+                      onChange={(e) => setPromoForm({ ...promoForm, discountType: e.target.value })}
+                      className="border border-gray-300 rounded-md px-2 py-2 text-sm"
+                    >
+                      <option value="percentage">%</option>
+                      <option value="fixed">₹</option>
+                    </select>
+                    <input
+                      type="number"
+                      min="0"
+                      required
+                      value={promoForm.discountValue}
+                      onChange={(e) => setPromoForm({ ...promoForm, discountValue: e.target.value })}
+                      className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                    />
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Valid from</label>
+                  <input
+                    type="datetime-local"
+                    value={promoForm.validFrom}
+                    onChange={(e) => setPromoForm({ ...promoForm, validFrom: e.target.value })}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Valid until</label>
+                  <input
+                    type="datetime-local"
+                    value={promoForm.validUntil}
+                    onChange={(e) => setPromoForm({ ...promoForm, validUntil: e.target.value })}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Max uses</label>
+                  <input
+                    type="number"
+                    min="1"
+                    placeholder="Unlimited"
+                    value={promoForm.maxRedemptions}
+                    onChange={(e) => setPromoForm({ ...promoForm, maxRedemptions: e.target.value })}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                  <input
+                    type="text"
+                    value={promoForm.description}
+                    onChange={(e) => setPromoForm({ ...promoForm, description: e.target.value })}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Categories (none selected = all)</label>
+                <div className="grid grid-cols-2 gap-1">
+                  {CATEGORIES.map(category => (
+                    <label key={category.id} className="flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        className="mr-2"
+                        checked={promoForm.categories.includes(category.id)}
+                        onChange={(e) => setPromoForm({
+                          ...promoForm,
+                          categories: e.target.checked
+                            ? [...promoForm.categories, category.id]
+                            : promoForm.categories.filter(id => id !== category.id)
+                        })}
+                      />
+                      {category.name}
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div className="flex justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={() => setPromoForm(null)}
+                  className="px-4 py-2 bg-gray-300 text-gray-700 rounded-md hover:bg-gray-400"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : 'Create Code'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FeeScheduleManagement;
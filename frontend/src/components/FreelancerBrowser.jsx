@@ -13,6 +13,7 @@ import {
   AdjustmentsHorizontalIcon
 } from '@heroicons/react/24/outline';
 import { Button, Card, Badge } from './ui';
+import InviteFreelancerModal from './InviteFreelancerModal';
 
 const FreelancerBrowser = () => {
   const [freelancers, setFreelancers] = useState([]);
@@ -30,6 +31,7 @@ const FreelancerBrowser = () => {
     totalFreelancers: 0
   });
   const [showFilters, setShowFilters] = useState(false);
+  const [inviteFreelancer, setInviteFreelancer] = useState(null);
 
   // Fetch freelancers from API
   const fetchFreelancers = async (page = 1) => {
@@ -245,10 +247,7 @@ const FreelancerBrowser = () => {
               <Button
                 variant="primary"
                 size="small"
-                onClick={() => {
-                  // TODO: Open message/invite modal
-                  toast.success('Invite freelancer feature coming soon!');
-                }}
+                onClick={() => setInviteFreelancer(freelancer)}
               >
                 Invite
               </Button>
@@ -460,6 +459,15 @@ const FreelancerBrowser = () => {
           </Button>
         </div>
       )}
+
+      {/* Invite Modal */}
+      {inviteFreelancer && (
+        <InviteFreelancerModal
+          freelancer={inviteFreelancer}
+          source="browse"
+          onClose={() => setInviteFreelancer(null)}
+        />
+      )}
     </div>
   );
 };
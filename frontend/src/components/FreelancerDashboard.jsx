@@ -9,12 +9,15 @@ import {
   StarIcon,
   DocumentTextIcon,
   UserIcon,
-  ChatBubbleLeftIcon
+  ChatBubbleLeftIcon,
+  EnvelopeIcon
 } from '@heroicons/react/24/outline';
 import { Button, Card, Badge } from './ui';
 import ProjectApplicationModal from './ProjectApplicationModal';
 import ChatInterface from './ChatInterface';
 import WorkspaceInterfaceFixed from './WorkspaceInterfaceFixed';
+import FreelancerWallet from './FreelancerWallet';
+import FreelancerInvitations from './FreelancerInvitations';
 import { formatChatListTime } from '../utils/dateUtils';
 
 const FreelancerDashboard = ({ externalActiveTab, onTabChange }) => {
@@ -76,6 +79,7 @@ const FreelancerDashboard = ({ externalActiveTab, onTabChange }) => {
   const tabs = [
     { id: 'recommendations', name: '🎯 AI Matches', icon: StarIcon },
     { id: 'browse', name: 'Browse Projects', icon: MagnifyingGlassIcon },
+    { id: 'invitations', name: 'Invitations', icon: EnvelopeIcon },
     { id: 'proposals', name: 'My Proposals', icon: DocumentTextIcon },
     { id: 'messages', name: 'Messages', icon: UserIcon },
     { id: 'active', name: 'Active Projects', icon: BriefcaseIcon },
@@ -949,23 +953,26 @@ const FreelancerDashboard = ({ externalActiveTab, onTabChange }) => {
   );
 
   const renderEarnings = () => (
-    <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-      <div className="bg-white rounded-lg shadow-md p-6 text-center">
-        <CurrencyDollarIcon className="h-12 w-12 text-accent mx-auto mb-4" />
-        <h3 className="text-2xl font-bold text-gray-900 mb-2">Rs.{stats.totalEarnings.toLocaleString()}</h3>
-        <p className="text-gray-600">Total Earnings</p>
-      </div>
-      <div className="bg-white rounded-lg shadow-md p-6 text-center">
-        <ClockIcon className="h-12 w-12 text-accent mx-auto mb-4" />
-        <h3 className="text-2xl font-bold text-gray-900 mb-2">{stats.hoursWorked}</h3>
-        <p className="text-gray-600">Hours Worked</p>
-      </div>
-      <div className="bg-white rounded-lg shadow-md p-6 text-center">
-        <StarIcon className="h-12 w-12 text-accent mx-auto mb-4" />
-        <h3 className="text-2xl font-bold text-gray-900 mb-2">{stats.completedProjects}</h3>
-        <p className="text-gray-600">Completed Projects</p>
+    <>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <div className="bg-white rounded-lg shadow-md p-6 text-center">
+          <CurrencyDollarIcon className="h-12 w-12 text-accent mx-auto mb-4" />
+          <h3 className="text-2xl font-bold text-gray-900 mb-2">Rs.{stats.totalEarnings.toLocaleString()}</h3>
+          <p className="text-gray-600">Total Earnings</p>
+        </div>
+        <div className="bg-white rounded-lg shadow-md p-6 text-center">
+          <ClockIcon className="h-12 w-12 text-accent mx-auto mb-4" />
+          <h3 className="text-2xl font-bold text-gray-900 mb-2">{stats.hoursWorked}</h3>
+          <p className="text-gray-600">Hours Worked</p>
+        </div>
+        <div className="bg-white rounded-lg shadow-md p-6 text-center">
+          <StarIcon className="h-12 w-12 text-accent mx-auto mb-4" />
+          <h3 className="text-2xl font-bold text-gray-900 mb-2">{stats.completedProjects}</h3>
+          <p className="text-gray-600">Completed Projects</p>
+        </div>
       </div>
-    </div>
+      <FreelancerWallet />
+    </>
   );
 
   const renderMessages = () => {
@@ -1045,6 +1052,8 @@ const FreelancerDashboard = ({ externalActiveTab, onTabChange }) => {
         return renderAIRecommendations();
       case 'browse':
         return renderBrowseProjects();
+      case 'invitations':
+        return <FreelancerInvitations onAccepted={() => setActiveTab('proposals')} />;
       case 'proposals':
         return renderMyProposals();
       case 'messages':
@@ -1114,6 +1123,8 @@ const FreelancerDashboard = ({ externalActiveTab, onTabChange }) => {
         isOpen={chatModal.isOpen}
         onClose={() => setChatModal({ isOpen: false, chatId: null })}
         user={user}
+        focusMessageId={chatModal.focusMessageId}
+        onOpenChat={(chatId, messageId) => setChatModal({ isOpen: true, chatId, focusMessageId: messageId })}
       />
 
       {/* Fixed Workspace Modal */}
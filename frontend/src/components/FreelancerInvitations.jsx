@@ -0,0 +1,285 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { API_ENDPOINTS, buildApiUrl } from '../config/api';
+import { formatMoney } from '../utils/currency';
+import { formatDate } from '../utils/dateUtils';
+import { EnvelopeIcon, CheckIcon, XMarkIcon } from '@heroicons/react/24/outline';
+
+const STATUS_STYLES = {
+  pending: 'bg-blue-100 text-blue-800',
+  accepted: 'bg-green-100 text-green-800',
+  declined: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-800',
+  expired: 'bg-gray-100 text-gray-800'
+};
+
+const STATUS_LABELS = {
+  pending: 'Awaiting your reply',
+  accepted: 'Accepted',
+  declined: 'Declined',
+  cancelled: 'Withdrawn by client',
+  expired: 'Expired'
+};
+
+/**
+ * Invitations clients sent the freelancer. Accepting applies to the project
+ * straight away; declining asks for a reason the client will see.
+ */
+const FreelancerInvitations = ({ onAccepted }) => {
+  const [invitations, setInvitations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [acceptModal, setAcceptModal] = useState(null);
+  const [declineModal, setDeclineModal] = useState(null);
+  const [proposal, setProposal] = useState({ proposedRate: '', proposedTimeline: '', coverLetter: '' });
+  const [declineReason, setDeclineReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchInvitations = async () => {
+    setLoading(true);
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(buildApiUrl(API_ENDPOINTS.INVITATIONS.RECEIVED), {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setInvitations(data.data || []);
+      } else {
+        toast.error(data.message || 'Failed to load invitations');
+      }
+    } catch (error) {
+      console.error('Error fetching invitations:', error);
+      toast.error('Failed to load invitations');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchInvitations();
+  }, []);
+
+  const openAccept = (invitation) => {
+    setProposal({
+      proposedRate: invitation.project?.budgetAmount ?? '',
+      proposedTimeline: invitation.project?.deadline ? invitation.project.deadline.split('T')[0] : '',
+      coverLetter: ''
+    });
+    setAcceptModal(invitation);
+  };
+
+  const respond = async (invitation, action, body) => {
+    setSubmitting(true);
+    try {
+      const token = localStorage.getItem('token');
+      const endpoint = action === 'accept'
+        ? API_ENDPOINTS.INVITATIONS.ACCEPT(invitation._id)
+        : API_ENDPOINTS.INVITATIONS.DECLINE(invitation._id);
+      const response = await fetch(buildApiUrl(endpoint), {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `Failed to ${action} invitation`);
+      }
+
+      toast.success(data.message);
+      setAcceptModal(null);
+      setDeclineModal(null);
+      setDeclineReason('');
+      fetchInvitations();
+      if (action === 'accept' && onAccepted) onAccepted(data.data.application);
+    } catch (error) {
+      console.error(`Error trying to ${action} invitation:`, error);
+      toast.error(error.message);
+      // The project may have closed in the meantime
+      fetchInvitations();
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (invitations.length === 0) {
+    return (
+      <div className="text-center py-12">
+        <EnvelopeIcon className="h-16 w-16 text-gray-400 mx-auto mb-4" />
+        <h3 className="text-lg font-semibold text-gray-600 mb-2">No invitations yet</h3>
+        <p className="text-gray-500">When a client invites you to one of their projects, it will show up here.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {invitations.map(invitation => (
+        <div key={invitation._id} className="bg-white rounded-lg shadow-sm border p-6">
+          <div className="flex items-start justify-between gap-4">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">{invitation.project?.title || 'Project removed'}</h3>
+              <p className="text-sm text-gray-500">
+                From {invitation.client?.fullName || 'a client'} · {formatDate(invitation.createdAt)}
+              </p>
+            </div>
+            <span className={`px-3 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[invitation.status]}`}>
+              {STATUS_LABELS[invitation.status]}
+            </span>
+          </div>
+
+          {invitation.message && (
+            <p className="mt-3 p-3 bg-blue-50 rounded-md text-sm text-gray-700 italic">"{invitation.message}"</p>
+          )}
+
+          {invitation.project && (
+            <div className="mt-3 flex flex-wrap gap-4 text-sm text-gray-600">
+              <span>
+                Budget: {formatMoney(invitation.project.budgetAmount, invitation.project.currency)}
+                {invitation.project.budgetType === 'hourly' ? '/hr' : ''}
+              </span>
+              {invitation.project.deadline && <span>Deadline: {formatDate(invitation.project.deadline)}</span>}
+            </div>
+          )}
+
+          {invitation.status === 'declined' && invitation.declineReason && (
+            <p className="mt-3 text-sm text-gray-500">Your reason: {invitation.declineReason}</p>
+          )}
+
+          {invitation.status === 'pending' && (
+            <div className="mt-4 flex gap-3">
+              <button
+                onClick={() => openAccept(invitation)}
+                className="flex items-center gap-1 px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 text-sm font-medium"
+              >
+                <CheckIcon className="h-4 w-4" />
+                Accept & Apply
+              </button>
+              <button
+                onClick={() => setDeclineModal(invitation)}
+                className="flex items-center gap-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 text-sm font-medium"
+              >
+                <XMarkIcon className="h-4 w-4" />
+                Decline
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+
+      {/* Accept Modal */}
+      {acceptModal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-6 border max-w-md shadow-lg rounded-md bg-white">
+            <h3 className="text-lg font-medium text-gray-900 mb-1">Accept invitation</h3>
+            <p className="text-sm text-gray-500 mb-4">
+              This sends your application for "{acceptModal.project?.title}" to the client.
+            </p>
+
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Your rate ({acceptModal.project?.currency || 'INR'})
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  value={proposal.proposedRate}
+                  onChange={(e) => setProposal({ ...proposal, proposedRate: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Completion date</label>
+                <input
+                  type="date"
+                  value={proposal.proposedTimeline}
+                  onChange={(e) => setProposal({ ...proposal, proposedTimeline: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Cover letter (optional)</label>
+                <textarea
+                  value={proposal.coverLetter}
+                  onChange={(e) => setProposal({ ...proposal, coverLetter: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  rows={4}
+                />
+              </div>
+            </div>
+
+            <div className="flex justify-end space-x-3 mt-6">
+              <button
+                onClick={() => setAcceptModal(null)}
+                className="px-4 py-2 bg-gray-300 text-gray-700 rounded-md hover:bg-gray-400"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={() => respond(acceptModal, 'accept', proposal)}
+                disabled={submitting}
+                className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50"
+              >
+                {submitting ? 'Sending...' : 'Accept & Apply'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Decline Modal */}
+      {declineModal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-6 border max-w-md shadow-lg rounded-md bg-white">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">Decline invitation</h3>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Reason *</label>
+            <textarea
+              value={declineReason}
+              onChange={(e) => setDeclineReason(e.target.value)}
+              placeholder="Let the client know why, e.g. fully booked this month"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              rows={3}
+              maxLength={500}
+            />
+            <div className="flex justify-end space-x-3 mt-6">
+              <button
+                onClick={() => {
+                  setDeclineModal(null);
+                  setDeclineReason('');
+                }}
+                className="px-4 py-2 bg-gray-300 text-gray-700 rounded-md hover:bg-gray-400"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={() => respond(declineModal, 'decline', { reason: declineReason })}
+                disabled={submitting || !declineReason.trim()}
+                className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50"
+              >
+                {submitting ? 'Declining...' : 'Decline'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FreelancerInvitations;
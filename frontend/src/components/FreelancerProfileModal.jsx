@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
   XMarkIcon,
@@ -12,8 +12,60 @@ import {
   CheckBadgeIcon
 } from '@heroicons/react/24/outline';
 import { Card, Badge, Button } from './ui';
+import { API_ENDPOINTS, buildApiUrl } from '../config/api';
+
+const formatReviewDate = (dateString) => {
+  const diffDays = Math.floor((Date.now() - new Date(dateString)) / 86400000);
+  if (diffDays < 1) return 'Today';
+  if (diffDays < 7) return `${diffDays} day${diffDays > 1 ? 's' : ''} ago`;
+  if (diffDays < 30) return `${Math.floor(diffDays / 7)} week${diffDays >= 14 ? 's' : ''} ago`;
+  return new Date(dateString).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+};
+
+const getInitials = (name = '') =>
+  name.split(' ').filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join('') || '?';
 
 const FreelancerProfileModal = ({ freelancer, isOpen, onClose, onHireFreelancer }) => {
+  const [reviews, setReviews] = useState([]);
+  const [loadingReviews, setLoadingReviews] = useState(false);
+
+  const freelancerId = freelancer?._id;
+
+  // Load published reviews whenever a freelancer's profile is opened
+  useEffect(() => {
+    if (!isOpen || !freelancerId) {
+      setReviews([]);
+      return;
+    }
+
+    const token = localStorage.getItem('token');
+    if (!token) return;
+
+    let cancelled = false;
+    setLoadingReviews(true);
+
+    fetch(buildApiUrl(API_ENDPOINTS.FREELANCERS.BY_ID(freelancerId)), {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    })
+      .then(response => response.json())
+      .then(data => {
+        if (!cancelled && data.success) {
+          setReviews(data.reviews || []);
+        }
+      })
+      .catch(error => console.error('Error fetching freelancer reviews:', error))
+      .finally(() => {
+        if (!cancelled) setLoadingReviews(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, freelancerId]);
+
   if (!freelancer) return null;
 
   // Handle both API data format and display format
@@ -198,33 +250,59 @@ const FreelancerProfileModal = ({ freelancer, isOpen, onClose, onHireFreelancer
                   </div>
                 )}
 
-                {/* Reviews Preview */}
+                {/* Client Reviews */}
                 <div>
-                  <h3 className="heading-4 mb-3">Client Reviews</h3>
-                  <Card className="p-4 bg-gray-50">
-                    <div className="flex items-start gap-3">
-                      <div className="w-10 h-10 bg-primary rounded-full flex items-center justify-center text-white font-bold">
-                        JD
-                      </div>
-                      <div className="flex-1">
-                        <div className="flex items-center gap-2 mb-1">
-                          <span className="font-medium text-gray-dark">John Doe</span>
-                          <div className="flex items-center">
-                            {[...Array(5)].map((_, i) => (
-                              <StarIcon
-                                key={i}
-                                className="w-4 h-4 text-yellow-400 fill-current"
-                              />
-                            ))}
+                  <h3 className="heading-4 mb-3 flex items-center gap-2">
+                    Client Reviews
+                    {freelancer.rating?.count > 0 && (
+                      <span className="flex items-center gap-1 text-sm font-normal text-gray-medium">
+                        <StarIcon className="w-4 h-4 text-yellow-400 fill-current" />
+                        {freelancer.rating.average.toFixed(1)} ({freelancer.rating.count})
+                      </span>
+                    )}
+                  </h3>
+                  {loadingReviews ? (
+                    <p className="text-sm text-gray-medium">Loading reviews...</p>
+                  ) : reviews.length === 0 ? (
+                    <div className="bg-gray-50 rounded-lg p-6 text-center">
+                      <StarIcon className="w-12 h-12 text-gray-300 mx-auto mb-2" />
+                      <p className="text-gray-medium text-sm">No reviews yet</p>
+                    </div>
+                  ) : (
+                    <div className="space-y-3">
+                      {reviews.map((review) => (
+                        <Card key={review._id} className="p-4 bg-gray-50">
+                          <div className="flex items-start gap-3">
+                            <div className="w-10 h-10 bg-primary rounded-full flex items-center justify-center text-white font-bold flex-shrink-0">
+                              {getInitials(review.reviewer?.fullName)}
+                            </div>
+                            <div className="flex-1">
+                              <div className="flex items-center gap-2 mb-1">
+                                <span className="font-medium text-gray-dark">{review.reviewer?.fullName || 'Client'}</span>
+                                <div className="flex items-center">
+                                  {[...Array(5)].map((_, i) => (
+                                    <StarIcon
+                                      key={i}
+                                      className={`w-4 h-4 ${i < Math.round(review.overallRating) ? 'text-yellow-400 fill-current' : 'text-gray-300'}`}
+                                    />
+                                  ))}
+                                </div>
+                              </div>
+                              {review.project?.title && (
+                                <p className="text-xs text-gray-medium mb-1">{review.project.title}</p>
+                              )}
+                              {review.comment && (
+                                <p className="text-sm text-gray-medium">"{review.comment}"</p>
+                              )}
+                              <span className="text-xs text-gray-medium mt-1">
+                                {formatReviewDate(review.publishedAt || review.createdAt)}
+                              </span>
+                            </div>
                           </div>
-                        </div>
-                        <p className="text-sm text-gray-medium">
-                          "Excellent work quality and great communication. Delivered the project on time and exceeded expectations."
-                        </p>
-                        <span className="text-xs text-gray-medium mt-1">2 weeks ago</span>
-                      </div>
+                        </Card>
+                      ))}
                     </div>
-                  </Card>
+                  )}
                 </div>
 
                 {/* Action Buttons */}
@@ -0,0 +1,461 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import {
+  BanknotesIcon,
+  ClockIcon,
+  LockClosedIcon,
+  PlusIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+import { API_ENDPOINTS, buildApiUrl } from '../config/api';
+
+const STATUS_STYLES = {
+  pending: { color: 'bg-yellow-100 text-yellow-800', text: 'Awaiting approval' },
+  processing: { color: 'bg-blue-100 text-blue-800', text: 'Processing' },
+  paid: { color: 'bg-green-100 text-green-800', text: 'Paid' },
+  rejected: { color: 'bg-red-100 text-red-800', text: 'Rejected' },
+  failed: { color: 'bg-red-100 text-red-800', text: 'Failed' },
+  cancelled: { color: 'bg-gray-100 text-gray-800', text: 'Cancelled' }
+};
+
+const emptyMethod = {
+  type: 'bank_account',
+  label: '',
+  accountHolderName: '',
+  accountNumber: '',
+  ifsc: '',
+  bankName: '',
+  upiId: ''
+};
+
+const formatCurrency = (amount) => `₹${(amount || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+
+const describeMethod = (method) => (method.type === 'upi'
+  ? `UPI · ${method.upiId}`
+  : `${method.bankName || 'Bank account'} · ${method.accountNumber}`);
+
+const FreelancerWallet = () => {
+  const [wallet, setWallet] = useState(null);
+  const [withdrawals, setWithdrawals] = useState([]);
+  const [payoutMethods, setPayoutMethods] = useState([]);
+  const [amount, setAmount] = useState('');
+  const [payoutMethodId, setPayoutMethodId] = useState('');
+  const [showMethodForm, setShowMethodForm] = useState(false);
+  const [methodForm, setMethodForm] = useState(emptyMethod);
+  const [submitting, setSubmitting] = useState(false);
+
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${localStorage.getItem('token')}`,
+    'Content-Type': 'application/json'
+  });
+
+  const fetchWallet = useCallback(async () => {
+    try {
+      const [walletRes, withdrawalsRes, methodsRes] = await Promise.all([
+        fetch(buildApiUrl(API_ENDPOINTS.WALLET.BASE), { headers: authHeaders() }),
+        fetch(buildApiUrl(API_ENDPOINTS.WALLET.WITHDRAWALS), { headers: authHeaders() }),
+        fetch(buildApiUrl(API_ENDPOINTS.PROFILE.PAYOUT_METHODS), { headers: authHeaders() })
+      ]);
+
+      const [walletData, withdrawalsData, methodsData] = await Promise.all([
+        walletRes.json(),
+        withdrawalsRes.json(),
+        methodsRes.json()
+      ]);
+
+      if (walletData.success) setWallet(walletData.data);
+      if (withdrawalsData.success) setWithdrawals(withdrawalsData.data);
+      if (methodsData.success) setPayoutMethods(methodsData.payoutMethods);
+    } catch (error) {
+      console.error('Error fetching wallet:', error);
+      toast.error('Failed to load wallet');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchWallet();
+  }, [fetchWallet]);
+
+  const defaultMethod = payoutMethods.find(method => method.isDefault) || payoutMethods[0];
+
+  const handleWithdraw = async (e) => {
+    e.preventDefault();
+    const requested = parseFloat(amount);
+
+    if (!requested || requested < wallet.minimumWithdrawal) {
+      toast.error(`Minimum withdrawal amount is ${formatCurrency(wallet.minimumWithdrawal)}`);
+      return;
+    }
+
+    if (requested > wallet.availableBalance) {
+      toast.error('Amount is more than your available balance');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const response = await fetch(buildApiUrl(API_ENDPOINTS.WALLET.WITHDRAWALS), {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({ amount: requested, payoutMethodId: payoutMethodId || defaultMethod?._id })
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        toast.success(data.message);
+        setAmount('');
+        fetchWallet();
+      } else {
+        toast.error(data.message || 'Failed to request withdrawal');
+      }
+    } catch (error) {
+      console.error('Error requesting withdrawal:', error);
+      toast.error('Failed to request withdrawal');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCancelWithdrawal = async (withdrawalId) => {
+    try {
+      const response = await fetch(buildApiUrl(API_ENDPOINTS.WALLET.WITHDRAWAL_CANCEL(withdrawalId)), {
+        method: 'POST',
+        headers: authHeaders()
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        toast.success('Withdrawal cancelled');
+        fetchWallet();
+      } else {
+        toast.error(data.message || 'Failed to cancel withdrawal');
+      }
+    } catch (error) {
+      console.error('Error cancelling withdrawal:', error);
+      toast.error('Failed to cancel withdrawal');
+    }
+  };
+
+  const handleAddMethod = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      const response = await fetch(buildApiUrl(API_ENDPOINTS.PROFILE.PAYOUT_METHODS), {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify(methodForm)
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        toast.success('Payout method added');
+        setPayoutMethods(data.payoutMethods);
+        setMethodForm(emptyMethod);
+        setShowMethodForm(false);
+      } else {
+        toast.error(data.message || 'Failed to add payout method');
+      }
+    } catch (error) {
+      console.error('Error adding payout method:', error);
+      toast.error('Failed to add payout method');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleSetDefault = async (methodId) => {
+    try {
+      const response = await fetch(buildApiUrl(API_ENDPOINTS.PROFILE.PAYOUT_METHOD_DEFAULT(methodId)), {
+        method: 'PATCH',
+        headers: authHeaders()
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        setPayoutMethods(data.payoutMethods);
+      } else {
+        toast.error(data.message || 'Failed to update default payout method');
+      }
+    } catch (error) {
+      console.error('Error setting default payout method:', error);
+      toast.error('Failed to update default payout method');
+    }
+  };
+
+  const handleDeleteMethod = async (methodId) => {
+    if (!window.confirm('Remove this payout method?')) return;
+
+    try {
+      const response = await fetch(buildApiUrl(API_ENDPOINTS.PROFILE.PAYOUT_METHOD_BY_ID(methodId)), {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        setPayoutMethods(data.payoutMethods);
+        if (payoutMethodId === methodId) setPayoutMethodId('');
+      } else {
+        toast.error(data.message || 'Failed to remove payout method');
+      }
+    } catch (error) {
+      console.error('Error removing payout method:', error);
+      toast.error('Failed to remove payout method');
+    }
+  };
+
+  if (!wallet) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6 mt-8">
+      {/* Balances */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <div className="flex items-center gap-3">
+            <BanknotesIcon className="h-8 w-8 text-green-600" />
+            <div>
+              <p className="text-sm text-gray-600">Available to Withdraw</p>
+              <p className="text-2xl font-bold text-gray-900">{formatCurrency(wallet.availableBalance)}</p>
+            </div>
+          </div>
+        </div>
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <div className="flex items-center gap-3">
+            <ClockIcon className="h-8 w-8 text-yellow-600" />
+            <div>
+              <p className="text-sm text-gray-600">Pending Withdrawals</p>
+              <p className="text-2xl font-bold text-gray-900">{formatCurrency(wallet.pendingBalance)}</p>
+            </div>
+          </div>
+        </div>
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <div className="flex items-center gap-3">
+            <LockClosedIcon className="h-8 w-8 text-blue-600" />
+            <div>
+              <p className="text-sm text-gray-600">Held in Escrow</p>
+              <p className="text-2xl font-bold text-gray-900">{formatCurrency(wallet.inEscrow)}</p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Withdraw */}
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Withdraw Earnings</h3>
+          {payoutMethods.length === 0 ? (
+            <p className="text-sm text-gray-600">Add a bank account or UPI ID to withdraw your earnings.</p>
+          ) : (
+            <form onSubmit={handleWithdraw} className="space-y-3">
+              <input
+                type="number"
+                min={wallet.minimumWithdrawal}
+                max={wallet.availableBalance}
+                step="0.01"
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                placeholder={`Amount (min ${formatCurrency(wallet.minimumWithdrawal)})`}
+                className="w-full border border-gray-300 rounded-lg p-2 text-sm"
+              />
+              <select
+                value={payoutMethodId || defaultMethod?._id || ''}
+                onChange={(e) => setPayoutMethodId(e.target.value)}
+                className="w-full border border-gray-300 rounded-lg p-2 text-sm bg-white"
+              >
+                {payoutMethods.map((method) => (
+                  <option key={method._id} value={method._id}>
+                    {method.label ? `${method.label} — ` : ''}{describeMethod(method)}
+                  </option>
+                ))}
+              </select>
+              <button
+                type="submit"
+                disabled={submitting || wallet.availableBalance < wallet.minimumWithdrawal}
+                className="w-full px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 text-sm"
+              >
+                Request Withdrawal
+              </button>
+              <p className="text-xs text-gray-500">
+                Withdrawals are paid out after an admin approves them.
+              </p>
+            </form>
+          )}
+        </div>
+
+        {/* Payout methods */}
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">Payout Methods</h3>
+            {!showMethodForm && (
+              <button
+                onClick={() => setShowMethodForm(true)}
+                className="flex items-center gap-1 px-3 py-1.5 text-sm text-blue-700 border border-blue-300 rounded-lg hover:bg-blue-50"
+              >
+                <PlusIcon className="w-4 h-4" />
+                Add
+              </button>
+            )}
+          </div>
+
+          {showMethodForm && (
+            <form onSubmit={handleAddMethod} className="space-y-2 mb-4 p-3 border border-gray-200 rounded-lg">
+              <div className="flex gap-4 text-sm">
+                {[['bank_account', 'Bank account'], ['upi', 'UPI']].map(([value, label]) => (
+                  <label key={value} className="flex items-center gap-1">
+                    <input
+                      type="radio"
+                      checked={methodForm.type === value}
+                      onChange={() => setMethodForm({ ...methodForm, type: value })}
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+              <input
+                value={methodForm.label}
+                onChange={(e) => setMethodForm({ ...methodForm, label: e.target.value })}
+                placeholder="Label (optional)"
+                className="w-full border border-gray-300 rounded-lg p-2 text-sm"
+              />
+              {methodForm.type === 'upi' ? (
+                <input
+                  value={methodForm.upiId}
+                  onChange={(e) => setMethodForm({ ...methodForm, upiId: e.target.value })}
+                  placeholder="UPI ID (e.g. name@okaxis)"
+                  className="w-full border border-gray-300 rounded-lg p-2 text-sm"
+                />
+              ) : (
+                <>
+                  <input
+                    value={methodForm.accountHolderName}
+                    onChange={(e) => setMethodForm({ ...methodForm, accountHolderName: e.target.value })}
+                    placeholder="Account holder name"
+                    className="w-full border border-gray-300 rounded-lg p-2 text-sm"
+                  />
+                  <input
+                    value={methodForm.accountNumber}
+                    onChange={(e) => setMethodForm({ ...methodForm, accountNumber: e.target.value })}
+                    placeholder="Account number"
+                    className="w-full border border-gray-300 rounded-lg p-2 text-sm"
+                  />
+                  <div className="grid grid-cols-2 gap-2">
+                    <input
+                      value={methodForm.ifsc}
+                      onChange={(e) => setMethodForm({ ...methodForm, ifsc: e.target.value.toUpperCase() })}
+                      placeholder="IFSC"
+                      className="w-full border border-gray-300 rounded-lg p-2 text-sm"
+                    />
+                    <input
+                      value={methodForm.bankName}
+                      onChange={(e) => setMethodForm({ ...methodForm, bankName: e.target.value })}
+                      placeholder="Bank name"
+                      className="w-full border border-gray-300 rounded-lg p-2 text-sm"
+                    />
+                  </div>
+                </>
+              )}
+              <div className="flex gap-2">
+                <button
+                  type="submit"
+                  disabled={submitting}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 text-sm"
+                >
+                  Save
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setShowMethodForm(false);
+                    setMethodForm(emptyMethod);
+                  }}
+                  className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 text-sm"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+
+          <div className="space-y-2">
+            {payoutMethods.map((method) => (
+              <div key={method._id} className="flex items-center justify-between p-3 border border-gray-200 rounded-lg">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">
+                    {method.label || (method.type === 'upi' ? 'UPI' : 'Bank account')}
+                    {method.isDefault && (
+                      <span className="ml-2 px-2 py-0.5 bg-green-100 text-green-800 rounded-full text-xs">Default</span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500">{describeMethod(method)}</p>
+                </div>
+                <div className="flex items-center gap-3">
+                  {!method.isDefault && (
+                    <button
+                      onClick={() => handleSetDefault(method._id)}
+                      className="text-xs text-blue-600 hover:text-blue-800"
+                    >
+                      Make default
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleDeleteMethod(method._id)}
+                    className="text-red-500 hover:text-red-700"
+                    title="Remove"
+                  >
+                    <TrashIcon className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {/* Withdrawal history */}
+      {withdrawals.length > 0 && (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Withdrawal History</h3>
+          <div className="space-y-2">
+            {withdrawals.map((withdrawal) => {
+              const status = STATUS_STYLES[withdrawal.status] || STATUS_STYLES.pending;
+
+              return (
+                <div key={withdrawal._id} className="flex items-center justify-between p-3 border border-gray-200 rounded-lg">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">{formatCurrency(withdrawal.amount)}</p>
+                    <p className="text-xs text-gray-500">
+                      {describeMethod(withdrawal.payoutMethod)} · {new Date(withdrawal.createdAt).toLocaleDateString('en-IN')}
+                    </p>
+                    {(withdrawal.rejectionReason || withdrawal.failureReason) && (
+                      <p className="text-xs text-red-600 mt-1">{withdrawal.rejectionReason || withdrawal.failureReason}</p>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <span className={`px-3 py-1 rounded-full text-xs font-medium ${status.color}`}>{status.text}</span>
+                    {withdrawal.status === 'pending' && (
+                      <button
+                        onClick={() => handleCancelWithdrawal(withdrawal._id)}
+                        className="text-xs text-gray-600 hover:text-gray-900"
+                      >
+                        Cancel
+                      </button>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FreelancerWallet;
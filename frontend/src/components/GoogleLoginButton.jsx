@@ -4,8 +4,10 @@ import { GoogleLogin } from '@react-oauth/google';
 import { useNavigate } from 'react-router-dom';
 import toast from 'react-hot-toast';
 import { useAuth } from '../contexts/AuthContext';
+import { isTwoFactorChallenge } from '../utils/auth';
 
-const GoogleLoginButton = ({ isRegister = false }) => {
+// onTwoFactorChallenge takes over when the account needs a second sign-in step
+const GoogleLoginButton = ({ isRegister = false, onTwoFactorChallenge }) => {
   const navigate = useNavigate();
   const { googleLogin } = useAuth();
 
@@ -16,7 +18,13 @@ const GoogleLoginButton = ({ isRegister = false }) => {
       // Use AuthContext's googleLogin method to properly update state
       const data = await googleLogin(credentialResponse.credential);
 
-      if (data.success) {
+      if (data.success && isTwoFactorChallenge(data)) {
+        if (onTwoFactorChallenge) {
+          await onTwoFactorChallenge(data);
+        } else {
+          toast.error('Sign in from the login page to enter your two-factor code');
+        }
+      } else if (data.success) {
         toast.success(isRegister ? 'Registration Successful!' : 'Login Successful!');
 
         console.log('Google login successful, navigating based on role:', data.user.role);
@@ -0,0 +1,157 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { API_ENDPOINTS, buildApiUrl } from '../config/api';
+import { PaperAirplaneIcon, XMarkIcon } from '@heroicons/react/24/outline';
+
+/**
+ * Invite a freelancer to one of the client's open projects with a personal note.
+ * Pass projectId when the project is already known (match results); otherwise
+ * the client picks one of their open projects.
+ */
+const InviteFreelancerModal = ({ freelancer, projectId, source = 'other', matchScore, onClose, onInvited }) => {
+  const [projects, setProjects] = useState([]);
+  const [selectedProjectId, setSelectedProjectId] = useState(projectId || '');
+  const [message, setMessage] = useState('');
+  const [loadingProjects, setLoadingProjects] = useState(!projectId);
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    if (projectId) return;
+
+    const fetchOpenProjects = async () => {
+      try {
+        const token = localStorage.getItem('token');
+        const response = await fetch(buildApiUrl(API_ENDPOINTS.PROJECTS.MY), {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          }
+        });
+        const data = await response.json();
+        const openProjects = (data.projects || []).filter(project => project.status === 'open');
+        setProjects(openProjects);
+        if (openProjects.length > 0) {
+          setSelectedProjectId(openProjects[0]._id);
+        }
+      } catch (error) {
+        console.error('Error fetching projects:', error);
+        toast.error('Failed to load your projects');
+      } finally {
+        setLoadingProjects(false);
+      }
+    };
+
+    fetchOpenProjects();
+  }, [projectId]);
+
+  const handleSend = async () => {
+    if (!selectedProjectId) {
+      toast.error('Choose a project to invite them to');
+      return;
+    }
+
+    setSending(true);
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(buildApiUrl(API_ENDPOINTS.INVITATIONS.CREATE), {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          projectId: selectedProjectId,
+          freelancerId: freelancer._id,
+          message,
+          source,
+          matchScore
+        })
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to send invitation');
+      }
+
+      toast.success(`Invitation sent to ${freelancer.fullName}`);
+      if (onInvited) onInvited(data.data);
+      onClose();
+    } catch (error) {
+      console.error('Error sending invitation:', error);
+      toast.error(error.message || 'Failed to send invitation');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50" onClick={onClose}>
+      <div
+        className="relative top-20 mx-auto p-6 border max-w-md shadow-lg rounded-md bg-white"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-medium text-gray-900">Invite {freelancer.fullName}</h3>
+          <button onClick={onClose} className="p-1 rounded-full hover:bg-gray-100">
+            <XMarkIcon className="h-5 w-5" />
+          </button>
+        </div>
+
+        {!projectId && (
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-2">Project *</label>
+            {loadingProjects ? (
+              <p className="text-sm text-gray-500">Loading your projects...</p>
+            ) : projects.length === 0 ? (
+              <p className="text-sm text-gray-500">
+                You have no open projects. Post or publish a project first, then invite freelancers to it.
+              </p>
+            ) : (
+              <select
+                value={selectedProjectId}
+                onChange={(e) => setSelectedProjectId(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              >
+                {projects.map(project => (
+                  <option key={project._id} value={project._id}>{project.title}</option>
+                ))}
+              </select>
+            )}
+          </div>
+        )}
+
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-2">Personal note</label>
+          <textarea
+            value={message}
+            onChange={(e) => setMessage(e.target.value)}
+            placeholder={`Tell ${freelancer.fullName} why you think they're a good fit...`}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+            rows={4}
+            maxLength={1000}
+          />
+          <p className="text-xs text-gray-500 mt-1 text-right">{message.length}/1000</p>
+        </div>
+
+        <div className="flex justify-end space-x-3">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-300 text-gray-700 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-300"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSend}
+            disabled={sending || !selectedProjectId}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+          >
+            <PaperAirplaneIcon className="h-4 w-4" />
+            {sending ? 'Sending...' : 'Send Invitation'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InviteFreelancerModal;
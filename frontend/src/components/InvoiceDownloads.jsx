@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { DocumentArrowDownIcon } from '@heroicons/react/24/outline';
+import { toast } from 'react-hot-toast';
+import { API_ENDPOINTS, buildApiUrl } from '../config/api';
+
+// Download buttons for a payment's GST invoice (once funded) and receipt (once released)
+const InvoiceDownloads = ({ workspaceId, payment }) => {
+  const [downloading, setDownloading] = useState(null);
+  const documents = payment?.documents;
+
+  if (!payment?.escrow || !documents || (!documents.invoiceAvailable && !documents.receiptAvailable)) {
+    return null;
+  }
+
+  const issuedNumber = (type) => documents.issued.find(doc => doc.documentType === type)?.invoiceNumber;
+
+  const download = async (type) => {
+    try {
+      setDownloading(type);
+      const token = localStorage.getItem('token');
+      const response = await fetch(buildApiUrl(API_ENDPOINTS.WORKSPACES.PAYMENT_INVOICE(workspaceId, payment.escrow._id, type)), {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        toast.error(data.message || `Failed to download ${type}`);
+        return;
+      }
+
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const filename = disposition.match(/filename="(.+)"/)?.[1] || `${type}.pdf`;
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error(`Error downloading ${type}:`, error);
+      toast.error(`Failed to download ${type}`);
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap gap-2 mt-3">
+      {documents.invoiceAvailable && (
+        <button
+          onClick={() => download('invoice')}
+          disabled={downloading === 'invoice'}
+          className="flex items-center gap-1 px-3 py-1.5 text-xs text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-100 disabled:opacity-50"
+        >
+          <DocumentArrowDownIcon className="w-4 h-4" />
+          Invoice{issuedNumber('invoice') ? ` ${issuedNumber('invoice')}` : ''}
+        </button>
+      )}
+      {documents.receiptAvailable && (
+        <button
+          onClick={() => download('receipt')}
+          disabled={downloading === 'receipt'}
+          className="flex items-center gap-1 px-3 py-1.5 text-xs text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-100 disabled:opacity-50"
+        >
+          <DocumentArrowDownIcon className="w-4 h-4" />
+          Receipt{issuedNumber('receipt') ? ` ${issuedNumber('receipt')}` : ''}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default InvoiceDownloads;
@@ -0,0 +1,39 @@
+// frontend/src/components/LanguageSwitcher.jsx
+import React from 'react';
+import { LanguageIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { useTranslation } from '../hooks/useTranslation';
+import { LANGUAGES } from '../utils/i18n';
+
+/**
+ * Language picker for the navbar; saved to the account when signed in
+ */
+const LanguageSwitcher = ({ className = 'text-gray-600' }) => {
+  const { language, setLanguage, t } = useTranslation();
+
+  const handleChange = async (event) => {
+    try {
+      await setLanguage(event.target.value);
+    } catch (error) {
+      toast.error(error.message || t('language.saveFailed'));
+    }
+  };
+
+  return (
+    <label className={`flex items-center gap-1 text-sm ${className}`} title={t('language.change')}>
+      <LanguageIcon className="w-5 h-5" />
+      <span className="sr-only">{t('language.label')}</span>
+      <select
+        value={language}
+        onChange={handleChange}
+        className="bg-transparent border-none text-sm focus:outline-none focus:ring-0 cursor-pointer"
+      >
+        {LANGUAGES.map(({ code, label }) => (
+          <option key={code} value={code} className="text-gray-900">{label}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LanguageSwitcher;
@@ -6,18 +6,31 @@ import { Button } from './ui';
 import { useAuth } from '../contexts/AuthContext';
 import NotificationCenter from './NotificationCenter';
 import NotificationSettings from './NotificationSettings';
+import TwoFactorSettings from './TwoFactorSettings';
+import SessionSettings from './SessionSettings';
+import PreferenceSettings from './PreferenceSettings';
+import LanguageSwitcher from './LanguageSwitcher';
 import OnlineStatusIndicator from './OnlineStatusIndicator';
 import { HeaderConnectionStatus } from './ConnectionStatus';
 import { TourButton } from './ClientTour';
 import pushNotificationService from '../services/pushNotificationService';
 import axios from 'axios';
 import { toast } from 'react-hot-toast';
+import { useTranslation } from '../hooks/useTranslation';
+import { getCurrentLanguage, translate } from '../utils/i18n';
+
+// For the push prompt toasts, which are built inside effects: reading the
+// language directly keeps a language switch from re-running the prompt check
+const tr = (key) => translate(getCurrentLanguage(), key);
 
 const Navbar = () => {
   const [scrolled, setScrolled] = useState(false);
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const [dropdownOpen, setDropdownOpen] = useState(false);
   const [showNotificationSettings, setShowNotificationSettings] = useState(false);
+  const [showTwoFactorSettings, setShowTwoFactorSettings] = useState(false);
+  const [showSessionSettings, setShowSessionSettings] = useState(false);
+  const [showPreferenceSettings, setShowPreferenceSettings] = useState(false);
   const [settingsDropdownRef, setSettingsDropdownRef] = useState(null);
 
   // Close dropdown when clicking outside
@@ -38,6 +51,7 @@ const Navbar = () => {
   }, [showNotificationSettings, settingsDropdownRef]);
 
   const { user, logout, isAuthenticated } = useAuth();
+  const { t } = useTranslation();
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -61,48 +75,48 @@ const Navbar = () => {
         });
         if (data?.success && data.shouldPrompt && !pushNotificationService.isPermissionBlocked()) {
           // Show prompt toast one-time
-          toast((t) => (
+          toast((promptToast) => (
             <div className="flex flex-col gap-2">
-              <p className="font-semibold">Enable Push Notifications?</p>
-              <p className="text-sm text-gray-600">Get alerts for payment due dates and deliverable deadlines.</p>
+              <p className="font-semibold">{tr('navbar.push.title')}</p>
+              <p className="text-sm text-gray-600">{tr('navbar.push.body')}</p>
               <div className="flex gap-2 mt-2">
                 <button
                   onClick={async () => {
                     try {
                       await pushNotificationService.subscribe();
-                      toast.success('Push notifications enabled!');
+                      toast.success(tr('navbar.push.enabled'));
                     } catch (err) {
                       console.log('Push notification error:', err);
                       if (err?.message === 'PERMISSION_BLOCKED') {
                         showPermissionBlockedToast();
                       } else if (err?.message?.includes('not available in your browser or network environment')) {
-                        toast.error('Push notifications not available in development mode', { duration: 4000 });
+                        toast.error(tr('navbar.push.devUnavailable'), { duration: 4000 });
                       } else if (err?.message?.includes('does not support')) {
-                        toast.error('Your browser does not support push notifications');
+                        toast.error(tr('navbar.push.unsupported'));
                       } else {
-                        toast.error('Failed to enable notifications - this is normal in development mode');
+                        toast.error(tr('navbar.push.failed'));
                       }
                     } finally {
                       try {
                         await axios.post(`${apiBaseUrl}/api/notifications/prompt-seen`, {}, { headers: { Authorization: `Bearer ${token}` }});
                       } catch (_) {}
-                      toast.dismiss(t.id);
+                      toast.dismiss(promptToast.id);
                     }
                   }}
                   className="px-3 py-1 bg-blue-600 text-white rounded text-sm hover:bg-blue-700"
                 >
-                  Enable
+                  {tr('navbar.push.enable')}
                 </button>
                 <button
                   onClick={async () => {
                     try {
                       await axios.post(`${apiBaseUrl}/api/notifications/prompt-seen`, {}, { headers: { Authorization: `Bearer ${token}` }});
                     } catch (_) {}
-                    toast.dismiss(t.id);
+                    toast.dismiss(promptToast.id);
                   }}
                   className="px-3 py-1 bg-gray-200 text-gray-700 rounded text-sm hover:bg-gray-300"
                 >
-                  Later
+                  {tr('navbar.push.later')}
                 </button>
               </div>
             </div>
@@ -117,26 +131,26 @@ const Navbar = () => {
 
   // Function to show permission blocked toast with instructions
   const showPermissionBlockedToast = () => {
-    toast((t) => (
+    toast((blockedToast) => (
       <div className="max-w-md">
         <div className="flex items-start gap-3">
           <div className="flex-shrink-0 text-2xl">🔒</div>
           <div className="flex-1">
-            <p className="font-semibold text-gray-900 mb-2">Notifications Blocked</p>
+            <p className="font-semibold text-gray-900 mb-2">{tr('navbar.push.blockedTitle')}</p>
             <p className="text-sm text-gray-600 mb-3">
-              You've blocked notifications for this site. To enable them:
+              {tr('navbar.push.blockedIntro')}
             </p>
             <ol className="text-sm text-gray-700 space-y-1 list-decimal list-inside mb-3">
-              <li>Click the lock icon (🔒) in the address bar</li>
-              <li>Find "Notifications" in the permissions list</li>
-              <li>Change it from "Block" to "Allow"</li>
-              <li>Reload this page</li>
+              <li>{tr('navbar.push.blockedSteps.lock')}</li>
+              <li>{tr('navbar.push.blockedSteps.find')}</li>
+              <li>{tr('navbar.push.blockedSteps.allow')}</li>
+              <li>{tr('navbar.push.blockedSteps.reload')}</li>
             </ol>
             <button
-              onClick={() => toast.dismiss(t.id)}
+              onClick={() => toast.dismiss(blockedToast.id)}
               className="text-sm text-blue-600 hover:text-blue-800 font-medium"
             >
-              Got it
+              {tr('navbar.push.gotIt')}
             </button>
           </div>
         </div>
@@ -216,7 +230,7 @@ const Navbar = () => {
 
   // Get user display name
   const getUserDisplayName = () => {
-    if (!user) return 'User';
+    if (!user) return t('common.user');
 
     // Try fullName first
     if (user.fullName && typeof user.fullName === 'string') {
@@ -239,7 +253,7 @@ const Navbar = () => {
       return user.username;
     }
 
-    return 'User';
+    return t('common.user');
   };
 
   // Get user profile picture
@@ -290,22 +304,22 @@ const Navbar = () => {
   // Get navigation links - conditional based on authentication status and user role
   const getNavLinks = () => {
     const links = [
-      { name: 'Why WebSphere?', onClick: () => handleNavClick('why'), type: 'action' },
+      { name: t('navbar.whyWebsphere'), onClick: () => handleNavClick('why'), type: 'action' },
     ];
 
     if (!isAuthenticated) {
       // Not logged in: show both Find Talent and Find Work
-      links.unshift({ name: 'Find Talent', onClick: () => handleNavClick('talent'), type: 'action' });
-      links.unshift({ name: 'Find Work', onClick: () => handleNavClick('work'), type: 'action' });
+      links.unshift({ name: t('navbar.findTalent'), onClick: () => handleNavClick('talent'), type: 'action' });
+      links.unshift({ name: t('navbar.findWork'), onClick: () => handleNavClick('work'), type: 'action' });
     } else if (user && user.role === 'freelancer') {
       // Freelancer logged in: hide Find Talent, show Find Work (goes to dashboard)
-      links.unshift({ name: 'Find Work', onClick: () => handleNavClick('work'), type: 'action' });
+      links.unshift({ name: t('navbar.findWork'), onClick: () => handleNavClick('work'), type: 'action' });
     } else if (user && user.role === 'client') {
       // Client logged in: show Find Talent, hide Find Work
-      links.unshift({ name: 'Find Talent', onClick: () => handleNavClick('talent'), type: 'action' });
+      links.unshift({ name: t('navbar.findTalent'), onClick: () => handleNavClick('talent'), type: 'action' });
     } else {
       // Other roles (admin, etc.): show Find Talent only
-      links.unshift({ name: 'Find Talent', onClick: () => handleNavClick('talent'), type: 'action' });
+      links.unshift({ name: t('navbar.findTalent'), onClick: () => handleNavClick('talent'), type: 'action' });
     }
 
     return links;
@@ -352,6 +366,7 @@ const Navbar = () => {
           </div>
 
           <div className="hidden md:flex items-center space-x-4">
+            <LanguageSwitcher />
             {(!user || !isAuthenticated) ? (
               <>
                 <Button
@@ -360,7 +375,7 @@ const Navbar = () => {
                   variant="ghost"
                   size="medium"
                 >
-                  Login
+                  {t('navbar.login')}
                 </Button>
                 <Button
                   as={Link}
@@ -368,7 +383,7 @@ const Navbar = () => {
                   variant="primary"
                   size="medium"
                 >
-                  Register
+                  {t('navbar.register')}
                 </Button>
               </>
             ) : (
@@ -386,7 +401,7 @@ const Navbar = () => {
                   <button
                     onClick={() => setShowNotificationSettings(!showNotificationSettings)}
                     className="p-2 text-gray-600 hover:text-primary hover:bg-gray-100 rounded-lg transition-colors"
-                    title="Notification Settings"
+                    title={t('navbar.notificationSettings')}
                   >
                     <Cog6ToothIcon className="w-6 h-6" />
                   </button>
@@ -440,7 +455,7 @@ const Navbar = () => {
                       {getUserDisplayName()}
                     </span>
                     <span className="text-xs text-gray-600 capitalize">
-                      {user?.role || 'User'}
+                      {user?.role ? t(`roles.${user.role}`) : t('common.user')}
                     </span>
                   </div>
 
@@ -490,7 +505,7 @@ const Navbar = () => {
                             {user?.email}
                           </p>
                           <p className="text-xs text-accent font-medium capitalize">
-                            {user?.role || 'User'}
+                            {user?.role ? t(`roles.${user.role}`) : t('common.user')}
                           </p>
                         </div>
                       </div>
@@ -507,7 +522,7 @@ const Navbar = () => {
                           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 7v10a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2H5a2 2 0 00-2-2z" />
                           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 5a2 2 0 012-2h4a2 2 0 012 2v2H8V5z" />
                         </svg>
-                        Dashboard
+                        {t('navbar.dashboard')}
                       </Link>
 
                       {user?.role === 'freelancer' && (
@@ -519,10 +534,49 @@ const Navbar = () => {
                           <svg className="w-4 h-4 mr-3 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
                           </svg>
-                          Profile Settings
+                          {t('navbar.profileSettings')}
                         </Link>
                       )}
 
+                      <button
+                        onClick={() => {
+                          setDropdownOpen(false);
+                          setShowTwoFactorSettings(true);
+                        }}
+                        className="flex items-center w-full px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 transition-colors"
+                      >
+                        <svg className="w-4 h-4 mr-3 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" />
+                        </svg>
+                        {t('navbar.twoFactor')}
+                      </button>
+
+                      <button
+                        onClick={() => {
+                          setDropdownOpen(false);
+                          setShowSessionSettings(true);
+                        }}
+                        className="flex items-center w-full px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 transition-colors"
+                      >
+                        <svg className="w-4 h-4 mr-3 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.75 17L9 20l-1 1h8l-1-1-.75-3M3 13h18M5 17h14a2 2 0 002-2V5a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+                        </svg>
+                        {t('navbar.sessions')}
+                      </button>
+
+                      <button
+                        onClick={() => {
+                          setDropdownOpen(false);
+                          setShowPreferenceSettings(true);
+                        }}
+                        className="flex items-center w-full px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 transition-colors"
+                      >
+                        <svg className="w-4 h-4 mr-3 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3.055 11H5a2 2 0 012 2v1a2 2 0 002 2 2 2 0 012 2v2.945M8 3.935V5.5A2.5 2.5 0 0010.5 8h.5a2 2 0 012 2 2 2 0 104 0 2 2 0 012-2h1.064M15 20.488V18a2 2 0 012-2h3.064M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+                        </svg>
+                        {t('navbar.regionalPreferences')}
+                      </button>
+
                       <div className="border-t border-gray-100 my-1"></div>
 
                       <button
@@ -532,7 +586,7 @@ const Navbar = () => {
                         <svg className="w-4 h-4 mr-3 text-red-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" />
                         </svg>
-                        Logout
+                        {t('navbar.logout')}
                       </button>
                     </div>
                   </motion.div>
@@ -586,6 +640,7 @@ const Navbar = () => {
                 )
               ))}
               <div className="border-t border-white/20 pt-3 space-y-2">
+                <LanguageSwitcher className="px-3 py-2 text-white" />
                 {(!user || !isAuthenticated) ? (
                   <>
                     <Link
@@ -593,14 +648,14 @@ const Navbar = () => {
                       className="block text-white hover:text-accent px-3 py-2 transition-colors"
                       onClick={() => setMobileMenuOpen(false)}
                     >
-                      Login
+                      {t('navbar.login')}
                     </Link>
                     <Link
                       to="/register"
                       className="block bg-accent text-white px-3 py-2 rounded-lg transition-colors hover:bg-accent/90"
                       onClick={() => setMobileMenuOpen(false)}
                     >
-                      Register
+                      {t('navbar.register')}
                     </Link>
                   </>
                 ) : (
@@ -610,7 +665,7 @@ const Navbar = () => {
                       className="block text-white hover:text-accent px-3 py-2 transition-colors"
                       onClick={() => setMobileMenuOpen(false)}
                     >
-                      Dashboard
+                      {t('navbar.dashboard')}
                     </Link>
                     <button
                       onClick={() => {
@@ -619,7 +674,7 @@ const Navbar = () => {
                       }}
                       className="block w-full text-left text-white hover:text-accent px-3 py-2 transition-colors"
                     >
-                      Logout
+                      {t('navbar.logout')}
                     </button>
                   </>
                 )}
@@ -629,7 +684,20 @@ const Navbar = () => {
         )}
       </div>
       
-
+      <TwoFactorSettings
+        isOpen={showTwoFactorSettings}
+        onClose={() => setShowTwoFactorSettings(false)}
+      />
+
+      <SessionSettings
+        isOpen={showSessionSettings}
+        onClose={() => setShowSessionSettings(false)}
+      />
+
+      <PreferenceSettings
+        isOpen={showPreferenceSettings}
+        onClose={() => setShowPreferenceSettings(false)}
+      />
     </motion.nav>
   );
 };
@@ -1,10 +1,13 @@
 import React from 'react';
 import { motion } from 'framer-motion';
 import { useSocket } from '../contexts/SocketContext';
+import { formatMessageTime } from '../utils/dateUtils';
 
-const OnlineStatusIndicator = ({ userId, size = 'sm', showText = false, className = '' }) => {
-  const { isUserOnline, isConnected } = useSocket();
+const OnlineStatusIndicator = ({ userId, lastSeen = null, size = 'sm', showText = false, className = '' }) => {
+  const { isUserOnline, isConnected, getLastSeen } = useSocket();
   const online = isConnected && isUserOnline(userId);
+  // Live value from the socket wins over the one loaded with the user
+  const seenAt = getLastSeen(userId) || lastSeen;
 
   const sizeClasses = {
     xs: 'h-2 w-2',
@@ -53,7 +56,7 @@ const OnlineStatusIndicator = ({ userId, size = 'sm', showText = false, classNam
           font-medium 
           ${online ? 'text-green-600' : 'text-gray-500'}
         `}>
-          {online ? 'Online' : 'Offline'}
+          {online ? 'Online' : (seenAt ? `Last seen ${formatMessageTime(seenAt)}` : 'Offline')}
         </span>
       )}
     </div>
@@ -116,6 +119,7 @@ export const UserAvatarWithStatus = ({
           </p>
           <OnlineStatusIndicator 
             userId={user?._id || user?.userId} 
+            lastSeen={user?.lastSeen}
             size="xs"
             showText
             className="mt-1"
@@ -1,8 +1,10 @@
 // frontend/src/components/PasswordStrengthIndicator.jsx
 import React from 'react';
 import { getPasswordStrength } from '../utils/validation';
+import { useTranslation } from '../hooks/useTranslation';
 
 const PasswordStrengthIndicator = ({ password, showDetails = true }) => {
+  const { t } = useTranslation();
   const strength = getPasswordStrength(password);
   
   if (!password) return null;
@@ -32,23 +34,23 @@ const PasswordStrengthIndicator = ({ password, showDetails = true }) => {
 
     return [
       {
-        label: 'At least 8 characters',
+        label: t('validation.strength.checks.length'),
         passed: password.length >= 8
       },
       {
-        label: 'Contains uppercase letter',
+        label: t('validation.strength.checks.uppercase'),
         passed: /[A-Z]/.test(password)
       },
       {
-        label: 'Contains lowercase letter',
+        label: t('validation.strength.checks.lowercase'),
         passed: /[a-z]/.test(password)
       },
       {
-        label: 'Contains number',
+        label: t('validation.strength.checks.number'),
         passed: /\d/.test(password)
       },
       {
-        label: 'Contains special character',
+        label: t('validation.strength.checks.special'),
         passed: /[!@#$%^&*(),.?":{}|<>]/.test(password)
       }
     ];
@@ -61,7 +63,7 @@ const PasswordStrengthIndicator = ({ password, showDetails = true }) => {
       {/* Strength Bar */}
       <div className="space-y-1">
         <div className="flex justify-between items-center">
-          <span className="text-xs text-gray-600">Password Strength</span>
+          <span className="text-xs text-gray-600">{t('validation.strength.title')}</span>
           <span className={`text-xs font-medium ${getStrengthTextColor()}`}>
             {strength.label}
           </span>
@@ -78,7 +80,7 @@ const PasswordStrengthIndicator = ({ password, showDetails = true }) => {
       {/* Password Requirements */}
       {showDetails && (
         <div className="space-y-1">
-          <p className="text-xs text-gray-600">Password must contain:</p>
+          <p className="text-xs text-gray-600">{t('validation.strength.mustContain')}</p>
           <div className="grid grid-cols-1 gap-1">
             {getPasswordChecks().map((check, index) => (
               <div key={index} className="flex items-center gap-2">
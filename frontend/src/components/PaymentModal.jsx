@@ -1,10 +1,75 @@
-import React, { useState } from 'react';
+import React, { useState, useCallback } from 'react';
 import { toast } from 'react-hot-toast';
 import { API_BASE_URL, API_ENDPOINTS } from '../config/api.js';
+import { formatMoney } from '../utils/currency';
 
 const PaymentModal = ({ milestone, isOpen, onClose, onPaymentSuccess }) => {
   const [processing, setProcessing] = useState(false);
   const [paymentMethod, setPaymentMethod] = useState('razorpay');
+  const [quote, setQuote] = useState(null);
+  const [promoInput, setPromoInput] = useState('');
+  const [appliedPromo, setAppliedPromo] = useState(null);
+  const [applyingPromo, setApplyingPromo] = useState(false);
+
+  // Service charge comes from the fee schedule in force, so ask the server rather than assuming it
+  const fetchQuote = useCallback(async (promoCode = null) => {
+    const token = localStorage.getItem('token');
+    const query = promoCode ? `?promoCode=${encodeURIComponent(promoCode)}` : '';
+    const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.PAYMENTS.ESCROW_QUOTE(milestone._id)}${query}`, {
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.message || 'Failed to calculate service charge');
+    }
+    return data.data;
+  }, [milestone?._id]);
+
+  React.useEffect(() => {
+    if (!isOpen || !milestone?._id) return;
+
+    setAppliedPromo(null);
+    setPromoInput('');
+    fetchQuote()
+      .then(setQuote)
+      .catch((error) => {
+        console.error('Error fetching payment quote:', error);
+        setQuote(null);
+      });
+  }, [isOpen, milestone?._id, fetchQuote]);
+
+  const applyPromoCode = async () => {
+    if (!promoInput.trim()) return;
+
+    try {
+      setApplyingPromo(true);
+      const promoQuote = await fetchQuote(promoInput.trim());
+      setQuote(promoQuote);
+      setAppliedPromo(promoQuote.breakdown.promoCode);
+      toast.success(`Promo code applied: ${formatMoney(promoQuote.breakdown.discount, promoQuote.breakdown.currency)} off the service fee`);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setApplyingPromo(false);
+    }
+  };
+
+  const removePromoCode = async () => {
+    setAppliedPromo(null);
+    setPromoInput('');
+    try {
+      setQuote(await fetchQuote());
+    } catch (error) {
+      console.error('Error fetching payment quote:', error);
+    }
+  };
+
+  const serviceCharge = quote?.serviceCharge;
+  const totalPayment = quote ? quote.totalAmount : null;
+  const currency = quote?.breakdown?.currency || milestone?.currency || 'INR';
 
   const handlePayment = async () => {
     try {
@@ -18,7 +83,7 @@ const PaymentModal = ({ milestone, isOpen, onClose, onPaymentSuccess }) => {
           'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ milestoneId: milestone._id })
+        body: JSON.stringify({ milestoneId: milestone._id, promoCode: appliedPromo })
       });
 
       if (!response.ok) {
@@ -147,22 +212,59 @@ const PaymentModal = ({ milestone, isOpen, onClose, onPaymentSuccess }) => {
           <div className="space-y-2">
             <div className="flex justify-between">
               <span className="text-gray-600">Milestone Amount:</span>
-              <span className="font-semibold">₹{milestone.amount}</span>
+              <span className="font-semibold">{formatMoney(milestone.amount, currency)}</span>
             </div>
             <div className="flex justify-between text-sm">
-              <span className="text-gray-500">Platform Service Fee:</span>
-              <span className="text-gray-500">₹35</span>
+              <span className="text-gray-500">
+                Platform Service Fee{quote ? ` (${quote.serviceChargePercentage}%)` : ''}:
+              </span>
+              <span className="text-gray-500">{quote ? formatMoney(serviceCharge, currency) : '...'}</span>
             </div>
+            {quote?.breakdown?.discount > 0 && (
+              <div className="flex justify-between text-sm">
+                <span className="text-green-600">Promo {quote.breakdown.promoCode}:</span>
+                <span className="text-green-600">-{formatMoney(quote.breakdown.discount, currency)}</span>
+              </div>
+            )}
             <hr className="my-2" />
             <div className="flex justify-between items-center">
               <span className="text-gray-800 font-medium">Total Payment:</span>
               <span className="text-2xl font-bold text-green-600">
-                ₹{milestone.amount + 35}
+                {totalPayment !== null ? formatMoney(totalPayment, currency) : '...'}
               </span>
             </div>
           </div>
         </div>
 
+        <div className="mb-6">
+          <label className="block text-sm font-medium mb-2">Promo Code</label>
+          {appliedPromo ? (
+            <div className="flex items-center justify-between p-2 bg-green-50 border border-green-200 rounded-lg text-sm">
+              <span className="font-mono text-green-700">{appliedPromo}</span>
+              <button onClick={removePromoCode} disabled={processing} className="text-gray-500 hover:text-gray-700">
+                Remove
+              </button>
+            </div>
+          ) : (
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={promoInput}
+                onChange={(e) => setPromoInput(e.target.value.toUpperCase())}
+                placeholder="Enter code"
+                className="flex-1 border border-gray-300 rounded-lg px-3 py-2 text-sm font-mono"
+              />
+              <button
+                onClick={applyPromoCode}
+                disabled={applyingPromo || !promoInput.trim()}
+                className="px-4 py-2 border border-blue-600 text-blue-600 rounded-lg text-sm hover:bg-blue-50 disabled:opacity-50"
+              >
+                {applyingPromo ? 'Applying...' : 'Apply'}
+              </button>
+            </div>
+          )}
+        </div>
+
         <div className="mb-6">
           <label className="block text-sm font-medium mb-3">Payment Method</label>
           <div className="space-y-2">
@@ -206,7 +308,7 @@ const PaymentModal = ({ milestone, isOpen, onClose, onPaymentSuccess }) => {
                 Processing...
               </div>
             ) : (
-              `Pay ₹${milestone.amount + 35}`
+              totalPayment !== null ? `Pay ${formatMoney(totalPayment, currency)}` : 'Pay'
             )}
           </button>
           <button
@@ -284,7 +386,7 @@ const PaymentHistory = ({ workspaceId, isOpen, onClose }) => {
                 <div>
                   <p className="text-sm text-gray-600">Total Paid</p>
                   <p className="text-2xl font-bold text-green-600">
-                    ₹{paymentHistory.totalPaid}
+                    {formatMoney(paymentHistory.totalPaid, paymentHistory.payments[0]?.currency)}
                   </p>
                 </div>
                 <div>
@@ -302,7 +404,7 @@ const PaymentHistory = ({ workspaceId, isOpen, onClose }) => {
                   <div className="flex justify-between items-start mb-2">
                     <h4 className="font-medium">{payment.title}</h4>
                     <span className="text-green-600 font-bold">
-                      {payment.currency} {payment.amount}
+                      {formatMoney(payment.amount, payment.currency)}
                     </span>
                   </div>
                   
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import toast from 'react-hot-toast';
+import { CURRENCY_OPTIONS } from '../utils/currency';
 
 
 const PostProjectForm = ({ onSuccess }) => {
@@ -10,6 +11,7 @@ const PostProjectForm = ({ onSuccess }) => {
     skills: '',
     budgetType: 'fixed',
     budgetAmount: '',
+    currency: 'INR',
     deadline: ''
   });
   const [files, setFiles] = useState([]);
@@ -182,6 +184,7 @@ const PostProjectForm = ({ onSuccess }) => {
           skills: '',
           budgetType: 'fixed',
           budgetAmount: '',
+          currency: 'INR',
           deadline: ''
         });
         setFiles([]);
@@ -292,7 +295,7 @@ const PostProjectForm = ({ onSuccess }) => {
       </div>
 
       {/* Budget */}
-      <div className="grid grid-cols-2 gap-4">
+      <div className="grid grid-cols-3 gap-4">
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">
             Budget Type
@@ -309,7 +312,22 @@ const PostProjectForm = ({ onSuccess }) => {
         </div>
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">
-            Amount (Rs.)
+            Currency
+          </label>
+          <select
+            name="currency"
+            value={formData.currency}
+            onChange={handleInputChange}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {CURRENCY_OPTIONS.map(option => (
+              <option key={option.code} value={option.code}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Amount ({formData.currency})
           </label>
           <input
             type="number"
@@ -0,0 +1,166 @@
+// frontend/src/components/PreferenceSettings.jsx
+import React, { useState, useEffect } from 'react';
+import { GlobeAltIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { DATE_FORMATS, getDatePreferences, getDeviceTimezone } from '../utils/dateUtils';
+import { CURRENCY_OPTIONS } from '../utils/currency';
+import { LANGUAGES } from '../utils/i18n';
+import { useTranslation } from '../hooks/useTranslation';
+
+const TIMEZONES = typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone')
+  : [getDeviceTimezone()];
+
+/**
+ * Timezone, language, date format and currency for the account. Dates across
+ * the app, emails and notifications are shown with these.
+ */
+const PreferenceSettings = ({ isOpen, onClose }) => {
+  const { user, updatePreferences } = useAuth();
+  const { t } = useTranslation();
+  const [form, setForm] = useState(getDatePreferences());
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setForm({ currency: 'USD', ...getDatePreferences(), ...(user?.preferences || {}) });
+    }
+  }, [isOpen, user]);
+
+  const handleChange = (field) => (event) => {
+    setForm(prev => ({ ...prev, [field]: event.target.value }));
+  };
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    try {
+      const data = await updatePreferences({
+        timezone: form.timezone,
+        language: form.language,
+        dateFormat: form.dateFormat,
+        currency: form.currency
+      });
+      if (data.success) {
+        toast.success(data.message);
+        onClose();
+      } else {
+        toast.error(data.message || t('preferences.saveFailed'));
+      }
+    } catch {
+      toast.error(t('preferences.saveFailed'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const deviceTimezone = getDeviceTimezone();
+  const timezones = TIMEZONES.includes(form.timezone) ? TIMEZONES : [form.timezone, ...TIMEZONES];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg max-h-[calc(100vh-1rem)] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="flex items-center gap-2">
+            <GlobeAltIcon className="h-6 w-6 text-primary" />
+            <h2 className="text-lg font-semibold text-gray-900">{t('preferences.title')}</h2>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <XMarkIcon className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSave} className="p-6 space-y-5">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">{t('preferences.timezone')}</label>
+            <select
+              value={form.timezone}
+              onChange={handleChange('timezone')}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+            >
+              {timezones.map(timezone => (
+                <option key={timezone} value={timezone}>{timezone.replace(/_/g, ' ')}</option>
+              ))}
+            </select>
+            {form.timezone !== deviceTimezone && (
+              <button
+                type="button"
+                onClick={() => setForm(prev => ({ ...prev, timezone: deviceTimezone }))}
+                className="mt-1 text-xs text-primary hover:underline"
+              >
+                {t('preferences.useDevice', { timezone: deviceTimezone.replace(/_/g, ' ') })}
+              </button>
+            )}
+            <p className="mt-1 text-xs text-gray-500">
+              {t('preferences.timezoneHint')}
+            </p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">{t('preferences.language')}</label>
+            <select
+              value={form.language}
+              onChange={handleChange('language')}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+            >
+              {LANGUAGES.map(({ code, label }) => (
+                <option key={code} value={code}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">{t('preferences.dateFormat')}</label>
+            <select
+              value={form.dateFormat}
+              onChange={handleChange('dateFormat')}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+            >
+              {DATE_FORMATS.map(format => (
+                <option key={format} value={format}>{format}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">{t('preferences.currency')}</label>
+            <select
+              value={form.currency}
+              onChange={handleChange('currency')}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+            >
+              {CURRENCY_OPTIONS.map(({ code, label }) => (
+                <option key={code} value={code}>{label}</option>
+              ))}
+            </select>
+            <p className="mt-1 text-xs text-gray-500">
+              {t('preferences.currencyHint')}
+            </p>
+          </div>
+
+          <div className="flex justify-end gap-3 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+            >
+              {t('common.cancel')}
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-primary text-white rounded-lg text-sm hover:bg-primary/90 transition-colors disabled:opacity-50"
+            >
+              {saving ? t('common.saving') : t('common.save')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default PreferenceSettings;
@@ -19,6 +19,7 @@ const ProjectApplicationsList = ({ projectId, onApplicationResponse, onOpenChat,
   const [loading, setLoading] = useState(true);
   const [respondingTo, setRespondingTo] = useState(null);
   const [awardingProject, setAwardingProject] = useState(null);
+  const [projectTerms, setProjectTerms] = useState(null);
 
   useEffect(() => {
     if (projectId) {
@@ -52,6 +53,7 @@ const ProjectApplicationsList = ({ projectId, onApplicationResponse, onOpenChat,
       
       if (data.success) {
         setApplications(data.applications);
+        setProjectTerms(data.project || null);
       } else {
         toast.error(data.message || 'Failed to fetch applications');
       }
@@ -63,7 +65,26 @@ const ProjectApplicationsList = ({ projectId, onApplicationResponse, onOpenChat,
     }
   };
 
+  // Hourly contracts need a weekly hour cap when awarded. Returns undefined for fixed-price
+  // projects and null if the client cancels.
+  const askWeeklyHourLimit = () => {
+    if (projectTerms?.budgetType !== 'hourly') return undefined;
+
+    const answer = window.prompt('Maximum hours per week the freelancer can bill (1-168):', '40');
+    if (answer === null) return null;
+
+    const hours = Number(answer);
+    if (!Number.isFinite(hours) || hours < 1 || hours > 168) {
+      toast.error('Weekly hour limit must be between 1 and 168 hours');
+      return null;
+    }
+    return hours;
+  };
+
   const handleApplicationResponse = async (applicationId, action) => {
+    const weeklyHourLimit = action === 'accept' ? askWeeklyHourLimit() : undefined;
+    if (weeklyHourLimit === null) return;
+
     setRespondingTo(applicationId);
     
     try {
@@ -75,7 +96,8 @@ const ProjectApplicationsList = ({ projectId, onApplicationResponse, onOpenChat,
           'Authorization': `Bearer ${token}`
         },
         body: JSON.stringify({ 
-          status: action === 'accept' ? 'accepted' : 'rejected' 
+          status: action === 'accept' ? 'accepted' : 'rejected',
+          weeklyHourLimit
         })
       });
 
@@ -146,6 +168,9 @@ const ProjectApplicationsList = ({ projectId, onApplicationResponse, onOpenChat,
       return;
     }
 
+    const weeklyHourLimit = askWeeklyHourLimit();
+    if (weeklyHourLimit === null) return;
+
     setAwardingProject(applicationId);
     
     try {
@@ -155,7 +180,8 @@ const ProjectApplicationsList = ({ projectId, onApplicationResponse, onOpenChat,
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${token}`
-        }
+        },
+        body: JSON.stringify({ weeklyHourLimit })
       });
 
       const data = await response.json();
@@ -1,400 +1,487 @@
-import React, { useState, useEffect } from 'react';
-import { motion } from 'framer-motion';
+import React, { useState, useEffect, useRef } from 'react';
 import toast from 'react-hot-toast';
-import { API_BASE_URL, API_ENDPOINTS, buildApiUrl } from '../config/api';
+import { API_ENDPOINTS, buildApiUrl } from '../config/api';
+import { CURRENCY_OPTIONS } from '../utils/currency';
+import { formatDate, formatDateTime } from '../utils/dateUtils';
 import {
-  CheckCircleIcon,
-  XMarkIcon,
-  EyeIcon,
+  EllipsisVerticalIcon,
+  PencilSquareIcon,
+  RocketLaunchIcon,
+  LockClosedIcon,
+  XCircleIcon,
+  DocumentDuplicateIcon,
+  ArrowPathIcon,
   ClockIcon,
-  UserIcon,
-  CurrencyRupeeIcon,
-  CalendarIcon,
-  ExclamationTriangleIcon
+  XMarkIcon
 } from '@heroicons/react/24/outline';
 
-const ProjectManagement = () => {
-  const [projects, setProjects] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [filter, setFilter] = useState('pending');
-  const [selectedProject, setSelectedProject] = useState(null);
-  const [rejectionReason, setRejectionReason] = useState('');
-  const [showRejectModal, setShowRejectModal] = useState(false);
-  const [processingId, setProcessingId] = useState(null);
+// Which lifecycle actions each project status allows (mirrors ProjectService)
+const ACTIONS_BY_STATUS = {
+  draft: ['edit', 'publish', 'duplicate', 'cancel'],
+  open: ['edit', 'close', 'cancel', 'duplicate'],
+  closed: ['repost', 'duplicate', 'cancel'],
+  awarded: ['duplicate'],
+  in_progress: ['duplicate'],
+  completed: ['repost', 'duplicate'],
+  cancelled: ['repost', 'duplicate']
+};
 
-  useEffect(() => {
-    fetchProjects();
-  }, [filter]);
+const ACTION_LABELS = {
+  edit: { label: 'Edit', icon: PencilSquareIcon },
+  publish: { label: 'Publish', icon: RocketLaunchIcon },
+  close: { label: 'Close', icon: LockClosedIcon },
+  cancel: { label: 'Cancel Project', icon: XCircleIcon, danger: true },
+  duplicate: { label: 'Duplicate as Draft', icon: DocumentDuplicateIcon },
+  repost: { label: 'Repost', icon: ArrowPathIcon },
+  history: { label: 'Edit History', icon: ClockIcon }
+};
 
-  const fetchProjects = async () => {
-    setLoading(true);
-    try {
-      const token = localStorage.getItem('token');
-      const url = filter === 'all' 
-        ? buildApiUrl(API_ENDPOINTS.ADMIN.PROJECTS)
-        : buildApiUrl(`${API_ENDPOINTS.ADMIN.PROJECTS}/pending`);
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  category: 'Category',
+  categoryName: 'Category name',
+  image: 'Image',
+  skills: 'Skills',
+  budgetType: 'Budget type',
+  budgetAmount: 'Budget',
+  currency: 'Currency',
+  deadline: 'Deadline'
+};
 
-      const response = await fetch(url, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
+const formatRevisionValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return value.join(', ') || '—';
+  if (field === 'deadline') return formatDate(value);
+  return String(value);
+};
+
+const toFormData = (project) => ({
+  title: project.title || '',
+  description: project.description || '',
+  skills: (project.skills || []).join(', '),
+  budgetType: project.budgetType || 'fixed',
+  budgetAmount: project.budgetAmount ?? '',
+  currency: project.currency || 'INR',
+  deadline: project.deadline ? project.deadline.slice(0, 10) : '',
+  material: false,
+  note: ''
+});
 
-      if (response.ok) {
-        const data = await response.json();
-        if (data.success) {
-          setProjects(data.projects || []);
-        } else {
-          toast.error('Failed to fetch projects');
-        }
-      } else {
-        toast.error('Failed to fetch projects');
+/**
+ * Lifecycle actions for one of the client's projects: edit, publish a draft,
+ * close or cancel with a reason, duplicate, repost and view the edit history.
+ * Calls onChanged after anything that changes the client's project list.
+ */
+const ProjectManagement = ({ project, onChanged }) => {
+  const [menuOpen, setMenuOpen] = useState(false);
+  const [modal, setModal] = useState(null); // 'edit' | 'close' | 'cancel' | 'history'
+  const [formData, setFormData] = useState(() => toFormData(project));
+  const [reason, setReason] = useState('');
+  const [revisions, setRevisions] = useState([]);
+  const [processing, setProcessing] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!menuOpen) return undefined;
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setMenuOpen(false);
       }
-    } catch (error) {
-      console.error('Error fetching projects:', error);
-      toast.error('Failed to fetch projects');
-    } finally {
-      setLoading(false);
-    }
-  };
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [menuOpen]);
 
-  const handleApprove = async (projectId) => {
-    if (!window.confirm('Are you sure you want to approve this project?')) {
-      return;
+  const actions = [
+    ...(ACTIONS_BY_STATUS[project.status] || []),
+    ...(project.revisions?.length > 0 ? ['history'] : [])
+  ];
+
+  const request = async (endpoint, { method = 'POST', body } = {}) => {
+    const token = localStorage.getItem('token');
+    const response = await fetch(buildApiUrl(endpoint), {
+      method,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || 'Request failed');
     }
+    return data;
+  };
 
-    setProcessingId(projectId);
+  const runAction = async (endpoint, options, fallbackError) => {
+    setProcessing(true);
     try {
-      const token = localStorage.getItem('token');
-      const response = await fetch(`http://localhost:5000/api/admin/projects/${projectId}/approve`, {
-        method: 'PUT',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        if (data.success) {
-          toast.success('Project approved successfully!');
-          fetchProjects(); // Refresh the list
-        } else {
-          toast.error(data.message || 'Failed to approve project');
-        }
-      } else {
-        toast.error('Failed to approve project');
-      }
+      const data = await request(endpoint, options);
+      toast.success(data.message);
+      setModal(null);
+      setReason('');
+      if (onChanged) onChanged(data.project);
     } catch (error) {
-      console.error('Error approving project:', error);
-      toast.error('Failed to approve project');
+      console.error(`${fallbackError}:`, error);
+      toast.error(error.message || fallbackError);
     } finally {
-      setProcessingId(null);
+      setProcessing(false);
     }
   };
 
-  const handleReject = async () => {
-    if (!rejectionReason.trim()) {
-      toast.error('Please provide a reason for rejection');
-      return;
-    }
-
-    setProcessingId(selectedProject._id);
+  const fetchRevisions = async () => {
     try {
-      const token = localStorage.getItem('token');
-      const response = await fetch(`http://localhost:5000/api/admin/projects/${selectedProject._id}/reject`, {
-        method: 'PUT',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ reason: rejectionReason })
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        if (data.success) {
-          toast.success('Project rejected successfully');
-          setShowRejectModal(false);
-          setRejectionReason('');
-          setSelectedProject(null);
-          fetchProjects(); // Refresh the list
-        } else {
-          toast.error(data.message || 'Failed to reject project');
-        }
-      } else {
-        toast.error('Failed to reject project');
-      }
+      const data = await request(API_ENDPOINTS.PROJECTS.REVISIONS(project._id), { method: 'GET' });
+      setRevisions(data.revisions || []);
     } catch (error) {
-      console.error('Error rejecting project:', error);
-      toast.error('Failed to reject project');
-    } finally {
-      setProcessingId(null);
+      console.error('Error fetching revisions:', error);
+      toast.error(error.message || 'Failed to load edit history');
+    }
+  };
+
+  const handleAction = (action) => {
+    setMenuOpen(false);
+    switch (action) {
+      case 'edit':
+        setFormData(toFormData(project));
+        setModal('edit');
+        break;
+      case 'close':
+      case 'cancel':
+        setReason('');
+        setModal(action);
+        break;
+      case 'history':
+        setModal('history');
+        fetchRevisions();
+        break;
+      case 'publish':
+        runAction(API_ENDPOINTS.PROJECTS.PUBLISH(project._id), {}, 'Failed to publish project');
+        break;
+      case 'duplicate':
+        runAction(API_ENDPOINTS.PROJECTS.DUPLICATE(project._id), {}, 'Failed to duplicate project');
+        break;
+      case 'repost':
+        runAction(API_ENDPOINTS.PROJECTS.REPOST(project._id), {}, 'Failed to repost project');
+        break;
+      default:
+        break;
     }
   };
 
-  const openRejectModal = (project) => {
-    setSelectedProject(project);
-    setShowRejectModal(true);
-    setRejectionReason('');
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
   };
 
-  const getStatusBadge = (project) => {
-    const { approvalStatus, status } = project;
-    
-    if (approvalStatus === 'pending') {
-      return (
-        <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
-          <ClockIcon className="h-3 w-3 mr-1" />
-          Pending Approval
-        </span>
-      );
-    } else if (approvalStatus === 'approved') {
-      return (
-        <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
-          <CheckCircleIcon className="h-3 w-3 mr-1" />
-          Approved
-        </span>
-      );
-    } else if (approvalStatus === 'rejected') {
-      return (
-        <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
-          <XMarkIcon className="h-3 w-3 mr-1" />
-          Rejected
-        </span>
-      );
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!formData.title.trim()) {
+      toast.error('Title is required');
+      return;
+    }
+
+    const body = {
+      title: formData.title,
+      description: formData.description,
+      skills: formData.skills.split(',').map(skill => skill.trim()).filter(Boolean),
+      budgetType: formData.budgetType,
+      budgetAmount: formData.budgetAmount,
+      deadline: formData.deadline
+    };
+    if (project.status === 'draft') {
+      body.currency = formData.currency;
+    } else {
+      body.material = formData.material;
+      body.note = formData.note;
     }
+
+    runAction(API_ENDPOINTS.PROJECTS.BY_ID(project._id), { method: 'PUT', body }, 'Failed to update project');
   };
 
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-IN', {
-      style: 'currency',
-      currency: 'INR',
-      maximumFractionDigits: 0
-    }).format(amount);
+  const handleReasonSubmit = () => {
+    const endpoint = modal === 'close'
+      ? API_ENDPOINTS.PROJECTS.CLOSE(project._id)
+      : API_ENDPOINTS.PROJECTS.CANCEL(project._id);
+    runAction(endpoint, { body: { reason } }, `Failed to ${modal} project`);
   };
 
-  if (loading) {
-    return (
-      <div className="flex justify-center items-center py-12">
-        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
-      </div>
-    );
-  }
+  if (actions.length === 0) return null;
 
   return (
-    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-      <div className="mb-6">
-        <h1 className="text-2xl font-bold text-gray-900 mb-4">Project Management</h1>
-        
-        {/* Filter Tabs */}
-        <div className="border-b border-gray-200">
-          <nav className="-mb-px flex space-x-8">
-            <button
-              onClick={() => setFilter('pending')}
-              className={`py-2 px-1 border-b-2 font-medium text-sm ${
-                filter === 'pending'
-                  ? 'border-blue-500 text-blue-600'
-                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
-              }`}
-            >
-              Pending Approval ({projects.filter(p => p.approvalStatus === 'pending').length})
-            </button>
-            <button
-              onClick={() => setFilter('all')}
-              className={`py-2 px-1 border-b-2 font-medium text-sm ${
-                filter === 'all'
-                  ? 'border-blue-500 text-blue-600'
-                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
-              }`}
-            >
-              All Projects
-            </button>
-          </nav>
-        </div>
-      </div>
+    <div className="relative" ref={menuRef}>
+      <button
+        type="button"
+        onClick={() => setMenuOpen(open => !open)}
+        disabled={processing}
+        className="p-2 rounded-md text-gray-500 hover:text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+        title="Manage project"
+      >
+        <EllipsisVerticalIcon className="h-5 w-5" />
+      </button>
 
-      {projects.length === 0 ? (
-        <div className="text-center py-12">
-          <ExclamationTriangleIcon className="h-16 w-16 text-gray-400 mx-auto mb-4" />
-          <h3 className="text-lg font-medium text-gray-900 mb-2">
-            No projects found
-          </h3>
-          <p className="text-gray-600">
-            {filter === 'pending' 
-              ? 'There are no projects pending approval at the moment.' 
-              : 'No projects have been created yet.'
-            }
-          </p>
-        </div>
-      ) : (
-        <div className="bg-white shadow overflow-hidden sm:rounded-lg">
-          <div className="overflow-x-auto">
-            <table className="min-w-full divide-y divide-gray-200">
-              <thead className="bg-gray-50">
-                <tr>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Project
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Client
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Budget
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Status
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Created
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Actions
-                  </th>
-                </tr>
-              </thead>
-              <tbody className="bg-white divide-y divide-gray-200">
-                {projects.map((project) => (
-                  <motion.tr
-                    key={project._id}
-                    initial={{ opacity: 0 }}
-                    animate={{ opacity: 1 }}
-                    className="hover:bg-gray-50"
-                  >
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <div className="max-w-xs">
-                        <div className="text-sm font-medium text-gray-900 truncate">
-                          {project.title}
-                        </div>
-                        <div className="text-sm text-gray-500 truncate">
-                          {project.description}
-                        </div>
-                      </div>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <div className="flex items-center">
-                        <UserIcon className="h-4 w-4 text-gray-400 mr-2" />
-                        <div>
-                          <div className="text-sm font-medium text-gray-900">
-                            {project.client?.fullName || 'Unknown Client'}
-                          </div>
-                          <div className="text-sm text-gray-500">
-                            {project.client?.email}
-                          </div>
-                        </div>
-                      </div>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <div className="flex items-center text-sm text-gray-900">
-                        <CurrencyRupeeIcon className="h-4 w-4 text-gray-400 mr-1" />
-                        {formatCurrency(project.agreedPrice || project.finalRate || project.budgetAmount)}
-                        {project.agreedPrice && <span className="ml-1 text-xs text-green-600">🔒</span>}
-                        <span className="ml-1 text-xs text-gray-500">
-                          ({project.budgetType})
-                        </span>
-                      </div>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      {getStatusBadge(project)}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                      <div className="flex items-center">
-                        <CalendarIcon className="h-4 w-4 text-gray-400 mr-1" />
-                        {new Date(project.createdAt).toLocaleDateString()}
-                      </div>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                      <div className="flex space-x-2">
-                        {project.approvalStatus === 'pending' && (
-                          <>
-                            <button
-                              onClick={() => handleApprove(project._id)}
-                              disabled={processingId === project._id}
-                              className="inline-flex items-center px-3 py-1 border border-transparent text-xs font-medium rounded-md text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:opacity-50"
-                            >
-                              <CheckCircleIcon className="h-3 w-3 mr-1" />
-                              {processingId === project._id ? 'Approving...' : 'Approve'}
-                            </button>
-                            <button
-                              onClick={() => openRejectModal(project)}
-                              disabled={processingId === project._id}
-                              className="inline-flex items-center px-3 py-1 border border-transparent text-xs font-medium rounded-md text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 disabled:opacity-50"
-                            >
-                              <XMarkIcon className="h-3 w-3 mr-1" />
-                              Reject
-                            </button>
-                          </>
-                        )}
-                        {project.approvalStatus === 'rejected' && project.rejectionReason && (
-                          <div className="text-xs text-red-600 max-w-xs">
-                            <strong>Reason:</strong> {project.rejectionReason}
-                          </div>
-                        )}
-                      </div>
-                    </td>
-                  </motion.tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
+      {menuOpen && (
+        <div className="absolute right-0 bottom-full mb-2 w-48 bg-white border border-gray-200 rounded-lg shadow-lg z-20 py-1">
+          {actions.map(action => {
+            const { label, icon: Icon, danger } = ACTION_LABELS[action];
+            return (
+              <button
+                key={action}
+                type="button"
+                onClick={() => handleAction(action)}
+                className={`w-full flex items-center gap-2 px-3 py-2 text-sm text-left hover:bg-gray-50 ${danger ? 'text-red-600' : 'text-gray-700'}`}
+              >
+                <Icon className="h-4 w-4" />
+                {label}
+              </button>
+            );
+          })}
         </div>
       )}
 
-      {/* Rejection Modal */}
-      {showRejectModal && (
+      {/* Edit Modal */}
+      {modal === 'edit' && (
         <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
-          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
-            <div className="mt-3">
-              <div className="flex items-center mb-4">
-                <div className="mx-auto flex-shrink-0 flex items-center justify-center h-12 w-12 rounded-full bg-red-100">
-                  <XMarkIcon className="h-6 w-6 text-red-600" />
+          <div className="relative top-10 mx-auto p-6 border max-w-xl shadow-lg rounded-md bg-white">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">
+                {project.status === 'draft' ? 'Edit Draft' : 'Edit Project'}
+              </h3>
+              <button onClick={() => setModal(null)} className="p-1 rounded-full hover:bg-gray-100">
+                <XMarkIcon className="h-5 w-5" />
+              </button>
+            </div>
+
+            <form onSubmit={handleSave} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Title *</label>
+                <input
+                  type="text"
+                  name="title"
+                  value={formData.title}
+                  onChange={handleInputChange}
+                  maxLength={120}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                <textarea
+                  name="description"
+                  value={formData.description}
+                  onChange={handleInputChange}
+                  rows={5}
+                  maxLength={5000}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Skills (comma separated)</label>
+                <input
+                  type="text"
+                  name="skills"
+                  value={formData.skills}
+                  onChange={handleInputChange}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Budget Type</label>
+                  <select
+                    name="budgetType"
+                    value={formData.budgetType}
+                    onChange={handleInputChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    <option value="fixed">Fixed price</option>
+                    <option value="hourly">Hourly</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Budget</label>
+                  <input
+                    type="number"
+                    name="budgetAmount"
+                    min="0"
+                    value={formData.budgetAmount}
+                    onChange={handleInputChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+                {project.status === 'draft' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Currency</label>
+                    <select
+                      name="currency"
+                      value={formData.currency}
+                      onChange={handleInputChange}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                    >
+                      {CURRENCY_OPTIONS.map(option => (
+                        <option key={option.code} value={option.code}>{option.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Deadline</label>
+                  <input
+                    type="date"
+                    name="deadline"
+                    value={formData.deadline}
+                    onChange={handleInputChange}
+                    min={new Date().toISOString().split('T')[0]}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
                 </div>
               </div>
-              <div className="text-center">
-                <h3 className="text-lg leading-6 font-medium text-gray-900 mb-2">
-                  Reject Project
-                </h3>
-                <p className="text-sm text-gray-500 mb-4">
-                  Are you sure you want to reject "{selectedProject?.title}"?
-                </p>
-                <div className="mb-4">
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Rejection Reason *
+
+              {project.status === 'open' && (
+                <div className="bg-blue-50 border border-blue-200 rounded-md p-3 space-y-3">
+                  <p className="text-xs text-blue-800">
+                    Changes to skills, budget or deadline are sent to freelancers who applied. The currency can't be changed after publishing.
+                  </p>
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      name="material"
+                      checked={formData.material}
+                      onChange={handleInputChange}
+                      className="rounded border-gray-300"
+                    />
+                    Also notify applicants about title or description changes
                   </label>
-                  <textarea
-                    value={rejectionReason}
-                    onChange={(e) => setRejectionReason(e.target.value)}
-                    placeholder="Please provide a detailed reason for rejecting this project..."
-                    className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
-                    rows={4}
-                    required
+                  <input
+                    type="text"
+                    name="note"
+                    value={formData.note}
+                    onChange={handleInputChange}
+                    maxLength={500}
+                    placeholder="What changed? (optional, shown in the edit history)"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
                   />
                 </div>
-                <div className="flex justify-center space-x-3">
-                  <button
-                    onClick={() => {
-                      setShowRejectModal(false);
-                      setRejectionReason('');
-                      setSelectedProject(null);
-                    }}
-                    className="px-4 py-2 bg-gray-300 text-gray-700 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-300"
-                  >
-                    Cancel
-                  </button>
-                  <button
-                    onClick={handleReject}
-                    disabled={!rejectionReason.trim() || processingId === selectedProject?._id}
-                    className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 disabled:opacity-50"
-                  >
-                    {processingId === selectedProject?._id ? 'Rejecting...' : 'Reject Project'}
-                  </button>
-                </div>
+              )}
+
+              <div className="flex justify-end space-x-3 pt-2">
+                <button
+                  type="button"
+                  onClick={() => setModal(null)}
+                  className="px-4 py-2 bg-gray-300 text-gray-700 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-300"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={processing}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+                >
+                  {processing ? 'Saving...' : 'Save Changes'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Close / Cancel Modal */}
+      {(modal === 'close' || modal === 'cancel') && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+            <div className="mt-3 text-center">
+              <div className={`mx-auto mb-4 flex items-center justify-center h-12 w-12 rounded-full ${modal === 'close' ? 'bg-yellow-100' : 'bg-red-100'}`}>
+                {modal === 'close'
+                  ? <LockClosedIcon className="h-6 w-6 text-yellow-600" />
+                  : <XCircleIcon className="h-6 w-6 text-red-600" />}
+              </div>
+              <h3 className="text-lg leading-6 font-medium text-gray-900 mb-2">
+                {modal === 'close' ? 'Close Project' : 'Cancel Project'}
+              </h3>
+              <p className="text-sm text-gray-500 mb-4">
+                {modal === 'close'
+                  ? `"${project.title}" will stop taking applications. You can repost it later.`
+                  : `"${project.title}" will be cancelled. You can repost it later.`}
+                {project.status !== 'draft' && ' Freelancers who applied will be told why.'}
+              </p>
+              <div className="mb-4 text-left">
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Reason *
+                </label>
+                <textarea
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  placeholder={modal === 'close' ? 'e.g. We found someone for this work' : 'e.g. The project is no longer needed'}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  rows={3}
+                  maxLength={500}
+                />
+              </div>
+              <div className="flex justify-center space-x-3">
+                <button
+                  onClick={() => setModal(null)}
+                  className="px-4 py-2 bg-gray-300 text-gray-700 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-300"
+                >
+                  Back
+                </button>
+                <button
+                  onClick={handleReasonSubmit}
+                  disabled={!reason.trim() || processing}
+                  className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 disabled:opacity-50"
+                >
+                  {processing
+                    ? (modal === 'close' ? 'Closing...' : 'Cancelling...')
+                    : (modal === 'close' ? 'Close Project' : 'Cancel Project')}
+                </button>
               </div>
             </div>
           </div>
         </div>
       )}
+
+      {/* Edit History Modal */}
+      {modal === 'history' && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-10 mx-auto p-6 border max-w-2xl shadow-lg rounded-md bg-white">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">Edit History: {project.title}</h3>
+              <button onClick={() => setModal(null)} className="p-1 rounded-full hover:bg-gray-100">
+                <XMarkIcon className="h-5 w-5" />
+              </button>
+            </div>
+
+            {revisions.length === 0 ? (
+              <p className="text-sm text-gray-500 text-center py-6">No edits since the project was published.</p>
+            ) : (
+              <div className="space-y-4 max-h-[70vh] overflow-y-auto">
+                {revisions.map(revision => (
+                  <div key={revision._id} className="border border-gray-200 rounded-lg p-4">
+                    <div className="flex items-center justify-between mb-2">
+                      <span className="text-sm font-medium text-gray-900">{formatDateTime(revision.editedAt)}</span>
+                      {revision.material && (
+                        <span className="text-xs px-2 py-1 rounded-full bg-yellow-100 text-yellow-800">Applicants notified</span>
+                      )}
+                    </div>
+                    {revision.note && <p className="text-sm text-gray-600 mb-2">{revision.note}</p>}
+                    <ul className="text-sm space-y-1">
+                      {revision.changes.map(change => (
+                        <li key={change.field} className="text-gray-700">
+                          <span className="font-medium">{FIELD_LABELS[change.field] || change.field}:</span>{' '}
+                          <span className="text-red-600 line-through break-words">{formatRevisionValue(change.field, change.before)}</span>
+                          {' → '}
+                          <span className="text-green-700 break-words">{formatRevisionValue(change.field, change.after)}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -8,7 +8,8 @@ import {
   FlagIcon,
   ChatBubbleLeftRightIcon,
   PlusCircleIcon,
-  ArrowPathIcon
+  ArrowPathIcon,
+  ExclamationTriangleIcon
 } from '@heroicons/react/24/outline';
 import { toast } from 'react-hot-toast';
 
@@ -111,7 +112,11 @@ const ProjectTimeline = ({ workspaceId, userRole }) => {
   const getEventIcon = (type) => {
     const iconProps = { className: "w-5 h-5" };
     
-    if (type.startsWith('milestone')) {
+    if (type.startsWith('dispute')) {
+      return type === 'dispute.resolved'
+        ? <CheckCircleIcon {...iconProps} />
+        : <ExclamationTriangleIcon {...iconProps} />;
+    } else if (type.startsWith('milestone')) {
       return <FlagIcon {...iconProps} />;
     } else if (type.startsWith('deliverable')) {
       return <DocumentTextIcon {...iconProps} />;
@@ -129,7 +134,14 @@ const ProjectTimeline = ({ workspaceId, userRole }) => {
   };
 
   const getEventColor = (type) => {
-    if (type.includes('approved') || type.includes('completed') || type === 'payment.completed') {
+    if (type.startsWith('dispute') && type !== 'dispute.resolved') {
+      return {
+        bg: 'bg-orange-50',
+        border: 'border-orange-200',
+        icon: 'bg-orange-100 text-orange-600',
+        dot: 'bg-orange-500'
+      };
+    } else if (type.includes('approved') || type === 'dispute.resolved' || type.includes('completed') || type === 'payment.completed') {
       return {
         bg: 'bg-green-50',
         border: 'border-green-200',
@@ -240,6 +252,7 @@ const ProjectTimeline = ({ workspaceId, userRole }) => {
     { id: 'milestone.created,milestone.approved,milestone.rejected', label: 'Milestones', icon: FlagIcon },
     { id: 'deliverable.submitted,deliverable.approved,deliverable.revised', label: 'Deliverables', icon: DocumentTextIcon },
     { id: 'payment.completed,escrow.funded', label: 'Payments', icon: CurrencyRupeeIcon },
+    { id: 'dispute.raised,dispute.evidence_added,dispute.info_requested,dispute.deadline_passed,dispute.resolved', label: 'Disputes', icon: ExclamationTriangleIcon },
     { id: 'note.added', label: 'Notes', icon: ChatBubbleLeftRightIcon }
   ];
 
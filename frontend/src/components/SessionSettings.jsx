@@ -0,0 +1,242 @@
+// frontend/src/components/SessionSettings.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  ComputerDesktopIcon,
+  DevicePhoneMobileIcon,
+  DeviceTabletIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { API_BASE_URL, API_ENDPOINTS } from '../config/api.js';
+import { useAuth } from '../contexts/AuthContext';
+import { formatDateTime } from '../utils/dateUtils';
+
+const DEVICE_ICONS = {
+  desktop: ComputerDesktopIcon,
+  mobile: DevicePhoneMobileIcon,
+  tablet: DeviceTabletIcon
+};
+
+const METHOD_LABELS = {
+  password: 'Password',
+  'two-factor': 'Password + 2FA',
+  google: 'Google'
+};
+
+/**
+ * Devices signed in to the account (each can be signed out) and the most
+ * recent sign-ins recorded on the account.
+ */
+const SessionSettings = ({ isOpen, onClose }) => {
+  const { logoutAllDevices } = useAuth();
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [loginHistory, setLoginHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // Session being signed out, 'all' (other devices) or 'everywhere'
+  const [revoking, setRevoking] = useState(null);
+
+  const fetchActivity = useCallback(async () => {
+    try {
+      setLoading(true);
+      const token = localStorage.getItem('token');
+      const headers = { 'Authorization': `Bearer ${token}` };
+      const [sessionsResponse, historyResponse] = await Promise.all([
+        fetch(`${API_BASE_URL}${API_ENDPOINTS.PROFILE.SESSIONS}`, { headers }),
+        fetch(`${API_BASE_URL}${API_ENDPOINTS.PROFILE.LOGIN_HISTORY}`, { headers })
+      ]);
+      const sessionsData = await sessionsResponse.json();
+      const historyData = await historyResponse.json();
+
+      if (sessionsData.success) {
+        setSessions(sessionsData.data.sessions);
+      } else {
+        toast.error(sessionsData.message || 'Failed to load active sessions');
+      }
+      if (historyData.success) {
+        setLoginHistory(historyData.loginHistory);
+      }
+    } catch (error) {
+      console.error('Error fetching login activity:', error);
+      toast.error('Failed to load login activity');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isOpen) {
+      fetchActivity();
+    }
+  }, [isOpen, fetchActivity]);
+
+  const revoke = async (endpoint, target) => {
+    setRevoking(target);
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await response.json();
+      if (data.success) {
+        toast.success(data.message);
+        fetchActivity();
+      } else {
+        toast.error(data.message || 'Failed to sign out the device');
+      }
+    } catch (error) {
+      console.error('Error signing out session:', error);
+      toast.error('Failed to sign out the device');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const handleSignOutEverywhere = async () => {
+    setRevoking('everywhere');
+    try {
+      const data = await logoutAllDevices();
+      if (data.success) {
+        toast.success(data.message);
+        onClose();
+        navigate('/');
+      } else {
+        toast.error(data.message || 'Failed to sign out of all devices');
+      }
+    } catch {
+      toast.error('Failed to sign out of all devices');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const otherSessions = sessions.filter(session => !session.current);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg max-h-[calc(100vh-1rem)] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="flex items-center gap-2">
+            <ComputerDesktopIcon className="h-6 w-6 text-primary" />
+            <h2 className="text-lg font-semibold text-gray-900">Sessions & Login Activity</h2>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <XMarkIcon className="h-6 w-6" />
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+          </div>
+        ) : (
+          <div className="p-6 space-y-6">
+            <section>
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-sm font-semibold text-gray-900">Where you're signed in</h3>
+                {otherSessions.length > 0 && (
+                  <button
+                    type="button"
+                    onClick={() => revoke(API_ENDPOINTS.PROFILE.SESSIONS, 'all')}
+                    disabled={revoking !== null}
+                    className="text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
+                  >
+                    {revoking === 'all' ? 'Signing out...' : 'Sign out all other devices'}
+                  </button>
+                )}
+              </div>
+
+              {sessions.length === 0 ? (
+                <p className="text-sm text-gray-500">No active sessions</p>
+              ) : (
+                <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                  {sessions.map(session => {
+                    const DeviceIcon = DEVICE_ICONS[session.deviceType] || ComputerDesktopIcon;
+                    return (
+                      <li key={session._id} className="flex items-center gap-3 p-3">
+                        <DeviceIcon className="h-6 w-6 text-gray-400 flex-shrink-0" />
+                        <div className="flex-1 min-w-0">
+                          <p className="text-sm font-medium text-gray-900 truncate">
+                            {session.deviceName}
+                            {session.current && (
+                              <span className="ml-2 px-2 py-0.5 text-xs font-medium bg-green-100 text-green-700 rounded-full">
+                                This device
+                              </span>
+                            )}
+                          </p>
+                          <p className="text-xs text-gray-500">
+                            {session.ip || 'Unknown IP'} · Signed in {formatDateTime(session.createdAt)}
+                          </p>
+                          <p className="text-xs text-gray-400">
+                            Last active {formatDateTime(session.lastActiveAt)}
+                          </p>
+                        </div>
+                        {!session.current && (
+                          <button
+                            type="button"
+                            onClick={() => revoke(API_ENDPOINTS.PROFILE.SESSION_BY_ID(session._id), session._id)}
+                            disabled={revoking !== null}
+                            className="px-3 py-1 border border-red-200 rounded-lg text-xs text-red-600 hover:bg-red-50 transition-colors disabled:opacity-50"
+                          >
+                            {revoking === session._id ? 'Signing out...' : 'Sign out'}
+                          </button>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+
+              <button
+                type="button"
+                onClick={handleSignOutEverywhere}
+                disabled={revoking !== null}
+                className="mt-3 w-full px-4 py-2 border border-red-200 rounded-lg text-sm text-red-600 hover:bg-red-50 transition-colors disabled:opacity-50"
+              >
+                {revoking === 'everywhere' ? 'Signing out...' : 'Sign out everywhere, including this device'}
+              </button>
+            </section>
+
+            <section>
+              <h3 className="text-sm font-semibold text-gray-900 mb-3">Recent sign-ins</h3>
+              {loginHistory.length === 0 ? (
+                <p className="text-sm text-gray-500">No sign-ins recorded yet</p>
+              ) : (
+                <ul className="space-y-2">
+                  {loginHistory.map((login, index) => (
+                    <li key={login._id || index} className="flex items-start justify-between gap-3 text-sm">
+                      <div className="min-w-0">
+                        <p className="text-gray-900 truncate">
+                          {login.deviceName || 'Unknown device'}
+                          {login.newDevice && (
+                            <span className="ml-2 px-2 py-0.5 text-xs font-medium bg-yellow-100 text-yellow-800 rounded-full">
+                              New device
+                            </span>
+                          )}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {login.ip || 'Unknown IP'}
+                          {login.method ? ` · ${METHOD_LABELS[login.method] || login.method}` : ''}
+                        </p>
+                      </div>
+                      <span className="text-xs text-gray-400 whitespace-nowrap">{formatDateTime(login.timestamp)}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <p className="mt-4 text-xs text-gray-500">
+                Don't recognise a sign-in? Sign out that device and change your password.
+              </p>
+            </section>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SessionSettings;
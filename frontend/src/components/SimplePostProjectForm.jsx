@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { motion } from 'framer-motion';
 import toast from 'react-hot-toast';
+import { CURRENCY_OPTIONS, formatMoney } from '../utils/currency';
 import { 
   XMarkIcon,
   CloudArrowUpIcon,
@@ -16,6 +17,7 @@ const SimplePostProjectForm = ({ onSuccess, onClose }) => {
     category: '',
     budgetType: 'fixed',
     budgetAmount: '',
+    currency: 'INR',
     deadline: ''
   });
   const [files, setFiles] = useState([]);
@@ -88,6 +90,15 @@ const SimplePostProjectForm = ({ onSuccess, onClose }) => {
     setFiles(prev => prev.filter((_, i) => i !== index));
   };
 
+  // Drafts only need a title; everything else is checked when the draft is published
+  const saveDraft = async () => {
+    if (!formData.title.trim()) {
+      toast.error('Give your draft a title');
+      return;
+    }
+    await submitProject({ asDraft: true });
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -97,7 +108,7 @@ const SimplePostProjectForm = ({ onSuccess, onClose }) => {
     }
 
     if (!formData.budgetAmount || Number(formData.budgetAmount) < 100) {
-      toast.error('Please set a budget of at least ₹100');
+      toast.error(`Please set a budget of at least ${formatMoney(100, formData.currency)}`);
       return;
     }
 
@@ -112,21 +123,26 @@ const SimplePostProjectForm = ({ onSuccess, onClose }) => {
       return;
     }
 
+    await submitProject({ asDraft: false });
+  };
+
+  const submitProject = async ({ asDraft }) => {
     setLoading(true);
 
     try {
       const token = localStorage.getItem('token');
       const projectFormData = new FormData();
-      
-      const budgetAmount = Number(formData.budgetAmount);
 
       projectFormData.append('title', formData.title);
-      projectFormData.append('description', formData.description);
-      projectFormData.append('category', formData.category);
       projectFormData.append('budgetType', formData.budgetType);
-      projectFormData.append('budgetAmount', budgetAmount);
-      projectFormData.append('deadline', formData.deadline);
+      projectFormData.append('currency', formData.currency);
       projectFormData.append('skills', ''); // Empty skills for simplified form
+      // A draft may still be missing any of these
+      if (formData.description) projectFormData.append('description', formData.description);
+      if (formData.category) projectFormData.append('category', formData.category);
+      if (formData.budgetAmount) projectFormData.append('budgetAmount', Number(formData.budgetAmount));
+      if (formData.deadline) projectFormData.append('deadline', formData.deadline);
+      if (asDraft) projectFormData.append('status', 'draft');
 
       // Add files
       files.forEach(file => {
@@ -143,7 +159,9 @@ const SimplePostProjectForm = ({ onSuccess, onClose }) => {
 
       if (response.ok) {
         const newProject = await response.json();
-        toast.success('🎉 Project posted successfully! Freelancers can now apply.');
+        toast.success(asDraft
+          ? '📝 Draft saved. Publish it from My Projects when you are ready.'
+          : '🎉 Project posted successfully! Freelancers can now apply.');
         if (onSuccess) {
           onSuccess(newProject);
         }
@@ -249,34 +267,46 @@ const SimplePostProjectForm = ({ onSuccess, onClose }) => {
           {/* Budget */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-3">
-              Set your project budget (Rs.) *
+              Set your project budget *
             </label>
             <p className="text-xs text-gray-500 mb-3">
               💡 Set a definite amount. Freelancers can negotiate up to 20% above this price during chat.
             </p>
-            <div className="relative">
-              <CurrencyDollarIcon className="h-5 w-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
-              <input
-                type="number"
-                name="budgetAmount"
-                value={formData.budgetAmount}
+            <div className="flex gap-3">
+              <select
+                name="currency"
+                value={formData.currency}
                 onChange={handleInputChange}
-                placeholder="e.g., 5000"
-                min="100"
-                step="100"
-                className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                required
-              />
+                className="px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                {CURRENCY_OPTIONS.map(option => (
+                  <option key={option.code} value={option.code}>{option.code}</option>
+                ))}
+              </select>
+              <div className="relative flex-1">
+                <CurrencyDollarIcon className="h-5 w-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+                <input
+                  type="number"
+                  name="budgetAmount"
+                  value={formData.budgetAmount}
+                  onChange={handleInputChange}
+                  placeholder="e.g., 5000"
+                  min="100"
+                  step="100"
+                  className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  required
+                />
+              </div>
             </div>
             {formData.budgetAmount && (
               <div className="mt-2 p-3 bg-blue-50 rounded-lg text-sm">
                 <div className="flex justify-between text-gray-700">
                   <span>Your budget:</span>
-                  <span className="font-semibold">₹{Number(formData.budgetAmount).toLocaleString()}</span>
+                  <span className="font-semibold">{formatMoney(Number(formData.budgetAmount), formData.currency)}</span>
                 </div>
                 <div className="flex justify-between text-gray-500 text-xs mt-1">
                   <span>Max freelancer can offer:</span>
-                  <span>₹{Math.round(Number(formData.budgetAmount) * 1.2).toLocaleString()}</span>
+                  <span>{formatMoney(Math.round(Number(formData.budgetAmount) * 1.2), formData.currency)}</span>
                 </div>
               </div>
             )}
@@ -349,6 +379,14 @@ const SimplePostProjectForm = ({ onSuccess, onClose }) => {
             >
               Cancel
             </button>
+            <button
+              type="button"
+              onClick={saveDraft}
+              disabled={loading}
+              className="px-6 py-3 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors font-medium"
+            >
+              Save Draft
+            </button>
             <button
               type="submit"
               disabled={loading}
@@ -0,0 +1,461 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  ChevronLeftIcon,
+  ChevronRightIcon,
+  PlayIcon,
+  StopIcon,
+  TrashIcon,
+  CheckIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline';
+import { toast } from 'react-hot-toast';
+import { API_ENDPOINTS, buildApiUrl } from '../config/api';
+import { formatMoney } from '../utils/currency';
+
+const WEEK_STATUS_STYLES = {
+  empty: { text: 'No time logged', color: 'bg-gray-100 text-gray-600' },
+  open: { text: 'Not submitted', color: 'bg-blue-100 text-blue-800' },
+  submitted: { text: 'Awaiting approval', color: 'bg-yellow-100 text-yellow-800' },
+  rejected: { text: 'Changes requested', color: 'bg-red-100 text-red-800' },
+  approved: { text: 'Approved', color: 'bg-green-100 text-green-800' }
+};
+
+const ENTRY_STATUS_STYLES = {
+  running: 'text-blue-600',
+  logged: 'text-gray-500',
+  submitted: 'text-yellow-700',
+  approved: 'text-green-700',
+  rejected: 'text-red-700'
+};
+
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const shiftWeek = (weekKey, weeks) => {
+  const date = new Date(`${weekKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + weeks * 7);
+  return toDateKey(date);
+};
+
+const formatHours = (minutes) => `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+
+const formatElapsed = (startedAt, now) => {
+  const seconds = Math.max(Math.floor((now - new Date(startedAt)) / 1000), 0);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const authHeaders = () => ({
+  'Authorization': `Bearer ${localStorage.getItem('token')}`,
+  'Content-Type': 'application/json'
+});
+
+const TimesheetPanel = ({ workspaceId, userRole, onTimesheetBilled }) => {
+  const isFreelancer = userRole === 'freelancer';
+  const [weekKey, setWeekKey] = useState(null);
+  const [week, setWeek] = useState(null);
+  const [timesheets, setTimesheets] = useState([]);
+  const [entryForm, setEntryForm] = useState({ date: toDateKey(new Date()), hours: '', description: '' });
+  const [timerDescription, setTimerDescription] = useState('');
+  const [reviewNotes, setReviewNotes] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [now, setNow] = useState(Date.now());
+
+  const fetchWeek = useCallback(async () => {
+    try {
+      const query = weekKey ? `?week=${weekKey}` : '';
+      const response = await fetch(buildApiUrl(`${API_ENDPOINTS.WORKSPACES.TIME(workspaceId)}${query}`), {
+        headers: authHeaders()
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        setWeek(data.data);
+        if (!weekKey) setWeekKey(toDateKey(data.data.weekStart));
+      } else {
+        toast.error(data.message || 'Failed to load time entries');
+      }
+    } catch (error) {
+      console.error('Error fetching time entries:', error);
+    }
+  }, [workspaceId, weekKey]);
+
+  const fetchTimesheets = useCallback(async () => {
+    try {
+      const response = await fetch(buildApiUrl(API_ENDPOINTS.WORKSPACES.TIMESHEETS(workspaceId)), {
+        headers: authHeaders()
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        setTimesheets(data.data.weeks);
+      }
+    } catch (error) {
+      console.error('Error fetching timesheets:', error);
+    }
+  }, [workspaceId]);
+
+  useEffect(() => {
+    if (workspaceId) {
+      fetchWeek();
+      fetchTimesheets();
+    }
+  }, [workspaceId, fetchWeek, fetchTimesheets]);
+
+  const runningEntry = week?.entries.find(entry => entry.status === 'running');
+
+  // Tick once a second while the timer is running
+  useEffect(() => {
+    if (!runningEntry) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [runningEntry]);
+
+  const refresh = () => {
+    fetchWeek();
+    fetchTimesheets();
+  };
+
+  const request = async (url, { method = 'POST', body, success }) => {
+    try {
+      setSubmitting(true);
+      const response = await fetch(buildApiUrl(url), {
+        method,
+        headers: authHeaders(),
+        body: body ? JSON.stringify(body) : undefined
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        toast.success(success || data.message);
+        refresh();
+        return data;
+      }
+      toast.error(data.message || 'Something went wrong');
+    } catch (error) {
+      console.error('Timesheet request failed:', error);
+      toast.error('Something went wrong');
+    } finally {
+      setSubmitting(false);
+    }
+    return null;
+  };
+
+  const handleLogTime = async (e) => {
+    e.preventDefault();
+    if (!entryForm.hours || Number(entryForm.hours) <= 0) {
+      toast.error('Please enter the hours worked');
+      return;
+    }
+
+    const data = await request(API_ENDPOINTS.WORKSPACES.TIME(workspaceId), {
+      body: { ...entryForm, date: `${entryForm.date}T09:00:00` }
+    });
+    if (data) {
+      setEntryForm(prev => ({ ...prev, hours: '', description: '' }));
+    }
+  };
+
+  const handleStartTimer = () => request(API_ENDPOINTS.WORKSPACES.TIMER(workspaceId, 'start'), {
+    body: { description: timerDescription }
+  });
+
+  const handleStopTimer = async () => {
+    const data = await request(API_ENDPOINTS.WORKSPACES.TIMER(workspaceId, 'stop'), {});
+    if (data) setTimerDescription('');
+  };
+
+  const handleDeleteEntry = (entryId) => {
+    if (!window.confirm('Delete this time entry?')) return;
+    request(API_ENDPOINTS.WORKSPACES.TIME_ENTRY(workspaceId, entryId), { method: 'DELETE' });
+  };
+
+  const handleWeekAction = async (action) => {
+    if (action === 'reject' && !reviewNotes.trim()) {
+      toast.error('Please explain what needs to change');
+      return;
+    }
+
+    const data = await request(API_ENDPOINTS.WORKSPACES.TIMESHEET_WEEK(workspaceId, weekKey, action), {
+      body: action === 'submit' ? {} : { notes: reviewNotes }
+    });
+    if (data) {
+      setReviewNotes('');
+      if (action === 'approve' && onTimesheetBilled) onTimesheetBilled();
+    }
+  };
+
+  if (!week) {
+    return (
+      <div className="h-full flex items-center justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  const { contract, pending } = week;
+  const weekStatus = WEEK_STATUS_STYLES[week.status] || WEEK_STATUS_STYLES.empty;
+  const totalMinutes = week.entries
+    .filter(entry => entry.status !== 'running')
+    .reduce((sum, entry) => sum + entry.minutes, 0);
+  const canSubmit = isFreelancer && ['open', 'rejected'].includes(week.status);
+  const canReview = !isFreelancer && week.entries.some(entry => entry.status === 'submitted');
+  const weekEnd = new Date(`${shiftWeek(weekKey, 1)}T00:00:00Z`);
+  weekEnd.setUTCDate(weekEnd.getUTCDate() - 1);
+
+  return (
+    <div className="h-full p-6 overflow-y-auto space-y-6">
+      {/* Contract terms */}
+      <div className="flex flex-wrap items-center justify-between gap-3 bg-gray-50 rounded-lg p-4">
+        <div>
+          <h3 className="text-lg font-semibold">Timesheets</h3>
+          <p className="text-sm text-gray-600">
+            {formatMoney(contract.hourlyRate, contract.currency)}/hour · up to {contract.weeklyHourLimit} hours a week
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setWeekKey(shiftWeek(weekKey, -1))}
+            className="p-2 rounded-lg hover:bg-gray-200"
+            aria-label="Previous week"
+          >
+            <ChevronLeftIcon className="w-5 h-5" />
+          </button>
+          <span className="text-sm font-medium">
+            {new Date(`${weekKey}T00:00:00Z`).toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' })}
+            {' – '}
+            {weekEnd.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })}
+          </span>
+          <button
+            onClick={() => setWeekKey(shiftWeek(weekKey, 1))}
+            className="p-2 rounded-lg hover:bg-gray-200"
+            aria-label="Next week"
+          >
+            <ChevronRightIcon className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      {/* Timer and manual entry (freelancer) */}
+      {isFreelancer && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="border rounded-lg p-4 space-y-3">
+            <h4 className="font-medium text-gray-700">Timer</h4>
+            {runningEntry ? (
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-2xl font-mono font-semibold text-blue-600">{formatElapsed(runningEntry.startedAt, now)}</p>
+                  <p className="text-sm text-gray-500">{runningEntry.description || 'No description'}</p>
+                </div>
+                <button
+                  onClick={handleStopTimer}
+                  disabled={submitting}
+                  className="flex items-center gap-1 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+                >
+                  <StopIcon className="w-5 h-5" />
+                  Stop
+                </button>
+              </div>
+            ) : (
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={timerDescription}
+                  onChange={(e) => setTimerDescription(e.target.value)}
+                  placeholder="What are you working on?"
+                  className="flex-1 border border-gray-300 rounded-lg p-2 text-sm"
+                />
+                <button
+                  onClick={handleStartTimer}
+                  disabled={submitting}
+                  className="flex items-center gap-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  <PlayIcon className="w-5 h-5" />
+                  Start
+                </button>
+              </div>
+            )}
+          </div>
+
+          <form onSubmit={handleLogTime} className="border rounded-lg p-4 space-y-3">
+            <h4 className="font-medium text-gray-700">Add time manually</h4>
+            <div className="flex gap-2">
+              <input
+                type="date"
+                value={entryForm.date}
+                max={toDateKey(new Date())}
+                onChange={(e) => setEntryForm({ ...entryForm, date: e.target.value })}
+                className="border border-gray-300 rounded-lg p-2 text-sm"
+              />
+              <input
+                type="number"
+                min="0.25"
+                max="24"
+                step="0.25"
+                value={entryForm.hours}
+                onChange={(e) => setEntryForm({ ...entryForm, hours: e.target.value })}
+                placeholder="Hours"
+                className="w-24 border border-gray-300 rounded-lg p-2 text-sm"
+              />
+            </div>
+            <input
+              type="text"
+              value={entryForm.description}
+              onChange={(e) => setEntryForm({ ...entryForm, description: e.target.value })}
+              placeholder="Description"
+              className="w-full border border-gray-300 rounded-lg p-2 text-sm"
+            />
+            <button
+              type="submit"
+              disabled={submitting}
+              className="px-4 py-2 bg-gray-800 text-white text-sm rounded-lg hover:bg-gray-900 disabled:opacity-50"
+            >
+              Log Time
+            </button>
+          </form>
+        </div>
+      )}
+
+      {/* Entries for the selected week */}
+      <div className="border rounded-lg">
+        <div className="flex items-center justify-between p-4 border-b">
+          <div className="flex items-center gap-3">
+            <h4 className="font-medium text-gray-700">This week</h4>
+            <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${weekStatus.color}`}>{weekStatus.text}</span>
+          </div>
+          <span className="text-sm text-gray-600">{formatHours(totalMinutes)} logged</span>
+        </div>
+
+        {week.entries.length === 0 ? (
+          <p className="p-4 text-sm text-gray-500">No time logged this week.</p>
+        ) : (
+          <ul className="divide-y">
+            {week.entries.map(entry => (
+              <li key={entry._id} className="flex items-center justify-between p-4 text-sm">
+                <div>
+                  <p className="font-medium text-gray-800">{entry.description || 'No description'}</p>
+                  <p className="text-gray-500">
+                    {new Date(entry.startedAt).toLocaleDateString()} · {entry.source === 'timer' ? 'Timer' : 'Manual'}
+                    {' · '}
+                    <span className={ENTRY_STATUS_STYLES[entry.status]}>{entry.status}</span>
+                  </p>
+                  {entry.reviewNotes && entry.status === 'rejected' && (
+                    <p className="text-red-600 text-xs mt-1">Client: {entry.reviewNotes}</p>
+                  )}
+                </div>
+                <div className="flex items-center gap-3">
+                  <span className="font-mono">{entry.status === 'running' ? formatElapsed(entry.startedAt, now) : formatHours(entry.minutes)}</span>
+                  {isFreelancer && ['logged', 'rejected'].includes(entry.status) && (
+                    <button
+                      onClick={() => handleDeleteEntry(entry._id)}
+                      className="text-gray-400 hover:text-red-600"
+                      aria-label="Delete entry"
+                    >
+                      <TrashIcon className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {pending.hoursLogged > 0 && (
+          <div className="p-4 border-t bg-gray-50 text-sm space-y-1">
+            <div className="flex justify-between">
+              <span className="text-gray-600">Billable hours</span>
+              <span>{pending.billableHours} of {pending.hoursLogged}</span>
+            </div>
+            {pending.cappedHours > 0 && (
+              <p className="text-xs text-orange-600">
+                {pending.cappedHours} hours are over the weekly limit and won't be billed.
+              </p>
+            )}
+            <div className="flex justify-between font-medium">
+              <span>Amount</span>
+              <span>{formatMoney(pending.amount, contract.currency)}</span>
+            </div>
+          </div>
+        )}
+
+        {canSubmit && !runningEntry && (
+          <div className="p-4 border-t">
+            <button
+              onClick={() => handleWeekAction('submit')}
+              disabled={submitting}
+              className="px-4 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              Submit Week for Approval
+            </button>
+          </div>
+        )}
+
+        {canReview && (
+          <div className="p-4 border-t space-y-3">
+            <textarea
+              value={reviewNotes}
+              onChange={(e) => setReviewNotes(e.target.value)}
+              rows={2}
+              placeholder="Notes for the freelancer (required when requesting changes)"
+              className="w-full border border-gray-300 rounded-lg p-2 text-sm"
+            />
+            <div className="flex gap-2">
+              <button
+                onClick={() => handleWeekAction('approve')}
+                disabled={submitting}
+                className="flex items-center gap-1 px-4 py-2 bg-green-600 text-white text-sm rounded-lg hover:bg-green-700 disabled:opacity-50"
+              >
+                <CheckIcon className="w-4 h-4" />
+                Approve & Bill
+              </button>
+              <button
+                onClick={() => handleWeekAction('reject')}
+                disabled={submitting}
+                className="flex items-center gap-1 px-4 py-2 border border-red-300 text-red-700 text-sm rounded-lg hover:bg-red-50 disabled:opacity-50"
+              >
+                <XMarkIcon className="w-4 h-4" />
+                Request Changes
+              </button>
+            </div>
+            <p className="text-xs text-gray-500">
+              Approving raises a billing milestone for the approved hours. Pay it from the Payments tab.
+            </p>
+          </div>
+        )}
+      </div>
+
+      {/* Weekly history */}
+      {timesheets.length > 0 && (
+        <div>
+          <h4 className="font-medium text-gray-700 mb-3">All weeks</h4>
+          <div className="space-y-2">
+            {timesheets.map(sheet => {
+              const status = WEEK_STATUS_STYLES[sheet.status] || WEEK_STATUS_STYLES.empty;
+              return (
+                <button
+                  key={sheet.weekStart}
+                  onClick={() => setWeekKey(toDateKey(sheet.weekStart))}
+                  className="w-full flex items-center justify-between p-3 border rounded-lg text-sm hover:bg-gray-50 text-left"
+                >
+                  <span>Week of {new Date(sheet.weekStart).toLocaleDateString(undefined, { timeZone: 'UTC' })}</span>
+                  <span className="flex items-center gap-3">
+                    <span className="text-gray-600">{sheet.totalHours}h</span>
+                    {sheet.billing.map(milestone => (
+                      <span key={milestone._id} className="text-gray-600">
+                        {formatMoney(milestone.amount, milestone.currency)}
+                        {milestone.escrowStatus === 'released' ? ' paid' : ' due'}
+                      </span>
+                    ))}
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${status.color}`}>{status.text}</span>
+                  </span>
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TimesheetPanel;
@@ -0,0 +1,162 @@
+// frontend/src/components/TwoFactorChallenge.jsx
+import React, { useState } from 'react';
+import { ShieldCheckIcon, ArrowLeftIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { AuthenticatorSetupPanel, RecoveryCodesPanel } from './TwoFactorSettings';
+
+const inputClassName = 'w-full px-4 py-3 border border-gray-300 rounded-lg text-base text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-primary focus:border-primary transition-all duration-200 font-mono tracking-widest text-center';
+const submitClassName = 'w-full bg-primary text-white px-6 py-3 rounded-lg font-semibold text-base transition-all duration-200 hover:bg-accent hover:shadow-md focus:outline-none focus:ring-2 focus:ring-primary focus:ring-opacity-50 disabled:opacity-50 disabled:cursor-not-allowed';
+
+/**
+ * Second sign-in step, shown after the password (or Google) step returns a challenge.
+ *   challenge.twoFactorRequired       enter an authenticator or recovery code
+ *   challenge.twoFactorSetupRequired  the account must enroll first; challenge.setup
+ *                                     holds the secret from startTwoFactorSetup
+ * onSuccess receives the completed login response.
+ */
+const TwoFactorChallenge = ({ challenge, onSuccess, onCancel }) => {
+  const { verifyTwoFactor, confirmTwoFactorSetup } = useAuth();
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [loading, setLoading] = useState(false);
+  // Completed setup response, held back until the user has seen their recovery codes
+  const [completedSetup, setCompletedSetup] = useState(null);
+
+  const isSetup = Boolean(challenge.twoFactorSetupRequired);
+
+  const handleFailure = (data) => {
+    toast.error(data.message || 'Invalid verification code');
+    if (data.challengeExpired) {
+      onCancel();
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      if (isSetup) {
+        const data = await confirmTwoFactorSetup(challenge.challengeToken, code);
+        if (data.success) {
+          setCompletedSetup(data);
+        } else {
+          handleFailure(data);
+        }
+        return;
+      }
+
+      const data = await verifyTwoFactor(challenge.challengeToken, code);
+      if (data.success) {
+        if (data.usedRecoveryCode) {
+          toast(`Recovery code used. ${data.recoveryCodesRemaining} left — generate new ones in security settings if you're running low.`, { duration: 6000 });
+        }
+        onSuccess(data);
+      } else {
+        handleFailure(data);
+      }
+    } catch (error) {
+      console.error('Two-factor sign-in error:', error);
+      toast.error('Unable to connect to server');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (completedSetup) {
+    return (
+      <div>
+        <div className="text-center mb-6">
+          <ShieldCheckIcon className="h-12 w-12 text-primary mx-auto mb-3" />
+          <h1 className="heading-3 mb-2">You're all set</h1>
+          <p className="body-regular">Two-factor authentication is now on for your account</p>
+        </div>
+        <RecoveryCodesPanel
+          codes={completedSetup.recoveryCodes}
+          onDone={() => onSuccess(completedSetup)}
+          doneLabel="Continue to WebSphere"
+        />
+      </div>
+    );
+  }
+
+  const canSubmit = useRecoveryCode ? code.trim().length >= 8 : code.length === 6;
+
+  return (
+    <div>
+      <div className="text-center mb-6">
+        <ShieldCheckIcon className="h-12 w-12 text-primary mx-auto mb-3" />
+        <h1 className="heading-3 mb-2">
+          {isSetup ? 'Set Up Two-Factor Authentication' : 'Two-Factor Authentication'}
+        </h1>
+        <p className="body-regular">
+          {isSetup
+            ? 'Your account requires a code from an authenticator app to sign in'
+            : useRecoveryCode
+              ? 'Enter one of your recovery codes'
+              : 'Enter the 6-digit code from your authenticator app'}
+        </p>
+      </div>
+
+      <form onSubmit={handleSubmit} className="space-y-6">
+        {isSetup && challenge.setup && <AuthenticatorSetupPanel setup={challenge.setup} />}
+
+        {useRecoveryCode ? (
+          <input
+            type="text"
+            autoComplete="off"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            required
+            autoFocus
+            className={inputClassName}
+            placeholder="xxxx-xxxx"
+          />
+        ) : (
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            maxLength={6}
+            value={code}
+            onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+            required
+            autoFocus
+            className={inputClassName}
+            placeholder="123456"
+          />
+        )}
+
+        <button type="submit" disabled={loading || !canSubmit} className={submitClassName}>
+          {loading ? 'Verifying...' : isSetup ? 'Verify and Sign In' : 'Verify'}
+        </button>
+      </form>
+
+      <div className="mt-4 flex items-center justify-between text-sm">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="flex items-center gap-1 text-gray-medium hover:text-gray-dark transition-colors"
+        >
+          <ArrowLeftIcon className="h-4 w-4" />
+          Back to sign in
+        </button>
+        {!isSetup && (
+          <button
+            type="button"
+            onClick={() => {
+              setUseRecoveryCode(!useRecoveryCode);
+              setCode('');
+            }}
+            className="text-primary hover:text-accent transition-colors"
+          >
+            {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorChallenge;
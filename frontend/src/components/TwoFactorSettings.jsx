@@ -0,0 +1,454 @@
+// frontend/src/components/TwoFactorSettings.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  ShieldCheckIcon,
+  KeyIcon,
+  ClipboardDocumentIcon,
+  ArrowDownTrayIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { API_BASE_URL, API_ENDPOINTS } from '../config/api.js';
+import { formatDate } from '../utils/dateUtils';
+
+const inputClassName = 'w-full px-4 py-3 border border-gray-300 rounded-lg text-base text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-primary focus:border-primary transition-all duration-200';
+const primaryButtonClassName = 'w-full bg-primary text-white px-6 py-3 rounded-lg font-semibold text-base transition-all duration-200 hover:bg-accent hover:shadow-md focus:outline-none focus:ring-2 focus:ring-primary focus:ring-opacity-50 disabled:opacity-50 disabled:cursor-not-allowed';
+
+// Secret grouped in fours so it is easier to type into an authenticator app
+const groupSecret = (secret = '') => secret.match(/.{1,4}/g)?.join(' ') || '';
+
+/**
+ * Shows a new authenticator secret: an otpauth:// link (opens the app on phones)
+ * and the secret for typing in by hand.
+ */
+export const AuthenticatorSetupPanel = ({ setup }) => {
+  const copySecret = async () => {
+    try {
+      await navigator.clipboard.writeText(setup.secret);
+      toast.success('Secret copied');
+    } catch {
+      toast.error('Could not copy. Select the secret and copy it instead.');
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <ol className="list-decimal list-inside text-sm text-gray-600 space-y-1">
+        <li>Open an authenticator app (Google Authenticator, Authy, 1Password…)</li>
+        <li>Add an account with the link or the secret below</li>
+        <li>Enter the 6-digit code the app shows</li>
+      </ol>
+      <a
+        href={setup.otpauthUri}
+        className="flex items-center justify-center gap-2 w-full px-4 py-2 border border-primary text-primary rounded-lg text-sm font-medium hover:bg-primary/5 transition-colors"
+      >
+        <KeyIcon className="h-4 w-4" />
+        Open in authenticator app
+      </a>
+      <div className="bg-gray-50 border border-gray-200 rounded-lg p-3">
+        <p className="text-xs text-gray-500 mb-1">Or enter this secret manually</p>
+        <div className="flex items-center justify-between gap-2">
+          <code className="font-mono text-sm text-gray-900 break-all select-all">{groupSecret(setup.secret)}</code>
+          <button
+            type="button"
+            onClick={copySecret}
+            className="text-gray-400 hover:text-gray-600 flex-shrink-0"
+            title="Copy secret"
+          >
+            <ClipboardDocumentIcon className="h-5 w-5" />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Recovery codes are only ever shown once, right after they are generated
+ */
+export const RecoveryCodesPanel = ({ codes, onDone, doneLabel = 'I saved my recovery codes' }) => {
+  const text = codes.join('\n');
+
+  const copyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success('Recovery codes copied');
+    } catch {
+      toast.error('Could not copy. Select the codes and copy them instead.');
+    }
+  };
+
+  const downloadCodes = () => {
+    const url = URL.createObjectURL(new Blob([`WebSphere recovery codes\n\n${text}\n`], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'websphere-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm text-yellow-800">
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose your
+        authenticator app. They won't be shown again.
+      </div>
+      <div className="grid grid-cols-2 gap-2 bg-gray-50 border border-gray-200 rounded-lg p-4">
+        {codes.map(code => (
+          <code key={code} className="font-mono text-sm text-gray-900 text-center">{code}</code>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={copyCodes}
+          className="flex-1 flex items-center justify-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+        >
+          <ClipboardDocumentIcon className="h-4 w-4" />
+          Copy
+        </button>
+        <button
+          type="button"
+          onClick={downloadCodes}
+          className="flex-1 flex items-center justify-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+        >
+          <ArrowDownTrayIcon className="h-4 w-4" />
+          Download
+        </button>
+      </div>
+      <button type="button" onClick={onDone} className={primaryButtonClassName}>
+        {doneLabel}
+      </button>
+    </div>
+  );
+};
+
+const TwoFactorSettings = ({ isOpen, onClose }) => {
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  // null | 'setup' | 'regenerate' | 'disable'
+  const [action, setAction] = useState(null);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  const request = async (endpoint, method = 'GET', body) => {
+    const token = localStorage.getItem('token');
+    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return response.json();
+  };
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      setLoading(true);
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.PROFILE.TWO_FACTOR}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await response.json();
+      if (data.success) {
+        setStatus(data.data);
+      } else {
+        toast.error(data.message || 'Failed to load two-factor settings');
+      }
+    } catch (error) {
+      console.error('Error fetching two-factor status:', error);
+      toast.error('Failed to load two-factor settings');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isOpen) {
+      fetchStatus();
+    }
+  }, [isOpen, fetchStatus]);
+
+  const resetForm = () => {
+    setAction(null);
+    setPassword('');
+    setCode('');
+    setSetup(null);
+  };
+
+  const handleClose = () => {
+    resetForm();
+    setRecoveryCodes(null);
+    onClose();
+  };
+
+  const handleStartSetup = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const data = await request(API_ENDPOINTS.PROFILE.TWO_FACTOR_SETUP, 'POST', { password });
+      if (data.success) {
+        setSetup(data.data);
+        setPassword('');
+      } else {
+        toast.error(data.message || 'Failed to start two-factor setup');
+      }
+    } catch (error) {
+      console.error('Error starting two-factor setup:', error);
+      toast.error('Failed to start two-factor setup');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleConfirmSetup = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const data = await request(API_ENDPOINTS.PROFILE.TWO_FACTOR_CONFIRM, 'POST', { code });
+      if (data.success) {
+        toast.success('Two-factor authentication enabled');
+        const { recoveryCodes: codes, ...nextStatus } = data.data;
+        setStatus(nextStatus);
+        setRecoveryCodes(codes);
+        resetForm();
+      } else {
+        toast.error(data.message || 'Invalid verification code');
+      }
+    } catch (error) {
+      console.error('Error confirming two-factor setup:', error);
+      toast.error('Failed to enable two-factor authentication');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const data = await request(API_ENDPOINTS.PROFILE.TWO_FACTOR_RECOVERY_CODES, 'POST', { code });
+      if (data.success) {
+        toast.success('New recovery codes generated');
+        const { recoveryCodes: codes, ...nextStatus } = data.data;
+        setStatus(nextStatus);
+        setRecoveryCodes(codes);
+        resetForm();
+      } else {
+        toast.error(data.message || 'Invalid verification code');
+      }
+    } catch (error) {
+      console.error('Error regenerating recovery codes:', error);
+      toast.error('Failed to generate recovery codes');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const data = await request(API_ENDPOINTS.PROFILE.TWO_FACTOR, 'PATCH', { enabled: false, password });
+      if (data.success) {
+        toast.success('Two-factor authentication disabled');
+        resetForm();
+        fetchStatus();
+      } else {
+        toast.error(data.message || 'Failed to disable two-factor authentication');
+      }
+    } catch (error) {
+      console.error('Error disabling two-factor authentication:', error);
+      toast.error('Failed to disable two-factor authentication');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const renderCodeInput = () => (
+    <input
+      type="text"
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      maxLength={6}
+      value={code}
+      onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+      required
+      className={`${inputClassName} font-mono tracking-widest text-center`}
+      placeholder="123456"
+    />
+  );
+
+  const renderPasswordInput = () => (
+    <input
+      type="password"
+      autoComplete="current-password"
+      value={password}
+      onChange={(e) => setPassword(e.target.value)}
+      required
+      className={inputClassName}
+      placeholder="Enter your password"
+    />
+  );
+
+  const renderCancel = () => (
+    <button
+      type="button"
+      onClick={resetForm}
+      className="w-full text-sm text-gray-500 hover:text-gray-700 transition-colors"
+    >
+      Cancel
+    </button>
+  );
+
+  const renderDisabled = () => {
+    if (setup) {
+      return (
+        <form onSubmit={handleConfirmSetup} className="space-y-4">
+          <AuthenticatorSetupPanel setup={setup} />
+          {renderCodeInput()}
+          <button type="submit" disabled={submitting || code.length !== 6} className={primaryButtonClassName}>
+            {submitting ? 'Verifying...' : 'Verify and enable'}
+          </button>
+          {renderCancel()}
+        </form>
+      );
+    }
+
+    if (action === 'setup') {
+      return (
+        <form onSubmit={handleStartSetup} className="space-y-4">
+          <p className="text-sm text-gray-600">Confirm your password to set up two-factor authentication.</p>
+          {renderPasswordInput()}
+          <button type="submit" disabled={submitting} className={primaryButtonClassName}>
+            {submitting ? 'Checking...' : 'Continue'}
+          </button>
+          {renderCancel()}
+        </form>
+      );
+    }
+
+    return (
+      <div className="space-y-4">
+        <p className="text-sm text-gray-600">
+          Protect your account with a code from an authenticator app each time you sign in.
+        </p>
+        {status?.required && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm text-yellow-800">
+            Two-factor authentication is required for your account.
+          </div>
+        )}
+        <button type="button" onClick={() => setAction('setup')} className={primaryButtonClassName}>
+          Set up two-factor authentication
+        </button>
+      </div>
+    );
+  };
+
+  const renderEnabled = () => {
+    if (action === 'regenerate') {
+      return (
+        <form onSubmit={handleRegenerate} className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Enter a code from your authenticator app. Your current recovery codes will stop working.
+          </p>
+          {renderCodeInput()}
+          <button type="submit" disabled={submitting || code.length !== 6} className={primaryButtonClassName}>
+            {submitting ? 'Generating...' : 'Generate new codes'}
+          </button>
+          {renderCancel()}
+        </form>
+      );
+    }
+
+    if (action === 'disable') {
+      return (
+        <form onSubmit={handleDisable} className="space-y-4">
+          <p className="text-sm text-gray-600">Confirm your password to turn off two-factor authentication.</p>
+          {renderPasswordInput()}
+          <button
+            type="submit"
+            disabled={submitting}
+            className="w-full bg-red-600 text-white px-6 py-3 rounded-lg font-semibold text-base transition-all duration-200 hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {submitting ? 'Disabling...' : 'Disable two-factor authentication'}
+          </button>
+          {renderCancel()}
+        </form>
+      );
+    }
+
+    return (
+      <div className="space-y-4">
+        <div className="flex items-center gap-2 text-green-700 bg-green-50 border border-green-200 rounded-lg p-3 text-sm">
+          <ShieldCheckIcon className="h-5 w-5" />
+          <span>
+            Enabled{status.enrolledAt ? ` since ${formatDate(status.enrolledAt)}` : ''}
+          </span>
+        </div>
+        <p className={`text-sm ${status.recoveryCodesRemaining <= 2 ? 'text-red-600' : 'text-gray-600'}`}>
+          {status.recoveryCodesRemaining} recovery {status.recoveryCodesRemaining === 1 ? 'code' : 'codes'} left
+        </p>
+        <button
+          type="button"
+          onClick={() => setAction('regenerate')}
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+        >
+          Generate new recovery codes
+        </button>
+        {status.required ? (
+          <p className="text-xs text-gray-500 text-center">
+            Two-factor authentication is required for your account and can't be turned off.
+          </p>
+        ) : (
+          <button
+            type="button"
+            onClick={() => setAction('disable')}
+            className="w-full px-4 py-2 border border-red-200 rounded-lg text-sm text-red-600 hover:bg-red-50 transition-colors"
+          >
+            Disable two-factor authentication
+          </button>
+        )}
+      </div>
+    );
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-md max-h-[calc(100vh-1rem)] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="flex items-center gap-2">
+            <ShieldCheckIcon className="h-6 w-6 text-primary" />
+            <h2 className="text-lg font-semibold text-gray-900">Two-Factor Authentication</h2>
+          </div>
+          <button onClick={handleClose} className="text-gray-400 hover:text-gray-600">
+            <XMarkIcon className="h-6 w-6" />
+          </button>
+        </div>
+
+        <div className="p-6">
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+            </div>
+          ) : recoveryCodes ? (
+            <RecoveryCodesPanel codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+          ) : status?.enabled ? (
+            renderEnabled()
+          ) : (
+            renderDisabled()
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
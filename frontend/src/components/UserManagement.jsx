@@ -9,6 +9,7 @@ import {
   EyeIcon,
   EyeSlashIcon,
   ShieldCheckIcon,
+  KeyIcon,
   XMarkIcon
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
@@ -26,12 +27,25 @@ const UserManagement = () => {
   const [deactivationReason, setDeactivationReason] = useState('');
   const [selectedPresetReason, setSelectedPresetReason] = useState('');
   const [adminPassword, setAdminPassword] = useState('');
+  const [adminAccess, setAdminAccess] = useState({ roles: [], permissions: [], current: { permissions: [] } });
+  const [showRoleModal, setShowRoleModal] = useState(false);
+  const [roleForm, setRoleForm] = useState({ adminRole: 'support', permissions: [] });
+  const [savingRole, setSavingRole] = useState(false);
 
   useEffect(() => {
     fetchUsers();
     fetchDeletedUsers();
+    fetchAdminAccess();
   }, []);
 
+  // What the signed-in admin may do; actions they lack are hidden
+  const can = (permission) => adminAccess.current.permissions.includes(permission);
+
+  const roleLabel = (user) => {
+    if (user.adminRole === 'custom') return 'Custom';
+    return adminAccess.roles.find(role => role.key === (user.adminRole || 'super-admin'))?.label || user.adminRole;
+  };
+
   const fetchUsers = async () => {
     try {
       const token = localStorage.getItem('token');
@@ -81,6 +95,73 @@ const UserManagement = () => {
     }
   };
 
+  const fetchAdminAccess = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(buildApiUrl(API_ENDPOINTS.ADMIN.ROLES), {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        setAdminAccess(data.data);
+      }
+    } catch (error) {
+      console.error('Error fetching admin roles:', error);
+    }
+  };
+
+  const handleEditAdminRole = (user) => {
+    setSelectedUser(user);
+    setRoleForm({
+      adminRole: user.adminRole || 'super-admin',
+      permissions: user.adminPermissions || []
+    });
+    setShowRoleModal(true);
+  };
+
+  const toggleRolePermission = (permission) => {
+    setRoleForm(prev => ({
+      ...prev,
+      permissions: prev.permissions.includes(permission)
+        ? prev.permissions.filter(item => item !== permission)
+        : [...prev.permissions, permission]
+    }));
+  };
+
+  const confirmAdminRole = async () => {
+    try {
+      setSavingRole(true);
+      const token = localStorage.getItem('token');
+      const response = await fetch(buildApiUrl(API_ENDPOINTS.ADMIN.USER_ADMIN_ROLE(selectedUser._id)), {
+        method: 'PATCH',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(roleForm)
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        toast.success(data.message);
+        setShowRoleModal(false);
+        fetchUsers();
+      } else {
+        toast.error(data.message || 'Failed to update admin role');
+      }
+    } catch (error) {
+      console.error('Error updating admin role:', error);
+      toast.error('Error updating admin role');
+    } finally {
+      setSavingRole(false);
+    }
+  };
+
   const handleDeleteUser = (user, type = 'soft') => {
     setSelectedUser(user);
     setDeleteType(type);
@@ -236,6 +317,39 @@ const UserManagement = () => {
     }
   };
 
+  const handleToggleTwoFactorRequirement = async (user) => {
+    try {
+      const required = !user.twoFactorRequired;
+      const confirmed = window.confirm(required
+        ? `Require two-factor authentication for ${user.fullName}? They will have to set it up at their next sign-in if they haven't already.`
+        : `Make two-factor authentication optional for ${user.fullName}?`);
+
+      if (confirmed) {
+        const token = localStorage.getItem('token');
+        const response = await fetch(buildApiUrl(API_ENDPOINTS.ADMIN.USER_TWO_FACTOR_REQUIREMENT(user._id)), {
+          method: 'PATCH',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ required })
+        });
+
+        const data = await response.json();
+
+        if (data.success) {
+          toast.success(data.message);
+          fetchUsers();
+        } else {
+          toast.error(data.message || 'Failed to update two-factor requirement');
+        }
+      }
+    } catch (error) {
+      console.error('Error updating two-factor requirement:', error);
+      toast.error('Error updating two-factor requirement');
+    }
+  };
+
   const handleRestoreUser = async (user) => {
     try {
       const confirmed = window.confirm(`Are you sure you want to restore ${user.fullName}'s account?`);
@@ -348,14 +462,16 @@ const UserManagement = () => {
             {showDeleted ? <EyeSlashIcon className="h-5 w-5" /> : <EyeIcon className="h-5 w-5" />}
             <span>{showDeleted ? 'Hide Deleted' : 'Show Deleted'}</span>
           </button>
-          <button
-            onClick={handleDeleteAllFreelancersForTesting}
-            className="flex items-center space-x-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
-            title="TESTING ONLY: Delete all freelancer accounts"
-          >
-            <ExclamationTriangleIcon className="h-5 w-5" />
-            <span>🧪 Delete All Freelancers</span>
-          </button>
+          {can('users.delete') && (
+            <button
+              onClick={handleDeleteAllFreelancersForTesting}
+              className="flex items-center space-x-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
+              title="TESTING ONLY: Delete all freelancer accounts"
+            >
+              <ExclamationTriangleIcon className="h-5 w-5" />
+              <span>🧪 Delete All Freelancers</span>
+            </button>
+          )}
         </div>
       </div>
 
@@ -417,6 +533,9 @@ const UserManagement = () => {
                     <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getRoleBadgeColor(user.role)}`}>
                       {user.role}
                     </span>
+                    {user.role === 'admin' && (
+                      <div className="text-xs text-gray-500 mt-1">{roleLabel(user)}</div>
+                    )}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <div className="flex items-center space-x-2">
@@ -432,6 +551,11 @@ const UserManagement = () => {
                       }`}>
                         {user.isDeleted ? 'Deleted' : user.isActive ? 'Active' : 'Inactive'}
                       </span>
+                      {user.twoFactorEnabled && (
+                        <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-blue-100 text-blue-800" title="Two-factor authentication on">
+                          2FA
+                        </span>
+                      )}
                     </div>
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
@@ -440,17 +564,29 @@ const UserManagement = () => {
                   <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
                     <div className="flex items-center space-x-2">
                       {showDeleted ? (
-                        <button
-                          onClick={() => handleRestoreUser(user)}
-                          className="text-green-600 hover:text-green-900 flex items-center space-x-1"
-                          title="Restore User"
-                        >
-                          <ArrowPathIcon className="h-4 w-4" />
-                          <span>Restore</span>
-                        </button>
+                        can('users.suspend') && (
+                          <button
+                            onClick={() => handleRestoreUser(user)}
+                            className="text-green-600 hover:text-green-900 flex items-center space-x-1"
+                            title="Restore User"
+                          >
+                            <ArrowPathIcon className="h-4 w-4" />
+                            <span>Restore</span>
+                          </button>
+                        )
                       ) : (
                         <>
-                          {user.role === 'freelancer' && user.isActive && (
+                          {user.role === 'admin' && can('admins.manage') && (
+                            <button
+                              onClick={() => handleEditAdminRole(user)}
+                              className="text-purple-600 hover:text-purple-900 flex items-center space-x-1"
+                              title="Change admin role and permissions"
+                            >
+                              <KeyIcon className="h-4 w-4" />
+                              <span>Admin Role</span>
+                            </button>
+                          )}
+                          {can('users.suspend') && user.role === 'freelancer' && user.isActive && (
                             <button
                               onClick={() => handleDeactivateUser(user)}
                               className="text-orange-600 hover:text-orange-900 flex items-center space-x-1"
@@ -460,7 +596,7 @@ const UserManagement = () => {
                               <span>Deactivate</span>
                             </button>
                           )}
-                          {user.role === 'freelancer' && !user.isActive && (
+                          {can('users.suspend') && user.role === 'freelancer' && !user.isActive && (
                             <button
                               onClick={() => handleReactivateUser(user)}
                               className="text-green-600 hover:text-green-900 flex items-center space-x-1"
@@ -470,22 +606,36 @@ const UserManagement = () => {
                               <span>Reactivate</span>
                             </button>
                           )}
-                          <button
-                            onClick={() => handleDeleteUser(user, 'soft')}
-                            className="text-yellow-600 hover:text-yellow-900 flex items-center space-x-1"
-                            title="Soft Delete User"
-                          >
-                            <TrashIcon className="h-4 w-4" />
-                            <span>Soft Delete</span>
-                          </button>
-                          <button
-                            onClick={() => handleDeleteUser(user, 'hard')}
-                            className="text-red-600 hover:text-red-900 flex items-center space-x-1"
-                            title="Permanently Delete"
-                          >
-                            <ExclamationTriangleIcon className="h-4 w-4" />
-                            <span>Delete</span>
-                          </button>
+                          {can('users.security') && (
+                            <button
+                              onClick={() => handleToggleTwoFactorRequirement(user)}
+                              className="text-blue-600 hover:text-blue-900 flex items-center space-x-1"
+                              title={user.twoFactorRequired ? 'Make two-factor authentication optional' : 'Require two-factor authentication'}
+                            >
+                              <ShieldCheckIcon className="h-4 w-4" />
+                              <span>{user.twoFactorRequired ? '2FA Required' : 'Require 2FA'}</span>
+                            </button>
+                          )}
+                          {can('users.suspend') && (
+                            <button
+                              onClick={() => handleDeleteUser(user, 'soft')}
+                              className="text-yellow-600 hover:text-yellow-900 flex items-center space-x-1"
+                              title="Soft Delete User"
+                            >
+                              <TrashIcon className="h-4 w-4" />
+                              <span>Soft Delete</span>
+                            </button>
+                          )}
+                          {can('users.delete') && (
+                            <button
+                              onClick={() => handleDeleteUser(user, 'hard')}
+                              className="text-red-600 hover:text-red-900 flex items-center space-x-1"
+                              title="Permanently Delete"
+                            >
+                              <ExclamationTriangleIcon className="h-4 w-4" />
+                              <span>Delete</span>
+                            </button>
+                          )}
                         </>
                       )}
                     </div>
@@ -593,6 +743,108 @@ const UserManagement = () => {
         )}
       </AnimatePresence>
 
+      {/* Admin Role Modal */}
+      <AnimatePresence>
+        {showRoleModal && selectedUser && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+          >
+            <motion.div
+              initial={{ scale: 0.95, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              exit={{ scale: 0.95, opacity: 0 }}
+              className="bg-white rounded-lg p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto"
+            >
+              <div className="flex justify-between items-center mb-4">
+                <h3 className="text-lg font-semibold text-gray-900">Admin Role</h3>
+                <button
+                  onClick={() => setShowRoleModal(false)}
+                  className="text-gray-400 hover:text-gray-600"
+                >
+                  <XMarkIcon className="h-6 w-6" />
+                </button>
+              </div>
+
+              <div className="bg-gray-50 p-3 rounded-lg mb-4">
+                <p className="font-medium">{selectedUser.fullName}</p>
+                <p className="text-sm text-gray-600">{selectedUser.email}</p>
+              </div>
+
+              <div className="space-y-2 mb-4">
+                {[...adminAccess.roles, { key: 'custom', label: 'Custom', description: 'Pick exactly which permissions this admin has' }].map(role => (
+                  <label
+                    key={role.key}
+                    className={`flex items-start p-3 border rounded-lg cursor-pointer ${
+                      roleForm.adminRole === role.key ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      name="adminRole"
+                      value={role.key}
+                      checked={roleForm.adminRole === role.key}
+                      onChange={() => setRoleForm(prev => ({
+                        adminRole: role.key,
+                        // Start a custom set from the role the admin had
+                        permissions: role.key === 'custom' && prev.adminRole !== 'custom'
+                          ? adminAccess.roles.find(item => item.key === prev.adminRole)?.permissions || []
+                          : prev.permissions
+                      }))}
+                      className="mt-1 mr-3"
+                    />
+                    <div>
+                      <div className="text-sm font-medium text-gray-900">{role.label}</div>
+                      <div className="text-xs text-gray-500">{role.description}</div>
+                    </div>
+                  </label>
+                ))}
+              </div>
+
+              {roleForm.adminRole === 'custom' && (
+                <div className="mb-4">
+                  <p className="text-sm font-medium text-gray-700 mb-2">Permissions</p>
+                  <div className="space-y-1 border border-gray-200 rounded-lg p-3">
+                    {adminAccess.permissions.map(permission => (
+                      <label key={permission.key} className="flex items-start text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={roleForm.permissions.includes(permission.key)}
+                          onChange={() => toggleRolePermission(permission.key)}
+                          className="mt-1 mr-2"
+                        />
+                        <span>
+                          {permission.description}
+                          <span className="ml-1 text-xs text-gray-400 font-mono">{permission.key}</span>
+                        </span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <div className="flex justify-end space-x-3">
+                <button
+                  onClick={() => setShowRoleModal(false)}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={confirmAdminRole}
+                  disabled={savingRole || (roleForm.adminRole === 'custom' && roleForm.permissions.length === 0)}
+                  className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:bg-blue-300 rounded-md transition-colors"
+                >
+                  {savingRole ? 'Saving...' : 'Save Role'}
+                </button>
+              </div>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
       {/* Deactivation Modal */}
       <AnimatePresence>
         {showDeactivateModal && (
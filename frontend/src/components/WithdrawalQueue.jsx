@@ -0,0 +1,367 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import {
+  BanknotesIcon,
+  CheckCircleIcon,
+  ClockIcon,
+  XCircleIcon
+} from '@heroicons/react/24/outline';
+import { API_BASE_URL, API_ENDPOINTS } from '../config/api.js';
+
+const STATUS_STYLES = {
+  pending: { color: 'bg-yellow-100 text-yellow-800', text: 'Pending' },
+  processing: { color: 'bg-blue-100 text-blue-800', text: 'Processing' },
+  paid: { color: 'bg-green-100 text-green-800', text: 'Paid' },
+  rejected: { color: 'bg-red-100 text-red-800', text: 'Rejected' },
+  failed: { color: 'bg-red-100 text-red-800', text: 'Failed' },
+  cancelled: { color: 'bg-gray-100 text-gray-800', text: 'Cancelled' }
+};
+
+const formatCurrency = (amount) => new Intl.NumberFormat('en-IN', {
+  style: 'currency',
+  currency: 'INR'
+}).format(amount || 0);
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const describeDestination = (method) => {
+  if (!method) return 'Unknown';
+  if (method.type === 'upi') return `UPI · ${method.upiId}`;
+  return `${method.bankName || 'Bank'} · ${method.accountNumber} · ${method.ifsc}`;
+};
+
+const WithdrawalQueue = () => {
+  const [withdrawals, setWithdrawals] = useState([]);
+  const [summary, setSummary] = useState({ pending: { count: 0, amount: 0 }, processing: { count: 0, amount: 0 } });
+  const [loading, setLoading] = useState(true);
+  const [selectedStatus, setSelectedStatus] = useState('pending');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [actionId, setActionId] = useState(null);
+  const [rejecting, setRejecting] = useState(null);
+  const [rejectionReason, setRejectionReason] = useState('');
+
+  const fetchWithdrawals = useCallback(async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.ADMIN.WITHDRAWALS}?status=${selectedStatus}&page=${currentPage}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        setWithdrawals(data.data.withdrawals);
+        setSummary(data.data.summary);
+        setTotalPages(data.data.pagination?.totalPages || 1);
+      } else {
+        toast.error(data.message || 'Failed to fetch withdrawals');
+      }
+    } catch (error) {
+      console.error('Error fetching withdrawals:', error);
+      toast.error('Failed to fetch withdrawals');
+    } finally {
+      setLoading(false);
+    }
+  }, [selectedStatus, currentPage]);
+
+  useEffect(() => {
+    fetchWithdrawals();
+  }, [fetchWithdrawals]);
+
+  const approveWithdrawal = async (withdrawal) => {
+    if (!window.confirm(`Pay ${formatCurrency(withdrawal.amount)} to ${withdrawal.freelancer?.fullName || 'this freelancer'}?`)) {
+      return;
+    }
+
+    try {
+      setActionId(withdrawal._id);
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.ADMIN.WITHDRAWAL_APPROVE(withdrawal._id)}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        toast.success(data.message);
+      } else {
+        toast.error(data.message || 'Failed to approve withdrawal');
+      }
+      fetchWithdrawals();
+    } catch (error) {
+      console.error('Error approving withdrawal:', error);
+      toast.error('Failed to approve withdrawal');
+    } finally {
+      setActionId(null);
+    }
+  };
+
+  const rejectWithdrawal = async () => {
+    if (!rejectionReason.trim()) {
+      toast.error('Please provide a reason');
+      return;
+    }
+
+    try {
+      setActionId(rejecting._id);
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.ADMIN.WITHDRAWAL_REJECT(rejecting._id)}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ reason: rejectionReason })
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        toast.success('Withdrawal rejected');
+        setRejecting(null);
+        setRejectionReason('');
+        fetchWithdrawals();
+      } else {
+        toast.error(data.message || 'Failed to reject withdrawal');
+      }
+    } catch (error) {
+      console.error('Error rejecting withdrawal:', error);
+      toast.error('Failed to reject withdrawal');
+    } finally {
+      setActionId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <h1 className="text-2xl font-bold text-gray-900">Withdrawal Requests</h1>
+
+      {/* Stats Cards */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="bg-white p-4 rounded-lg shadow border">
+          <div className="flex items-center">
+            <ClockIcon className="h-8 w-8 text-yellow-600" />
+            <div className="ml-3">
+              <p className="text-sm font-medium text-gray-500">Awaiting Approval</p>
+              <p className="text-2xl font-semibold text-gray-900">
+                {summary.pending.count} · {formatCurrency(summary.pending.amount)}
+              </p>
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-white p-4 rounded-lg shadow border">
+          <div className="flex items-center">
+            <BanknotesIcon className="h-8 w-8 text-blue-600" />
+            <div className="ml-3">
+              <p className="text-sm font-medium text-gray-500">Payouts Processing</p>
+              <p className="text-2xl font-semibold text-gray-900">
+                {summary.processing.count} · {formatCurrency(summary.processing.amount)}
+              </p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white p-4 rounded-lg shadow border">
+        <div className="flex flex-wrap gap-2">
+          {['pending', 'processing', 'paid', 'failed', 'rejected', 'cancelled', 'all'].map((status) => (
+            <button
+              key={status}
+              onClick={() => {
+                setSelectedStatus(status);
+                setCurrentPage(1);
+              }}
+              className={`px-3 py-1 rounded-full text-sm font-medium capitalize ${
+                selectedStatus === status
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {status}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Withdrawal List */}
+      <div className="bg-white shadow border rounded-lg overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Freelancer
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Amount
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Pay To
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Status
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Requested
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Actions
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {withdrawals.length === 0 && (
+                <tr>
+                  <td colSpan={6} className="px-6 py-8 text-center text-sm text-gray-500">
+                    No {selectedStatus === 'all' ? '' : selectedStatus} withdrawal requests
+                  </td>
+                </tr>
+              )}
+              {withdrawals.map((withdrawal) => {
+                const status = STATUS_STYLES[withdrawal.status] || STATUS_STYLES.pending;
+
+                return (
+                  <tr key={withdrawal._id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900">
+                        {withdrawal.freelancer?.fullName || 'Unknown Freelancer'}
+                      </div>
+                      <div className="text-sm text-gray-500">{withdrawal.freelancer?.email}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                      {formatCurrency(withdrawal.amount)}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700">
+                      <div>{describeDestination(withdrawal.payoutMethod)}</div>
+                      {withdrawal.payoutMethod?.accountHolderName && (
+                        <div className="text-xs text-gray-500">{withdrawal.payoutMethod.accountHolderName}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${status.color}`}>
+                        {status.text}
+                      </span>
+                      {(withdrawal.failureReason || withdrawal.rejectionReason) && (
+                        <div className="text-xs text-red-600 mt-1 max-w-xs whitespace-normal">
+                          {withdrawal.failureReason || withdrawal.rejectionReason}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {formatDate(withdrawal.createdAt)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                      {withdrawal.status === 'pending' ? (
+                        <div className="flex gap-3">
+                          <button
+                            onClick={() => approveWithdrawal(withdrawal)}
+                            disabled={actionId === withdrawal._id}
+                            className="text-green-600 hover:text-green-900 flex items-center disabled:opacity-50"
+                          >
+                            <CheckCircleIcon className="h-4 w-4 mr-1" />
+                            Approve
+                          </button>
+                          <button
+                            onClick={() => setRejecting(withdrawal)}
+                            disabled={actionId === withdrawal._id}
+                            className="text-red-600 hover:text-red-900 flex items-center disabled:opacity-50"
+                          >
+                            <XCircleIcon className="h-4 w-4 mr-1" />
+                            Reject
+                          </button>
+                        </div>
+                      ) : (
+                        <span className="text-xs text-gray-500">
+                          {withdrawal.reviewedBy?.fullName ? `by ${withdrawal.reviewedBy.fullName}` : '—'}
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Pagination */}
+        {totalPages > 1 && (
+          <div className="bg-white px-4 py-3 flex items-center justify-between border-t border-gray-200">
+            <button
+              onClick={() => setCurrentPage(Math.max(1, currentPage - 1))}
+              disabled={currentPage === 1}
+              className="relative inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-700">Page {currentPage} of {totalPages}</span>
+            <button
+              onClick={() => setCurrentPage(Math.min(totalPages, currentPage + 1))}
+              disabled={currentPage === totalPages}
+              className="relative inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Reject Modal */}
+      {rejecting && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+            <h3 className="text-lg font-medium text-gray-900 mb-2">Reject Withdrawal</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              {formatCurrency(rejecting.amount)} will return to {rejecting.freelancer?.fullName || 'the freelancer'}'s available balance.
+            </p>
+            <textarea
+              value={rejectionReason}
+              onChange={(e) => setRejectionReason(e.target.value)}
+              rows={3}
+              placeholder="Reason shown to the freelancer..."
+              className="w-full border border-gray-300 rounded-lg p-2 text-sm"
+            />
+            <div className="flex justify-end gap-2 mt-4">
+              <button
+                onClick={() => {
+                  setRejecting(null);
+                  setRejectionReason('');
+                }}
+                className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 text-sm"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={rejectWithdrawal}
+                disabled={actionId === rejecting._id}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 text-sm"
+              >
+                Reject
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WithdrawalQueue;
@@ -0,0 +1,296 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ExclamationTriangleIcon, PaperAirplaneIcon } from '@heroicons/react/24/outline';
+import { toast } from 'react-hot-toast';
+import { API_ENDPOINTS, buildApiUrl } from '../config/api';
+import DisputeThread from './DisputeThread';
+
+const STATUS_STYLES = {
+  open: { text: 'Under Review', color: 'bg-red-100 text-red-800' },
+  'awaiting-response': { text: 'Awaiting Response', color: 'bg-yellow-100 text-yellow-800' },
+  resolved: { text: 'Resolved', color: 'bg-green-100 text-green-800' }
+};
+
+// Pick workspace files and deliverables to attach as evidence
+const AttachmentPicker = ({ files, deliverables, selected, onChange }) => {
+  const toggle = (key, id) => {
+    const current = selected[key];
+    onChange({
+      ...selected,
+      [key]: current.includes(id) ? current.filter(item => item !== id) : [...current, id]
+    });
+  };
+
+  if (files.length === 0 && deliverables.length === 0) return null;
+
+  return (
+    <div className="max-h-32 overflow-y-auto border border-gray-200 rounded-lg p-2 space-y-1">
+      {deliverables.map((deliverable) => (
+        <label key={deliverable._id} className="flex items-center text-xs text-gray-700">
+          <input
+            type="checkbox"
+            checked={selected.deliverableIds.includes(deliverable._id)}
+            onChange={() => toggle('deliverableIds', deliverable._id)}
+            className="mr-2"
+          />
+          📦 {deliverable.title}
+        </label>
+      ))}
+      {files.map((file) => (
+        <label key={file._id} className="flex items-center text-xs text-gray-700">
+          <input
+            type="checkbox"
+            checked={selected.fileIds.includes(file._id)}
+            onChange={() => toggle('fileIds', file._id)}
+            className="mr-2"
+          />
+          📎 {file.originalName || file.filename}
+        </label>
+      ))}
+    </div>
+  );
+};
+
+const emptyAttachments = { fileIds: [], deliverableIds: [] };
+
+const WorkspaceDisputes = ({ workspaceId, userRole, milestones = [], files = [], deliverables = [], onDisputeChange }) => {
+  const [disputes, setDisputes] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [draftAttachments, setDraftAttachments] = useState({});
+  const [showRaiseForm, setShowRaiseForm] = useState(false);
+  const [raiseForm, setRaiseForm] = useState({ milestoneId: '', disputeReason: '', ...emptyAttachments });
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchDisputes = useCallback(async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(buildApiUrl(API_ENDPOINTS.DISPUTES.BY_WORKSPACE(workspaceId)), {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        setDisputes(data.data);
+      }
+    } catch (error) {
+      console.error('Error fetching disputes:', error);
+    }
+  }, [workspaceId]);
+
+  useEffect(() => {
+    if (workspaceId) {
+      fetchDisputes();
+    }
+  }, [workspaceId, fetchDisputes]);
+
+  // Only funded milestones that are not already disputed can be disputed
+  const disputableMilestones = milestones.filter(m => m.escrowStatus === 'active');
+
+  const handleRaiseDispute = async (e) => {
+    e.preventDefault();
+    if (!raiseForm.milestoneId || !raiseForm.disputeReason.trim()) {
+      toast.error('Please choose a milestone and describe the problem');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const token = localStorage.getItem('token');
+      const response = await fetch(buildApiUrl(API_ENDPOINTS.PAYMENTS.RAISE_DISPUTE), {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(raiseForm)
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        toast.success(data.message || 'Dispute raised. Admin will review.');
+        setShowRaiseForm(false);
+        setRaiseForm({ milestoneId: '', disputeReason: '', ...emptyAttachments });
+        fetchDisputes();
+        if (onDisputeChange) onDisputeChange();
+      } else {
+        toast.error(data.message || 'Failed to raise dispute');
+      }
+    } catch (error) {
+      console.error('Error raising dispute:', error);
+      toast.error('Failed to raise dispute');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleAddEvidence = async (disputeId) => {
+    const body = drafts[disputeId] || '';
+    if (!body.trim()) {
+      toast.error('Please describe your evidence');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const token = localStorage.getItem('token');
+      const response = await fetch(buildApiUrl(API_ENDPOINTS.DISPUTES.EVIDENCE(disputeId)), {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ body, ...(draftAttachments[disputeId] || emptyAttachments) })
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        toast.success('Evidence added');
+        setDrafts(prev => ({ ...prev, [disputeId]: '' }));
+        setDraftAttachments(prev => ({ ...prev, [disputeId]: emptyAttachments }));
+        setDisputes(prev => prev.map(dispute => (dispute._id === disputeId ? data.data : dispute)));
+      } else {
+        toast.error(data.message || 'Failed to add evidence');
+      }
+    } catch (error) {
+      console.error('Error adding dispute evidence:', error);
+      toast.error('Failed to add evidence');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (disputes.length === 0 && disputableMilestones.length === 0) return null;
+
+  return (
+    <div className="space-y-4 mb-8">
+      <div className="flex items-center justify-between">
+        <h4 className="font-medium text-gray-700">Disputes</h4>
+        {disputableMilestones.length > 0 && !showRaiseForm && (
+          <button
+            onClick={() => setShowRaiseForm(true)}
+            className="flex items-center gap-1 px-3 py-1.5 text-sm text-red-700 border border-red-300 rounded-lg hover:bg-red-50"
+          >
+            <ExclamationTriangleIcon className="w-4 h-4" />
+            Raise Dispute
+          </button>
+        )}
+      </div>
+
+      {showRaiseForm && (
+        <form onSubmit={handleRaiseDispute} className="border border-red-200 rounded-lg p-4 bg-red-50 space-y-3">
+          <p className="text-sm text-red-800">
+            Raising a dispute pauses the escrow release and asks an admin to review both sides.
+          </p>
+          <select
+            value={raiseForm.milestoneId}
+            onChange={(e) => setRaiseForm({ ...raiseForm, milestoneId: e.target.value })}
+            className="w-full border border-gray-300 rounded-lg p-2 text-sm bg-white"
+          >
+            <option value="">Select milestone...</option>
+            {disputableMilestones.map((milestone) => (
+              <option key={milestone._id} value={milestone._id}>
+                {milestone.title} (₹{milestone.amount})
+              </option>
+            ))}
+          </select>
+          <textarea
+            value={raiseForm.disputeReason}
+            onChange={(e) => setRaiseForm({ ...raiseForm, disputeReason: e.target.value })}
+            rows={3}
+            maxLength={2000}
+            placeholder="Explain what went wrong..."
+            className="w-full border border-gray-300 rounded-lg p-2 text-sm"
+          />
+          <AttachmentPicker
+            files={files}
+            deliverables={deliverables}
+            selected={raiseForm}
+            onChange={(selected) => setRaiseForm({ ...raiseForm, ...selected })}
+          />
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={submitting}
+              className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 text-sm"
+            >
+              Raise Dispute
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowRaiseForm(false)}
+              className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 text-sm"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {disputes.map((dispute) => {
+        const status = STATUS_STYLES[dispute.status] || STATUS_STYLES.open;
+        const awaitingMe = dispute.awaitingRoles?.includes(userRole);
+
+        return (
+          <div key={dispute._id} className="border border-gray-200 rounded-lg p-4">
+            <div className="flex justify-between items-start mb-3">
+              <div>
+                <h5 className="font-semibold">{dispute.milestone?.title || 'Milestone'}</h5>
+                <p className="text-xs text-gray-500">
+                  Raised by {dispute.raisedBy?.fullName || 'a participant'} on {new Date(dispute.createdAt).toLocaleDateString()}
+                </p>
+              </div>
+              <span className={`px-3 py-1 rounded-full text-xs font-medium ${status.color}`}>{status.text}</span>
+            </div>
+
+            {awaitingMe && (
+              <div className="mb-3 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+                The admin is waiting for your response
+                {dispute.pendingRequest?.responseDeadline &&
+                  ` by ${new Date(dispute.pendingRequest.responseDeadline).toLocaleString()}`}.
+              </div>
+            )}
+
+            {dispute.status === 'resolved' && dispute.resolution && (
+              <div className="mb-3 p-3 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800">
+                Freelancer received {dispute.resolution.freelancerPercentage}% (₹{dispute.resolution.freelancerAmount}),
+                client refunded ₹{dispute.resolution.clientRefundAmount}.
+              </div>
+            )}
+
+            <DisputeThread dispute={dispute} />
+
+            {dispute.status !== 'resolved' && (
+              <div className="mt-4 space-y-2">
+                <textarea
+                  value={drafts[dispute._id] || ''}
+                  onChange={(e) => setDrafts(prev => ({ ...prev, [dispute._id]: e.target.value }))}
+                  rows={2}
+                  maxLength={5000}
+                  placeholder="Add your side or new evidence..."
+                  className="w-full border border-gray-300 rounded-lg p-2 text-sm"
+                />
+                <AttachmentPicker
+                  files={files}
+                  deliverables={deliverables}
+                  selected={draftAttachments[dispute._id] || emptyAttachments}
+                  onChange={(selected) => setDraftAttachments(prev => ({ ...prev, [dispute._id]: selected }))}
+                />
+                <button
+                  onClick={() => handleAddEvidence(dispute._id)}
+                  disabled={submitting}
+                  className="flex items-center gap-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 text-sm"
+                >
+                  <PaperAirplaneIcon className="w-4 h-4" />
+                  Post Evidence
+                </button>
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default WorkspaceDisputes;
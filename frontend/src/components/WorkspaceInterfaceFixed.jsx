@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { flushSync } from 'react-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { useSocket } from '../contexts/SocketContext';
+import { useTranslation } from '../hooks/useTranslation';
 import { toast } from 'react-hot-toast';
 import { API_BASE_URL, API_ENDPOINTS, buildApiUrl } from '../config/api';
 import ChatInterface from './ChatInterface';
@@ -10,6 +11,11 @@ import FileViewer from './FileViewerNew';
 import VideoCall from './VideoCall';
 import { PaymentModal } from './PaymentModal';
 import ProjectTimeline from './ProjectTimeline';
+import WorkspaceReviews from './WorkspaceReviews';
+import WorkspaceDisputes from './WorkspaceDisputes';
+import InvoiceDownloads from './InvoiceDownloads';
+import BillingDetailsForm from './BillingDetailsForm';
+import TimesheetPanel from './TimesheetPanel';
 import { 
   ChatBubbleLeftRightIcon, 
   FolderIcon, 
@@ -21,7 +27,9 @@ import {
   ArrowDownTrayIcon,
   XMarkIcon,
   ClockIcon,
-  SparklesIcon
+  SparklesIcon,
+  StarIcon,
+  CalendarDaysIcon
 } from '@heroicons/react/24/outline';
 
 
@@ -30,6 +38,7 @@ const WorkspaceInterfaceFixed = ({ projectId, applicationId, initialTab, onClose
   console.log('�🔍 WorkspaceInterface: Component rendering with props:', { projectId, applicationId });
 
   const { user } = useAuth();
+  const { t } = useTranslation();
   console.log('🔍 WorkspaceInterface: Got user from useAuth:', user);
   const { isUserOnline, socket } = useSocket();
   console.log('🔍 WorkspaceInterface: User from AuthContext:', user);
@@ -87,6 +96,17 @@ const WorkspaceInterfaceFixed = ({ projectId, applicationId, initialTab, onClose
 
   const getId = (obj) => (obj ? String(obj._id || obj.id || obj.userId || '') : '');
 
+  // Join the workspace room so workspace events (deliverables, project updates) reach this tab
+  const workspaceRoomId = workspace?._id;
+  useEffect(() => {
+    if (!socket || !workspaceRoomId) return;
+
+    socket.emit('join-workspace', workspaceRoomId);
+    return () => {
+      socket.emit('leave-workspace', workspaceRoomId);
+    };
+  }, [socket, workspaceRoomId]);
+
   // Listen for incoming video call events (from socket and window fallback)
   useEffect(() => {
     if (!socket) return;
@@ -219,7 +239,7 @@ const WorkspaceInterfaceFixed = ({ projectId, applicationId, initialTab, onClose
       }
     } catch (error) {
       console.error('❌ Error fetching workspace:', error);
-      toast.error('Failed to load workspace: ' + error.message);
+      toast.error(`${t('workspace.loadFailed')}: ${error.message}`);
     } finally {
       setLoading(false);
     }
@@ -809,7 +829,8 @@ const WorkspaceInterfaceFixed = ({ projectId, applicationId, initialTab, onClose
         callId: incomingCall.callId,
         accepted: false,
         responder: user,
-        callerId: getId(incomingCall.fromUser)
+        callerId: getId(incomingCall.fromUser),
+        workspaceId: incomingCall.workspaceId
       });
       setCallAccepted(false);
       setShowVideoCall(false);
@@ -874,7 +895,7 @@ const WorkspaceInterfaceFixed = ({ projectId, applicationId, initialTab, onClose
       <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
         <div className="bg-white rounded-lg p-8 text-center">
           <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
-          <p className="text-gray-600">Loading workspace...</p>
+          <p className="text-gray-600">{t('workspace.loading')}</p>
         </div>
       </div>
     );
@@ -885,12 +906,12 @@ const WorkspaceInterfaceFixed = ({ projectId, applicationId, initialTab, onClose
     return (
       <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
         <div className="bg-white rounded-lg p-8 text-center">
-          <p className="text-red-600 mb-4">Failed to load workspace</p>
+          <p className="text-red-600 mb-4">{t('workspace.loadFailed')}</p>
           <button
             onClick={onClose}
             className="px-4 py-2 bg-gray-500 text-white rounded hover:bg-gray-600"
           >
-            Close
+            {t('common.close')}
           </button>
         </div>
       </div>
@@ -907,12 +928,14 @@ const WorkspaceInterfaceFixed = ({ projectId, applicationId, initialTab, onClose
   console.log('🔍 WorkspaceInterface: isFreelancer:', isFreelancer, 'isClient:', isClient);
 
   const tabs = [
-    { id: 'chat', name: 'Chat', icon: ChatBubbleLeftRightIcon },
-    { id: 'timeline', name: 'Timeline', icon: ClockIcon },
-    { id: 'files', name: 'Files', icon: FolderIcon },
-    { id: 'milestones', name: 'Milestones', icon: FlagIcon },
-    { id: 'deliverables', name: 'Deliverables', icon: ArchiveBoxIcon },
-    { id: 'payments', name: isFreelancer ? 'Payment History' : 'Payments', icon: CreditCardIcon }
+    { id: 'chat', name: t('workspace.tabs.chat'), icon: ChatBubbleLeftRightIcon },
+    { id: 'timeline', name: t('workspace.tabs.timeline'), icon: ClockIcon },
+    { id: 'files', name: t('workspace.tabs.files'), icon: FolderIcon },
+    { id: 'milestones', name: t('workspace.tabs.milestones'), icon: FlagIcon },
+    ...(workspace?.project?.budgetType === 'hourly' ? [{ id: 'timesheets', name: t('workspace.tabs.timesheets'), icon: CalendarDaysIcon }] : []),
+    { id: 'deliverables', name: t('workspace.tabs.deliverables'), icon: ArchiveBoxIcon },
+    { id: 'payments', name: isFreelancer ? t('workspace.tabs.paymentHistory') : t('workspace.tabs.payments'), icon: CreditCardIcon },
+    ...(workspace?.status === 'completed' ? [{ id: 'reviews', name: t('workspace.tabs.reviews'), icon: StarIcon }] : [])
   ];
 
   // Build a set of milestone IDs that have at least one approved deliverable
@@ -960,9 +983,9 @@ const WorkspaceInterfaceFixed = ({ projectId, applicationId, initialTab, onClose
   // --- End-Project eligibility (always computed so we can show the button with a reason) ---
   const endProjectBlockers = (() => {
     const reasons = [];
-    if (workspace?.status !== 'active') reasons.push('Workspace is not active');
+    if (workspace?.status !== 'active') reasons.push(t('workspace.blockers.notActive'));
     if (!Array.isArray(milestones) || milestones.length === 0) {
-      reasons.push('No milestones exist yet');
+      reasons.push(t('workspace.blockers.noMilestones'));
       return reasons;
     }
     milestones.forEach((m) => {
@@ -977,8 +1000,9 @@ const WorkspaceInterfaceFixed = ({ projectId, applicationId, initialTab, onClose
 
       console.log(`🔍 END-PROJECT-CHECK milestone "${m?.title}" (${milestoneId}): isPaid=${isPaid}, hasApprovedDeliverable=${hasApprovedDeliverable}, status=${m?.status}, paymentStatus=${m?.paymentStatus}, escrowStatus=${m?.escrowStatus}`);
 
-      if (!isPaid) reasons.push(`"${m?.title || 'Untitled'}" is not paid`);
-      if (!hasApprovedDeliverable) reasons.push(`"${m?.title || 'Untitled'}" has no approved deliverable`);
+      const title = m?.title || t('common.untitled');
+      if (!isPaid) reasons.push(t('workspace.blockers.notPaid', { title }));
+      if (!hasApprovedDeliverable) reasons.push(t('workspace.blockers.noApprovedDeliverable', { title }));
     });
     return reasons;
   })();
@@ -993,7 +1017,7 @@ const WorkspaceInterfaceFixed = ({ projectId, applicationId, initialTab, onClose
   const handleMarkProjectCompleted = async () => {
     if (!workspace?._id) return;
     if (!canMarkProjectCompleted) {
-      toast.error('Cannot complete project until all milestones are paid and all deliverables are submitted and approved.');
+      toast.error(t('workspace.completeBlocked'));
       return;
     }
 
@@ -1011,15 +1035,16 @@ const WorkspaceInterfaceFixed = ({ projectId, applicationId, initialTab, onClose
       const data = await response.json().catch(() => ({}));
 
       if (!response.ok) {
-        toast.error(data?.message || 'Failed to complete project');
+        toast.error(data?.message || t('workspace.completeFailed'));
         return;
       }
 
       setWorkspace((prev) => ({ ...(prev || {}), status: 'completed', actualEndDate: new Date().toISOString() }));
-      toast.success('Project marked as completed');
+      toast.success(t('workspace.completed'));
+      setActiveTab('reviews');
     } catch (error) {
       console.error('❌ Error completing project:', error);
-      toast.error('Failed to complete project: ' + error.message);
+      toast.error(`${t('workspace.completeFailed')}: ${error.message}`);
     }
   };
 
@@ -1028,7 +1053,7 @@ const WorkspaceInterfaceFixed = ({ projectId, applicationId, initialTab, onClose
       <div className="bg-white rounded-lg w-full max-w-7xl h-[95vh] flex flex-col relative">
         {/* Header */}
         <div className="flex items-center justify-between p-3 border-b">
-          <h2 className="text-xl font-semibold text-gray-800">Project Workspace</h2>
+          <h2 className="text-xl font-semibold text-gray-800">{t('workspace.title')}</h2>
           <div className="flex items-center gap-4">
             <span className={`text-sm px-2.5 py-1 rounded-full font-medium ${
               workspace?.status === 'completed' ? 'bg-green-100 text-green-700' :
@@ -1036,10 +1061,10 @@ const WorkspaceInterfaceFixed = ({ projectId, applicationId, initialTab, onClose
               workspace?.status === 'on-hold' ? 'bg-yellow-100 text-yellow-700' :
               'bg-gray-100 text-gray-600'
             }`}>
-              {workspace?.status === 'completed' ? '✓ Completed' :
-               workspace?.status === 'active' ? 'Active' :
-               workspace?.status === 'on-hold' ? 'On Hold' :
-               workspace?.status || 'Unknown'}
+              {workspace?.status === 'completed' ? t('workspace.status.completed') :
+               workspace?.status === 'active' ? t('workspace.status.active') :
+               workspace?.status === 'on-hold' ? t('workspace.status.onHold') :
+               workspace?.status || t('workspace.status.unknown')}
             </span>
             {workspace?.status === 'active' && (
               <button
@@ -1052,28 +1077,28 @@ const WorkspaceInterfaceFixed = ({ projectId, applicationId, initialTab, onClose
                 }`}
                 title={
                   canMarkProjectCompleted
-                    ? 'All milestones are paid and deliverables approved — mark this project as done'
-                    : `Cannot end project yet: ${endProjectBlockers.join('; ')}`
+                    ? t('workspace.endProjectReady')
+                    : t('workspace.endProjectBlocked', { reasons: endProjectBlockers.join('; ') })
                 }
               >
                 <FlagIcon className="w-4 h-4" />
-                <span>End Project</span>
+                <span>{t('workspace.endProject')}</span>
               </button>
             )}
             {workspace.status === 'active' && (
               <button
                 onClick={handleStartVideoCall}
                 className="flex items-center space-x-2 px-3 py-1.5 bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors text-sm"
-                title="Start video call"
+                title={t('workspace.startVideoCall')}
               >
                 <VideoCameraIcon className="w-4 h-4" />
-                <span>Video Call</span>
+                <span>{t('workspace.videoCall')}</span>
               </button>
             )}
             <button
               onClick={onClose}
               className="text-gray-400 hover:text-gray-600 text-lg font-bold"
-              aria-label="Close workspace"
+              aria-label={t('workspace.closeWorkspace')}
             >
               ×
             </button>
@@ -1087,35 +1112,35 @@ const WorkspaceInterfaceFixed = ({ projectId, applicationId, initialTab, onClose
             {isClient ? (
               /* Client sees Freelancer info */
               <div className="flex items-center gap-2">
-                <span className="font-medium">Freelancer:</span>
+                <span className="font-medium">{t('workspace.freelancer')}</span>
                 <span>{workspace.freelancer?.fullName || '—'}</span>
                 <div className="flex items-center gap-1">
                   <div className={`w-2 h-2 rounded-full ${
                     isUserOnline(getId(workspace.freelancer)) ? 'bg-green-500' : 'bg-gray-400'
                   }`}></div>
                   <span className="text-xs text-gray-500">
-                    {isUserOnline(getId(workspace.freelancer)) ? 'Online' : 'Offline'}
+                    {isUserOnline(getId(workspace.freelancer)) ? t('common.online') : t('common.offline')}
                   </span>
                 </div>
               </div>
             ) : (
               /* Freelancer sees Client info */
               <div className="flex items-center gap-2">
-                <span className="font-medium">Client:</span>
+                <span className="font-medium">{t('workspace.client')}</span>
                 <span>{workspace.client?.fullName || '—'}</span>
                 <div className="flex items-center gap-1">
                   <div className={`w-2 h-2 rounded-full ${
                     isUserOnline(getId(workspace.client)) ? 'bg-green-500' : 'bg-gray-400'
                   }`}></div>
                   <span className="text-xs text-gray-500">
-                    {isUserOnline(getId(workspace.client)) ? 'Online' : 'Offline'}
+                    {isUserOnline(getId(workspace.client)) ? t('common.online') : t('common.offline')}
                   </span>
                 </div>
               </div>
             )}
             {/* Project title (truncated) */}
             <div className="flex items-center gap-2 text-xs">
-              <span className="truncate max-w-xs">{workspace.project?.title || 'Project'}</span>
+              <span className="truncate max-w-xs">{workspace.project?.title || t('workspace.project')}</span>
             </div>
           </div>
         </div>
@@ -1157,8 +1182,8 @@ const WorkspaceInterfaceFixed = ({ projectId, applicationId, initialTab, onClose
                 <div className="h-full flex items-center justify-center">
                   <div className="text-center text-gray-500">
                     <ChatBubbleLeftRightIcon className="w-16 h-16 mx-auto mb-4 text-gray-300" />
-                    <h3 className="text-lg font-medium mb-2">Chat Not Available</h3>
-                    <p>No chat session found for this workspace.</p>
+                    <h3 className="text-lg font-medium mb-2">{t('workspace.chat.unavailable')}</h3>
+                    <p>{t('workspace.chat.noSession')}</p>
                     <p className="text-xs mt-2 text-red-500">Chat ID: {workspace.chatId || 'Not found'}</p>
                   </div>
                 </div>
@@ -1175,10 +1200,36 @@ const WorkspaceInterfaceFixed = ({ projectId, applicationId, initialTab, onClose
             </div>
           )}
 
+          {activeTab === 'timesheets' && (
+            <div className="h-full">
+              <TimesheetPanel
+                workspaceId={workspace._id}
+                userRole={isClient ? 'client' : 'freelancer'}
+                onTimesheetBilled={() => fetchMilestones(workspace._id)}
+              />
+            </div>
+          )}
+
+          {activeTab === 'reviews' && (
+            <div className="h-full">
+              <WorkspaceReviews
+                workspaceId={workspace._id}
+                userRole={isClient ? 'client' : 'freelancer'}
+              />
+            </div>
+          )}
+
           {activeTab === 'files' && (
             <div className="h-full p-6 overflow-y-auto">
               <div className="mb-6">
-                <h3 className="text-lg font-semibold mb-4">Shared Files</h3>
+                <h3 className="text-lg font-semibold mb-4">
+                  {t('workspace.files.title')}
+                  {files.length > 0 && (
+                    <span className="ml-2 text-sm font-normal text-gray-500">
+                      {t('workspace.files.count', { count: files.length })}
+                    </span>
+                  )}
+                </h3>
                 {files.length > 0 ? (
                   <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
                     {files.map((file, index) => (
@@ -1195,10 +1246,10 @@ const WorkspaceInterfaceFixed = ({ projectId, applicationId, initialTab, onClose
                               {file.filename || `File ${index + 1}`}
                             </p>
                             <p className="text-xs text-gray-500">
-                              {file.size ? `${(file.size / 1024).toFixed(1)} KB` : 'Unknown size'}
+                              {file.size ? `${(file.size / 1024).toFixed(1)} KB` : t('workspace.files.unknownSize')}
                             </p>
                             <p className="text-xs text-gray-400">
-                              {file.uploadDate ? new Date(file.uploadDate).toLocaleDateString() : 'Unknown date'}
+                              {file.uploadDate ? new Date(file.uploadDate).toLocaleDateString() : t('workspace.files.unknownDate')}
                             </p>
                           </div>
                         </div>
@@ -1210,7 +1261,7 @@ const WorkspaceInterfaceFixed = ({ projectId, applicationId, initialTab, onClose
                             className="flex-1 flex items-center justify-center space-x-1 px-3 py-2 bg-blue-50 text-blue-700 rounded-md hover:bg-blue-100 transition-colors text-sm"
                           >
                             <EyeIcon className="w-4 h-4" />
-                            <span>View</span>
+                            <span>{t('workspace.files.view')}</span>
                           </button>
                           <button
                             onClick={() => handleFileDownload(file)}
@@ -1219,7 +1270,7 @@ const WorkspaceInterfaceFixed = ({ projectId, applicationId, initialTab, onClose
                             <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3M8 21h8a2 2 0 002-2V5a2 2 0 00-2-2H8a2 2 0 00-2 2v14a2 2 0 002 2z" />
                             </svg>
-                            <span>Download</span>
+                            <span>{t('workspace.files.download')}</span>
                           </button>
                         </div>
                       </div>
@@ -1228,10 +1279,10 @@ const WorkspaceInterfaceFixed = ({ projectId, applicationId, initialTab, onClose
                 ) : (
                   <div className="text-center text-gray-500 py-12">
                     <FolderIcon className="w-16 h-16 mx-auto mb-4 text-gray-300" />
-                    <h3 className="text-lg font-medium mb-2">No Files Shared</h3>
-                    <p>Files shared in this workspace will appear here.</p>
+                    <h3 className="text-lg font-medium mb-2">{t('workspace.files.empty')}</h3>
+                    <p>{t('workspace.files.emptyHint')}</p>
                     <p className="mt-4 text-xs text-gray-500 max-w-3xl mx-auto">
-                      Supported: JPEG, JPG, PNG, GIF, WebP, PDF, DOC, DOCX, TXT, CSV, XLS, XLSX, PPT, PPTX, ZIP, RAR, MP4, MOV, AVI • Max 10MB per file • Up to 5 files per upload
+                      {t('workspace.files.supported')}
                     </p>
                   </div>
                 )}
@@ -1241,7 +1292,7 @@ const WorkspaceInterfaceFixed = ({ projectId, applicationId, initialTab, onClose
               <div className="border-2 border-dashed border-gray-300 rounded-lg p-8 text-center">
                 <FolderIcon className="w-12 h-12 mx-auto mb-4 text-gray-400" />
                 <p className="text-gray-600 mb-2">
-                  {uploadingFiles ? 'Uploading files...' : 'Drop files here or click to browse'}
+                  {uploadingFiles ? t('workspace.files.uploadingFiles') : t('workspace.files.dropHint')}
                 </p>
                 <input
                   type="file"
@@ -1257,11 +1308,11 @@ const WorkspaceInterfaceFixed = ({ projectId, applicationId, initialTab, onClose
                     uploadingFiles ? 'opacity-50 cursor-not-allowed' : ''
                   }`}
                 >
-                  {uploadingFiles ? 'Uploading...' : 'Choose Files'}
+                  {uploadingFiles ? t('workspace.files.uploading') : t('workspace.files.choose')}
                 </label>
                 {selectedFiles.length > 0 && (
                   <div className="mt-3 text-sm text-gray-600">
-                    Selected: {selectedFiles.map(f => f.name).join(', ')}
+                    {t('workspace.files.selected', { names: selectedFiles.map(f => f.name).join(', ') })}
                   </div>
                 )}
               </div>
@@ -1272,17 +1323,17 @@ const WorkspaceInterfaceFixed = ({ projectId, applicationId, initialTab, onClose
             <div className="h-full p-6 overflow-y-auto">
               <div className="flex justify-between items-start mb-6">
                 <div>
-                  <h3 className="text-lg font-semibold">Project Milestones</h3>
+                  <h3 className="text-lg font-semibold">{t('workspace.milestones.title')}</h3>
                   {isFreelancer && (
                     <p className="text-sm text-gray-600 mt-1">
-                      Create milestones with deliverables and payment schedule for client approval
+                      {t('workspace.milestones.freelancerHint')}
                     </p>
                   )}
                   {isClient && (
                     <div className="text-sm text-gray-600 mt-1">
-                      <p>Review and approve milestones created by the freelancer</p>
+                      <p>{t('workspace.milestones.clientHint')}</p>
                       <p className="text-xs mt-1 text-blue-600">
-                        💡 You'll pay for each milestone after the freelancer delivers and you approve it
+                        {t('workspace.milestones.clientPayHint')}
                       </p>
                     </div>
                   )}
@@ -1521,7 +1572,7 @@ const WorkspaceInterfaceFixed = ({ projectId, applicationId, initialTab, onClose
                                             className="flex-1 flex items-center justify-center space-x-1 px-2 py-1.5 bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors text-xs"
                                           >
                                             <EyeIcon className="w-3 h-3" />
-                                            <span>View</span>
+                                            <span>{t('workspace.files.view')}</span>
                                           </button>
                                           <button
                                             onClick={() => handleFileDownload(file)}
@@ -1530,7 +1581,7 @@ const WorkspaceInterfaceFixed = ({ projectId, applicationId, initialTab, onClose
                                             <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3M8 21h8a2 2 0 002-2V5a2 2 0 00-2-2H8a2 2 0 00-2 2v14a2 2 0 002 2z" />
                                             </svg>
-                                            <span>Download</span>
+                                            <span>{t('workspace.files.download')}</span>
                                           </button>
                                         </div>
                                       </div>
@@ -1624,7 +1675,17 @@ const WorkspaceInterfaceFixed = ({ projectId, applicationId, initialTab, onClose
 
           {activeTab === 'payments' && isClient && (
             <div className="h-full p-6 overflow-y-auto">
-              <h3 className="text-lg font-semibold mb-6">Payment Management</h3>
+              <h3 className="text-lg font-semibold mb-2">Payment Management</h3>
+              <BillingDetailsForm />
+
+              <WorkspaceDisputes
+                workspaceId={workspace._id}
+                userRole="client"
+                milestones={milestones}
+                files={files}
+                deliverables={deliverables}
+                onDisputeChange={() => fetchMilestones(workspace._id)}
+              />
               
               {(() => {
                 const now = new Date();
@@ -1703,6 +1764,10 @@ const WorkspaceInterfaceFixed = ({ projectId, applicationId, initialTab, onClose
                                     Paid on: {new Date(milestone.paidDate).toLocaleDateString()}
                                   </p>
                                 )}
+                                <InvoiceDownloads
+                                  workspaceId={workspace._id}
+                                  payment={payments.find(payment => payment._id === milestone._id)}
+                                />
                               </div>
                               <span className="px-3 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">
                                 Paid
@@ -1728,7 +1793,17 @@ const WorkspaceInterfaceFixed = ({ projectId, applicationId, initialTab, onClose
 
           {activeTab === 'payments' && isFreelancer && (
             <div className="h-full p-6 overflow-y-auto">
-              <h3 className="text-lg font-semibold mb-6">Payment History</h3>
+              <h3 className="text-lg font-semibold mb-2">Payment History</h3>
+              <BillingDetailsForm />
+
+              <WorkspaceDisputes
+                workspaceId={workspace._id}
+                userRole="freelancer"
+                milestones={milestones}
+                files={files}
+                deliverables={deliverables}
+                onDisputeChange={() => fetchMilestones(workspace._id)}
+              />
               
               {payments.length > 0 ? (
                 <div className="space-y-4">
@@ -1756,6 +1831,7 @@ const WorkspaceInterfaceFixed = ({ projectId, applicationId, initialTab, onClose
                             <span>Date: {new Date(payment.paidAt || payment.createdAt).toLocaleDateString()}</span>
                             <span>Method: {payment.paymentMethod || 'Razorpay'}</span>
                           </div>
+                          <InvoiceDownloads workspaceId={workspace._id} payment={payment} />
                           {payment.milestone?.escrowStatus === 'active' && (
                             <div className="mt-3 p-3 bg-blue-50 rounded-lg">
                               <div className="flex items-center text-sm text-blue-800">
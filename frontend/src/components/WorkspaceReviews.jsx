@@ -0,0 +1,198 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { StarIcon, ArrowPathIcon, LockClosedIcon } from '@heroicons/react/24/outline';
+import { toast } from 'react-hot-toast';
+import { API_ENDPOINTS, buildApiUrl } from '../config/api';
+
+const CRITERIA_LABELS = {
+  quality: 'Quality of Work',
+  communication: 'Communication',
+  timeliness: 'Timeliness',
+  professionalism: 'Professionalism',
+  clarity: 'Clear Requirements',
+  paymentPromptness: 'Prompt Payment'
+};
+
+const StarRating = ({ value, onChange, readOnly = false }) => (
+  <div className="flex items-center gap-1">
+    {[1, 2, 3, 4, 5].map((star) => (
+      <button
+        key={star}
+        type="button"
+        disabled={readOnly}
+        onClick={() => onChange && onChange(star)}
+        className={readOnly ? 'cursor-default' : 'cursor-pointer hover:scale-110 transition-transform'}
+        aria-label={`${star} star${star > 1 ? 's' : ''}`}
+      >
+        <StarIcon className={`w-6 h-6 ${star <= value ? 'text-yellow-400 fill-current' : 'text-gray-300'}`} />
+      </button>
+    ))}
+  </div>
+);
+
+const ReviewCard = ({ review, heading }) => (
+  <div className="bg-white border border-gray-200 rounded-lg p-4">
+    <div className="flex items-center justify-between mb-3">
+      <h4 className="font-semibold text-gray-800">{heading}</h4>
+      <div className="flex items-center gap-1 text-sm text-gray-600">
+        <StarIcon className="w-4 h-4 text-yellow-400 fill-current" />
+        {review.overallRating?.toFixed(1)}
+      </div>
+    </div>
+    <div className="grid grid-cols-2 gap-2 mb-3">
+      {Object.entries(review.ratings || {})
+        .filter(([, value]) => value != null)
+        .map(([key, value]) => (
+          <div key={key} className="flex items-center justify-between text-sm">
+            <span className="text-gray-600">{CRITERIA_LABELS[key] || key}</span>
+            <StarRating value={value} readOnly />
+          </div>
+        ))}
+    </div>
+    {review.comment && <p className="text-sm text-gray-700 italic">"{review.comment}"</p>}
+  </div>
+);
+
+const WorkspaceReviews = ({ workspaceId, userRole }) => {
+  const [reviewState, setReviewState] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [ratings, setRatings] = useState({});
+  const [comment, setComment] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const otherPartyLabel = userRole === 'client' ? 'the freelancer' : 'the client';
+
+  const fetchReviews = useCallback(async () => {
+    try {
+      setLoading(true);
+      const token = localStorage.getItem('token');
+      const response = await fetch(buildApiUrl(API_ENDPOINTS.WORKSPACES.REVIEWS(workspaceId)), {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        setReviewState(data.data);
+      } else {
+        toast.error(data.message || 'Failed to load reviews');
+      }
+    } catch (error) {
+      console.error('Error fetching reviews:', error);
+      toast.error('Failed to load reviews');
+    } finally {
+      setLoading(false);
+    }
+  }, [workspaceId]);
+
+  useEffect(() => {
+    if (workspaceId) {
+      fetchReviews();
+    }
+  }, [workspaceId, fetchReviews]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const criteria = reviewState?.criteria || [];
+    if (criteria.some((key) => !ratings[key])) {
+      toast.error('Please rate every category');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const token = localStorage.getItem('token');
+      const response = await fetch(buildApiUrl(API_ENDPOINTS.WORKSPACES.REVIEWS(workspaceId)), {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ ratings, comment })
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        toast.success(data.message || 'Review submitted');
+        fetchReviews();
+      } else {
+        toast.error(data.message || 'Failed to submit review');
+      }
+    } catch (error) {
+      console.error('Error submitting review:', error);
+      toast.error('Failed to submit review');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading && !reviewState) {
+    return (
+      <div className="flex items-center justify-center h-96">
+        <div className="text-center">
+          <ArrowPathIcon className="w-8 h-8 text-gray-400 animate-spin mx-auto mb-2" />
+          <p className="text-gray-500">Loading reviews...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!reviewState) return null;
+
+  const { myReview, theirReview, theirReviewSubmitted, canReview, revealDeadline, criteria = [] } = reviewState;
+
+  return (
+    <div className="h-full p-6 overflow-y-auto bg-gray-50 space-y-6">
+      {canReview && (
+        <form onSubmit={handleSubmit} className="bg-white border border-gray-200 rounded-lg p-6 space-y-4">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-800">Rate your experience with {otherPartyLabel}</h3>
+            <p className="text-sm text-gray-500">
+              Reviews stay hidden until you both submit, or until {new Date(revealDeadline).toLocaleDateString()}.
+            </p>
+          </div>
+          {criteria.map((key) => (
+            <div key={key} className="flex items-center justify-between">
+              <span className="text-sm font-medium text-gray-700">{CRITERIA_LABELS[key] || key}</span>
+              <StarRating
+                value={ratings[key] || 0}
+                onChange={(value) => setRatings((prev) => ({ ...prev, [key]: value }))}
+              />
+            </div>
+          ))}
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            maxLength={2000}
+            rows={4}
+            placeholder="Share a few words about working together (optional)"
+            className="w-full border border-gray-300 rounded-lg p-3 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            type="submit"
+            disabled={submitting}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 text-sm font-medium"
+          >
+            {submitting ? 'Submitting...' : 'Submit Review'}
+          </button>
+        </form>
+      )}
+
+      {myReview && <ReviewCard review={myReview} heading="Your review" />}
+
+      {theirReview ? (
+        <ReviewCard review={theirReview} heading={`Review from ${theirReview.reviewer?.fullName || otherPartyLabel}`} />
+      ) : (
+        <div className="bg-white border border-dashed border-gray-300 rounded-lg p-6 text-center text-gray-500">
+          <LockClosedIcon className="w-8 h-8 mx-auto mb-2 text-gray-300" />
+          {theirReviewSubmitted
+            ? `${otherPartyLabel.charAt(0).toUpperCase() + otherPartyLabel.slice(1)} has left a review. Submit yours to see it.`
+            : `Waiting for ${otherPartyLabel} to leave a review.`}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WorkspaceReviews;
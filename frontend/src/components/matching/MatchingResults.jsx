@@ -7,8 +7,10 @@ import {
   ClockIcon, 
   CurrencyDollarIcon,
   ChartBarIcon,
-  SparklesIcon
+  SparklesIcon,
+  PaperAirplaneIcon
 } from '@heroicons/react/24/outline';
+import InviteFreelancerModal from '../InviteFreelancerModal';
 
 const MatchingResults = ({ projectId, onFreelancerSelect }) => {
   const [matches, setMatches] = useState([]);
@@ -20,6 +22,7 @@ const MatchingResults = ({ projectId, onFreelancerSelect }) => {
     maxRate: null
   });
   const [showAnalytics, setShowAnalytics] = useState(false);
+  const [inviteMatch, setInviteMatch] = useState(null);
 
   useEffect(() => {
     fetchMatches();
@@ -154,6 +157,38 @@ const MatchingResults = ({ projectId, onFreelancerSelect }) => {
             </div>
           </div>
 
+          {analytics.statistics.invitations && (
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+              <div className="bg-gray-50 p-4 rounded-lg">
+                <div className="text-2xl font-bold text-gray-700">
+                  {analytics.statistics.invitations.sent}
+                </div>
+                <div className="text-sm text-gray-600">Invitations Sent</div>
+              </div>
+
+              <div className="bg-gray-50 p-4 rounded-lg">
+                <div className="text-2xl font-bold text-gray-700">
+                  {analytics.statistics.invitations.pending}
+                </div>
+                <div className="text-sm text-gray-600">Awaiting Reply</div>
+              </div>
+
+              <div className="bg-gray-50 p-4 rounded-lg">
+                <div className="text-2xl font-bold text-gray-700">
+                  {analytics.statistics.invitations.accepted} / {analytics.statistics.invitations.declined}
+                </div>
+                <div className="text-sm text-gray-600">Accepted / Declined</div>
+              </div>
+
+              <div className="bg-gray-50 p-4 rounded-lg">
+                <div className="text-2xl font-bold text-gray-700">
+                  {Math.round(analytics.statistics.invitations.acceptanceRate * 100)}%
+                </div>
+                <div className="text-sm text-gray-600">Invite Acceptance</div>
+              </div>
+            </div>
+          )}
+
           {/* Recommendations */}
           {analytics.recommendations.length > 0 && (
             <div className="bg-amber-50 border border-amber-200 rounded-lg p-4">
@@ -222,15 +257,39 @@ const MatchingResults = ({ projectId, onFreelancerSelect }) => {
               key={match.freelancer._id} 
               match={match} 
               onSelect={onFreelancerSelect}
+              onInvite={setInviteMatch}
             />
           ))}
         </div>
       )}
+
+      {/* Invite Modal */}
+      {inviteMatch && (
+        <InviteFreelancerModal
+          freelancer={inviteMatch.freelancer}
+          projectId={projectId}
+          source="matching"
+          matchScore={inviteMatch.scores.total}
+          onClose={() => setInviteMatch(null)}
+          onInvited={() => {
+            setMatches(prev => prev.map(match =>
+              match.freelancer._id === inviteMatch.freelancer._id ? { ...match, invitationStatus: 'pending' } : match
+            ));
+            fetchAnalytics();
+          }}
+        />
+      )}
     </div>
   );
 };
 
-const FreelancerMatchCard = ({ match, onSelect }) => {
+const INVITATION_LABELS = {
+  pending: 'Invited',
+  accepted: 'Invite Accepted',
+  declined: 'Invite Declined'
+};
+
+const FreelancerMatchCard = ({ match, onSelect, onInvite }) => {
   const { freelancer, scores } = match;
 
   return (
@@ -348,17 +407,33 @@ const FreelancerMatchCard = ({ match, onSelect }) => {
         )}
       </div>
 
-      {/* Action Button */}
-      <div className="px-6 py-4">
+      {/* Action Buttons */}
+      <div className="px-6 py-4 flex gap-2">
         <button 
-          className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors text-sm font-medium"
+          className="flex-1 border border-blue-600 text-blue-600 py-2 px-4 rounded-lg hover:bg-blue-50 transition-colors text-sm font-medium"
           onClick={(e) => {
             e.stopPropagation();
             onSelect?.(freelancer);
           }}
         >
-          View Profile & Invite
+          View Profile
         </button>
+        {INVITATION_LABELS[match.invitationStatus] ? (
+          <span className="flex-1 text-center py-2 px-4 rounded-lg bg-gray-100 text-gray-600 text-sm font-medium">
+            {INVITATION_LABELS[match.invitationStatus]}
+          </span>
+        ) : (
+          <button
+            className="flex-1 flex items-center justify-center gap-1 bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors text-sm font-medium"
+            onClick={(e) => {
+              e.stopPropagation();
+              onInvite?.(match);
+            }}
+          >
+            <PaperAirplaneIcon className="h-4 w-4" />
+            Invite
+          </button>
+        )}
       </div>
     </div>
   );
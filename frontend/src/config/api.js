@@ -12,8 +12,13 @@ export const API_ENDPOINTS = {
   // Auth endpoints
   AUTH: {
     LOGIN: '/api/auth/login',
+    LOGIN_TWO_FACTOR: '/api/auth/login/two-factor',
+    LOGIN_TWO_FACTOR_SETUP: '/api/auth/login/two-factor/setup',
+    LOGIN_TWO_FACTOR_SETUP_CONFIRM: '/api/auth/login/two-factor/setup/confirm',
     REGISTER: '/api/auth/register',
     LOGOUT: '/api/auth/logout',
+    LOGOUT_ALL: '/api/auth/logout-all',
+    REFRESH: '/api/auth/refresh',
     SESSION: '/api/auth/session',
     GOOGLE: '/api/auth/google',
     FORGOT_PASSWORD: '/api/auth/forgot-password',
@@ -27,13 +32,33 @@ export const API_ENDPOINTS = {
   PROFILE: {
     BASE: '/api/profile',
     BASIC_INFO: '/api/profile/basic-info',
-    PICTURE: '/api/profile/picture'
+    PICTURE: '/api/profile/picture',
+    SETTINGS: '/api/profile/settings',
+    BILLING: '/api/profile/billing',
+    PAYOUT_METHODS: '/api/profile/payout-methods',
+    PAYOUT_METHOD_BY_ID: (methodId) => `/api/profile/payout-methods/${methodId}`,
+    PAYOUT_METHOD_DEFAULT: (methodId) => `/api/profile/payout-methods/${methodId}/default`,
+    TWO_FACTOR: '/api/profile/two-factor',
+    TWO_FACTOR_SETUP: '/api/profile/two-factor/setup',
+    TWO_FACTOR_CONFIRM: '/api/profile/two-factor/confirm',
+    TWO_FACTOR_RECOVERY_CODES: '/api/profile/two-factor/recovery-codes',
+    SESSIONS: '/api/profile/sessions',
+    SESSION_BY_ID: (sessionId) => `/api/profile/sessions/${sessionId}`,
+    LOGIN_HISTORY: '/api/profile/login-history',
+    PREFERENCES: '/api/profile/preferences'
   },
 
   // Projects endpoints
   PROJECTS: {
     BROWSE: '/api/projects/browse',
-    MY: '/api/projects/my'
+    MY: '/api/projects/my',
+    BY_ID: (projectId) => `/api/projects/${projectId}`,
+    REVISIONS: (projectId) => `/api/projects/${projectId}/revisions`,
+    PUBLISH: (projectId) => `/api/projects/${projectId}/publish`,
+    CLOSE: (projectId) => `/api/projects/${projectId}/close`,
+    CANCEL: (projectId) => `/api/projects/${projectId}/cancel`,
+    DUPLICATE: (projectId) => `/api/projects/${projectId}/duplicate`,
+    REPOST: (projectId) => `/api/projects/${projectId}/repost`
   },
 
   // Applications endpoints
@@ -53,7 +78,20 @@ export const API_ENDPOINTS = {
     MILESTONES_BULK: (workspaceId) => `/api/workspaces/${workspaceId}/milestones/bulk`,
     DELIVERABLES: (workspaceId) => `/api/workspaces/${workspaceId}/deliverables`,
     FILES: (workspaceId) => `/api/workspaces/${workspaceId}/files`,
-    PAYMENTS: (workspaceId) => `/api/workspaces/${workspaceId}/payments`
+    PAYMENTS: (workspaceId) => `/api/workspaces/${workspaceId}/payments`,
+    PAYMENT_INVOICE: (workspaceId, escrowId, type) => `/api/workspaces/${workspaceId}/payments/${escrowId}/invoice?type=${type}`,
+    REVIEWS: (workspaceId) => `/api/workspaces/${workspaceId}/reviews`,
+    TIME: (workspaceId) => `/api/workspaces/${workspaceId}/time`,
+    TIME_ENTRY: (workspaceId, entryId) => `/api/workspaces/${workspaceId}/time/${entryId}`,
+    TIMESHEETS: (workspaceId) => `/api/workspaces/${workspaceId}/time/timesheets`,
+    TIMER: (workspaceId, action) => `/api/workspaces/${workspaceId}/time/timer/${action}`,
+    TIMESHEET_WEEK: (workspaceId, weekStart, action) => `/api/workspaces/${workspaceId}/time/weeks/${weekStart}/${action}`
+  },
+
+  // Freelancers endpoints
+  FREELANCERS: {
+    BROWSE: '/api/freelancers/browse',
+    BY_ID: (freelancerId) => `/api/freelancers/${freelancerId}`
   },
 
   // Files endpoints
@@ -65,7 +103,11 @@ export const API_ENDPOINTS = {
   CHATS: {
     BASE: '/api/chats',
     BY_ID: (chatId) => `/api/chats/${chatId}`,
+    SEARCH: '/api/chats/search',
     MESSAGES: (chatId) => `/api/chats/${chatId}/messages`,
+    MESSAGE: (messageId) => `/api/chats/messages/${messageId}`,
+    MESSAGE_HISTORY: (messageId) => `/api/chats/messages/${messageId}/history`,
+    MESSAGE_REACTIONS: (messageId) => `/api/chats/messages/${messageId}/reactions`,
     APPLICATION: (applicationId) => `/api/chats/application/${applicationId}`
   },
 
@@ -85,11 +127,27 @@ export const API_ENDPOINTS = {
   PAYMENTS: {
     ESCROW_SUBMIT: '/api/payments/escrow/submit-deliverable',
     ESCROW_CREATE: '/api/payments/escrow/create',
+    ESCROW_QUOTE: (milestoneId) => `/api/payments/escrow/quote/${milestoneId}`,
     ESCROW_VERIFY: '/api/payments/escrow/verify',
     MILESTONE_FAILURE: '/api/payments/milestone/failure',
+    RAISE_DISPUTE: '/api/payments/escrow/raise-dispute',
     WORKSPACE_HISTORY: (workspaceId) => `/api/payments/workspace/${workspaceId}/history`
   },
 
+  // Disputes endpoints
+  DISPUTES: {
+    BY_WORKSPACE: (workspaceId) => `/api/disputes/workspace/${workspaceId}`,
+    BY_ID: (disputeId) => `/api/disputes/${disputeId}`,
+    EVIDENCE: (disputeId) => `/api/disputes/${disputeId}/evidence`
+  },
+
+  // Wallet endpoints
+  WALLET: {
+    BASE: '/api/wallet',
+    WITHDRAWALS: '/api/wallet/withdrawals',
+    WITHDRAWAL_CANCEL: (withdrawalId) => `/api/wallet/withdrawals/${withdrawalId}/cancel`
+  },
+
   // Admin endpoints
   ADMIN: {
     DASHBOARD_STATS: '/api/admin/dashboard-stats',
@@ -100,14 +158,40 @@ export const API_ENDPOINTS = {
     USER_DEACTIVATE: (userId) => `/api/admin/users/${userId}/deactivate`,
     USER_REACTIVATE: (userId) => `/api/admin/users/${userId}/reactivate`,
     USER_RESTORE: (userId) => `/api/admin/users/${userId}/restore`,
+    USER_TWO_FACTOR_REQUIREMENT: (userId) => `/api/admin/users/${userId}/two-factor-requirement`,
+    USER_ADMIN_ROLE: (userId) => `/api/admin/users/${userId}/admin-role`,
+    ROLES: '/api/admin/roles',
     USERS_DELETE_ALL_FREELANCERS: '/api/admin/users/freelancers/delete-all-for-testing',
-    PROJECTS: '/api/admin/projects',
     ESCROWS: '/api/admin/escrows',
     ESCROWS_STATS: '/api/admin/escrows/stats',
     ESCROW_BY_ID: (escrowId) => `/api/admin/escrows/${escrowId}`,
     ESCROW_RELEASE: (escrowId) => `/api/admin/escrows/${escrowId}/release`,
     ESCROW_RESOLVE: (escrowId) => `/api/admin/escrows/${escrowId}/resolve-dispute`,
-    ESCROW_AUTO_RELEASE: '/api/admin/escrows/auto-release'
+    ESCROW_RETRY_REFUND: (escrowId) => `/api/admin/escrows/${escrowId}/retry-refund`,
+    ESCROW_DISPUTE: (escrowId) => `/api/admin/escrows/${escrowId}/dispute`,
+    DISPUTE_REQUEST_INFO: (disputeId) => `/api/admin/disputes/${disputeId}/request-info`,
+    DISPUTE_NOTES: (disputeId) => `/api/admin/disputes/${disputeId}/notes`,
+    ESCROW_AUTO_RELEASE: '/api/admin/escrows/auto-release',
+    WITHDRAWALS: '/api/admin/withdrawals',
+    WITHDRAWAL_APPROVE: (withdrawalId) => `/api/admin/withdrawals/${withdrawalId}/approve`,
+    WITHDRAWAL_REJECT: (withdrawalId) => `/api/admin/withdrawals/${withdrawalId}/reject`,
+    FEE_SCHEDULES: '/api/admin/fee-schedules',
+    FEE_SCHEDULE_BY_ID: (scheduleId) => `/api/admin/fee-schedules/${scheduleId}`,
+    FEE_SCHEDULE_PREVIEW: '/api/admin/fee-schedules/preview',
+    PROMO_CODES: '/api/admin/promo-codes',
+    PROMO_CODE_BY_ID: (promoCodeId) => `/api/admin/promo-codes/${promoCodeId}`,
+    AUDIT_LOGS: '/api/admin/audit-logs',
+    AUDIT_LOGS_EXPORT: '/api/admin/audit-logs/export'
+  },
+
+  // Invitation endpoints
+  INVITATIONS: {
+    CREATE: '/api/invitations',
+    SENT: '/api/invitations/sent',
+    RECEIVED: '/api/invitations/received',
+    ACCEPT: (invitationId) => `/api/invitations/${invitationId}/accept`,
+    DECLINE: (invitationId) => `/api/invitations/${invitationId}/decline`,
+    CANCEL: (invitationId) => `/api/invitations/${invitationId}/cancel`
   },
 
   // Matching endpoints
@@ -1,6 +1,12 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import { flushSync } from 'react-dom';
-import { API_BASE_URL, API_ENDPOINTS } from '../config/api.js';
+import { API_BASE_URL, API_ENDPOINTS, getAuthHeaders } from '../config/api.js';
+import { isTwoFactorChallenge, getTokenExpiry, refreshAccessToken } from '../utils/auth';
+
+// API tokens are renewed this long before they run out
+const REFRESH_MARGIN_MS = 60 * 1000;
+// Wait before trying again when the server can't be reached
+const REFRESH_RETRY_MS = 30 * 1000;
 
 const AuthContext = createContext();
 
@@ -22,49 +28,74 @@ export const AuthProvider = ({ children }) => {
     checkSession();
   }, []);
 
+  // Renew the API token shortly before it runs out. Timers don't fire while the
+  // computer sleeps, so a tab coming back into view also checks the token.
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+
+    let timer;
+    const refresh = async () => {
+      try {
+        const data = await refreshAccessToken();
+        if (data.success) {
+          schedule();
+        } else {
+          console.log('Session ended:', data.message);
+          clearSession();
+        }
+      } catch (error) {
+        console.error('Token refresh failed:', error);
+        timer = setTimeout(refresh, REFRESH_RETRY_MS);
+      }
+    };
+    const schedule = () => {
+      clearTimeout(timer);
+      const expiresAt = getTokenExpiry(localStorage.getItem('token'));
+      if (expiresAt) {
+        timer = setTimeout(refresh, Math.max(expiresAt - Date.now() - REFRESH_MARGIN_MS, 0));
+      }
+    };
+    const handleVisibilityChange = () => {
+      const expiresAt = getTokenExpiry(localStorage.getItem('token'));
+      if (document.visibilityState === 'visible' && expiresAt && expiresAt - Date.now() < REFRESH_MARGIN_MS) {
+        clearTimeout(timer);
+        refresh();
+      }
+    };
+
+    schedule();
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      clearTimeout(timer);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [isAuthenticated]);
+
+  // Signed out here, or the server ended the session
+  const clearSession = () => {
+    setUser(null);
+    setIsAuthenticated(false);
+    localStorage.removeItem('user');
+    localStorage.removeItem('token');
+  };
+
+  // The refresh cookie restores the session and gets a fresh API token
   const checkSession = async () => {
     try {
       setLoading(true);
-      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.AUTH.SESSION}`, {
-        method: 'GET',
-        credentials: 'include',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      });
-
-      const data = await response.json();
+      const data = await refreshAccessToken();
 
-      if (data.success && data.isAuthenticated) {
+      if (data.success) {
         setUser(data.user);
         setIsAuthenticated(true);
         // Also update localStorage for backward compatibility
         localStorage.setItem('user', JSON.stringify(data.user));
       } else {
-        // Check if we have a JWT token in localStorage as fallback
-        const token = localStorage.getItem('token');
-        const savedUser = localStorage.getItem('user');
-        
-        if (token && savedUser) {
-          // We have a token, try to use it
-          try {
-            const userObj = JSON.parse(savedUser);
-            setUser(userObj);
-            setIsAuthenticated(true);
-            console.log('Using stored JWT token and user data');
-          } catch (parseError) {
-            console.error('Failed to parse stored user data:', parseError);
-            setUser(null);
-            setIsAuthenticated(false);
-            localStorage.removeItem('user');
-            localStorage.removeItem('token');
-          }
-        } else {
-          setUser(null);
-          setIsAuthenticated(false);
-          localStorage.removeItem('user');
-          localStorage.removeItem('token');
-        }
+        // No refresh cookie, or the session was signed out
+        setUser(null);
+        setIsAuthenticated(false);
+        localStorage.removeItem('user');
+        localStorage.removeItem('token');
       }
     } catch (error) {
       console.error('Session check failed:', error);
@@ -108,29 +139,11 @@ export const AuthProvider = ({ children }) => {
 
       const data = await response.json();
 
-      if (data.success) {
-        // Update state synchronously in the same tick
-        const userData = data.user;
-        const token = data.token;
-        
-        // Use flushSync to ensure state updates are applied immediately
-        flushSync(() => {
-          setUser(userData);
-          setIsAuthenticated(true);
-        });
-        
-        if (userData) {
-          localStorage.setItem('user', JSON.stringify(userData));
-        }
-        
-        // Store the JWT token for API authentication
-        if (token) {
-          localStorage.setItem('token', token);
-          console.log('JWT token stored successfully');
-        }
-        
-        console.log('Login successful, user state updated:', userData);
-        return data;
+      // Accounts with two-factor authentication get a challenge instead of a session;
+      // the caller finishes with verifyTwoFactor or the setup functions below
+      if (data.success && !isTwoFactorChallenge(data)) {
+        storeSession(data);
+        console.log('Login successful, user state updated:', data.user);
       }
       return data;
     } catch (error) {
@@ -139,23 +152,132 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Store the user and JWT from a completed sign-in
+  const storeSession = (data) => {
+    // Update state synchronously in the same tick
+    const userData = data.user;
+    const token = data.token;
+
+    // Use flushSync to ensure state updates are applied immediately
+    flushSync(() => {
+      setUser(userData);
+      setIsAuthenticated(true);
+    });
+
+    if (userData) {
+      localStorage.setItem('user', JSON.stringify(userData));
+    }
+
+    // Store the JWT token for API authentication
+    if (token) {
+      localStorage.setItem('token', token);
+      console.log('JWT token stored successfully');
+    }
+  };
+
+  const postChallenge = async (endpoint, body) => {
+    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+      method: 'POST',
+      credentials: 'include',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+    return response.json();
+  };
+
+  // Second login step: authenticator app code or a recovery code
+  const verifyTwoFactor = async (challengeToken, code) => {
+    try {
+      const data = await postChallenge(API_ENDPOINTS.AUTH.LOGIN_TWO_FACTOR, { challengeToken, code });
+      if (data.success) {
+        storeSession(data);
+      }
+      return data;
+    } catch (error) {
+      console.error('Two-factor verification failed:', error);
+      throw error;
+    }
+  };
+
+  // For accounts that must enroll before signing in: returns { secret, otpauthUri }
+  const startTwoFactorSetup = async (challengeToken) => {
+    try {
+      return await postChallenge(API_ENDPOINTS.AUTH.LOGIN_TWO_FACTOR_SETUP, { challengeToken });
+    } catch (error) {
+      console.error('Two-factor setup failed:', error);
+      throw error;
+    }
+  };
+
+  const confirmTwoFactorSetup = async (challengeToken, code) => {
+    try {
+      const data = await postChallenge(API_ENDPOINTS.AUTH.LOGIN_TWO_FACTOR_SETUP_CONFIRM, { challengeToken, code });
+      if (data.success) {
+        storeSession(data);
+      }
+      return data;
+    } catch (error) {
+      console.error('Two-factor setup confirmation failed:', error);
+      throw error;
+    }
+  };
+
   const logout = async () => {
     try {
+      // The token tells the server which signed-in device to end
       await fetch(`${API_BASE_URL}${API_ENDPOINTS.AUTH.LOGOUT}`, {
         method: 'POST',
         credentials: 'include',
-        headers: {
-          'Content-Type': 'application/json',
-        },
+        headers: getAuthHeaders(),
       });
     } catch (error) {
       console.error('Logout request failed:', error);
     } finally {
       // Clear state regardless of API call success
-      setUser(null);
-      setIsAuthenticated(false);
-      localStorage.removeItem('user');
-      localStorage.removeItem('token'); // Also remove the JWT token
+      clearSession();
+    }
+  };
+
+  // Sign out every device, this one included
+  const logoutAllDevices = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.AUTH.LOGOUT_ALL}`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: getAuthHeaders(),
+      });
+      const data = await response.json();
+      if (data.success) {
+        clearSession();
+      }
+      return data;
+    } catch (error) {
+      console.error('Logout from all devices failed:', error);
+      throw error;
+    }
+  };
+
+  // Timezone, language, date format and currency; saved on the account so
+  // emails and notifications use them too
+  const updatePreferences = async (preferences) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.PROFILE.PREFERENCES}`, {
+        method: 'PATCH',
+        headers: getAuthHeaders(),
+        body: JSON.stringify(preferences)
+      });
+      const data = await response.json();
+      if (data.success) {
+        const updatedUser = { ...user, preferences: data.preferences };
+        localStorage.setItem('user', JSON.stringify(updatedUser));
+        setUser(updatedUser);
+      }
+      return data;
+    } catch (error) {
+      console.error('Saving preferences failed:', error);
+      throw error;
     }
   };
 
@@ -191,29 +313,9 @@ export const AuthProvider = ({ children }) => {
 
       const data = await response.json();
 
-      if (data.success) {
-        // Update state synchronously in the same tick
-        const userData = data.user;
-        const token = data.token;
-        
-        // Use flushSync to ensure state updates are applied immediately
-        flushSync(() => {
-          setUser(userData);
-          setIsAuthenticated(true);
-        });
-        
-        if (userData) {
-          localStorage.setItem('user', JSON.stringify(userData));
-        }
-        
-        // Store the JWT token for API authentication
-        if (token) {
-          localStorage.setItem('token', token);
-          console.log('JWT token stored successfully from Google login');
-        }
-        
-        console.log('Google login successful, user state updated:', userData);
-        return data;
+      if (data.success && !isTwoFactorChallenge(data)) {
+        storeSession(data);
+        console.log('Google login successful, user state updated:', data.user);
       }
       return data;
     } catch (error) {
@@ -228,8 +330,13 @@ export const AuthProvider = ({ children }) => {
     loading,
     login,
     logout,
+    logoutAllDevices,
+    updatePreferences,
     register,
     googleLogin,
+    verifyTwoFactor,
+    startTwoFactorSetup,
+    confirmTwoFactorSetup,
     checkSession
   };
 
@@ -0,0 +1,54 @@
+import React, { useEffect, useState } from 'react';
+import { useAuth } from './AuthContext';
+import {
+  I18nContext,
+  getDeviceLanguage,
+  isSupportedLanguage,
+  translate
+} from '../utils/i18n';
+
+/**
+ * Holds the UI language. Signed in, it is the account's
+ * preferences.language, so it follows the user across devices; signed out,
+ * it is whatever was last picked on this device.
+ */
+export const I18nProvider = ({ children }) => {
+  const { user, isAuthenticated, updatePreferences } = useAuth();
+  const [deviceLanguage, setDeviceLanguage] = useState(getDeviceLanguage);
+
+  const accountLanguage = isAuthenticated ? user?.preferences?.language : null;
+  const language = isSupportedLanguage(accountLanguage) ? accountLanguage : deviceLanguage;
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  // Switch language; saved to the account when signed in
+  const setLanguage = async (nextLanguage) => {
+    if (!isSupportedLanguage(nextLanguage)) return;
+
+    localStorage.setItem('language', nextLanguage);
+    setDeviceLanguage(nextLanguage);
+
+    if (isAuthenticated) {
+      const data = await updatePreferences({ language: nextLanguage });
+      if (!data.success) {
+        throw new Error(data.message);
+      }
+    }
+  };
+
+  const t = (key, params) => translate(language, key, params);
+
+  const value = {
+    language,
+    setLanguage,
+    t
+  };
+
+  return (
+    <I18nContext.Provider value={value}>
+      {children}
+    </I18nContext.Provider>
+  );
+};
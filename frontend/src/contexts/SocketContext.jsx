@@ -18,6 +18,7 @@ export const SocketProvider = ({ children }) => {
   const [socket, setSocket] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
   const [onlineUsers, setOnlineUsers] = useState([]);
+  const [lastSeenByUser, setLastSeenByUser] = useState({});
   const [notifications, setNotifications] = useState([]);
   const [typingUsers, setTypingUsers] = useState({});
   const { user, isAuthenticated } = useAuth();
@@ -30,22 +31,22 @@ export const SocketProvider = ({ children }) => {
   // Initialize socket connection
   useEffect(() => {
     if (isAuthenticated && user) {
+      // The server identifies the user from the JWT, so presence follows the token
       const newSocket = io(API_BASE_URL, {
         withCredentials: true,
-        transports: ['websocket', 'polling']
+        transports: ['websocket', 'polling'],
+        auth: (cb) => cb({ token: localStorage.getItem('token') })
       });
 
       newSocket.on('connect', () => {
         console.log('🔌 Connected to server');
-        console.log('👤 User object:', user);
-        setIsConnected(true);
-        
-        // Tell server user is online
-        const userId = getUserId(user);
-        console.log('📡 Emitting user-online for userId:', userId);
-        console.log('👤 Full user object:', JSON.stringify(user, null, 2));
         console.log('🔌 Socket ID:', newSocket.id);
-        newSocket.emit('user-online', userId);
+        setIsConnected(true);
+      });
+
+      newSocket.on('connect_error', (error) => {
+        console.error('🔌 Socket connection rejected:', error.message);
+        setIsConnected(false);
       });
 
       newSocket.on('disconnect', () => {
@@ -61,7 +62,10 @@ export const SocketProvider = ({ children }) => {
 
       newSocket.on('user-status-change', (data) => {
         console.log('👤 User status change received:', data);
-        const { userId, status } = data;
+        const { userId, status, lastSeen } = data;
+        if (lastSeen) {
+          setLastSeenByUser(prev => ({ ...prev, [userId]: lastSeen }));
+        }
         setOnlineUsers(prev => {
           const updated = status === 'online' 
             ? [...prev.filter(id => id !== userId), userId]
@@ -182,7 +186,6 @@ export const SocketProvider = ({ children }) => {
 
       return () => {
         if (newSocket) {
-          newSocket.emit('user-offline', getUserId(user));
           newSocket.disconnect();
         }
       };
@@ -218,19 +221,13 @@ export const SocketProvider = ({ children }) => {
 
   const emitTypingStart = (chatId) => {
     if (socket && user) {
-      socket.emit('typing-start', { 
-        userId: getUserId(user), 
-        chatId 
-      });
+      socket.emit('typing-start', { chatId });
     }
   };
 
   const emitTypingStop = (chatId) => {
     if (socket && user) {
-      socket.emit('typing-stop', { 
-        userId: getUserId(user), 
-        chatId 
-      });
+      socket.emit('typing-stop', { chatId });
     }
   };
 
@@ -249,6 +246,8 @@ export const SocketProvider = ({ children }) => {
     return isOnline;
   };
 
+  const getLastSeen = (userId) => lastSeenByUser[String(userId)] || null;
+
   const getTypingUsersForChat = (chatId) => {
     return Object.values(typingUsers).filter(data => data.chatId === chatId);
   };
@@ -273,6 +272,7 @@ export const SocketProvider = ({ children }) => {
     emitTypingStop,
     emitProjectUpdate,
     isUserOnline,
+    getLastSeen,
     getTypingUsersForChat,
     clearNotifications,
     markNotificationAsRead
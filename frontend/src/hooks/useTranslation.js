@@ -0,0 +1,14 @@
+// frontend/src/hooks/useTranslation.js
+import { useContext } from 'react';
+import { I18nContext } from '../utils/i18n';
+
+/**
+ * Current language, a `t(key, params)` for it and `setLanguage` to switch
+ */
+export const useTranslation = () => {
+  const context = useContext(I18nContext);
+  if (!context) {
+    throw new Error('useTranslation must be used within an I18nProvider');
+  }
+  return context;
+};
@@ -0,0 +1,273 @@
+// frontend/src/locales/en.js
+// English UI messages. Every key here should also be in the other catalogs;
+// missing ones fall back to English. {{name}} is replaced with a value, and
+// an object of plural forms (one, other) is picked by the `count` value.
+
+const en = {
+  common: {
+    cancel: 'Cancel',
+    close: 'Close',
+    save: 'Save',
+    saving: 'Saving...',
+    online: 'Online',
+    offline: 'Offline',
+    user: 'User',
+    untitled: 'Untitled'
+  },
+
+  roles: {
+    client: 'Client',
+    freelancer: 'Freelancer',
+    admin: 'Admin'
+  },
+
+  language: {
+    label: 'Language',
+    change: 'Change language',
+    saveFailed: 'Could not save your language'
+  },
+
+  navbar: {
+    findWork: 'Find Work',
+    findTalent: 'Find Talent',
+    whyWebsphere: 'Why WebSphere?',
+    login: 'Login',
+    register: 'Register',
+    dashboard: 'Dashboard',
+    profileSettings: 'Profile Settings',
+    twoFactor: 'Two-Factor Authentication',
+    sessions: 'Sessions & Login Activity',
+    regionalPreferences: 'Regional Preferences',
+    logout: 'Logout',
+    notificationSettings: 'Notification Settings',
+    push: {
+      title: 'Enable Push Notifications?',
+      body: 'Get alerts for payment due dates and deliverable deadlines.',
+      enable: 'Enable',
+      later: 'Later',
+      enabled: 'Push notifications enabled!',
+      devUnavailable: 'Push notifications not available in development mode',
+      unsupported: 'Your browser does not support push notifications',
+      failed: 'Failed to enable notifications - this is normal in development mode',
+      blockedTitle: 'Notifications Blocked',
+      blockedIntro: "You've blocked notifications for this site. To enable them:",
+      blockedSteps: {
+        lock: 'Click the lock icon (🔒) in the address bar',
+        find: 'Find "Notifications" in the permissions list',
+        allow: 'Change it from "Block" to "Allow"',
+        reload: 'Reload this page'
+      },
+      gotIt: 'Got it'
+    }
+  },
+
+  auth: {
+    backToHome: 'Back to Home',
+    heroLogin: {
+      title: 'Welcome Back',
+      subtitle: 'Connect with talented freelancers and grow your business'
+    },
+    heroRegister: {
+      title: 'Join Our Community',
+      subtitle: 'Start your freelancing journey with WebSphere today'
+    },
+    login: {
+      title: 'Welcome Back!',
+      subtitle: 'Please enter your details to sign in',
+      divider: 'or continue with email',
+      email: 'Email',
+      emailPlaceholder: 'Enter your email',
+      password: 'Password',
+      passwordPlaceholder: 'Enter your password',
+      submit: 'Sign In',
+      submitting: 'Signing In...',
+      forgotPassword: 'Forgot your password?',
+      noAccount: "Don't have an account?",
+      signUp: 'Sign up here',
+      success: 'Login Successful!',
+      failed: 'Login Failed',
+      missingTitle: 'Missing Information',
+      missing: 'Please enter both email and password',
+      twoFactorSetupFailed: 'Two-Factor Setup Failed'
+    },
+    register: {
+      title: 'Get Started with WebSphere',
+      subtitle: 'Create your client account to continue',
+      divider: 'or register with email',
+      iWantTo: 'I want to:',
+      hireTalent: '💼 Hire Talent',
+      workAsFreelancer: '🚀 Work as Freelancer',
+      freelancerHint: 'Freelancers should use the "Work as Freelancer" option for a specialized signup process',
+      fullName: 'Full Name',
+      fullNamePlaceholder: 'Enter your full name (e.g., John Smith)',
+      email: 'Email Address',
+      emailPlaceholder: 'Enter your email address',
+      password: 'Password',
+      passwordPlaceholder: 'Create a strong password',
+      confirmPassword: 'Confirm Password',
+      confirmPasswordPlaceholder: 'Confirm your password',
+      submit: 'Create Client Account',
+      submitting: 'Creating Account...',
+      fixErrors: {
+        one: 'Please fix the validation error above',
+        other: 'Please fix the {{count}} validation errors above'
+      },
+      haveAccount: 'Already have an account?',
+      signIn: 'Sign in here',
+      validationError: 'Validation Error',
+      freelancerTitle: 'Freelancer Registration',
+      freelancerNotice: 'Please use the "I want to Work" button to register as a freelancer.',
+      checkEmailTitle: 'Check Your Email',
+      checkEmail: "We've sent a verification link to your email address. Please verify your email before proceeding.",
+      emailUnavailableTitle: 'Email Service Unavailable',
+      emailUnavailable: 'Email verification is temporarily unavailable. For testing purposes, you can verify your account using the development link provided.',
+      welcome: 'Welcome to WebSphere!',
+      failed: 'Registration Failed',
+      failedDefault: 'Registration failed'
+    }
+  },
+
+  validation: {
+    fullName: {
+      required: 'Full name is required',
+      tooShort: 'Name must be at least 2 characters long',
+      tooLong: 'Name cannot exceed 100 characters',
+      firstAndLast: 'Please enter your full name (first and last name)',
+      invalidFormat: 'Invalid name format',
+      capitalized: 'Each part of your name must start with an uppercase letter (e.g., "John Smith")',
+      invalidCharacters: 'Name can only contain letters, hyphens, and apostrophes',
+      valid: 'Valid full name'
+    },
+    email: {
+      required: 'Email address is required',
+      invalid: 'Please enter a valid email address',
+      tooLong: 'Email address is too long',
+      valid: 'Valid email address',
+      formatValid: 'Email format is valid'
+    },
+    password: {
+      required: 'Password is required',
+      tooShort: 'Password must be at least 8 characters long',
+      uppercase: 'Password must contain at least one uppercase letter',
+      lowercase: 'Password must contain at least one lowercase letter',
+      number: 'Password must contain at least one number',
+      tooLong: 'Password cannot exceed 128 characters',
+      veryStrong: 'Very strong password',
+      strong: 'Strong password',
+      good: 'Good password'
+    },
+    confirmPassword: {
+      required: 'Please confirm your password',
+      mismatch: 'Passwords do not match',
+      match: 'Passwords match'
+    },
+    bio: {
+      required: 'Bio is required for freelancer registration',
+      tooShort: 'Bio must be at least 20 characters long (currently {{count}})',
+      tooLong: 'Bio cannot exceed 2000 characters',
+      fewWords: 'Bio should contain at least 10 words to describe your skills and experience',
+      great: 'Great bio! This will help clients understand your expertise',
+      good: 'Bio looks good'
+    },
+    strength: {
+      title: 'Password Strength',
+      none: 'No password',
+      weak: 'Weak',
+      fair: 'Fair',
+      good: 'Good',
+      strong: 'Strong',
+      mustContain: 'Password must contain:',
+      checks: {
+        length: 'At least 8 characters',
+        uppercase: 'Contains uppercase letter',
+        lowercase: 'Contains lowercase letter',
+        number: 'Contains number',
+        special: 'Contains special character'
+      }
+    }
+  },
+
+  preferences: {
+    title: 'Regional Preferences',
+    timezone: 'Timezone',
+    useDevice: "Use this device's timezone ({{timezone}})",
+    timezoneHint: 'Deadlines, reminders and message times are shown in this timezone.',
+    language: 'Language',
+    dateFormat: 'Date format',
+    currency: 'Preferred currency',
+    currencyHint: 'Amounts always stay in the currency they were agreed in.',
+    saveFailed: 'Failed to save preferences'
+  },
+
+  workspace: {
+    loading: 'Loading workspace...',
+    loadFailed: 'Failed to load workspace',
+    title: 'Project Workspace',
+    status: {
+      completed: '✓ Completed',
+      active: 'Active',
+      onHold: 'On Hold',
+      unknown: 'Unknown'
+    },
+    endProject: 'End Project',
+    endProjectReady: 'All milestones are paid and deliverables approved — mark this project as done',
+    endProjectBlocked: 'Cannot end project yet: {{reasons}}',
+    blockers: {
+      notActive: 'Workspace is not active',
+      noMilestones: 'No milestones exist yet',
+      notPaid: '"{{title}}" is not paid',
+      noApprovedDeliverable: '"{{title}}" has no approved deliverable'
+    },
+    completeBlocked: 'Cannot complete project until all milestones are paid and all deliverables are submitted and approved.',
+    completeFailed: 'Failed to complete project',
+    completed: 'Project marked as completed',
+    videoCall: 'Video Call',
+    startVideoCall: 'Start video call',
+    closeWorkspace: 'Close workspace',
+    freelancer: 'Freelancer:',
+    client: 'Client:',
+    project: 'Project',
+    tabs: {
+      chat: 'Chat',
+      timeline: 'Timeline',
+      files: 'Files',
+      milestones: 'Milestones',
+      timesheets: 'Timesheets',
+      deliverables: 'Deliverables',
+      payments: 'Payments',
+      paymentHistory: 'Payment History',
+      reviews: 'Reviews'
+    },
+    chat: {
+      unavailable: 'Chat Not Available',
+      noSession: 'No chat session found for this workspace.'
+    },
+    files: {
+      title: 'Shared Files',
+      count: {
+        one: '{{count}} file',
+        other: '{{count}} files'
+      },
+      view: 'View',
+      download: 'Download',
+      unknownSize: 'Unknown size',
+      unknownDate: 'Unknown date',
+      empty: 'No Files Shared',
+      emptyHint: 'Files shared in this workspace will appear here.',
+      supported: 'Supported: JPEG, JPG, PNG, GIF, WebP, PDF, DOC, DOCX, TXT, CSV, XLS, XLSX, PPT, PPTX, ZIP, RAR, MP4, MOV, AVI • Max 10MB per file • Up to 5 files per upload',
+      uploadingFiles: 'Uploading files...',
+      dropHint: 'Drop files here or click to browse',
+      uploading: 'Uploading...',
+      choose: 'Choose Files',
+      selected: 'Selected: {{names}}'
+    },
+    milestones: {
+      title: 'Project Milestones',
+      freelancerHint: 'Create milestones with deliverables and payment schedule for client approval',
+      clientHint: 'Review and approve milestones created by the freelancer',
+      clientPayHint: "💡 You'll pay for each milestone after the freelancer delivers and you approve it"
+    }
+  }
+};
+
+export default en;
@@ -0,0 +1,271 @@
+// frontend/src/locales/hi.js
+// Hindi UI messages (same keys as en.js)
+
+const hi = {
+  common: {
+    cancel: 'रद्द करें',
+    close: 'बंद करें',
+    save: 'सहेजें',
+    saving: 'सहेजा जा रहा है...',
+    online: 'ऑनलाइन',
+    offline: 'ऑफ़लाइन',
+    user: 'उपयोगकर्ता',
+    untitled: 'बिना शीर्षक'
+  },
+
+  roles: {
+    client: 'क्लाइंट',
+    freelancer: 'फ़्रीलांसर',
+    admin: 'एडमिन'
+  },
+
+  language: {
+    label: 'भाषा',
+    change: 'भाषा बदलें',
+    saveFailed: 'आपकी भाषा सहेजी नहीं जा सकी'
+  },
+
+  navbar: {
+    findWork: 'काम खोजें',
+    findTalent: 'प्रतिभा खोजें',
+    whyWebsphere: 'WebSphere क्यों?',
+    login: 'लॉग इन',
+    register: 'रजिस्टर करें',
+    dashboard: 'डैशबोर्ड',
+    profileSettings: 'प्रोफ़ाइल सेटिंग्स',
+    twoFactor: 'टू-फ़ैक्टर ऑथेंटिकेशन',
+    sessions: 'सत्र और लॉगिन गतिविधि',
+    regionalPreferences: 'क्षेत्रीय प्राथमिकताएँ',
+    logout: 'लॉग आउट',
+    notificationSettings: 'सूचना सेटिंग्स',
+    push: {
+      title: 'पुश सूचनाएँ चालू करें?',
+      body: 'भुगतान की नियत तारीखों और डिलीवरेबल की समय-सीमा के अलर्ट पाएँ।',
+      enable: 'चालू करें',
+      later: 'बाद में',
+      enabled: 'पुश सूचनाएँ चालू हो गईं!',
+      devUnavailable: 'डेवलपमेंट मोड में पुश सूचनाएँ उपलब्ध नहीं हैं',
+      unsupported: 'आपका ब्राउज़र पुश सूचनाओं का समर्थन नहीं करता',
+      failed: 'सूचनाएँ चालू नहीं हो सकीं - डेवलपमेंट मोड में ऐसा होना सामान्य है',
+      blockedTitle: 'सूचनाएँ ब्लॉक हैं',
+      blockedIntro: 'आपने इस साइट के लिए सूचनाएँ ब्लॉक की हैं। इन्हें चालू करने के लिए:',
+      blockedSteps: {
+        lock: 'एड्रेस बार में ताले के आइकन (🔒) पर क्लिक करें',
+        find: 'अनुमतियों की सूची में "Notifications" खोजें',
+        allow: 'इसे "Block" से बदलकर "Allow" करें',
+        reload: 'यह पेज फिर से लोड करें'
+      },
+      gotIt: 'समझ गया'
+    }
+  },
+
+  auth: {
+    backToHome: 'होम पर वापस जाएँ',
+    heroLogin: {
+      title: 'फिर से स्वागत है',
+      subtitle: 'प्रतिभाशाली फ़्रीलांसरों से जुड़ें और अपना व्यवसाय बढ़ाएँ'
+    },
+    heroRegister: {
+      title: 'हमारे समुदाय से जुड़ें',
+      subtitle: 'आज ही WebSphere के साथ अपनी फ़्रीलांसिंग यात्रा शुरू करें'
+    },
+    login: {
+      title: 'फिर से स्वागत है!',
+      subtitle: 'साइन इन करने के लिए अपना विवरण दर्ज करें',
+      divider: 'या ईमेल से जारी रखें',
+      email: 'ईमेल',
+      emailPlaceholder: 'अपना ईमेल दर्ज करें',
+      password: 'पासवर्ड',
+      passwordPlaceholder: 'अपना पासवर्ड दर्ज करें',
+      submit: 'साइन इन करें',
+      submitting: 'साइन इन हो रहा है...',
+      forgotPassword: 'पासवर्ड भूल गए?',
+      noAccount: 'खाता नहीं है?',
+      signUp: 'यहाँ साइन अप करें',
+      success: 'लॉगिन सफल!',
+      failed: 'लॉगिन विफल',
+      missingTitle: 'जानकारी अधूरी है',
+      missing: 'कृपया ईमेल और पासवर्ड दोनों दर्ज करें',
+      twoFactorSetupFailed: 'टू-फ़ैक्टर सेटअप विफल'
+    },
+    register: {
+      title: 'WebSphere के साथ शुरुआत करें',
+      subtitle: 'जारी रखने के लिए अपना क्लाइंट खाता बनाएँ',
+      divider: 'या ईमेल से रजिस्टर करें',
+      iWantTo: 'मैं चाहता/चाहती हूँ:',
+      hireTalent: '💼 प्रतिभा नियुक्त करना',
+      workAsFreelancer: '🚀 फ़्रीलांसर के रूप में काम करना',
+      freelancerHint: 'फ़्रीलांसर अलग साइनअप प्रक्रिया के लिए "फ़्रीलांसर के रूप में काम करना" विकल्प चुनें',
+      fullName: 'पूरा नाम',
+      fullNamePlaceholder: 'अपना पूरा नाम दर्ज करें (जैसे John Smith)',
+      email: 'ईमेल पता',
+      emailPlaceholder: 'अपना ईमेल पता दर्ज करें',
+      password: 'पासवर्ड',
+      passwordPlaceholder: 'एक मज़बूत पासवर्ड बनाएँ',
+      confirmPassword: 'पासवर्ड की पुष्टि करें',
+      confirmPasswordPlaceholder: 'अपना पासवर्ड दोबारा दर्ज करें',
+      submit: 'क्लाइंट खाता बनाएँ',
+      submitting: 'खाता बनाया जा रहा है...',
+      fixErrors: {
+        one: 'कृपया ऊपर दी गई त्रुटि ठीक करें',
+        other: 'कृपया ऊपर दी गई {{count}} त्रुटियाँ ठीक करें'
+      },
+      haveAccount: 'पहले से खाता है?',
+      signIn: 'यहाँ साइन इन करें',
+      validationError: 'सत्यापन त्रुटि',
+      freelancerTitle: 'फ़्रीलांसर पंजीकरण',
+      freelancerNotice: 'फ़्रीलांसर के रूप में रजिस्टर करने के लिए कृपया "मैं काम करना चाहता/चाहती हूँ" बटन का उपयोग करें।',
+      checkEmailTitle: 'अपना ईमेल देखें',
+      checkEmail: 'हमने आपके ईमेल पते पर एक पुष्टि लिंक भेजा है। आगे बढ़ने से पहले कृपया अपने ईमेल की पुष्टि करें।',
+      emailUnavailableTitle: 'ईमेल सेवा उपलब्ध नहीं है',
+      emailUnavailable: 'ईमेल पुष्टि अभी उपलब्ध नहीं है। परीक्षण के लिए आप दिए गए डेवलपमेंट लिंक से अपने खाते की पुष्टि कर सकते हैं।',
+      welcome: 'WebSphere में आपका स्वागत है!',
+      failed: 'पंजीकरण विफल',
+      failedDefault: 'पंजीकरण विफल रहा'
+    }
+  },
+
+  validation: {
+    fullName: {
+      required: 'पूरा नाम आवश्यक है',
+      tooShort: 'नाम कम से कम 2 अक्षरों का होना चाहिए',
+      tooLong: 'नाम 100 अक्षरों से अधिक नहीं हो सकता',
+      firstAndLast: 'कृपया अपना पूरा नाम (पहला और अंतिम नाम) दर्ज करें',
+      invalidFormat: 'नाम का प्रारूप अमान्य है',
+      capitalized: 'नाम का हर भाग बड़े अक्षर से शुरू होना चाहिए (जैसे "John Smith")',
+      invalidCharacters: 'नाम में केवल अक्षर, हाइफ़न और एपॉस्ट्रॉफ़ी हो सकते हैं',
+      valid: 'पूरा नाम सही है'
+    },
+    email: {
+      required: 'ईमेल पता आवश्यक है',
+      invalid: 'कृपया एक मान्य ईमेल पता दर्ज करें',
+      tooLong: 'ईमेल पता बहुत लंबा है',
+      valid: 'ईमेल पता सही है',
+      formatValid: 'ईमेल का प्रारूप सही है'
+    },
+    password: {
+      required: 'पासवर्ड आवश्यक है',
+      tooShort: 'पासवर्ड कम से कम 8 अक्षरों का होना चाहिए',
+      uppercase: 'पासवर्ड में कम से कम एक बड़ा अक्षर होना चाहिए',
+      lowercase: 'पासवर्ड में कम से कम एक छोटा अक्षर होना चाहिए',
+      number: 'पासवर्ड में कम से कम एक अंक होना चाहिए',
+      tooLong: 'पासवर्ड 128 अक्षरों से अधिक नहीं हो सकता',
+      veryStrong: 'बहुत मज़बूत पासवर्ड',
+      strong: 'मज़बूत पासवर्ड',
+      good: 'अच्छा पासवर्ड'
+    },
+    confirmPassword: {
+      required: 'कृपया अपने पासवर्ड की पुष्टि करें',
+      mismatch: 'पासवर्ड मेल नहीं खाते',
+      match: 'पासवर्ड मेल खाते हैं'
+    },
+    bio: {
+      required: 'फ़्रीलांसर पंजीकरण के लिए परिचय आवश्यक है',
+      tooShort: 'परिचय कम से कम 20 अक्षरों का होना चाहिए (अभी {{count}})',
+      tooLong: 'परिचय 2000 अक्षरों से अधिक नहीं हो सकता',
+      fewWords: 'अपने कौशल और अनुभव के बारे में बताने के लिए परिचय में कम से कम 10 शब्द होने चाहिए',
+      great: 'बढ़िया परिचय! इससे क्लाइंट आपकी विशेषज्ञता समझ पाएँगे',
+      good: 'परिचय अच्छा है'
+    },
+    strength: {
+      title: 'पासवर्ड की मज़बूती',
+      none: 'कोई पासवर्ड नहीं',
+      weak: 'कमज़ोर',
+      fair: 'ठीक-ठाक',
+      good: 'अच्छा',
+      strong: 'मज़बूत',
+      mustContain: 'पासवर्ड में ये होने चाहिए:',
+      checks: {
+        length: 'कम से कम 8 अक्षर',
+        uppercase: 'एक बड़ा अक्षर',
+        lowercase: 'एक छोटा अक्षर',
+        number: 'एक अंक',
+        special: 'एक विशेष चिह्न'
+      }
+    }
+  },
+
+  preferences: {
+    title: 'क्षेत्रीय प्राथमिकताएँ',
+    timezone: 'समय क्षेत्र',
+    useDevice: 'इस उपकरण का समय क्षेत्र इस्तेमाल करें ({{timezone}})',
+    timezoneHint: 'समय-सीमाएँ, रिमाइंडर और संदेशों का समय इसी समय क्षेत्र में दिखाया जाता है।',
+    language: 'भाषा',
+    dateFormat: 'तारीख का प्रारूप',
+    currency: 'पसंदीदा मुद्रा',
+    currencyHint: 'राशियाँ हमेशा उसी मुद्रा में रहती हैं जिसमें वे तय हुई थीं।',
+    saveFailed: 'प्राथमिकताएँ सहेजी नहीं जा सकीं'
+  },
+
+  workspace: {
+    loading: 'वर्कस्पेस लोड हो रहा है...',
+    loadFailed: 'वर्कस्पेस लोड नहीं हो सका',
+    title: 'प्रोजेक्ट वर्कस्पेस',
+    status: {
+      completed: '✓ पूरा हुआ',
+      active: 'सक्रिय',
+      onHold: 'रुका हुआ',
+      unknown: 'अज्ञात'
+    },
+    endProject: 'प्रोजेक्ट समाप्त करें',
+    endProjectReady: 'सभी माइलस्टोन का भुगतान हो चुका है और डिलीवरेबल स्वीकृत हैं — इस प्रोजेक्ट को पूरा चिह्नित करें',
+    endProjectBlocked: 'प्रोजेक्ट अभी समाप्त नहीं किया जा सकता: {{reasons}}',
+    blockers: {
+      notActive: 'वर्कस्पेस सक्रिय नहीं है',
+      noMilestones: 'अभी कोई माइलस्टोन नहीं है',
+      notPaid: '"{{title}}" का भुगतान नहीं हुआ है',
+      noApprovedDeliverable: '"{{title}}" का कोई स्वीकृत डिलीवरेबल नहीं है'
+    },
+    completeBlocked: 'जब तक सभी माइलस्टोन का भुगतान न हो जाए और सभी डिलीवरेबल जमा होकर स्वीकृत न हो जाएँ, प्रोजेक्ट पूरा नहीं किया जा सकता।',
+    completeFailed: 'प्रोजेक्ट पूरा नहीं हो सका',
+    completed: 'प्रोजेक्ट पूरा चिह्नित किया गया',
+    videoCall: 'वीडियो कॉल',
+    startVideoCall: 'वीडियो कॉल शुरू करें',
+    closeWorkspace: 'वर्कस्पेस बंद करें',
+    freelancer: 'फ़्रीलांसर:',
+    client: 'क्लाइंट:',
+    project: 'प्रोजेक्ट',
+    tabs: {
+      chat: 'चैट',
+      timeline: 'टाइमलाइन',
+      files: 'फ़ाइलें',
+      milestones: 'माइलस्टोन',
+      timesheets: 'टाइमशीट',
+      deliverables: 'डिलीवरेबल',
+      payments: 'भुगतान',
+      paymentHistory: 'भुगतान इतिहास',
+      reviews: 'समीक्षाएँ'
+    },
+    chat: {
+      unavailable: 'चैट उपलब्ध नहीं है',
+      noSession: 'इस वर्कस्पेस के लिए कोई चैट सत्र नहीं मिला।'
+    },
+    files: {
+      title: 'साझा की गई फ़ाइलें',
+      count: {
+        one: '{{count}} फ़ाइल',
+        other: '{{count}} फ़ाइलें'
+      },
+      view: 'देखें',
+      download: 'डाउनलोड करें',
+      unknownSize: 'आकार अज्ञात',
+      unknownDate: 'तारीख अज्ञात',
+      empty: 'कोई फ़ाइल साझा नहीं की गई',
+      emptyHint: 'इस वर्कस्पेस में साझा की गई फ़ाइलें यहाँ दिखेंगी।',
+      supported: 'समर्थित: JPEG, JPG, PNG, GIF, WebP, PDF, DOC, DOCX, TXT, CSV, XLS, XLSX, PPT, PPTX, ZIP, RAR, MP4, MOV, AVI • हर फ़ाइल अधिकतम 10MB • एक बार में अधिकतम 5 फ़ाइलें',
+      uploadingFiles: 'फ़ाइलें अपलोड हो रही हैं...',
+      dropHint: 'फ़ाइलें यहाँ छोड़ें या चुनने के लिए क्लिक करें',
+      uploading: 'अपलोड हो रहा है...',
+      choose: 'फ़ाइलें चुनें',
+      selected: 'चुनी गईं: {{names}}'
+    },
+    milestones: {
+      title: 'प्रोजेक्ट माइलस्टोन',
+      freelancerHint: 'क्लाइंट की स्वीकृति के लिए डिलीवरेबल और भुगतान अनुसूची के साथ माइलस्टोन बनाएँ',
+      clientHint: 'फ़्रीलांसर द्वारा बनाए गए माइलस्टोन की समीक्षा करें और उन्हें स्वीकृत करें',
+      clientPayHint: '💡 फ़्रीलांसर के डिलीवर करने और आपके स्वीकृत करने के बाद आप हर माइलस्टोन का भुगतान करेंगे'
+    }
+  }
+};
+
+export default hi;
@@ -5,6 +5,9 @@ import toast from 'react-hot-toast';
 import { useAuth } from '../contexts/AuthContext';
 import UserManagement from '../components/UserManagement';
 import EscrowManagement from '../components/EscrowManagement';
+import WithdrawalQueue from '../components/WithdrawalQueue';
+import FeeScheduleManagement from '../components/FeeScheduleManagement';
+import AuditLogViewer from '../components/AuditLogViewer';
 import { 
   UsersIcon, 
   BriefcaseIcon, 
@@ -20,6 +23,7 @@ import {
   XMarkIcon
 } from '@heroicons/react/24/outline';
 import { API_BASE_URL, API_ENDPOINTS } from '../config/api.js';
+import { formatMoney } from '../utils/currency';
 
 const AdminDashboard = () => {
   const [stats, setStats] = useState({});
@@ -199,6 +203,36 @@ const AdminDashboard = () => {
             >
               🔒 Escrow Management
             </button>
+            <button
+              onClick={() => setActiveTab('withdrawals')}
+              className={`py-4 px-1 border-b-2 font-medium text-sm transition-colors ${
+                activeTab === 'withdrawals'
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              💸 Withdrawals
+            </button>
+            <button
+              onClick={() => setActiveTab('fees')}
+              className={`py-4 px-1 border-b-2 font-medium text-sm transition-colors ${
+                activeTab === 'fees'
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              🧮 Service Charges
+            </button>
+            <button
+              onClick={() => setActiveTab('audit')}
+              className={`py-4 px-1 border-b-2 font-medium text-sm transition-colors ${
+                activeTab === 'audit'
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              📜 Audit Log
+            </button>
           </nav>
         </div>
       </div>
@@ -232,11 +266,16 @@ const AdminDashboard = () => {
                 <div className="flex items-center justify-between">
                   <div>
                     <p className="text-green-100 text-sm font-medium">Total Revenue</p>
-                    <p className="text-3xl font-bold">₹{(stats.totalRevenue || 0).toLocaleString()}</p>
+                    <p className="text-3xl font-bold">{formatMoney(stats.totalRevenue, stats.baseCurrency)}</p>
                     <div className="flex items-center mt-2">
                       <ChevronUpIcon className="w-4 h-4 text-green-300" />
                       <span className="text-green-300 text-sm ml-1">{stats.paidMilestones || 0} payments</span>
                     </div>
+                    {stats.revenueByCurrency?.length > 1 && (
+                      <p className="text-green-100 text-xs mt-1">
+                        {stats.revenueByCurrency.map(row => formatMoney(row.amount, row.currency)).join(' · ')}
+                      </p>
+                    )}
                   </div>
                   <div className="p-3 bg-green-400 bg-opacity-30 rounded-lg">
                     <CurrencyDollarIcon className="w-8 h-8" />
@@ -407,7 +446,7 @@ const AdminDashboard = () => {
                         <div>
                           <p className="font-medium text-gray-900 truncate">{project.title}</p>
                           <p className="text-sm text-gray-500">
-                            by {project.client?.fullName || 'Unknown'} • ₹{project.budgetAmount?.toLocaleString() || 'N/A'}
+                            by {project.client?.fullName || 'Unknown'} • {project.budgetAmount ? formatMoney(project.budgetAmount, project.currency) : 'N/A'}
                           </p>
                         </div>
                         <div className="text-right">
@@ -559,6 +598,12 @@ const AdminDashboard = () => {
         {activeTab === 'users' && <UserManagement />}
         
         {activeTab === 'escrow' && <EscrowManagement />}
+
+        {activeTab === 'withdrawals' && <WithdrawalQueue />}
+
+        {activeTab === 'fees' && <FeeScheduleManagement />}
+
+        {activeTab === 'audit' && <AuditLogViewer />}
       </main>
     </div>
   );
@@ -6,6 +6,7 @@ import toast from 'react-hot-toast';
 import ValidatedInput from '../components/ValidatedInput';
 import { validateFullName, validateEmail, validatePassword, validatePasswordConfirmation, validateBio } from '../utils/validation';
 import { API_BASE_URL, API_ENDPOINTS } from '../config/api.js';
+import { getCurrentLanguage } from '../utils/i18n';
 // import { Card } from '../components/ui';
 
 const FreelancerRegistration = () => {
@@ -143,7 +144,8 @@ const FreelancerRegistration = () => {
           email: registrationData.email,
           password: registrationData.password,
           role: 'freelancer',
-          bio: registrationData.bio
+          bio: registrationData.bio,
+          language: getCurrentLanguage()
         })
       });
 
@@ -0,0 +1,41 @@
+import { API_BASE_URL, API_ENDPOINTS } from '../config/api.js';
+
+// Login responses that need a second step (two-factor code or setup) before there is a session
+export const isTwoFactorChallenge = (data) => Boolean(data?.twoFactorRequired || data?.twoFactorSetupRequired);
+
+// When the API token runs out (ms since epoch), or null if it can't be read
+export const getTokenExpiry = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+};
+
+let pendingRefresh = null;
+
+/**
+ * Swap the httpOnly refresh cookie for a new API token and store it.
+ * Calls made while a refresh is in flight share it, because the server
+ * treats a refresh token used twice as stolen.
+ */
+export const refreshAccessToken = () => {
+  if (!pendingRefresh) {
+    pendingRefresh = fetch(`${API_BASE_URL}${API_ENDPOINTS.AUTH.REFRESH}`, {
+      method: 'POST',
+      credentials: 'include',
+    })
+      .then(response => response.json())
+      .then(data => {
+        if (data.success && data.token) {
+          localStorage.setItem('token', data.token);
+        }
+        return data;
+      })
+      .finally(() => {
+        pendingRefresh = null;
+      });
+  }
+  return pendingRefresh;
+};
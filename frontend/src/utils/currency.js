@@ -0,0 +1,26 @@
+// Currency helpers shared by project, milestone and payment screens
+import { getLocale } from './dateUtils';
+
+export const CURRENCY_OPTIONS = [
+  { code: 'INR', label: 'Indian Rupee (₹)' },
+  { code: 'USD', label: 'US Dollar ($)' },
+  { code: 'EUR', label: 'Euro (€)' },
+  { code: 'GBP', label: 'British Pound (£)' }
+];
+
+/**
+ * Format an amount with its currency symbol, e.g. ₹1,500 or $1,250.50,
+ * grouped the way the user's language writes numbers
+ */
+export const formatMoney = (amount, currency = 'INR') => {
+  try {
+    return new Intl.NumberFormat(getLocale(), {
+      style: 'currency',
+      currency: currency || 'INR',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 2
+    }).format(amount || 0);
+  } catch {
+    return `${currency} ${amount}`;
+  }
+};
@@ -1,66 +1,128 @@
-// Date and time utilities for consistent formatting across the app
+// Date and time utilities for consistent formatting across the app.
+// Everything is shown in the signed-in user's preferences (timezone, language
+// and date format from their account); signed out, the device's timezone is used.
+import { getCurrentLanguage } from './i18n';
+
+// Regional locale for each language (the same table the server uses)
+const LOCALES = {
+  en: 'en-IN',
+  hi: 'hi-IN'
+};
+
+export const DATE_FORMATS = ['MM/DD/YYYY', 'DD/MM/YYYY', 'YYYY-MM-DD'];
+
+/**
+ * Timezone of this device, e.g. Asia/Kolkata
+ */
+export const getDeviceTimezone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const DEFAULT_PREFERENCES = {
+  language: 'en',
+  timezone: getDeviceTimezone(),
+  dateFormat: 'MM/DD/YYYY'
+};
+
+// The stored user only changes on sign-in and when preferences are saved
+let cachedUser;
+let cachedPreferences = DEFAULT_PREFERENCES;
+
+/**
+ * Date preferences of the signed-in user, with defaults for anything not set
+ */
+export const getDatePreferences = () => {
+  const savedUser = localStorage.getItem('user');
+  if (savedUser !== cachedUser) {
+    cachedUser = savedUser;
+    let preferences = {};
+    try {
+      preferences = JSON.parse(savedUser)?.preferences || {};
+    } catch {
+      preferences = {};
+    }
+    cachedPreferences = { ...DEFAULT_PREFERENCES, ...preferences };
+  }
+  return cachedPreferences;
+};
+
+/**
+ * Locale used for month names, times and numbers; follows the UI language, so
+ * it also applies to a language picked before signing in
+ */
+export const getLocale = () => LOCALES[getCurrentLanguage()] || LOCALES.en;
+
+// Year, month and day of `date` on the calendar of the user's timezone
+const localParts = (date) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: getDatePreferences().timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(new Date(date));
+  return Object.fromEntries(parts.map(({ type, value }) => [type, value]));
+};
+
+// Calendar day of `date` in the user's timezone, as days since the epoch
+const localDayNumber = (date) => {
+  const { year, month, day } = localParts(date);
+  return Date.UTC(Number(year), Number(month) - 1, Number(day)) / (24 * 60 * 60 * 1000);
+};
+
+/**
+ * Whole calendar days from today to `date` for the user: 0 is today, 1 is
+ * tomorrow, -1 was yesterday
+ */
+export const calendarDaysUntil = (date, now = new Date()) => localDayNumber(date) - localDayNumber(now);
+
+const formatTime = (date) => new Date(date).toLocaleTimeString(getLocale(), {
+  timeZone: getDatePreferences().timezone,
+  hour: '2-digit',
+  minute: '2-digit',
+  hour12: true
+});
+
+/**
+ * Format a date in the user's date format, e.g. 03/25/2026
+ */
+export const formatDate = (timestamp) => {
+  if (!timestamp) return '';
+  const { year, month, day } = localParts(timestamp);
+  return getDatePreferences().dateFormat
+    .replace('YYYY', year)
+    .replace('MM', month)
+    .replace('DD', day);
+};
 
 /**
  * Format message timestamp with enhanced date/time display
- * Shows "Today HH:MM AM/PM", "Yesterday HH:MM AM/PM", or "Mon DD HH:MM AM/PM"
+ * Shows "Today HH:MM AM/PM", "Yesterday HH:MM AM/PM", or "03/25/2026 HH:MM AM/PM"
  */
 export const formatMessageTime = (timestamp) => {
-  const messageDate = new Date(timestamp);
-  const now = new Date();
-  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-  const yesterday = new Date(today);
-  yesterday.setDate(yesterday.getDate() - 1);
-  const messageDay = new Date(messageDate.getFullYear(), messageDate.getMonth(), messageDate.getDate());
-  
-  // Time formatting with AM/PM
-  const timeStr = messageDate.toLocaleTimeString('en-US', {
-    hour: '2-digit',
-    minute: '2-digit',
-    hour12: true
-  });
-  
-  // Date formatting based on recency
-  if (messageDay.getTime() === today.getTime()) {
+  const timeStr = formatTime(timestamp);
+  const daysAgo = -calendarDaysUntil(timestamp);
+
+  if (daysAgo === 0) {
     return `Today ${timeStr}`;
-  } else if (messageDay.getTime() === yesterday.getTime()) {
+  } else if (daysAgo === 1) {
     return `Yesterday ${timeStr}`;
   } else {
-    const dateStr = messageDate.toLocaleDateString('en-US', {
-      month: 'short',
-      day: 'numeric',
-      year: messageDate.getFullYear() !== now.getFullYear() ? 'numeric' : undefined
-    });
-    return `${dateStr} ${timeStr}`;
+    return `${formatDate(timestamp)} ${timeStr}`;
   }
 };
 
 /**
  * Format chat list timestamp - more compact for lists
- * Shows "Today", "Yesterday", or "Mon DD"
+ * Shows the time today, "Yesterday", or the date
  */
 export const formatChatListTime = (timestamp) => {
-  const messageDate = new Date(timestamp);
-  const now = new Date();
-  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-  const yesterday = new Date(today);
-  yesterday.setDate(yesterday.getDate() - 1);
-  const messageDay = new Date(messageDate.getFullYear(), messageDate.getMonth(), messageDate.getDate());
-  
+  const daysAgo = -calendarDaysUntil(timestamp);
+
   // For chat lists, we show more compact format
-  if (messageDay.getTime() === today.getTime()) {
-    return messageDate.toLocaleTimeString('en-US', {
-      hour: '2-digit',
-      minute: '2-digit',
-      hour12: true
-    });
-  } else if (messageDay.getTime() === yesterday.getTime()) {
+  if (daysAgo === 0) {
+    return formatTime(timestamp);
+  } else if (daysAgo === 1) {
     return 'Yesterday';
   } else {
-    return messageDate.toLocaleDateString('en-US', {
-      month: 'short',
-      day: 'numeric',
-      year: messageDate.getFullYear() !== now.getFullYear() ? 'numeric' : undefined
-    });
+    return formatDate(timestamp);
   }
 };
 
@@ -69,51 +131,35 @@ export const formatChatListTime = (timestamp) => {
  * Shows "Today", "Yesterday", or "Monday, January 15"
  */
 export const getDateSeparator = (timestamp) => {
-  const messageDate = new Date(timestamp);
-  const now = new Date();
-  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-  const yesterday = new Date(today);
-  yesterday.setDate(yesterday.getDate() - 1);
-  const messageDay = new Date(messageDate.getFullYear(), messageDate.getMonth(), messageDate.getDate());
-  
-  if (messageDay.getTime() === today.getTime()) {
+  const daysAgo = -calendarDaysUntil(timestamp);
+
+  if (daysAgo === 0) {
     return 'Today';
-  } else if (messageDay.getTime() === yesterday.getTime()) {
+  } else if (daysAgo === 1) {
     return 'Yesterday';
   } else {
-    return messageDate.toLocaleDateString('en-US', {
+    const sameYear = localParts(timestamp).year === localParts(new Date()).year;
+    return new Date(timestamp).toLocaleDateString(getLocale(), {
+      timeZone: getDatePreferences().timezone,
       weekday: 'long',
       month: 'long',
       day: 'numeric',
-      year: messageDate.getFullYear() !== now.getFullYear() ? 'numeric' : undefined
+      year: sameYear ? undefined : 'numeric'
     });
   }
 };
 
 /**
- * Check if two dates are the same day
+ * Check if two dates are the same day (on the user's calendar)
  */
-export const isSameDay = (date1, date2) => {
-  const d1 = new Date(date1);
-  const d2 = new Date(date2);
-  return d1.getFullYear() === d2.getFullYear() &&
-         d1.getMonth() === d2.getMonth() &&
-         d1.getDate() === d2.getDate();
-};
+export const isSameDay = (date1, date2) => localDayNumber(date1) === localDayNumber(date2);
 
 /**
  * Format date with time and AM/PM for general use
  */
 export const formatDateTime = (timestamp) => {
-  const date = new Date(timestamp);
-  return date.toLocaleDateString('en-US', {
-    month: 'short',
-    day: 'numeric',
-    year: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit',
-    hour12: true
-  });
+  if (!timestamp) return '';
+  return `${formatDate(timestamp)} ${formatTime(timestamp)}`;
 };
 
 /**
@@ -123,11 +169,10 @@ export const formatDateTime = (timestamp) => {
 export const groupMessagesByDate = (messages) => {
   const groups = [];
   let currentGroup = null;
-  
+
   messages.forEach(message => {
-    const messageDate = new Date(message.createdAt);
-    const dateKey = messageDate.toDateString();
-    
+    const dateKey = localDayNumber(message.createdAt);
+
     if (!currentGroup || currentGroup.dateKey !== dateKey) {
       currentGroup = {
         dateKey,
@@ -136,9 +181,9 @@ export const groupMessagesByDate = (messages) => {
       };
       groups.push(currentGroup);
     }
-    
+
     currentGroup.messages.push(message);
   });
-  
+
   return groups;
-};
\ No newline at end of file
+};
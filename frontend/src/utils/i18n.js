@@ -0,0 +1,75 @@
+// Translation for the UI. Components get `t` from the useTranslation hook (so
+// they re-render when the language changes); plain modules such as
+// validation.js call translate() with getCurrentLanguage().
+import { createContext } from 'react';
+import en from '../locales/en';
+import hi from '../locales/hi';
+
+const CATALOGS = { en, hi };
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Languages offered in the switcher, each named in its own script
+export const LANGUAGES = [
+  { code: 'en', label: 'English' },
+  { code: 'hi', label: 'हिन्दी' }
+];
+
+export const isSupportedLanguage = (language) => Object.prototype.hasOwnProperty.call(CATALOGS, language);
+
+export const I18nContext = createContext(null);
+
+/**
+ * Language picked on this device (kept for signed-out visits), else the browser's
+ */
+export const getDeviceLanguage = () => {
+  const saved = localStorage.getItem('language');
+  if (isSupportedLanguage(saved)) return saved;
+
+  const browser = (navigator.language || '').toLowerCase().split('-')[0];
+  return isSupportedLanguage(browser) ? browser : DEFAULT_LANGUAGE;
+};
+
+// The stored user only changes on sign-in and when preferences are saved
+let cachedKey;
+let cachedLanguage = DEFAULT_LANGUAGE;
+
+/**
+ * Language the UI is shown in: the signed-in user's saved preference, else this device's
+ */
+export const getCurrentLanguage = () => {
+  const savedUser = localStorage.getItem('user');
+  const key = `${savedUser}|${localStorage.getItem('language')}`;
+  if (key !== cachedKey) {
+    cachedKey = key;
+    let language;
+    try {
+      language = JSON.parse(savedUser)?.preferences?.language;
+    } catch {
+      language = undefined;
+    }
+    cachedLanguage = isSupportedLanguage(language) ? language : getDeviceLanguage();
+  }
+  return cachedLanguage;
+};
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => node?.[part], catalog);
+
+/**
+ * Message `key` (e.g. 'navbar.logout') in `language`, falling back to English
+ * and then to the key itself. `params` fill in {{name}} placeholders; messages
+ * with plural forms are picked by `params.count`.
+ */
+export const translate = (language, key, params = {}) => {
+  const catalogLanguage = isSupportedLanguage(language) ? language : DEFAULT_LANGUAGE;
+  let message = lookup(CATALOGS[catalogLanguage], key) ?? lookup(CATALOGS[DEFAULT_LANGUAGE], key);
+  if (message === undefined) return key;
+
+  if (typeof message === 'object' && message.other !== undefined) {
+    const form = new Intl.PluralRules(catalogLanguage).select(Number(params.count) || 0);
+    message = message[form] ?? message.other;
+  }
+  if (typeof message !== 'string') return key;
+
+  return message.replace(/\{\{(\w+)\}\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+};
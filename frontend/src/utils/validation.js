@@ -1,10 +1,14 @@
 // frontend/src/utils/validation.js
+import { getCurrentLanguage, translate } from './i18n';
 
 /**
  * Comprehensive validation utilities for frontend forms
  * Provides real-time validation with detailed error messages
  */
 
+// Messages follow the UI language at the time the field is validated
+const t = (key, params) => translate(getCurrentLanguage(), key, params);
+
 /**
  * Validation result structure
  * @typedef {Object} ValidationResult
@@ -22,7 +26,7 @@ export const validateFullName = (fullName) => {
   if (!fullName || fullName.trim().length === 0) {
     return {
       isValid: false,
-      message: 'Full name is required',
+      message: t('validation.fullName.required'),
       type: 'error'
     };
   }
@@ -32,7 +36,7 @@ export const validateFullName = (fullName) => {
   if (trimmedName.length < 2) {
     return {
       isValid: false,
-      message: 'Name must be at least 2 characters long',
+      message: t('validation.fullName.tooShort'),
       type: 'error'
     };
   }
@@ -40,7 +44,7 @@ export const validateFullName = (fullName) => {
   if (trimmedName.length > 100) {
     return {
       isValid: false,
-      message: 'Name cannot exceed 100 characters',
+      message: t('validation.fullName.tooLong'),
       type: 'error'
     };
   }
@@ -50,7 +54,7 @@ export const validateFullName = (fullName) => {
   if (nameParts.length < 2) {
     return {
       isValid: false,
-      message: 'Please enter your full name (first and last name)',
+      message: t('validation.fullName.firstAndLast'),
       type: 'error'
     };
   }
@@ -62,7 +66,7 @@ export const validateFullName = (fullName) => {
     if (part.length < 1) {
       return {
         isValid: false,
-        message: 'Invalid name format',
+        message: t('validation.fullName.invalidFormat'),
         type: 'error'
       };
     }
@@ -70,7 +74,7 @@ export const validateFullName = (fullName) => {
     if (!/^[A-Z]/.test(part)) {
       return {
         isValid: false,
-        message: 'Each part of your name must start with an uppercase letter (e.g., "John Smith")',
+        message: t('validation.fullName.capitalized'),
         type: 'error'
       };
     }
@@ -78,7 +82,7 @@ export const validateFullName = (fullName) => {
     if (!/^[A-Za-z'-]+$/.test(part)) {
       return {
         isValid: false,
-        message: 'Name can only contain letters, hyphens, and apostrophes',
+        message: t('validation.fullName.invalidCharacters'),
         type: 'error'
       };
     }
@@ -86,7 +90,7 @@ export const validateFullName = (fullName) => {
 
   return {
     isValid: true,
-    message: 'Valid full name',
+    message: t('validation.fullName.valid'),
     type: 'success'
   };
 };
@@ -100,7 +104,7 @@ export const validateEmail = (email) => {
   if (!email || email.trim().length === 0) {
     return {
       isValid: false,
-      message: 'Email address is required',
+      message: t('validation.email.required'),
       type: 'error'
     };
   }
@@ -113,7 +117,7 @@ export const validateEmail = (email) => {
   if (!emailRegex.test(trimmedEmail)) {
     return {
       isValid: false,
-      message: 'Please enter a valid email address',
+      message: t('validation.email.invalid'),
       type: 'error'
     };
   }
@@ -121,7 +125,7 @@ export const validateEmail = (email) => {
   if (trimmedEmail.length > 254) {
     return {
       isValid: false,
-      message: 'Email address is too long',
+      message: t('validation.email.tooLong'),
       type: 'error'
     };
   }
@@ -133,14 +137,14 @@ export const validateEmail = (email) => {
   if (commonProviders.includes(domain)) {
     return {
       isValid: true,
-      message: 'Valid email address',
+      message: t('validation.email.valid'),
       type: 'success'
     };
   }
 
   return {
     isValid: true,
-    message: 'Email format is valid',
+    message: t('validation.email.formatValid'),
     type: 'success'
   };
 };
@@ -154,7 +158,7 @@ export const validatePassword = (password) => {
   if (!password || password.length === 0) {
     return {
       isValid: false,
-      message: 'Password is required',
+      message: t('validation.password.required'),
       type: 'error'
     };
   }
@@ -172,7 +176,7 @@ export const validatePassword = (password) => {
   if (password.length < 8) {
     return {
       isValid: false,
-      message: 'Password must be at least 8 characters long',
+      message: t('validation.password.tooShort'),
       type: 'error'
     };
   }
@@ -180,7 +184,7 @@ export const validatePassword = (password) => {
   if (!checks.uppercase) {
     return {
       isValid: false,
-      message: 'Password must contain at least one uppercase letter',
+      message: t('validation.password.uppercase'),
       type: 'error'
     };
   }
@@ -188,7 +192,7 @@ export const validatePassword = (password) => {
   if (!checks.lowercase) {
     return {
       isValid: false,
-      message: 'Password must contain at least one lowercase letter',
+      message: t('validation.password.lowercase'),
       type: 'error'
     };
   }
@@ -196,7 +200,7 @@ export const validatePassword = (password) => {
   if (!checks.number) {
     return {
       isValid: false,
-      message: 'Password must contain at least one number',
+      message: t('validation.password.number'),
       type: 'error'
     };
   }
@@ -204,7 +208,7 @@ export const validatePassword = (password) => {
   if (password.length > 128) {
     return {
       isValid: false,
-      message: 'Password cannot exceed 128 characters',
+      message: t('validation.password.tooLong'),
       type: 'error'
     };
   }
@@ -214,20 +218,20 @@ export const validatePassword = (password) => {
     if (checks.special) {
       return {
         isValid: true,
-        message: 'Very strong password',
+        message: t('validation.password.veryStrong'),
         type: 'success'
       };
     }
     return {
       isValid: true,
-      message: 'Strong password',
+      message: t('validation.password.strong'),
       type: 'success'
     };
   }
 
   return {
     isValid: true,
-    message: 'Good password',
+    message: t('validation.password.good'),
     type: 'success'
   };
 };
@@ -242,7 +246,7 @@ export const validatePasswordConfirmation = (password, confirmPassword) => {
   if (!confirmPassword || confirmPassword.length === 0) {
     return {
       isValid: false,
-      message: 'Please confirm your password',
+      message: t('validation.confirmPassword.required'),
       type: 'error'
     };
   }
@@ -250,14 +254,14 @@ export const validatePasswordConfirmation = (password, confirmPassword) => {
   if (password !== confirmPassword) {
     return {
       isValid: false,
-      message: 'Passwords do not match',
+      message: t('validation.confirmPassword.mismatch'),
       type: 'error'
     };
   }
 
   return {
     isValid: true,
-    message: 'Passwords match',
+    message: t('validation.confirmPassword.match'),
     type: 'success'
   };
 };
@@ -271,7 +275,7 @@ export const validateBio = (bio) => {
   if (!bio || bio.trim().length === 0) {
     return {
       isValid: false,
-      message: 'Bio is required for freelancer registration',
+      message: t('validation.bio.required'),
       type: 'error'
     };
   }
@@ -282,7 +286,7 @@ export const validateBio = (bio) => {
   if (trimmedBio.length < 20) {
     return {
       isValid: false,
-      message: `Bio must be at least 20 characters long (currently ${trimmedBio.length})`,
+      message: t('validation.bio.tooShort', { count: trimmedBio.length }),
       type: 'error'
     };
   }
@@ -290,7 +294,7 @@ export const validateBio = (bio) => {
   if (trimmedBio.length > 2000) {
     return {
       isValid: false,
-      message: 'Bio cannot exceed 2000 characters',
+      message: t('validation.bio.tooLong'),
       type: 'error'
     };
   }
@@ -298,7 +302,7 @@ export const validateBio = (bio) => {
   if (wordCount < 10) {
     return {
       isValid: false,
-      message: 'Bio should contain at least 10 words to describe your skills and experience',
+      message: t('validation.bio.fewWords'),
       type: 'warning'
     };
   }
@@ -306,14 +310,14 @@ export const validateBio = (bio) => {
   if (trimmedBio.length >= 100 && wordCount >= 15) {
     return {
       isValid: true,
-      message: 'Great bio! This will help clients understand your expertise',
+      message: t('validation.bio.great'),
       type: 'success'
     };
   }
 
   return {
     isValid: true,
-    message: 'Bio looks good',
+    message: t('validation.bio.good'),
     type: 'success'
   };
 };
@@ -325,7 +329,7 @@ export const validateBio = (bio) => {
  */
 export const getPasswordStrength = (password) => {
   if (!password) {
-    return { strength: 0, label: 'No password', color: 'gray' };
+    return { strength: 0, label: t('validation.strength.none'), color: 'gray' };
   }
 
   const checks = {
@@ -340,13 +344,13 @@ export const getPasswordStrength = (password) => {
   const score = Object.values(checks).filter(Boolean).length;
 
   if (score <= 2) {
-    return { strength: 1, label: 'Weak', color: 'red' };
+    return { strength: 1, label: t('validation.strength.weak'), color: 'red' };
   } else if (score <= 4) {
-    return { strength: 2, label: 'Fair', color: 'yellow' };
+    return { strength: 2, label: t('validation.strength.fair'), color: 'yellow' };
   } else if (score <= 5) {
-    return { strength: 3, label: 'Good', color: 'blue' };
+    return { strength: 3, label: t('validation.strength.good'), color: 'blue' };
   } else {
-    return { strength: 4, label: 'Strong', color: 'green' };
+    return { strength: 4, label: t('validation.strength.strong'), color: 'green' };
   }
 };
 